@@ -1,8 +1,16 @@
-export default {
+// Options shared by the unit and integration projects
+const projectConfig = {
   testEnvironment: "node",
   transform: {},
   moduleFileExtensions: ["js", "json"],
-  testMatch: ["**/tests/**/*.test.js"],
+  // Set NODE_ENV to test for all test runs
+  // This ensures env.js uses MONGODB_URI_TEST automatically
+  testEnvironmentOptions: {
+    NODE_ENV: "test",
+  },
+};
+
+export default {
   collectCoverageFrom: [
     "src/**/*.js",
     "!src/server.js",
@@ -11,11 +19,21 @@ export default {
   ],
   coverageDirectory: "coverage",
   coverageReporters: ["text", "lcov", "html"],
-  setupFilesAfterEnv: ["<rootDir>/tests/setup.js"],
   verbose: true,
-  // Set NODE_ENV to test for all test runs
-  // This ensures env.js uses MONGODB_URI_TEST automatically
-  testEnvironmentOptions: {
-    NODE_ENV: "test",
-  },
+  projects: [
+    // Service tests with the models mocked; no database needed
+    {
+      ...projectConfig,
+      displayName: "unit",
+      testMatch: ["<rootDir>/tests/unit/**/*.test.js"],
+      setupFilesAfterEnv: ["<rootDir>/tests/unit/setup.js"],
+    },
+    // Tests against the test database (MONGODB_URI_TEST)
+    {
+      ...projectConfig,
+      displayName: "integration",
+      testMatch: ["<rootDir>/tests/integration/**/*.test.js"],
+      setupFilesAfterEnv: ["<rootDir>/tests/setup.js"],
+    },
+  ],
 };
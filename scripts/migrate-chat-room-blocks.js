@@ -0,0 +1,139 @@
+/**
+ * Migration Script for Chat Room Blocks
+ *
+ * Chat rooms deleted before blocks moved to UserBlock were only marked with
+ * ChatRoom.isBlocked, which feeds, search and share lists don't read. This
+ * script creates the matching UserBlock for every such room.
+ *
+ * Direction: only the participant who deleted the room blocks the other one;
+ * the other participant blocks nobody (unless they deleted the room too). The room does not record who deleted
+ * it, so the deleter is read from the "Chat room <roomId> blocked by user
+ * <userId>" lines deleteChatRoom wrote to the combined log. Rooms with no
+ * such line are skipped and listed so they can be resolved by hand.
+ *
+ * Safe to run more than once.
+ *
+ * Usage: node scripts/migrate-chat-room-blocks.js [path/to/combined.log]
+ * (defaults to logs/combined.log)
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import { connectDB, disconnectDB } from "../src/config/database.js";
+import { ChatRoom } from "../src/models/index.js";
+import { blockUser } from "../src/services/user-block.service.js";
+import logger from "../src/utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_LOG_PATH = path.join(__dirname, "../logs/combined.log");
+
+// Logged by deleteChatRoom when a user deleted (blocked) a room
+const ROOM_DELETED_PATTERN =
+  /Chat room ([0-9a-f]{24}) blocked by user ([0-9a-f]{24})/;
+
+// Errors meaning there is nothing to migrate for this pair
+const SKIPPED_ERRORS = ["You have already blocked this user", "User not found"];
+
+/**
+ * Read who deleted each chat room from the application log
+ * @param {string} logPath - Combined log file
+ * @returns {Promise<Map<string, Set<string>>>} Deleting user IDs by room ID
+ */
+const readRoomDeleters = async (logPath) => {
+  const deleters = new Map();
+  const lines = readline.createInterface({
+    input: fs.createReadStream(logPath),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    const match = line.match(ROOM_DELETED_PATTERN);
+    if (match) {
+      const [, roomId, userId] = match;
+      if (!deleters.has(roomId)) deleters.set(roomId, new Set());
+      deleters.get(roomId).add(userId);
+    }
+  }
+
+  return deleters;
+};
+
+/**
+ * Block one participant of a room for the other, skipping existing blocks
+ * and deleted accounts
+ * @param {mongoose.Types.ObjectId} blockerId - Blocking user
+ * @param {mongoose.Types.ObjectId} blockedId - Blocked user
+ * @returns {Promise<boolean>} True if a block was created
+ */
+const migrateBlock = async (blockerId, blockedId) => {
+  try {
+    await blockUser(blockerId, blockedId);
+    return true;
+  } catch (error) {
+    if (SKIPPED_ERRORS.includes(error.message)) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const migrateChatRoomBlocks = async () => {
+  try {
+    await connectDB();
+    logger.info("Connected to database");
+
+    const logPath = process.argv[2] || DEFAULT_LOG_PATH;
+    const deleters = await readRoomDeleters(logPath);
+    logger.info(`Read ${deleters.size} chat room deletion(s) from ${logPath}`);
+
+    let roomCount = 0;
+    let createdCount = 0;
+    const unknownRoomIds = [];
+
+    const rooms = ChatRoom.find({ isBlocked: true })
+      .select("userA userB")
+      .lean()
+      .cursor();
+
+    for await (const room of rooms) {
+      roomCount += 1;
+
+      const deleterIds = deleters.get(room._id.toString()) || new Set();
+      const deletedByA = deleterIds.has(room.userA.toString());
+      const deletedByB = deleterIds.has(room.userB.toString());
+
+      if (!deletedByA && !deletedByB) {
+        unknownRoomIds.push(room._id.toString());
+        continue;
+      }
+      if (deletedByA && (await migrateBlock(room.userA, room.userB))) {
+        createdCount += 1;
+      }
+      if (deletedByB && (await migrateBlock(room.userB, room.userA))) {
+        createdCount += 1;
+      }
+    }
+
+    logger.info(
+      `Chat room block migration finished: ${roomCount} blocked room(s), ${createdCount} block(s) created`
+    );
+    if (unknownRoomIds.length > 0) {
+      logger.warn(
+        `Skipped ${unknownRoomIds.length} room(s) with no deletion in the log: ${unknownRoomIds.join(", ")}`
+      );
+    }
+  } catch (error) {
+    logger.error("Error in chat room block migration:", error);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit();
+  }
+};
+
+// Run the migration
+migrateChatRoomBlocks();
@@ -0,0 +1,99 @@
+/**
+ * Migration Script for User Indexes
+ *
+ * Phone registration changed the unique indexes of the users collection:
+ * - email_1 is sparse (phone accounts have no email), it used to be a plain
+ *   unique index
+ * - phone numbers are unique together with their country code
+ *   (countryCode_1_phoneNumber_1, partial on numeric phone numbers). The
+ *   unique phoneNumber_1 index is gone and countryCode_1_phoneNumber_1 used
+ *   to be a plain lookup index.
+ *
+ * MongoDB does not change the options of an existing index, so this script
+ * drops the old versions and recreates them from the User schema.
+ *
+ * Safe to run more than once: indexes already matching the schema are kept.
+ *
+ * Usage: node scripts/migrate-user-indexes.js
+ */
+
+import { connectDB, disconnectDB } from "../src/config/database.js";
+import { User } from "../src/models/index.js";
+import logger from "../src/utils/logger.js";
+
+// Indexes whose definition changed
+const MIGRATED_INDEXES = [
+  "email_1",
+  "phoneNumber_1",
+  "countryCode_1_phoneNumber_1",
+];
+
+/**
+ * Name MongoDB gives an index by default
+ * @param {Object} fields - Index fields
+ * @returns {string} Index name
+ */
+const getIndexName = (fields) =>
+  Object.entries(fields)
+    .map(([field, direction]) => `${field}_${direction}`)
+    .join("_");
+
+/**
+ * Check whether an existing index has the options the schema asks for
+ * @param {Object} existing - Index from the collection
+ * @param {Object} expected - Index options from the schema (undefined if removed)
+ * @returns {boolean} True if the index can stay
+ */
+const matchesSchema = (existing, expected) =>
+  !!expected &&
+  !!existing.unique === !!expected.unique &&
+  !!existing.sparse === !!expected.sparse &&
+  JSON.stringify(existing.partialFilterExpression || null) ===
+    JSON.stringify(expected.partialFilterExpression || null);
+
+const migrateUserIndexes = async () => {
+  try {
+    await connectDB();
+    logger.info("Connected to database");
+
+    const schemaIndexes = new Map(
+      User.schema
+        .indexes()
+        .map(([fields, options]) => [
+          options.name || getIndexName(fields),
+          options,
+        ])
+    );
+
+    const existingIndexes = await User.collection.indexes();
+    let droppedCount = 0;
+
+    for (const index of existingIndexes) {
+      if (
+        !MIGRATED_INDEXES.includes(index.name) ||
+        matchesSchema(index, schemaIndexes.get(index.name))
+      ) {
+        continue;
+      }
+
+      await User.collection.dropIndex(index.name);
+      droppedCount += 1;
+      logger.info(`Dropped outdated index ${index.name}`);
+    }
+
+    await User.createIndexes();
+
+    logger.info(
+      `User index migration finished: ${droppedCount} index(es) dropped and recreated`
+    );
+  } catch (error) {
+    logger.error("Error in user index migration:", error);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit();
+  }
+};
+
+// Run the migration
+migrateUserIndexes();
@@ -12,6 +12,12 @@ import apiRoutes from "./routes/index.js";
 
 const app = express();
 
+// Client IP (used by per-IP auth throttling) comes from X-Forwarded-For
+// when the app runs behind reverse proxies
+if (config.authThrottle.trustProxyHops > 0) {
+  app.set("trust proxy", config.authThrottle.trustProxyHops);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -65,7 +65,9 @@ const envVarsSchema = Joi.object({
   JWT_SECRET: Joi.string()
     .default("your-secret-key-change-in-production")
     .description("JWT secret key"),
-  JWT_EXPIRE: Joi.string().default("7d"),
+  JWT_EXPIRE: Joi.string()
+    .default("15m")
+    .description("Access token lifetime (keep short; clients renew via /auth/refresh)"),
   JWT_REFRESH_SECRET: Joi.string()
     .default("your-refresh-secret-change-in-production")
     .description("JWT refresh secret key"),
@@ -104,6 +106,35 @@ const envVarsSchema = Joi.object({
   FROM_EMAIL: Joi.string().default("noreply@omeeba.com"),
   FROM_NAME: Joi.string().default("Omeeba"),
 
+  // SMS Configuration
+  SMS_PROVIDER: Joi.string()
+    .valid("console", "file", "brevo")
+    .default("console")
+    .description("SMS driver: console (log only), file (append to SMS_FILE_PATH) or brevo"),
+  SMS_FILE_PATH: Joi.string()
+    .default("./logs/sms.log")
+    .description("Output file of the file SMS driver"),
+  SMS_SENDER: Joi.string()
+    .max(11)
+    .default("Omeeba")
+    .description("Sender name shown on SMS messages"),
+
+  // Social Sign-in Configuration
+  APPLE_CLIENT_IDS: Joi.string()
+    .optional()
+    .allow("")
+    .description("Comma-separated Apple bundle / service IDs accepted as token audience"),
+  APPLE_JWKS_URI: Joi.string()
+    .default("https://appleid.apple.com/auth/keys")
+    .description("Apple signing keys: JWKS URL or local JSON file path"),
+  GOOGLE_CLIENT_IDS: Joi.string()
+    .optional()
+    .allow("")
+    .description("Comma-separated Google OAuth client IDs accepted as token audience"),
+  GOOGLE_JWKS_URI: Joi.string()
+    .default("https://www.googleapis.com/oauth2/v3/certs")
+    .description("Google signing keys: JWKS URL or local JSON file path"),
+
   // CORS Configuration
   ALLOWED_ORIGINS: Joi.string().default("http://localhost:3000"),
 
@@ -116,6 +147,92 @@ const envVarsSchema = Joi.object({
   // OTP Configuration
   OTP_EXPIRE_MINUTES: Joi.number().default(10),
   OTP_LENGTH: Joi.number().default(6),
+  OTP_MAX_ATTEMPTS: Joi.number()
+    .integer()
+    .min(1)
+    .default(5)
+    .description("Wrong codes allowed before an OTP is invalidated"),
+  OTP_RESEND_COOLDOWN_SECONDS: Joi.number()
+    .integer()
+    .min(0)
+    .default(60)
+    .description("Minimum seconds between two OTPs sent to the same account"),
+
+  // Brute-force Protection Configuration
+  TRUST_PROXY_HOPS: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .description("Reverse proxies in front of the app (0 = use the socket address as client IP)"),
+  AUTH_MAX_FAILED_ATTEMPTS: Joi.number()
+    .integer()
+    .min(1)
+    .default(5)
+    .description("Failed attempts on one account before it is locked"),
+  AUTH_IP_MAX_FAILED_ATTEMPTS: Joi.number()
+    .integer()
+    .min(1)
+    .default(20)
+    .description("Failed attempts from one IP address before it is locked"),
+  AUTH_LOCKOUT_BASE_MINUTES: Joi.number()
+    .integer()
+    .min(1)
+    .default(15)
+    .description("First lockout duration; doubles with each further lockout"),
+  AUTH_LOCKOUT_MAX_MINUTES: Joi.number()
+    .integer()
+    .min(1)
+    .default(1440)
+    .description("Longest lockout duration"),
+
+  // Two-Factor Authentication Configuration
+  TWO_FACTOR_ISSUER: Joi.string()
+    .default("Omeeba")
+    .description("Issuer name shown in authenticator apps"),
+  TWO_FACTOR_CHALLENGE_EXPIRE_MINUTES: Joi.number()
+    .integer()
+    .min(1)
+    .max(30)
+    .default(5)
+    .description("Minutes a login challenge token stays valid"),
+
+  // Account Data Configuration (deletion / export)
+  ACCOUNT_DELETION_GRACE_DAYS: Joi.number()
+    .integer()
+    .min(0)
+    .default(30)
+    .description("Days a deleted account can still be restored by logging in"),
+  DATA_EXPORT_EXPIRE_HOURS: Joi.number()
+    .integer()
+    .min(1)
+    .max(168)
+    .default(48)
+    .description("Hours a personal data export stays downloadable"),
+  USERNAME_CHANGE_COOLDOWN_DAYS: Joi.number()
+    .integer()
+    .min(0)
+    .default(14)
+    .description("Days between two username changes (0 = no cooldown)"),
+  USERNAME_RESERVATION_DAYS: Joi.number()
+    .integer()
+    .min(0)
+    .default(90)
+    .description("Days an old username stays reserved for its previous owner"),
+  RESERVED_USERNAMES: Joi.string()
+    .optional()
+    .allow("")
+    .description("Comma-separated usernames reserved in addition to the built-in list"),
+  EMAIL_CHANGE_CANCEL_URL: Joi.string()
+    .uri()
+    .default("https://omeeba.app/account/email-change/cancel")
+    .description("Page linked from the email-change notice; receives ?token="),
+
+  // Drafts Configuration
+  CONTENT_DRAFT_EXPIRE_DAYS: Joi.number()
+    .integer()
+    .min(1)
+    .default(30)
+    .description("Days a post / write post draft is kept after its last save"),
 
   // Pagination Configuration
   DEFAULT_PAGE_SIZE: Joi.number().default(20),
@@ -226,10 +343,29 @@ export default {
   brevo: {
     apiKey: envVars.BREVO_API_KEY,
   },
+  sms: {
+    provider: envVars.SMS_PROVIDER,
+    filePath: envVars.SMS_FILE_PATH,
+    sender: envVars.SMS_SENDER,
+  },
   email: {
     from: envVars.FROM_EMAIL,
     fromName: envVars.FROM_NAME,
   },
+  social: {
+    apple: {
+      clientIds: envVars.APPLE_CLIENT_IDS
+        ? envVars.APPLE_CLIENT_IDS.split(",").map((id) => id.trim())
+        : [],
+      jwksUri: envVars.APPLE_JWKS_URI,
+    },
+    google: {
+      clientIds: envVars.GOOGLE_CLIENT_IDS
+        ? envVars.GOOGLE_CLIENT_IDS.split(",").map((id) => id.trim())
+        : [],
+      jwksUri: envVars.GOOGLE_JWKS_URI,
+    },
+  },
   cors: {
     origins: envVars.ALLOWED_ORIGINS
       ? envVars.ALLOWED_ORIGINS.split(",").map((origin) => origin.trim())
@@ -242,6 +378,36 @@ export default {
   otp: {
     expireMinutes: envVars.OTP_EXPIRE_MINUTES,
     length: envVars.OTP_LENGTH,
+    maxAttempts: envVars.OTP_MAX_ATTEMPTS,
+    resendCooldownSeconds: envVars.OTP_RESEND_COOLDOWN_SECONDS,
+  },
+  authThrottle: {
+    trustProxyHops: envVars.TRUST_PROXY_HOPS,
+    maxFailedAttempts: envVars.AUTH_MAX_FAILED_ATTEMPTS,
+    ipMaxFailedAttempts: envVars.AUTH_IP_MAX_FAILED_ATTEMPTS,
+    lockoutBaseMinutes: envVars.AUTH_LOCKOUT_BASE_MINUTES,
+    lockoutMaxMinutes: envVars.AUTH_LOCKOUT_MAX_MINUTES,
+  },
+  twoFactor: {
+    issuer: envVars.TWO_FACTOR_ISSUER,
+    challengeExpireMinutes: envVars.TWO_FACTOR_CHALLENGE_EXPIRE_MINUTES,
+  },
+  account: {
+    deletionGraceDays: envVars.ACCOUNT_DELETION_GRACE_DAYS,
+    dataExportExpireHours: envVars.DATA_EXPORT_EXPIRE_HOURS,
+    emailChangeCancelUrl: envVars.EMAIL_CHANGE_CANCEL_URL,
+  },
+  username: {
+    changeCooldownDays: envVars.USERNAME_CHANGE_COOLDOWN_DAYS,
+    reservationDays: envVars.USERNAME_RESERVATION_DAYS,
+    reserved: envVars.RESERVED_USERNAMES
+      ? envVars.RESERVED_USERNAMES.split(",")
+          .map((username) => username.trim().toLowerCase())
+          .filter(Boolean)
+      : [],
+  },
+  drafts: {
+    expireDays: envVars.CONTENT_DRAFT_EXPIRE_DAYS,
   },
   pagination: {
     defaultPageSize: envVars.DEFAULT_PAGE_SIZE,
@@ -20,6 +20,34 @@ export const USER_ROLES = {
   ADMIN: "admin",
 };
 
+// Usernames nobody can register or change to
+// (extended with RESERVED_USERNAMES from the environment)
+export const RESERVED_USERNAMES = [
+  "admin",
+  "administrator",
+  "root",
+  "system",
+  "support",
+  "help",
+  "security",
+  "moderator",
+  "staff",
+  "team",
+  "official",
+  "omeeba",
+  "api",
+  "settings",
+  "explore",
+  "login",
+  "signup",
+  "register",
+  "everyone",
+  "here",
+  "me",
+  "null",
+  "undefined",
+];
+
 // Payment Providers
 export const PAYMENT_PROVIDERS = {
   STRIPE: "stripe",
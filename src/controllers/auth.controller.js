@@ -11,12 +11,115 @@ import {
   forgotPassword as forgotPasswordService,
   resetPassword as resetPasswordService,
   changePassword as changePasswordService,
-  generateToken,
+  issueAuthTokens,
+  refreshAuthTokens,
+  registerWithPhone,
+  sendPhoneLoginOTP,
+  loginWithPhone,
+  requestPhoneVerification,
+  confirmPhoneVerification,
+  completeTwoFactorLogin,
+  loginWithSocial,
+  requestEmailChange as requestEmailChangeService,
+  confirmEmailChange as confirmEmailChangeService,
+  cancelEmailChange as cancelEmailChangeService,
 } from "../services/auth.service.js";
-import { sendSuccess, sendError, sendBadRequest } from "../utils/response.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendUnauthorized,
+} from "../utils/response.js";
 import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
 
+/**
+ * Collect client metadata stored on the session
+ * @param {Object} req - Express request object
+ * @returns {Object} { ipAddress, userAgent, deviceName, platform }
+ */
+const getSessionMeta = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: req.get("user-agent") || null,
+  deviceName: req.body?.deviceName || null,
+  platform: req.body?.platform || null,
+});
+
+// Errors from refreshing tokens that mean the client must login again
+const REFRESH_TOKEN_ERRORS = [
+  "Refresh token has expired. Please login again",
+  "Invalid refresh token. Please login again",
+  "Session has been revoked. Please login again",
+  "Refresh token reuse detected. Please login again",
+  "User account not found. Please login again",
+];
+
+/**
+ * Get the account identifier from the request body
+ * @param {Object} body - Request body
+ * @returns {Object} { email } or { countryCode, phoneNumber }
+ */
+const getIdentifier = (body) =>
+  body.email
+    ? { email: body.email }
+    : { countryCode: body.countryCode, phoneNumber: body.phoneNumber };
+
+/**
+ * Public user fields returned after login
+ * @param {Object} user - User object
+ * @returns {Object} User response
+ */
+const formatLoginUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  phoneNumber: user.phoneNumber,
+  countryCode: user.countryCode,
+  name: user.name,
+  username: user.username,
+  profileImage: user.profileImage,
+  bio: user.bio,
+  isVerifiedBadge: user.isVerifiedBadge,
+  isAccountVerified: user.isAccountVerified,
+  isPhoneVerified: user.isPhoneVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  role: user.role,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Respond with 429 for throttled requests (lockout or resend cooldown)
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with retryAfter (seconds)
+ * @returns {Object} Response
+ */
+const sendTooManyAttempts = (res, error) => {
+  res.setHeader("Retry-After", error.retryAfter);
+  return sendError(
+    res,
+    error.message,
+    "Too Many Attempts",
+    `Please try again after ${error.retryAfter} seconds`,
+    StatusCodes.TOO_MANY_REQUESTS
+  );
+};
+
+/**
+ * Respond with a 2FA challenge instead of tokens
+ * @param {Object} res - Express response object
+ * @param {string} challengeToken - Challenge token from the login service
+ * @returns {Object} Response
+ */
+const sendTwoFactorChallenge = (res, challengeToken) =>
+  sendSuccess(
+    res,
+    {
+      twoFactorRequired: true,
+      challengeToken,
+    },
+    "Two-factor authentication required. Submit a code to /auth/2fa/login",
+    StatusCodes.OK
+  );
+
 /**
  * Register new user
  * @route POST /api/v1/auth/register
@@ -55,6 +158,10 @@ export const register = async (req, res) => {
   } catch (error) {
     logger.error("Registration error:", error);
 
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
     // Handle duplicate key errors
     if (error.code === 11000) {
       const field = Object.keys(error.keyPattern)[0];
@@ -94,20 +201,29 @@ export const register = async (req, res) => {
  */
 export const verifyOTP = async (req, res) => {
   try {
-    const { email, otp, type } = req.body;
-
-    // Verify OTP
-    const result = await verifyOTPService(email, otp, type);
+    const { otp, type } = req.body;
+
+    // Verify OTP (email or phone number)
+    const result = await verifyOTPService(
+      getIdentifier(req.body),
+      otp,
+      type,
+      getSessionMeta(req)
+    );
 
     // Handle account verification response
     if (result.type === "account") {
-      // Generate JWT token after successful account verification
-      const token = generateToken(result.user._id.toString());
+      // Start a session after successful account verification
+      const { token, refreshToken } = await issueAuthTokens(
+        result.user._id.toString(),
+        getSessionMeta(req)
+      );
 
       return sendSuccess(
         res,
         {
           token,
+          refreshToken,
           user: {
             id: result.user._id,
             email: result.user.email,
@@ -116,6 +232,7 @@ export const verifyOTP = async (req, res) => {
             name: result.user.name,
             username: result.user.username,
             isAccountVerified: result.user.isAccountVerified,
+            isPhoneVerified: result.user.isPhoneVerified,
             createdAt: result.user.createdAt,
           },
         },
@@ -134,6 +251,10 @@ export const verifyOTP = async (req, res) => {
   } catch (error) {
     logger.error("OTP verification error:", error);
 
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
     // Handle custom errors
     if (error.message) {
       return sendBadRequest(res, error.message);
@@ -157,10 +278,10 @@ export const verifyOTP = async (req, res) => {
  */
 export const resendOTP = async (req, res) => {
   try {
-    const { email } = req.body;
+    const identifier = getIdentifier(req.body);
 
     // Resend OTP
-    const user = await resendOTPService(email);
+    const user = await resendOTPService(identifier, getSessionMeta(req));
 
     // Return success response
     return sendSuccess(
@@ -169,15 +290,23 @@ export const resendOTP = async (req, res) => {
         user: {
           id: user._id,
           email: user.email,
+          phoneNumber: user.phoneNumber,
+          countryCode: user.countryCode,
           isAccountVerified: user.isAccountVerified,
         },
       },
-      "OTP has been resent to your email. Please check your email for OTP verification.",
+      identifier.email
+        ? "OTP has been resent to your email. Please check your email for OTP verification."
+        : "OTP has been resent to your phone. Please check your SMS for OTP verification.",
       StatusCodes.OK
     );
   } catch (error) {
     logger.error("Resend OTP error:", error);
 
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
     // Handle custom errors
     if (error.message) {
       return sendBadRequest(res, error.message);
@@ -204,27 +333,21 @@ export const login = async (req, res) => {
     const { email, password } = req.body;
 
     // Login user
-    const { user, token } = await loginUser(email, password);
+    const result = await loginUser(email, password, getSessionMeta(req));
+
+    if (result.twoFactorRequired) {
+      return sendTwoFactorChallenge(res, result.challengeToken);
+    }
 
-    // Return success response with token
+    const { user, token, refreshToken } = result;
+
+    // Return success response with tokens
     return sendSuccess(
       res,
       {
         token,
-        user: {
-          id: user._id,
-          email: user.email,
-          phoneNumber: user.phoneNumber,
-          countryCode: user.countryCode,
-          name: user.name,
-          username: user.username,
-          profileImage: user.profileImage,
-          bio: user.bio,
-          isVerifiedBadge: user.isVerifiedBadge,
-          isAccountVerified: user.isAccountVerified,
-          role: user.role,
-          createdAt: user.createdAt,
-        },
+        refreshToken,
+        user: formatLoginUser(user),
       },
       "Login successful",
       StatusCodes.OK
@@ -232,6 +355,10 @@ export const login = async (req, res) => {
   } catch (error) {
     logger.error("Login error:", error);
 
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
     // Handle custom errors
     if (error.message) {
       return sendBadRequest(res, error.message);
@@ -248,6 +375,93 @@ export const login = async (req, res) => {
   }
 };
 
+/**
+ * Complete login with a two-factor code
+ * @route POST /api/v1/auth/2fa/login
+ * @access Public
+ */
+export const twoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const { user, token, refreshToken, recoveryCodesRemaining } =
+      await completeTwoFactorLogin(
+        challengeToken,
+        { code, recoveryCode },
+        getSessionMeta(req)
+      );
+
+    return sendSuccess(
+      res,
+      {
+        token,
+        refreshToken,
+        recoveryCodesRemaining,
+        user: formatLoginUser(user),
+      },
+      "Login successful",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Two-factor login error:", error);
+
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
+    if (error.message) {
+      return sendUnauthorized(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to login",
+      "Login Error",
+      error.message || "An error occurred during login",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Refresh access token
+ * Rotates the refresh token; a reused refresh token revokes the whole session
+ * @route POST /api/v1/auth/refresh
+ * @access Public
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    const tokens = await refreshAuthTokens(presentedToken, getSessionMeta(req));
+
+    return sendSuccess(
+      res,
+      {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+      },
+      "Token refreshed successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Refresh token error:", error);
+
+    if (REFRESH_TOKEN_ERRORS.includes(error.message)) {
+      return sendUnauthorized(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to refresh token",
+      "Refresh Token Error",
+      error.message || "An error occurred while refreshing token",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 /**
  * Forgot Password
  * @route POST /api/v1/auth/forgot-password
@@ -255,16 +469,21 @@ export const login = async (req, res) => {
  */
 export const forgotPasswordHandler = async (req, res) => {
   try {
-    const { email } = req.body;
-
-    // Send forgot password OTP
-    const result = await forgotPasswordService(email);
+    // Send forgot password OTP (email or SMS)
+    const result = await forgotPasswordService(
+      getIdentifier(req.body),
+      getSessionMeta(req)
+    );
 
     // Return success response
     return sendSuccess(res, null, result.message, StatusCodes.OK);
   } catch (error) {
     logger.error("Forgot password error:", error);
 
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
     // Handle custom errors
     if (error.message) {
       return sendBadRequest(res, error.message);
@@ -288,10 +507,10 @@ export const forgotPasswordHandler = async (req, res) => {
  */
 export const resetPasswordHandler = async (req, res) => {
   try {
-    const { email, newPassword } = req.body;
+    const { newPassword } = req.body;
 
     // Reset password (OTP should be verified first via verify-otp API)
-    await resetPasswordService(email, newPassword);
+    await resetPasswordService(getIdentifier(req.body), newPassword);
 
     // Return success response
     return sendSuccess(
@@ -365,16 +584,427 @@ export const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Register with phone number
+ * @route POST /api/v1/auth/phone/register
+ * @access Public
+ */
+export const registerPhone = async (req, res) => {
+  try {
+    const user = await registerWithPhone(req.body);
+
+    const message = user.isResendOTP
+      ? "OTP has been resent to your phone. Please check your SMS for OTP verification."
+      : "User registered successfully. Please check your SMS for OTP verification.";
+
+    return sendSuccess(
+      res,
+      {
+        user: {
+          id: user._id,
+          phoneNumber: user.phoneNumber,
+          countryCode: user.countryCode,
+          name: user.name,
+          username: user.username,
+          isAccountVerified: user.isAccountVerified,
+          createdAt: user.createdAt,
+        },
+      },
+      message,
+      StatusCodes.CREATED
+    );
+  } catch (error) {
+    logger.error("Phone registration error:", error);
+
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return sendBadRequest(res, `User with this ${field} already exists`);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to register user",
+      "Registration Error",
+      error.message || "An error occurred during registration",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Send phone login code
+ * @route POST /api/v1/auth/phone/send-otp
+ * @access Public
+ */
+export const sendPhoneLoginCode = async (req, res) => {
+  try {
+    const { countryCode, phoneNumber } = req.body;
+
+    const result = await sendPhoneLoginOTP(
+      countryCode,
+      phoneNumber,
+      getSessionMeta(req)
+    );
+
+    return sendSuccess(res, null, result.message, StatusCodes.OK);
+  } catch (error) {
+    logger.error("Send phone login code error:", error);
+
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to send login code",
+      "Phone Login Error",
+      error.message || "An error occurred while sending login code",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Login with phone number and SMS code
+ * @route POST /api/v1/auth/phone/login
+ * @access Public
+ */
+export const phoneLogin = async (req, res) => {
+  try {
+    const { countryCode, phoneNumber, otp } = req.body;
+
+    const result = await loginWithPhone(
+      countryCode,
+      phoneNumber,
+      otp,
+      getSessionMeta(req)
+    );
+
+    if (result.twoFactorRequired) {
+      return sendTwoFactorChallenge(res, result.challengeToken);
+    }
+
+    const { user, token, refreshToken } = result;
+
+    return sendSuccess(
+      res,
+      {
+        token,
+        refreshToken,
+        user: formatLoginUser(user),
+      },
+      "Login successful",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Phone login error:", error);
+
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to login",
+      "Login Error",
+      error.message || "An error occurred during login",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Sign in (or sign up) with an Apple / Google identity token
+ * @route POST /api/v1/auth/social/:provider
+ * @access Public
+ */
+export const socialLogin = async (req, res) => {
+  try {
+    const { idToken, username, name } = req.body;
+
+    const result = await loginWithSocial(
+      req.params.provider,
+      { idToken, username, name },
+      getSessionMeta(req)
+    );
+
+    if (result.usernameRequired) {
+      return sendSuccess(
+        res,
+        {
+          usernameRequired: true,
+          email: result.email,
+          name: result.name,
+        },
+        "Choose a username to finish signing up",
+        StatusCodes.OK
+      );
+    }
+
+    if (result.twoFactorRequired) {
+      return sendTwoFactorChallenge(res, result.challengeToken);
+    }
+
+    const { user, token, refreshToken, isNewUser } = result;
+
+    return sendSuccess(
+      res,
+      {
+        token,
+        refreshToken,
+        isNewUser,
+        user: formatLoginUser(user),
+      },
+      isNewUser ? "Account created successfully" : "Login successful",
+      isNewUser ? StatusCodes.CREATED : StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Social login error:", error);
+
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to login",
+      "Login Error",
+      error.message || "An error occurred during login",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Send a verification code to a phone number for the current account
+ * @route POST /api/v1/auth/phone/verify
+ * @access Private
+ */
+export const requestPhoneVerificationHandler = async (req, res) => {
+  try {
+    const { countryCode, phoneNumber } = req.body;
+
+    const result = await requestPhoneVerification(
+      req.user._id,
+      countryCode,
+      phoneNumber
+    );
+
+    return sendSuccess(res, null, result.message, StatusCodes.OK);
+  } catch (error) {
+    logger.error("Request phone verification error:", error);
+
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to send verification code",
+      "Phone Verification Error",
+      error.message || "An error occurred while sending verification code",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Confirm the phone number of the current account
+ * @route POST /api/v1/auth/phone/verify/confirm
+ * @access Private
+ */
+export const confirmPhoneVerificationHandler = async (req, res) => {
+  try {
+    const user = await confirmPhoneVerification(req.user._id, req.body.otp);
+
+    return sendSuccess(
+      res,
+      {
+        user: {
+          id: user._id,
+          phoneNumber: user.phoneNumber,
+          countryCode: user.countryCode,
+          isPhoneVerified: user.isPhoneVerified,
+        },
+      },
+      "Phone number verified successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Confirm phone verification error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to verify phone number",
+      "Phone Verification Error",
+      error.message || "An error occurred while verifying phone number",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Start changing the email address of the current account
+ * @route POST /api/v1/auth/email/change
+ * @access Private
+ */
+export const requestEmailChange = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const result = await requestEmailChangeService(
+      req.user._id,
+      email,
+      password
+    );
+
+    return sendSuccess(res, null, result.message, StatusCodes.OK);
+  } catch (error) {
+    logger.error("Request email change error:", error);
+
+    if (error.retryAfter) {
+      return sendTooManyAttempts(res, error);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to start email change",
+      "Email Change Error",
+      error.message || "An error occurred while starting email change",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Confirm the new email address of the current account
+ * @route POST /api/v1/auth/email/change/confirm
+ * @access Private
+ */
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const user = await confirmEmailChangeService(
+      req.user._id,
+      req.body.otp,
+      req.sessionId
+    );
+
+    return sendSuccess(
+      res,
+      {
+        user: {
+          id: user._id,
+          email: user.email,
+        },
+      },
+      "Email changed successfully. You have been signed out on other devices",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Confirm email change error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to change email",
+      "Email Change Error",
+      error.message || "An error occurred while changing email",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Cancel a pending email change from the link sent to the current address
+ * @route POST /api/v1/auth/email/change/cancel
+ * @access Public
+ */
+export const cancelEmailChange = async (req, res) => {
+  try {
+    await cancelEmailChangeService(req.body.token);
+
+    return sendSuccess(
+      res,
+      null,
+      "Email change cancelled. If you didn't request it, reset your password",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Cancel email change error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to cancel email change",
+      "Email Change Error",
+      error.message || "An error occurred while cancelling email change",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 // Export named exports for routes
 export { forgotPasswordHandler as forgotPassword };
 export { resetPasswordHandler as resetPassword };
+export { requestPhoneVerificationHandler as requestPhoneVerification };
+export { confirmPhoneVerificationHandler as confirmPhoneVerification };
 
 export default {
   register,
   verifyOTP,
   resendOTP,
   login,
+  refreshToken,
+  twoFactorLogin,
   forgotPassword: forgotPasswordHandler,
   resetPassword: resetPasswordHandler,
   changePassword,
+  registerPhone,
+  sendPhoneLoginCode,
+  phoneLogin,
+  socialLogin,
+  requestPhoneVerification: requestPhoneVerificationHandler,
+  confirmPhoneVerification: confirmPhoneVerificationHandler,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
 };
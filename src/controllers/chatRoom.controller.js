@@ -66,8 +66,9 @@ export const getChatRoomsHandler = async (req, res) => {
     const userId = req.user._id.toString();
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
+    const chatType = req.query.chatType || null;
 
-    const result = await getChatRooms(userId, page, limit);
+    const result = await getChatRooms(userId, page, limit, chatType);
 
     return sendSuccess(
       res,
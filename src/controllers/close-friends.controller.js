@@ -0,0 +1,156 @@
+/**
+ * Close Friends Controller
+ * Handles Close Friends list HTTP requests
+ */
+
+import {
+  addCloseFriend,
+  removeCloseFriend,
+  updateCloseFriends,
+  getCloseFriends,
+} from "../services/close-friends.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * List Close Friends
+ * @route GET /api/v1/users/me/close-friends
+ * @access Private
+ */
+export const getCloseFriendsList = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await getCloseFriends(req.user._id, page, limit);
+
+    return sendSuccess(
+      res,
+      result,
+      "Close friends retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get close friends error:", error);
+    return sendError(
+      res,
+      "Failed to get close friends",
+      "Close Friends Error",
+      error.message || "An error occurred while retrieving close friends",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Add a user to Close Friends
+ * @route POST /api/v1/users/me/close-friends/:userId
+ * @access Private
+ */
+export const addToCloseFriends = async (req, res) => {
+  try {
+    const closeFriend = await addCloseFriend(req.user._id, req.params.userId);
+
+    return sendSuccess(
+      res,
+      { closeFriend },
+      "Added to close friends successfully",
+      StatusCodes.CREATED
+    );
+  } catch (error) {
+    logger.error("Add close friend error:", error);
+
+    if (error.message === "One or more users not found") {
+      return sendNotFound(res, "User not found");
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to add close friend",
+      "Close Friends Error",
+      error.message || "An error occurred while adding close friend",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Remove a user from Close Friends
+ * @route DELETE /api/v1/users/me/close-friends/:userId
+ * @access Private
+ */
+export const removeFromCloseFriends = async (req, res) => {
+  try {
+    await removeCloseFriend(req.user._id, req.params.userId);
+
+    return sendSuccess(
+      res,
+      { userId: req.params.userId },
+      "Removed from close friends successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Remove close friend error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to remove close friend",
+      "Close Friends Error",
+      error.message || "An error occurred while removing close friend",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Add and remove several Close Friends at once
+ * @route PATCH /api/v1/users/me/close-friends
+ * @access Private
+ */
+export const bulkUpdateCloseFriends = async (req, res) => {
+  try {
+    const result = await updateCloseFriends(req.user._id, req.body);
+
+    return sendSuccess(
+      res,
+      result,
+      "Close friends updated successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Update close friends error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to update close friends",
+      "Close Friends Error",
+      error.message || "An error occurred while updating close friends",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  getCloseFriendsList,
+  addToCloseFriends,
+  removeFromCloseFriends,
+  bulkUpdateCloseFriends,
+};
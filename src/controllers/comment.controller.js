@@ -3,8 +3,17 @@
  * Handles comment-related HTTP requests
  */
 
-import { createComment as createCommentService } from "../services/comment.service.js";
-import { sendSuccess, sendError, sendBadRequest } from "../utils/response.js";
+import {
+  createComment as createCommentService,
+  approveComment as approveCommentService,
+} from "../services/comment.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/response.js";
 import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
 
@@ -46,6 +55,52 @@ export const createComment = async (req, res) => {
   }
 };
 
+/**
+ * Approve Comment (comment by a restricted user)
+ * @route POST /api/v1/comments/:commentId/approve
+ * @access Private
+ */
+export const approveComment = async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const { commentId } = req.params;
+
+    const result = await approveCommentService(userId, commentId);
+
+    return sendSuccess(
+      res,
+      result,
+      "Comment approved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Approve comment error:", error);
+
+    // Handle custom errors
+    if (error.message === "Comment not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message === "You can only approve comments on your own content") {
+      return sendForbidden(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to approve comment",
+      "Approve Comment Error",
+      error.message || "An error occurred while approving comment",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   createComment,
+  approveComment,
 };
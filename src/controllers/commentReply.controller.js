@@ -3,8 +3,8 @@
  * Handles comment reply-related HTTP requests
  */
 
-import { createReply, getReplies } from "../services/commentReply.service.js";
-import { sendSuccess, sendError, sendBadRequest, sendNotFound } from "../utils/response.js";
+import { createReply, getReplies, approveReply } from "../services/commentReply.service.js";
+import { sendSuccess, sendError, sendBadRequest, sendNotFound, sendForbidden } from "../utils/response.js";
 import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
 
@@ -95,7 +95,53 @@ export const getRepliesHandler = async (req, res) => {
   }
 };
 
+/**
+ * Approve Reply (reply by a restricted user)
+ * @route POST /api/v1/comments/:commentId/replies/:replyId/approve
+ * @access Private
+ */
+export const approveReplyHandler = async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const { commentId, replyId } = req.params;
+
+    const result = await approveReply(userId, commentId, replyId);
+
+    return sendSuccess(
+      res,
+      result,
+      "Reply approved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Approve reply error:", error);
+
+    // Handle custom errors
+    if (error.message === "Reply not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message === "You can only approve replies on your own content") {
+      return sendForbidden(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to approve reply",
+      "Approve Reply Error",
+      error.message || "An error occurred while approving reply",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   createReplyHandler,
   getRepliesHandler,
+  approveReplyHandler,
 };
@@ -0,0 +1,192 @@
+/**
+ * Content Controller
+ * Handles single content detail and scheduled content HTTP requests
+ */
+
+import { getContentDetail } from "../services/content.service.js";
+import {
+  getScheduledContent,
+  rescheduleContent,
+  cancelScheduledContent,
+} from "../services/scheduled-content.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Get a post, write post or zeal with its first page of comments
+ * @route GET /api/v1/content/:contentType/:contentId
+ * @access Public (optional auth)
+ */
+export const getContent = async (req, res) => {
+  try {
+    const userId = req.user?._id || null;
+    const { contentType, contentId } = req.params;
+
+    const result = await getContentDetail(userId, contentType, contentId);
+
+    return sendSuccess(
+      res,
+      result,
+      "Content retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get content error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message === "This account is private") {
+      return sendForbidden(res, error.message);
+    }
+
+    if (error.message === "Invalid content type") {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to retrieve content",
+      "Content Error",
+      error.message || "An error occurred while retrieving content",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get the user's scheduled posts, write posts, zeals and polls
+ * @route GET /api/v1/content/scheduled
+ * @access Private
+ */
+export const getScheduled = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { page, limit, contentType } = req.query;
+
+    const result = await getScheduledContent(userId, page, limit, contentType);
+
+    return sendSuccess(
+      res,
+      result,
+      "Scheduled content retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get scheduled content error:", error);
+
+    if (error.message === "Invalid content type") {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to retrieve scheduled content",
+      "Scheduled Content Error",
+      error.message || "An error occurred while retrieving scheduled content",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Move a scheduled item to another publish time
+ * @route PATCH /api/v1/content/scheduled/:contentType/:contentId
+ * @access Private
+ */
+export const reschedule = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { contentType, contentId } = req.params;
+
+    const result = await rescheduleContent(
+      userId,
+      contentType,
+      contentId,
+      req.body.scheduledAt
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Content rescheduled successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Reschedule content error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Scheduled content not found");
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to reschedule content",
+      "Scheduled Content Error",
+      error.message || "An error occurred while rescheduling content",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Cancel a scheduled item (it is deleted without being published)
+ * @route DELETE /api/v1/content/scheduled/:contentType/:contentId
+ * @access Private
+ */
+export const cancelScheduled = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { contentType, contentId } = req.params;
+
+    const result = await cancelScheduledContent(userId, contentType, contentId);
+
+    return sendSuccess(
+      res,
+      result,
+      "Scheduled content cancelled successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Cancel scheduled content error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Scheduled content not found");
+    }
+
+    if (error.message === "You can only delete your own content") {
+      return sendForbidden(res, "You can only cancel your own content");
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to cancel scheduled content",
+      "Scheduled Content Error",
+      error.message || "An error occurred while cancelling scheduled content",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  getContent,
+  getScheduled,
+  reschedule,
+  cancelScheduled,
+};
@@ -0,0 +1,119 @@
+/**
+ * Data Export Controller
+ * Handles personal data export ("download my data") requests
+ */
+
+import {
+  requestDataExport,
+  getDataExport,
+  getDataExports,
+} from "../services/data-export.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Request a personal data export
+ * @route POST /api/v1/users/me/export
+ * @access Private
+ */
+export const createDataExport = async (req, res) => {
+  try {
+    const dataExport = await requestDataExport(req.user._id);
+
+    return sendSuccess(
+      res,
+      { export: dataExport },
+      "Data export requested. You will be notified when it is ready",
+      StatusCodes.ACCEPTED
+    );
+  } catch (error) {
+    logger.error("Request data export error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to request data export",
+      "Data Export Error",
+      error.message || "An error occurred while requesting data export",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * List own data exports
+ * @route GET /api/v1/users/me/export
+ * @access Private
+ */
+export const listDataExports = async (req, res) => {
+  try {
+    const exports = await getDataExports(req.user._id);
+
+    return sendSuccess(
+      res,
+      { exports },
+      "Data exports retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("List data exports error:", error);
+    return sendError(
+      res,
+      "Failed to get data exports",
+      "Data Export Error",
+      error.message || "An error occurred while retrieving data exports",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get a data export (with download links when ready)
+ * @route GET /api/v1/users/me/export/:exportId
+ * @access Private
+ */
+export const getDataExportById = async (req, res) => {
+  try {
+    const dataExport = await getDataExport(req.user._id, req.params.exportId);
+
+    return sendSuccess(
+      res,
+      { export: dataExport },
+      "Data export retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get data export error:", error);
+
+    if (error.message === "Data export not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to get data export",
+      "Data Export Error",
+      error.message || "An error occurred while retrieving data export",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  createDataExport,
+  listDataExports,
+  getDataExportById,
+};
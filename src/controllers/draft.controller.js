@@ -0,0 +1,307 @@
+/**
+ * Draft Controller
+ * Handles server-side post and write post draft HTTP requests
+ */
+
+import {
+  createDraft as createDraftService,
+  getDrafts as getDraftsService,
+  getDraft as getDraftService,
+  updateDraft as updateDraftService,
+  deleteDraft as deleteDraftService,
+  publishDraft as publishDraftService,
+} from "../services/content-draft.service.js";
+import {
+  generateStorageKey,
+  uploadBufferToStorage,
+} from "../services/storage.service.js";
+import { ContentType } from "../models/enums.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+import { normalizeStringArray } from "../utils/multipart.js";
+
+// Errors telling a device its copy of the draft is outdated
+const CONFLICT_ERRORS = [
+  "Draft was changed on another device",
+  "Draft is already being published",
+  "Draft has already been published",
+];
+
+/**
+ * Format a draft for responses
+ * @param {Object} draft - Draft (mentionedUserIds and musicId populated)
+ * @returns {Object} Formatted draft
+ */
+const formatDraft = (draft) => ({
+  id: draft._id,
+  contentType: draft.contentType,
+  ...(draft.contentType === ContentType.POST
+    ? {
+        caption: draft.caption,
+        images: draft.images,
+        music: draft.musicId
+          ? {
+              id: draft.musicId._id,
+              title: draft.musicId.title,
+              artist: draft.musicId.artist,
+              album: draft.musicId.album,
+              coverImage: draft.musicId.coverImage,
+              duration: draft.musicId.duration,
+            }
+          : null,
+        musicStartTime: draft.musicStartTime,
+        musicEndTime: draft.musicEndTime,
+      }
+    : { content: draft.content }),
+  mentionedUsers: draft.mentionedUserIds.map((user) => ({
+    id: user._id,
+    name: user.name,
+    username: user.username,
+    profileImage: user.profileImage,
+    isAccountVerified: user.isAccountVerified,
+    isVerifiedBadge: user.isVerifiedBadge,
+  })),
+  visibility: draft.visibility,
+  revision: draft.revision,
+  expiresAt: draft.expiresAt,
+  createdAt: draft.createdAt,
+  updatedAt: draft.updatedAt,
+});
+
+/**
+ * Upload the images sent with a draft request
+ * @param {string} userId - User ID
+ * @param {Array} files - Multer files (may be undefined)
+ * @returns {Promise<Array<string>>} Public image URLs
+ */
+const uploadDraftImages = (userId, files = []) =>
+  Promise.all(
+    files.map((file) =>
+      uploadBufferToStorage(
+        generateStorageKey(userId.toString(), "image", file.mimetype, "posts"),
+        file.buffer,
+        file.mimetype
+      )
+    )
+  );
+
+/**
+ * Send the response for a failed draft request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown
+ * @param {string} action - What failed (e.g. "save draft")
+ */
+const sendDraftError = (res, error, action) => {
+  if (error.message === "Draft not found") {
+    return sendNotFound(res, error.message);
+  }
+
+  if (CONFLICT_ERRORS.includes(error.message)) {
+    return sendError(
+      res,
+      error.message,
+      "Conflict",
+      error.message,
+      StatusCodes.CONFLICT
+    );
+  }
+
+  if (error.message) {
+    return sendBadRequest(res, error.message);
+  }
+
+  return sendError(
+    res,
+    `Failed to ${action}`,
+    "Draft Error",
+    error.message || `An error occurred while trying to ${action}`,
+    StatusCodes.INTERNAL_SERVER_ERROR
+  );
+};
+
+/**
+ * Save a new post or write post draft
+ * @route POST /api/v1/drafts
+ * @access Private
+ */
+export const createDraft = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { contentType, ...fields } = req.body;
+
+    // Normalize multipart fields
+    if (fields.mentionedUserIds !== undefined) {
+      fields.mentionedUserIds = normalizeStringArray(fields.mentionedUserIds);
+    }
+
+    const images =
+      contentType === ContentType.POST
+        ? await uploadDraftImages(userId, req.files)
+        : [];
+
+    const draft = await createDraftService(userId, contentType, fields, images);
+
+    return sendSuccess(
+      res,
+      { draft: formatDraft(draft) },
+      "Draft saved successfully",
+      StatusCodes.CREATED
+    );
+  } catch (error) {
+    logger.error("Create draft error:", error);
+    return sendDraftError(res, error, "save draft");
+  }
+};
+
+/**
+ * Get own drafts, last saved first
+ * @route GET /api/v1/drafts
+ * @access Private
+ */
+export const getDrafts = async (req, res) => {
+  try {
+    const { contentType, page, limit } = req.query;
+
+    const result = await getDraftsService(
+      req.user._id,
+      contentType,
+      page,
+      limit
+    );
+
+    return sendSuccess(
+      res,
+      {
+        drafts: result.drafts.map(formatDraft),
+        pagination: result.pagination,
+      },
+      "Drafts retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get drafts error:", error);
+    return sendDraftError(res, error, "get drafts");
+  }
+};
+
+/**
+ * Get an own draft to resume it
+ * @route GET /api/v1/drafts/:draftId
+ * @access Private
+ */
+export const getDraft = async (req, res) => {
+  try {
+    const draft = await getDraftService(req.user._id, req.params.draftId);
+
+    return sendSuccess(
+      res,
+      { draft: formatDraft(draft) },
+      "Draft retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get draft error:", error);
+    return sendDraftError(res, error, "get draft");
+  }
+};
+
+/**
+ * Save changes to an own draft
+ * @route PATCH /api/v1/drafts/:draftId
+ * @access Private
+ */
+export const updateDraft = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { revision, ...changes } = req.body;
+
+    // Normalize multipart fields
+    if (changes.mentionedUserIds !== undefined) {
+      changes.mentionedUserIds = normalizeStringArray(changes.mentionedUserIds);
+    }
+    if (changes.images !== undefined) {
+      changes.images = normalizeStringArray(changes.images);
+    }
+
+    const images = await uploadDraftImages(userId, req.files);
+
+    const draft = await updateDraftService(
+      userId,
+      req.params.draftId,
+      revision,
+      changes,
+      images
+    );
+
+    return sendSuccess(
+      res,
+      { draft: formatDraft(draft) },
+      "Draft saved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Update draft error:", error);
+    return sendDraftError(res, error, "save draft");
+  }
+};
+
+/**
+ * Delete an own draft
+ * @route DELETE /api/v1/drafts/:draftId
+ * @access Private
+ */
+export const deleteDraft = async (req, res) => {
+  try {
+    await deleteDraftService(req.user._id, req.params.draftId);
+
+    return sendSuccess(
+      res,
+      { draftId: req.params.draftId },
+      "Draft deleted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Delete draft error:", error);
+    return sendDraftError(res, error, "delete draft");
+  }
+};
+
+/**
+ * Publish an own draft as a post or write post (optionally scheduled)
+ * @route POST /api/v1/drafts/:draftId/publish
+ * @access Private
+ */
+export const publishDraft = async (req, res) => {
+  try {
+    const result = await publishDraftService(req.user._id, req.params.draftId, {
+      scheduledAt: req.body.scheduledAt,
+    });
+
+    return sendSuccess(
+      res,
+      result,
+      result.content.scheduledAt
+        ? "Draft scheduled successfully"
+        : "Draft published successfully",
+      StatusCodes.CREATED
+    );
+  } catch (error) {
+    logger.error("Publish draft error:", error);
+    return sendDraftError(res, error, "publish draft");
+  }
+};
+
+export default {
+  createDraft,
+  getDrafts,
+  getDraft,
+  updateDraft,
+  deleteDraft,
+  publishDraft,
+};
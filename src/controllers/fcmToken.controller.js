@@ -23,7 +23,7 @@ export const registerToken = async (req, res) => {
     const userId = req.user._id;
     const { fcmToken } = req.body;
 
-    const user = await registerFCMToken(userId, fcmToken);
+    const user = await registerFCMToken(userId, fcmToken, req.sessionId);
 
     return sendSuccess(
       res,
@@ -76,7 +76,7 @@ export const removeToken = async (req, res) => {
   try {
     const userId = req.user._id;
 
-    const user = await removeFCMToken(userId);
+    const user = await removeFCMToken(userId, req.sessionId);
 
     return sendSuccess(
       res,
@@ -6,10 +6,18 @@
 import {
   followUser,
   unfollowUser,
+  removeFollower,
   isFollowing,
+  hasPendingFollowRequest,
+  getFollowRequests,
+  getSentFollowRequests,
+  acceptFollowRequest,
+  declineFollowRequest,
+  cancelFollowRequest,
   getFollowers,
   getFollowing,
   getFollowCounts,
+  getMutualFollowers,
 } from "../services/follow.service.js";
 import { sendSuccess, sendError, sendBadRequest, sendNotFound } from "../utils/response.js";
 import { StatusCodes } from "http-status-codes";
@@ -25,12 +33,26 @@ export const follow = async (req, res) => {
     const followerId = req.user._id.toString();
     const { userId: targetUserId } = req.params;
 
-    // Follow user
+    // Follow user (sends a follow request for private accounts)
     const result = await followUser(followerId, targetUserId);
 
+    if (result.status === "requested") {
+      return sendSuccess(
+        res,
+        {
+          status: result.status,
+          followRequest: result.followRequest,
+          targetUser: result.targetUser,
+        },
+        "Follow request sent successfully",
+        StatusCodes.CREATED
+      );
+    }
+
     return sendSuccess(
       res,
       {
+        status: result.status,
         followRelation: result.followRelation,
         targetUser: result.targetUser,
         follower: result.follower,
@@ -98,6 +120,48 @@ export const unfollow = async (req, res) => {
   }
 };
 
+/**
+ * Remove a follower from the current user's followers
+ * @route DELETE /api/v1/follow/followers/:userId
+ * @access Private
+ */
+export const removeFollowerFromList = async (req, res) => {
+  try {
+    const result = await removeFollower(
+      req.user._id.toString(),
+      req.params.userId,
+      req.body
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Follower removed successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Remove follower error:", error);
+
+    // Handle custom errors
+    if (error.message === "This user is not following you") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to remove follower",
+      "Remove Follower Error",
+      error.message || "An error occurred while removing follower",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 /**
  * Check if following a user
  * @route GET /api/v1/follow/:userId/status
@@ -108,14 +172,18 @@ export const getFollowStatus = async (req, res) => {
     const followerId = req.user._id.toString();
     const { userId: targetUserId } = req.params;
 
-    // Check if following
-    const following = await isFollowing(followerId, targetUserId);
+    // Check if following, or waiting for a private account's approval
+    const [following, requested] = await Promise.all([
+      isFollowing(followerId, targetUserId),
+      hasPendingFollowRequest(followerId, targetUserId),
+    ]);
 
     return sendSuccess(
       res,
       {
         userId: targetUserId,
         isFollowing: following,
+        isRequested: requested,
       },
       "Follow status retrieved successfully",
       StatusCodes.OK
@@ -272,12 +340,240 @@ export const getFollowCountsList = async (req, res) => {
   }
 };
 
+/**
+ * Get the accounts the current user follows that also follow a user
+ * @route GET /api/v1/follow/:userId/mutual
+ * @access Private
+ */
+export const getMutualFollowersList = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await getMutualFollowers(req.user._id.toString(), userId, page, limit);
+
+    return sendSuccess(
+      res,
+      result,
+      "Mutual followers retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get mutual followers error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to get mutual followers",
+      "Mutual Followers Error",
+      error.message || "An error occurred while retrieving mutual followers",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get follow requests waiting for the current user's approval
+ * @route GET /api/v1/follow/requests
+ * @access Private
+ */
+export const getFollowRequestsList = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await getFollowRequests(req.user._id.toString(), page, limit);
+
+    return sendSuccess(
+      res,
+      result,
+      "Follow requests retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get follow requests error:", error);
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to get follow requests",
+      "Follow Request Error",
+      error.message || "An error occurred while retrieving follow requests",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get follow requests the current user has sent
+ * @route GET /api/v1/follow/requests/sent
+ * @access Private
+ */
+export const getSentFollowRequestsList = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await getSentFollowRequests(req.user._id.toString(), page, limit);
+
+    return sendSuccess(
+      res,
+      result,
+      "Sent follow requests retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get sent follow requests error:", error);
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to get sent follow requests",
+      "Follow Request Error",
+      error.message || "An error occurred while retrieving sent follow requests",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Accept a follow request
+ * @route POST /api/v1/follow/requests/:userId/accept
+ * @access Private
+ */
+export const acceptRequest = async (req, res) => {
+  try {
+    const follower = await acceptFollowRequest(
+      req.user._id.toString(),
+      req.params.userId
+    );
+
+    return sendSuccess(
+      res,
+      { follower },
+      "Follow request accepted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Accept follow request error:", error);
+
+    // Handle custom errors
+    if (
+      error.message === "Follow request not found" ||
+      error.message === "User not found"
+    ) {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to accept follow request",
+      "Follow Request Error",
+      error.message || "An error occurred while accepting follow request",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Decline a follow request
+ * @route POST /api/v1/follow/requests/:userId/decline
+ * @access Private
+ */
+export const declineRequest = async (req, res) => {
+  try {
+    await declineFollowRequest(req.user._id.toString(), req.params.userId);
+
+    return sendSuccess(
+      res,
+      { userId: req.params.userId },
+      "Follow request declined successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Decline follow request error:", error);
+
+    // Handle custom errors
+    if (error.message === "Follow request not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to decline follow request",
+      "Follow Request Error",
+      error.message || "An error occurred while declining follow request",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Cancel a follow request the current user has sent
+ * @route DELETE /api/v1/follow/requests/:userId
+ * @access Private
+ */
+export const cancelRequest = async (req, res) => {
+  try {
+    await cancelFollowRequest(req.user._id.toString(), req.params.userId);
+
+    return sendSuccess(
+      res,
+      { userId: req.params.userId },
+      "Follow request cancelled successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Cancel follow request error:", error);
+
+    // Handle custom errors
+    if (error.message === "Follow request not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to cancel follow request",
+      "Follow Request Error",
+      error.message || "An error occurred while cancelling follow request",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   follow,
   unfollow,
+  removeFollowerFromList,
   getFollowStatus,
+  getFollowRequestsList,
+  getSentFollowRequestsList,
+  acceptRequest,
+  declineRequest,
+  cancelRequest,
   getFollowersList,
   getFollowingList,
   getFollowCountsList,
+  getMutualFollowersList,
 };
 
@@ -3,9 +3,19 @@
 
 // Auth Controllers
 export { default as authController } from "./auth.controller.js";
+export { default as sessionController } from "./session.controller.js";
+export { default as twoFactorController } from "./two-factor.controller.js";
+export { default as socialAccountController } from "./social-account.controller.js";
 
 // User Controllers
 export { default as userController } from "./user.controller.js";
+export { default as dataExportController } from "./data-export.controller.js";
+export { default as userBlockController } from "./user-block.controller.js";
+export { default as userMuteController } from "./user-mute.controller.js";
+export { default as userRestrictController } from "./user-restrict.controller.js";
+export { default as closeFriendsController } from "./close-friends.controller.js";
+export { default as userSuggestionController } from "./user-suggestion.controller.js";
+export { default as presenceController } from "./presence.controller.js";
 
 // Write Post Controllers
 export { default as writePostController } from "./writePost.controller.js";
@@ -16,6 +26,10 @@ export { default as postController } from "./post.controller.js";
 // Zeal Controllers
 export { default as zealController } from "./zeal.controller.js";
 
+// Content Controllers
+export { default as contentController } from "./content.controller.js";
+export { default as draftController } from "./draft.controller.js";
+
 // Follow Controllers
 export { default as followController } from "./follow.controller.js";
 
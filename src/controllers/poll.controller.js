@@ -3,7 +3,17 @@ import {
   votePoll as votePollService,
   getPoll as getPollService,
 } from "../services/poll.service.js";
-import { sendSuccess, sendError, sendBadRequest } from "../utils/response.js";
+import {
+  deleteContent,
+  POLL_CONTENT_TYPE,
+} from "../services/content-deletion.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/response.js";
 import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
 
@@ -36,6 +46,7 @@ export const createPoll = async (req, res) => {
           totalVotes: poll.totalVotes,
           status: poll.status,
           duration: poll.duration,
+          scheduledAt: poll.scheduledAt,
           createdBy: {
             id: poll.createdBy._id,
             name: poll.createdBy.name,
@@ -48,7 +59,9 @@ export const createPoll = async (req, res) => {
           updatedAt: poll.updatedAt,
         },
       },
-      "Poll created successfully",
+      poll.scheduledAt
+        ? "Poll scheduled successfully"
+        : "Poll created successfully",
       StatusCodes.CREATED
     );
   } catch (error) {
@@ -100,6 +113,7 @@ export const votePoll = async (req, res) => {
           totalVotes: poll.totalVotes,
           status: poll.status,
           duration: poll.duration,
+          scheduledAt: poll.scheduledAt,
           createdBy: {
             id: poll.createdBy._id,
             name: poll.createdBy.name,
@@ -163,6 +177,7 @@ export const getPoll = async (req, res) => {
           totalVotes: poll.totalVotes,
           status: poll.status,
           duration: poll.duration,
+          scheduledAt: poll.scheduledAt,
           userVote: userVote, // Option ID that user voted for, or null
           createdBy: {
             id: poll.createdBy._id,
@@ -198,8 +213,49 @@ export const getPoll = async (req, res) => {
   }
 };
 
+/**
+ * Delete Poll
+ * @route DELETE /api/v1/polls/:pollId
+ * @access Private
+ */
+export const deletePoll = async (req, res) => {
+  try {
+    const result = await deleteContent(
+      req.user._id,
+      POLL_CONTENT_TYPE,
+      req.params.pollId
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Poll deleted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Delete poll error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Poll not found");
+    }
+
+    if (error.message === "You can only delete your own content") {
+      return sendForbidden(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to delete poll",
+      "Delete Poll Error",
+      error.message || "An error occurred while deleting poll",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   createPoll,
   votePoll,
   getPoll,
+  deletePoll,
 };
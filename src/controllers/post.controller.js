@@ -1,31 +1,69 @@
-import { createPost as createPostService } from "../services/post.service.js";
+import {
+  createPost as createPostService,
+  updatePost as updatePostService,
+} from "../services/post.service.js";
+import { getContentEditHistory } from "../services/content-edit.service.js";
+import { deleteContent } from "../services/content-deletion.service.js";
 import {
   generateStorageKey,
   uploadBufferToStorage,
 } from "../services/storage.service.js";
-import { sendSuccess, sendError, sendBadRequest } from "../utils/response.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/response.js";
+import { ContentType } from "../models/enums.js";
 import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
+import { normalizeStringArray } from "../utils/multipart.js";
 
-const normalizeStringArray = (value) => {
-  if (!value) return [];
-  if (Array.isArray(value)) return value;
-  if (typeof value === "string") {
-    const trimmed = value.trim();
-    if (!trimmed) return [];
-    try {
-      const parsed = JSON.parse(trimmed);
-      if (Array.isArray(parsed)) return parsed;
-    } catch {
-      // Fallback to comma-separated
-    }
-    return trimmed
-      .split(",")
-      .map((item) => item.trim())
-      .filter(Boolean);
-  }
-  return [];
-};
+/**
+ * Format a populated post for responses
+ * @param {Object} post - Post document (userId, mentionedUserIds and musicId populated)
+ * @returns {Object} Formatted post
+ */
+const formatPost = (post) => ({
+  id: post._id,
+  caption: post.caption,
+  images: post.images,
+  userId: {
+    id: post.userId._id,
+    name: post.userId.name,
+    username: post.userId.username,
+    profileImage: post.userId.profileImage,
+    isAccountVerified: post.userId.isAccountVerified,
+    isVerifiedBadge: post.userId.isVerifiedBadge,
+  },
+  mentionedUsers: post.mentionedUserIds.map((user) => ({
+    id: user._id,
+    name: user.name,
+    username: user.username,
+    profileImage: user.profileImage,
+    isAccountVerified: user.isAccountVerified,
+    isVerifiedBadge: user.isVerifiedBadge,
+  })),
+  music: post.musicId
+    ? {
+        id: post.musicId._id,
+        title: post.musicId.title,
+        artist: post.musicId.artist,
+        album: post.musicId.album,
+        coverImage: post.musicId.coverImage,
+        duration: post.musicId.duration,
+      }
+    : null,
+  musicStartTime: post.musicStartTime,
+  musicEndTime: post.musicEndTime,
+  visibility: post.visibility,
+  isEdited: Boolean(post.editedAt),
+  editedAt: post.editedAt || null,
+  scheduledAt: post.scheduledAt || null,
+  createdAt: post.createdAt,
+  updatedAt: post.updatedAt,
+});
 
 /**
  * Create Post
@@ -59,51 +97,12 @@ export const createPost = async (req, res) => {
     // Create post
     const post = await createPostService(userId, postData);
 
-    // Format music data if present
-    let musicData = null;
-    if (post.musicId) {
-      musicData = {
-        id: post.musicId._id,
-        title: post.musicId.title,
-        artist: post.musicId.artist,
-        album: post.musicId.album,
-        coverImage: post.musicId.coverImage,
-        duration: post.musicId.duration,
-      };
-    }
-
-    // Return success response
     return sendSuccess(
       res,
-      {
-        post: {
-          id: post._id,
-          caption: post.caption,
-          images: post.images,
-          userId: {
-            id: post.userId._id,
-            name: post.userId.name,
-            username: post.userId.username,
-            profileImage: post.userId.profileImage,
-            isAccountVerified: post.userId.isAccountVerified,
-            isVerifiedBadge: post.userId.isVerifiedBadge,
-          },
-          mentionedUsers: post.mentionedUserIds.map((user) => ({
-            id: user._id,
-            name: user.name,
-            username: user.username,
-            profileImage: user.profileImage,
-            isAccountVerified: user.isAccountVerified,
-            isVerifiedBadge: user.isVerifiedBadge,
-          })),
-          music: musicData,
-          musicStartTime: post.musicStartTime,
-          musicEndTime: post.musicEndTime,
-          createdAt: post.createdAt,
-          updatedAt: post.updatedAt,
-        },
-      },
-      "Post created successfully",
+      { post: formatPost(post) },
+      post.scheduledAt
+        ? "Post scheduled successfully"
+        : "Post created successfully",
       StatusCodes.CREATED
     );
   } catch (error) {
@@ -125,6 +124,134 @@ export const createPost = async (req, res) => {
   }
 };
 
+/**
+ * Update Post
+ * @route PATCH /api/v1/posts/:postId
+ * @access Private
+ */
+export const updatePost = async (req, res) => {
+  try {
+    const post = await updatePostService(
+      req.user._id,
+      req.params.postId,
+      req.body
+    );
+
+    return sendSuccess(
+      res,
+      { post: formatPost(post) },
+      "Post updated successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Update post error:", error);
+
+    if (error.message === "Post not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message === "You can only edit your own posts") {
+      return sendForbidden(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to update post",
+      "Update Post Error",
+      error.message || "An error occurred while updating post",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get Post Edit History (author only)
+ * @route GET /api/v1/posts/:postId/history
+ * @access Private
+ */
+export const getPostHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const history = await getContentEditHistory(
+      req.user._id,
+      ContentType.POST,
+      req.params.postId,
+      page,
+      limit
+    );
+
+    return sendSuccess(
+      res,
+      history,
+      "Post edit history retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get post history error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Post not found");
+    }
+
+    return sendError(
+      res,
+      "Failed to get post edit history",
+      "Post History Error",
+      error.message || "An error occurred while retrieving post edit history",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete Post
+ * @route DELETE /api/v1/posts/:postId
+ * @access Private
+ */
+export const deletePost = async (req, res) => {
+  try {
+    const result = await deleteContent(
+      req.user._id,
+      ContentType.POST,
+      req.params.postId
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Post deleted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Delete post error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Post not found");
+    }
+
+    if (error.message === "You can only delete your own content") {
+      return sendForbidden(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to delete post",
+      "Delete Post Error",
+      error.message || "An error occurred while deleting post",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   createPost,
+  updatePost,
+  getPostHistory,
+  deletePost,
 };
@@ -0,0 +1,43 @@
+/**
+ * Presence Controller
+ * Handles online status / last seen HTTP requests
+ */
+
+import { getUsersPresence } from "../services/presence.service.js";
+import { sendSuccess, sendError } from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Get the presence of a list of users
+ * @route GET /api/v1/users/presence
+ * @access Private
+ */
+export const getPresence = async (req, res) => {
+  try {
+    const result = await getUsersPresence(
+      req.user._id.toString(),
+      req.query.userIds
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Presence retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get presence error:", error);
+    return sendError(
+      res,
+      "Failed to get presence",
+      "Presence Error",
+      error.message || "An error occurred while retrieving presence",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  getPresence,
+};
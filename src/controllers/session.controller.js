@@ -0,0 +1,160 @@
+/**
+ * Session Controller
+ * Handles signed-in device listing and remote logout
+ */
+
+import {
+  getActiveSessions,
+  signOutSession,
+  revokeUserSessions,
+} from "../services/session.service.js";
+import { SessionRevokeReason } from "../models/enums.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Get active sessions (signed-in devices)
+ * @route GET /api/v1/auth/sessions
+ * @access Private
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id, req.sessionId);
+
+    return sendSuccess(
+      res,
+      { sessions },
+      "Active sessions retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get sessions error:", error);
+    return sendError(
+      res,
+      "Failed to get sessions",
+      "Session Error",
+      error.message || "An error occurred while retrieving sessions",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Sign out a single session
+ * @route DELETE /api/v1/auth/sessions/:sessionId
+ * @access Private
+ */
+export const revokeSessionById = async (req, res) => {
+  try {
+    const result = await signOutSession(
+      req.user._id,
+      req.params.sessionId,
+      req.sessionId
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Session signed out successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Revoke session error:", error);
+
+    if (error.message === "Session not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to sign out session",
+      "Session Error",
+      error.message || "An error occurred while signing out session",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Sign out every session except the current one
+ * @route DELETE /api/v1/auth/sessions
+ * @access Private
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    if (!req.sessionId) {
+      return sendBadRequest(
+        res,
+        "Current session could not be identified. Please login again"
+      );
+    }
+
+    const revokedCount = await revokeUserSessions(
+      req.user._id,
+      SessionRevokeReason.REMOTE_LOGOUT,
+      req.sessionId
+    );
+
+    return sendSuccess(
+      res,
+      { revokedCount },
+      "Signed out of all other sessions successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Revoke other sessions error:", error);
+    return sendError(
+      res,
+      "Failed to sign out other sessions",
+      "Session Error",
+      error.message || "An error occurred while signing out sessions",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Logout (sign out the current session)
+ * @route POST /api/v1/auth/logout
+ * @access Private
+ */
+export const logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await signOutSession(req.user._id, req.sessionId, req.sessionId);
+    }
+
+    return sendSuccess(res, null, "Logged out successfully", StatusCodes.OK);
+  } catch (error) {
+    logger.error("Logout error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to logout",
+      "Logout Error",
+      error.message || "An error occurred during logout",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  logout,
+};
@@ -0,0 +1,114 @@
+/**
+ * Social Account Controller
+ * Handles linking and unlinking Apple / Google sign-in from the profile
+ */
+
+import {
+  getLinkedSocialAccounts,
+  linkSocialAccount,
+  unlinkSocialAccount,
+} from "../services/social-auth.service.js";
+import { sendSuccess, sendError, sendBadRequest } from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * List linked sign-in providers
+ * @route GET /api/v1/auth/social
+ * @access Private
+ */
+export const getLinkedAccounts = async (req, res) => {
+  try {
+    const linkedAccounts = await getLinkedSocialAccounts(req.user._id);
+
+    return sendSuccess(
+      res,
+      { linkedAccounts },
+      "Linked accounts retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get linked accounts error:", error);
+    return sendError(
+      res,
+      "Failed to get linked accounts",
+      "Social Account Error",
+      error.message || "An error occurred while retrieving linked accounts",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Link a sign-in provider to the current account
+ * @route POST /api/v1/auth/social/:provider/link
+ * @access Private
+ */
+export const linkAccount = async (req, res) => {
+  try {
+    const linkedAccount = await linkSocialAccount(
+      req.user._id,
+      req.params.provider,
+      req.body.idToken
+    );
+
+    return sendSuccess(
+      res,
+      { linkedAccount },
+      "Account linked successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Link social account error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to link account",
+      "Social Account Error",
+      error.message || "An error occurred while linking account",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Unlink a sign-in provider from the current account
+ * @route DELETE /api/v1/auth/social/:provider
+ * @access Private
+ */
+export const unlinkAccount = async (req, res) => {
+  try {
+    await unlinkSocialAccount(req.user._id, req.params.provider);
+
+    return sendSuccess(
+      res,
+      null,
+      "Account unlinked successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Unlink social account error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to unlink account",
+      "Social Account Error",
+      error.message || "An error occurred while unlinking account",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  getLinkedAccounts,
+  linkAccount,
+  unlinkAccount,
+};
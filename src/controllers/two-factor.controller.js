@@ -0,0 +1,180 @@
+/**
+ * Two-Factor Controller
+ * Handles TOTP enrollment, recovery codes and turning 2FA off
+ */
+
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+} from "../services/two-factor.service.js";
+import { sendSuccess, sendError, sendBadRequest } from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Get two-factor status
+ * @route GET /api/v1/auth/2fa
+ * @access Private
+ */
+export const getStatus = async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user._id);
+
+    return sendSuccess(
+      res,
+      status,
+      "Two-factor status retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get two-factor status error:", error);
+    return sendError(
+      res,
+      "Failed to get two-factor status",
+      "Two-Factor Error",
+      error.message || "An error occurred while retrieving two-factor status",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * @route POST /api/v1/auth/2fa/setup
+ * @access Private
+ */
+export const setup = async (req, res) => {
+  try {
+    const result = await setupTwoFactor(req.user._id);
+
+    return sendSuccess(
+      res,
+      result,
+      "Scan the code with your authenticator app, then confirm with a code",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Two-factor setup error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to start two-factor setup",
+      "Two-Factor Error",
+      error.message || "An error occurred during two-factor setup",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Confirm enrollment and enable two-factor
+ * @route POST /api/v1/auth/2fa/enable
+ * @access Private
+ */
+export const enable = async (req, res) => {
+  try {
+    const result = await enableTwoFactor(req.user._id, req.body.code);
+
+    return sendSuccess(
+      res,
+      result,
+      "Two-factor authentication enabled. Store your recovery codes safely; they will not be shown again",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Enable two-factor error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to enable two-factor authentication",
+      "Two-Factor Error",
+      error.message || "An error occurred while enabling two-factor",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Disable two-factor
+ * @route POST /api/v1/auth/2fa/disable
+ * @access Private
+ */
+export const disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    await disableTwoFactor(req.user._id, password, { code, recoveryCode });
+
+    return sendSuccess(
+      res,
+      null,
+      "Two-factor authentication disabled",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Disable two-factor error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to disable two-factor authentication",
+      "Two-Factor Error",
+      error.message || "An error occurred while disabling two-factor",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Regenerate recovery codes
+ * @route POST /api/v1/auth/2fa/recovery-codes
+ * @access Private
+ */
+export const regenerateCodes = async (req, res) => {
+  try {
+    const result = await regenerateRecoveryCodes(req.user._id, req.body.code);
+
+    return sendSuccess(
+      res,
+      result,
+      "Recovery codes regenerated. Previous codes no longer work",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Regenerate recovery codes error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to regenerate recovery codes",
+      "Two-Factor Error",
+      error.message || "An error occurred while regenerating recovery codes",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateCodes,
+};
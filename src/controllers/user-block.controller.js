@@ -0,0 +1,122 @@
+/**
+ * User Block Controller
+ * Handles block / unblock HTTP requests
+ */
+
+import {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+} from "../services/user-block.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Block a user
+ * @route POST /api/v1/users/:userId/block
+ * @access Private
+ */
+export const block = async (req, res) => {
+  try {
+    const blockedUser = await blockUser(req.user._id, req.params.userId);
+
+    return sendSuccess(
+      res,
+      { blockedUser },
+      "User blocked successfully",
+      StatusCodes.CREATED
+    );
+  } catch (error) {
+    logger.error("Block user error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to block user",
+      "Block Error",
+      error.message || "An error occurred while blocking user",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Unblock a user
+ * @route DELETE /api/v1/users/:userId/block
+ * @access Private
+ */
+export const unblock = async (req, res) => {
+  try {
+    await unblockUser(req.user._id, req.params.userId);
+
+    return sendSuccess(
+      res,
+      { userId: req.params.userId },
+      "User unblocked successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Unblock user error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to unblock user",
+      "Block Error",
+      error.message || "An error occurred while unblocking user",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * List blocked accounts
+ * @route GET /api/v1/users/me/blocked
+ * @access Private
+ */
+export const getBlockedList = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await getBlockedUsers(req.user._id, page, limit);
+
+    return sendSuccess(
+      res,
+      result,
+      "Blocked users retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get blocked users error:", error);
+    return sendError(
+      res,
+      "Failed to get blocked users",
+      "Block Error",
+      error.message || "An error occurred while retrieving blocked users",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  block,
+  unblock,
+  getBlockedList,
+};
@@ -0,0 +1,124 @@
+/**
+ * User Mute Controller
+ * Handles mute / unmute HTTP requests
+ */
+
+import {
+  muteUser,
+  unmuteUser,
+  getMutedUsers,
+} from "../services/user-mute.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Mute a user or change what is muted
+ * @route PUT /api/v1/users/:userId/mute
+ * @access Private
+ */
+export const mute = async (req, res) => {
+  try {
+    const mutedUser = await muteUser(req.user._id, req.params.userId, req.body);
+
+    return sendSuccess(
+      res,
+      { mutedUser },
+      mutedUser.isMuted
+        ? "Mute settings updated successfully"
+        : "User unmuted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Mute user error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to mute user",
+      "Mute Error",
+      error.message || "An error occurred while muting user",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Unmute a user
+ * @route DELETE /api/v1/users/:userId/mute
+ * @access Private
+ */
+export const unmute = async (req, res) => {
+  try {
+    await unmuteUser(req.user._id, req.params.userId);
+
+    return sendSuccess(
+      res,
+      { userId: req.params.userId },
+      "User unmuted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Unmute user error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to unmute user",
+      "Mute Error",
+      error.message || "An error occurred while unmuting user",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * List muted accounts
+ * @route GET /api/v1/users/me/muted
+ * @access Private
+ */
+export const getMutedList = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await getMutedUsers(req.user._id, page, limit);
+
+    return sendSuccess(
+      res,
+      result,
+      "Muted users retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get muted users error:", error);
+    return sendError(
+      res,
+      "Failed to get muted users",
+      "Mute Error",
+      error.message || "An error occurred while retrieving muted users",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  mute,
+  unmute,
+  getMutedList,
+};
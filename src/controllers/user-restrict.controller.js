@@ -0,0 +1,122 @@
+/**
+ * User Restrict Controller
+ * Handles restrict / unrestrict HTTP requests
+ */
+
+import {
+  restrictUser,
+  unrestrictUser,
+  getRestrictedUsers,
+} from "../services/user-restrict.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Restrict a user
+ * @route POST /api/v1/users/:userId/restrict
+ * @access Private
+ */
+export const restrict = async (req, res) => {
+  try {
+    const restrictedUser = await restrictUser(req.user._id, req.params.userId);
+
+    return sendSuccess(
+      res,
+      { restrictedUser },
+      "User restricted successfully",
+      StatusCodes.CREATED
+    );
+  } catch (error) {
+    logger.error("Restrict user error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to restrict user",
+      "Restrict Error",
+      error.message || "An error occurred while restricting user",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Unrestrict a user
+ * @route DELETE /api/v1/users/:userId/restrict
+ * @access Private
+ */
+export const unrestrict = async (req, res) => {
+  try {
+    await unrestrictUser(req.user._id, req.params.userId);
+
+    return sendSuccess(
+      res,
+      { userId: req.params.userId },
+      "User unrestricted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Unrestrict user error:", error);
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to unrestrict user",
+      "Restrict Error",
+      error.message || "An error occurred while unrestricting user",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * List restricted accounts
+ * @route GET /api/v1/users/me/restricted
+ * @access Private
+ */
+export const getRestrictedList = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await getRestrictedUsers(req.user._id, page, limit);
+
+    return sendSuccess(
+      res,
+      result,
+      "Restricted users retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get restricted users error:", error);
+    return sendError(
+      res,
+      "Failed to get restricted users",
+      "Restrict Error",
+      error.message || "An error occurred while retrieving restricted users",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  restrict,
+  unrestrict,
+  getRestrictedList,
+};
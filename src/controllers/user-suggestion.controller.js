@@ -0,0 +1,89 @@
+/**
+ * User Suggestion Controller
+ * Handles "People you may know" follow suggestion HTTP requests
+ */
+
+import {
+  getFollowSuggestions,
+  dismissSuggestion,
+} from "../services/user-suggestion.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+} from "../utils/response.js";
+import { StatusCodes } from "http-status-codes";
+import logger from "../utils/logger.js";
+
+/**
+ * Get follow suggestions
+ * @route GET /api/v1/users/suggestions
+ * @access Private
+ */
+export const getSuggestions = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await getFollowSuggestions(req.user._id.toString(), {
+      limit,
+    });
+
+    return sendSuccess(
+      res,
+      result,
+      "Suggestions retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get suggestions error:", error);
+    return sendError(
+      res,
+      "Failed to get suggestions",
+      "Suggestions Error",
+      error.message || "An error occurred while retrieving suggestions",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Dismiss a follow suggestion
+ * @route POST /api/v1/users/suggestions/:userId/dismiss
+ * @access Private
+ */
+export const dismiss = async (req, res) => {
+  try {
+    await dismissSuggestion(req.user._id.toString(), req.params.userId);
+
+    return sendSuccess(
+      res,
+      { userId: req.params.userId },
+      "Suggestion dismissed successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Dismiss suggestion error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to dismiss suggestion",
+      "Suggestions Error",
+      error.message || "An error occurred while dismissing suggestion",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+export default {
+  getSuggestions,
+  dismiss,
+};
@@ -7,9 +7,28 @@ import {
   sendError,
   sendBadRequest,
   sendNotFound,
+  sendForbidden,
   sendPaginated,
 } from "../utils/response.js";
 import { searchUsersByUsername, searchUsersForMentions } from "../services/user.service.js";
+import {
+  requestAccountDeletion,
+  sendAccountDeletionCode,
+} from "../services/account-deletion.service.js";
+import {
+  getBlockedUserIds,
+  isBlockedBetween,
+} from "../utils/blockFilter.js";
+import {
+  canViewUserContent,
+  getVisibleAuthorIds,
+} from "../utils/privacyFilter.js";
+import { getAudienceVisibilityQuery } from "../utils/audienceFilter.js";
+import { PUBLISHED_CONTENT_QUERY } from "../utils/contentFilter.js";
+import {
+  changeUsername as changeUsernameService,
+  getUsernameHistory as getUsernameHistoryService,
+} from "../services/username.service.js";
 import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
 import Post from "../models/content/Post.js";
@@ -18,9 +37,9 @@ import WritePost from "../models/content/WritePost.js";
 import { getPagination, getPaginationMeta } from "../utils/pagination.js";
 import Poll from "../models/content/Poll.js";
 import ContentLike from "../models/interactions/ContentLike.js";
-import Comment from "../models/comments/Comment.js";
 import SavedContent from "../models/interactions/SavedContent.js";
 import { ContentType } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
 import { generateShareableLink } from "../utils/shareableLink.js";
 import {
   generateStorageKey,
@@ -145,6 +164,7 @@ const getSavedContentIds = async (userId, contentItems) => {
 
 /**
  * Get engagement metrics (likeCount, commentCount) for content items
+ * (denormalized counters, kept in line by services/counter.service.js)
  * @param {Array} contentItems - Array of content items with contentType and _id
  * @returns {Promise<Map>} Map of contentId -> { likeCount, commentCount }
  */
@@ -169,76 +189,24 @@ const getEngagementMetrics = async (contentItems) => {
     }
   });
 
-  // Fetch metrics in parallel for each content type
-  const metricPromises = [];
-
-  for (const [contentType, contentIds] of Object.entries(byType)) {
-    if (contentIds.length === 0) continue;
-
-    // Get likes
-    metricPromises.push(
-      ContentLike.aggregate([
-        {
-          $match: {
-            contentType,
-            contentId: { $in: contentIds },
-          },
-        },
-        {
-          $group: {
-            _id: "$contentId",
-            likeCount: { $sum: 1 },
-          },
-        },
-      ])
-    );
-
-    // Get comments
-    metricPromises.push(
-      Comment.aggregate([
-        {
-          $match: {
-            contentType,
-            contentId: { $in: contentIds },
-          },
-        },
-        {
-          $group: {
-            _id: "$contentId",
-            commentCount: { $sum: 1 },
-          },
-        },
-      ])
-    );
-  }
-
-  const results = await Promise.all(metricPromises);
-
-  // Process results and build metrics map
-  let resultIndex = 0;
-  for (const [, contentIds] of Object.entries(byType)) {
-    if (contentIds.length === 0) continue;
+  // Fetch counters in parallel for each content type
+  const results = await Promise.all(
+    Object.entries(byType)
+      .filter(([, contentIds]) => contentIds.length > 0)
+      .map(([contentType, contentIds]) =>
+        getContentModel(contentType)
+          .find({ _id: { $in: contentIds } })
+          .select("likeCount commentCount")
+          .lean()
+      )
+  );
 
-    // Process likes
-    const likes = results[resultIndex++] || [];
-    likes.forEach((item) => {
-      const id = item._id.toString();
-      if (!metricsMap.has(id)) {
-        metricsMap.set(id, { likeCount: 0, commentCount: 0 });
-      }
-      metricsMap.get(id).likeCount = item.likeCount;
+  results.flat().forEach((content) => {
+    metricsMap.set(content._id.toString(), {
+      likeCount: content.likeCount || 0,
+      commentCount: content.commentCount || 0,
     });
-
-    // Process comments
-    const comments = results[resultIndex++] || [];
-    comments.forEach((item) => {
-      const id = item._id.toString();
-      if (!metricsMap.has(id)) {
-        metricsMap.set(id, { likeCount: 0, commentCount: 0 });
-      }
-      metricsMap.get(id).commentCount = item.commentCount;
-    });
-  }
+  });
 
   // Initialize metrics for items that don't have any engagement yet
   contentItems.forEach((item) => {
@@ -438,6 +406,22 @@ export const getUserPost = async (req, res) => {
 
     filter.userId = userId ? new mongoose.Types.ObjectId(userId) : req.user._id;
 
+    // Blocked users can't see each other's content
+    if (await isBlockedBetween(req.user._id, filter.userId)) {
+      return sendNotFound(res, "User not found");
+    }
+
+    // Private accounts only show their content to followers
+    if (!(await canViewUserContent(req.user._id, filter.userId))) {
+      return sendForbidden(res, "This account is private");
+    }
+
+    // Close Friends content is only listed for the author's Close Friends
+    Object.assign(filter, await getAudienceVisibilityQuery(req.user._id));
+
+    // Scheduled content is listed once it is published
+    Object.assign(filter, PUBLISHED_CONTENT_QUERY);
+
     if (date) {
       // date format: YYYY-MM-DD
       const startDate = new Date(`${date}T00:00:00.000Z`);
@@ -529,6 +513,22 @@ export const getUserWritePosts = async (req, res) => {
 
     filter.userId = userId ? new mongoose.Types.ObjectId(userId) : req.user._id;
 
+    // Blocked users can't see each other's content
+    if (await isBlockedBetween(req.user._id, filter.userId)) {
+      return sendNotFound(res, "User not found");
+    }
+
+    // Private accounts only show their content to followers
+    if (!(await canViewUserContent(req.user._id, filter.userId))) {
+      return sendForbidden(res, "This account is private");
+    }
+
+    // Close Friends content is only listed for the author's Close Friends
+    Object.assign(filter, await getAudienceVisibilityQuery(req.user._id));
+
+    // Scheduled content is listed once it is published
+    Object.assign(filter, PUBLISHED_CONTENT_QUERY);
+
     if (date) {
       // date format: YYYY-MM-DD
       const startDate = new Date(`${date}T00:00:00.000Z`);
@@ -622,6 +622,19 @@ export const getUserPolls = async (req, res) => {
       ? new mongoose.Types.ObjectId(createdBy)
       : req.user._id;
 
+    // Blocked users can't see each other's content
+    if (await isBlockedBetween(req.user._id, filter.createdBy)) {
+      return sendNotFound(res, "User not found");
+    }
+
+    // Private accounts only show their content to followers
+    if (!(await canViewUserContent(req.user._id, filter.createdBy))) {
+      return sendForbidden(res, "This account is private");
+    }
+
+    // Scheduled polls are listed once they are published
+    Object.assign(filter, PUBLISHED_CONTENT_QUERY);
+
     if (date) {
       // date format: YYYY-MM-DD
       const startDate = new Date(`${date}T00:00:00.000Z`);
@@ -686,17 +699,42 @@ export const getMentionedPosts = async (req, res) => {
       ? new mongoose.Types.ObjectId(req.query.userId)
       : req.user._id;
 
+    // Blocked users can't see each other's content
+    if (await isBlockedBetween(req.user._id, targetUserId)) {
+      return sendNotFound(res, "User not found");
+    }
+
+    const baseMentionFilter = {
+      mentionedUserIds: { $in: [targetUserId] },
+      ...(await getAudienceVisibilityQuery(req.user._id)),
+      ...PUBLISHED_CONTENT_QUERY,
+    };
+
+    // Leave out posts by users blocked with the viewer and by private
+    // accounts the viewer doesn't follow (checked for the authors of these
+    // posts only)
+    const [postAuthorIds, writePostAuthorIds, blockedUserIds] =
+      await Promise.all([
+        Post.distinct("userId", baseMentionFilter),
+        WritePost.distinct("userId", baseMentionFilter),
+        getBlockedUserIds(req.user._id),
+      ]);
+    const visibleAuthorIds = await getVisibleAuthorIds(req.user._id, [
+      ...postAuthorIds,
+      ...writePostAuthorIds,
+    ]);
+    const mentionFilter = {
+      ...baseMentionFilter,
+      userId: { $in: visibleAuthorIds, $nin: blockedUserIds },
+    };
+
     // Get pagination parameters
     const { page, limit, skip } = getPagination(req);
 
     // Get total counts for pagination
     const [postCount, writePostCount] = await Promise.all([
-      Post.countDocuments({
-        mentionedUserIds: { $in: [targetUserId] },
-      }),
-      WritePost.countDocuments({
-        mentionedUserIds: { $in: [targetUserId] },
-      }),
+      Post.countDocuments(mentionFilter),
+      WritePost.countDocuments(mentionFilter),
     ]);
     const total = postCount + writePostCount;
 
@@ -704,9 +742,7 @@ export const getMentionedPosts = async (req, res) => {
     // Fetch enough records to ensure we have data after merging and sorting
     const fetchLimit = skip + limit + 100; // Fetch extra to ensure we have enough after merge
     const [posts, writePosts] = await Promise.all([
-      Post.find({
-        mentionedUserIds: { $in: [targetUserId] },
-      })
+      Post.find(mentionFilter)
         .sort({ createdAt: -1 })
         .limit(fetchLimit)
         .populate(
@@ -718,9 +754,7 @@ export const getMentionedPosts = async (req, res) => {
           "name username profileImage isAccountVerified isVerifiedBadge"
         )
         .lean(),
-      WritePost.find({
-        mentionedUserIds: { $in: [targetUserId] },
-      })
+      WritePost.find(mentionFilter)
         .sort({ createdAt: -1 })
         .limit(fetchLimit)
         .populate(
@@ -841,6 +875,148 @@ export const searchUsersForMentionsHandler = async (req, res) => {
   }
 };
 
+/**
+ * Send an SMS code to confirm deleting own account (accounts without a password)
+ * @route POST /api/v1/users/me/deletion-code
+ * @access Private
+ */
+export const sendDeletionCode = async (req, res) => {
+  try {
+    const result = await sendAccountDeletionCode(req.user._id);
+
+    return sendSuccess(res, result, result.message, StatusCodes.OK);
+  } catch (error) {
+    logger.error("Send deletion code error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to send deletion code",
+      "Account Deletion Error",
+      error.message || "An error occurred while sending the deletion code",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete own account (restorable by logging in during the grace period)
+ * @route DELETE /api/v1/users/me
+ * @access Private
+ */
+export const deleteAccount = async (req, res) => {
+  try {
+    const { password, otp, provider, idToken } = req.body;
+    const { deletionScheduledFor } = await requestAccountDeletion(
+      req.user._id,
+      { password, otp, provider, idToken }
+    );
+
+    return sendSuccess(
+      res,
+      { deletionScheduledFor },
+      "Account scheduled for deletion. Login before the scheduled date to restore it",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Delete account error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to delete account",
+      "Account Deletion Error",
+      error.message || "An error occurred while deleting account",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Change own username (subject to the change cooldown)
+ * @route PUT /api/v1/users/me/username
+ * @access Private
+ */
+export const changeUsername = async (req, res) => {
+  try {
+    const result = await changeUsernameService(
+      req.user._id,
+      req.body.username
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Username changed successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Change username error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to change username",
+      "Username Error",
+      error.message || "An error occurred while changing username",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get own username history and when the next change is allowed
+ * @route GET /api/v1/users/me/username/history
+ * @access Private
+ */
+export const getUsernameHistory = async (req, res) => {
+  try {
+    const result = await getUsernameHistoryService(req.user._id);
+
+    return sendSuccess(
+      res,
+      result,
+      "Username history retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get username history error:", error);
+
+    if (error.message === "User not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to get username history",
+      "Username Error",
+      error.message || "An error occurred while retrieving username history",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   updateProfile,
   getUserProfile,
@@ -850,4 +1026,8 @@ export default {
   getUserPolls,
   getMentionedPosts,
   searchUsersForMentionsHandler,
+  deleteAccount,
+  sendDeletionCode,
+  changeUsername,
+  getUsernameHistory,
 };
@@ -1,8 +1,53 @@
-import { createWritePost as createWritePostService } from "../services/writePost.service.js";
-import { sendSuccess, sendError, sendBadRequest } from "../utils/response.js";
+import {
+  createWritePost as createWritePostService,
+  updateWritePost as updateWritePostService,
+} from "../services/writePost.service.js";
+import { getContentEditHistory } from "../services/content-edit.service.js";
+import { deleteContent } from "../services/content-deletion.service.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/response.js";
+import { ContentType } from "../models/enums.js";
 import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
 
+/**
+ * Format a populated write post for responses
+ * @param {Object} writePost - Write post document (userId and mentionedUserIds populated)
+ * @returns {Object} Formatted write post
+ */
+const formatWritePost = (writePost) => ({
+  id: writePost._id,
+  title: writePost.title,
+  content: writePost.content,
+  userId: {
+    id: writePost.userId._id,
+    name: writePost.userId.name,
+    username: writePost.userId.username,
+    profileImage: writePost.userId.profileImage,
+    isAccountVerified: writePost.userId.isAccountVerified,
+    isVerifiedBadge: writePost.userId.isVerifiedBadge,
+  },
+  mentionedUsers: writePost.mentionedUserIds.map((user) => ({
+    id: user._id,
+    name: user.name,
+    username: user.username,
+    profileImage: user.profileImage,
+    isAccountVerified: user.isAccountVerified,
+    isVerifiedBadge: user.isVerifiedBadge,
+  })),
+  visibility: writePost.visibility,
+  isEdited: Boolean(writePost.editedAt),
+  editedAt: writePost.editedAt || null,
+  scheduledAt: writePost.scheduledAt || null,
+  createdAt: writePost.createdAt,
+  updatedAt: writePost.updatedAt,
+});
+
 /**
  * Create Write Post
  * @route POST /api/v1/write-posts
@@ -19,32 +64,10 @@ export const createWritePost = async (req, res) => {
     // Return success response
     return sendSuccess(
       res,
-      {
-        writePost: {
-          id: writePost._id,
-          title: writePost.title,
-          content: writePost.content,
-          userId: {
-            id: writePost.userId._id,
-            name: writePost.userId.name,
-            username: writePost.userId.username,
-            profileImage: writePost.userId.profileImage,
-            isAccountVerified: writePost.userId.isAccountVerified,
-            isVerifiedBadge: writePost.userId.isVerifiedBadge,
-          },
-          mentionedUsers: writePost.mentionedUserIds.map((user) => ({
-            id: user._id,
-            name: user.name,
-            username: user.username,
-            profileImage: user.profileImage,
-            isAccountVerified: user.isAccountVerified,
-            isVerifiedBadge: user.isVerifiedBadge,
-          })),
-          createdAt: writePost.createdAt,
-          updatedAt: writePost.updatedAt,
-        },
-      },
-      "Write post created successfully",
+      { writePost: formatWritePost(writePost) },
+      writePost.scheduledAt
+        ? "Write post scheduled successfully"
+        : "Write post created successfully",
       StatusCodes.CREATED
     );
   } catch (error) {
@@ -66,7 +89,136 @@ export const createWritePost = async (req, res) => {
   }
 };
 
+/**
+ * Update Write Post
+ * @route PATCH /api/v1/write-posts/:writePostId
+ * @access Private
+ */
+export const updateWritePost = async (req, res) => {
+  try {
+    const writePost = await updateWritePostService(
+      req.user._id,
+      req.params.writePostId,
+      req.body
+    );
+
+    return sendSuccess(
+      res,
+      { writePost: formatWritePost(writePost) },
+      "Write post updated successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Update write post error:", error);
+
+    if (error.message === "Write post not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message === "You can only edit your own write posts") {
+      return sendForbidden(res, error.message);
+    }
+
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to update write post",
+      "Update Write Post Error",
+      error.message || "An error occurred while updating write post",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get Write Post Edit History (author only)
+ * @route GET /api/v1/write-posts/:writePostId/history
+ * @access Private
+ */
+export const getWritePostHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const history = await getContentEditHistory(
+      req.user._id,
+      ContentType.WRITE_POST,
+      req.params.writePostId,
+      page,
+      limit
+    );
+
+    return sendSuccess(
+      res,
+      history,
+      "Write post edit history retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get write post history error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Write post not found");
+    }
+
+    return sendError(
+      res,
+      "Failed to get write post edit history",
+      "Write Post History Error",
+      error.message ||
+        "An error occurred while retrieving write post edit history",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete Write post
+ * @route DELETE /api/v1/write-posts/:writePostId
+ * @access Private
+ */
+export const deleteWritePost = async (req, res) => {
+  try {
+    const result = await deleteContent(
+      req.user._id,
+      ContentType.WRITE_POST,
+      req.params.writePostId
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Write post deleted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Delete write post error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Write post not found");
+    }
+
+    if (error.message === "You can only delete your own content") {
+      return sendForbidden(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to delete write post",
+      "Delete Write Post Error",
+      error.message || "An error occurred while deleting write post",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   createWritePost,
+  updateWritePost,
+  getWritePostHistory,
+  deleteWritePost,
 };
 
@@ -7,9 +7,19 @@ import {
   startZealUpload,
   createZeal,
   getZealStatus,
+  updateZeal,
 } from "../services/zeal.service.js";
+import { getContentEditHistory } from "../services/content-edit.service.js";
+import { deleteContent } from "../services/content-deletion.service.js";
 import { uploadFileWithChunking } from "../services/zeal-upload.service.js";
-import { sendSuccess, sendError, sendBadRequest, sendNotFound } from "../utils/response.js";
+import {
+  sendSuccess,
+  sendError,
+  sendBadRequest,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/response.js";
+import { ContentType } from "../models/enums.js";
 import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
 
@@ -73,9 +83,13 @@ export const create = async (req, res) => {
       {
         zealId: zealPost._id.toString(),
         status: zealPost.status,
+        visibility: zealPost.visibility,
+        scheduledAt: zealPost.scheduledAt,
         createdAt: zealPost.createdAt,
       },
-      "Zeal post created successfully. Processing in progress.",
+      zealPost.scheduledAt
+        ? "Zeal post scheduled successfully. Processing in progress."
+        : "Zeal post created successfully. Processing in progress.",
       StatusCodes.CREATED
     );
   } catch (error) {
@@ -192,10 +206,172 @@ export const uploadFile = async (req, res) => {
   }
 };
 
+/**
+ * Update Zeal
+ * @route PATCH /api/v1/zeals/:zealId
+ * @access Private
+ */
+export const update = async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const { zealId } = req.params;
+
+    const zealPost = await updateZeal(userId, zealId, req.body);
+
+    return sendSuccess(
+      res,
+      {
+        zealId: zealPost._id.toString(),
+        caption: zealPost.caption,
+        mentionedUsers: zealPost.mentionedUserIds.map((user) => ({
+          id: user._id,
+          name: user.name,
+          username: user.username,
+          profileImage: user.profileImage,
+          isAccountVerified: user.isAccountVerified,
+          isVerifiedBadge: user.isVerifiedBadge,
+        })),
+        music: zealPost.musicId
+          ? {
+              id: zealPost.musicId._id,
+              title: zealPost.musicId.title,
+              artist: zealPost.musicId.artist,
+              album: zealPost.musicId.album,
+              coverImage: zealPost.musicId.coverImage,
+              duration: zealPost.musicId.duration,
+            }
+          : null,
+        musicStartTime: zealPost.musicStartTime,
+        musicEndTime: zealPost.musicEndTime,
+        status: zealPost.status,
+        visibility: zealPost.visibility,
+        isEdited: Boolean(zealPost.editedAt),
+        editedAt: zealPost.editedAt || null,
+        createdAt: zealPost.createdAt,
+        updatedAt: zealPost.updatedAt,
+      },
+      "Zeal post updated successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Update Zeal error:", error);
+
+    // Handle not found errors
+    if (error.message === "Zeal post not found") {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.message === "You can only edit your own zeals") {
+      return sendForbidden(res, error.message);
+    }
+
+    // Handle custom errors
+    if (error.message) {
+      return sendBadRequest(res, error.message);
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to update Zeal post",
+      "Update Error",
+      error.message || "An error occurred while updating Zeal post",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get Zeal Edit History (author only)
+ * @route GET /api/v1/zeals/:zealId/history
+ * @access Private
+ */
+export const getHistory = async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const { zealId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const history = await getContentEditHistory(
+      userId,
+      ContentType.ZEAL,
+      zealId,
+      page,
+      limit
+    );
+
+    return sendSuccess(
+      res,
+      history,
+      "Zeal edit history retrieved successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Get Zeal History error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Zeal post not found");
+    }
+
+    // Generic error
+    return sendError(
+      res,
+      "Failed to get Zeal edit history",
+      "History Error",
+      error.message || "An error occurred while retrieving Zeal edit history",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete Zeal
+ * @route DELETE /api/v1/zeals/:zealId
+ * @access Private
+ */
+export const remove = async (req, res) => {
+  try {
+    const result = await deleteContent(
+      req.user._id,
+      ContentType.ZEAL,
+      req.params.zealId
+    );
+
+    return sendSuccess(
+      res,
+      result,
+      "Zeal post deleted successfully",
+      StatusCodes.OK
+    );
+  } catch (error) {
+    logger.error("Delete Zeal error:", error);
+
+    if (error.message === "Content not found") {
+      return sendNotFound(res, "Zeal post not found");
+    }
+
+    if (error.message === "You can only delete your own content") {
+      return sendForbidden(res, error.message);
+    }
+
+    return sendError(
+      res,
+      "Failed to delete Zeal",
+      "Delete Error",
+      error.message || "An error occurred while deleting Zeal",
+      StatusCodes.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   startUpload,
   create,
   getStatus,
   uploadFile,
+  update,
+  getHistory,
+  remove,
 };
 
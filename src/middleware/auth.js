@@ -1,6 +1,7 @@
 import jwt from "jsonwebtoken";
 import config from "../config/env.js";
 import User from "../models/users/User.js";
+import { validateSession } from "../services/session.service.js";
 import { sendUnauthorized, sendForbidden } from "../utils/response.js";
 import logger from "../utils/logger.js";
 
@@ -48,8 +49,15 @@ export const protect = async (req, res, next) => {
       return sendUnauthorized(res, "User account has been deleted");
     }
 
-    // Attach user to request object
+    // Reject tokens whose session has been signed out
+    if (decoded.sid && !(await validateSession(decoded.sid, decoded.id))) {
+      logger.warn(`Revoked session ${decoded.sid} attempted to access`);
+      return sendUnauthorized(res, "Session has been revoked. Please login again");
+    }
+
+    // Attach user and session to request object
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     // Handle different JWT error types
@@ -127,8 +135,14 @@ export const optionalProtect = async (req, res, next) => {
       return next();
     }
 
-    // Attach user to request object
+    if (decoded.sid && !(await validateSession(decoded.sid, decoded.id))) {
+      req.user = null;
+      return next();
+    }
+
+    // Attach user and session to request object
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     // For optional auth, just continue without user on any error
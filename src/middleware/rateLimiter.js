@@ -1,6 +1,6 @@
 /**
  * Rate Limiting Middleware
- * Prevents spam by limiting requests per user
+ * Prevents spam by limiting requests per user (or per IP for public routes)
  */
 
 import { sendError } from "../utils/response.js";
@@ -8,15 +8,15 @@ import { StatusCodes } from "http-status-codes";
 import logger from "../utils/logger.js";
 
 // In-memory store for rate limiting
-// Format: { userId: { count: number, resetTime: Date } }
+// Format: { key: { count: number, resetTime: Date } }
 const rateLimitStore = new Map();
 
 // Cleanup interval to remove expired entries (every 5 minutes)
 setInterval(() => {
   const now = Date.now();
-  for (const [userId, data] of rateLimitStore.entries()) {
+  for (const [key, data] of rateLimitStore.entries()) {
     if (data.resetTime < now) {
-      rateLimitStore.delete(userId);
+      rateLimitStore.delete(key);
     }
   }
 }, 5 * 60 * 1000);
@@ -27,6 +27,8 @@ setInterval(() => {
  * @param {number} options.maxRequests - Maximum requests allowed
  * @param {number} options.windowMs - Time window in milliseconds
  * @param {string} options.message - Error message when limit exceeded
+ * @param {Function} options.keyGenerator - Returns the key to count requests by
+ *   (default: authenticated user ID); requests without a key are not limited
  * @returns {Function} Express middleware
  */
 export const createRateLimiter = (options = {}) => {
@@ -34,37 +36,40 @@ export const createRateLimiter = (options = {}) => {
     maxRequests = 10, // Default: 10 requests
     windowMs = 60000, // Default: 1 minute
     message = "Too many requests. Please try again later.",
+    keyGenerator = (req) => req.user?._id?.toString(),
   } = options;
 
   return (req, res, next) => {
-    // Skip rate limiting if user is not authenticated
-    if (!req.user || !req.user._id) {
+    const key = keyGenerator(req);
+
+    // Skip rate limiting when there is nothing to count by
+    // (e.g. user is not authenticated)
+    if (!key) {
       return next();
     }
 
-    const userId = req.user._id.toString();
     const now = Date.now();
 
-    // Get or create rate limit data for user
-    let userLimit = rateLimitStore.get(userId);
+    // Get or create rate limit data for the key
+    let keyLimit = rateLimitStore.get(key);
 
-    if (!userLimit || userLimit.resetTime < now) {
+    if (!keyLimit || keyLimit.resetTime < now) {
       // Create new rate limit entry or reset expired one
-      userLimit = {
+      keyLimit = {
         count: 0,
         resetTime: now + windowMs,
       };
-      rateLimitStore.set(userId, userLimit);
+      rateLimitStore.set(key, keyLimit);
     }
 
     // Increment request count
-    userLimit.count++;
+    keyLimit.count++;
 
     // Check if limit exceeded
-    if (userLimit.count > maxRequests) {
-      const retryAfter = Math.ceil((userLimit.resetTime - now) / 1000);
+    if (keyLimit.count > maxRequests) {
+      const retryAfter = Math.ceil((keyLimit.resetTime - now) / 1000);
       
-      logger.warn(`Rate limit exceeded for user ${userId}: ${userLimit.count}/${maxRequests} requests in ${windowMs}ms`);
+      logger.warn(`Rate limit exceeded for ${key}: ${keyLimit.count}/${maxRequests} requests in ${windowMs}ms`);
       
       return sendError(
         res,
@@ -77,8 +82,8 @@ export const createRateLimiter = (options = {}) => {
 
     // Add rate limit headers
     res.setHeader("X-RateLimit-Limit", maxRequests);
-    res.setHeader("X-RateLimit-Remaining", Math.max(0, maxRequests - userLimit.count));
-    res.setHeader("X-RateLimit-Reset", new Date(userLimit.resetTime).toISOString());
+    res.setHeader("X-RateLimit-Remaining", Math.max(0, maxRequests - keyLimit.count));
+    res.setHeader("X-RateLimit-Reset", new Date(keyLimit.resetTime).toISOString());
 
     next();
   };
@@ -94,7 +99,20 @@ export const commentRateLimiter = createRateLimiter({
   message: "Too many comments. Please wait a moment before commenting again.",
 });
 
+/**
+ * Public auth rate limiter (login, OTP, password reset)
+ * Counts requests per IP address since these routes are unauthenticated.
+ * Limits: 10 requests per minute
+ */
+export const authRateLimiter = createRateLimiter({
+  maxRequests: 10,
+  windowMs: 60000, // 1 minute
+  message: "Too many attempts. Please wait a moment and try again.",
+  keyGenerator: (req) => (req.ip ? `auth:${req.ip}` : null),
+});
+
 export default {
   createRateLimiter,
   commentRateLimiter,
+  authRateLimiter,
 };
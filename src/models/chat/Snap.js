@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ContentVisibility } from "../enums.js";
 
 const snapSchema = new mongoose.Schema(
   {
@@ -50,6 +51,12 @@ const snapSchema = new mongoose.Schema(
       type: Number,
       default: null, // Duration in seconds for videos
     },
+    // Public, or only the author's close friends (UserAudience)
+    visibility: {
+      type: String,
+      enum: Object.values(ContentVisibility),
+      default: ContentVisibility.PUBLIC,
+    },
     expiresAt: {
       type: Date,
       required: true,
@@ -40,6 +40,24 @@ const commentSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Denormalized counters, kept in line by services/counter.service.js
+    likeCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Replies that are not deleted
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Comment by a user the content owner has restricted, visible only to
+    // its author and the content owner until the owner approves it
+    isPendingApproval: {
+      type: Boolean,
+      default: false,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -24,6 +24,18 @@ const replyCommentSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Denormalized counter, kept in line by services/counter.service.js
+    likeCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Reply by a user the content owner has restricted, visible only to
+    // its author and the content owner until the owner approves it
+    isPendingApproval: {
+      type: Boolean,
+      default: false,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -0,0 +1,69 @@
+/**
+ * Content Deletion Model
+ * Cleanup job for a post, write post, zeal or poll its author deleted.
+ * The content document is removed right away; the job then removes what
+ * hangs off it (comments, likes, shares, saved entries, hashtag links,
+ * notifications, stored media). Every step is idempotent, so a job that
+ * fails half-way is simply run again. Finished jobs are removed.
+ */
+
+import mongoose from "mongoose";
+import { ContentDeletionStatus } from "../enums.js";
+
+const contentDeletionSchema = new mongoose.Schema(
+  {
+    // Author of the deleted content
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // ContentType value, or "poll"
+    contentType: {
+      type: String,
+      required: true,
+    },
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Stored media of the content (public URLs or storage keys), captured
+    // before the document was removed
+    mediaFiles: [
+      {
+        type: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(ContentDeletionStatus),
+      default: ContentDeletionStatus.PENDING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+contentDeletionSchema.index({ contentType: 1, contentId: 1 }, { unique: true });
+contentDeletionSchema.index({ status: 1, createdAt: 1 });
+
+const ContentDeletion = mongoose.model(
+  "ContentDeletion",
+  contentDeletionSchema
+);
+
+export default ContentDeletion;
@@ -0,0 +1,99 @@
+/**
+ * Content Draft Model
+ * Unfinished image post or write post, saved on the server so it can be
+ * resumed on any device. Every save bumps the revision (so a device editing
+ * an outdated copy is told instead of overwriting newer changes) and pushes
+ * back the expiry. Expired drafts are removed with their images by the
+ * draft cleanup cron.
+ */
+
+import mongoose from "mongoose";
+import { ContentType, ContentVisibility } from "../enums.js";
+
+const contentDraftSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Post or Write Post
+    contentType: {
+      type: String,
+      enum: [ContentType.POST, ContentType.WRITE_POST],
+      required: true,
+    },
+    // Caption (posts)
+    caption: {
+      type: String,
+      default: "",
+    },
+    // Content (write posts)
+    content: {
+      type: String,
+      default: "",
+    },
+    // Uploaded images, in order (posts)
+    images: [
+      {
+        type: String,
+      },
+    ],
+    mentionedUserIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    musicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Music",
+      default: null,
+    },
+    musicStartTime: {
+      type: Number,
+      default: null, // in seconds
+    },
+    musicEndTime: {
+      type: Number,
+      default: null, // in seconds
+    },
+    visibility: {
+      type: String,
+      enum: Object.values(ContentVisibility),
+      default: ContentVisibility.PUBLIC,
+    },
+    // Bumped on every save; updates must name the revision they were made on
+    revision: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Set while the draft is being published (guards against double publishing)
+    publishingAt: {
+      type: Date,
+      default: null,
+    },
+    // ID the published post / write post is created with, recorded before it
+    // is created so a retried publish finds it instead of creating another
+    publishedContentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+contentDraftSchema.index({ userId: 1, contentType: 1, updatedAt: -1 });
+contentDraftSchema.index({ expiresAt: 1 });
+
+const ContentDraft = mongoose.model("ContentDraft", contentDraftSchema);
+
+export default ContentDraft;
@@ -0,0 +1,75 @@
+/**
+ * Content Edit Model
+ * A previous version of an edited post, write post or zeal. Every edit
+ * stores what the content looked like before it, so the author can look
+ * back through each version. Only the editable fields are kept.
+ */
+
+import mongoose from "mongoose";
+import { ContentType } from "../enums.js";
+
+const contentEditSchema = new mongoose.Schema(
+  {
+    contentType: {
+      type: String,
+      enum: Object.values(ContentType),
+      required: true,
+    },
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Author of the content
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Version this snapshot was (1 = as originally published)
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Caption (posts, zeals) or content (write posts)
+    text: {
+      type: String,
+      default: "",
+    },
+    mentionedUserIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Image order (posts)
+    images: [
+      {
+        type: String,
+      },
+    ],
+    musicStartTime: {
+      type: Number,
+      default: null, // in seconds
+    },
+    musicEndTime: {
+      type: Number,
+      default: null, // in seconds
+    },
+  },
+  {
+    // createdAt is when this version was replaced
+    timestamps: true,
+  }
+);
+
+// Indexes
+contentEditSchema.index(
+  { contentType: 1, contentId: 1, version: -1 },
+  { unique: true }
+);
+contentEditSchema.index({ userId: 1, createdAt: -1 });
+
+const ContentEdit = mongoose.model("ContentEdit", contentEditSchema);
+
+export default ContentEdit;
@@ -64,6 +64,17 @@ const pollSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // Publish time of a scheduled poll (null once published)
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    // Length of a scheduled poll in ms; duration is measured from the
+    // publish time once it goes out
+    durationMs: {
+      type: Number,
+      default: null,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -80,6 +91,8 @@ const pollSchema = new mongoose.Schema(
 
 // Indexes
 pollSchema.index({ createdBy: 1, createdAt: -1 });
+pollSchema.index({ createdBy: 1, scheduledAt: 1 });
+pollSchema.index({ scheduledAt: 1 }); // Scheduled polls due for publishing
 pollSchema.index({ status: 1, duration: 1 });
 pollSchema.index({ createdAt: -1 });
 // Text search index for caption
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ContentVisibility } from "../enums.js";
 
 const postSchema = new mongoose.Schema(
   {
@@ -35,6 +36,39 @@ const postSchema = new mongoose.Schema(
       type: Number,
       default: null, // in seconds
     },
+    // Public, or only the author's close friends (UserAudience)
+    visibility: {
+      type: String,
+      enum: Object.values(ContentVisibility),
+      default: ContentVisibility.PUBLIC,
+    },
+    // Last edit (null if never edited); previous versions are kept in ContentEdit
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    editCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Publish time of scheduled content (null once published); scheduled
+    // content is only visible to its author
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    // Denormalized counters, kept in line by services/counter.service.js
+    likeCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     shareCount: {
       type: Number,
       default: 0,
@@ -56,6 +90,8 @@ const postSchema = new mongoose.Schema(
 
 // Indexes
 postSchema.index({ userId: 1, createdAt: -1 });
+postSchema.index({ userId: 1, scheduledAt: 1 });
+postSchema.index({ scheduledAt: 1 }); // Scheduled content due for publishing
 postSchema.index({ createdAt: -1 });
 postSchema.index({ mentionedUserIds: 1 });
 postSchema.index({ shareCount: -1 }); // For analytics and virality tracking
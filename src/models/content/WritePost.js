@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ContentVisibility } from "../enums.js";
 
 const writePostSchema = new mongoose.Schema(
   {
@@ -17,6 +18,39 @@ const writePostSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Public, or only the author's close friends (UserAudience)
+    visibility: {
+      type: String,
+      enum: Object.values(ContentVisibility),
+      default: ContentVisibility.PUBLIC,
+    },
+    // Last edit (null if never edited); previous versions are kept in ContentEdit
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    editCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Publish time of scheduled content (null once published); scheduled
+    // content is only visible to its author
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    // Denormalized counters, kept in line by services/counter.service.js
+    likeCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     shareCount: {
       type: Number,
       default: 0,
@@ -30,6 +64,8 @@ const writePostSchema = new mongoose.Schema(
 
 // Indexes
 writePostSchema.index({ userId: 1, createdAt: -1 });
+writePostSchema.index({ userId: 1, scheduledAt: 1 });
+writePostSchema.index({ scheduledAt: 1 }); // Scheduled content due for publishing
 writePostSchema.index({ createdAt: -1 });
 writePostSchema.index({ mentionedUserIds: 1 });
 writePostSchema.index({ shareCount: -1 }); // For analytics and virality tracking
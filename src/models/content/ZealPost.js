@@ -1,5 +1,5 @@
 import mongoose from "mongoose";
-import { ZealStatus } from "../enums.js";
+import { ZealStatus, ContentVisibility } from "../enums.js";
 
 const zealPostSchema = new mongoose.Schema(
   {
@@ -63,6 +63,39 @@ const zealPostSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Public, or only the author's close friends (UserAudience)
+    visibility: {
+      type: String,
+      enum: Object.values(ContentVisibility),
+      default: ContentVisibility.PUBLIC,
+    },
+    // Last edit (null if never edited); previous versions are kept in ContentEdit
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    editCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Publish time of scheduled content (null once published); scheduled
+    // content is only visible to its author
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    // Denormalized counters, kept in line by services/counter.service.js
+    likeCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     shareCount: {
       type: Number,
       default: 0,
@@ -84,6 +117,8 @@ const zealPostSchema = new mongoose.Schema(
 
 // Indexes
 zealPostSchema.index({ userId: 1, createdAt: -1 });
+zealPostSchema.index({ userId: 1, scheduledAt: 1 });
+zealPostSchema.index({ scheduledAt: 1 }); // Scheduled content due for publishing
 zealPostSchema.index({ createdAt: -1 });
 zealPostSchema.index({ mentionedUserIds: 1 });
 zealPostSchema.index({ status: 1 });
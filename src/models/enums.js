@@ -29,6 +29,7 @@ const ReportStatus = {
 };
 
 const PollStatus = {
+  SCHEDULED: "Scheduled",
   ACTIVE: "Active",
   EXPIRED: "Expired",
 };
@@ -87,6 +88,7 @@ const NotificationType = {
   VERIFIED_BADGE_ACTIVATED: "Verified Badge Activated",
   VERIFIED_BADGE_EXPIRED: "Verified Badge Expired",
   SUBSCRIPTION_PAYMENT_SUCCESS: "Subscription Payment Success",
+  DATA_EXPORT_READY: "Data Export Ready",
   
   // Moderation & Safety
   CONTENT_REPORTED: "Content Reported",
@@ -126,6 +128,72 @@ const ZealStatus = {
   FAILED: "failed",
 };
 
+const SessionRevokeReason = {
+  REUSE_DETECTED: "Reuse Detected",
+  LOGOUT: "Logout",
+  REMOTE_LOGOUT: "Remote Logout",
+  ACCOUNT_DELETED: "Account Deleted",
+  EMAIL_CHANGED: "Email Changed",
+};
+
+const DataExportStatus = {
+  PENDING: "Pending",
+  PROCESSING: "Processing",
+  READY: "Ready",
+  FAILED: "Failed",
+  EXPIRED: "Expired",
+};
+
+// Background cleanup after a user deletes a content item
+// (a job is removed once its cleanup has finished)
+const ContentDeletionStatus = {
+  PENDING: "Pending",
+  PROCESSING: "Processing",
+  FAILED: "Failed", // gave up after repeated errors
+};
+
+const PhoneOTPPurpose = {
+  LOGIN: "Login",
+  VERIFY_PHONE: "Verify Phone",
+  DELETE_ACCOUNT: "Delete Account",
+};
+
+// Where the account verification code (otp) was sent
+const OTPChannel = {
+  EMAIL: "Email",
+  SMS: "SMS",
+};
+
+const AuthThrottleScope = {
+  ACCOUNT: "Account",
+  IP: "IP",
+};
+
+const SocialProvider = {
+  APPLE: "apple",
+  GOOGLE: "google",
+};
+
+// Who can see a post, write post, zeal or snap
+const ContentVisibility = {
+  PUBLIC: "Public",
+  CLOSE_FRIENDS: "Close Friends",
+};
+
+// Who can see a user's online status and last seen
+const PresenceVisibility = {
+  EVERYONE: "everyone",
+  FOLLOWING: "following", // people the user follows
+  NOBODY: "nobody",
+};
+
+const DevicePlatform = {
+  IOS: "iOS",
+  ANDROID: "Android",
+  WEB: "Web",
+  OTHER: "Other",
+};
+
 export {
   ContentType,
   ContentModelName,
@@ -140,4 +208,14 @@ export {
   MessageType,
   MessageStatus,
   ZealStatus,
+  SessionRevokeReason,
+  DevicePlatform,
+  DataExportStatus,
+  ContentDeletionStatus,
+  PhoneOTPPurpose,
+  OTPChannel,
+  AuthThrottleScope,
+  SocialProvider,
+  ContentVisibility,
+  PresenceVisibility,
 };
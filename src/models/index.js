@@ -7,6 +7,17 @@
 import User from "./users/User.js";
 import UserFollower from "./users/UserFollower.js";
 import UserAudience from "./users/UserAudience.js";
+import UserSession from "./users/UserSession.js";
+import DataExport from "./users/DataExport.js";
+import AuthThrottle from "./users/AuthThrottle.js";
+import SocialAccount from "./users/SocialAccount.js";
+import UsernameHistory from "./users/UsernameHistory.js";
+import UserBlock from "./users/UserBlock.js";
+import UserMute from "./users/UserMute.js";
+import UserRestrict from "./users/UserRestrict.js";
+import FollowRequest from "./users/FollowRequest.js";
+import FollowCooldown from "./users/FollowCooldown.js";
+import SuggestionDismissal from "./users/SuggestionDismissal.js";
 
 // Content
 import Post from "./content/Post.js";
@@ -14,6 +25,9 @@ import WritePost from "./content/WritePost.js";
 import ZealPost from "./content/ZealPost.js";
 import ZealDraft from "./content/ZealDraft.js";
 import Poll from "./content/Poll.js";
+import ContentEdit from "./content/ContentEdit.js";
+import ContentDeletion from "./content/ContentDeletion.js";
+import ContentDraft from "./content/ContentDraft.js";
 
 // Comments
 import Comment from "./comments/Comment.js";
@@ -65,6 +79,17 @@ export {
   User,
   UserFollower,
   UserAudience,
+  UserSession,
+  DataExport,
+  AuthThrottle,
+  SocialAccount,
+  UsernameHistory,
+  UserBlock,
+  UserMute,
+  UserRestrict,
+  FollowRequest,
+  FollowCooldown,
+  SuggestionDismissal,
 
   // Content
   Post,
@@ -72,6 +97,9 @@ export {
   ZealPost,
   ZealDraft,
   Poll,
+  ContentEdit,
+  ContentDeletion,
+  ContentDraft,
 
   // Comments
   Comment,
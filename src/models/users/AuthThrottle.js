@@ -0,0 +1,56 @@
+/**
+ * Auth Throttle Model
+ * Failed sign-in / OTP attempt counter for one account or one IP address.
+ * Reaching the limit locks the key; each further lockout lasts longer.
+ * Records are removed after a quiet period, which resets the progression.
+ */
+
+import mongoose from "mongoose";
+import { AuthThrottleScope } from "../enums.js";
+
+const authThrottleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: Object.values(AuthThrottleScope),
+      required: true,
+    },
+    // User ID for account scope, IP address for IP scope
+    key: {
+      type: String,
+      required: true,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+authThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+// TTL index: forget counters after the quiet period
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthThrottle = mongoose.model("AuthThrottle", authThrottleSchema);
+
+export default AuthThrottle;
@@ -0,0 +1,60 @@
+/**
+ * Data Export Model
+ * A personal data archive ("download my data") requested by a user.
+ * The archive files are private; download links are pre-signed on demand
+ * until expiresAt, after which the files are removed.
+ */
+
+import mongoose from "mongoose";
+import { DataExportStatus } from "../enums.js";
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(DataExportStatus),
+      default: DataExportStatus.PENDING,
+    },
+    jsonStorageKey: {
+      type: String,
+      default: null,
+    },
+    htmlStorageKey: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Download links stop working (and files are deleted) after this date
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
@@ -0,0 +1,40 @@
+/**
+ * Follow Cooldown Model
+ * Set when userId removes followerId from their followers and asks to keep
+ * them from following again for a while. followerId cannot follow (or send
+ * a follow request to) userId until expiresAt; the document then expires.
+ */
+
+import mongoose from "mongoose";
+
+const followCooldownSchema = new mongoose.Schema(
+  {
+    // Account that removed the follower
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Removed follower
+    followerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+followCooldownSchema.index({ userId: 1, followerId: 1 }, { unique: true });
+followCooldownSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const FollowCooldown = mongoose.model("FollowCooldown", followCooldownSchema);
+
+export default FollowCooldown;
@@ -0,0 +1,36 @@
+/**
+ * Follow Request Model
+ * A pending request from requesterId to follow the private account userId.
+ * Accepting it creates the UserFollower edge; declining or cancelling
+ * deletes it.
+ */
+
+import mongoose from "mongoose";
+
+const followRequestSchema = new mongoose.Schema(
+  {
+    // Private account being requested
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    requesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+followRequestSchema.index({ userId: 1, requesterId: 1 }, { unique: true });
+followRequestSchema.index({ userId: 1, createdAt: -1 });
+followRequestSchema.index({ requesterId: 1, createdAt: -1 });
+
+const FollowRequest = mongoose.model("FollowRequest", followRequestSchema);
+
+export default FollowRequest;
@@ -0,0 +1,50 @@
+/**
+ * Social Account Model
+ * An Apple or Google identity linked to a user. A provider account can only
+ * be linked to one user, and a user can link each provider once.
+ */
+
+import mongoose from "mongoose";
+import { SocialProvider } from "../enums.js";
+
+const socialAccountSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      enum: Object.values(SocialProvider),
+      required: true,
+    },
+    // Stable provider user ID (`sub` claim of the identity token)
+    providerUserId: {
+      type: String,
+      required: true,
+    },
+    // Email reported by the provider when the account was linked
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    lastLoginAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+socialAccountSchema.index({ provider: 1, providerUserId: 1 }, { unique: true });
+socialAccountSchema.index({ userId: 1, provider: 1 }, { unique: true });
+
+const SocialAccount = mongoose.model("SocialAccount", socialAccountSchema);
+
+export default SocialAccount;
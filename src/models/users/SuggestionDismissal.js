@@ -0,0 +1,38 @@
+/**
+ * Suggestion Dismissal Model
+ * A user dismissed from another user's follow suggestions ("People you may
+ * know"). Dismissed users are no longer suggested to them.
+ */
+
+import mongoose from "mongoose";
+
+const suggestionDismissalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    dismissedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+suggestionDismissalSchema.index(
+  { userId: 1, dismissedUserId: 1 },
+  { unique: true }
+);
+
+const SuggestionDismissal = mongoose.model(
+  "SuggestionDismissal",
+  suggestionDismissalSchema
+);
+
+export default SuggestionDismissal;
@@ -1,12 +1,14 @@
 import mongoose from "mongoose";
 import { USER_ROLES } from "../../constants/index.js";
+import { OTPChannel, PhoneOTPPurpose, PresenceVisibility } from "../enums.js";
 
 const userSchema = new mongoose.Schema(
   {
+    // Optional for accounts registered with a phone number
     email: {
       type: String,
-      required: true,
       unique: true,
+      sparse: true,
       trim: true,
       lowercase: true,
     },
@@ -14,6 +16,13 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // False while the password is a random one (social sign-ups and phone
+    // registrations without a password) until one is set through
+    // forgot-password
+    hasPassword: {
+      type: Boolean,
+      default: true,
+    },
     profileImage: {
       type: String,
       default: null,
@@ -26,14 +35,54 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Private accounts approve new followers (FollowRequest) and only
+    // show their content to followers
+    isPrivate: {
+      type: Boolean,
+      default: false,
+    },
     countryCode: {
       type: String,
       default: null,
     },
     phoneNumber: {
       type: Number,
-      unique: true,
-      sparse: true,
+      default: null,
+    },
+    // True once the phone number was confirmed with an SMS code
+    // (required for phone login)
+    isPhoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Number being added / changed, moved to countryCode + phoneNumber once verified
+    pendingCountryCode: {
+      type: String,
+      default: null,
+    },
+    pendingPhoneNumber: {
+      type: Number,
+      default: null,
+    },
+    // Email being changed to, moved to email once confirmed with the code
+    // sent to it. The current address gets a link to cancel the change.
+    pendingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    emailChangeOTP: {
+      type: Number,
+      default: null,
+    },
+    emailChangeOTPExpireAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 hash of the cancel link token
+    emailChangeCancelToken: {
+      type: String,
       default: null,
     },
     name: {
@@ -48,6 +97,11 @@ const userSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // Last username change, for the change cooldown
+    usernameChangedAt: {
+      type: Date,
+      default: null,
+    },
     otp: {
       type: Number,
       default: null,
@@ -56,6 +110,31 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Channel and address (email / E.164 number) the otp went out on; only
+    // an SMS code sent to the current number verifies the phone
+    otpChannel: {
+      type: String,
+      enum: [...Object.values(OTPChannel), null],
+      default: null,
+    },
+    otpSentTo: {
+      type: String,
+      default: null,
+    },
+    // SMS code for phone login / phone verification
+    phoneOTP: {
+      type: Number,
+      default: null,
+    },
+    phoneOTPExpireAt: {
+      type: Date,
+      default: null,
+    },
+    phoneOTPPurpose: {
+      type: String,
+      enum: [...Object.values(PhoneOTPPurpose), null],
+      default: null,
+    },
     forgotPasswordOTP: {
       type: Number,
       default: null,
@@ -72,6 +151,45 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Wrong codes entered for the active OTP (email, SMS or reset code);
+    // the code is invalidated once OTP_MAX_ATTEMPTS is reached
+    otpFailedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Last time any OTP was sent, for the resend cooldown
+    otpLastSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Two-factor authentication (TOTP). The pending secret is only promoted
+    // to twoFactorSecret once the user confirms it with a first code.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+    },
+    // SHA-256 hashes of the unused single-use recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+    },
     isVerifiedBadge: {
       type: Boolean,
       default: false,
@@ -89,6 +207,20 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Self-service deletion: the account can be restored by logging in
+    // until deletionScheduledFor, after which its data is purged
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    dataPurgedAt: {
+      type: Date,
+      default: null,
+    },
     followerCount: {
       type: Number,
       default: 0,
@@ -109,6 +241,17 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true, // User can enable/disable push notifications
     },
+    // Who can see when the user is online and when they were last seen
+    presenceVisibility: {
+      type: String,
+      enum: Object.values(PresenceVisibility),
+      default: PresenceVisibility.EVERYONE,
+    },
+    // Set when the user's last socket disconnects
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -116,9 +259,21 @@ const userSchema = new mongoose.Schema(
 );
 
 // Indexes
-// Note: email, username, and phoneNumber indexes are automatically created by unique: true
+// Note: email and username indexes are automatically created by unique: true
+// A phone number is unique together with its country code. phoneNumber
+// defaults to null, which a sparse index still indexes, so only numbers take
+// part in the unique index (scripts/migrate-user-indexes.js moves existing
+// databases over)
+userSchema.index(
+  { countryCode: 1, phoneNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { phoneNumber: { $type: "number" } },
+  }
+);
 userSchema.index({ role: 1 });
 userSchema.index({ isDeleted: 1 });
+userSchema.index({ deletionScheduledFor: 1, dataPurgedAt: 1 });
 // Text search index for name, username, and bio
 userSchema.index({ name: "text", username: "text", bio: "text" });
 
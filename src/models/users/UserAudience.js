@@ -1,3 +1,9 @@
+/**
+ * User Audience Model
+ * Close Friends list: userId has added audienceUserId to their Close Friends.
+ * Content published with "Close Friends" visibility is only shown to them.
+ */
+
 import mongoose from "mongoose";
 
 const userAudienceSchema = new mongoose.Schema(
@@ -24,10 +30,9 @@ const userAudienceSchema = new mongoose.Schema(
 
 // Compound index to prevent duplicates
 userAudienceSchema.index({ userId: 1, audienceUserId: 1 }, { unique: true });
-userAudienceSchema.index({ userId: 1 });
+userAudienceSchema.index({ userId: 1, createdAt: -1 });
 userAudienceSchema.index({ audienceUserId: 1 });
 
 const UserAudience = mongoose.model("UserAudience", userAudienceSchema);
 
 export default UserAudience;
-
@@ -0,0 +1,34 @@
+/**
+ * User Block Model
+ * blockerId has blocked blockedId. Blocks apply both ways: neither user can
+ * see or interact with the other's profile, content or messages.
+ */
+
+import mongoose from "mongoose";
+
+const userBlockSchema = new mongoose.Schema(
+  {
+    blockerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blockedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+userBlockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+userBlockSchema.index({ blockerId: 1, createdAt: -1 });
+userBlockSchema.index({ blockedId: 1 });
+
+const UserBlock = mongoose.model("UserBlock", userBlockSchema);
+
+export default UserBlock;
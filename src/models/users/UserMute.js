@@ -0,0 +1,55 @@
+/**
+ * User Mute Model
+ * muterId has muted mutedId without unfollowing. Each content type can be
+ * muted separately, and notifications are a separate option. The muted user
+ * is never told.
+ */
+
+import mongoose from "mongoose";
+
+const userMuteSchema = new mongoose.Schema(
+  {
+    muterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    mutedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    posts: {
+      type: Boolean,
+      default: false,
+    },
+    writePosts: {
+      type: Boolean,
+      default: false,
+    },
+    zeals: {
+      type: Boolean,
+      default: false,
+    },
+    polls: {
+      type: Boolean,
+      default: false,
+    },
+    notifications: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+userMuteSchema.index({ muterId: 1, mutedId: 1 }, { unique: true });
+userMuteSchema.index({ muterId: 1, updatedAt: -1 });
+userMuteSchema.index({ mutedId: 1 });
+
+const UserMute = mongoose.model("UserMute", userMuteSchema);
+
+export default UserMute;
@@ -0,0 +1,39 @@
+/**
+ * User Restrict Model
+ * restricterId has restricted restrictedId. Softer than a block: the
+ * restricted user's new comments on the restricter's content wait for
+ * approval, their messages land in message requests without read receipts
+ * and they can't see the restricter's online status. They are never told.
+ */
+
+import mongoose from "mongoose";
+
+const userRestrictSchema = new mongoose.Schema(
+  {
+    restricterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    restrictedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+userRestrictSchema.index(
+  { restricterId: 1, restrictedId: 1 },
+  { unique: true }
+);
+userRestrictSchema.index({ restricterId: 1, createdAt: -1 });
+userRestrictSchema.index({ restrictedId: 1 });
+
+const UserRestrict = mongoose.model("UserRestrict", userRestrictSchema);
+
+export default UserRestrict;
@@ -0,0 +1,77 @@
+/**
+ * User Session Model
+ * One document per signed-in device. Each session is a refresh-token family:
+ * only the latest rotated refresh token (stored as a hash) is valid.
+ */
+
+import mongoose from "mongoose";
+import { SessionRevokeReason, DevicePlatform } from "../enums.js";
+
+const userSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 hash of the current refresh token (never store the raw token)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    platform: {
+      type: String,
+      enum: Object.values(DevicePlatform),
+      default: DevicePlatform.OTHER,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    // FCM token registered from this device (push notifications)
+    fcmToken: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    lastActiveAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [...Object.values(SessionRevokeReason), null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+userSessionSchema.index({ userId: 1, revokedAt: 1, lastActiveAt: -1 });
+userSessionSchema.index({ fcmToken: 1 });
+// TTL index: remove sessions once the refresh token can no longer be used
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserSession = mongoose.model("UserSession", userSessionSchema);
+
+export default UserSession;
@@ -0,0 +1,50 @@
+/**
+ * Username History Model
+ * A username a user changed away from. The old handle stays reserved for the
+ * user until reservedUntil, so existing @mentions keep resolving to them and
+ * nobody else can claim it in the meantime.
+ */
+
+import mongoose from "mongoose";
+
+const usernameHistorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The previous username
+    username: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    // Username the user changed to
+    changedTo: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    reservedUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+usernameHistorySchema.index({ username: 1, reservedUntil: -1 });
+usernameHistorySchema.index({ userId: 1, createdAt: -1 });
+
+const UsernameHistory = mongoose.model(
+  "UsernameHistory",
+  usernameHistorySchema
+);
+
+export default UsernameHistory;
@@ -62,6 +62,24 @@ export const populateContent = async (doc, select = null) => {
   return await query.exec();
 };
 
+/**
+ * Get the owner of a content item
+ * @param {string} contentType - Content type
+ * @param {mongoose.Types.ObjectId} contentId - Content ID
+ * @returns {Promise<mongoose.Types.ObjectId|null>} - Owner user ID or null if not found
+ */
+export const getContentOwnerId = async (contentType, contentId) => {
+  const Model = getContentModel(contentType);
+  if (!Model) {
+    return null;
+  }
+
+  // Poll uses createdBy instead of userId
+  const ownerField = Model === Poll ? "createdBy" : "userId";
+  const content = await Model.findById(contentId).select(ownerField).lean();
+  return content ? content[ownerField] : null;
+};
+
 /**
  * Validate if contentId exists for given contentType
  * @param {string} contentType - Content type
@@ -82,5 +100,6 @@ export default {
   getContentModel,
   getContentModelName,
   populateContent,
+  getContentOwnerId,
   validateContentExists,
 };
@@ -9,21 +9,66 @@ import {
   verifyOTP,
   resendOTP,
   login,
+  refreshToken,
+  twoFactorLogin,
   forgotPassword,
   resetPassword,
   changePassword,
+  registerPhone,
+  sendPhoneLoginCode,
+  phoneLogin,
+  requestPhoneVerification,
+  confirmPhoneVerification,
+  socialLogin,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
 } from "../controllers/auth.controller.js";
-import { validateBody } from "../utils/validation.js";
+import {
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  logout,
+} from "../controllers/session.controller.js";
+import {
+  getStatus as getTwoFactorStatus,
+  setup as setupTwoFactor,
+  enable as enableTwoFactor,
+  disable as disableTwoFactor,
+  regenerateCodes as regenerateRecoveryCodes,
+} from "../controllers/two-factor.controller.js";
+import {
+  getLinkedAccounts,
+  linkAccount,
+  unlinkAccount,
+} from "../controllers/social-account.controller.js";
+import { validateBody, validateParams } from "../utils/validation.js";
 import {
   registerSchema,
   verifyOTPSchema,
   resendOTPSchema,
   loginSchema,
+  refreshTokenSchema,
+  sessionIdParamsSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
   changePasswordSchema,
+  phoneRegisterSchema,
+  phoneNumberSchema,
+  phoneLoginSchema,
+  confirmPhoneSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+  socialProviderParamsSchema,
+  socialLoginSchema,
+  socialLinkSchema,
+  emailChangeSchema,
+  confirmEmailChangeSchema,
+  cancelEmailChangeSchema,
 } from "../validators/auth.validator.js";
 import { protect } from "../middleware/auth.js";
+import { authRateLimiter } from "../middleware/rateLimiter.js";
 
 const router = express.Router();
 
@@ -38,31 +83,154 @@ router.post("/register", validateBody(registerSchema), register);
  * @route   POST /api/v1/auth/verify-otp
  * @desc    Verify OTP for account verification or forgot password
  * @access  Public
- * @body    { email, otp, type? } - type is optional: "account" or "password" (auto-detected if not provided)
+ * @body    { email | countryCode + phoneNumber, otp, type? } - type is optional: "account" or "password" (auto-detected if not provided)
  */
-router.post("/verify-otp", validateBody(verifyOTPSchema), verifyOTP);
+router.post(
+  "/verify-otp",
+  authRateLimiter,
+  validateBody(verifyOTPSchema),
+  verifyOTP
+);
 
 /**
  * @route   POST /api/v1/auth/resend-otp
- * @desc    Resend OTP to user's email
+ * @desc    Resend OTP to user's email or phone
  * @access  Public
+ * @body    { email } or { countryCode, phoneNumber }
  */
-router.post("/resend-otp", validateBody(resendOTPSchema), resendOTP);
+router.post(
+  "/resend-otp",
+  authRateLimiter,
+  validateBody(resendOTPSchema),
+  resendOTP
+);
 
 /**
  * @route   POST /api/v1/auth/login
- * @desc    Login user and get JWT token
+ * @desc    Login user and get access + refresh tokens
+ * @access  Public
+ * @body    { email, password, deviceName?, platform? }
+ * @note    With 2FA enabled, returns { twoFactorRequired, challengeToken } instead of tokens
+ */
+router.post("/login", authRateLimiter, validateBody(loginSchema), login);
+
+/**
+ * @route   POST /api/v1/auth/2fa/login
+ * @desc    Complete a login that requires two-factor authentication
+ * @access  Public
+ * @body    { challengeToken, code | recoveryCode, deviceName?, platform? }
+ */
+router.post(
+  "/2fa/login",
+  authRateLimiter,
+  validateBody(twoFactorLoginSchema),
+  twoFactorLogin
+);
+
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor status (enabled, recovery codes remaining)
+ * @access  Private
+ */
+router.get("/2fa", protect, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start 2FA enrollment; returns the secret and otpauth URI
+ * @access  Private
+ */
+router.post("/2fa/setup", protect, setupTwoFactor);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm enrollment with a first code; returns ten recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+  "/2fa/enable",
+  protect,
+  validateBody(twoFactorCodeSchema),
+  enableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ * @body    { password, code | recoveryCode }
+ */
+router.post(
+  "/2fa/disable",
+  protect,
+  validateBody(disableTwoFactorSchema),
+  disableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  validateBody(twoFactorCodeSchema),
+  regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchange a refresh token for a new access + refresh token pair
  * @access  Public
+ * @body    { refreshToken }
+ * @note    Refresh tokens are single-use; reusing one revokes the session
  */
-router.post("/login", validateBody(loginSchema), login);
+router.post("/refresh", validateBody(refreshTokenSchema), refreshToken);
+
+/**
+ * @route   POST /api/v1/auth/logout
+ * @desc    Sign out the current session
+ * @access  Private
+ */
+router.post("/logout", protect, logout);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List signed-in devices (active sessions)
+ * @access  Private
+ */
+router.get("/sessions", protect, getSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions
+ * @desc    Sign out every session except the current one
+ * @access  Private
+ */
+router.delete("/sessions", protect, revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @desc    Sign out a single session (remote logout)
+ * @access  Private
+ */
+router.delete(
+  "/sessions/:sessionId",
+  protect,
+  validateParams(sessionIdParamsSchema),
+  revokeSessionById
+);
 
 /**
  * @route   POST /api/v1/auth/forgot-password
  * @desc    Send OTP for password reset
  * @access  Public
+ * @body    { email } or { countryCode, phoneNumber } - phone must be verified
  */
 router.post(
   "/forgot-password",
+  authRateLimiter,
   validateBody(forgotPasswordSchema),
   forgotPassword
 );
@@ -71,10 +239,12 @@ router.post(
  * @route   POST /api/v1/auth/reset-password
  * @desc    Reset password after OTP verification
  * @access  Public
+ * @body    { email | countryCode + phoneNumber, newPassword }
  * @note    OTP must be verified first using /verify-otp with type="password"
  */
 router.post(
   "/reset-password",
+  authRateLimiter,
   validateBody(resetPasswordSchema),
   resetPassword
 );
@@ -92,4 +262,159 @@ router.put(
   changePassword
 );
 
+/**
+ * @route   POST /api/v1/auth/phone/register
+ * @desc    Register a new user with a phone number (OTP sent by SMS)
+ * @access  Public
+ * @body    { countryCode, phoneNumber, name, username, password? }
+ * @note    Verify the account with /verify-otp using countryCode + phoneNumber
+ */
+router.post(
+  "/phone/register",
+  validateBody(phoneRegisterSchema),
+  registerPhone
+);
+
+/**
+ * @route   POST /api/v1/auth/phone/send-otp
+ * @desc    Send a login code by SMS to a verified phone number
+ * @access  Public
+ * @body    { countryCode, phoneNumber }
+ */
+router.post(
+  "/phone/send-otp",
+  authRateLimiter,
+  validateBody(phoneNumberSchema),
+  sendPhoneLoginCode
+);
+
+/**
+ * @route   POST /api/v1/auth/phone/login
+ * @desc    Login with phone number and SMS code
+ * @access  Public
+ * @body    { countryCode, phoneNumber, otp, deviceName?, platform? }
+ */
+router.post(
+  "/phone/login",
+  authRateLimiter,
+  validateBody(phoneLoginSchema),
+  phoneLogin
+);
+
+/**
+ * @route   POST /api/v1/auth/phone/verify
+ * @desc    Send a verification code to a phone number for the current account
+ * @access  Private
+ * @body    { countryCode, phoneNumber }
+ */
+router.post(
+  "/phone/verify",
+  protect,
+  validateBody(phoneNumberSchema),
+  requestPhoneVerification
+);
+
+/**
+ * @route   POST /api/v1/auth/phone/verify/confirm
+ * @desc    Confirm the phone number with the code received by SMS
+ * @access  Private
+ * @body    { otp }
+ */
+router.post(
+  "/phone/verify/confirm",
+  protect,
+  validateBody(confirmPhoneSchema),
+  confirmPhoneVerification
+);
+
+/**
+ * @route   POST /api/v1/auth/email/change
+ * @desc    Start an email change (code to the new address, cancel link to the current one)
+ * @access  Private
+ * @body    { email, password }
+ */
+router.post(
+  "/email/change",
+  protect,
+  validateBody(emailChangeSchema),
+  requestEmailChange
+);
+
+/**
+ * @route   POST /api/v1/auth/email/change/confirm
+ * @desc    Confirm the new email with the code it received
+ * @access  Private
+ * @body    { otp }
+ * @note    Signs out every other session
+ */
+router.post(
+  "/email/change/confirm",
+  protect,
+  validateBody(confirmEmailChangeSchema),
+  confirmEmailChange
+);
+
+/**
+ * @route   POST /api/v1/auth/email/change/cancel
+ * @desc    Cancel a pending email change (link sent to the current address)
+ * @access  Public
+ * @body    { token }
+ */
+router.post(
+  "/email/change/cancel",
+  authRateLimiter,
+  validateBody(cancelEmailChangeSchema),
+  cancelEmailChange
+);
+
+/**
+ * @route   POST /api/v1/auth/social/:provider
+ * @desc    Sign in or sign up with an Apple / Google identity token
+ * @access  Public
+ * @body    { idToken, username?, name?, deviceName?, platform? }
+ * @note    A first login without username returns { usernameRequired } so the app can ask for one
+ * @note    With 2FA enabled, returns { twoFactorRequired, challengeToken } instead of tokens
+ */
+router.post(
+  "/social/:provider",
+  authRateLimiter,
+  validateParams(socialProviderParamsSchema),
+  validateBody(socialLoginSchema),
+  socialLogin
+);
+
+/**
+ * @route   GET /api/v1/auth/social
+ * @desc    List the sign-in providers linked to the current account
+ * @access  Private
+ */
+router.get("/social", protect, getLinkedAccounts);
+
+/**
+ * @route   POST /api/v1/auth/social/:provider/link
+ * @desc    Link an Apple / Google account to the current account
+ * @access  Private
+ * @body    { idToken }
+ */
+router.post(
+  "/social/:provider/link",
+  protect,
+  validateParams(socialProviderParamsSchema),
+  validateBody(socialLinkSchema),
+  linkAccount
+);
+
+/**
+ * @route   DELETE /api/v1/auth/social/:provider
+ * @desc    Unlink an Apple / Google account from the current account
+ * @access  Private
+ * @note    Refused when it is the only way left to sign in
+ */
+router.delete(
+  "/social/:provider",
+  protect,
+  validateParams(socialProviderParamsSchema),
+  unlinkAccount
+);
+
 export default router;
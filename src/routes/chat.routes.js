@@ -46,7 +46,7 @@ router.post(
 
 /**
  * @route   GET /api/v1/chat/rooms
- * @desc    Get chat rooms (inbox) for logged-in user
+ * @desc    Get chat rooms (inbox) for logged-in user (?chatType=Direct|Request for the inbox or message requests)
  * @access  Private
  */
 router.get(
@@ -9,12 +9,20 @@ import { commentRateLimiter } from "../middleware/rateLimiter.js";
 import { validateBody, validateParams, validateQuery } from "../middleware/validator.js";
 import { createCommentBodySchema } from "../validators/comment.validator.js";
 import { commentIdParamsSchema } from "../validators/commentLike.validator.js";
-import { createReplyBodySchema, getRepliesQuerySchema } from "../validators/commentReply.validator.js";
+import {
+  createReplyBodySchema,
+  getRepliesQuerySchema,
+  replyIdParamsSchema,
+} from "../validators/commentReply.validator.js";
 import { getCommentsQuerySchema } from "../validators/commentListing.validator.js";
 import { reportCommentBodySchema } from "../validators/commentReport.validator.js";
-import { createComment } from "../controllers/comment.controller.js";
+import { createComment, approveComment } from "../controllers/comment.controller.js";
 import { toggleLike } from "../controllers/commentLike.controller.js";
-import { createReplyHandler, getRepliesHandler } from "../controllers/commentReply.controller.js";
+import {
+  createReplyHandler,
+  getRepliesHandler,
+  approveReplyHandler,
+} from "../controllers/commentReply.controller.js";
 import { deleteCommentHandler } from "../controllers/commentDeletion.controller.js";
 import { reportCommentHandler } from "../controllers/commentReport.controller.js";
 import { getCommentsHandler, getCommentByIdHandler } from "../controllers/commentListing.controller.js";
@@ -61,7 +69,7 @@ router.get(
 
 /**
  * @route   DELETE /api/v1/comments/:commentId
- * @desc    Delete a comment (soft delete - only own comments)
+ * @desc    Delete a comment (soft delete - own comments, or comments waiting for your approval)
  * @access  Private
  */
 router.delete(
@@ -71,6 +79,18 @@ router.delete(
   deleteCommentHandler
 );
 
+/**
+ * @route   POST /api/v1/comments/:commentId/approve
+ * @desc    Approve a comment a restricted user left on your content
+ * @access  Private
+ */
+router.post(
+  "/:commentId/approve",
+  protect,
+  validateParams(commentIdParamsSchema),
+  approveComment
+);
+
 /**
  * @route   POST /api/v1/comments/:commentId/like
  * @desc    Toggle like on a comment (like if not liked, unlike if already liked)
@@ -124,4 +144,16 @@ router.post(
   createReplyHandler
 );
 
+/**
+ * @route   POST /api/v1/comments/:commentId/replies/:replyId/approve
+ * @desc    Approve a reply a restricted user left on your content
+ * @access  Private
+ */
+router.post(
+  "/:commentId/replies/:replyId/approve",
+  protect,
+  validateParams(replyIdParamsSchema),
+  approveReplyHandler
+);
+
 export default router;
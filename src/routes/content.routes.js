@@ -0,0 +1,74 @@
+import express from "express";
+import { protect, optionalProtect } from "../middleware/auth.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+} from "../utils/validation.js";
+import {
+  contentDetailParamsSchema,
+  scheduledContentQuerySchema,
+  scheduledContentParamsSchema,
+  rescheduleContentSchema,
+} from "../validators/content.validator.js";
+import {
+  getContent,
+  getScheduled,
+  reschedule,
+  cancelScheduled,
+} from "../controllers/content.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/content/scheduled
+ * @desc    Get the user's scheduled posts, write posts, zeals and polls (next to be published first)
+ * @access  Private
+ * @query   page, limit, contentType (optional - Post, Write Post, Zeal Post, a shareable link slug, or poll)
+ */
+router.get(
+  "/scheduled",
+  protect,
+  validateQuery(scheduledContentQuerySchema),
+  getScheduled
+);
+
+/**
+ * @route   PATCH /api/v1/content/scheduled/:contentType/:contentId
+ * @desc    Move a scheduled item to another publish time
+ * @access  Private (author only)
+ */
+router.patch(
+  "/scheduled/:contentType/:contentId",
+  protect,
+  validateParams(scheduledContentParamsSchema),
+  validateBody(rescheduleContentSchema),
+  reschedule
+);
+
+/**
+ * @route   DELETE /api/v1/content/scheduled/:contentType/:contentId
+ * @desc    Cancel a scheduled item (deleted without being published)
+ * @access  Private (author only)
+ */
+router.delete(
+  "/scheduled/:contentType/:contentId",
+  protect,
+  validateParams(scheduledContentParamsSchema),
+  cancelScheduled
+);
+
+/**
+ * @route   GET /api/v1/content/:contentType/:contentId
+ * @desc    Get a post, write post or zeal with its first page of comments (for shareable links and notifications)
+ * @access  Public (optional auth - blocked, reported, private and Close Friends rules apply to the viewer)
+ * @param   contentType - Post, Write Post, Zeal Post, or the shareable link slug (post, write-post, zeal)
+ */
+router.get(
+  "/:contentType/:contentId",
+  optionalProtect,
+  validateParams(contentDetailParamsSchema),
+  getContent
+);
+
+export default router;
@@ -0,0 +1,98 @@
+import express from "express";
+import { protect } from "../middleware/auth.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+} from "../utils/validation.js";
+import {
+  createDraftSchema,
+  updateDraftSchema,
+  draftIdParamsSchema,
+  draftListQuerySchema,
+  publishDraftSchema,
+} from "../validators/draft.validator.js";
+import {
+  createDraft,
+  getDrafts,
+  getDraft,
+  updateDraft,
+  deleteDraft,
+  publishDraft,
+} from "../controllers/draft.controller.js";
+import { uploadPostImages } from "../middleware/upload.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/drafts
+ * @desc    Save a new post or write post draft (post drafts can include images)
+ * @access  Private
+ * @body    { contentType, caption?, content?, mentionedUserIds?, musicId?, musicStartTime?, musicEndTime?, visibility? } + images (files)
+ */
+router.post(
+  "/",
+  protect,
+  uploadPostImages,
+  validateBody(createDraftSchema),
+  createDraft
+);
+
+/**
+ * @route   GET /api/v1/drafts
+ * @desc    Get own drafts, last saved first
+ * @access  Private
+ * @query   contentType (optional: Post, Write Post), page, limit
+ */
+router.get("/", protect, validateQuery(draftListQuerySchema), getDrafts);
+
+/**
+ * @route   GET /api/v1/drafts/:draftId
+ * @desc    Get an own draft to resume it
+ * @access  Private
+ */
+router.get("/:draftId", protect, validateParams(draftIdParamsSchema), getDraft);
+
+/**
+ * @route   PATCH /api/v1/drafts/:draftId
+ * @desc    Save changes to an own draft. Must be sent with the revision the
+ *          changes were made on; 409 if the draft was saved elsewhere since.
+ * @access  Private
+ * @body    { revision, caption?, content?, images? (uploaded images to keep), mentionedUserIds?, musicId?, musicStartTime?, musicEndTime?, visibility? } + images (new files)
+ */
+router.patch(
+  "/:draftId",
+  protect,
+  uploadPostImages,
+  validateParams(draftIdParamsSchema),
+  validateBody(updateDraftSchema),
+  updateDraft
+);
+
+/**
+ * @route   DELETE /api/v1/drafts/:draftId
+ * @desc    Delete an own draft and its images
+ * @access  Private
+ */
+router.delete(
+  "/:draftId",
+  protect,
+  validateParams(draftIdParamsSchema),
+  deleteDraft
+);
+
+/**
+ * @route   POST /api/v1/drafts/:draftId/publish
+ * @desc    Publish an own draft through the post / write post create checks
+ * @access  Private
+ * @body    { scheduledAt? }
+ */
+router.post(
+  "/:draftId/publish",
+  protect,
+  validateParams(draftIdParamsSchema),
+  validateBody(publishDraftSchema),
+  publishDraft
+);
+
+export default router;
@@ -11,19 +11,108 @@ import {
   getFollowersList,
   getFollowingList,
   getFollowCountsList,
+  getFollowRequestsList,
+  getSentFollowRequestsList,
+  acceptRequest,
+  declineRequest,
+  cancelRequest,
+  removeFollowerFromList,
+  getMutualFollowersList,
 } from "../controllers/follow.controller.js";
-import { validateParams, validateQuery } from "../utils/validation.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+} from "../utils/validation.js";
 import {
   followUserParamsSchema,
   getFollowStatusParamsSchema,
   getFollowersParamsSchema,
   getFollowersQuerySchema,
   getFollowCountsQuerySchema,
+  followRequestsQuerySchema,
+  mutualFollowersQuerySchema,
+  removeFollowerSchema,
 } from "../validators/follow.validator.js";
 import { protect } from "../middleware/auth.js";
 
 const router = express.Router();
 
+/**
+ * @route   GET /api/v1/follow/requests
+ * @desc    Get follow requests waiting for the current user's approval (private accounts)
+ * @access  Private
+ */
+router.get(
+  "/requests",
+  protect,
+  validateQuery(followRequestsQuerySchema),
+  getFollowRequestsList
+);
+
+/**
+ * @route   GET /api/v1/follow/requests/sent
+ * @desc    Get pending follow requests sent by the current user
+ * @access  Private
+ */
+router.get(
+  "/requests/sent",
+  protect,
+  validateQuery(followRequestsQuerySchema),
+  getSentFollowRequestsList
+);
+
+/**
+ * @route   POST /api/v1/follow/requests/:userId/accept
+ * @desc    Accept a follow request from a user
+ * @access  Private
+ */
+router.post(
+  "/requests/:userId/accept",
+  protect,
+  validateParams(followUserParamsSchema),
+  acceptRequest
+);
+
+/**
+ * @route   POST /api/v1/follow/requests/:userId/decline
+ * @desc    Decline a follow request from a user
+ * @access  Private
+ */
+router.post(
+  "/requests/:userId/decline",
+  protect,
+  validateParams(followUserParamsSchema),
+  declineRequest
+);
+
+/**
+ * @route   DELETE /api/v1/follow/requests/:userId
+ * @desc    Cancel a follow request sent to a user
+ * @access  Private
+ */
+router.delete(
+  "/requests/:userId",
+  protect,
+  validateParams(followUserParamsSchema),
+  cancelRequest
+);
+
+/**
+ * @route   DELETE /api/v1/follow/followers/:userId
+ * @desc    Remove a follower from the current user's followers (they are not notified)
+ * @access  Private
+ * @body    { preventRefollowDays?: number }
+ * @note    With preventRefollowDays, the removed user cannot follow again until it has passed
+ */
+router.delete(
+  "/followers/:userId",
+  protect,
+  validateParams(followUserParamsSchema),
+  validateBody(removeFollowerSchema),
+  removeFollowerFromList
+);
+
 /**
  * @route   POST /api/v1/follow/:userId
  * @desc    Follow a user
@@ -60,6 +149,19 @@ router.get(
   getFollowStatus
 );
 
+/**
+ * @route   GET /api/v1/follow/:userId/mutual
+ * @desc    Get the accounts the current user follows that also follow a user
+ * @access  Private
+ */
+router.get(
+  "/:userId/mutual",
+  protect,
+  validateParams(followUserParamsSchema),
+  validateQuery(mutualFollowersQuerySchema),
+  getMutualFollowersList
+);
+
 /**
  * @route   GET /api/v1/follow/followers
  * @desc    Get followers list (if userId query param is "me" or not provided, returns current user's followers)
@@ -34,6 +34,8 @@ import exploreRoutes from "./explore.routes.js";
 import hashtagRoutes from "./hashtag.routes.js";
 import homeRoutes from "./home.routes.js";
 import notificationRoutes from "./notification.routes.js";
+import contentRoutes from "./content.routes.js";
+import draftRoutes from "./draft.routes.js";
 
 // Mount routes
 router.use(`/${config.apiVersion}/auth`, authRoutes);
@@ -57,5 +59,7 @@ router.use(`/${config.apiVersion}/explore`, exploreRoutes);
 router.use(`/${config.apiVersion}/hashtags`, hashtagRoutes);
 router.use(`/${config.apiVersion}/home`, homeRoutes);
 router.use(`/${config.apiVersion}/notifications`, notificationRoutes);
+router.use(`/${config.apiVersion}/content`, contentRoutes);
+router.use(`/${config.apiVersion}/drafts`, draftRoutes);
 
 export default router;
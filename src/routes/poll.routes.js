@@ -9,6 +9,7 @@ import {
   createPoll,
   votePoll,
   getPoll,
+  deletePoll,
 } from "../controllers/poll.controller.js";
 import Joi from "joi";
 import { createSchema } from "../utils/validation.js";
@@ -53,5 +54,12 @@ router.post(
   votePoll
 );
 
+/**
+ * @route   DELETE /api/v1/polls/:pollId
+ * @desc    Delete own poll (attached data is cleaned up in the background)
+ * @access  Private
+ */
+router.delete("/:pollId", protect, validateParams(pollIdSchema), deletePoll);
+
 export default router;
 
@@ -1,8 +1,22 @@
 import express from "express";
 import { protect } from "../middleware/auth.js";
-import { validateBody } from "../utils/validation.js";
-import { createPostSchema } from "../validators/post.validator.js";
-import { createPost } from "../controllers/post.controller.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+} from "../utils/validation.js";
+import {
+  createPostSchema,
+  updatePostSchema,
+  postIdParamsSchema,
+  postHistoryQuerySchema,
+} from "../validators/post.validator.js";
+import {
+  createPost,
+  updatePost,
+  getPostHistory,
+  deletePost,
+} from "../controllers/post.controller.js";
 import { uploadPostImages } from "../middleware/upload.js";
 
 const router = express.Router();
@@ -14,4 +28,42 @@ const router = express.Router();
  */
 router.post("/", protect, uploadPostImages, validateBody(createPostSchema), createPost);
 
+/**
+ * @route   PATCH /api/v1/posts/:postId
+ * @desc    Edit the caption, mentions, music window or image order of own post
+ * @access  Private
+ */
+router.patch(
+  "/:postId",
+  protect,
+  validateParams(postIdParamsSchema),
+  validateBody(updatePostSchema),
+  updatePost
+);
+
+/**
+ * @route   GET /api/v1/posts/:postId/history
+ * @desc    Get the edit history of own post
+ * @access  Private
+ */
+router.get(
+  "/:postId/history",
+  protect,
+  validateParams(postIdParamsSchema),
+  validateQuery(postHistoryQuerySchema),
+  getPostHistory
+);
+
+/**
+ * @route   DELETE /api/v1/posts/:postId
+ * @desc    Delete own post (attached data is cleaned up in the background)
+ * @access  Private
+ */
+router.delete(
+  "/:postId",
+  protect,
+  validateParams(postIdParamsSchema),
+  deletePost
+);
+
 export default router;
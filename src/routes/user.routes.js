@@ -5,6 +5,18 @@ import {
   getUserProfileParamsSchema,
   getUserPostQueries,
   getMentionedPostsQuerySchema,
+  deleteAccountSchema,
+  dataExportParamsSchema,
+  changeUsernameSchema,
+  userIdParamsSchema,
+  blockedUsersQuerySchema,
+  muteUserSchema,
+  mutedUsersQuerySchema,
+  restrictedUsersQuerySchema,
+  closeFriendsQuerySchema,
+  updateCloseFriendsSchema,
+  suggestionsQuerySchema,
+  presenceQuerySchema,
 } from "../validators/user.validator.js";
 import {
   updateProfile,
@@ -13,7 +25,42 @@ import {
   getUserWritePosts,
   getUserPolls,
   getMentionedPosts,
+  deleteAccount,
+  sendDeletionCode,
+  changeUsername,
+  getUsernameHistory,
 } from "../controllers/user.controller.js";
+import {
+  createDataExport,
+  listDataExports,
+  getDataExportById,
+} from "../controllers/data-export.controller.js";
+import {
+  block,
+  unblock,
+  getBlockedList,
+} from "../controllers/user-block.controller.js";
+import {
+  mute,
+  unmute,
+  getMutedList,
+} from "../controllers/user-mute.controller.js";
+import {
+  restrict,
+  unrestrict,
+  getRestrictedList,
+} from "../controllers/user-restrict.controller.js";
+import {
+  getCloseFriendsList,
+  addToCloseFriends,
+  removeFromCloseFriends,
+  bulkUpdateCloseFriends,
+} from "../controllers/close-friends.controller.js";
+import {
+  getSuggestions,
+  dismiss,
+} from "../controllers/user-suggestion.controller.js";
+import { getPresence } from "../controllers/presence.controller.js";
 import { protect } from "../middleware/auth.js";
 import {
   searchUsers,
@@ -122,4 +169,262 @@ router.get(
   getMentionedPosts
 );
 
+/**
+ * @route   DELETE /api/v1/users/me
+ * @desc    Delete own account (purged after the grace period unless the user logs in again)
+ * @access  Private
+ * @body    { password } | { otp } | { provider, idToken }
+ */
+router.delete("/me", protect, validateBody(deleteAccountSchema), deleteAccount);
+
+/**
+ * @route   POST /api/v1/users/me/deletion-code
+ * @desc    Send an SMS code to confirm deleting own account (accounts without a password)
+ * @access  Private
+ */
+router.post("/me/deletion-code", protect, sendDeletionCode);
+
+/**
+ * @route   PUT /api/v1/users/me/username
+ * @desc    Change own username (cooldown applies; the old handle stays reserved and mentions of it still resolve)
+ * @access  Private
+ * @body    { username }
+ */
+router.put(
+  "/me/username",
+  protect,
+  validateBody(changeUsernameSchema),
+  changeUsername
+);
+
+/**
+ * @route   GET /api/v1/users/me/username/history
+ * @desc    Get own previous usernames and when the next change is allowed
+ * @access  Private
+ */
+router.get("/me/username/history", protect, getUsernameHistory);
+
+/**
+ * @route   GET /api/v1/users/me/blocked
+ * @desc    List the accounts the current user has blocked
+ * @access  Private
+ */
+router.get(
+  "/me/blocked",
+  protect,
+  validateQuery(blockedUsersQuerySchema),
+  getBlockedList
+);
+
+/**
+ * @route   POST /api/v1/users/:userId/block
+ * @desc    Block a user (removes follows both ways; hides each other everywhere)
+ * @access  Private
+ */
+router.post(
+  "/:userId/block",
+  protect,
+  validateParams(userIdParamsSchema),
+  block
+);
+
+/**
+ * @route   DELETE /api/v1/users/:userId/block
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.delete(
+  "/:userId/block",
+  protect,
+  validateParams(userIdParamsSchema),
+  unblock
+);
+
+/**
+ * @route   GET /api/v1/users/me/muted
+ * @desc    List the accounts the current user has muted, with what is muted
+ * @access  Private
+ */
+router.get(
+  "/me/muted",
+  protect,
+  validateQuery(mutedUsersQuerySchema),
+  getMutedList
+);
+
+/**
+ * @route   PUT /api/v1/users/:userId/mute
+ * @desc    Mute a user's posts, write posts, zeals, polls and/or notifications (stays followed)
+ * @access  Private
+ * @body    { posts?: boolean, writePosts?: boolean, zeals?: boolean, polls?: boolean, notifications?: boolean }
+ * @note    Omitted options keep their current value; turning everything off unmutes the user
+ */
+router.put(
+  "/:userId/mute",
+  protect,
+  validateParams(userIdParamsSchema),
+  validateBody(muteUserSchema),
+  mute
+);
+
+/**
+ * @route   DELETE /api/v1/users/:userId/mute
+ * @desc    Unmute a user entirely
+ * @access  Private
+ */
+router.delete(
+  "/:userId/mute",
+  protect,
+  validateParams(userIdParamsSchema),
+  unmute
+);
+
+/**
+ * @route   GET /api/v1/users/me/restricted
+ * @desc    List the accounts the current user has restricted
+ * @access  Private
+ */
+router.get(
+  "/me/restricted",
+  protect,
+  validateQuery(restrictedUsersQuerySchema),
+  getRestrictedList
+);
+
+/**
+ * @route   POST /api/v1/users/:userId/restrict
+ * @desc    Restrict a user (their comments need approval, their messages go to requests, your online status is hidden)
+ * @access  Private
+ */
+router.post(
+  "/:userId/restrict",
+  protect,
+  validateParams(userIdParamsSchema),
+  restrict
+);
+
+/**
+ * @route   DELETE /api/v1/users/:userId/restrict
+ * @desc    Unrestrict a user
+ * @access  Private
+ */
+router.delete(
+  "/:userId/restrict",
+  protect,
+  validateParams(userIdParamsSchema),
+  unrestrict
+);
+
+/**
+ * @route   GET /api/v1/users/me/close-friends
+ * @desc    List the current user's Close Friends
+ * @access  Private
+ */
+router.get(
+  "/me/close-friends",
+  protect,
+  validateQuery(closeFriendsQuerySchema),
+  getCloseFriendsList
+);
+
+/**
+ * @route   PATCH /api/v1/users/me/close-friends
+ * @desc    Add and/or remove several Close Friends at once
+ * @access  Private
+ * @body    { add?: string[], remove?: string[] }
+ * @note    Up to 100 users per list; users already on the list are skipped
+ */
+router.patch(
+  "/me/close-friends",
+  protect,
+  validateBody(updateCloseFriendsSchema),
+  bulkUpdateCloseFriends
+);
+
+/**
+ * @route   POST /api/v1/users/me/close-friends/:userId
+ * @desc    Add a user to Close Friends
+ * @access  Private
+ */
+router.post(
+  "/me/close-friends/:userId",
+  protect,
+  validateParams(userIdParamsSchema),
+  addToCloseFriends
+);
+
+/**
+ * @route   DELETE /api/v1/users/me/close-friends/:userId
+ * @desc    Remove a user from Close Friends
+ * @access  Private
+ */
+router.delete(
+  "/me/close-friends/:userId",
+  protect,
+  validateParams(userIdParamsSchema),
+  removeFromCloseFriends
+);
+
+/**
+ * @route   GET /api/v1/users/suggestions
+ * @desc    "People you may know" follow suggestions (mutual follows, follow-backs, shared hashtags, popular accounts)
+ * @access  Private
+ */
+router.get(
+  "/suggestions",
+  protect,
+  validateQuery(suggestionsQuerySchema),
+  getSuggestions
+);
+
+/**
+ * @route   GET /api/v1/users/presence
+ * @desc    Online status and last seen of a list of users (?userIds=id1,id2), as allowed by their presence settings
+ * @access  Private
+ */
+router.get(
+  "/presence",
+  protect,
+  validateQuery(presenceQuerySchema),
+  getPresence
+);
+
+/**
+ * @route   POST /api/v1/users/suggestions/:userId/dismiss
+ * @desc    Stop suggesting a user
+ * @access  Private
+ */
+router.post(
+  "/suggestions/:userId/dismiss",
+  protect,
+  validateParams(userIdParamsSchema),
+  dismiss
+);
+
+/**
+ * @route   POST /api/v1/users/me/export
+ * @desc    Request a personal data export (built in the background, user is notified when ready)
+ * @access  Private
+ */
+router.post("/me/export", protect, createDataExport);
+
+/**
+ * @route   GET /api/v1/users/me/export
+ * @desc    List own data exports
+ * @access  Private
+ */
+router.get("/me/export", protect, listDataExports);
+
+/**
+ * @route   GET /api/v1/users/me/export/:exportId
+ * @desc    Get a data export with time-limited download links (JSON and HTML)
+ * @access  Private
+ */
+router.get(
+  "/me/export/:exportId",
+  protect,
+  validateParams(dataExportParamsSchema),
+  getDataExportById
+);
+
 export default router;
@@ -1,8 +1,22 @@
 import express from "express";
 import { protect } from "../middleware/auth.js";
-import { validateBody } from "../utils/validation.js";
-import { createWritePostSchema } from "../validators/writePost.validator.js";
-import { createWritePost } from "../controllers/writePost.controller.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+} from "../utils/validation.js";
+import {
+  createWritePostSchema,
+  updateWritePostSchema,
+  writePostIdParamsSchema,
+  writePostHistoryQuerySchema,
+} from "../validators/writePost.validator.js";
+import {
+  createWritePost,
+  updateWritePost,
+  getWritePostHistory,
+  deleteWritePost,
+} from "../controllers/writePost.controller.js";
 
 const router = express.Router();
 
@@ -13,5 +27,43 @@ const router = express.Router();
  */
 router.post("/", protect, validateBody(createWritePostSchema), createWritePost);
 
+/**
+ * @route   PATCH /api/v1/write-posts/:writePostId
+ * @desc    Edit the content or mentions of own write post
+ * @access  Private
+ */
+router.patch(
+  "/:writePostId",
+  protect,
+  validateParams(writePostIdParamsSchema),
+  validateBody(updateWritePostSchema),
+  updateWritePost
+);
+
+/**
+ * @route   GET /api/v1/write-posts/:writePostId/history
+ * @desc    Get the edit history of own write post
+ * @access  Private
+ */
+router.get(
+  "/:writePostId/history",
+  protect,
+  validateParams(writePostIdParamsSchema),
+  validateQuery(writePostHistoryQuerySchema),
+  getWritePostHistory
+);
+
+/**
+ * @route   DELETE /api/v1/write-posts/:writePostId
+ * @desc    Delete own write post (attached data is cleaned up in the background)
+ * @access  Private
+ */
+router.delete(
+  "/:writePostId",
+  protect,
+  validateParams(writePostIdParamsSchema),
+  deleteWritePost
+);
+
 export default router;
 
@@ -9,12 +9,21 @@ import {
   create,
   getStatus,
   uploadFile,
+  update,
+  getHistory,
+  remove,
 } from "../controllers/zeal.controller.js";
-import { validateBody, validateParams } from "../utils/validation.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+} from "../utils/validation.js";
 import {
   startZealUploadSchema,
   createZealSchema,
   getZealStatusParamsSchema,
+  updateZealSchema,
+  zealHistoryQuerySchema,
 } from "../validators/zeal.validator.js";
 import { protect } from "../middleware/auth.js";
 import { uploadSingle } from "../middleware/upload.js";
@@ -60,5 +69,43 @@ router.get(
   getStatus
 );
 
+/**
+ * @route   PATCH /api/v1/zeals/:zealId
+ * @desc    Edit the caption, mentions or music window of own Zeal post
+ * @access  Private
+ */
+router.patch(
+  "/:zealId",
+  protect,
+  validateParams(getZealStatusParamsSchema),
+  validateBody(updateZealSchema),
+  update
+);
+
+/**
+ * @route   GET /api/v1/zeals/:zealId/history
+ * @desc    Get the edit history of own Zeal post
+ * @access  Private
+ */
+router.get(
+  "/:zealId/history",
+  protect,
+  validateParams(getZealStatusParamsSchema),
+  validateQuery(zealHistoryQuerySchema),
+  getHistory
+);
+
+/**
+ * @route   DELETE /api/v1/zeals/:zealId
+ * @desc    Delete own Zeal post (attached data is cleaned up in the background)
+ * @access  Private
+ */
+router.delete(
+  "/:zealId",
+  protect,
+  validateParams(getZealStatusParamsSchema),
+  remove
+);
+
 export default router;
 
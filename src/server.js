@@ -5,6 +5,15 @@ import config from "./config/env.js";
 import { startPollCronJob } from "./services/poll-cron.service.js";
 import { startVerifiedBadgeCronJob } from "./services/verified-badge-cron.service.js";
 import { startSavedContentCleanupCronJob } from "./services/saved-content-cron.service.js";
+import { startAccountDeletionCronJob } from "./services/account-deletion-cron.service.js";
+import { startDataExportCronJob } from "./services/data-export-cron.service.js";
+import {
+  runCounterBackfill,
+  startCounterReconciliationCronJob,
+} from "./services/counter-reconciliation-cron.service.js";
+import { startContentDeletionCronJob } from "./services/content-deletion-cron.service.js";
+import { startScheduledContentCronJob } from "./services/scheduled-content-cron.service.js";
+import { startContentDraftCleanupCronJob } from "./services/content-draft-cron.service.js";
 import { initializeSocket } from "./socket/socket.js";
 
 // Handle uncaught exceptions
@@ -15,7 +24,10 @@ process.on("uncaughtException", (err) => {
 });
 
 // Connect to database
-connectDB();
+await connectDB();
+
+// Fill in missing counters before any request can $inc them
+await runCounterBackfill();
 
 // Start poll cron job for auto-calculating poll results
 startPollCronJob();
@@ -26,6 +38,24 @@ startVerifiedBadgeCronJob();
 // Start saved content cleanup cron job
 startSavedContentCleanupCronJob();
 
+// Start account deletion purge cron job
+startAccountDeletionCronJob();
+
+// Start personal data export cron job
+startDataExportCronJob();
+
+// Start denormalized counter reconciliation cron job
+startCounterReconciliationCronJob();
+
+// Start deleted content cleanup cron job
+startContentDeletionCronJob();
+
+// Start scheduled content publishing cron job
+startScheduledContentCronJob();
+
+// Start expired draft cleanup cron job
+startContentDraftCleanupCronJob();
+
 // Start server
 const server = app.listen(config.port, () => {
   logger.info(
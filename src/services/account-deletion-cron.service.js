@@ -0,0 +1,35 @@
+import cron from "node-cron";
+import { purgeDueAccounts } from "./account-deletion.service.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Start cron job to purge accounts whose deletion grace period has ended
+ * Runs daily at 3 AM
+ */
+export const startAccountDeletionCronJob = () => {
+  // Run daily at 3 AM: 0 3 * * *
+  cron.schedule("0 3 * * *", async () => {
+    try {
+      logger.info("Running account deletion purge cron job...");
+
+      const result = await purgeDueAccounts();
+
+      if (result.purgedCount === 0 && result.failedCount === 0) {
+        logger.debug("No accounts due for purge");
+        return;
+      }
+
+      logger.info(
+        `Purged ${result.purgedCount} deleted account(s), ${result.failedCount} failed`
+      );
+    } catch (error) {
+      logger.error("Error in account deletion purge cron job:", error);
+    }
+  });
+
+  logger.info("Account deletion purge cron job started (runs daily at 3 AM)");
+};
+
+export default {
+  startAccountDeletionCronJob,
+};
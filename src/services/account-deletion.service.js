@@ -0,0 +1,600 @@
+/**
+ * Account Deletion Service
+ * Self-service account deletion with a grace period and a full data purge
+ */
+
+import crypto from "crypto";
+import User from "../models/users/User.js";
+import UserFollower from "../models/users/UserFollower.js";
+import UserAudience from "../models/users/UserAudience.js";
+import UserSession from "../models/users/UserSession.js";
+import SocialAccount from "../models/users/SocialAccount.js";
+import UsernameHistory from "../models/users/UsernameHistory.js";
+import UserBlock from "../models/users/UserBlock.js";
+import UserMute from "../models/users/UserMute.js";
+import UserRestrict from "../models/users/UserRestrict.js";
+import FollowRequest from "../models/users/FollowRequest.js";
+import FollowCooldown from "../models/users/FollowCooldown.js";
+import SuggestionDismissal from "../models/users/SuggestionDismissal.js";
+import DataExport from "../models/users/DataExport.js";
+import Post from "../models/content/Post.js";
+import WritePost from "../models/content/WritePost.js";
+import ZealPost from "../models/content/ZealPost.js";
+import ZealDraft from "../models/content/ZealDraft.js";
+import ContentDraft from "../models/content/ContentDraft.js";
+import Poll from "../models/content/Poll.js";
+import Comment from "../models/comments/Comment.js";
+import CommentLike from "../models/comments/CommentLike.js";
+import CommentReport from "../models/comments/CommentReport.js";
+import ReplyComment from "../models/comments/ReplyComment.js";
+import ReplyCommentLike from "../models/comments/ReplyCommentLike.js";
+import ContentLike from "../models/interactions/ContentLike.js";
+import ContentShare from "../models/interactions/ContentShare.js";
+import ContentReport from "../models/interactions/ContentReport.js";
+import SavedContent from "../models/interactions/SavedContent.js";
+import ChatRoom from "../models/chat/ChatRoom.js";
+import ChatMessage from "../models/chat/ChatMessage.js";
+import ChatParticipant from "../models/chat/ChatParticipant.js";
+import Snap from "../models/chat/Snap.js";
+import Media from "../models/chat/Media.js";
+import Notification from "../models/notifications/Notification.js";
+import {
+  ContentType,
+  PhoneOTPPurpose,
+  SessionRevokeReason,
+} from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+import {
+  comparePassword,
+  consumePhoneConfirmationCode,
+  hashPassword,
+  sendPhoneConfirmationCode,
+} from "./auth.service.js";
+import {
+  findSocialAccount,
+  verifySocialIdToken,
+} from "./social-auth.service.js";
+import { revokeUserSessions } from "./session.service.js";
+import { decrementCounters } from "./counter.service.js";
+import {
+  deleteStoredFile,
+  deleteCommentThreads,
+  deleteContentCascade,
+} from "./content-deletion.service.js";
+import config from "../config/env.js";
+import logger from "../utils/logger.js";
+
+// Maximum number of accounts purged per cron run
+const PURGE_BATCH_SIZE = 20;
+
+/**
+ * Find an account that can still be deleted
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User document
+ */
+const findDeletableUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  if (user.isDeleted) {
+    throw new Error("User account has been deleted");
+  }
+  return user;
+};
+
+/**
+ * Re-authenticate the user before deleting the account. Accounts without a
+ * password (social sign-ups, phone registrations) confirm with an SMS code
+ * or by signing in again with a linked provider.
+ * @param {Object} user - User document
+ * @param {Object} credentials - { password } | { otp } | { provider, idToken }
+ * @returns {Promise<void>}
+ */
+const assertReauthenticated = async (
+  user,
+  { password, otp, provider, idToken }
+) => {
+  if (password) {
+    if (!user.hasPassword) {
+      throw new Error(
+        "Your account has no password. Confirm with a code sent to your phone or with your linked account"
+      );
+    }
+
+    const isPasswordValid = await comparePassword(password, user.password);
+    if (!isPasswordValid) {
+      throw new Error("Password is incorrect");
+    }
+    return;
+  }
+
+  if (otp) {
+    await consumePhoneConfirmationCode(
+      user,
+      otp,
+      PhoneOTPPurpose.DELETE_ACCOUNT
+    );
+    return;
+  }
+
+  if (provider && idToken) {
+    const identity = await verifySocialIdToken(provider, idToken);
+    const socialAccount = await findSocialAccount(
+      provider,
+      identity.providerUserId
+    );
+
+    if (
+      !socialAccount ||
+      socialAccount.userId.toString() !== user._id.toString()
+    ) {
+      throw new Error("This account is not linked to your account");
+    }
+    return;
+  }
+
+  throw new Error(
+    "Confirm with your password, a code sent to your phone or your linked account"
+  );
+};
+
+/**
+ * Send a code by SMS to confirm deleting the current user's account
+ * (for accounts without a password)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Success message
+ */
+export const sendAccountDeletionCode = async (userId) => {
+  try {
+    const user = await findDeletableUser(userId);
+
+    await sendPhoneConfirmationCode(user, PhoneOTPPurpose.DELETE_ACCOUNT);
+
+    return { message: "A verification code has been sent to your phone" };
+  } catch (error) {
+    logger.error("Error in sendAccountDeletionCode:", error);
+    throw error;
+  }
+};
+
+/**
+ * Request deletion of the current user's account
+ * The account is hidden immediately and purged once the grace period ends.
+ * Logging in before then cancels the deletion.
+ * @param {string} userId - User ID
+ * @param {Object} credentials - Re-authentication: { password }, { otp }
+ * (from sendAccountDeletionCode) or { provider, idToken } of a linked provider
+ * @returns {Promise<Object>} { deletionScheduledFor }
+ */
+export const requestAccountDeletion = async (userId, credentials = {}) => {
+  try {
+    const user = await findDeletableUser(userId);
+
+    await assertReauthenticated(user, credentials);
+
+    const now = new Date();
+    const deletionScheduledFor = new Date(now);
+    deletionScheduledFor.setDate(
+      deletionScheduledFor.getDate() + config.account.deletionGraceDays
+    );
+
+    user.isDeleted = true;
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = deletionScheduledFor;
+    await user.save();
+
+    // Sign the account out everywhere (also drops push tokens)
+    await revokeUserSessions(userId, SessionRevokeReason.ACCOUNT_DELETED);
+
+    logger.info(
+      `Account deletion requested by user ${userId}, scheduled for ${deletionScheduledFor.toISOString()}`
+    );
+
+    return { deletionScheduledFor };
+  } catch (error) {
+    logger.error("Error in requestAccountDeletion:", error);
+    throw error;
+  }
+};
+
+/**
+ * Take purged documents off a counter of the documents they point to
+ * @param {mongoose.Model} Source - Collection the documents are purged from
+ * @param {Object} match - Documents being purged
+ * @param {mongoose.Model} Model - Model holding the counter
+ * @param {string} field - Counter field
+ * @param {string} groupBy - Field of Source referencing Model
+ */
+const decrementCountersFor = async (Source, match, Model, field, groupBy) => {
+  const groups = await Source.aggregate([
+    { $match: match },
+    { $group: { _id: `$${groupBy}`, count: { $sum: 1 } } },
+  ]);
+  await decrementCounters(Model, field, groups);
+};
+
+/**
+ * Take purged documents off a counter of the content they were on
+ * @param {mongoose.Model} Source - Collection the documents are purged from
+ * @param {Object} match - Documents being purged
+ * @param {string} field - Content counter field
+ */
+const decrementContentCountersFor = async (Source, match, field) => {
+  const groups = await Source.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { contentType: "$contentType", contentId: "$contentId" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  for (const contentType of Object.values(ContentType)) {
+    await decrementCounters(
+      getContentModel(contentType),
+      field,
+      groups
+        .filter((group) => group._id.contentType === contentType)
+        .map((group) => ({ _id: group._id.contentId, count: group.count }))
+    );
+  }
+};
+
+/**
+ * Delete the user's posts, write posts, zeals and polls (with stored media)
+ * @param {mongoose.Types.ObjectId} userId - User ID
+ */
+const purgeAuthoredContent = async (userId) => {
+  const posts = await Post.find({ userId }).select("_id images").lean();
+  await deleteContentCascade(
+    ContentType.POST,
+    posts.map((p) => p._id)
+  );
+  for (const post of posts) {
+    await Promise.all((post.images || []).map(deleteStoredFile));
+  }
+  await Post.deleteMany({ userId });
+
+  const writePostIds = await WritePost.find({ userId }).distinct("_id");
+  await deleteContentCascade(ContentType.WRITE_POST, writePostIds);
+  await WritePost.deleteMany({ userId });
+
+  const zeals = await ZealPost.find({ userId })
+    .select("_id videos images mediaUrl thumbnailUrl")
+    .lean();
+  await deleteContentCascade(
+    ContentType.ZEAL,
+    zeals.map((z) => z._id)
+  );
+  for (const zeal of zeals) {
+    const files = [
+      ...(zeal.videos || []),
+      ...(zeal.images || []),
+      zeal.mediaUrl,
+      zeal.thumbnailUrl,
+    ];
+    await Promise.all([...new Set(files)].map(deleteStoredFile));
+  }
+  await ZealPost.deleteMany({ userId });
+
+  const drafts = await ZealDraft.find({ userId }).select("storageKey").lean();
+  await Promise.all(drafts.map((d) => deleteStoredFile(d.storageKey)));
+  await ZealDraft.deleteMany({ userId });
+
+  const contentDrafts = await ContentDraft.find({ userId })
+    .select("images")
+    .lean();
+  await Promise.all(
+    contentDrafts.flatMap((d) =>
+      d.images.map((image) => deleteStoredFile(image))
+    )
+  );
+  await ContentDraft.deleteMany({ userId });
+
+  const pollIds = await Poll.find({ createdBy: userId }).distinct("_id");
+  await deleteContentCascade(null, pollIds);
+  await Poll.deleteMany({ createdBy: userId });
+};
+
+/**
+ * Remove the user's activity on other people's content
+ * (comments, replies, likes, shares, saved items, reports, poll votes)
+ * @param {mongoose.Types.ObjectId} userId - User ID
+ */
+const purgeInteractions = async (userId) => {
+  // Comments (with the threads under them) and replies,
+  // keeping the comment and reply counts of what they were on in line
+  await decrementContentCountersFor(
+    Comment,
+    { userId, isDeleted: false, isPendingApproval: { $ne: true } },
+    "commentCount"
+  );
+  const commentIds = await Comment.find({ userId }).distinct("_id");
+  await deleteCommentThreads(commentIds);
+
+  await decrementCountersFor(
+    ReplyComment,
+    { userId, isDeleted: false, isPendingApproval: { $ne: true } },
+    Comment,
+    "replyCount",
+    "commentId"
+  );
+  const replyIds = await ReplyComment.find({ userId }).distinct("_id");
+  await ReplyCommentLike.deleteMany({ replyCommentId: { $in: replyIds } });
+  await ReplyComment.deleteMany({ _id: { $in: replyIds } });
+
+  // Shares sent and likes given: keep the counters in line
+  await decrementContentCountersFor(
+    ContentShare,
+    { senderId: userId },
+    "shareCount"
+  );
+  await decrementContentCountersFor(ContentLike, { userId }, "likeCount");
+  await decrementCountersFor(
+    CommentLike,
+    { userId },
+    Comment,
+    "likeCount",
+    "commentId"
+  );
+  await decrementCountersFor(
+    ReplyCommentLike,
+    { userId },
+    ReplyComment,
+    "likeCount",
+    "replyCommentId"
+  );
+
+  await Promise.all([
+    ContentShare.deleteMany({ senderId: userId }),
+    ContentShare.updateMany(
+      { receiverIds: userId },
+      { $pull: { receiverIds: userId } }
+    ),
+    ContentLike.deleteMany({ userId }),
+    CommentLike.deleteMany({ userId }),
+    ReplyCommentLike.deleteMany({ userId }),
+    SavedContent.deleteMany({ userId }),
+    ContentReport.deleteMany({ reportedBy: userId }),
+    CommentReport.deleteMany({ reportedBy: userId }),
+  ]);
+
+  // Poll votes: remove the vote and recompute the results
+  const votedPolls = await Poll.find({ "userVotes.userId": userId });
+  for (const poll of votedPolls) {
+    const vote = poll.userVotes.find(
+      (v) => v.userId.toString() === userId.toString()
+    );
+    const option = poll.options.find((o) => o.optionId === vote.optionId);
+    if (option && option.voteCount > 0) {
+      option.voteCount -= 1;
+    }
+
+    poll.userVotes = poll.userVotes.filter(
+      (v) => v.userId.toString() !== userId.toString()
+    );
+    poll.totalVotes = poll.userVotes.length;
+    poll.options.forEach((o) => {
+      o.votePercentage =
+        poll.totalVotes === 0
+          ? 0
+          : Math.round((o.voteCount / poll.totalVotes) * 100);
+    });
+    await poll.save();
+  }
+};
+
+/**
+ * Remove the user's chats, snaps and uploaded chat media
+ * @param {mongoose.Types.ObjectId} userId - User ID
+ */
+const purgeChatData = async (userId) => {
+  const roomIds = await ChatRoom.find({
+    $or: [{ userA: userId }, { userB: userId }],
+  }).distinct("_id");
+
+  await Promise.all([
+    ChatMessage.deleteMany({ roomId: { $in: roomIds } }),
+    ChatParticipant.deleteMany({
+      $or: [{ roomId: { $in: roomIds } }, { userId }],
+    }),
+  ]);
+  await ChatRoom.deleteMany({ _id: { $in: roomIds } });
+
+  const snaps = await Snap.find({ senderId: userId })
+    .select("storageKey thumbnailUrl")
+    .lean();
+  for (const snap of snaps) {
+    await deleteStoredFile(snap.storageKey);
+    await deleteStoredFile(snap.thumbnailUrl);
+  }
+  await Snap.deleteMany({ senderId: userId });
+  await Snap.updateMany(
+    { "recipients.userId": userId },
+    { $pull: { recipients: { userId } } }
+  );
+
+  const media = await Media.find({ userId })
+    .select("storageKey thumbnailUrl")
+    .lean();
+  for (const item of media) {
+    await deleteStoredFile(item.storageKey);
+    await deleteStoredFile(item.thumbnailUrl);
+  }
+  await Media.deleteMany({ userId });
+};
+
+/**
+ * Remove follow edges and fix the counters of everyone on the other side
+ * @param {mongoose.Types.ObjectId} userId - User ID
+ */
+const purgeSocialGraph = async (userId) => {
+  // Users this account followed lose a follower
+  const followedIds = await UserFollower.find({ followerId: userId }).distinct(
+    "userId"
+  );
+  if (followedIds.length > 0) {
+    await User.updateMany(
+      { _id: { $in: followedIds }, followerCount: { $gt: 0 } },
+      { $inc: { followerCount: -1 } }
+    );
+  }
+
+  // Followers of this account lose a following
+  const followerIds = await UserFollower.find({ userId }).distinct(
+    "followerId"
+  );
+  if (followerIds.length > 0) {
+    await User.updateMany(
+      { _id: { $in: followerIds }, followingCount: { $gt: 0 } },
+      { $inc: { followingCount: -1 } }
+    );
+  }
+
+  await Promise.all([
+    UserFollower.deleteMany({ $or: [{ userId }, { followerId: userId }] }),
+    UserAudience.deleteMany({
+      $or: [{ userId }, { audienceUserId: userId }],
+    }),
+    Notification.deleteMany({
+      $or: [{ receiverId: userId }, { senderId: userId }],
+    }),
+  ]);
+};
+
+/**
+ * Permanently purge a user's data and anonymize the account record.
+ * Each step is idempotent, so a purge interrupted half-way is simply re-run.
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const purgeUserAccount = async (userId) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    await purgeAuthoredContent(user._id);
+    await purgeInteractions(user._id);
+    await purgeChatData(user._id);
+    await purgeSocialGraph(user._id);
+    await UserSession.deleteMany({ userId: user._id });
+    await SocialAccount.deleteMany({ userId: user._id });
+    await UsernameHistory.deleteMany({ userId: user._id });
+    await UserBlock.deleteMany({
+      $or: [{ blockerId: user._id }, { blockedId: user._id }],
+    });
+    await UserMute.deleteMany({
+      $or: [{ muterId: user._id }, { mutedId: user._id }],
+    });
+    await UserRestrict.deleteMany({
+      $or: [{ restricterId: user._id }, { restrictedId: user._id }],
+    });
+    await FollowRequest.deleteMany({
+      $or: [{ userId: user._id }, { requesterId: user._id }],
+    });
+    await FollowCooldown.deleteMany({
+      $or: [{ userId: user._id }, { followerId: user._id }],
+    });
+    await SuggestionDismissal.deleteMany({
+      $or: [{ userId: user._id }, { dismissedUserId: user._id }],
+    });
+
+    const dataExports = await DataExport.find({ userId: user._id })
+      .select("jsonStorageKey htmlStorageKey")
+      .lean();
+    for (const dataExport of dataExports) {
+      await deleteStoredFile(dataExport.jsonStorageKey);
+      await deleteStoredFile(dataExport.htmlStorageKey);
+    }
+    await DataExport.deleteMany({ userId: user._id });
+
+    await deleteStoredFile(user.profileImage);
+    await deleteStoredFile(user.coverImage);
+
+    // Keep the record (subscription payments reference it) but strip every
+    // piece of personal data and free the email / username / phone number
+    const anonymousId = user._id.toString();
+    user.email = `deleted_${anonymousId}@deleted.invalid`;
+    user.username = `deleted_${anonymousId}`;
+    user.name = "Deleted User";
+    user.password = await hashPassword(crypto.randomBytes(32).toString("hex"));
+    user.bio = "";
+    user.profileImage = null;
+    user.coverImage = null;
+    user.countryCode = null;
+    user.phoneNumber = undefined;
+    user.otp = null;
+    user.otpExpireAt = null;
+    user.otpChannel = null;
+    user.otpSentTo = null;
+    user.forgotPasswordOTP = null;
+    user.forgotPasswordOTPExpireAt = null;
+    user.pendingEmail = null;
+    user.emailChangeOTP = null;
+    user.emailChangeOTPExpireAt = null;
+    user.emailChangeCancelToken = null;
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.fcmToken = null;
+    user.isVerifiedBadge = false;
+    user.followerCount = 0;
+    user.followingCount = 0;
+    user.isDeleted = true;
+    user.dataPurgedAt = new Date();
+    await user.save();
+
+    logger.info(`Account data purged for user ${anonymousId}`);
+  } catch (error) {
+    logger.error("Error in purgeUserAccount:", error);
+    throw error;
+  }
+};
+
+/**
+ * Purge every account whose deletion grace period has ended
+ * @returns {Promise<Object>} { purgedCount, failedCount }
+ */
+export const purgeDueAccounts = async () => {
+  try {
+    const dueUsers = await User.find({
+      isDeleted: true,
+      deletionScheduledFor: { $ne: null, $lte: new Date() },
+      dataPurgedAt: null,
+    })
+      .select("_id")
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+
+    let purgedCount = 0;
+    let failedCount = 0;
+
+    // One account at a time to keep database load predictable
+    for (const user of dueUsers) {
+      try {
+        await purgeUserAccount(user._id);
+        purgedCount += 1;
+      } catch (error) {
+        failedCount += 1;
+        logger.error(`Failed to purge account ${user._id}:`, error);
+      }
+    }
+
+    return { purgedCount, failedCount };
+  } catch (error) {
+    logger.error("Error in purgeDueAccounts:", error);
+    throw error;
+  }
+};
+
+export default {
+  sendAccountDeletionCode,
+  requestAccountDeletion,
+  purgeUserAccount,
+  purgeDueAccounts,
+};
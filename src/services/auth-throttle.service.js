@@ -0,0 +1,269 @@
+/**
+ * Auth Throttle Service
+ * Brute-force protection for public auth endpoints: failed attempts are
+ * counted per account and per IP address, and reaching the limit locks the
+ * key with a lockout that doubles each time (see AuthThrottle model).
+ */
+
+import AuthThrottle from "../models/users/AuthThrottle.js";
+import { AuthThrottleScope } from "../models/enums.js";
+import { sendAccountLockedEmail } from "./email.service.js";
+import { sendSMS, formatPhoneNumber } from "./sms.service.js";
+import config from "../config/env.js";
+import logger from "../utils/logger.js";
+
+// Counters (and the lockout progression) reset after a day without failures
+const QUIET_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error for a throttled request.
+ * `retryAfter` (seconds) lets controllers answer with 429 + Retry-After.
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the request may be retried
+ * @returns {Error} Error with retryAfter
+ */
+export const createTooManyAttemptsError = (message, retryAfter) => {
+  const error = new Error(message);
+  error.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  return error;
+};
+
+/**
+ * Create the error returned while a key is locked
+ * @param {Date} lockedUntil - Lockout end
+ * @returns {Error} Error with retryAfter
+ */
+const createLockedError = (lockedUntil) => {
+  const retryAfter = (lockedUntil.getTime() - Date.now()) / 1000;
+  const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+
+  return createTooManyAttemptsError(
+    `Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}`,
+    retryAfter
+  );
+};
+
+/**
+ * Throttle keys for a request
+ * @param {Object} target - { userId?, ipAddress? }
+ * @returns {Array<Object>} [{ scope, key }]
+ */
+const getThrottleKeys = ({ userId, ipAddress }) =>
+  [
+    userId && { scope: AuthThrottleScope.ACCOUNT, key: userId.toString() },
+    ipAddress && { scope: AuthThrottleScope.IP, key: ipAddress },
+  ].filter(Boolean);
+
+/**
+ * Failed attempts allowed before a key is locked
+ * @param {string} scope - AuthThrottleScope
+ * @returns {number} Limit
+ */
+const getFailureLimit = (scope) =>
+  scope === AuthThrottleScope.ACCOUNT
+    ? config.authThrottle.maxFailedAttempts
+    : config.authThrottle.ipMaxFailedAttempts;
+
+/**
+ * Lockout duration for the next lockout (doubles each time, capped)
+ * @param {number} lockoutCount - Lockouts already applied to the key
+ * @returns {number} Minutes
+ */
+const getLockoutMinutes = (lockoutCount) =>
+  Math.min(
+    config.authThrottle.lockoutBaseMinutes * 2 ** lockoutCount,
+    config.authThrottle.lockoutMaxMinutes
+  );
+
+/**
+ * Count one failure for a key and lock it once the limit is reached
+ * @param {Object} throttleKey - { scope, key }
+ * @returns {Promise<Date|null>} Lockout end if this failure locked the key
+ */
+const incrementFailure = async ({ scope, key }) => {
+  const now = new Date();
+  const limit = getFailureLimit(scope);
+
+  const countFailure = () =>
+    AuthThrottle.findOneAndUpdate(
+      { scope, key },
+      {
+        $inc: { failedCount: 1 },
+        $set: {
+          lastFailedAt: now,
+          expiresAt: new Date(now.getTime() + QUIET_PERIOD_MS),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+  let throttle;
+  try {
+    throttle = await countFailure();
+  } catch (upsertError) {
+    // Concurrent first failure inserted the record; count against it
+    if (upsertError.code === 11000) {
+      throttle = await countFailure();
+    } else {
+      throw upsertError;
+    }
+  }
+
+  if (throttle.failedCount < limit) {
+    return null;
+  }
+
+  const lockedUntil = new Date(
+    now.getTime() + getLockoutMinutes(throttle.lockoutCount) * 60 * 1000
+  );
+
+  // Conditional update: concurrent failures apply a single lockout
+  const locked = await AuthThrottle.findOneAndUpdate(
+    { _id: throttle._id, failedCount: { $gte: limit } },
+    {
+      $set: {
+        failedCount: 0,
+        lockedUntil,
+        expiresAt: new Date(lockedUntil.getTime() + QUIET_PERIOD_MS),
+      },
+      $inc: { lockoutCount: 1 },
+    },
+    { new: true }
+  );
+
+  return locked ? locked.lockedUntil : null;
+};
+
+/**
+ * Tell the account owner their account was locked (email, or SMS for
+ * phone-only accounts)
+ * @param {Object} user - User document
+ * @param {Date} lockedUntil - Lockout end
+ * @param {string} ipAddress - IP address of the last failed attempt
+ * @returns {Promise<void>}
+ */
+const notifyAccountLocked = async (user, lockedUntil, ipAddress) => {
+  try {
+    if (user.email) {
+      await sendAccountLockedEmail(user.email, { lockedUntil, ipAddress });
+    } else if (user.phoneNumber && user.isPhoneVerified) {
+      await sendSMS({
+        to: formatPhoneNumber(user.countryCode, user.phoneNumber),
+        message: `Your Omeeba account was locked after several failed sign-in attempts. You can try again after ${lockedUntil.toUTCString()}.`,
+      });
+    }
+  } catch (error) {
+    logger.error(`Failed to send lockout notice to user ${user._id}:`, error);
+  }
+};
+
+/**
+ * Reject the request while the account or IP address is locked
+ * @param {Object} target - { userId?, ipAddress? }
+ * @returns {Promise<void>}
+ */
+export const assertNotLocked = async (target) => {
+  try {
+    const keys = getThrottleKeys(target);
+    if (keys.length === 0) {
+      return;
+    }
+
+    const locked = await AuthThrottle.findOne({
+      $or: keys,
+      lockedUntil: { $gt: new Date() },
+    })
+      .sort({ lockedUntil: -1 })
+      .select("lockedUntil");
+
+    if (locked) {
+      throw createLockedError(locked.lockedUntil);
+    }
+  } catch (error) {
+    if (!error.retryAfter) {
+      logger.error("Error in assertNotLocked:", error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record a failed attempt against the account and the IP address
+ * @param {Object} target - { user?, ipAddress? } - user is the targeted account, if known
+ * @returns {Promise<Object>} { lockedUntil } - set when this attempt locked the account or IP
+ */
+export const recordFailedAttempt = async ({
+  user = null,
+  ipAddress = null,
+}) => {
+  try {
+    const [accountLockedUntil, ipLockedUntil] = await Promise.all([
+      user
+        ? incrementFailure({
+            scope: AuthThrottleScope.ACCOUNT,
+            key: user._id.toString(),
+          })
+        : null,
+      ipAddress
+        ? incrementFailure({ scope: AuthThrottleScope.IP, key: ipAddress })
+        : null,
+    ]);
+
+    if (ipLockedUntil) {
+      logger.warn(
+        `IP ${ipAddress} locked until ${ipLockedUntil.toISOString()} after repeated failed auth attempts`
+      );
+    }
+
+    if (accountLockedUntil) {
+      logger.warn(
+        `Account ${user._id} locked until ${accountLockedUntil.toISOString()} after repeated failed auth attempts`
+      );
+      // Fire and forget - the response should not wait for the email
+      notifyAccountLocked(user, accountLockedUntil, ipAddress);
+    }
+
+    return { lockedUntil: accountLockedUntil || ipLockedUntil };
+  } catch (error) {
+    logger.error("Error in recordFailedAttempt:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a failed attempt and throw the matching error: the lockout error
+ * if this attempt locked the account or IP, otherwise the given message
+ * @param {Object} target - { user?, ipAddress? }
+ * @param {string} message - Error message for an ordinary failure
+ * @returns {Promise<never>}
+ */
+export const failAttempt = async (target, message) => {
+  const { lockedUntil } = await recordFailedAttempt(target);
+  throw lockedUntil ? createLockedError(lockedUntil) : new Error(message);
+};
+
+/**
+ * Reset the account's failure counter after a successful sign-in.
+ * The lockout progression is kept until the quiet period expires.
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const clearFailedAttempts = async (userId) => {
+  try {
+    await AuthThrottle.updateOne(
+      { scope: AuthThrottleScope.ACCOUNT, key: userId.toString() },
+      { $set: { failedCount: 0 } }
+    );
+  } catch (error) {
+    logger.error("Error in clearFailedAttempts:", error);
+    throw error;
+  }
+};
+
+export default {
+  assertNotLocked,
+  recordFailedAttempt,
+  failAttempt,
+  clearFailedAttempts,
+  createTooManyAttemptsError,
+};
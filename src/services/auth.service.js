@@ -3,10 +3,48 @@
  * Business logic for authentication
  */
 
+import crypto from "crypto";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import User from "../models/users/User.js";
-import { sendOTPEmail, sendForgotPasswordOTPEmail } from "./email.service.js";
+import {
+  sendOTPEmail,
+  sendForgotPasswordOTPEmail,
+  sendEmailChangeOTPEmail,
+  sendEmailChangeRequestedEmail,
+} from "./email.service.js";
+import { sendOTPSMS, formatPhoneNumber } from "./sms.service.js";
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeUserSessions,
+} from "./session.service.js";
+import {
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  verifyTwoFactorCode,
+} from "./two-factor.service.js";
+import {
+  assertNotLocked,
+  recordFailedAttempt,
+  failAttempt,
+  clearFailedAttempts,
+  createTooManyAttemptsError,
+} from "./auth-throttle.service.js";
+import {
+  verifySocialIdToken,
+  findSocialAccount,
+  createSocialAccount,
+} from "./social-auth.service.js";
+import {
+  assertUsernameAvailable,
+  assertUsernameNotReserved,
+} from "./username.service.js";
+import {
+  OTPChannel,
+  PhoneOTPPurpose,
+  SessionRevokeReason,
+} from "../models/enums.js";
 import config from "../config/env.js";
 import logger from "../utils/logger.js";
 
@@ -49,15 +87,254 @@ const removeSensitiveFields = (userObject) => {
     "password",
     "otp",
     "otpExpireAt",
+    "otpChannel",
+    "otpSentTo",
     "forgotPasswordOTP",
     "forgotPasswordOTPExpireAt",
     "forgotPasswordOTPVerified",
     "forgotPasswordOTPVerifiedAt",
+    "phoneOTP",
+    "phoneOTPExpireAt",
+    "phoneOTPPurpose",
+    "emailChangeOTP",
+    "emailChangeOTPExpireAt",
+    "emailChangeCancelToken",
+    "otpFailedAttempts",
+    "otpLastSentAt",
+    "twoFactorSecret",
+    "twoFactorPendingSecret",
+    "twoFactorLastUsedStep",
+    "twoFactorRecoveryCodes",
   ];
   sensitiveFields.forEach((field) => delete userObject[field]);
   return userObject;
 };
 
+/**
+ * Check whether an identifier refers to a phone number
+ * @param {string|Object} identifier - Email, or { email } / { countryCode, phoneNumber }
+ * @returns {boolean} True for a phone identifier
+ */
+const isPhoneIdentifier = (identifier) =>
+  typeof identifier === "object" &&
+  !identifier.email &&
+  !!identifier.phoneNumber;
+
+/**
+ * Build the user lookup for an email or phone identifier
+ * @param {string|Object} identifier - Email, or { email } / { countryCode, phoneNumber }
+ * @returns {Object} User query
+ */
+const getIdentifierQuery = (identifier) => {
+  if (isPhoneIdentifier(identifier)) {
+    return {
+      countryCode: identifier.countryCode,
+      phoneNumber: identifier.phoneNumber,
+    };
+  }
+
+  const email = typeof identifier === "string" ? identifier : identifier.email;
+  return { email: email.toLowerCase() };
+};
+
+/**
+ * Human readable name of an identifier, for error messages
+ * @param {string|Object} identifier - Email or phone identifier
+ * @returns {string} "email address" or "phone number"
+ */
+const getIdentifierLabel = (identifier) =>
+  isPhoneIdentifier(identifier) ? "phone number" : "email address";
+
+/**
+ * Email or phone number of a user, for logs
+ * @param {Object} user - User document
+ * @returns {string} Contact
+ */
+const getUserContact = (user) =>
+  user.email || formatPhoneNumber(user.countryCode, user.phoneNumber);
+
+/**
+ * Remember where the account verification code was sent
+ * (the caller saves the user)
+ * @param {Object} user - User document
+ * @param {string} channel - OTPChannel the code went out on
+ */
+const recordOTPChannel = (user, channel) => {
+  user.otpChannel = channel;
+  user.otpSentTo =
+    channel === OTPChannel.SMS
+      ? formatPhoneNumber(user.countryCode, user.phoneNumber)
+      : user.email;
+};
+
+/**
+ * Check whether the account verification code was sent by SMS to the
+ * user's current phone number (entering it then proves the number)
+ * @param {Object} user - User document
+ * @returns {boolean} True when the code verifies the phone number
+ */
+const wasOTPSentToPhone = (user) =>
+  user.otpChannel === OTPChannel.SMS &&
+  !!user.phoneNumber &&
+  user.otpSentTo === formatPhoneNumber(user.countryCode, user.phoneNumber);
+
+/**
+ * Send an OTP over the channel the identifier refers to (SMS or email).
+ * Account verification codes record the channel they were sent on.
+ * @param {Object} user - User document
+ * @param {string|Object} identifier - Email or phone identifier
+ * @param {number} otp - OTP code
+ * @param {string} purpose - "account" or "password"
+ * @returns {Promise<void>}
+ */
+const deliverOTP = async (user, identifier, otp, purpose = "account") => {
+  let channel;
+  if (isPhoneIdentifier(identifier)) {
+    await sendOTPSMS(
+      formatPhoneNumber(user.countryCode, user.phoneNumber),
+      otp
+    );
+    channel = OTPChannel.SMS;
+  } else if (purpose === "password") {
+    await sendForgotPasswordOTPEmail(user.email, otp);
+    channel = OTPChannel.EMAIL;
+  } else {
+    await sendOTPEmail(user.email, otp);
+    channel = OTPChannel.EMAIL;
+  }
+
+  if (purpose === "account") {
+    recordOTPChannel(user, channel);
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { otpChannel: user.otpChannel, otpSentTo: user.otpSentTo } }
+    );
+  }
+};
+
+/**
+ * Get the expiry date of a newly generated OTP
+ * @returns {Date} Expiry date
+ */
+const getOTPExpireAt = () => {
+  const otpExpireAt = new Date();
+  otpExpireAt.setMinutes(otpExpireAt.getMinutes() + config.otp.expireMinutes);
+  return otpExpireAt;
+};
+
+/**
+ * Query matching active accounts and accounts still in their deletion grace
+ * period (logging into those restores them)
+ * @returns {Object} User query
+ */
+const getLoginableAccountQuery = () => ({
+  $or: [
+    { isDeleted: false },
+    { deletionScheduledFor: { $gt: new Date() }, dataPurgedAt: null },
+  ],
+});
+
+/**
+ * Cancel a pending account deletion (login during the grace period)
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const restorePendingDeletion = async (user) => {
+  if (!user.isDeleted) {
+    return;
+  }
+
+  user.isDeleted = false;
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save();
+  logger.info(`Account deletion cancelled by login: ${getUserContact(user)}`);
+};
+
+/**
+ * Seconds left before another OTP may be sent to the user
+ * @param {Object} user - User document
+ * @returns {number} Seconds left in the cooldown (0 when a code may be sent)
+ */
+const getResendCooldownRemaining = (user) => {
+  if (!user.otpLastSentAt) {
+    return 0;
+  }
+
+  const elapsedSeconds = (Date.now() - user.otpLastSentAt.getTime()) / 1000;
+  return Math.max(
+    0,
+    Math.ceil(config.otp.resendCooldownSeconds - elapsedSeconds)
+  );
+};
+
+/**
+ * Throw while the resend cooldown is running
+ * @param {Object} user - User document
+ */
+const assertResendAllowed = (user) => {
+  const remaining = getResendCooldownRemaining(user);
+  if (remaining > 0) {
+    throw createTooManyAttemptsError(
+      `Please wait ${remaining} seconds before requesting a new code`,
+      remaining
+    );
+  }
+};
+
+/**
+ * Reset the wrong-code counter and start the resend cooldown for a new OTP
+ * (the caller saves the user)
+ * @param {Object} user - User document
+ */
+const markOTPSent = (user) => {
+  user.otpFailedAttempts = 0;
+  user.otpLastSentAt = new Date();
+};
+
+/**
+ * Handle a wrong OTP. The code is invalidated once OTP_MAX_ATTEMPTS wrong
+ * codes were entered; the failure also counts against the account and IP.
+ * @param {Object} user - User document
+ * @param {Array<string>} otpFields - Fields holding the code to invalidate
+ * @param {string} message - Error message for an ordinary wrong code
+ * @param {Object} throttleTarget - { user, ipAddress } for the brute-force counters (optional)
+ * @returns {Promise<never>}
+ */
+const rejectInvalidOTP = async (
+  user,
+  otpFields,
+  message,
+  throttleTarget = null
+) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { otpFailedAttempts: 1 } },
+    { new: true, projection: { otpFailedAttempts: 1 } }
+  );
+
+  if (updated.otpFailedAttempts >= config.otp.maxAttempts) {
+    const clearedFields = Object.fromEntries(
+      otpFields.map((field) => [field, null])
+    );
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { ...clearedFields, otpFailedAttempts: 0 } }
+    );
+    logger.warn(`OTP invalidated after too many wrong codes: ${user._id}`);
+
+    if (throttleTarget) {
+      await recordFailedAttempt(throttleTarget);
+    }
+    throw new Error("Too many invalid attempts. Please request a new code");
+  }
+
+  if (throttleTarget) {
+    await failAttempt(throttleTarget, message);
+  }
+  throw new Error(message);
+};
+
 /**
  * Register new user
  * @param {Object} userData - User registration data
@@ -80,6 +357,20 @@ export const registerUser = async (userData) => {
       isDeleted: false,
     });
 
+    // The email still belongs to an account pending deletion
+    const pendingDeletionUser = await User.findOne({
+      email: email.toLowerCase(),
+      isDeleted: true,
+      deletionScheduledFor: { $gt: new Date() },
+      dataPurgedAt: null,
+    }).select("_id");
+
+    if (pendingDeletionUser) {
+      throw new Error(
+        "This account is scheduled for deletion. Login to restore it"
+      );
+    }
+
     // If user exists and is already verified, throw error
     if (existingUserByEmail && existingUserByEmail.isAccountVerified) {
       throw new Error("An account with this email already exists");
@@ -88,8 +379,13 @@ export const registerUser = async (userData) => {
     // If user exists but not verified, resend OTP
     if (existingUserByEmail && !existingUserByEmail.isAccountVerified) {
       // Check if new phone number is already taken by another user
-      if (phoneNumber && phoneNumber !== existingUserByEmail.phoneNumber) {
+      if (
+        phoneNumber &&
+        (phoneNumber !== existingUserByEmail.phoneNumber ||
+          countryCode !== existingUserByEmail.countryCode)
+      ) {
         const existingUserByPhone = await User.findOne({
+          countryCode,
           phoneNumber,
           isDeleted: false,
           _id: { $ne: existingUserByEmail._id }, // Exclude current user
@@ -111,8 +407,13 @@ export const registerUser = async (userData) => {
         if (existingUserByUsername) {
           throw new Error("This username is already taken");
         }
+
+        await assertUsernameNotReserved(username);
       }
 
+      // Registering again resends the OTP, so the cooldown applies
+      assertResendAllowed(existingUserByEmail);
+
       // Generate new OTP
       const otp = generateOTP();
       const otpExpireAt = new Date();
@@ -123,6 +424,7 @@ export const registerUser = async (userData) => {
       // Update user with new OTP
       existingUserByEmail.otp = otp;
       existingUserByEmail.otpExpireAt = otpExpireAt;
+      markOTPSent(existingUserByEmail);
 
       // Update other fields if provided
       if (phoneNumber) existingUserByEmail.phoneNumber = phoneNumber;
@@ -132,6 +434,7 @@ export const registerUser = async (userData) => {
       if (password) {
         existingUserByEmail.password = await hashPassword(password);
       }
+      recordOTPChannel(existingUserByEmail, OTPChannel.EMAIL);
 
       await existingUserByEmail.save();
 
@@ -161,6 +464,7 @@ export const registerUser = async (userData) => {
     // Check if user already exists with phone number (only for new registrations)
     if (phoneNumber) {
       const existingUserByPhone = await User.findOne({
+        countryCode,
         phoneNumber,
         isDeleted: false,
       });
@@ -180,6 +484,8 @@ export const registerUser = async (userData) => {
       throw new Error("This username is already taken");
     }
 
+    await assertUsernameNotReserved(username);
+
     // Hash password
     const hashedPassword = await hashPassword(password);
 
@@ -198,6 +504,9 @@ export const registerUser = async (userData) => {
       password: hashedPassword,
       otp,
       otpExpireAt,
+      otpChannel: OTPChannel.EMAIL,
+      otpSentTo: email.toLowerCase(),
+      otpLastSentAt: new Date(),
       isAccountVerified: false,
     });
 
@@ -225,23 +534,37 @@ export const registerUser = async (userData) => {
 /**
  * Verify OTP
  * Handles both account verification and forgot password OTP
- * @param {string} email - User email
+ * @param {string|Object} identifier - Email, or { email } / { countryCode, phoneNumber }
  * @param {number} otp - OTP code
  * @param {string} type - OTP type: "account" or "password" (optional, auto-detected if not provided)
+ * @param {Object} requestMeta - Request metadata ({ ipAddress })
  * @returns {Promise<Object>} Verified user or success message
  */
-export const verifyOTP = async (email, otp, type = null) => {
+export const verifyOTP = async (
+  identifier,
+  otp,
+  type = null,
+  requestMeta = {}
+) => {
   try {
-    // Find user by email
+    const { ipAddress } = requestMeta;
+    await assertNotLocked({ ipAddress });
+
+    // Find user by email or phone number
     const user = await User.findOne({
-      email: email.toLowerCase(),
+      ...getIdentifierQuery(identifier),
       isDeleted: false,
     });
 
     if (!user) {
-      throw new Error("No account found with this email address");
+      await failAttempt(
+        { ipAddress },
+        `No account found with this ${getIdentifierLabel(identifier)}`
+      );
     }
 
+    await assertNotLocked({ userId: user._id });
+
     // Auto-detect type if not provided
     if (!type) {
       if (user.otp && !user.isAccountVerified) {
@@ -278,16 +601,32 @@ export const verifyOTP = async (email, otp, type = null) => {
 
       // Verify OTP
       if (user.otp !== parseInt(otp, 10)) {
-        throw new Error("Invalid verification code");
+        await rejectInvalidOTP(
+          user,
+          ["otp", "otpExpireAt"],
+          "Invalid verification code",
+          { user, ipAddress }
+        );
       }
 
       // Mark account as verified and clear OTP
       user.isAccountVerified = true;
       user.otp = null;
       user.otpExpireAt = null;
+      user.otpFailedAttempts = 0;
+
+      // The code was delivered by SMS to the current number, so the phone
+      // number is verified too (not just because it was used to look up
+      // the account)
+      if (wasOTPSentToPhone(user)) {
+        user.isPhoneVerified = true;
+      }
+      user.otpChannel = null;
+      user.otpSentTo = null;
       await user.save();
+      await clearFailedAttempts(user._id);
 
-      logger.info(`Account verified for ${user.email}`);
+      logger.info(`Account verified for ${getUserContact(user)}`);
 
       // Return user without password and OTP
       const userObject = user.toObject();
@@ -306,7 +645,9 @@ export const verifyOTP = async (email, otp, type = null) => {
     if (type === "password") {
       // Check if account is verified
       if (!user.isAccountVerified) {
-        throw new Error("Please verify your email address first");
+        throw new Error(
+          `Please verify your ${getIdentifierLabel(identifier)} first`
+        );
       }
 
       // Check if OTP exists
@@ -328,15 +669,22 @@ export const verifyOTP = async (email, otp, type = null) => {
 
       // Verify OTP
       if (user.forgotPasswordOTP !== parseInt(otp, 10)) {
-        throw new Error("Invalid verification code");
+        await rejectInvalidOTP(
+          user,
+          ["forgotPasswordOTP", "forgotPasswordOTPExpireAt"],
+          "Invalid verification code",
+          { user, ipAddress }
+        );
       }
 
       // Mark OTP as verified
       user.forgotPasswordOTPVerified = true;
       user.forgotPasswordOTPVerifiedAt = new Date();
+      user.otpFailedAttempts = 0;
       await user.save();
+      await clearFailedAttempts(user._id);
 
-      logger.info(`Forgot password OTP verified for ${user.email}`);
+      logger.info(`Forgot password OTP verified for ${getUserContact(user)}`);
 
       // Return success message (OTP is verified, ready for password reset)
       // Don't clear OTP here - it will be cleared when password is reset
@@ -355,19 +703,26 @@ export const verifyOTP = async (email, otp, type = null) => {
 
 /**
  * Resend OTP
- * @param {string} email - User email
+ * @param {string|Object} identifier - Email, or { email } / { countryCode, phoneNumber }
+ * @param {Object} requestMeta - Request metadata ({ ipAddress })
  * @returns {Promise<Object>} User with new OTP sent
  */
-export const resendOTP = async (email) => {
+export const resendOTP = async (identifier, requestMeta = {}) => {
   try {
-    // Find user by email
+    const { ipAddress } = requestMeta;
+    await assertNotLocked({ ipAddress });
+
+    // Find user by email or phone number
     const user = await User.findOne({
-      email: email.toLowerCase(),
+      ...getIdentifierQuery(identifier),
       isDeleted: false,
     });
 
     if (!user) {
-      throw new Error("No account found with this email address");
+      await failAttempt(
+        { ipAddress },
+        `No account found with this ${getIdentifierLabel(identifier)}`
+      );
     }
 
     // Check if user is already verified
@@ -375,23 +730,31 @@ export const resendOTP = async (email) => {
       throw new Error("Your account is already verified");
     }
 
+    assertResendAllowed(user);
+
     // Generate new OTP
     const otp = generateOTP();
     const otpExpireAt = new Date();
     otpExpireAt.setMinutes(otpExpireAt.getMinutes() + config.otp.expireMinutes);
 
-    // Update user with new OTP
+    // Update user with new OTP (its channel is recorded once delivered)
     user.otp = otp;
     user.otpExpireAt = otpExpireAt;
+    user.otpChannel = null;
+    user.otpSentTo = null;
+    markOTPSent(user);
     await user.save();
 
-    // Send OTP email
+    // Send OTP by email or SMS
     try {
-      await sendOTPEmail(user.email, otp);
-      logger.info(`OTP resent to ${user.email}`);
-    } catch (emailError) {
-      logger.error(`Failed to send OTP email to ${user.email}:`, emailError);
-      throw new Error("Failed to send OTP email. Please try again later");
+      await deliverOTP(user, identifier, otp);
+      logger.info(`OTP resent to ${getUserContact(user)}`);
+    } catch (deliveryError) {
+      logger.error(
+        `Failed to send OTP to ${getUserContact(user)}:`,
+        deliveryError
+      );
+      throw new Error("Failed to send OTP. Please try again later");
     }
 
     // Return user without password and OTP
@@ -407,34 +770,81 @@ export const resendOTP = async (email) => {
 };
 
 /**
- * Generate JWT token
+ * Generate JWT access token
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID the token belongs to (optional)
  * @returns {string} JWT token
  */
-export const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, config.jwt.secretKey, {
+export const generateToken = (userId, sessionId = null) => {
+  const payload = sessionId ? { id: userId, sid: sessionId } : { id: userId };
+  return jwt.sign(payload, config.jwt.secretKey, {
     expiresIn: config.jwt.expiresIn,
   });
 };
 
+/**
+ * Start a new session and issue its access + refresh token pair
+ * @param {string} userId - User ID
+ * @param {Object} sessionMeta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} { token, refreshToken, sessionId }
+ */
+export const issueAuthTokens = async (userId, sessionMeta = {}) => {
+  const { sessionId, refreshToken } = await createSession(userId, sessionMeta);
+  const token = generateToken(userId.toString(), sessionId);
+
+  return { token, refreshToken, sessionId };
+};
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair
+ * @param {string} refreshToken - Refresh token issued at login or last refresh
+ * @param {Object} sessionMeta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+export const refreshAuthTokens = async (refreshToken, sessionMeta = {}) => {
+  try {
+    const rotated = await rotateRefreshToken(refreshToken, sessionMeta);
+
+    const user = await User.findById(rotated.userId).select("isDeleted");
+
+    if (!user || user.isDeleted) {
+      throw new Error("User account not found. Please login again");
+    }
+
+    const token = generateToken(rotated.userId, rotated.sessionId);
+
+    return { token, refreshToken: rotated.refreshToken };
+  } catch (error) {
+    logger.error("Error in refreshAuthTokens:", error);
+    throw error;
+  }
+};
+
 /**
  * Login user
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Promise<Object>} User data with token
+ * @param {Object} sessionMeta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} User data with access and refresh tokens
  */
-export const loginUser = async (email, password) => {
+export const loginUser = async (email, password, sessionMeta = {}) => {
   try {
-    // Find user by email
+    const { ipAddress } = sessionMeta;
+    await assertNotLocked({ ipAddress });
+
+    // Find user by email (accounts still in their deletion grace period
+    // can log in, which restores them)
     const user = await User.findOne({
       email: email.toLowerCase(),
-      isDeleted: false,
+      ...getLoginableAccountQuery(),
     });
 
     if (!user) {
-      throw new Error("Invalid email or password");
+      await failAttempt({ ipAddress }, "Invalid email or password");
     }
 
+    await assertNotLocked({ userId: user._id });
+
     // Check if account is verified
     if (!user.isAccountVerified) {
       throw new Error("Please verify your email address first");
@@ -444,11 +854,29 @@ export const loginUser = async (email, password) => {
     const isPasswordValid = await comparePassword(password, user.password);
 
     if (!isPasswordValid) {
-      throw new Error("Invalid email or password");
+      await failAttempt({ user, ipAddress }, "Invalid email or password");
+    }
+
+    // With 2FA on, the password only earns a challenge token; tokens are
+    // issued by completeTwoFactorLogin once a code is verified
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued for ${user.email}`);
+      return {
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user._id),
+      };
     }
 
-    // Generate JWT token with only user _id in payload
-    const token = generateToken(user._id.toString());
+    await clearFailedAttempts(user._id);
+
+    // Logging in during the grace period cancels a pending account deletion
+    await restorePendingDeletion(user);
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(
+      user._id.toString(),
+      sessionMeta
+    );
 
     logger.info(`User logged in: ${user.email}`);
 
@@ -461,6 +889,7 @@ export const loginUser = async (email, password) => {
     return {
       user: userObject,
       token,
+      refreshToken,
     };
   } catch (error) {
     logger.error("Error in loginUser:", error);
@@ -468,28 +897,117 @@ export const loginUser = async (email, password) => {
   }
 };
 
+/**
+ * Complete a login that required two-factor authentication
+ * @param {string} challengeToken - Challenge token returned by login
+ * @param {Object} factor - { code } (authenticator app) or { recoveryCode }
+ * @param {Object} sessionMeta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} User data with access and refresh tokens
+ */
+export const completeTwoFactorLogin = async (
+  challengeToken,
+  factor,
+  sessionMeta = {}
+) => {
+  try {
+    const userId = verifyTwoFactorChallenge(challengeToken);
+
+    const user = await User.findOne({
+      _id: userId,
+      ...getLoginableAccountQuery(),
+    });
+
+    if (!user) {
+      throw new Error("Invalid two-factor challenge. Please login again");
+    }
+
+    const { ipAddress } = sessionMeta;
+    await assertNotLocked({ userId: user._id, ipAddress });
+
+    let method;
+    try {
+      ({ method } = await verifyTwoFactorCode(user, factor));
+    } catch (verifyError) {
+      await failAttempt({ user, ipAddress }, verifyError.message);
+    }
+
+    await clearFailedAttempts(user._id);
+
+    // Logging in during the grace period cancels a pending account deletion
+    await restorePendingDeletion(user);
+
+    const { token, refreshToken } = await issueAuthTokens(
+      user._id.toString(),
+      sessionMeta
+    );
+
+    logger.info(
+      `User logged in with two-factor (${method}): ${getUserContact(user)}`
+    );
+
+    // Reload so the response reflects the consumed recovery code
+    const updatedUser = await User.findById(user._id);
+
+    return {
+      user: removeSensitiveFields(updatedUser.toObject()),
+      token,
+      refreshToken,
+      recoveryCodesRemaining: updatedUser.twoFactorRecoveryCodes.length,
+    };
+  } catch (error) {
+    logger.error("Error in completeTwoFactorLogin:", error);
+    throw error;
+  }
+};
+
 /**
  * Forgot Password - Send OTP
- * @param {string} email - User email
+ * @param {string|Object} identifier - Email, or { email } / { countryCode, phoneNumber }
+ * @param {Object} requestMeta - Request metadata ({ ipAddress })
  * @returns {Promise<Object>} Success message
  */
-export const forgotPassword = async (email) => {
+export const forgotPassword = async (identifier, requestMeta = {}) => {
   try {
-    // Find user by email
+    const { ipAddress } = requestMeta;
+    await assertNotLocked({ ipAddress });
+
+    const label = getIdentifierLabel(identifier);
+    const genericMessage = isPhoneIdentifier(identifier)
+      ? "If the phone number exists, an OTP has been sent"
+      : "If the email exists, an OTP has been sent";
+
+    // Find user by email or phone number
     const user = await User.findOne({
-      email: email.toLowerCase(),
+      ...getIdentifierQuery(identifier),
       isDeleted: false,
     });
 
     if (!user) {
-      // Don't reveal if user exists or not for security
-      logger.warn(`Forgot password requested for non-existent email: ${email}`);
-      return { message: "If the email exists, an OTP has been sent" };
+      // Don't reveal if user exists or not for security; probing unknown
+      // accounts counts against the IP
+      logger.warn(`Forgot password requested for non-existent ${label}`);
+      await recordFailedAttempt({ ipAddress });
+      return { message: genericMessage };
     }
 
     // Check if account is verified
     if (!user.isAccountVerified) {
-      throw new Error("Account not verified. Please verify your email first");
+      throw new Error(
+        `Account not verified. Please verify your ${label} first`
+      );
+    }
+
+    // A phone number can only be used once it has been verified
+    if (isPhoneIdentifier(identifier) && !user.isPhoneVerified) {
+      logger.warn(`Forgot password requested for unverified phone number`);
+      return { message: genericMessage };
+    }
+
+    // Within the resend cooldown no new code is sent (silently, so the
+    // response does not reveal the account exists)
+    if (getResendCooldownRemaining(user) > 0) {
+      logger.warn(`Forgot password OTP throttled for ${getUserContact(user)}`);
+      return { message: genericMessage };
     }
 
     // Generate new OTP for password reset
@@ -502,22 +1020,23 @@ export const forgotPassword = async (email) => {
     user.forgotPasswordOTPExpireAt = otpExpireAt;
     user.forgotPasswordOTPVerified = false;
     user.forgotPasswordOTPVerifiedAt = null;
+    markOTPSent(user);
     await user.save();
 
-    // Send OTP email
+    // Send OTP by email or SMS
     try {
-      await sendForgotPasswordOTPEmail(user.email, otp);
-      logger.info(`Forgot password OTP sent to ${user.email}`);
-    } catch (emailError) {
+      await deliverOTP(user, identifier, otp, "password");
+      logger.info(`Forgot password OTP sent to ${getUserContact(user)}`);
+    } catch (deliveryError) {
       logger.error(
-        `Failed to send forgot password OTP email to ${user.email}:`,
-        emailError
+        `Failed to send forgot password OTP to ${getUserContact(user)}:`,
+        deliveryError
       );
-      throw new Error("Failed to send OTP email. Please try again later");
+      throw new Error("Failed to send OTP. Please try again later");
     }
 
     // Return success (don't reveal if user exists)
-    return { message: "If the email exists, an OTP has been sent" };
+    return { message: genericMessage };
   } catch (error) {
     logger.error("Error in forgotPassword:", error);
     throw error;
@@ -527,35 +1046,38 @@ export const forgotPassword = async (email) => {
 /**
  * Reset Password
  * OTP should be verified first using verify-otp endpoint with type="password"
- * @param {string} email - User email
+ * @param {string|Object} identifier - Email, or { email } / { countryCode, phoneNumber }
  * @param {string} newPassword - New password
  * @returns {Promise<Object>} Updated user (without password and OTP)
  */
-export const resetPassword = async (email, newPassword) => {
+export const resetPassword = async (identifier, newPassword) => {
   try {
-    // Find user by email
+    const label = getIdentifierLabel(identifier);
+    const channel = isPhoneIdentifier(identifier) ? "phone" : "email";
+
+    // Find user by email or phone number
     const user = await User.findOne({
-      email: email.toLowerCase(),
+      ...getIdentifierQuery(identifier),
       isDeleted: false,
     });
 
     if (!user) {
       throw new Error(
-        "No account found with this email address. Please check your email and try again"
+        `No account found with this ${label}. Please check your ${label} and try again`
       );
     }
 
     // Check if account is verified
     if (!user.isAccountVerified) {
       throw new Error(
-        "Your account is not verified. Please verify your email address first to reset your password"
+        `Your account is not verified. Please verify your ${label} first to reset your password`
       );
     }
 
     // Check if OTP exists (must be verified first via verify-otp API)
     if (!user.forgotPasswordOTP) {
       throw new Error(
-        "Please verify the code sent to your email before resetting your password"
+        `Please verify the code sent to your ${channel} before resetting your password`
       );
     }
 
@@ -571,7 +1093,7 @@ export const resetPassword = async (email, newPassword) => {
 
     // Check if OTP is verified (must be verified via verify-otp API first)
     if (!user.forgotPasswordOTPVerified) {
-      throw new Error("Please verify the code sent to your email first");
+      throw new Error(`Please verify the code sent to your ${channel} first`);
     }
 
     // Check if verification is still valid (within 15 minutes of verification)
@@ -589,13 +1111,14 @@ export const resetPassword = async (email, newPassword) => {
 
     // Update password and clear OTP and verification flags
     user.password = hashedPassword;
+    user.hasPassword = true;
     user.forgotPasswordOTP = null;
     user.forgotPasswordOTPExpireAt = null;
     user.forgotPasswordOTPVerified = false;
     user.forgotPasswordOTPVerifiedAt = null;
     await user.save();
 
-    logger.info(`Password reset successful for ${user.email}`);
+    logger.info(`Password reset successful for ${getUserContact(user)}`);
 
     // Return user without password and OTP
     const userObject = user.toObject();
@@ -655,7 +1178,7 @@ export const changePassword = async (userId, oldPassword, newPassword) => {
     user.password = hashedPassword;
     await user.save();
 
-    logger.info(`Password changed for user ${user.email}`);
+    logger.info(`Password changed for user ${getUserContact(user)}`);
 
     // Return user without sensitive fields
     return removeSensitiveFields(user.toObject());
@@ -665,6 +1188,836 @@ export const changePassword = async (userId, oldPassword, newPassword) => {
   }
 };
 
+/**
+ * Register a new user with a phone number (no email required)
+ * A verification code is sent by SMS; verify it with verify-otp using the phone number.
+ * @param {Object} userData - User registration data
+ * @param {string} userData.countryCode - Country code
+ * @param {number} userData.phoneNumber - Phone number
+ * @param {string} userData.name - User name
+ * @param {string} userData.username - Username
+ * @param {string} userData.password - Password (optional; phone accounts can log in with SMS codes)
+ * @returns {Promise<Object>} Created user or existing unverified user
+ */
+export const registerWithPhone = async (userData) => {
+  try {
+    const { countryCode, phoneNumber, name, username, password } = userData;
+
+    const existingUserByPhone = await User.findOne({
+      countryCode,
+      phoneNumber,
+    });
+
+    if (
+      existingUserByPhone &&
+      (existingUserByPhone.isAccountVerified ||
+        existingUserByPhone.email ||
+        existingUserByPhone.isDeleted)
+    ) {
+      throw new Error("An account with this phone number already exists");
+    }
+
+    // Check if username is already taken by another user
+    const existingUserByUsername = await User.findOne({
+      username: username.toLowerCase(),
+      isDeleted: false,
+      ...(existingUserByPhone && { _id: { $ne: existingUserByPhone._id } }),
+    });
+
+    if (existingUserByUsername) {
+      throw new Error("This username is already taken");
+    }
+
+    await assertUsernameNotReserved(username);
+
+    // Registering again resends the code, so the cooldown applies
+    if (existingUserByPhone) {
+      assertResendAllowed(existingUserByPhone);
+    }
+
+    const otp = generateOTP();
+    const hashedPassword = await hashPassword(
+      password || crypto.randomBytes(32).toString("hex")
+    );
+
+    let user = existingUserByPhone;
+    if (user) {
+      // Unverified phone registration: update details and resend the code
+      user.name = name;
+      user.username = username.toLowerCase();
+      user.password = hashedPassword;
+      user.hasPassword = !!password;
+      user.otp = otp;
+      user.otpExpireAt = getOTPExpireAt();
+      recordOTPChannel(user, OTPChannel.SMS);
+      markOTPSent(user);
+      await user.save();
+    } else {
+      try {
+        user = await User.create({
+          countryCode,
+          phoneNumber,
+          name,
+          username: username.toLowerCase(),
+          password: hashedPassword,
+          hasPassword: !!password,
+          otp,
+          otpExpireAt: getOTPExpireAt(),
+          otpChannel: OTPChannel.SMS,
+          otpSentTo: formatPhoneNumber(countryCode, phoneNumber),
+          otpLastSentAt: new Date(),
+          isAccountVerified: false,
+        });
+      } catch (createError) {
+        // Unique index: the number was registered after the check above
+        if (createError.code === 11000 && createError.keyPattern?.phoneNumber) {
+          throw new Error("An account with this phone number already exists");
+        }
+        throw createError;
+      }
+    }
+
+    // Send OTP SMS
+    try {
+      await sendOTPSMS(formatPhoneNumber(countryCode, phoneNumber), otp);
+      logger.info(`OTP sent to ${getUserContact(user)}`);
+    } catch (smsError) {
+      logger.error(
+        `Failed to send OTP SMS to ${getUserContact(user)}:`,
+        smsError
+      );
+      // Don't throw error - user is created, they can request OTP resend
+    }
+
+    return {
+      ...removeSensitiveFields(user.toObject()),
+      isResendOTP: !!existingUserByPhone,
+    };
+  } catch (error) {
+    logger.error("Error in registerWithPhone:", error);
+    throw error;
+  }
+};
+
+/**
+ * Send a login code by SMS
+ * Only verified phone numbers can be used to log in.
+ * @param {string} countryCode - Country code
+ * @param {number} phoneNumber - Phone number
+ * @param {Object} requestMeta - Request metadata ({ ipAddress })
+ * @returns {Promise<Object>} Success message (does not reveal whether the account exists)
+ */
+export const sendPhoneLoginOTP = async (
+  countryCode,
+  phoneNumber,
+  requestMeta = {}
+) => {
+  try {
+    const { ipAddress } = requestMeta;
+    await assertNotLocked({ ipAddress });
+
+    const genericMessage =
+      "If the phone number is registered, a login code has been sent";
+
+    const user = await User.findOne({
+      countryCode,
+      phoneNumber,
+      isPhoneVerified: true,
+      isAccountVerified: true,
+      ...getLoginableAccountQuery(),
+    });
+
+    if (!user) {
+      logger.warn(
+        "Phone login code requested for unknown or unverified phone number"
+      );
+      await recordFailedAttempt({ ipAddress });
+      return { message: genericMessage };
+    }
+
+    // Within the resend cooldown no new code is sent (silently, so the
+    // response does not reveal the account exists)
+    if (getResendCooldownRemaining(user) > 0) {
+      logger.warn(`Phone login code throttled for ${getUserContact(user)}`);
+      return { message: genericMessage };
+    }
+
+    const otp = generateOTP();
+    user.phoneOTP = otp;
+    user.phoneOTPExpireAt = getOTPExpireAt();
+    user.phoneOTPPurpose = PhoneOTPPurpose.LOGIN;
+    markOTPSent(user);
+    await user.save();
+
+    try {
+      await sendOTPSMS(formatPhoneNumber(countryCode, phoneNumber), otp);
+      logger.info(`Login code sent to ${getUserContact(user)}`);
+    } catch (smsError) {
+      logger.error(
+        `Failed to send login code to ${getUserContact(user)}:`,
+        smsError
+      );
+      throw new Error("Failed to send SMS. Please try again later");
+    }
+
+    return { message: genericMessage };
+  } catch (error) {
+    logger.error("Error in sendPhoneLoginOTP:", error);
+    throw error;
+  }
+};
+
+/**
+ * Login with a phone number and an SMS code
+ * @param {string} countryCode - Country code
+ * @param {number} phoneNumber - Phone number
+ * @param {number} otp - Code received by SMS
+ * @param {Object} sessionMeta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} User data with access and refresh tokens
+ */
+export const loginWithPhone = async (
+  countryCode,
+  phoneNumber,
+  otp,
+  sessionMeta = {}
+) => {
+  try {
+    const { ipAddress } = sessionMeta;
+    await assertNotLocked({ ipAddress });
+
+    const user = await User.findOne({
+      countryCode,
+      phoneNumber,
+      isPhoneVerified: true,
+      ...getLoginableAccountQuery(),
+    });
+
+    if (!user) {
+      await failAttempt({ ipAddress }, "Invalid phone number or code");
+    }
+
+    await assertNotLocked({ userId: user._id });
+
+    if (!user.phoneOTP || user.phoneOTPPurpose !== PhoneOTPPurpose.LOGIN) {
+      await failAttempt({ user, ipAddress }, "Invalid phone number or code");
+    }
+
+    if (user.phoneOTPExpireAt && new Date() > user.phoneOTPExpireAt) {
+      throw new Error("Login code has expired. Please request a new code");
+    }
+
+    if (user.phoneOTP !== parseInt(otp, 10)) {
+      await rejectInvalidOTP(
+        user,
+        ["phoneOTP", "phoneOTPExpireAt", "phoneOTPPurpose"],
+        "Invalid phone number or code",
+        { user, ipAddress }
+      );
+    }
+
+    user.phoneOTP = null;
+    user.phoneOTPExpireAt = null;
+    user.phoneOTPPurpose = null;
+    user.otpFailedAttempts = 0;
+    await user.save();
+
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued for ${getUserContact(user)}`);
+      return {
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user._id),
+      };
+    }
+
+    await clearFailedAttempts(user._id);
+
+    // Logging in during the grace period cancels a pending account deletion
+    await restorePendingDeletion(user);
+
+    const { token, refreshToken } = await issueAuthTokens(
+      user._id.toString(),
+      sessionMeta
+    );
+
+    logger.info(`User logged in with phone: ${getUserContact(user)}`);
+
+    return {
+      user: removeSensitiveFields(user.toObject()),
+      token,
+      refreshToken,
+    };
+  } catch (error) {
+    logger.error("Error in loginWithPhone:", error);
+    throw error;
+  }
+};
+
+/**
+ * Sign in with Apple / Google
+ * A linked identity signs in directly. An unknown identity creates a new
+ * account, which needs a username: without one the call returns
+ * { usernameRequired: true } and the client retries with the same token.
+ * @param {string} provider - SocialProvider value
+ * @param {Object} data - { idToken, username?, name? }
+ * @param {Object} sessionMeta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} User data with tokens, a 2FA challenge, or { usernameRequired }
+ */
+export const loginWithSocial = async (
+  provider,
+  { idToken, username, name },
+  sessionMeta = {}
+) => {
+  try {
+    const { ipAddress } = sessionMeta;
+    await assertNotLocked({ ipAddress });
+
+    let identity;
+    try {
+      identity = await verifySocialIdToken(provider, idToken);
+    } catch (verifyError) {
+      await failAttempt({ ipAddress }, verifyError.message);
+    }
+
+    const socialAccount = await findSocialAccount(
+      provider,
+      identity.providerUserId
+    );
+
+    let user;
+    let isNewUser = false;
+
+    if (socialAccount) {
+      user = await User.findOne({
+        _id: socialAccount.userId,
+        ...getLoginableAccountQuery(),
+      });
+
+      if (!user) {
+        throw new Error("User account has been deleted");
+      }
+
+      await assertNotLocked({ userId: user._id });
+
+      socialAccount.lastLoginAt = new Date();
+      await socialAccount.save();
+    } else {
+      const verifiedEmail = identity.emailVerified ? identity.email : null;
+
+      // Existing email accounts link the provider from their profile instead,
+      // so a social login never takes over a password account
+      if (verifiedEmail) {
+        const existingUserByEmail = await User.findOne({
+          email: verifiedEmail,
+        }).select("_id");
+
+        if (existingUserByEmail) {
+          throw new Error(
+            "An account with this email already exists. Login with your password and link this provider from your profile"
+          );
+        }
+      }
+
+      if (!username) {
+        return {
+          usernameRequired: true,
+          email: verifiedEmail,
+          name: name || identity.name,
+        };
+      }
+
+      await assertUsernameAvailable(username);
+
+      // Social accounts have no password until the user sets one through
+      // forgot-password
+      try {
+        user = await User.create({
+          ...(verifiedEmail && { email: verifiedEmail }),
+          name: name || identity.name || username,
+          username: username.toLowerCase(),
+          password: await hashPassword(crypto.randomBytes(32).toString("hex")),
+          hasPassword: false,
+          isAccountVerified: true,
+        });
+      } catch (createError) {
+        // Unique index: the username was taken after the check above
+        if (createError.code === 11000 && createError.keyPattern?.username) {
+          throw new Error("This username is already taken");
+        }
+        throw createError;
+      }
+
+      try {
+        await createSocialAccount(user._id, provider, identity);
+      } catch (linkError) {
+        // Lost a race with a concurrent first login of the same identity
+        await User.deleteOne({ _id: user._id });
+        throw linkError;
+      }
+
+      isNewUser = true;
+      logger.info(`User registered with ${provider}: ${user.username}`);
+    }
+
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued for ${user.username}`);
+      return {
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user._id),
+      };
+    }
+
+    await clearFailedAttempts(user._id);
+
+    // Logging in during the grace period cancels a pending account deletion
+    await restorePendingDeletion(user);
+
+    const { token, refreshToken } = await issueAuthTokens(
+      user._id.toString(),
+      sessionMeta
+    );
+
+    logger.info(`User logged in with ${provider}: ${user.username}`);
+
+    return {
+      user: removeSensitiveFields(user.toObject()),
+      token,
+      refreshToken,
+      isNewUser,
+    };
+  } catch (error) {
+    logger.error("Error in loginWithSocial:", error);
+    throw error;
+  }
+};
+
+/**
+ * Start verifying a phone number for the current account
+ * (adds phone login to email accounts, or changes the number)
+ * @param {string} userId - User ID
+ * @param {string} countryCode - Country code
+ * @param {number} phoneNumber - Phone number
+ * @returns {Promise<Object>} Success message
+ */
+export const requestPhoneVerification = async (
+  userId,
+  countryCode,
+  phoneNumber
+) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    if (user.isDeleted) {
+      throw new Error("User account has been deleted");
+    }
+
+    if (
+      user.isPhoneVerified &&
+      user.countryCode === countryCode &&
+      user.phoneNumber === phoneNumber
+    ) {
+      throw new Error("This phone number is already verified");
+    }
+
+    const existingUserByPhone = await User.findOne({
+      countryCode,
+      phoneNumber,
+      _id: { $ne: user._id },
+    }).select("_id");
+
+    if (existingUserByPhone) {
+      throw new Error("An account with this phone number already exists");
+    }
+
+    assertResendAllowed(user);
+
+    const otp = generateOTP();
+    user.pendingCountryCode = countryCode;
+    user.pendingPhoneNumber = phoneNumber;
+    user.phoneOTP = otp;
+    user.phoneOTPExpireAt = getOTPExpireAt();
+    user.phoneOTPPurpose = PhoneOTPPurpose.VERIFY_PHONE;
+    markOTPSent(user);
+    await user.save();
+
+    try {
+      await sendOTPSMS(formatPhoneNumber(countryCode, phoneNumber), otp);
+      logger.info(`Phone verification code sent for user ${userId}`);
+    } catch (smsError) {
+      logger.error(
+        `Failed to send phone verification code for user ${userId}:`,
+        smsError
+      );
+      throw new Error("Failed to send SMS. Please try again later");
+    }
+
+    return { message: "A verification code has been sent to your phone" };
+  } catch (error) {
+    logger.error("Error in requestPhoneVerification:", error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm the pending phone number of the current account
+ * @param {string} userId - User ID
+ * @param {number} otp - Code received by SMS
+ * @returns {Promise<Object>} Updated user (without sensitive fields)
+ */
+export const confirmPhoneVerification = async (userId, otp) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    if (user.isDeleted) {
+      throw new Error("User account has been deleted");
+    }
+
+    if (
+      !user.pendingPhoneNumber ||
+      !user.phoneOTP ||
+      user.phoneOTPPurpose !== PhoneOTPPurpose.VERIFY_PHONE
+    ) {
+      throw new Error("No verification code found. Please request a new code");
+    }
+
+    if (user.phoneOTPExpireAt && new Date() > user.phoneOTPExpireAt) {
+      throw new Error(
+        "Verification code has expired. Please request a new code"
+      );
+    }
+
+    if (user.phoneOTP !== parseInt(otp, 10)) {
+      await rejectInvalidOTP(
+        user,
+        ["phoneOTP", "phoneOTPExpireAt", "phoneOTPPurpose"],
+        "Invalid verification code"
+      );
+    }
+
+    // Re-check uniqueness: the number may have been taken since the code was sent
+    const existingUserByPhone = await User.findOne({
+      countryCode: user.pendingCountryCode,
+      phoneNumber: user.pendingPhoneNumber,
+      _id: { $ne: user._id },
+    }).select("_id");
+
+    if (existingUserByPhone) {
+      throw new Error("An account with this phone number already exists");
+    }
+
+    user.countryCode = user.pendingCountryCode;
+    user.phoneNumber = user.pendingPhoneNumber;
+    user.isPhoneVerified = true;
+    user.pendingCountryCode = null;
+    user.pendingPhoneNumber = null;
+    user.phoneOTP = null;
+    user.phoneOTPExpireAt = null;
+    user.phoneOTPPurpose = null;
+    user.otpFailedAttempts = 0;
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Unique index: another account took the number after the check above
+      if (saveError.code === 11000) {
+        throw new Error("An account with this phone number already exists");
+      }
+      throw saveError;
+    }
+
+    logger.info(`Phone number verified for user ${userId}`);
+
+    return removeSensitiveFields(user.toObject());
+  } catch (error) {
+    logger.error("Error in confirmPhoneVerification:", error);
+    throw error;
+  }
+};
+
+/**
+ * Send a code by SMS to the verified phone number of the current account to
+ * confirm a sensitive action (how accounts without a password re-authenticate)
+ * @param {Object} user - User document
+ * @param {string} purpose - PhoneOTPPurpose value
+ * @returns {Promise<void>}
+ */
+export const sendPhoneConfirmationCode = async (user, purpose) => {
+  if (!user.isPhoneVerified) {
+    throw new Error("Your account has no verified phone number");
+  }
+
+  assertResendAllowed(user);
+
+  const otp = generateOTP();
+  user.phoneOTP = otp;
+  user.phoneOTPExpireAt = getOTPExpireAt();
+  user.phoneOTPPurpose = purpose;
+  markOTPSent(user);
+  await user.save();
+
+  try {
+    await sendOTPSMS(
+      formatPhoneNumber(user.countryCode, user.phoneNumber),
+      otp
+    );
+    logger.info(`${purpose} code sent to ${getUserContact(user)}`);
+  } catch (smsError) {
+    logger.error(
+      `Failed to send ${purpose} code to ${getUserContact(user)}:`,
+      smsError
+    );
+    throw new Error("Failed to send SMS. Please try again later");
+  }
+};
+
+/**
+ * Check a code sent with sendPhoneConfirmationCode and clear it
+ * (the caller saves the user)
+ * @param {Object} user - User document
+ * @param {number} otp - Code received by SMS
+ * @param {string} purpose - PhoneOTPPurpose value
+ * @returns {Promise<void>}
+ */
+export const consumePhoneConfirmationCode = async (user, otp, purpose) => {
+  if (!user.phoneOTP || user.phoneOTPPurpose !== purpose) {
+    throw new Error("No verification code found. Please request a new code");
+  }
+
+  if (user.phoneOTPExpireAt && new Date() > user.phoneOTPExpireAt) {
+    throw new Error("Verification code has expired. Please request a new code");
+  }
+
+  if (user.phoneOTP !== parseInt(otp, 10)) {
+    await rejectInvalidOTP(
+      user,
+      ["phoneOTP", "phoneOTPExpireAt", "phoneOTPPurpose"],
+      "Invalid verification code"
+    );
+  }
+
+  user.phoneOTP = null;
+  user.phoneOTPExpireAt = null;
+  user.phoneOTPPurpose = null;
+  user.otpFailedAttempts = 0;
+};
+
+/**
+ * Start changing the email address of the current account.
+ * A code is sent to the new address and a cancel link to the current one;
+ * the address only changes once the code is confirmed.
+ * @param {string} userId - User ID
+ * @param {string} newEmail - New email address
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} Success message
+ */
+export const requestEmailChange = async (userId, newEmail, password) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    if (user.isDeleted) {
+      throw new Error("User account has been deleted");
+    }
+
+    const isPasswordValid = await comparePassword(password, user.password);
+    if (!isPasswordValid) {
+      throw new Error("Password is incorrect");
+    }
+
+    const email = newEmail.toLowerCase();
+    if (email === user.email) {
+      throw new Error("This is already your email address");
+    }
+
+    const existingUserByEmail = await User.findOne({
+      email,
+      _id: { $ne: user._id },
+    }).select("_id");
+
+    if (existingUserByEmail) {
+      throw new Error("An account with this email already exists");
+    }
+
+    assertResendAllowed(user);
+
+    const otp = generateOTP();
+    const cancelToken = crypto.randomBytes(32).toString("hex");
+    user.pendingEmail = email;
+    user.emailChangeOTP = otp;
+    user.emailChangeOTPExpireAt = getOTPExpireAt();
+    user.emailChangeCancelToken = crypto
+      .createHash("sha256")
+      .update(cancelToken)
+      .digest("hex");
+    markOTPSent(user);
+    await user.save();
+
+    try {
+      await sendEmailChangeOTPEmail(email, otp);
+      logger.info(`Email change code sent for user ${userId}`);
+    } catch (emailError) {
+      logger.error(
+        `Failed to send email change code for user ${userId}:`,
+        emailError
+      );
+      throw new Error("Failed to send email. Please try again later");
+    }
+
+    // Phone-only accounts have no current address to notify
+    if (user.email) {
+      const cancelUrl = new URL(config.account.emailChangeCancelUrl);
+      cancelUrl.searchParams.set("token", cancelToken);
+
+      try {
+        await sendEmailChangeRequestedEmail(user.email, {
+          newEmail: email,
+          cancelUrl: cancelUrl.toString(),
+        });
+      } catch (emailError) {
+        logger.error(
+          `Failed to send email change notice for user ${userId}:`,
+          emailError
+        );
+      }
+    }
+
+    return { message: "A verification code has been sent to your new email" };
+  } catch (error) {
+    logger.error("Error in requestEmailChange:", error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm the pending email address of the current account.
+ * Every other session is signed out once the address changes.
+ * @param {string} userId - User ID
+ * @param {number} otp - Code received at the new address
+ * @param {string} currentSessionId - Session that stays signed in (optional)
+ * @returns {Promise<Object>} Updated user (without sensitive fields)
+ */
+export const confirmEmailChange = async (
+  userId,
+  otp,
+  currentSessionId = null
+) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    if (user.isDeleted) {
+      throw new Error("User account has been deleted");
+    }
+
+    if (!user.pendingEmail || !user.emailChangeOTP) {
+      throw new Error("No email change in progress. Please request a new code");
+    }
+
+    if (
+      user.emailChangeOTPExpireAt &&
+      new Date() > user.emailChangeOTPExpireAt
+    ) {
+      throw new Error(
+        "Verification code has expired. Please request a new code"
+      );
+    }
+
+    if (user.emailChangeOTP !== parseInt(otp, 10)) {
+      await rejectInvalidOTP(
+        user,
+        ["emailChangeOTP", "emailChangeOTPExpireAt"],
+        "Invalid verification code"
+      );
+    }
+
+    // Re-check uniqueness: the address may have been taken since the code was sent
+    const existingUserByEmail = await User.findOne({
+      email: user.pendingEmail,
+      _id: { $ne: user._id },
+    }).select("_id");
+
+    if (existingUserByEmail) {
+      throw new Error("An account with this email already exists");
+    }
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+    user.emailChangeOTP = null;
+    user.emailChangeOTPExpireAt = null;
+    user.emailChangeCancelToken = null;
+    user.otpFailedAttempts = 0;
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Unique index: another account took the address after the check above
+      if (saveError.code === 11000) {
+        throw new Error("An account with this email already exists");
+      }
+      throw saveError;
+    }
+
+    await revokeUserSessions(
+      user._id,
+      SessionRevokeReason.EMAIL_CHANGED,
+      currentSessionId
+    );
+
+    logger.info(
+      `Email changed for user ${userId}${previousEmail ? ` (was ${previousEmail})` : ""}`
+    );
+
+    return removeSensitiveFields(user.toObject());
+  } catch (error) {
+    logger.error("Error in confirmEmailChange:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a pending email change with the link sent to the current address
+ * @param {string} cancelToken - Token from the cancel link
+ * @returns {Promise<void>}
+ */
+export const cancelEmailChange = async (cancelToken) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      {
+        emailChangeCancelToken: crypto
+          .createHash("sha256")
+          .update(cancelToken)
+          .digest("hex"),
+        pendingEmail: { $ne: null },
+      },
+      {
+        $set: {
+          pendingEmail: null,
+          emailChangeOTP: null,
+          emailChangeOTPExpireAt: null,
+          emailChangeCancelToken: null,
+        },
+      }
+    ).select("_id");
+
+    if (!user) {
+      throw new Error(
+        "This link is invalid or the email change was already completed or cancelled"
+      );
+    }
+
+    logger.info(`Email change cancelled for user ${user._id}`);
+  } catch (error) {
+    logger.error("Error in cancelEmailChange:", error);
+    throw error;
+  }
+};
+
 export default {
   registerUser,
   verifyOTP,
@@ -674,7 +2027,21 @@ export default {
   resetPassword,
   changePassword,
   generateToken,
+  issueAuthTokens,
+  refreshAuthTokens,
   generateOTP,
   hashPassword,
   comparePassword,
+  registerWithPhone,
+  sendPhoneLoginOTP,
+  loginWithPhone,
+  completeTwoFactorLogin,
+  loginWithSocial,
+  requestPhoneVerification,
+  confirmPhoneVerification,
+  sendPhoneConfirmationCode,
+  consumePhoneConfirmationCode,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
 };
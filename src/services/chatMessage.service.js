@@ -12,6 +12,7 @@ import { getTimeAgo } from "../utils/timeAgo.js";
 import { formatTime12Hour } from "../utils/timeFormatter.js";
 import { getMediaForUser } from "./media.service.js";
 import logger from "../utils/logger.js";
+import { assertNotBlocked } from "../utils/blockFilter.js";
 
 /**
  * Send a message in a chat room.
@@ -48,6 +49,10 @@ export const sendMessage = async (roomId, senderId, messageData) => {
       throw new Error("Chat room is blocked");
     }
 
+    const recipientId =
+      room.userA.toString() === senderId.toString() ? room.userB : room.userA;
+    await assertNotBlocked(senderId, recipientId, "You cannot message this user");
+
     // Create message
     const newMessage = await ChatMessage.create({
       roomId,
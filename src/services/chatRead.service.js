@@ -8,14 +8,16 @@ import ChatParticipant from "../models/chat/ChatParticipant.js";
 import ChatMessage from "../models/chat/ChatMessage.js";
 import ChatRoom from "../models/chat/ChatRoom.js";
 import { MessageStatus } from "../models/enums.js";
+import { isRestrictedBy } from "../utils/restrictFilter.js";
 import logger from "../utils/logger.js";
 
 /**
- * Mark messages as read in a chat room
+ * Mark messages as read in a chat room. Messages from a user the reader
+ * has restricted are not marked as seen, so they get no read receipt.
  * @param {string} roomId - Room ID
  * @param {string} userId - User ID
  * @param {string} lastReadMessageId - Last read message ID (optional)
- * @returns {Promise<Object>} Updated read status
+ * @returns {Promise<Object>} Updated read status (readReceiptHidden: true if the sender must not be told)
  */
 export const markMessagesAsRead = async (roomId, userId, lastReadMessageId = null) => {
   try {
@@ -58,10 +60,11 @@ export const markMessagesAsRead = async (roomId, userId, lastReadMessageId = nul
       { upsert: true, new: true }
     );
 
+    const otherUserId = room.userA.toString() === userId ? room.userB : room.userA;
+    const readReceiptHidden = await isRestrictedBy(userId, otherUserId);
+
     // Update message status to SEEN for messages sent by other user
-    if (lastReadMessage) {
-      const otherUserId = room.userA.toString() === userId ? room.userB : room.userA;
-      
+    if (lastReadMessage && !readReceiptHidden) {
       // Update all messages from other user in this room to SEEN status
       // Only update messages that are DELIVERED or SENT (not already SEEN)
       await ChatMessage.updateMany(
@@ -85,6 +88,7 @@ export const markMessagesAsRead = async (roomId, userId, lastReadMessageId = nul
       lastReadMessageId: participant.lastReadMessageId ? participant.lastReadMessageId.toString() : null,
       lastReadAt: participant.lastReadAt,
       unreadCount: participant.unreadCount,
+      readReceiptHidden,
     };
   } catch (error) {
     logger.error("Error in markMessagesAsRead:", error);
@@ -7,12 +7,24 @@ import mongoose from "mongoose";
 import ChatRoom from "../models/chat/ChatRoom.js";
 import ChatMessage from "../models/chat/ChatMessage.js";
 import ChatParticipant from "../models/chat/ChatParticipant.js";
-import UserFollower from "../models/users/UserFollower.js";
 import { User } from "../models/index.js";
 import { ChatType, MessageType, MessageStatus } from "../models/enums.js";
 import { getTimeAgo } from "../utils/timeAgo.js";
 import { formatChatListTime } from "../utils/timeFormatter.js";
 import logger from "../utils/logger.js";
+import { assertNotBlocked } from "../utils/blockFilter.js";
+import { blockUser } from "./user-block.service.js";
+import { getRestrictedUserIds, isRestrictedBy } from "../utils/restrictFilter.js";
+
+/**
+ * Chat type of a room as seen by one participant. Rooms with a user the
+ * viewer has restricted are message requests for the viewer only.
+ * @param {Object} room - Chat room
+ * @param {boolean} isRestricted - Whether the viewer restricted the other user
+ * @returns {string} Chat type
+ */
+const getChatTypeForViewer = (room, isRestricted) =>
+  isRestricted ? ChatType.REQUEST : room.chatType;
 
 /**
  * Get or create a chat room between two users
@@ -23,6 +35,8 @@ import logger from "../utils/logger.js";
  */
 export const getOrCreateChatRoom = async (userAId, userBId, chatType = ChatType.DIRECT) => {
   try {
+    await assertNotBlocked(userAId, userBId, "You cannot message this user");
+
     // Ensure consistent ordering (smaller ID first)
     const [userA, userB] = [userAId, userBId].sort();
 
@@ -58,20 +72,23 @@ export const getOrCreateChatRoom = async (userAId, userBId, chatType = ChatType.
     }
 
     // Format and return room with participant info
-    await room.populate("userA", "name username profileImage bio isVerifiedBadge");
-    await room.populate("userB", "name username profileImage bio isVerifiedBadge");
+    await room.populate("userA", "name username profileImage bio isVerifiedBadge followerCount");
+    await room.populate("userB", "name username profileImage bio isVerifiedBadge followerCount");
 
     const roomId = room._id.toString();
     const otherUser = room.userA._id.toString() === userAId ? room.userB : room.userA;
     const otherUserId = otherUser._id.toString();
 
-    // Get followers count
-    const followersCount = await UserFollower.countDocuments({ userId: otherUserId });
+    // Get followers count (denormalized on the user)
+    const followersCount = otherUser.followerCount || 0;
+
+    const isRestricted = await isRestrictedBy(userAId, otherUserId);
 
     return {
       id: roomId,
       roomId: roomId, // Also include as roomId for clarity
-      chatType: room.chatType,
+      chatType: getChatTypeForViewer(room, isRestricted),
+      isRestricted,
       otherUser: {
         id: otherUserId,
         name: otherUser.name,
@@ -96,26 +113,49 @@ export const getOrCreateChatRoom = async (userAId, userBId, chatType = ChatType.
  * @param {string} userId - User ID
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {string|null} chatType - Only rooms of this chat type for the user (DIRECT or REQUEST), all if null
  * @returns {Promise<Object>} Chat rooms with pagination
  */
-export const getChatRooms = async (userId, page = 1, limit = 20) => {
+export const getChatRooms = async (userId, page = 1, limit = 20, chatType = null) => {
   try {
     const skip = (page - 1) * limit;
 
+    const restrictedIds = await getRestrictedUserIds(userId);
+    const restrictedSet = new Set(restrictedIds.map((id) => id.toString()));
+
     // Find all rooms where user is either userA or userB
-    const rooms = await ChatRoom.find({
+    const query = {
       $or: [{ userA: userId }, { userB: userId }],
-    })
-      .populate("userA", "name username profileImage bio isVerifiedBadge")
-      .populate("userB", "name username profileImage bio isVerifiedBadge")
+    };
+
+    // Rooms with restricted users are message requests for this user
+    if (chatType === ChatType.REQUEST) {
+      query.$and = [
+        {
+          $or: [
+            { chatType: ChatType.REQUEST },
+            { userA: { $in: restrictedIds } },
+            { userB: { $in: restrictedIds } },
+          ],
+        },
+      ];
+    } else if (chatType === ChatType.DIRECT) {
+      query.chatType = { $ne: ChatType.REQUEST };
+      query.$and = [
+        { userA: { $nin: restrictedIds } },
+        { userB: { $nin: restrictedIds } },
+      ];
+    }
+
+    const rooms = await ChatRoom.find(query)
+      .populate("userA", "name username profileImage bio isVerifiedBadge followerCount")
+      .populate("userB", "name username profileImage bio isVerifiedBadge followerCount")
       .sort({ lastMessageAt: -1, updatedAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await ChatRoom.countDocuments({
-      $or: [{ userA: userId }, { userB: userId }],
-    });
+    const total = await ChatRoom.countDocuments(query);
 
     // Get participant data (unread counts) for each room
     const roomIds = rooms.map((room) => room._id.toString());
@@ -141,22 +181,6 @@ export const getChatRooms = async (userId, page = 1, limit = 20) => {
       lastMessageMap.set(item._id.toString(), item.lastMessage);
     });
 
-    // Get followers count for all other users
-    const otherUserIds = rooms.map((room) => {
-      const otherUser = room.userA._id.toString() === userId ? room.userB : room.userA;
-      return otherUser._id.toString();
-    });
-
-    const followersCounts = otherUserIds.length > 0 ? await UserFollower.aggregate([
-      { $match: { userId: { $in: otherUserIds.map(id => new mongoose.Types.ObjectId(id)) } } },
-      { $group: { _id: "$userId", count: { $sum: 1 } } },
-    ]) : [];
-
-    const followersMap = new Map();
-    followersCounts.forEach((item) => {
-      followersMap.set(item._id.toString(), item.count);
-    });
-
     // Format rooms
     const formattedRooms = rooms.map((room) => {
       const roomId = room._id.toString();
@@ -164,8 +188,10 @@ export const getChatRooms = async (userId, page = 1, limit = 20) => {
       const otherUser = room.userA._id.toString() === userId ? room.userB : room.userA;
       const otherUserId = otherUser._id.toString();
 
-      // Get followers count
-      const followersCount = followersMap.get(otherUserId) || 0;
+      // Get followers count (denormalized on the user)
+      const followersCount = otherUser.followerCount || 0;
+
+      const isRestricted = restrictedSet.has(otherUserId);
 
       // Get last message details
       const lastMessage = lastMessageMap.get(roomId);
@@ -211,7 +237,8 @@ export const getChatRooms = async (userId, page = 1, limit = 20) => {
       return {
         id: roomId,
         roomId: roomId, // Also include as roomId for clarity
-        chatType: room.chatType,
+        chatType: getChatTypeForViewer(room, isRestricted),
+        isRestricted,
         otherUser: {
           id: otherUserId,
           name: otherUser.name,
@@ -261,8 +288,8 @@ export const getChatRoomById = async (roomId, userId) => {
       _id: roomId,
       $or: [{ userA: userId }, { userB: userId }],
     })
-      .populate("userA", "name username profileImage bio isVerifiedBadge")
-      .populate("userB", "name username profileImage bio isVerifiedBadge")
+      .populate("userA", "name username profileImage bio isVerifiedBadge followerCount")
+      .populate("userB", "name username profileImage bio isVerifiedBadge followerCount")
       .lean();
 
     if (!room) {
@@ -273,18 +300,21 @@ export const getChatRoomById = async (roomId, userId) => {
     const otherUser = room.userA._id.toString() === userId ? room.userB : room.userA;
     const otherUserId = otherUser._id.toString();
     
-    // Get followers count
-    const followersCount = await UserFollower.countDocuments({ userId: otherUserId });
+    // Get followers count (denormalized on the user)
+    const followersCount = otherUser.followerCount || 0;
     
     const participant = await ChatParticipant.findOne({
       roomId: roomIdString,
       userId,
     }).lean();
+
+    const isRestricted = await isRestrictedBy(userId, otherUserId);
     
     return {
       id: roomIdString,
       roomId: roomIdString, // Also include as roomId for clarity
-      chatType: room.chatType,
+      chatType: getChatTypeForViewer(room, isRestricted),
+      isRestricted,
       otherUser: {
         id: otherUserId,
         name: otherUser.name,
@@ -310,7 +340,8 @@ export const getChatRoomById = async (roomId, userId) => {
 };
 
 /**
- * Delete a chat room (soft delete by blocking)
+ * Delete a chat room (soft delete by blocking). The other user is blocked
+ * through a UserBlock, which is what every feature checks.
  * @param {string} roomId - Room ID
  * @param {string} userId - User ID (to verify ownership)
  * @returns {Promise<boolean>} Success status
@@ -326,6 +357,20 @@ export const deleteChatRoom = async (roomId, userId) => {
       throw new Error("Chat room not found");
     }
 
+    const otherUserId =
+      room.userA.toString() === userId.toString() ? room.userB : room.userA;
+    try {
+      await blockUser(userId, otherUserId);
+    } catch (blockError) {
+      // Already blocked, or the other account is gone: the room is still closed
+      if (
+        blockError.message !== "You have already blocked this user" &&
+        blockError.message !== "User not found"
+      ) {
+        throw blockError;
+      }
+    }
+
     // Mark as blocked (soft delete)
     room.isBlocked = true;
     await room.save();
@@ -0,0 +1,222 @@
+/**
+ * Close Friends Service
+ * Business logic for a user's Close Friends list (UserAudience).
+ * Visibility is enforced through utils/audienceFilter.js.
+ */
+
+import mongoose from "mongoose";
+import User from "../models/users/User.js";
+import UserAudience from "../models/users/UserAudience.js";
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Format a user for Close Friends responses
+ * @param {Object} user - User document
+ * @returns {Object} User summary
+ */
+const formatCloseFriend = (user) => ({
+  id: user._id.toString(),
+  username: user.username,
+  name: user.name,
+  profileImage: user.profileImage,
+  isVerifiedBadge: user.isVerifiedBadge,
+});
+
+/**
+ * Find the users that can be added to a Close Friends list
+ * (existing, not deleted, not blocked with the owner and not the owner)
+ * @param {string} userId - List owner user ID
+ * @param {Array<string>} friendIds - User IDs to add
+ * @returns {Promise<Array>} Valid user documents
+ */
+const findAddableUsers = async (userId, friendIds) => {
+  const uniqueIds = [...new Set(friendIds.map((id) => id.toString()))];
+
+  if (uniqueIds.includes(userId.toString())) {
+    throw new Error("You cannot add yourself to your Close Friends");
+  }
+
+  const users = await User.find({
+    _id: { $in: uniqueIds, $nin: await getBlockedUserIds(userId) },
+    isDeleted: false,
+  })
+    .select("username name profileImage isVerifiedBadge")
+    .lean();
+
+  if (users.length !== uniqueIds.length) {
+    throw new Error("One or more users not found");
+  }
+
+  return users;
+};
+
+/**
+ * Add a user to the Close Friends list
+ * @param {string} userId - List owner user ID
+ * @param {string} friendId - User ID to add
+ * @returns {Promise<Object>} Added user summary
+ */
+export const addCloseFriend = async (userId, friendId) => {
+  try {
+    const [friend] = await findAddableUsers(userId, [friendId]);
+
+    try {
+      await UserAudience.create({ userId, audienceUserId: friendId });
+    } catch (createError) {
+      if (createError.code === 11000) {
+        throw new Error("This user is already on your Close Friends list");
+      }
+      throw createError;
+    }
+
+    logger.info(`User ${userId} added user ${friendId} to Close Friends`);
+
+    return formatCloseFriend(friend);
+  } catch (error) {
+    logger.error("Error in addCloseFriend:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a user from the Close Friends list
+ * @param {string} userId - List owner user ID
+ * @param {string} friendId - User ID to remove
+ * @returns {Promise<void>}
+ */
+export const removeCloseFriend = async (userId, friendId) => {
+  try {
+    const audience = await UserAudience.findOneAndDelete({
+      userId,
+      audienceUserId: friendId,
+    });
+
+    if (!audience) {
+      throw new Error("This user is not on your Close Friends list");
+    }
+
+    logger.info(`User ${userId} removed user ${friendId} from Close Friends`);
+  } catch (error) {
+    logger.error("Error in removeCloseFriend:", error);
+    throw error;
+  }
+};
+
+/**
+ * Add and remove several users at once
+ * @param {string} userId - List owner user ID
+ * @param {Object} changes - { add: Array<string>, remove: Array<string> }
+ * @returns {Promise<Object>} { added, removed, total }
+ */
+export const updateCloseFriends = async (userId, { add = [], remove = [] }) => {
+  try {
+    const removeIds = new Set(remove.map((id) => id.toString()));
+    const overlapping = add.filter((id) => removeIds.has(id.toString()));
+
+    if (overlapping.length > 0) {
+      throw new Error("A user cannot be both added and removed");
+    }
+
+    let added = 0;
+    if (add.length > 0) {
+      const users = await findAddableUsers(userId, add);
+
+      // Users already on the list are skipped
+      const result = await UserAudience.bulkWrite(
+        users.map((user) => ({
+          updateOne: {
+            filter: { userId, audienceUserId: user._id },
+            update: { $setOnInsert: { createdAt: new Date() } },
+            upsert: true,
+          },
+        }))
+      );
+      added = result.upsertedCount;
+    }
+
+    let removed = 0;
+    if (remove.length > 0) {
+      const result = await UserAudience.deleteMany({
+        userId,
+        audienceUserId: {
+          $in: [...removeIds].map((id) => new mongoose.Types.ObjectId(id)),
+        },
+      });
+      removed = result.deletedCount;
+    }
+
+    const total = await UserAudience.countDocuments({ userId });
+
+    logger.info(
+      `User ${userId} updated Close Friends: +${added} -${removed} (${total} total)`
+    );
+
+    return { added, removed, total };
+  } catch (error) {
+    logger.error("Error in updateCloseFriends:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the Close Friends list of a user
+ * @param {string} userId - List owner user ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ * @returns {Promise<Object>} Close friends with pagination
+ */
+export const getCloseFriends = async (userId, page = 1, limit = 20) => {
+  try {
+    const skip = (page - 1) * limit;
+
+    const [audience, total] = await Promise.all([
+      UserAudience.find({ userId })
+        .populate({
+          path: "audienceUserId",
+          select: "username name profileImage isVerifiedBadge",
+          match: { isDeleted: false },
+        })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      UserAudience.countDocuments({ userId }),
+    ]);
+
+    return {
+      closeFriends: audience
+        .filter((entry) => entry.audienceUserId !== null)
+        .map((entry) => ({
+          ...formatCloseFriend(entry.audienceUserId),
+          addedAt: entry.createdAt,
+        })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error in getCloseFriends:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user IDs on a user's Close Friends list
+ * @param {string} userId - List owner user ID
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} User IDs
+ */
+export const getCloseFriendIds = async (userId) => {
+  return UserAudience.find({ userId }).distinct("audienceUserId");
+};
+
+export default {
+  addCloseFriend,
+  removeCloseFriend,
+  updateCloseFriends,
+  getCloseFriends,
+  getCloseFriendIds,
+};
@@ -6,13 +6,52 @@
 import Comment from "../models/comments/Comment.js";
 import { User } from "../models/index.js";
 import { ContentType, ContentTypeToModelName, NotificationType } from "../models/enums.js";
-import { getContentModel, validateContentExists } from "../models/utils/contentHelper.js";
+import {
+  getContentModel,
+  getContentOwnerId,
+  validateContentExists,
+} from "../models/utils/contentHelper.js";
 import { parseAndValidateMentions } from "../utils/mentionParser.js";
+import { isContentBlocked } from "../utils/blockFilter.js";
+import { canViewContent, canViewContentItem } from "../utils/audienceFilter.js";
+import { isRestrictedBy } from "../utils/restrictFilter.js";
 import { getCommentLikeCount, isCommentLikedByUser } from "./commentLike.service.js";
 import { getTimeAgo, formatNumber } from "../utils/timeAgo.js";
 import { createNotification } from "./notification.service.js";
+import { adjustContentCounter } from "./counter.service.js";
 import logger from "../utils/logger.js";
 
+/**
+ * Notify the users mentioned in a comment
+ * @param {Object} comment - Comment (userId, contentType, contentId, mentionedUserIds as IDs)
+ * @param {Object} content - Content commented on (userId, visibility, scheduledAt)
+ * @param {string} contentOwnerId - Content owner ID
+ * @returns {Promise<void>}
+ */
+const notifyCommentMentions = async (comment, content, contentOwnerId) => {
+  const notificationPromises = comment.mentionedUserIds.map(async (mentionedUserId) => {
+    // Don't notify if mentioned user is the commenter or content owner,
+    // or can't see the content (Close Friends)
+    if (
+      mentionedUserId.toString() !== comment.userId.toString() &&
+      mentionedUserId.toString() !== contentOwnerId.toString() &&
+      (await canViewContentItem(mentionedUserId, content))
+    ) {
+      return createNotification({
+        receiverId: mentionedUserId,
+        senderId: comment.userId,
+        type: NotificationType.MENTION_IN_COMMENT,
+        contentType: comment.contentType,
+        contentId: comment.contentId,
+        metadata: { commentId: comment._id.toString() },
+      });
+    }
+    return null;
+  });
+
+  await Promise.all(notificationPromises);
+};
+
 /**
  * Create a comment on content
  * @param {string} userId - User ID creating the comment
@@ -43,6 +82,16 @@ export const createComment = async (userId, commentData) => {
       throw new Error("Content not found");
     }
 
+    // Content of users blocked with the commenter is hidden from them
+    if (await isContentBlocked(userId, contentType, contentId)) {
+      throw new Error("Content not found");
+    }
+
+    // Close Friends content is hidden from everyone else
+    if (!(await canViewContent(userId, contentType, contentId))) {
+      throw new Error("Content not found");
+    }
+
     // Validate comment text
     if (!comment || typeof comment !== "string" || comment.trim().length === 0) {
       throw new Error("Comment text is required");
@@ -53,7 +102,7 @@ export const createComment = async (userId, commentData) => {
     }
 
     // Parse and validate mentions
-    const { mentionedUserIds, invalidUsernames } = await parseAndValidateMentions(comment);
+    const { mentionedUserIds, invalidUsernames } = await parseAndValidateMentions(comment, userId);
 
     // Log invalid mentions (but don't fail - just ignore them)
     if (invalidUsernames.length > 0) {
@@ -66,6 +115,10 @@ export const createComment = async (userId, commentData) => {
       throw new Error("Invalid content type - unable to determine model reference");
     }
 
+    // Comments by users the content owner has restricted wait for approval
+    const contentOwnerId = await getContentOwnerId(contentType, contentId);
+    const isPendingApproval = await isRestrictedBy(contentOwnerId, userId);
+
     // Create comment
     const newComment = new Comment({
       contentType,
@@ -74,9 +127,13 @@ export const createComment = async (userId, commentData) => {
       userId,
       comment: comment.trim(),
       mentionedUserIds: mentionedUserIds.length > 0 ? mentionedUserIds : [],
+      isPendingApproval,
     });
 
     await newComment.save();
+    if (!isPendingApproval) {
+      await adjustContentCounter(contentType, contentId, "commentCount", 1);
+    }
 
     // Populate user and mentioned users
     await newComment.populate([
@@ -92,15 +149,13 @@ export const createComment = async (userId, commentData) => {
 
     logger.info(`Comment created: ${newComment._id} by user ${userId} on ${contentType} ${contentId}`);
 
-    // Create notifications
+    // Create notifications (none while the comment waits for approval)
     try {
       // Get content to find owner
       const ContentModel = getContentModel(contentType);
-      const content = await ContentModel.findById(contentId).select("userId");
-
-      if (content) {
-        const contentOwnerId = content.userId;
+      const content = await ContentModel.findById(contentId).select("userId visibility scheduledAt");
 
+      if (content && !isPendingApproval) {
         // Notify content owner (if not self-comment)
         if (contentOwnerId.toString() !== userId.toString()) {
           let notificationType;
@@ -125,27 +180,11 @@ export const createComment = async (userId, commentData) => {
         }
 
         // Notify mentioned users
-        if (mentionedUserIds.length > 0) {
-          const notificationPromises = mentionedUserIds.map((mentionedUserId) => {
-            // Don't notify if mentioned user is the commenter or content owner
-            if (
-              mentionedUserId.toString() !== userId.toString() &&
-              mentionedUserId.toString() !== contentOwnerId.toString()
-            ) {
-              return createNotification({
-                receiverId: mentionedUserId,
-                senderId: userId,
-                type: NotificationType.MENTION_IN_COMMENT,
-                contentType,
-                contentId,
-                metadata: { commentId: newComment._id.toString() },
-              });
-            }
-            return Promise.resolve(null);
-          });
-
-          await Promise.all(notificationPromises);
-        }
+        await notifyCommentMentions(
+          { _id: newComment._id, userId, contentType, contentId, mentionedUserIds },
+          content,
+          contentOwnerId
+        );
       }
     } catch (notificationError) {
       // Log error but don't fail the comment creation
@@ -188,6 +227,7 @@ export const createComment = async (userId, commentData) => {
       likeCountFormatted: formattedLikeCount, // Formatted with commas
       isLiked,
       replyCount: 0, // New comment has no replies yet
+      isPendingApproval: newComment.isPendingApproval,
       timeAgo, // Relative time (e.g., "now", "30m", "11h")
       createdAt: newComment.createdAt,
       updatedAt: newComment.updatedAt,
@@ -198,6 +238,61 @@ export const createComment = async (userId, commentData) => {
   }
 };
 
+/**
+ * Approve a comment left by a restricted user, making it visible to everyone
+ * @param {string} userId - Content owner user ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object>} { commentId, isPendingApproval }
+ */
+export const approveComment = async (userId, commentId) => {
+  try {
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.isDeleted) {
+      throw new Error("Comment not found");
+    }
+
+    const contentOwnerId = await getContentOwnerId(comment.contentType, comment.contentId);
+    if (!contentOwnerId || contentOwnerId.toString() !== userId.toString()) {
+      throw new Error("You can only approve comments on your own content");
+    }
+
+    // Conditional, so concurrent approvals only update the comment count once
+    const { modifiedCount } = await Comment.updateOne(
+      { _id: comment._id, isPendingApproval: true, isDeleted: false },
+      { $set: { isPendingApproval: false } }
+    );
+
+    if (modifiedCount === 0) {
+      throw new Error("Comment is not waiting for approval");
+    }
+
+    await adjustContentCounter(comment.contentType, comment.contentId, "commentCount", 1);
+
+    // Mention notifications held back while the comment was pending
+    try {
+      const content = await getContentModel(comment.contentType)
+        .findById(comment.contentId)
+        .select("userId visibility scheduledAt");
+      if (content) {
+        await notifyCommentMentions(comment, content, contentOwnerId);
+      }
+    } catch (notificationError) {
+      logger.error("Error creating comment notifications:", notificationError);
+    }
+
+    logger.info(`Comment ${commentId} approved by user ${userId}`);
+
+    return {
+      commentId: commentId.toString(),
+      isPendingApproval: false,
+    };
+  } catch (error) {
+    logger.error("Error in approveComment:", error);
+    throw error;
+  }
+};
+
 export default {
   createComment,
+  approveComment,
 };
@@ -5,10 +5,13 @@
 
 import Comment from "../models/comments/Comment.js";
 import { User } from "../models/index.js";
+import { getContentOwnerId } from "../models/utils/contentHelper.js";
+import { adjustContentCounter } from "./counter.service.js";
 import logger from "../utils/logger.js";
 
 /**
- * Delete a comment (soft delete)
+ * Delete a comment (soft delete). The content owner can also delete
+ * comments waiting for their approval.
  * @param {string} userId - User ID deleting the comment
  * @param {string} commentId - Comment ID to delete
  * @returns {Promise<Object>} Success message
@@ -35,15 +38,37 @@ export const deleteComment = async (userId, commentId) => {
       throw new Error("Comment is already deleted");
     }
 
-    // Check if user owns the comment
+    // Check if user owns the comment, or declines it as the content owner
     if (comment.userId.toString() !== userId) {
-      throw new Error("You can only delete your own comments");
+      const contentOwnerId = comment.isPendingApproval
+        ? await getContentOwnerId(comment.contentType, comment.contentId)
+        : null;
+
+      if (!contentOwnerId || contentOwnerId.toString() !== userId) {
+        throw new Error("You can only delete your own comments");
+      }
     }
 
     // Soft delete: Set isDeleted to true and deletedAt timestamp
-    comment.isDeleted = true;
-    comment.deletedAt = new Date();
-    await comment.save();
+    // (conditional, so concurrent deletes only update the comment count once)
+    const { modifiedCount } = await Comment.updateOne(
+      { _id: comment._id, isDeleted: false },
+      { $set: { isDeleted: true, deletedAt: new Date() } }
+    );
+
+    if (modifiedCount === 0) {
+      throw new Error("Comment is already deleted");
+    }
+
+    // Comments waiting for approval were never counted
+    if (!comment.isPendingApproval) {
+      await adjustContentCounter(
+        comment.contentType,
+        comment.contentId,
+        "commentCount",
+        -1
+      );
+    }
 
     logger.info(`Comment ${commentId} soft deleted by user ${userId}`);
 
@@ -3,11 +3,13 @@
  * Business logic for comment like operations
  */
 
-import mongoose from "mongoose";
 import CommentLike from "../models/comments/CommentLike.js";
 import Comment from "../models/comments/Comment.js";
 import { User } from "../models/index.js";
 import { formatNumber } from "../utils/timeAgo.js";
+import { isBlockedBetween } from "../utils/blockFilter.js";
+import { isHiddenPendingApproval } from "../utils/restrictFilter.js";
+import { adjustCounter } from "./counter.service.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -33,6 +35,16 @@ export const toggleCommentLike = async (userId, commentId) => {
       throw new Error("Comment not found");
     }
 
+    // Comments by users blocked with the liker are hidden from them, and
+    // comments waiting for approval from everyone but their author and the
+    // content owner
+    if (
+      (await isBlockedBetween(userId, comment.userId)) ||
+      (await isHiddenPendingApproval(userId, comment))
+    ) {
+      throw new Error("Comment not found");
+    }
+
     // Check if user has already liked this comment
     const existingLike = await CommentLike.findOne({
       commentId,
@@ -43,12 +55,14 @@ export const toggleCommentLike = async (userId, commentId) => {
     let likeCount;
 
     if (existingLike) {
-      // Unlike: Remove the like
-      await CommentLike.findByIdAndDelete(existingLike._id);
+      // Unlike: Remove the like (only the request that removed it updates the count)
+      const deletedLike = await CommentLike.findByIdAndDelete(existingLike._id);
       isLiked = false;
       
       // Get updated like count
-      likeCount = await CommentLike.countDocuments({ commentId });
+      likeCount = deletedLike
+        ? await adjustCounter(Comment, commentId, "likeCount", -1)
+        : comment.likeCount;
       
       logger.info(`Comment ${commentId} unliked by user ${userId}`);
     } else {
@@ -60,7 +74,7 @@ export const toggleCommentLike = async (userId, commentId) => {
       isLiked = true;
       
       // Get updated like count
-      likeCount = await CommentLike.countDocuments({ commentId });
+      likeCount = await adjustCounter(Comment, commentId, "likeCount", 1);
       
       logger.info(`Comment ${commentId} liked by user ${userId}`);
     }
@@ -111,7 +125,8 @@ export const isCommentLikedByUser = async (userId, commentId) => {
  */
 export const getCommentLikeCount = async (commentId) => {
   try {
-    return await CommentLike.countDocuments({ commentId });
+    const comment = await Comment.findById(commentId).select("likeCount").lean();
+    return comment ? comment.likeCount || 0 : 0;
   } catch (error) {
     logger.error("Error in getCommentLikeCount:", error);
     return 0;
@@ -142,33 +157,15 @@ export const getCommentsLikeStatus = async (userId, commentIds) => {
       userLikes.map((like) => like.commentId.toString())
     );
 
-    // Convert commentIds to ObjectIds if they're strings
-    const objectIds = commentIds.map((id) => {
-      if (typeof id === "string") {
-        return new mongoose.Types.ObjectId(id);
-      }
-      return id;
-    });
-
     // Get like counts for all comments
-    const likeCounts = await CommentLike.aggregate([
-      {
-        $match: {
-          commentId: { $in: objectIds },
-        },
-      },
-      {
-        $group: {
-          _id: "$commentId",
-          count: { $sum: 1 },
-        },
-      },
-    ]);
+    const likeCounts = await Comment.find({ _id: { $in: commentIds } })
+      .select("likeCount")
+      .lean();
 
     // Create a map of commentId to like count
     const likeCountMap = new Map();
     likeCounts.forEach((item) => {
-      likeCountMap.set(item._id.toString(), item.count);
+      likeCountMap.set(item._id.toString(), item.likeCount || 0);
     });
 
     // Build result object
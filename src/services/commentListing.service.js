@@ -4,12 +4,20 @@
  */
 
 import Comment from "../models/comments/Comment.js";
-import ReplyComment from "../models/comments/ReplyComment.js";
 import { User } from "../models/index.js";
 import { ContentType } from "../models/enums.js";
-import { validateContentExists } from "../models/utils/contentHelper.js";
-import { getCommentLikeCount, getCommentsLikeStatus, isCommentLikedByUser } from "./commentLike.service.js";
+import {
+  getContentOwnerId,
+  validateContentExists,
+} from "../models/utils/contentHelper.js";
+import { getCommentsLikeStatus, isCommentLikedByUser } from "./commentLike.service.js";
 import { getReportedCommentIdsSet } from "../utils/commentFilter.js";
+import {
+  getBlockedUserIds,
+  isBlockedBetween,
+  isContentBlocked,
+} from "../utils/blockFilter.js";
+import { canViewContent } from "../utils/audienceFilter.js";
 import { getTimeAgo, formatNumber } from "../utils/timeAgo.js";
 import logger from "../utils/logger.js";
 
@@ -37,12 +45,34 @@ export const getComments = async (contentType, contentId, currentUserId, page =
       throw new Error("Content not found");
     }
 
+    // Content of users blocked with the viewer is hidden from them
+    if (await isContentBlocked(currentUserId, contentType, contentId)) {
+      throw new Error("Content not found");
+    }
+
+    // Close Friends content is hidden from everyone else
+    if (!(await canViewContent(currentUserId, contentType, contentId))) {
+      throw new Error("Content not found");
+    }
+
     // Build query - include deleted comments (we'll show them with "deleted" message)
+    // Comments by users blocked with the viewer are left out
     const query = {
       contentType,
       contentId,
+      userId: { $nin: await getBlockedUserIds(currentUserId) },
     };
 
+    // Comments waiting for approval (restricted users) are only shown to
+    // their author and the content owner
+    const contentOwnerId = await getContentOwnerId(contentType, contentId);
+    if (!currentUserId || contentOwnerId.toString() !== currentUserId.toString()) {
+      query.$or = [
+        { isPendingApproval: { $ne: true } },
+        ...(currentUserId ? [{ userId: currentUserId }] : []),
+      ];
+    }
+
     // Get reported comment IDs for current user (to exclude them)
     let reportedCommentIds = new Set();
     if (currentUserId) {
@@ -75,7 +105,7 @@ export const getComments = async (contentType, contentId, currentUserId, page =
       return true; // Include deleted comments (will show "deleted" message)
     });
 
-    // Get comment IDs for like status and reply counts
+    // Get comment IDs for like status
     const commentIds = visibleComments.map((c) => c._id.toString());
 
     // Get like statuses for all comments
@@ -84,29 +114,15 @@ export const getComments = async (contentType, contentId, currentUserId, page =
       likeStatuses = await getCommentsLikeStatus(currentUserId, commentIds);
     }
 
-    // Get reply counts for all comments (in parallel)
-    const replyCounts = await Promise.all(
-      commentIds.map(async (commentId) => {
-        // Get total reply count (quick count, no pagination needed)
-        const count = await ReplyComment.countDocuments({
-          commentId,
-          isDeleted: false,
-        });
-        return { commentId, replyCount: count };
-      })
-    );
-
-    const replyCountMap = new Map();
-    replyCounts.forEach((item) => {
-      replyCountMap.set(item.commentId, item.replyCount);
-    });
-
     // Format comments
     const formattedComments = visibleComments.map((comment) => {
       const commentId = comment._id.toString();
       const isDeleted = comment.isDeleted || false;
-      const likeStatus = likeStatuses[commentId] || { likeCount: 0, isLiked: false };
-      const replyCount = replyCountMap.get(commentId) || 0;
+      const likeStatus = likeStatuses[commentId] || {
+        likeCount: comment.likeCount || 0,
+        isLiked: false,
+      };
+      const replyCount = comment.replyCount || 0;
 
       // Format like count with commas
       const formattedLikeCount = formatNumber(likeStatus.likeCount);
@@ -153,6 +169,7 @@ export const getComments = async (contentType, contentId, currentUserId, page =
         likeCountFormatted: formattedLikeCount, // Formatted with commas
         isLiked: likeStatus.isLiked,
         replyCount,
+        isPendingApproval: comment.isPendingApproval || false,
         timeAgo, // Relative time (e.g., "30m", "11h", "20h")
         createdAt: comment.createdAt,
         updatedAt: comment.updatedAt,
@@ -192,6 +209,31 @@ export const getCommentById = async (commentId, currentUserId) => {
       return null;
     }
 
+    // Hide comments by users blocked with the viewer
+    if (
+      currentUserId &&
+      comment.userId &&
+      (await isBlockedBetween(currentUserId, comment.userId._id))
+    ) {
+      return null;
+    }
+
+    // Hide comments on Close Friends content the viewer can't see
+    if (!(await canViewContent(currentUserId, comment.contentType, comment.contentId))) {
+      return null;
+    }
+
+    // Comments waiting for approval are only visible to their author and the content owner
+    if (
+      comment.isPendingApproval &&
+      comment.userId?._id.toString() !== currentUserId?.toString()
+    ) {
+      const contentOwnerId = await getContentOwnerId(comment.contentType, comment.contentId);
+      if (!contentOwnerId || contentOwnerId.toString() !== currentUserId?.toString()) {
+        return null;
+      }
+    }
+
     // Check if deleted
     if (comment.isDeleted) {
       return {
@@ -211,17 +253,12 @@ export const getCommentById = async (commentId, currentUserId) => {
       }
     }
 
-    // Get like count and status
-    const [likeCount, isLiked] = await Promise.all([
-      getCommentLikeCount(commentId),
-      currentUserId ? isCommentLikedByUser(currentUserId, commentId) : false,
-    ]);
-
-    // Get reply count
-    const replyCount = await ReplyComment.countDocuments({
-      commentId,
-      isDeleted: false,
-    });
+    // Like count, reply count and like status
+    const likeCount = comment.likeCount || 0;
+    const replyCount = comment.replyCount || 0;
+    const isLiked = currentUserId
+      ? await isCommentLikedByUser(currentUserId, commentId)
+      : false;
 
     // Format like count and time ago
     const formattedLikeCount = formatNumber(likeCount);
@@ -252,6 +289,7 @@ export const getCommentById = async (commentId, currentUserId) => {
       likeCountFormatted: formattedLikeCount, // Formatted with commas
       isLiked,
       replyCount,
+      isPendingApproval: comment.isPendingApproval || false,
       timeAgo, // Relative time (e.g., "30m", "11h", "20h")
       createdAt: comment.createdAt,
       updatedAt: comment.updatedAt,
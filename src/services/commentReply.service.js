@@ -8,11 +8,80 @@ import Comment from "../models/comments/Comment.js";
 import { User } from "../models/index.js";
 import { NotificationType } from "../models/enums.js";
 import { parseAndValidateMentions } from "../utils/mentionParser.js";
+import {
+  getBlockedUserIds,
+  isBlockedBetween,
+  isContentBlocked,
+} from "../utils/blockFilter.js";
+import { canViewContent } from "../utils/audienceFilter.js";
+import {
+  isHiddenPendingApproval,
+  isRestrictedBy,
+} from "../utils/restrictFilter.js";
+import { getContentOwnerId } from "../models/utils/contentHelper.js";
 import { getReplyCommentLikeCount, isReplyCommentLikedByUser } from "./replyCommentLike.service.js";
 import { getTimeAgo, formatNumber } from "../utils/timeAgo.js";
 import { createNotification } from "./notification.service.js";
+import { adjustCounter } from "./counter.service.js";
 import logger from "../utils/logger.js";
 
+/**
+ * Notify the comment owner and the users mentioned in a reply
+ * @param {Object} reply - Reply (userId, mentionedUserIds as IDs)
+ * @param {Object} parentComment - Parent comment
+ * @param {string} skipUserId - User not to notify (optional, e.g. the approver)
+ * @returns {Promise<void>}
+ */
+const notifyReply = async (reply, parentComment, skipUserId = null) => {
+  const replierId = reply.userId.toString();
+  const commentOwnerId = parentComment.userId.toString();
+  const skippedIds = [replierId, skipUserId?.toString()];
+
+  const metadata = {
+    commentId: parentComment._id.toString(),
+    replyId: reply._id.toString(),
+  };
+
+  // Notify comment owner (if not self-reply)
+  if (!skippedIds.includes(commentOwnerId)) {
+    await createNotification({
+      receiverId: commentOwnerId,
+      senderId: replierId,
+      type: NotificationType.COMMENT_REPLY,
+      contentType: parentComment.contentType,
+      contentId: parentComment.contentId,
+      metadata,
+    });
+  }
+
+  // Notify mentioned users
+  const notificationPromises = reply.mentionedUserIds.map(async (mentionedUserId) => {
+    // Don't notify if mentioned user is the replier or comment owner,
+    // or can't see the content (Close Friends)
+    if (
+      !skippedIds.includes(mentionedUserId.toString()) &&
+      mentionedUserId.toString() !== commentOwnerId &&
+      (await canViewContent(
+        mentionedUserId,
+        parentComment.contentType,
+        parentComment.contentId
+      ))
+    ) {
+      return createNotification({
+        receiverId: mentionedUserId,
+        senderId: replierId,
+        type: NotificationType.MENTION_IN_COMMENT,
+        contentType: parentComment.contentType,
+        contentId: parentComment.contentId,
+        metadata,
+      });
+    }
+    return null;
+  });
+
+  await Promise.all(notificationPromises);
+};
+
 /**
  * Create a reply to a comment
  * @param {string} userId - User ID creating the reply
@@ -40,6 +109,25 @@ export const createReply = async (userId, commentId, reply) => {
       throw new Error("Cannot reply to a deleted comment");
     }
 
+    // No replies to (or on content of) users blocked with the replier, nor
+    // to comments waiting for approval the replier can't see
+    if (
+      (await isBlockedBetween(userId, parentComment.userId)) ||
+      (await isHiddenPendingApproval(userId, parentComment)) ||
+      (await isContentBlocked(
+        userId,
+        parentComment.contentType,
+        parentComment.contentId
+      )) ||
+      !(await canViewContent(
+        userId,
+        parentComment.contentType,
+        parentComment.contentId
+      ))
+    ) {
+      throw new Error("Comment not found");
+    }
+
     // Validate reply text
     if (!reply || typeof reply !== "string" || reply.trim().length === 0) {
       throw new Error("Reply text is required");
@@ -50,22 +138,33 @@ export const createReply = async (userId, commentId, reply) => {
     }
 
     // Parse and validate mentions
-    const { mentionedUserIds, invalidUsernames } = await parseAndValidateMentions(reply);
+    const { mentionedUserIds, invalidUsernames } = await parseAndValidateMentions(reply, userId);
 
     // Log invalid mentions (but don't fail - just ignore them)
     if (invalidUsernames.length > 0) {
       logger.info(`Invalid mentions in reply by user ${userId}: ${invalidUsernames.join(", ")}`);
     }
 
+    // Replies by users the content owner has restricted wait for approval
+    const contentOwnerId = await getContentOwnerId(
+      parentComment.contentType,
+      parentComment.contentId
+    );
+    const isPendingApproval = await isRestrictedBy(contentOwnerId, userId);
+
     // Create reply
     const newReply = new ReplyComment({
       commentId,
       userId,
       reply: reply.trim(),
       mentionedUserIds: mentionedUserIds.length > 0 ? mentionedUserIds : [],
+      isPendingApproval,
     });
 
     await newReply.save();
+    if (!isPendingApproval) {
+      await adjustCounter(Comment, commentId, "replyCount", 1);
+    }
 
     // Populate user and mentioned users
     await newReply.populate([
@@ -91,53 +190,17 @@ export const createReply = async (userId, commentId, reply) => {
 
     logger.info(`Reply created: ${newReply._id} by user ${userId} on comment ${commentId}`);
 
-    // Create notifications
-    try {
-      const commentOwnerId = parentComment.userId;
-
-      // Notify comment owner (if not self-reply)
-      if (commentOwnerId.toString() !== userId.toString()) {
-        await createNotification({
-          receiverId: commentOwnerId,
-          senderId: userId,
-          type: NotificationType.COMMENT_REPLY,
-          contentType: parentComment.contentType,
-          contentId: parentComment.contentId,
-          metadata: {
-            commentId: parentComment._id.toString(),
-            replyId: newReply._id.toString(),
-          },
-        });
-      }
-
-      // Notify mentioned users
-      if (mentionedUserIds.length > 0) {
-        const notificationPromises = mentionedUserIds.map((mentionedUserId) => {
-          // Don't notify if mentioned user is the replier or comment owner
-          if (
-            mentionedUserId.toString() !== userId.toString() &&
-            mentionedUserId.toString() !== commentOwnerId.toString()
-          ) {
-            return createNotification({
-              receiverId: mentionedUserId,
-              senderId: userId,
-              type: NotificationType.MENTION_IN_COMMENT,
-              contentType: parentComment.contentType,
-              contentId: parentComment.contentId,
-              metadata: {
-                commentId: parentComment._id.toString(),
-                replyId: newReply._id.toString(),
-              },
-            });
-          }
-          return Promise.resolve(null);
-        });
-
-        await Promise.all(notificationPromises);
+    // Create notifications (none while the reply waits for approval)
+    if (!isPendingApproval) {
+      try {
+        await notifyReply(
+          { _id: newReply._id, userId, mentionedUserIds },
+          parentComment
+        );
+      } catch (notificationError) {
+        // Log error but don't fail the reply creation
+        logger.error("Error creating reply notifications:", notificationError);
       }
-    } catch (notificationError) {
-      // Log error but don't fail the reply creation
-      logger.error("Error creating reply notifications:", notificationError);
     }
 
     // Format response
@@ -164,6 +227,7 @@ export const createReply = async (userId, commentId, reply) => {
       likeCount,
       likeCountFormatted: formattedLikeCount, // Formatted with commas
       isLiked,
+      isPendingApproval: newReply.isPendingApproval,
       timeAgo, // Relative time (e.g., "now", "30m", "11h")
       createdAt: newReply.createdAt,
       updatedAt: newReply.updatedAt,
@@ -192,11 +256,26 @@ export const getReplies = async (commentId, currentUserId, page = 1, limit = 20)
       throw new Error("Comment not found");
     }
 
-    // Get replies (exclude deleted)
-    const replies = await ReplyComment.find({
+    // Get replies (exclude deleted and replies by users blocked with the viewer)
+    const replyQuery = {
       commentId,
       isDeleted: false,
-    })
+      userId: { $nin: await getBlockedUserIds(currentUserId) },
+    };
+
+    // Replies waiting for approval (restricted users) are only shown to
+    // their author and the content owner
+    const contentOwnerId = await getContentOwnerId(
+      parentComment.contentType,
+      parentComment.contentId
+    );
+    if (!currentUserId || contentOwnerId?.toString() !== currentUserId.toString()) {
+      replyQuery.$or = [
+        { isPendingApproval: { $ne: true } },
+        ...(currentUserId ? [{ userId: currentUserId }] : []),
+      ];
+    }
+    const replies = await ReplyComment.find(replyQuery)
       .populate("userId", "name username profileImage bio isVerifiedBadge")
       .populate("mentionedUserIds", "name username profileImage bio isVerifiedBadge")
       .sort({ createdAt: 1 }) // Oldest first for replies
@@ -204,20 +283,16 @@ export const getReplies = async (commentId, currentUserId, page = 1, limit = 20)
       .limit(limit)
       .lean();
 
-    const total = await ReplyComment.countDocuments({
-      commentId,
-      isDeleted: false,
-    });
+    const total = await ReplyComment.countDocuments(replyQuery);
 
     // Get like counts and status for all replies
-    const replyIds = replies.map((r) => r._id.toString());
     const likeStatuses = await Promise.all(
-      replyIds.map(async (replyId) => {
-        const [likeCount, isLiked] = await Promise.all([
-          getReplyCommentLikeCount(replyId),
-          currentUserId ? isReplyCommentLikedByUser(currentUserId, replyId) : false,
-        ]);
-        return { replyId, likeCount, isLiked };
+      replies.map(async (reply) => {
+        const replyId = reply._id.toString();
+        const isLiked = currentUserId
+          ? await isReplyCommentLikedByUser(currentUserId, replyId)
+          : false;
+        return { replyId, likeCount: reply.likeCount || 0, isLiked };
       })
     );
 
@@ -258,6 +333,7 @@ export const getReplies = async (commentId, currentUserId, page = 1, limit = 20)
         likeCount: likeStatus.likeCount,
         likeCountFormatted: formattedLikeCount, // Formatted with commas
         isLiked: likeStatus.isLiked,
+        isPendingApproval: reply.isPendingApproval || false,
         timeAgo, // Relative time (e.g., "now", "30m", "11h")
         createdAt: reply.createdAt,
         updatedAt: reply.updatedAt,
@@ -279,7 +355,66 @@ export const getReplies = async (commentId, currentUserId, page = 1, limit = 20)
   }
 };
 
+/**
+ * Approve a reply left by a restricted user, making it visible to everyone
+ * @param {string} userId - Content owner user ID
+ * @param {string} commentId - Parent comment ID
+ * @param {string} replyId - Reply ID
+ * @returns {Promise<Object>} { replyId, isPendingApproval }
+ */
+export const approveReply = async (userId, commentId, replyId) => {
+  try {
+    const reply = await ReplyComment.findOne({ _id: replyId, commentId });
+    if (!reply || reply.isDeleted) {
+      throw new Error("Reply not found");
+    }
+
+    const parentComment = await Comment.findById(commentId);
+    if (!parentComment) {
+      throw new Error("Reply not found");
+    }
+
+    const contentOwnerId = await getContentOwnerId(
+      parentComment.contentType,
+      parentComment.contentId
+    );
+    if (!contentOwnerId || contentOwnerId.toString() !== userId.toString()) {
+      throw new Error("You can only approve replies on your own content");
+    }
+
+    // Conditional, so concurrent approvals only update the reply count once
+    const { modifiedCount } = await ReplyComment.updateOne(
+      { _id: reply._id, isPendingApproval: true, isDeleted: false },
+      { $set: { isPendingApproval: false } }
+    );
+
+    if (modifiedCount === 0) {
+      throw new Error("Reply is not waiting for approval");
+    }
+
+    await adjustCounter(Comment, parentComment._id, "replyCount", 1);
+
+    // Notifications held back while the reply was pending
+    try {
+      await notifyReply(reply, parentComment, userId);
+    } catch (notificationError) {
+      logger.error("Error creating reply notifications:", notificationError);
+    }
+
+    logger.info(`Reply ${replyId} approved by user ${userId}`);
+
+    return {
+      replyId: replyId.toString(),
+      isPendingApproval: false,
+    };
+  } catch (error) {
+    logger.error("Error in approveReply:", error);
+    throw error;
+  }
+};
+
 export default {
   createReply,
   getReplies,
+  approveReply,
 };
@@ -0,0 +1,40 @@
+import cron from "node-cron";
+import { processPendingContentDeletions } from "./content-deletion.service.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Start cron job for deleted content cleanup
+ * Runs every 5 minutes to retry cleanup jobs that failed or were
+ * interrupted (e.g. by a restart)
+ */
+export const startContentDeletionCronJob = () => {
+  // Run every 5 minutes: */5 * * * *
+  cron.schedule("*/5 * * * *", async () => {
+    try {
+      const result = await processPendingContentDeletions();
+
+      if (result.failedCount > 0) {
+        logger.warn(
+          `Content deletion cron: ${result.failedCount} cleanup job(s) failed and need attention`
+        );
+      }
+
+      if (result.processedCount === 0) {
+        logger.debug("No content deletions to process");
+        return;
+      }
+
+      logger.info(
+        `Content deletion cron: ran ${result.processedCount} cleanup job(s)`
+      );
+    } catch (error) {
+      logger.error("Error in content deletion cron job:", error);
+    }
+  });
+
+  logger.info("Content deletion cron job started (runs every 5 minutes)");
+};
+
+export default {
+  startContentDeletionCronJob,
+};
@@ -0,0 +1,338 @@
+/**
+ * Content Deletion Service
+ * Deleting posts, write posts, zeals and polls. The content document is
+ * removed on request; everything attached to it is cleaned up by a
+ * ContentDeletion job in the background, retried by the cron until it
+ * finishes. The cascade helpers are shared with the account purge.
+ */
+
+import ContentDeletion from "../models/content/ContentDeletion.js";
+import ContentEdit from "../models/content/ContentEdit.js";
+import Comment from "../models/comments/Comment.js";
+import CommentLike from "../models/comments/CommentLike.js";
+import CommentReport from "../models/comments/CommentReport.js";
+import ReplyComment from "../models/comments/ReplyComment.js";
+import ReplyCommentLike from "../models/comments/ReplyCommentLike.js";
+import ContentLike from "../models/interactions/ContentLike.js";
+import ContentShare from "../models/interactions/ContentShare.js";
+import ContentReport from "../models/interactions/ContentReport.js";
+import SavedContent from "../models/interactions/SavedContent.js";
+import Notification from "../models/notifications/Notification.js";
+import { ContentDeletionStatus } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+import { unlinkHashtagsFromContent } from "./hashtag.service.js";
+import { deleteFromStorage, getStorageKeyFromUrl } from "./storage.service.js";
+import logger from "../utils/logger.js";
+
+// Content type value used for polls in ContentDeletion / SavedContent
+export const POLL_CONTENT_TYPE = "poll";
+
+// Content type value used for polls in HashtagContent
+const POLL_HASHTAG_CONTENT_TYPE = "Poll";
+
+// Attempts before a cleanup job is marked as failed
+const MAX_DELETION_ATTEMPTS = 5;
+
+// A job still processing after this long is assumed lost (e.g. restart)
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// Maximum number of jobs run per cron run
+const DELETION_BATCH_SIZE = 20;
+
+/**
+ * Delete a storage object referenced by a public URL or storage key.
+ * Failures are logged and ignored so a missing file never blocks a cleanup.
+ * @param {string} storageKeyOrUrl - Storage key or public URL
+ */
+export const deleteStoredFile = async (storageKeyOrUrl) => {
+  if (!storageKeyOrUrl) {
+    return;
+  }
+
+  const storageKey = /^https?:\/\//.test(storageKeyOrUrl)
+    ? getStorageKeyFromUrl(storageKeyOrUrl)
+    : storageKeyOrUrl;
+
+  if (!storageKey) {
+    return;
+  }
+
+  try {
+    await deleteFromStorage(storageKey);
+  } catch (error) {
+    logger.warn(`Could not delete stored file ${storageKey}: ${error.message}`);
+  }
+};
+
+/**
+ * Hard-delete comments together with their replies, likes and reports
+ * @param {Array} commentIds - Comment IDs
+ */
+export const deleteCommentThreads = async (commentIds) => {
+  if (commentIds.length === 0) {
+    return;
+  }
+
+  const replyIds = await ReplyComment.find({
+    commentId: { $in: commentIds },
+  }).distinct("_id");
+
+  await Promise.all([
+    ReplyCommentLike.deleteMany({ replyCommentId: { $in: replyIds } }),
+    ReplyComment.deleteMany({ _id: { $in: replyIds } }),
+    CommentLike.deleteMany({ commentId: { $in: commentIds } }),
+    CommentReport.deleteMany({ commentId: { $in: commentIds } }),
+  ]);
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+};
+
+/**
+ * Hard-delete everything attached to content items (not the items
+ * themselves). Hashtag links are removed with their Hashtag.contentCount.
+ * @param {string|null} contentType - ContentType value (null for polls)
+ * @param {Array} contentIds - Content IDs
+ */
+export const deleteContentCascade = async (contentType, contentIds) => {
+  if (contentIds.length === 0) {
+    return;
+  }
+
+  const hashtagContentType = contentType || POLL_HASHTAG_CONTENT_TYPE;
+  const savedContentType = contentType || POLL_CONTENT_TYPE;
+
+  for (const contentId of contentIds) {
+    await unlinkHashtagsFromContent(hashtagContentType, contentId);
+  }
+
+  await Promise.all([
+    SavedContent.deleteMany({
+      contentType: savedContentType,
+      contentId: { $in: contentIds },
+    }),
+    Notification.deleteMany({ contentId: { $in: contentIds } }),
+  ]);
+
+  if (!contentType) {
+    return;
+  }
+
+  const commentIds = await Comment.find({
+    contentType,
+    contentId: { $in: contentIds },
+  }).distinct("_id");
+  await deleteCommentThreads(commentIds);
+
+  await Promise.all([
+    ContentLike.deleteMany({ contentType, contentId: { $in: contentIds } }),
+    ContentShare.deleteMany({ contentType, contentId: { $in: contentIds } }),
+    ContentReport.deleteMany({ contentType, contentId: { $in: contentIds } }),
+    ContentEdit.deleteMany({ contentType, contentId: { $in: contentIds } }),
+  ]);
+};
+
+/**
+ * Stored media of a content document
+ * @param {Object} content - Post, zeal, write post or poll document
+ * @returns {Array<string>} Public URLs / storage keys
+ */
+const getMediaFiles = (content) => [
+  ...new Set(
+    [
+      ...(content.videos || []),
+      ...(content.images || []),
+      content.mediaUrl,
+      content.thumbnailUrl,
+    ].filter(Boolean)
+  ),
+];
+
+/**
+ * Run a content cleanup job. Safe to re-run: every step is idempotent.
+ * On error the job goes back to pending (or failed after
+ * MAX_DELETION_ATTEMPTS) for the cron to retry.
+ * @param {string} jobId - ContentDeletion ID
+ * @returns {Promise<void>}
+ */
+export const processContentDeletion = async (jobId) => {
+  const job = await ContentDeletion.findOneAndUpdate(
+    { _id: jobId, status: ContentDeletionStatus.PENDING },
+    {
+      $set: {
+        status: ContentDeletionStatus.PROCESSING,
+        startedAt: new Date(),
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+
+  if (!job) {
+    return;
+  }
+
+  const { contentType, contentId } = job;
+
+  try {
+    // Normally gone already; removed here if the request failed after queueing
+    await getContentModel(contentType).deleteOne({ _id: contentId });
+
+    await deleteContentCascade(
+      contentType === POLL_CONTENT_TYPE ? null : contentType,
+      [contentId]
+    );
+
+    for (const file of job.mediaFiles) {
+      await deleteStoredFile(file);
+    }
+
+    await ContentDeletion.deleteOne({ _id: job._id });
+
+    logger.info(`Cleanup finished for deleted ${contentType} ${contentId}`);
+  } catch (error) {
+    logger.error(
+      `Error cleaning up deleted ${contentType} ${contentId}:`,
+      error
+    );
+    job.status =
+      job.attempts >= MAX_DELETION_ATTEMPTS
+        ? ContentDeletionStatus.FAILED
+        : ContentDeletionStatus.PENDING;
+    job.error = error.message;
+    await job.save();
+  }
+};
+
+/**
+ * Delete a post, write post, zeal or poll of the user. The content is gone
+ * for everyone right away; the rest is cleaned up in the background.
+ * @param {string} userId - User ID
+ * @param {string} contentType - ContentType value, or "poll"
+ * @param {string} contentId - Content ID
+ * @param {Object} conditions - Extra conditions the content must still meet when it is removed (optional, e.g. still scheduled)
+ * @returns {Promise<Object>} { contentType, contentId, deletedAt }
+ */
+export const deleteContent = async (
+  userId,
+  contentType,
+  contentId,
+  conditions = {}
+) => {
+  try {
+    const Model = getContentModel(contentType);
+    if (!Model) {
+      throw new Error("Invalid content type");
+    }
+
+    const content = await Model.findOne({
+      _id: contentId,
+      ...conditions,
+    }).lean();
+    if (!content) {
+      throw new Error("Content not found");
+    }
+
+    // Polls store their author in createdBy
+    const ownerId =
+      contentType === POLL_CONTENT_TYPE ? content.createdBy : content.userId;
+    if (ownerId.toString() !== userId.toString()) {
+      throw new Error("You can only delete your own content");
+    }
+
+    // The job is queued before the document goes, so nothing can be orphaned
+    let job;
+    let isNewJob = true;
+    try {
+      job = await ContentDeletion.create({
+        userId,
+        contentType,
+        contentId: content._id,
+        mediaFiles: getMediaFiles(content),
+      });
+    } catch (createError) {
+      // Concurrent request already queued the cleanup
+      if (createError.code !== 11000) {
+        throw createError;
+      }
+      isNewJob = false;
+      job = await ContentDeletion.findOne({
+        contentType,
+        contentId: content._id,
+      }).select("_id");
+    }
+
+    const deletedAt = new Date();
+    const { deletedCount } = await Model.deleteOne({
+      _id: content._id,
+      ...conditions,
+    });
+
+    // The content changed in between and no longer meets the conditions:
+    // it is kept, and so must be everything attached to it
+    if (deletedCount === 0 && (await Model.exists({ _id: content._id }))) {
+      if (isNewJob) {
+        await ContentDeletion.deleteOne({ _id: job._id });
+      }
+      throw new Error("Content not found");
+    }
+
+    // Clean up in the background (non-blocking); the cron picks it up if this run is lost
+    if (job) {
+      processContentDeletion(job._id).catch((error) => {
+        logger.error(`Error processing content deletion ${job._id}:`, error);
+      });
+    }
+
+    logger.info(`${contentType} ${content._id} deleted by user ${userId}`);
+
+    return {
+      contentType,
+      contentId: content._id.toString(),
+      deletedAt,
+    };
+  } catch (error) {
+    logger.error("Error in deleteContent:", error);
+    throw error;
+  }
+};
+
+/**
+ * Run pending cleanup jobs, including ones interrupted mid-run
+ * @returns {Promise<Object>} { processedCount, failedCount }
+ */
+export const processPendingContentDeletions = async () => {
+  try {
+    await ContentDeletion.updateMany(
+      {
+        status: ContentDeletionStatus.PROCESSING,
+        startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      { $set: { status: ContentDeletionStatus.PENDING } }
+    );
+
+    const pending = await ContentDeletion.find({
+      status: ContentDeletionStatus.PENDING,
+    })
+      .sort({ createdAt: 1 })
+      .limit(DELETION_BATCH_SIZE)
+      .select("_id");
+
+    for (const job of pending) {
+      await processContentDeletion(job._id);
+    }
+
+    const failedCount = await ContentDeletion.countDocuments({
+      status: ContentDeletionStatus.FAILED,
+    });
+
+    return { processedCount: pending.length, failedCount };
+  } catch (error) {
+    logger.error("Error in processPendingContentDeletions:", error);
+    throw error;
+  }
+};
+
+export default {
+  deleteContent,
+  processContentDeletion,
+  processPendingContentDeletions,
+};
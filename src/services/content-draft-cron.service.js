@@ -0,0 +1,34 @@
+import cron from "node-cron";
+import { cleanupExpiredDrafts } from "./content-draft.service.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Start cron job for removing expired drafts
+ * Runs every hour and deletes post and write post drafts (with their
+ * uploaded images) that have not been saved within the expiry window
+ */
+export const startContentDraftCleanupCronJob = () => {
+  // Run every hour at minute 15: 15 * * * *
+  cron.schedule("15 * * * *", async () => {
+    try {
+      const result = await cleanupExpiredDrafts();
+
+      if (result.deletedCount === 0) {
+        logger.debug("No expired drafts to clean up");
+        return;
+      }
+
+      logger.info(
+        `Draft cleanup cron: removed ${result.deletedCount} expired draft(s)`
+      );
+    } catch (error) {
+      logger.error("Error in draft cleanup cron job:", error);
+    }
+  });
+
+  logger.info("Draft cleanup cron job started (runs every hour)");
+};
+
+export default {
+  startContentDraftCleanupCronJob,
+};
@@ -0,0 +1,540 @@
+/**
+ * Content Draft Service
+ * Server-side drafts of image posts and write posts. A draft keeps whatever
+ * the author has so far (uploaded images, caption or content, mentions,
+ * music) and is published through the same validation as the create
+ * endpoints. Drafts expire CONTENT_DRAFT_EXPIRE_DAYS after their last save.
+ */
+
+import mongoose from "mongoose";
+import ContentDraft from "../models/content/ContentDraft.js";
+import { ContentType } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+import { createPostSchema } from "../validators/post.validator.js";
+import { createWritePostSchema } from "../validators/writePost.validator.js";
+import { formatJoiError } from "../utils/validation.js";
+import { createPost, POST_POPULATE } from "./post.service.js";
+import { createWritePost, WRITE_POST_POPULATE } from "./writePost.service.js";
+import { deleteStoredFile } from "./content-deletion.service.js";
+import { formatContentList } from "./explore.service.js";
+import config from "../config/env.js";
+import logger from "../utils/logger.js";
+
+// Content types that can be drafted
+export const DRAFT_CONTENT_TYPES = [ContentType.POST, ContentType.WRITE_POST];
+
+// Drafts a user can keep per content type
+const MAX_DRAFTS_PER_TYPE = 50;
+
+// Images a post draft can hold (same as a post)
+const MAX_DRAFT_IMAGES = 20;
+
+// A publish still running after this long is assumed lost (e.g. restart)
+const STALE_PUBLISHING_MS = 5 * 60 * 1000;
+
+// Maximum number of expired drafts removed per cron run
+const CLEANUP_BATCH_SIZE = 100;
+
+// Fields each content type keeps in a draft
+const DRAFT_FIELDS = {
+  [ContentType.POST]: [
+    "caption",
+    "mentionedUserIds",
+    "musicId",
+    "musicStartTime",
+    "musicEndTime",
+    "visibility",
+  ],
+  [ContentType.WRITE_POST]: ["content", "mentionedUserIds", "visibility"],
+};
+
+const CREATE_SCHEMAS = {
+  [ContentType.POST]: createPostSchema,
+  [ContentType.WRITE_POST]: createWritePostSchema,
+};
+
+const DRAFT_POPULATE = [
+  {
+    path: "mentionedUserIds",
+    select: "name username profileImage isAccountVerified isVerifiedBadge",
+  },
+  {
+    path: "musicId",
+    select: "title artist album coverImage duration",
+  },
+];
+
+/**
+ * Expiry of a draft saved now
+ * @returns {Date} Expiry date
+ */
+const getDraftExpiry = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + config.drafts.expireDays);
+  return expiresAt;
+};
+
+/**
+ * Keep the fields a content type stores in its drafts
+ * @param {string} contentType - Post or Write Post
+ * @param {Object} fields - Submitted fields
+ * @returns {Object} Draft fields
+ */
+const pickDraftFields = (contentType, fields) => {
+  const draftFields = {};
+
+  for (const field of DRAFT_FIELDS[contentType]) {
+    if (fields[field] === undefined) {
+      continue;
+    }
+    // An empty value clears the field (text fields stay strings)
+    draftFields[field] = ["caption", "content"].includes(field)
+      ? fields[field] || ""
+      : fields[field] === ""
+        ? null
+        : fields[field];
+  }
+
+  return draftFields;
+};
+
+/**
+ * Condition matching drafts no publish is running on. A publish claimed
+ * longer than STALE_PUBLISHING_MS ago is assumed lost.
+ * @returns {Object} Mongo condition
+ */
+const notBeingPublishedQuery = () => ({
+  $or: [
+    { publishingAt: null },
+    { publishingAt: { $lt: new Date(Date.now() - STALE_PUBLISHING_MS) } },
+  ],
+});
+
+/**
+ * Check whether a draft's post / write post was created by an earlier
+ * publish (its images then belong to that content)
+ * @param {Object} draft - Draft (contentType, publishedContentId)
+ * @returns {Promise<boolean>} True if the published content exists
+ */
+const isDraftPublished = async (draft) =>
+  !!draft.publishedContentId &&
+  !!(await getContentModel(draft.contentType).exists({
+    _id: draft.publishedContentId,
+  }));
+
+/**
+ * Get a draft's published content, populated for formatting
+ * @param {string} contentType - Post or Write Post
+ * @param {mongoose.Types.ObjectId} contentId - Content ID
+ * @returns {Promise<Object|null>} Content (lean)
+ */
+const findPublishedContent = (contentType, contentId) =>
+  getContentModel(contentType)
+    .findById(contentId)
+    .populate(
+      contentType === ContentType.POST ? POST_POPULATE : WRITE_POST_POPULATE
+    )
+    .lean();
+
+/**
+ * Delete uploaded images no draft or post uses any more
+ * @param {Array<string>} images - Image URLs
+ * @returns {Promise<void>}
+ */
+const deleteDraftImages = async (images) => {
+  await Promise.all(images.map(deleteStoredFile));
+};
+
+/**
+ * Save a new draft
+ * @param {string} userId - User ID
+ * @param {string} contentType - Post or Write Post
+ * @param {Object} fields - Draft fields (caption / content, mentionedUserIds, musicId, musicStartTime, musicEndTime, visibility)
+ * @param {Array<string>} uploadedImages - Image URLs uploaded with the request (posts)
+ * @returns {Promise<Object>} Created draft
+ */
+export const createDraft = async (
+  userId,
+  contentType,
+  fields,
+  uploadedImages = []
+) => {
+  try {
+    if (!DRAFT_CONTENT_TYPES.includes(contentType)) {
+      throw new Error("Invalid content type");
+    }
+
+    if (contentType !== ContentType.POST && uploadedImages.length > 0) {
+      throw new Error("Only post drafts can have images");
+    }
+
+    const draftCount = await ContentDraft.countDocuments({
+      userId,
+      contentType,
+      expiresAt: { $gt: new Date() },
+    });
+    if (draftCount >= MAX_DRAFTS_PER_TYPE) {
+      throw new Error(
+        `You can keep up to ${MAX_DRAFTS_PER_TYPE} drafts. Publish or delete one first.`
+      );
+    }
+
+    const draft = await ContentDraft.create({
+      ...pickDraftFields(contentType, fields),
+      userId,
+      contentType,
+      images: uploadedImages,
+      expiresAt: getDraftExpiry(),
+    });
+
+    await draft.populate(DRAFT_POPULATE);
+
+    logger.info(`${contentType} draft created: ${draft._id} by user ${userId}`);
+
+    return draft;
+  } catch (error) {
+    logger.error("Error in createDraft:", error);
+    await deleteDraftImages(uploadedImages);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's drafts, last saved first
+ * @param {string} userId - User ID
+ * @param {string} contentType - Post or Write Post (optional, default: both)
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Drafts per page (default: 20)
+ * @returns {Promise<Object>} { drafts, pagination }
+ */
+export const getDrafts = async (
+  userId,
+  contentType = null,
+  page = 1,
+  limit = 20
+) => {
+  try {
+    const filter = {
+      userId,
+      contentType: contentType || { $in: DRAFT_CONTENT_TYPES },
+      expiresAt: { $gt: new Date() },
+    };
+    const skip = (page - 1) * limit;
+
+    const [drafts, total] = await Promise.all([
+      ContentDraft.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate(DRAFT_POPULATE)
+        .lean(),
+      ContentDraft.countDocuments(filter),
+    ]);
+
+    return {
+      drafts,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error in getDrafts:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a draft of the user to resume it
+ * @param {string} userId - User ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<Object>} Draft
+ */
+export const getDraft = async (userId, draftId) => {
+  try {
+    const draft = await ContentDraft.findOne({
+      _id: draftId,
+      userId,
+      expiresAt: { $gt: new Date() },
+    })
+      .populate(DRAFT_POPULATE)
+      .lean();
+
+    if (!draft) {
+      throw new Error("Draft not found");
+    }
+
+    return draft;
+  } catch (error) {
+    logger.error("Error in getDraft:", error);
+    throw error;
+  }
+};
+
+/**
+ * Save changes to a draft. The save must be made on the draft's current
+ * revision, so a device holding an outdated copy can't overwrite changes
+ * made on another one. Images can be kept (in any order) or dropped, and
+ * new ones are added after them.
+ * @param {string} userId - User ID
+ * @param {string} draftId - Draft ID
+ * @param {number} revision - Revision the changes were made on
+ * @param {Object} changes - Fields to change (caption / content, images to keep, mentionedUserIds, musicId, musicStartTime, musicEndTime, visibility)
+ * @param {Array<string>} uploadedImages - Image URLs uploaded with the request (posts)
+ * @returns {Promise<Object>} Updated draft
+ */
+export const updateDraft = async (
+  userId,
+  draftId,
+  revision,
+  changes,
+  uploadedImages = []
+) => {
+  try {
+    const draft = await ContentDraft.findOne({
+      _id: draftId,
+      userId,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+
+    if (!draft) {
+      throw new Error("Draft not found");
+    }
+
+    if (await isDraftPublished(draft)) {
+      throw new Error("Draft has already been published");
+    }
+
+    const update = pickDraftFields(draft.contentType, changes);
+
+    if (draft.contentType === ContentType.POST) {
+      const keptImages = changes.images ?? draft.images;
+      if (keptImages.some((image) => !draft.images.includes(image))) {
+        throw new Error("Images must have been uploaded to this draft");
+      }
+
+      update.images = [...new Set(keptImages), ...uploadedImages];
+      if (update.images.length > MAX_DRAFT_IMAGES) {
+        throw new Error(`Cannot upload more than ${MAX_DRAFT_IMAGES} images`);
+      }
+    } else if (uploadedImages.length > 0) {
+      throw new Error("Only post drafts can have images");
+    }
+
+    const updatedDraft = await ContentDraft.findOneAndUpdate(
+      { _id: draft._id, userId, revision, ...notBeingPublishedQuery() },
+      {
+        $set: { ...update, expiresAt: getDraftExpiry() },
+        $inc: { revision: 1 },
+      },
+      { new: true }
+    ).populate(DRAFT_POPULATE);
+
+    if (!updatedDraft) {
+      throw new Error("Draft was changed on another device");
+    }
+
+    // Images dropped from the draft are no longer used anywhere
+    if (update.images) {
+      await deleteDraftImages(
+        draft.images.filter((image) => !update.images.includes(image))
+      );
+    }
+
+    return updatedDraft;
+  } catch (error) {
+    logger.error("Error in updateDraft:", error);
+    await deleteDraftImages(uploadedImages);
+    throw error;
+  }
+};
+
+/**
+ * Delete a draft of the user together with its images (kept if an earlier
+ * publish already created the content)
+ * @param {string} userId - User ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (userId, draftId) => {
+  try {
+    const draft = await ContentDraft.findOneAndDelete({
+      _id: draftId,
+      userId,
+      ...notBeingPublishedQuery(),
+    }).lean();
+
+    if (!draft) {
+      throw new Error("Draft not found");
+    }
+
+    if (!(await isDraftPublished(draft))) {
+      await deleteDraftImages(draft.images);
+    }
+
+    logger.info(`Draft ${draft._id} deleted by user ${userId}`);
+  } catch (error) {
+    logger.error("Error in deleteDraft:", error);
+    throw error;
+  }
+};
+
+/**
+ * Publish a draft as a post or write post. The draft goes through the
+ * create endpoint's validation and the create service, and is removed once
+ * the content exists (its images now belong to the post). The content ID is
+ * recorded on the draft first, so a publish retried after a failure part-way
+ * finishes the earlier one instead of creating the content twice.
+ * @param {string} userId - User ID
+ * @param {string} draftId - Draft ID
+ * @param {Object} options - Publish options (scheduledAt)
+ * @returns {Promise<Object>} { contentType, content } (content formatted like the feeds)
+ */
+export const publishDraft = async (userId, draftId, options = {}) => {
+  try {
+    const now = new Date();
+
+    // Claimed so that two devices can't publish the same draft twice
+    const draft = await ContentDraft.findOneAndUpdate(
+      {
+        _id: draftId,
+        userId,
+        expiresAt: { $gt: now },
+        ...notBeingPublishedQuery(),
+      },
+      { $set: { publishingAt: now } },
+      { new: true }
+    ).lean();
+
+    if (!draft) {
+      throw new Error(
+        (await ContentDraft.exists({ _id: draftId, userId }))
+          ? "Draft is already being published"
+          : "Draft not found"
+      );
+    }
+
+    const { contentType } = draft;
+    const contentId = draft.publishedContentId || new mongoose.Types.ObjectId();
+
+    let content;
+    try {
+      if (!draft.publishedContentId) {
+        await ContentDraft.updateOne(
+          { _id: draft._id },
+          { $set: { publishedContentId: contentId } }
+        );
+      }
+
+      content = await findPublishedContent(contentType, contentId);
+
+      if (!content) {
+        const { error, value } = CREATE_SCHEMAS[contentType].validate(
+          {
+            ...Object.fromEntries(
+              DRAFT_FIELDS[contentType].map((field) => [field, draft[field]])
+            ),
+            ...(contentType === ContentType.POST && { images: draft.images }),
+            mentionedUserIds: draft.mentionedUserIds.map((id) => id.toString()),
+            musicId: draft.musicId ? draft.musicId.toString() : undefined,
+            scheduledAt: options.scheduledAt,
+          },
+          { abortEarly: false, stripUnknown: true }
+        );
+
+        if (error) {
+          throw new Error(formatJoiError(error));
+        }
+
+        const createData = { ...value, _id: contentId };
+        if (contentType === ContentType.POST) {
+          await createPost(userId, createData);
+        } else {
+          await createWritePost(userId, createData);
+        }
+
+        content = await findPublishedContent(contentType, contentId);
+      }
+    } catch (publishError) {
+      // The draft stays as it was so the author can fix it
+      await ContentDraft.updateOne(
+        { _id: draft._id },
+        { $set: { publishingAt: null } }
+      );
+      throw publishError;
+    }
+
+    await ContentDraft.deleteOne({ _id: draft._id });
+
+    logger.info(
+      `Draft ${draft._id} published as ${contentType} ${contentId} by user ${userId}`
+    );
+
+    const [formattedContent] = await formatContentList(userId, [
+      { ...content, contentType },
+    ]);
+
+    return { contentType, content: formattedContent };
+  } catch (error) {
+    logger.error("Error in publishDraft:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove expired drafts and their images. Drafts whose publish was lost
+ * part-way are removed too once expired; their images are kept if the
+ * content was created.
+ * @returns {Promise<Object>} { deletedCount }
+ */
+export const cleanupExpiredDrafts = async () => {
+  try {
+    let deletedCount = 0;
+
+    for (;;) {
+      const expiredDrafts = await ContentDraft.find({
+        expiresAt: { $lte: new Date() },
+        ...notBeingPublishedQuery(),
+      })
+        .limit(CLEANUP_BATCH_SIZE)
+        .select("contentType images publishedContentId")
+        .lean();
+
+      if (expiredDrafts.length === 0) {
+        break;
+      }
+
+      for (const draft of expiredDrafts) {
+        // Removed first, so a draft saved again meanwhile keeps its images
+        const { deletedCount: removed } = await ContentDraft.deleteOne({
+          _id: draft._id,
+          expiresAt: { $lte: new Date() },
+          ...notBeingPublishedQuery(),
+        });
+        if (removed > 0) {
+          if (!(await isDraftPublished(draft))) {
+            await deleteDraftImages(draft.images);
+          }
+          deletedCount += 1;
+        }
+      }
+    }
+
+    return { deletedCount };
+  } catch (error) {
+    logger.error("Error in cleanupExpiredDrafts:", error);
+    throw error;
+  }
+};
+
+export default {
+  createDraft,
+  getDrafts,
+  getDraft,
+  updateDraft,
+  deleteDraft,
+  publishDraft,
+  cleanupExpiredDrafts,
+};
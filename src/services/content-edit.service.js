@@ -0,0 +1,380 @@
+/**
+ * Content Edit Service
+ * Editing of posts, write posts and zeals. The post, write post and zeal
+ * services check what may change; this service applies the edit, keeps the
+ * replaced version in ContentEdit, re-syncs hashtags and notifies users who
+ * are newly mentioned.
+ */
+
+import User from "../models/users/User.js";
+import Music from "../models/music/Music.js";
+import ContentEdit from "../models/content/ContentEdit.js";
+import { ContentType, NotificationType, ZealStatus } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import { canViewContentItem } from "../utils/audienceFilter.js";
+import { updateContentHashtags } from "./hashtag.service.js";
+import { createNotification } from "./notification.service.js";
+import logger from "../utils/logger.js";
+
+// Field holding the text of each content type
+const TEXT_FIELDS = {
+  [ContentType.POST]: "caption",
+  [ContentType.WRITE_POST]: "content",
+  [ContentType.ZEAL]: "caption",
+};
+
+const MENTION_NOTIFICATION_TYPES = {
+  [ContentType.POST]: NotificationType.MENTION_IN_POST,
+  [ContentType.WRITE_POST]: NotificationType.MENTION_IN_WRITE,
+  [ContentType.ZEAL]: NotificationType.MENTION_IN_ZEAL,
+};
+
+const MENTIONED_USER_FIELDS = "name username profileImage isVerifiedBadge";
+
+/**
+ * Whether a content item is out for viewers. Scheduled content and zeals
+ * still processing get their hashtags and mentions once they go out.
+ * @param {string} contentType - Content type
+ * @param {Object} content - Content document
+ * @returns {boolean} True if live
+ */
+const isLive = (contentType, content) =>
+  !content.scheduledAt &&
+  (contentType !== ContentType.ZEAL ||
+    [ZealStatus.READY, ZealStatus.PUBLISHED].includes(content.status));
+
+/**
+ * Compare a field value before and after an edit (arrays by their items)
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True if equal
+ */
+const isSameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const left = (a || []).map((item) => item.toString());
+    const right = (b || []).map((item) => item.toString());
+    return (
+      left.length === right.length &&
+      left.every((item, index) => item === right[index])
+    );
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+/**
+ * Check that newly mentioned users exist and are not blocked with the author
+ * (users the content already mentions are kept as they are)
+ * @param {string} userId - Author ID
+ * @param {Array<string>} mentionedUserIds - Mentioned user IDs
+ * @param {Array} currentMentionedUserIds - Users the content mentions now
+ * @param {Object} userFilter - Extra conditions mentioned users must meet (optional)
+ * @returns {Promise<Array<string>>} Mentioned user IDs without duplicates
+ */
+export const resolveMentionedUserIds = async (
+  userId,
+  mentionedUserIds,
+  currentMentionedUserIds = [],
+  userFilter = {}
+) => {
+  const uniqueIds = [...new Set(mentionedUserIds.map((id) => id.toString()))];
+  const currentIds = new Set(
+    currentMentionedUserIds.map((id) => id.toString())
+  );
+  const addedIds = uniqueIds.filter((id) => !currentIds.has(id));
+  if (addedIds.length === 0) {
+    return uniqueIds;
+  }
+
+  const mentionedCount = await User.countDocuments({
+    _id: {
+      $in: addedIds,
+      $nin: await getBlockedUserIds(userId),
+    },
+    ...userFilter,
+    isDeleted: false,
+  });
+
+  if (mentionedCount !== addedIds.length) {
+    throw new Error("One or more mentioned users not found");
+  }
+
+  return uniqueIds;
+};
+
+/**
+ * Check a music window against the duration of the content's music
+ * @param {string|null} musicId - Music of the content
+ * @param {number|null} musicStartTime - Start time in seconds
+ * @param {number|null} musicEndTime - End time in seconds
+ * @returns {Promise<void>}
+ */
+export const assertValidMusicWindow = async (
+  musicId,
+  musicStartTime,
+  musicEndTime
+) => {
+  if (!musicId) {
+    throw new Error("This content has no music");
+  }
+
+  const music = await Music.findById(musicId).select("duration").lean();
+  if (!music) {
+    throw new Error("Music not found");
+  }
+
+  if (musicStartTime !== null && musicStartTime >= music.duration) {
+    throw new Error("Music start time cannot exceed music duration");
+  }
+
+  if (musicEndTime !== null) {
+    if (musicEndTime > music.duration) {
+      throw new Error("Music end time cannot exceed music duration");
+    }
+    if (musicStartTime !== null && musicEndTime <= musicStartTime) {
+      throw new Error("Music end time must be greater than start time");
+    }
+  }
+};
+
+/**
+ * Notify mentioned users who were not mentioned before (e.g. by an edit, or
+ * everyone mentioned when scheduled content is published)
+ * @param {string} contentType - Content type
+ * @param {Object} content - Content document
+ * @param {Array} previousMentionedUserIds - Mentions already notified (default: none)
+ * @returns {Promise<void>}
+ */
+export const notifyNewMentions = async (
+  contentType,
+  content,
+  previousMentionedUserIds = []
+) => {
+  const authorId = content.userId.toString();
+  const previousIds = new Set(
+    previousMentionedUserIds.map((id) => id.toString())
+  );
+  const newIds = content.mentionedUserIds
+    .map((id) => id.toString())
+    .filter((id) => !previousIds.has(id) && id !== authorId);
+
+  // Users who can't see the content (Close Friends) are not notified
+  await Promise.all(
+    newIds.map(async (mentionedUserId) => {
+      if (!(await canViewContentItem(mentionedUserId, content))) {
+        return null;
+      }
+      return createNotification({
+        receiverId: mentionedUserId,
+        senderId: authorId,
+        type: MENTION_NOTIFICATION_TYPES[contentType],
+        contentType,
+        contentId: content._id,
+      });
+    })
+  );
+};
+
+/**
+ * Apply an edit to a content item. The replaced version is stored, hashtags
+ * are re-synced when the text changed and newly mentioned users are notified.
+ * Fields whose value did not change are ignored.
+ * @param {string} contentType - Content type
+ * @param {Object} content - Current content document (ownership checked by the caller)
+ * @param {Object} changes - Fields to set (caption / content, mentionedUserIds, images, musicStartTime, musicEndTime)
+ * @returns {Promise<boolean>} True if an edit was made, false if nothing changed
+ */
+export const applyContentEdit = async (contentType, content, changes) => {
+  const textField = TEXT_FIELDS[contentType];
+
+  const changedFields = Object.fromEntries(
+    Object.entries(changes).filter(
+      ([field, value]) => !isSameValue(content[field], value)
+    )
+  );
+
+  if (Object.keys(changedFields).length === 0) {
+    return false;
+  }
+
+  const editedAt = new Date();
+
+  // The pre-edit document comes back from the same atomic update, so
+  // concurrent edits each store their own version
+  const previous = await getContentModel(contentType)
+    .findOneAndUpdate(
+      { _id: content._id, userId: content.userId },
+      { $set: { ...changedFields, editedAt }, $inc: { editCount: 1 } },
+      { new: false }
+    )
+    .lean();
+
+  if (!previous) {
+    throw new Error("Content not found");
+  }
+
+  // Version number of the replaced snapshot; the edit becomes the next one
+  const replacedVersion = (previous.editCount || 0) + 1;
+
+  await ContentEdit.create({
+    contentType,
+    contentId: previous._id,
+    userId: previous.userId,
+    version: replacedVersion,
+    text: previous[textField] || "",
+    mentionedUserIds: previous.mentionedUserIds || [],
+    images: previous.images || [],
+    musicStartTime: previous.musicStartTime ?? null,
+    musicEndTime: previous.musicEndTime ?? null,
+  });
+
+  const edited = {
+    ...previous,
+    ...changedFields,
+    editedAt,
+    editCount: replacedVersion,
+  };
+
+  // Zeals still processing get their hashtags linked once ready
+  if (isLive(contentType, edited)) {
+    if (textField in changedFields) {
+      updateContentHashtags(contentType, edited._id, edited[textField]).catch(
+        (error) => {
+          logger.error(
+            `Error re-syncing hashtags for ${contentType} ${edited._id}:`,
+            error
+          );
+        }
+      );
+    }
+
+    if (changedFields.mentionedUserIds) {
+      try {
+        await notifyNewMentions(
+          contentType,
+          edited,
+          previous.mentionedUserIds || []
+        );
+      } catch (notificationError) {
+        // Log error but don't fail the edit
+        logger.error(
+          "Error creating mention notifications:",
+          notificationError
+        );
+      }
+    }
+  }
+
+  logger.info(
+    `${contentType} edited: ${edited._id} (version ${replacedVersion + 1})`
+  );
+
+  return true;
+};
+
+/**
+ * Format one version of a content item
+ * @param {string} contentType - Content type
+ * @param {number} version - Version number
+ * @param {Object} fields - Version fields (text, populated mentionedUserIds, images, musicStartTime, musicEndTime)
+ * @returns {Object} Formatted version
+ */
+const formatVersion = (contentType, version, fields) => {
+  const formatted = {
+    version,
+    [TEXT_FIELDS[contentType]]: fields.text || "",
+    mentionedUsers: (fields.mentionedUserIds || [])
+      .filter(Boolean)
+      .map((user) => ({
+        id: user._id.toString(),
+        name: user.name,
+        username: user.username,
+        profileImage: user.profileImage,
+        isVerifiedBadge: user.isVerifiedBadge,
+      })),
+  };
+
+  if (contentType === ContentType.POST) {
+    formatted.images = fields.images || [];
+  }
+
+  if (contentType !== ContentType.WRITE_POST) {
+    formatted.musicStartTime = fields.musicStartTime ?? null;
+    formatted.musicEndTime = fields.musicEndTime ?? null;
+  }
+
+  return formatted;
+};
+
+/**
+ * Get the version history of a content item (author only)
+ * @param {string} userId - User ID
+ * @param {string} contentType - Content type
+ * @param {string} contentId - Content ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Versions per page (default: 20)
+ * @returns {Promise<Object>} { current, versions (newest first), pagination }
+ */
+export const getContentEditHistory = async (
+  userId,
+  contentType,
+  contentId,
+  page = 1,
+  limit = 20
+) => {
+  try {
+    const content = await getContentModel(contentType)
+      .findById(contentId)
+      .populate("mentionedUserIds", MENTIONED_USER_FIELDS)
+      .lean();
+
+    // Other users never learn whether the content exists
+    if (!content || content.userId.toString() !== userId.toString()) {
+      throw new Error("Content not found");
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [edits, total] = await Promise.all([
+      ContentEdit.find({ contentType, contentId })
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("mentionedUserIds", MENTIONED_USER_FIELDS)
+        .lean(),
+      ContentEdit.countDocuments({ contentType, contentId }),
+    ]);
+
+    return {
+      current: {
+        ...formatVersion(contentType, (content.editCount || 0) + 1, {
+          ...content,
+          text: content[TEXT_FIELDS[contentType]],
+        }),
+        isEdited: Boolean(content.editedAt),
+        editedAt: content.editedAt || null,
+      },
+      versions: edits.map((edit) => ({
+        ...formatVersion(contentType, edit.version, edit),
+        replacedAt: edit.createdAt,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error in getContentEditHistory:", error);
+    throw error;
+  }
+};
+
+export default {
+  resolveMentionedUserIds,
+  assertValidMusicWindow,
+  notifyNewMentions,
+  applyContentEdit,
+  getContentEditHistory,
+};
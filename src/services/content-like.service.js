@@ -3,8 +3,12 @@ import Post from "../models/content/Post.js";
 import WritePost from "../models/content/WritePost.js";
 import ZealPost from "../models/content/ZealPost.js";
 import { ContentType, ZealStatus, NotificationType } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
 import { createNotification } from "./notification.service.js";
+import { adjustContentCounter } from "./counter.service.js";
 import logger from "../utils/logger.js";
+import { isBlockedBetween } from "../utils/blockFilter.js";
+import { canViewContentItem } from "../utils/audienceFilter.js";
 
 /**
  * Verify content exists and is accessible
@@ -60,6 +64,16 @@ export const likeContent = async (userId, contentType, contentId) => {
       throw new Error("Content not found or not accessible");
     }
 
+    // Content of users blocked with the liker is not accessible
+    if (await isBlockedBetween(userId, content.userId)) {
+      throw new Error("Content not found or not accessible");
+    }
+
+    // Close Friends content is only accessible to the author's Close Friends
+    if (!(await canViewContentItem(userId, content))) {
+      throw new Error("Content not found or not accessible");
+    }
+
     // Check if user has already liked this content
     const existingLike = await ContentLike.findOne({
       contentType,
@@ -69,44 +83,46 @@ export const likeContent = async (userId, contentType, contentId) => {
 
     if (existingLike) {
       // Already liked - return current state
-      const likeCount = await ContentLike.countDocuments({
-        contentType,
-        contentId,
-      });
-
       return {
         action: "already_liked",
         isLiked: true,
-        likeCount,
+        likeCount: content.likeCount || 0,
       };
     }
 
-    // Create new like (using findOneAndUpdate with upsert for atomic operation)
-    // This prevents race conditions in concurrent scenarios
-    const like = await ContentLike.findOneAndUpdate(
+    // Create new like (upsert, so concurrent likes by the same user create one like)
+    const upsertResult = await ContentLike.updateOne(
       {
         contentType,
         contentId,
         userId,
       },
       {
-        contentType,
-        contentId,
-        userId,
-        createdAt: new Date(),
+        $setOnInsert: {
+          contentType,
+          contentId,
+          userId,
+          createdAt: new Date(),
+        },
       },
-      {
-        upsert: true,
-        new: true,
-        setDefaultsOnInsert: true,
-      }
+      { upsert: true }
     );
 
-    // Get updated like count
-    const likeCount = await ContentLike.countDocuments({
+    // Only the request that created the like counts it
+    if (upsertResult.upsertedCount === 0) {
+      return {
+        action: "already_liked",
+        isLiked: true,
+        likeCount: content.likeCount || 0,
+      };
+    }
+
+    const likeCount = await adjustContentCounter(
       contentType,
       contentId,
-    });
+      "likeCount",
+      1
+    );
 
     // Create notification for content owner (if not self-like)
     try {
@@ -144,7 +160,7 @@ export const likeContent = async (userId, contentType, contentId) => {
       action: "liked",
       isLiked: true,
       likeCount,
-      likeId: like._id,
+      likeId: upsertResult.upsertedId,
     };
   } catch (error) {
     logger.error("Error in likeContent:", error);
@@ -152,10 +168,7 @@ export const likeContent = async (userId, contentType, contentId) => {
     // Handle duplicate key error (race condition)
     if (error.code === 11000 || error.message.includes("duplicate")) {
       // Content was liked concurrently, get current state
-      const likeCount = await ContentLike.countDocuments({
-        contentType,
-        contentId,
-      });
+      const likeCount = await getContentLikeCount(contentType, contentId);
 
       const existingLike = await ContentLike.findOne({
         contentType,
@@ -203,26 +216,18 @@ export const unlikeContent = async (userId, contentType, contentId) => {
 
     if (!existingLike) {
       // Not liked - return current state
-      const likeCount = await ContentLike.countDocuments({
-        contentType,
-        contentId,
-      });
-
       return {
         action: "not_liked",
         isLiked: false,
-        likeCount,
+        likeCount: content.likeCount || 0,
       };
     }
 
-    // Delete the like
-    await ContentLike.findByIdAndDelete(existingLike._id);
-
-    // Get updated like count
-    const likeCount = await ContentLike.countDocuments({
-      contentType,
-      contentId,
-    });
+    // Delete the like (only the request that deleted it updates the count)
+    const deletedLike = await ContentLike.findByIdAndDelete(existingLike._id);
+    const likeCount = deletedLike
+      ? await adjustContentCounter(contentType, contentId, "likeCount", -1)
+      : content.likeCount || 0;
 
     logger.info(
       `Content unliked: ${contentType} ${contentId} by user ${userId}`
@@ -296,10 +301,13 @@ export const isContentLiked = async (userId, contentType, contentId) => {
  */
 export const getContentLikeCount = async (contentType, contentId) => {
   try {
-    return await ContentLike.countDocuments({
-      contentType,
-      contentId,
-    });
+    const Model = getContentModel(contentType);
+    if (!Model) {
+      return 0;
+    }
+
+    const content = await Model.findById(contentId).select("likeCount").lean();
+    return content ? content.likeCount || 0 : 0;
   } catch (error) {
     logger.error("Error in getContentLikeCount:", error);
     return 0;
@@ -1,40 +1,9 @@
 import User from "../models/users/User.js";
 import UserFollower from "../models/users/UserFollower.js";
-import ChatRoom from "../models/chat/ChatRoom.js";
 import mongoose from "mongoose";
 import logger from "../utils/logger.js";
-
-/**
- * Get blocked user IDs (users who blocked sender or are blocked by sender)
- * @param {mongoose.Types.ObjectId} senderId - Sender user ID
- * @returns {Promise<Array<mongoose.Types.ObjectId>>} Array of blocked user IDs
- */
-const getBlockedUserIds = async (senderId) => {
-  try {
-    // Find chat rooms where sender is blocked or has blocked someone
-    const blockedRooms = await ChatRoom.find({
-      $or: [
-        { userA: senderId, isBlocked: true },
-        { userB: senderId, isBlocked: true },
-      ],
-    }).select("userA userB");
-
-    const blockedUserIds = new Set();
-
-    blockedRooms.forEach((room) => {
-      if (room.userA.toString() === senderId.toString()) {
-        blockedUserIds.add(room.userB.toString());
-      } else {
-        blockedUserIds.add(room.userA.toString());
-      }
-    });
-
-    return Array.from(blockedUserIds).map((id) => new mongoose.Types.ObjectId(id));
-  } catch (error) {
-    logger.error("Error getting blocked user IDs:", error);
-    return [];
-  }
-};
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import { getMutualFollowersSummaries } from "./follow.service.js";
 
 /**
  * Get eligible users for content sharing
@@ -181,7 +150,7 @@ export const getEligibleUsersForSharing = async (senderId, options = {}) => {
     const userIds = users.map((u) => u._id.toString());
 
     // Check follow relationships
-    const [followersMap, followingMap] = await Promise.all([
+    const [followersMap, followingMap, mutualFollowersMap] = await Promise.all([
       // Users who follow the sender
       UserFollower.find({
         userId: senderId,
@@ -204,6 +173,8 @@ export const getEligibleUsersForSharing = async (senderId, options = {}) => {
         });
         return map;
       }),
+      // "Followed by ..." context for each user
+      getMutualFollowersSummaries(senderId, userIds),
     ]);
 
     // Format response
@@ -230,6 +201,11 @@ export const getEligibleUsersForSharing = async (senderId, options = {}) => {
         isAccountVerified: user.isAccountVerified || false,
         isVerifiedBadge: user.isVerifiedBadge || false,
         relationshipStatus,
+        mutualFollowers: mutualFollowersMap.get(userId) || {
+          count: 0,
+          users: [],
+          text: null,
+        },
       };
     });
 
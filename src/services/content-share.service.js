@@ -6,6 +6,8 @@ import User from "../models/users/User.js";
 import { ContentType, ZealStatus, NotificationType } from "../models/enums.js";
 import { createNotification } from "./notification.service.js";
 import logger from "../utils/logger.js";
+import { getBlockedUserIds, isBlockedBetween } from "../utils/blockFilter.js";
+import { canViewContentItem } from "../utils/audienceFilter.js";
 import mongoose from "mongoose";
 
 /**
@@ -87,6 +89,22 @@ const validateReceivers = async (receiverIds, senderId) => {
       };
     }
 
+    // Users blocked with the sender can't receive shares
+    const blockedUserIds = (await getBlockedUserIds(senderId)).map((id) =>
+      id.toString()
+    );
+    const blockedReceiverIds = uniqueReceiverIds.filter((id) =>
+      blockedUserIds.includes(id)
+    );
+
+    if (blockedReceiverIds.length > 0) {
+      return {
+        valid: false,
+        invalidIds: blockedReceiverIds,
+        message: `Invalid or deleted user IDs: ${blockedReceiverIds.join(", ")}`,
+      };
+    }
+
     return {
       valid: true,
       invalidIds: [],
@@ -129,6 +147,16 @@ export const shareContent = async (senderId, contentType, contentId, receiverIds
       throw new Error("Content not found or not accessible");
     }
 
+    // Content of users blocked with the sender is not accessible
+    if (await isBlockedBetween(senderId, content.userId)) {
+      throw new Error("Content not found or not accessible");
+    }
+
+    // Close Friends content is only accessible to the author's Close Friends
+    if (!(await canViewContentItem(senderId, content))) {
+      throw new Error("Content not found or not accessible");
+    }
+
     // Validate receivers
     const receiverValidation = await validateReceivers(receiverIds, senderId);
     if (!receiverValidation.valid) {
@@ -137,6 +165,20 @@ export const shareContent = async (senderId, contentType, contentId, receiverIds
 
     const receiverObjectIds = receiverValidation.receiverObjectIds;
 
+    // Close Friends content can only be shared with users who can see it
+    const hiddenReceiverIds = [];
+    for (const receiverId of receiverObjectIds) {
+      if (!(await canViewContentItem(receiverId, content))) {
+        hiddenReceiverIds.push(receiverId.toString());
+      }
+    }
+
+    if (hiddenReceiverIds.length > 0) {
+      throw new Error(
+        `This content is only visible to the author's Close Friends: ${hiddenReceiverIds.join(", ")}`
+      );
+    }
+
     // Create share records (one per receiver for better querying and future chat integration)
     // Each record represents one share event to one receiver
     const shareRecords = receiverObjectIds.map((receiverId) => ({
@@ -282,7 +324,7 @@ export const getSharesSentByUser = async (userId, options = {}) => {
       .populate("receiverIds", "name username profileImage isAccountVerified isVerifiedBadge")
       .populate({
         path: "contentId",
-        select: "caption images videos userId createdAt",
+        select: "caption images videos userId visibility scheduledAt createdAt",
         populate: {
           path: "userId",
           select: "name username profileImage isAccountVerified isVerifiedBadge",
@@ -328,7 +370,7 @@ export const getSharesReceivedByUser = async (userId, options = {}) => {
       .populate("receiverIds", "name username profileImage isAccountVerified isVerifiedBadge")
       .populate({
         path: "contentId",
-        select: "caption images videos userId createdAt",
+        select: "caption images videos userId visibility scheduledAt createdAt",
         populate: {
           path: "userId",
           select: "name username profileImage isAccountVerified isVerifiedBadge",
@@ -338,8 +380,18 @@ export const getSharesReceivedByUser = async (userId, options = {}) => {
 
     const total = await ContentShare.countDocuments({ receiverIds: userId });
 
+    // Close Friends content the receiver can no longer see is left out
+    const visibleShares = await Promise.all(
+      shares.map(async (share) => ({
+        ...share,
+        contentId: (await canViewContentItem(userId, share.contentId))
+          ? share.contentId
+          : null,
+      }))
+    );
+
     return {
-      shares,
+      shares: visibleShares,
       pagination: {
         page,
         limit,
@@ -357,14 +409,14 @@ export const getSharesReceivedByUser = async (userId, options = {}) => {
 
 /**
  * Get share count for specific content
- * Returns count from ContentShare collection (source of truth for accuracy)
- * For faster reads, can also check content.shareCount field
+ * Returns the denormalized shareCount of the content document
+ * (kept in line by services/counter.service.js)
  * @param {string} contentType - Content type
  * @param {mongoose.Types.ObjectId} contentId - Content ID
- * @param {boolean} useCached - If true, returns cached shareCount from content document (faster but may be slightly outdated)
+ * @param {boolean} useCached - If false, counts the ContentShare collection instead
  * @returns {Promise<number>} - Total share count
  */
-export const getContentShareCount = async (contentType, contentId, useCached = false) => {
+export const getContentShareCount = async (contentType, contentId, useCached = true) => {
   try {
     // If useCached is true, try to get from content document first (faster)
     if (useCached) {
@@ -386,7 +438,7 @@ export const getContentShareCount = async (contentType, contentId, useCached = f
       }
     }
 
-    // Always use ContentShare collection as source of truth for accuracy
+    // Count the ContentShare collection (source of truth)
     return await ContentShare.countDocuments({
       contentType,
       contentId,
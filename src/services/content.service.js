@@ -0,0 +1,120 @@
+/**
+ * Content Service
+ * Single post / write post / zeal detail, e.g. for shareable links and
+ * notification taps. Applies the same rules as the feeds: blocked, deleted,
+ * reported, private and Close Friends content is not returned.
+ */
+
+import { User } from "../models/index.js";
+import { ContentType, ZealStatus } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+import { isBlockedBetween } from "../utils/blockFilter.js";
+import { isContentReportedByUser } from "../utils/contentFilter.js";
+import { canViewUserContent } from "../utils/privacyFilter.js";
+import { canViewContentItem } from "../utils/audienceFilter.js";
+import { resolveContentType } from "../utils/shareableLink.js";
+import { formatContentList } from "./explore.service.js";
+import { getComments } from "./commentListing.service.js";
+import logger from "../utils/logger.js";
+
+// Comments returned with the content (first page)
+const COMMENTS_PAGE_SIZE = 20;
+
+// Zeal statuses visible to users other than the owner
+const VISIBLE_ZEAL_STATUSES = [ZealStatus.PUBLISHED, ZealStatus.READY];
+
+/**
+ * Get a post, write post or zeal with its first page of comments
+ * @param {string|null} userId - Viewer user ID (optional)
+ * @param {string} contentTypeParam - Content type or shareable link slug (post, write-post, zeal)
+ * @param {string} contentId - Content ID
+ * @returns {Promise<Object>} { content, comments, commentsPagination }
+ */
+export const getContentDetail = async (userId, contentTypeParam, contentId) => {
+  try {
+    const contentType = resolveContentType(contentTypeParam);
+    if (!contentType) {
+      throw new Error("Invalid content type");
+    }
+
+    const Model = getContentModel(contentType);
+
+    let query = Model.findById(contentId)
+      .populate(
+        "userId",
+        "name username profileImage isAccountVerified isVerifiedBadge"
+      )
+      .populate(
+        "mentionedUserIds",
+        "name username profileImage isAccountVerified isVerifiedBadge"
+      );
+    if (contentType !== ContentType.WRITE_POST) {
+      query = query.populate(
+        "musicId",
+        "title artist album coverImage duration"
+      );
+    }
+    const content = await query.lean();
+
+    // Content of deleted accounts is gone with them
+    if (!content || !content.userId) {
+      throw new Error("Content not found");
+    }
+
+    const authorId = content.userId._id;
+    const isOwner = !!userId && authorId.toString() === userId.toString();
+
+    const author = await User.findById(authorId).select("isDeleted").lean();
+    if (!author || author.isDeleted) {
+      throw new Error("Content not found");
+    }
+
+    // Zeals still processing (or failed) are only visible to their owner
+    if (
+      contentType === ContentType.ZEAL &&
+      !isOwner &&
+      !VISIBLE_ZEAL_STATUSES.includes(content.status)
+    ) {
+      throw new Error("Content not found");
+    }
+
+    if (!isOwner) {
+      const [isBlocked, isReported, canViewAuthor, canViewItem] =
+        await Promise.all([
+          isBlockedBetween(userId, authorId),
+          userId
+            ? isContentReportedByUser(userId, contentType, contentId)
+            : false,
+          canViewUserContent(userId, authorId),
+          canViewContentItem(userId, content),
+        ]);
+
+      // Blocked, reported, scheduled and Close Friends content is hidden as if it didn't exist
+      if (isBlocked || isReported || !canViewItem) {
+        throw new Error("Content not found");
+      }
+
+      if (!canViewAuthor) {
+        throw new Error("This account is private");
+      }
+    }
+
+    const [[formattedContent], commentsPage] = await Promise.all([
+      formatContentList(userId, [{ ...content, contentType }]),
+      getComments(contentType, contentId, userId, 1, COMMENTS_PAGE_SIZE),
+    ]);
+
+    return {
+      content: formattedContent,
+      comments: commentsPage.comments,
+      commentsPagination: commentsPage.pagination,
+    };
+  } catch (error) {
+    logger.error("Error in getContentDetail:", error);
+    throw error;
+  }
+};
+
+export default {
+  getContentDetail,
+};
@@ -0,0 +1,65 @@
+import cron from "node-cron";
+import {
+  backfillMissingCounters,
+  reconcileCounters,
+} from "./counter.service.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Fill in counters missing on documents created before the counter field
+ * existed. Run before the server accepts requests, so no $inc reaches a
+ * document whose counter is still missing.
+ * @returns {Promise<void>}
+ */
+export const runCounterBackfill = async () => {
+  try {
+    const { filledCount } = await backfillMissingCounters();
+
+    if (filledCount > 0) {
+      logger.info(`Counter backfill: filled ${filledCount} missing counter(s)`);
+    }
+  } catch (error) {
+    logger.error("Error in counter backfill:", error);
+  }
+};
+
+/**
+ * Start cron job to reconcile denormalized counters
+ * Runs daily at 4 AM to recount likes, comments, replies, shares and
+ * followers and repair any drift
+ */
+export const startCounterReconciliationCronJob = () => {
+  // Run daily at 4 AM: 0 4 * * *
+  cron.schedule("0 4 * * *", async () => {
+    try {
+      logger.info("Running counter reconciliation cron job...");
+
+      const report = await reconcileCounters();
+
+      if (report.fixedCount === 0) {
+        logger.info(
+          `Counter reconciliation: no drift in ${report.checkedCount} counter(s)`
+        );
+        return;
+      }
+
+      const summary = report.counters
+        .filter((counter) => counter.fixedCount > 0)
+        .map((counter) => `${counter.counter}: ${counter.fixedCount}`)
+        .join(", ");
+
+      logger.info(
+        `Counter reconciliation: fixed ${report.fixedCount} of ${report.checkedCount} counter(s) (${summary})`
+      );
+    } catch (error) {
+      logger.error("Error in counter reconciliation cron job:", error);
+    }
+  });
+
+  logger.info("Counter reconciliation cron job started (runs daily at 4 AM)");
+};
+
+export default {
+  runCounterBackfill,
+  startCounterReconciliationCronJob,
+};
@@ -0,0 +1,382 @@
+/**
+ * Counter Service
+ * Denormalized counters (likes, comments, replies, shares, followers,
+ * hashtag usage) are updated with $inc on every write path. The
+ * reconciliation job recounts them from their source collections and
+ * repairs any drift, e.g. after a crash between a write and its counter
+ * update.
+ */
+
+import User from "../models/users/User.js";
+import UserFollower from "../models/users/UserFollower.js";
+import Post from "../models/content/Post.js";
+import WritePost from "../models/content/WritePost.js";
+import ZealPost from "../models/content/ZealPost.js";
+import Comment from "../models/comments/Comment.js";
+import CommentLike from "../models/comments/CommentLike.js";
+import ReplyComment from "../models/comments/ReplyComment.js";
+import ReplyCommentLike from "../models/comments/ReplyCommentLike.js";
+import ContentLike from "../models/interactions/ContentLike.js";
+import ContentShare from "../models/interactions/ContentShare.js";
+import Hashtag from "../models/hashtags/Hashtag.js";
+import HashtagContent from "../models/hashtags/HashtagContent.js";
+import { ContentType } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+import logger from "../utils/logger.js";
+
+// Documents checked per batch during reconciliation
+const RECONCILE_BATCH_SIZE = 500;
+
+// Corrections listed per counter in the reconciliation report
+const REPORT_SAMPLE_SIZE = 20;
+
+const CONTENT_MODELS = [
+  { contentType: ContentType.POST, Model: Post },
+  { contentType: ContentType.WRITE_POST, Model: WritePost },
+  { contentType: ContentType.ZEAL, Model: ZealPost },
+];
+
+/**
+ * Every denormalized counter and how to recount it
+ * (source collection, match and the field holding the counted document ID)
+ */
+const COUNTERS = [
+  ...CONTENT_MODELS.flatMap(({ contentType, Model }) => [
+    {
+      Model,
+      field: "likeCount",
+      Source: ContentLike,
+      match: { contentType },
+      groupBy: "contentId",
+    },
+    {
+      Model,
+      field: "commentCount",
+      Source: Comment,
+      // Comments waiting for approval are not counted until approved
+      match: {
+        contentType,
+        isDeleted: false,
+        isPendingApproval: { $ne: true },
+      },
+      groupBy: "contentId",
+    },
+    {
+      Model,
+      field: "shareCount",
+      Source: ContentShare,
+      match: { contentType },
+      groupBy: "contentId",
+    },
+  ]),
+  {
+    Model: Comment,
+    field: "likeCount",
+    Source: CommentLike,
+    match: {},
+    groupBy: "commentId",
+  },
+  {
+    Model: Comment,
+    field: "replyCount",
+    Source: ReplyComment,
+    // Replies waiting for approval are not counted until approved
+    match: { isDeleted: false, isPendingApproval: { $ne: true } },
+    groupBy: "commentId",
+  },
+  {
+    Model: ReplyComment,
+    field: "likeCount",
+    Source: ReplyCommentLike,
+    match: {},
+    groupBy: "replyCommentId",
+  },
+  {
+    Model: User,
+    field: "followerCount",
+    Source: UserFollower,
+    match: {},
+    groupBy: "userId",
+  },
+  {
+    Model: User,
+    field: "followingCount",
+    Source: UserFollower,
+    match: {},
+    groupBy: "followerId",
+  },
+  {
+    Model: Hashtag,
+    field: "contentCount",
+    Source: HashtagContent,
+    match: {},
+    groupBy: "hashtagId",
+  },
+];
+
+/**
+ * Atomically add to a counter. A decrement never takes the counter below
+ * zero; it is skipped with a warning and the drift left to the
+ * reconciliation job.
+ * @param {mongoose.Model} Model - Model holding the counter
+ * @param {mongoose.Types.ObjectId|string} id - Document ID
+ * @param {string} field - Counter field
+ * @param {number} delta - Amount to add (negative to subtract)
+ * @returns {Promise<number|null>} New counter value, or null if the document does not exist
+ */
+export const adjustCounter = async (Model, id, field, delta) => {
+  if (!Model || !id) {
+    return null;
+  }
+
+  if (delta !== 0) {
+    const filter =
+      delta < 0 ? { _id: id, [field]: { $gte: -delta } } : { _id: id };
+    const updated = await Model.findOneAndUpdate(
+      filter,
+      { $inc: { [field]: delta } },
+      { new: true }
+    )
+      .select(field)
+      .lean();
+
+    if (updated) {
+      return updated[field];
+    }
+  }
+
+  const current = await Model.findById(id).select(field).lean();
+
+  if (!current) {
+    return null;
+  }
+
+  if (delta < 0) {
+    logger.warn(
+      `Skipped decrement of ${Model.modelName}.${field} on ${id}: ${current[field] ?? 0} ${delta} would go below zero`
+    );
+  }
+
+  return current[field] || 0;
+};
+
+/**
+ * Atomically add to a counter of a post, write post or zeal
+ * @param {string} contentType - Content type (Post, Write Post, Zeal Post)
+ * @param {mongoose.Types.ObjectId|string} contentId - Content ID
+ * @param {string} field - Counter field (likeCount, commentCount, shareCount)
+ * @param {number} delta - Amount to add (negative to subtract)
+ * @returns {Promise<number|null>} New counter value, or null if the content does not exist
+ */
+export const adjustContentCounter = (contentType, contentId, field, delta) =>
+  adjustCounter(getContentModel(contentType), contentId, field, delta);
+
+/**
+ * Subtract grouped counts from a counter, e.g. when a user's likes are
+ * purged in bulk
+ * @param {mongoose.Model} Model - Model holding the counter
+ * @param {string} field - Counter field
+ * @param {Array<Object>} groups - [{ _id: document ID, count }]
+ * @returns {Promise<void>}
+ */
+export const decrementCounters = async (Model, field, groups) => {
+  if (!Model || groups.length === 0) {
+    return;
+  }
+
+  await Model.bulkWrite(
+    groups.map(({ _id, count }) => ({
+      updateOne: {
+        filter: { _id, [field]: { $gte: count } },
+        update: { $inc: { [field]: -count } },
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+/**
+ * Count a counter's source documents for a batch of documents
+ * @param {Object} counter - Entry of COUNTERS
+ * @param {Array<Object>} docs - Documents ({ _id })
+ * @returns {Promise<Map>} Actual count by document ID (missing = 0)
+ */
+const countSources = async (counter, docs) => {
+  const { Source, match, groupBy } = counter;
+
+  const actualCounts = await Source.aggregate([
+    { $match: { ...match, [groupBy]: { $in: docs.map((doc) => doc._id) } } },
+    { $group: { _id: `$${groupBy}`, count: { $sum: 1 } } },
+  ]);
+
+  return new Map(actualCounts.map((row) => [row._id.toString(), row.count]));
+};
+
+/**
+ * Recount one counter for a batch of documents and repair the drifted ones
+ * @param {Object} counter - Entry of COUNTERS
+ * @param {Array<Object>} docs - Documents ({ _id, [field] })
+ * @returns {Promise<Array>} Corrections [{ id, from, to }]
+ */
+const reconcileBatch = async (counter, docs) => {
+  const { Model, field } = counter;
+
+  const actualById = await countSources(counter, docs);
+
+  const corrections = docs
+    .map((doc) => ({
+      id: doc._id,
+      from: doc[field] ?? 0,
+      to: actualById.get(doc._id.toString()) || 0,
+    }))
+    .filter((correction) => correction.from !== correction.to);
+
+  if (corrections.length > 0) {
+    // Only overwrite values no concurrent write has touched since they were read
+    await Model.bulkWrite(
+      corrections.map(({ id, from, to }) => ({
+        updateOne: {
+          filter: {
+            _id: id,
+            [field]: from === 0 ? { $in: [0, null] } : from,
+          },
+          update: { $set: { [field]: to } },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  return corrections;
+};
+
+/**
+ * Recount every denormalized counter and repair drift
+ * @returns {Promise<Object>} Report { startedAt, finishedAt, checkedCount, fixedCount, counters }
+ */
+export const reconcileCounters = async () => {
+  try {
+    const startedAt = new Date();
+    const counters = [];
+
+    for (const counter of COUNTERS) {
+      const { Model, field } = counter;
+      const name = `${Model.modelName}.${field}`;
+      const result = {
+        counter: name,
+        checkedCount: 0,
+        fixedCount: 0,
+        fixes: [],
+      };
+
+      // Walk the collection in _id order so every document is checked once
+      let lastId = null;
+      for (;;) {
+        const docs = await Model.find(lastId ? { _id: { $gt: lastId } } : {})
+          .sort({ _id: 1 })
+          .limit(RECONCILE_BATCH_SIZE)
+          .select(field)
+          .lean();
+
+        if (docs.length === 0) {
+          break;
+        }
+
+        const corrections = await reconcileBatch(counter, docs);
+
+        result.checkedCount += docs.length;
+        result.fixedCount += corrections.length;
+        result.fixes.push(
+          ...corrections
+            .slice(0, REPORT_SAMPLE_SIZE - result.fixes.length)
+            .map(({ id, from, to }) => ({ id: id.toString(), from, to }))
+        );
+
+        lastId = docs[docs.length - 1]._id;
+      }
+
+      if (result.fixedCount > 0) {
+        logger.warn(
+          `Counter drift repaired on ${name}: ${result.fixedCount} of ${result.checkedCount} document(s)`,
+          { fixes: result.fixes }
+        );
+      }
+
+      counters.push(result);
+    }
+
+    return {
+      startedAt,
+      finishedAt: new Date(),
+      checkedCount: counters.reduce((sum, c) => sum + c.checkedCount, 0),
+      fixedCount: counters.reduce((sum, c) => sum + c.fixedCount, 0),
+      counters,
+    };
+  } catch (error) {
+    logger.error("Error in reconcileCounters:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fill in counters missing on documents created before the counter field
+ * existed. Until then they read as 0 and their first $inc starts from 0, so
+ * this runs at startup instead of waiting for the daily reconciliation.
+ * @returns {Promise<Object>} { filledCount }
+ */
+export const backfillMissingCounters = async () => {
+  try {
+    let filledCount = 0;
+
+    for (const counter of COUNTERS) {
+      const { Model, field } = counter;
+
+      let lastId = null;
+      for (;;) {
+        const docs = await Model.find({
+          [field]: { $exists: false },
+          ...(lastId && { _id: { $gt: lastId } }),
+        })
+          .sort({ _id: 1 })
+          .limit(RECONCILE_BATCH_SIZE)
+          .select("_id")
+          .lean();
+
+        if (docs.length === 0) {
+          break;
+        }
+
+        const actualById = await countSources(counter, docs);
+
+        // A document an $inc has reached meanwhile is left to the reconciliation job
+        const { modifiedCount } = await Model.bulkWrite(
+          docs.map((doc) => ({
+            updateOne: {
+              filter: { _id: doc._id, [field]: { $exists: false } },
+              update: {
+                $set: { [field]: actualById.get(doc._id.toString()) || 0 },
+              },
+            },
+          })),
+          { ordered: false }
+        );
+
+        filledCount += modifiedCount;
+        lastId = docs[docs.length - 1]._id;
+      }
+    }
+
+    return { filledCount };
+  } catch (error) {
+    logger.error("Error in backfillMissingCounters:", error);
+    throw error;
+  }
+};
+
+export default {
+  adjustCounter,
+  adjustContentCounter,
+  decrementCounters,
+  reconcileCounters,
+  backfillMissingCounters,
+};
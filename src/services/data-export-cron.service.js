@@ -0,0 +1,34 @@
+import cron from "node-cron";
+import { processPendingDataExports } from "./data-export.service.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Start cron job for personal data exports
+ * Runs every 10 minutes to build exports that were not built on request
+ * (e.g. after a restart) and to delete expired archives
+ */
+export const startDataExportCronJob = () => {
+  // Run every 10 minutes: */10 * * * *
+  cron.schedule("*/10 * * * *", async () => {
+    try {
+      const result = await processPendingDataExports();
+
+      if (result.processedCount === 0 && result.expiredCount === 0) {
+        logger.debug("No data exports to process");
+        return;
+      }
+
+      logger.info(
+        `Data export cron: built ${result.processedCount}, expired ${result.expiredCount}`
+      );
+    } catch (error) {
+      logger.error("Error in data export cron job:", error);
+    }
+  });
+
+  logger.info("Data export cron job started (runs every 10 minutes)");
+};
+
+export default {
+  startDataExportCronJob,
+};
@@ -0,0 +1,648 @@
+/**
+ * Data Export Service
+ * Builds personal data archives ("download my data") in JSON and HTML
+ */
+
+import User from "../models/users/User.js";
+import UserFollower from "../models/users/UserFollower.js";
+import UserSession from "../models/users/UserSession.js";
+import SocialAccount from "../models/users/SocialAccount.js";
+import UsernameHistory from "../models/users/UsernameHistory.js";
+import UserBlock from "../models/users/UserBlock.js";
+import UserMute from "../models/users/UserMute.js";
+import UserRestrict from "../models/users/UserRestrict.js";
+import UserAudience from "../models/users/UserAudience.js";
+import DataExport from "../models/users/DataExport.js";
+import Post from "../models/content/Post.js";
+import WritePost from "../models/content/WritePost.js";
+import ZealPost from "../models/content/ZealPost.js";
+import Poll from "../models/content/Poll.js";
+import ContentEdit from "../models/content/ContentEdit.js";
+import Comment from "../models/comments/Comment.js";
+import ReplyComment from "../models/comments/ReplyComment.js";
+import CommentLike from "../models/comments/CommentLike.js";
+import ReplyCommentLike from "../models/comments/ReplyCommentLike.js";
+import CommentReport from "../models/comments/CommentReport.js";
+import ContentLike from "../models/interactions/ContentLike.js";
+import ContentReport from "../models/interactions/ContentReport.js";
+import SavedContent from "../models/interactions/SavedContent.js";
+import ChatRoom from "../models/chat/ChatRoom.js";
+import ChatMessage from "../models/chat/ChatMessage.js";
+import Snap from "../models/chat/Snap.js";
+import Notification from "../models/notifications/Notification.js";
+import SupportRequest from "../models/support/SupportRequest.js";
+import SubscriptionPayment from "../models/subscriptions/SubscriptionPayment.js";
+import { DataExportStatus, NotificationType } from "../models/enums.js";
+import { createNotification } from "./notification.service.js";
+import {
+  generateStorageKey,
+  uploadBufferToStorage,
+  generatePresignedDownloadUrl,
+  deleteFromStorage,
+} from "./storage.service.js";
+import config from "../config/env.js";
+import logger from "../utils/logger.js";
+
+// Exports stuck in processing longer than this (e.g. server restart) are retried
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// Minimum time between two export requests of the same user
+const EXPORT_REQUEST_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// Maximum number of exports built per cron run
+const EXPORT_BATCH_SIZE = 5;
+
+// Fields never included in an export
+const USER_PRIVATE_FIELDS =
+  "-password -otp -otpExpireAt -otpChannel -otpSentTo -forgotPasswordOTP -forgotPasswordOTPExpireAt -forgotPasswordOTPVerified -forgotPasswordOTPVerifiedAt -phoneOTP -phoneOTPExpireAt -phoneOTPPurpose -emailChangeOTP -emailChangeOTPExpireAt -emailChangeCancelToken -twoFactorSecret -twoFactorPendingSecret -twoFactorLastUsedStep -twoFactorRecoveryCodes -__v";
+
+const userSummary = (user) =>
+  user
+    ? { id: user._id, username: user.username, name: user.name }
+    : null;
+
+/**
+ * Collect everything stored about a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Export data, one key per section
+ */
+const collectUserData = async (userId) => {
+  const profile = await User.findById(userId).select(USER_PRIVATE_FIELDS).lean();
+  if (!profile) {
+    throw new Error("User not found");
+  }
+
+  const [followers, following] = await Promise.all([
+    UserFollower.find({ userId })
+      .populate("followerId", "username name")
+      .lean(),
+    UserFollower.find({ followerId: userId })
+      .populate("userId", "username name")
+      .lean(),
+  ]);
+
+  const [posts, writePosts, zeals, polls, contentEdits] = await Promise.all([
+    Post.find({ userId })
+      .select("caption images musicId mentionedUserIds visibility shareCount editedAt createdAt updatedAt")
+      .lean(),
+    WritePost.find({ userId })
+      .select("content mentionedUserIds visibility shareCount editedAt createdAt updatedAt")
+      .lean(),
+    ZealPost.find({ userId })
+      .select("caption videos images mediaUrl thumbnailUrl status mentionedUserIds visibility shareCount editedAt createdAt updatedAt")
+      .lean(),
+    Poll.find({ createdBy: userId })
+      .select("caption options totalVotes status duration createdAt updatedAt")
+      .lean(),
+    ContentEdit.find({ userId })
+      .select("contentType contentId version text mentionedUserIds images musicStartTime musicEndTime createdAt")
+      .lean(),
+  ]);
+
+  const [comments, replies] = await Promise.all([
+    Comment.find({ userId })
+      .select("contentType contentId comment isDeleted createdAt")
+      .lean(),
+    ReplyComment.find({ userId })
+      .select("commentId reply isDeleted createdAt")
+      .lean(),
+  ]);
+
+  const [contentLikes, commentLikes, replyLikes, pollVotes, savedContent] =
+    await Promise.all([
+      ContentLike.find({ userId }).select("contentType contentId createdAt").lean(),
+      CommentLike.find({ userId }).select("commentId createdAt").lean(),
+      ReplyCommentLike.find({ userId }).select("replyCommentId createdAt").lean(),
+      Poll.find({ "userVotes.userId": userId }).select("caption userVotes").lean(),
+      SavedContent.find({ userId }).select("contentType contentId createdAt").lean(),
+    ]);
+
+  const roomIds = await ChatRoom.find({
+    $or: [{ userA: userId }, { userB: userId }],
+  }).distinct("_id");
+  const chatMessages = await ChatMessage.find({ roomId: { $in: roomIds } })
+    .populate("senderId", "username name")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const [sentSnaps, receivedSnaps] = await Promise.all([
+    Snap.find({ senderId: userId })
+      .select("mediaType duration recipients viewCount expiresAt createdAt")
+      .populate("recipients.userId", "username name")
+      .lean(),
+    Snap.find({ "recipients.userId": userId })
+      .select("senderId mediaType recipients createdAt")
+      .populate("senderId", "username name")
+      .lean(),
+  ]);
+
+  const [notifications, contentReports, commentReports, supportRequests, payments, sessions, linkedAccounts, usernameHistory, blocks, mutes, restrictions, closeFriends] =
+    await Promise.all([
+      Notification.find({ receiverId: userId })
+        .select("type message contentType contentId status createdAt")
+        .sort({ createdAt: -1 })
+        .lean(),
+      ContentReport.find({ reportedBy: userId })
+        .select("contentType contentId categoryId subCategoryId details createdAt")
+        .lean(),
+      CommentReport.find({ reportedBy: userId })
+        .select("commentId categoryId subCategoryId details createdAt")
+        .lean(),
+      SupportRequest.find({ userId })
+        .select("subject description status priority resolvedAt createdAt")
+        .lean(),
+      SubscriptionPayment.find({ userId })
+        .select("amount currency paymentProvider transactionId status productId createdAt")
+        .lean(),
+      UserSession.find({ userId })
+        .select("deviceName platform ipAddress userAgent lastActiveAt revokedAt createdAt")
+        .lean(),
+      SocialAccount.find({ userId })
+        .select("provider email lastLoginAt createdAt")
+        .lean(),
+      UsernameHistory.find({ userId })
+        .select("username changedTo reservedUntil createdAt")
+        .lean(),
+      UserBlock.find({ blockerId: userId })
+        .populate("blockedId", "username name profileImage")
+        .select("blockedId createdAt")
+        .lean(),
+      UserMute.find({ muterId: userId })
+        .populate("mutedId", "username name profileImage")
+        .select("mutedId posts writePosts zeals polls notifications createdAt")
+        .lean(),
+      UserRestrict.find({ restricterId: userId })
+        .populate("restrictedId", "username name profileImage")
+        .select("restrictedId createdAt")
+        .lean(),
+      UserAudience.find({ userId })
+        .populate("audienceUserId", "username name profileImage")
+        .select("audienceUserId createdAt")
+        .lean(),
+    ]);
+
+  return {
+    profile,
+    followers: followers.map((f) => ({
+      ...userSummary(f.followerId),
+      followedAt: f.createdAt,
+    })),
+    following: following.map((f) => ({
+      ...userSummary(f.userId),
+      followedAt: f.createdAt,
+    })),
+    posts,
+    writePosts,
+    zeals,
+    polls,
+    contentEdits,
+    comments,
+    replies,
+    likes: {
+      content: contentLikes,
+      comments: commentLikes,
+      replies: replyLikes,
+    },
+    pollVotes: pollVotes.map((poll) => ({
+      pollId: poll._id,
+      caption: poll.caption,
+      optionId: poll.userVotes.find(
+        (v) => v.userId.toString() === userId.toString()
+      )?.optionId,
+    })),
+    savedContent,
+    chatMessages: chatMessages.map((m) => ({
+      id: m._id,
+      roomId: m.roomId,
+      sender: userSummary(m.senderId),
+      messageType: m.messageType,
+      message: m.message,
+      mediaUrl: m.mediaUrl,
+      contentType: m.contentType,
+      contentId: m.contentId,
+      createdAt: m.createdAt,
+    })),
+    snaps: {
+      sent: sentSnaps.map((s) => ({
+        id: s._id,
+        mediaType: s.mediaType,
+        duration: s.duration,
+        recipients: s.recipients.map((r) => ({
+          ...userSummary(r.userId),
+          isViewed: r.isViewed,
+          viewedAt: r.viewedAt,
+        })),
+        viewCount: s.viewCount,
+        expiresAt: s.expiresAt,
+        createdAt: s.createdAt,
+      })),
+      received: receivedSnaps.map((s) => {
+        const recipient = s.recipients.find(
+          (r) => r.userId.toString() === userId.toString()
+        );
+        return {
+          id: s._id,
+          sender: userSummary(s.senderId),
+          mediaType: s.mediaType,
+          isViewed: recipient?.isViewed || false,
+          viewedAt: recipient?.viewedAt || null,
+          createdAt: s.createdAt,
+        };
+      }),
+    },
+    notifications,
+    reports: {
+      content: contentReports,
+      comments: commentReports,
+    },
+    supportRequests,
+    subscriptionPayments: payments,
+    sessions,
+    linkedAccounts,
+    usernameHistory,
+    blockedUsers: blocks.map((b) => ({
+      ...userSummary(b.blockedId),
+      blockedAt: b.createdAt,
+    })),
+    mutedUsers: mutes.map((m) => ({
+      ...userSummary(m.mutedId),
+      posts: m.posts,
+      writePosts: m.writePosts,
+      zeals: m.zeals,
+      polls: m.polls,
+      notifications: m.notifications,
+      mutedAt: m.createdAt,
+    })),
+    restrictedUsers: restrictions.map((r) => ({
+      ...userSummary(r.restrictedId),
+      restrictedAt: r.createdAt,
+    })),
+    closeFriends: closeFriends.map((c) => ({
+      ...userSummary(c.audienceUserId),
+      addedAt: c.createdAt,
+    })),
+  };
+};
+
+/**
+ * Escape a value for HTML output
+ * @param {*} value - Value
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Render a value as HTML (objects as definition tables, arrays as row tables)
+ * @param {*} value - Value to render
+ * @returns {string} HTML fragment
+ */
+const renderHtmlValue = (value) => {
+  if (value === null || value === undefined) {
+    return "<em>-</em>";
+  }
+
+  if (value instanceof Date) {
+    return escapeHtml(value.toISOString());
+  }
+
+  // ObjectIds and other BSON values
+  if (typeof value === "object" && value._bsontype) {
+    return escapeHtml(value.toString());
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return "<em>None</em>";
+    }
+
+    const isTable = value.every(
+      (item) => item && typeof item === "object" && !Array.isArray(item) && !item._bsontype
+    );
+    if (!isTable) {
+      return `<ul>${value.map((item) => `<li>${renderHtmlValue(item)}</li>`).join("")}</ul>`;
+    }
+
+    const columns = [...new Set(value.flatMap((item) => Object.keys(item)))];
+    const header = columns.map((c) => `<th>${escapeHtml(c)}</th>`).join("");
+    const rows = value
+      .map(
+        (item) =>
+          `<tr>${columns.map((c) => `<td>${renderHtmlValue(item[c])}</td>`).join("")}</tr>`
+      )
+      .join("");
+    return `<table><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  if (typeof value === "object") {
+    const rows = Object.entries(value)
+      .map(([key, v]) => `<tr><th>${escapeHtml(key)}</th><td>${renderHtmlValue(v)}</td></tr>`)
+      .join("");
+    return `<table>${rows}</table>`;
+  }
+
+  if (typeof value === "string" && /^https?:\/\//.test(value)) {
+    return `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>`;
+  }
+
+  return escapeHtml(value);
+};
+
+/**
+ * Render the export as a standalone HTML document
+ * @param {Object} data - Export data
+ * @param {Date} generatedAt - Generation time
+ * @returns {string} HTML document
+ */
+const renderHtmlExport = (data, generatedAt) => {
+  const sections = Object.entries(data)
+    .map(
+      ([section, value]) =>
+        `<section><h2>${escapeHtml(section)}</h2>${renderHtmlValue(value)}</section>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Omeeba data export - @${escapeHtml(data.profile.username)}</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 24px; color: #333; }
+table { border-collapse: collapse; margin: 8px 0; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; font-size: 13px; }
+th { background: #f5f5f5; }
+</style>
+</head>
+<body>
+<h1>Your Omeeba data</h1>
+<p>Generated at ${escapeHtml(generatedAt.toISOString())}</p>
+${sections}
+</body>
+</html>`;
+};
+
+/**
+ * Format an export for API responses, with fresh download links when ready
+ * @param {Object} dataExport - DataExport document
+ * @returns {Promise<Object>} Formatted export
+ */
+const formatDataExport = async (dataExport) => {
+  const isDownloadable =
+    dataExport.status === DataExportStatus.READY &&
+    dataExport.expiresAt > new Date();
+
+  let downloads = null;
+  if (isDownloadable) {
+    const expiresIn = Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000);
+    const [jsonUrl, htmlUrl] = await Promise.all([
+      generatePresignedDownloadUrl(
+        dataExport.jsonStorageKey,
+        expiresIn,
+        "omeeba-data-export.json"
+      ),
+      generatePresignedDownloadUrl(
+        dataExport.htmlStorageKey,
+        expiresIn,
+        "omeeba-data-export.html"
+      ),
+    ]);
+    downloads = { json: jsonUrl, html: htmlUrl };
+  }
+
+  return {
+    id: dataExport._id,
+    status: dataExport.status,
+    downloads,
+    expiresAt: dataExport.expiresAt,
+    completedAt: dataExport.completedAt,
+    createdAt: dataExport.createdAt,
+  };
+};
+
+/**
+ * Build an export archive, store it and notify the user.
+ * Claims the export atomically, so concurrent runs never build it twice.
+ * @param {string} exportId - DataExport ID
+ * @returns {Promise<void>}
+ */
+export const processDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: DataExportStatus.PENDING },
+    { $set: { status: DataExportStatus.PROCESSING, startedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!dataExport) {
+    return;
+  }
+
+  const userId = dataExport.userId.toString();
+
+  try {
+    const generatedAt = new Date();
+    const data = await collectUserData(userId);
+
+    const json = Buffer.from(
+      JSON.stringify({ generatedAt, ...data }, null, 2),
+      "utf8"
+    );
+    const html = Buffer.from(renderHtmlExport(data, generatedAt), "utf8");
+
+    const jsonStorageKey = generateStorageKey(userId, "export", "application/json", "exports");
+    const htmlStorageKey = generateStorageKey(userId, "export", "text/html", "exports");
+
+    await uploadBufferToStorage(jsonStorageKey, json, "application/json", { isPublic: false });
+    await uploadBufferToStorage(htmlStorageKey, html, "text/html", { isPublic: false });
+
+    const expiresAt = new Date(
+      Date.now() + config.account.dataExportExpireHours * 60 * 60 * 1000
+    );
+
+    dataExport.status = DataExportStatus.READY;
+    dataExport.jsonStorageKey = jsonStorageKey;
+    dataExport.htmlStorageKey = htmlStorageKey;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = expiresAt;
+    await dataExport.save();
+
+    logger.info(`Data export ${dataExport._id} ready for user ${userId}`);
+  } catch (error) {
+    logger.error(`Error building data export ${dataExport._id}:`, error);
+    dataExport.status = DataExportStatus.FAILED;
+    dataExport.error = error.message;
+    await dataExport.save();
+    return;
+  }
+
+  // Notify with time-limited download links (the archive stays available
+  // through the API even if this fails)
+  try {
+    const { downloads, expiresAt } = await formatDataExport(dataExport);
+
+    await createNotification({
+      receiverId: userId,
+      senderId: userId,
+      type: NotificationType.DATA_EXPORT_READY,
+      metadata: {
+        exportId: dataExport._id.toString(),
+        downloadUrl: downloads.html,
+        jsonDownloadUrl: downloads.json,
+        expiresAt: expiresAt.toISOString(),
+      },
+    });
+  } catch (error) {
+    logger.error(`Error notifying data export ${dataExport._id}:`, error);
+  }
+};
+
+/**
+ * Request a personal data export
+ * The archive is built in the background; the user is notified when it is ready.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Created export
+ */
+export const requestDataExport = async (userId) => {
+  try {
+    const user = await User.findById(userId).select("isDeleted");
+    if (!user) {
+      throw new Error("User not found");
+    }
+    if (user.isDeleted) {
+      throw new Error("User account has been deleted");
+    }
+
+    const inProgress = await DataExport.findOne({
+      userId,
+      status: { $in: [DataExportStatus.PENDING, DataExportStatus.PROCESSING] },
+    }).select("_id");
+    if (inProgress) {
+      throw new Error("A data export is already in progress");
+    }
+
+    const recent = await DataExport.findOne({
+      userId,
+      status: DataExportStatus.READY,
+      createdAt: { $gt: new Date(Date.now() - EXPORT_REQUEST_COOLDOWN_MS) },
+    }).select("_id");
+    if (recent) {
+      throw new Error("You can request a new data export once every 24 hours");
+    }
+
+    const dataExport = await DataExport.create({ userId });
+
+    // Build in the background (non-blocking); the cron picks it up if this run is lost
+    processDataExport(dataExport._id).catch((error) => {
+      logger.error(`Error processing data export ${dataExport._id}:`, error);
+    });
+
+    logger.info(`Data export ${dataExport._id} requested by user ${userId}`);
+
+    return await formatDataExport(dataExport);
+  } catch (error) {
+    logger.error("Error in requestDataExport:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a data export of the user
+ * @param {string} userId - User ID (ownership check)
+ * @param {string} exportId - DataExport ID
+ * @returns {Promise<Object>} Export with download links when ready
+ */
+export const getDataExport = async (userId, exportId) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: exportId, userId });
+    if (!dataExport) {
+      throw new Error("Data export not found");
+    }
+
+    return await formatDataExport(dataExport);
+  } catch (error) {
+    logger.error("Error in getDataExport:", error);
+    throw error;
+  }
+};
+
+/**
+ * List the user's data exports (most recent first)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Exports with download links when ready
+ */
+export const getDataExports = async (userId) => {
+  try {
+    const dataExports = await DataExport.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    return await Promise.all(dataExports.map(formatDataExport));
+  } catch (error) {
+    logger.error("Error in getDataExports:", error);
+    throw error;
+  }
+};
+
+/**
+ * Build pending exports (including ones interrupted mid-build) and
+ * delete the files of expired ones
+ * @returns {Promise<Object>} { processedCount, expiredCount }
+ */
+export const processPendingDataExports = async () => {
+  try {
+    await DataExport.updateMany(
+      {
+        status: DataExportStatus.PROCESSING,
+        startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      { $set: { status: DataExportStatus.PENDING } }
+    );
+
+    const pending = await DataExport.find({ status: DataExportStatus.PENDING })
+      .sort({ createdAt: 1 })
+      .limit(EXPORT_BATCH_SIZE)
+      .select("_id");
+
+    for (const dataExport of pending) {
+      await processDataExport(dataExport._id);
+    }
+
+    const expired = await DataExport.find({
+      status: DataExportStatus.READY,
+      expiresAt: { $lte: new Date() },
+    });
+
+    for (const dataExport of expired) {
+      for (const storageKey of [dataExport.jsonStorageKey, dataExport.htmlStorageKey]) {
+        if (!storageKey) continue;
+        try {
+          await deleteFromStorage(storageKey);
+        } catch (error) {
+          logger.warn(`Could not delete data export file ${storageKey}: ${error.message}`);
+        }
+      }
+      dataExport.status = DataExportStatus.EXPIRED;
+      dataExport.jsonStorageKey = null;
+      dataExport.htmlStorageKey = null;
+      await dataExport.save();
+    }
+
+    return { processedCount: pending.length, expiredCount: expired.length };
+  } catch (error) {
+    logger.error("Error in processPendingDataExports:", error);
+    throw error;
+  }
+};
+
+export default {
+  requestDataExport,
+  getDataExport,
+  getDataExports,
+  processDataExport,
+  processPendingDataExports,
+};
@@ -199,8 +199,182 @@ export const sendForgotPasswordOTPEmail = async (email, otp) => {
   return sendEmail({ to: email, subject, html, text });
 };
 
+/**
+ * Send account locked email (too many failed sign-in attempts)
+ * @param {string} email - Recipient email
+ * @param {Object} details - Lockout details
+ * @param {Date} details.lockedUntil - When sign-in is allowed again
+ * @param {string} details.ipAddress - IP address of the last failed attempt
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendAccountLockedEmail = async (
+  email,
+  { lockedUntil, ipAddress }
+) => {
+  const subject = "Your account has been temporarily locked";
+  const unlockTime = new Date(lockedUntil).toUTCString();
+  const source = ipAddress ? ` from IP address ${ipAddress}` : "";
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Account Locked</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background-color: #f4f4f4; padding: 20px; border-radius: 5px;">
+        <h2 style="color: #333; text-align: center;">Account Temporarily Locked</h2>
+        <p>Hello,</p>
+        <p>We noticed several failed attempts to sign in to your account${source}. To protect your account, sign-in has been locked until <strong>${unlockTime}</strong>.</p>
+        <p>If this was you, you can try again after that time or reset your password.</p>
+        <p>If this wasn't you, we recommend resetting your password and turning on two-factor authentication.</p>
+        <p style="margin-top: 30px; color: #666; font-size: 12px;">
+          Best regards,<br>
+          ${config.email.fromName}
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+    Account Temporarily Locked
+    
+    Hello,
+    
+    We noticed several failed attempts to sign in to your account${source}. To protect your account, sign-in has been locked until ${unlockTime}.
+    
+    If this was you, you can try again after that time or reset your password.
+    
+    If this wasn't you, we recommend resetting your password and turning on two-factor authentication.
+    
+    Best regards,
+    ${config.email.fromName}
+  `;
+
+  return sendEmail({ to: email, subject, html, text });
+};
+
+/**
+ * Send the code confirming a new email address
+ * @param {string} email - New email address
+ * @param {number} otp - OTP code
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendEmailChangeOTPEmail = async (email, otp) => {
+  const subject = "Confirm your new email address";
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Confirm Email Change</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background-color: #f4f4f4; padding: 20px; border-radius: 5px;">
+        <h2 style="color: #333; text-align: center;">Confirm Your New Email</h2>
+        <p>Hello,</p>
+        <p>You asked to use this address for your account. Please enter the following code in the app to confirm the change:</p>
+        <div style="background-color: #fff; padding: 20px; border-radius: 5px; text-align: center; margin: 20px 0;">
+          <h1 style="color: #007bff; font-size: 32px; margin: 0; letter-spacing: 5px;">${otp}</h1>
+        </div>
+        <p>This code will expire in ${config.otp.expireMinutes} minutes.</p>
+        <p>If you didn't request this change, please ignore this email.</p>
+        <p style="margin-top: 30px; color: #666; font-size: 12px;">
+          Best regards,<br>
+          ${config.email.fromName}
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+    Confirm Your New Email
+    
+    Hello,
+    
+    You asked to use this address for your account. Please enter the following code in the app to confirm the change:
+    
+    Code: ${otp}
+    
+    This code will expire in ${config.otp.expireMinutes} minutes.
+    
+    If you didn't request this change, please ignore this email.
+    
+    Best regards,
+    ${config.email.fromName}
+  `;
+
+  return sendEmail({ to: email, subject, html, text });
+};
+
+/**
+ * Tell the current address that the account email is being changed
+ * @param {string} email - Current email address
+ * @param {Object} details - Change details
+ * @param {string} details.newEmail - Address being changed to
+ * @param {string} details.cancelUrl - Link that cancels the change
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendEmailChangeRequestedEmail = async (
+  email,
+  { newEmail, cancelUrl }
+) => {
+  const subject = "Your account email is being changed";
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Email Change Requested</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background-color: #f4f4f4; padding: 20px; border-radius: 5px;">
+        <h2 style="color: #333; text-align: center;">Email Change Requested</h2>
+        <p>Hello,</p>
+        <p>A request was made to change the email address of your account to <strong>${newEmail}</strong>. The change takes effect once the new address is confirmed.</p>
+        <p>If this wasn't you, cancel the change and reset your password:</p>
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${cancelUrl}" style="background-color: #dc3545; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Cancel email change</a>
+        </div>
+        <p>If you made this request, no action is needed.</p>
+        <p style="margin-top: 30px; color: #666; font-size: 12px;">
+          Best regards,<br>
+          ${config.email.fromName}
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+    Email Change Requested
+    
+    Hello,
+    
+    A request was made to change the email address of your account to ${newEmail}. The change takes effect once the new address is confirmed.
+    
+    If this wasn't you, cancel the change and reset your password:
+    ${cancelUrl}
+    
+    If you made this request, no action is needed.
+    
+    Best regards,
+    ${config.email.fromName}
+  `;
+
+  return sendEmail({ to: email, subject, html, text });
+};
+
 export default {
   sendEmail,
   sendOTPEmail,
   sendForgotPasswordOTPEmail,
+  sendAccountLockedEmail,
+  sendEmailChangeOTPEmail,
+  sendEmailChangeRequestedEmail,
 };
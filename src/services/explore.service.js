@@ -9,55 +9,27 @@ import {
   ZealPost,
   Poll,
   ContentLike,
-  ContentShare,
-  Comment,
   User,
   UserFollower,
-  ChatRoom,
   SavedContent,
 } from "../models/index.js";
 import Hashtag from "../models/hashtags/Hashtag.js";
 import HashtagContent from "../models/hashtags/HashtagContent.js";
 import { ContentType, ZealStatus, PollStatus } from "../models/enums.js";
-import { getReportedContentIds } from "../utils/contentFilter.js";
+import {
+  getReportedContentIds,
+  PUBLISHED_CONTENT_QUERY,
+} from "../utils/contentFilter.js";
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import { getMutedUserIdsByContentType } from "../utils/muteFilter.js";
+import { getVisibleAuthorsQuery } from "../utils/privacyFilter.js";
+import { getAudienceVisibilityQuery } from "../utils/audienceFilter.js";
 import logger from "../utils/logger.js";
 import mongoose from "mongoose";
 
-/**
- * Get blocked user IDs for a user
- * @param {mongoose.Types.ObjectId} userId - User ID
- * @returns {Promise<Array<mongoose.Types.ObjectId>>} Array of blocked user IDs
- */
-const getBlockedUserIds = async (userId) => {
-  try {
-    const blockedRooms = await ChatRoom.find({
-      $or: [
-        { userA: userId, isBlocked: true },
-        { userB: userId, isBlocked: true },
-      ],
-    }).select("userA userB");
-
-    const blockedUserIds = new Set();
-
-    blockedRooms.forEach((room) => {
-      if (room.userA.toString() === userId.toString()) {
-        blockedUserIds.add(room.userB.toString());
-      } else {
-        blockedUserIds.add(room.userA.toString());
-      }
-    });
-
-    return Array.from(blockedUserIds).map(
-      (id) => new mongoose.Types.ObjectId(id)
-    );
-  } catch (error) {
-    logger.error("Error getting blocked user IDs:", error);
-    return [];
-  }
-};
-
 /**
  * Get engagement metrics for content items
+ * (denormalized counters, kept in line by services/counter.service.js)
  * @param {Array} contentItems - Array of content items with contentType and _id
  * @returns {Promise<Map>} Map of contentId -> { likeCount, commentCount, shareCount }
  */
@@ -81,105 +53,31 @@ const getEngagementMetrics = async (contentItems) => {
     }
   });
 
-  // Fetch metrics in parallel for each content type
-  const metricPromises = [];
-
-  for (const [contentType, contentIds] of Object.entries(byType)) {
-    if (contentIds.length === 0) continue;
-
-    // Get likes
-    metricPromises.push(
-      ContentLike.aggregate([
-        {
-          $match: {
-            contentType,
-            contentId: { $in: contentIds },
-          },
-        },
-        {
-          $group: {
-            _id: "$contentId",
-            likeCount: { $sum: 1 },
-          },
-        },
-      ])
-    );
-
-    // Get comments
-    metricPromises.push(
-      Comment.aggregate([
-        {
-          $match: {
-            contentType,
-            contentId: { $in: contentIds },
-          },
-        },
-        {
-          $group: {
-            _id: "$contentId",
-            commentCount: { $sum: 1 },
-          },
-        },
-      ])
-    );
-
-    // Get shares (using shareCount from content documents for performance)
-    // We'll also get from ContentShare for accuracy if needed
-    metricPromises.push(
-      ContentShare.aggregate([
-        {
-          $match: {
-            contentType,
-            contentId: { $in: contentIds },
-          },
-        },
-        {
-          $group: {
-            _id: "$contentId",
-            shareCount: { $sum: 1 },
-          },
-        },
-      ])
-    );
-  }
-
-  const results = await Promise.all(metricPromises);
-
-  // Process results and build metrics map
-  let resultIndex = 0;
-  for (const [, contentIds] of Object.entries(byType)) {
-    if (contentIds.length === 0) continue;
-
-    // Process likes
-    const likes = results[resultIndex++] || [];
-    likes.forEach((item) => {
-      const id = item._id.toString();
-      if (!metricsMap.has(id)) {
-        metricsMap.set(id, { likeCount: 0, commentCount: 0, shareCount: 0 });
-      }
-      metricsMap.get(id).likeCount = item.likeCount;
-    });
-
-    // Process comments
-    const comments = results[resultIndex++] || [];
-    comments.forEach((item) => {
-      const id = item._id.toString();
-      if (!metricsMap.has(id)) {
-        metricsMap.set(id, { likeCount: 0, commentCount: 0, shareCount: 0 });
-      }
-      metricsMap.get(id).commentCount = item.commentCount;
-    });
+  const modelByType = {
+    [ContentType.POST]: Post,
+    [ContentType.WRITE_POST]: WritePost,
+    [ContentType.ZEAL]: ZealPost,
+  };
 
-    // Process shares
-    const shares = results[resultIndex++] || [];
-    shares.forEach((item) => {
-      const id = item._id.toString();
-      if (!metricsMap.has(id)) {
-        metricsMap.set(id, { likeCount: 0, commentCount: 0, shareCount: 0 });
-      }
-      metricsMap.get(id).shareCount = item.shareCount;
+  // Fetch counters in parallel for each content type
+  const results = await Promise.all(
+    Object.entries(byType)
+      .filter(([, contentIds]) => contentIds.length > 0)
+      .map(([contentType, contentIds]) =>
+        modelByType[contentType]
+          .find({ _id: { $in: contentIds } })
+          .select("likeCount commentCount shareCount")
+          .lean()
+      )
+  );
+
+  results.flat().forEach((content) => {
+    metricsMap.set(content._id.toString(), {
+      likeCount: content.likeCount || 0,
+      commentCount: content.commentCount || 0,
+      shareCount: content.shareCount || 0,
     });
-  }
+  });
 
   // Initialize metrics for items that don't have any engagement yet
   contentItems.forEach((item) => {
@@ -377,6 +275,9 @@ const formatContentItem = (
     shareCount: metrics.shareCount || 0,
     isLiked,
     isSaved,
+    isEdited: Boolean(item.editedAt),
+    editedAt: item.editedAt || null,
+    scheduledAt: item.scheduledAt || null,
     createdAt: item.createdAt,
     updatedAt: item.updatedAt,
   };
@@ -439,7 +340,7 @@ const formatContentItem = (
  * @param {Array} contentItems - Array of content items
  * @returns {Promise<Array>} Formatted content items
  */
-const formatContentList = async (userId, contentItems) => {
+export const formatContentList = async (userId, contentItems) => {
   if (!contentItems || contentItems.length === 0) {
     return [];
   }
@@ -475,13 +376,18 @@ const formatContentList = async (userId, contentItems) => {
  * @param {Array<mongoose.Types.ObjectId>} userIds - User IDs
  * @param {Object} reportedContentIds - Reported content IDs by type
  * @param {number} limit - Max items to return
+ * @param {Array<string>} contentTypes - Content types to include (optional, default: all)
+ * @param {Object} mutedUserIds - Muted user IDs by type, left out per type (optional)
+ * @param {Object} visibilityQuery - Close Friends visibility condition for the viewer (optional)
  * @returns {Promise<Array>} Content items with contentType
  */
 const fetchLatestContentByUsers = async (
   userIds,
   reportedContentIds,
   limit,
-  contentTypes = null
+  contentTypes = null,
+  mutedUserIds = {},
+  visibilityQuery = {}
 ) => {
   if (!userIds || userIds.length === 0 || limit <= 0) {
     return [];
@@ -496,7 +402,11 @@ const fetchLatestContentByUsers = async (
   const includeZeal = !typeSet || typeSet.has(ContentType.ZEAL);
 
   if (includePost) {
-    const postQuery = { userId: { $in: userIds } };
+    const postQuery = {
+      ...visibilityQuery,
+      ...PUBLISHED_CONTENT_QUERY,
+      userId: { $in: userIds, $nin: mutedUserIds[ContentType.POST] || [] },
+    };
     if (reportedContentIds[ContentType.POST]?.length > 0) {
       postQuery._id = {
         $nin: reportedContentIds[ContentType.POST].map(
@@ -523,7 +433,14 @@ const fetchLatestContentByUsers = async (
   }
 
   if (includeWrite) {
-    const writeQuery = { userId: { $in: userIds } };
+    const writeQuery = {
+      ...visibilityQuery,
+      ...PUBLISHED_CONTENT_QUERY,
+      userId: {
+        $in: userIds,
+        $nin: mutedUserIds[ContentType.WRITE_POST] || [],
+      },
+    };
     if (reportedContentIds[ContentType.WRITE_POST]?.length > 0) {
       writeQuery._id = {
         $nin: reportedContentIds[ContentType.WRITE_POST].map(
@@ -550,7 +467,9 @@ const fetchLatestContentByUsers = async (
 
   if (includeZeal) {
     const zealQuery = {
-      userId: { $in: userIds },
+      ...visibilityQuery,
+      ...PUBLISHED_CONTENT_QUERY,
+      userId: { $in: userIds, $nin: mutedUserIds[ContentType.ZEAL] || [] },
       status: { $in: [ZealStatus.PUBLISHED, ZealStatus.READY] },
     };
     if (reportedContentIds[ContentType.ZEAL]?.length > 0) {
@@ -603,8 +522,9 @@ export const getTrendingContent = async (userId = null, options = {}) => {
 
     const skip = (page - 1) * limit;
 
-    // Get blocked users if userId is provided
+    // Get blocked and muted users if userId is provided
     let blockedUserIds = [];
+    let mutedUserIds = {};
     let reportedContentIds = {
       [ContentType.POST]: [],
       [ContentType.WRITE_POST]: [],
@@ -613,6 +533,7 @@ export const getTrendingContent = async (userId = null, options = {}) => {
 
     if (userId) {
       blockedUserIds = await getBlockedUserIds(userId);
+      mutedUserIds = await getMutedUserIdsByContentType(userId);
       try {
         reportedContentIds = await getReportedContentIds(userId);
       } catch (error) {
@@ -636,8 +557,14 @@ export const getTrendingContent = async (userId = null, options = {}) => {
     }
 
     // Get valid user IDs
-    const validUsers = await User.find(baseUserQuery).select("_id");
+    // Private accounts' content is only shown to their followers
+    const validUsers = await User.find({
+      ...baseUserQuery,
+      ...(await getVisibleAuthorsQuery(userId)),
+    }).select("_id");
     const validUserIds = validUsers.map((u) => u._id);
+    // Close Friends content is only shown to the author's Close Friends
+    const visibilityQuery = await getAudienceVisibilityQuery(userId);
 
     if (validUserIds.length === 0) {
       return {
@@ -659,7 +586,12 @@ export const getTrendingContent = async (userId = null, options = {}) => {
     // Posts query
     if (contentType === "all" || contentType === "post") {
       const postQuery = {
-        userId: { $in: validUserIds },
+        ...visibilityQuery,
+        ...PUBLISHED_CONTENT_QUERY,
+        userId: {
+          $in: validUserIds,
+          $nin: mutedUserIds[ContentType.POST] || [],
+        },
       };
 
       if (reportedContentIds[ContentType.POST].length > 0) {
@@ -689,7 +621,12 @@ export const getTrendingContent = async (userId = null, options = {}) => {
     // Write Posts query
     if (contentType === "all" || contentType === "write") {
       const writeQuery = {
-        userId: { $in: validUserIds },
+        ...visibilityQuery,
+        ...PUBLISHED_CONTENT_QUERY,
+        userId: {
+          $in: validUserIds,
+          $nin: mutedUserIds[ContentType.WRITE_POST] || [],
+        },
       };
 
       if (reportedContentIds[ContentType.WRITE_POST].length > 0) {
@@ -718,7 +655,12 @@ export const getTrendingContent = async (userId = null, options = {}) => {
     // Zeal Posts query (only published/ready)
     if (contentType === "all" || contentType === "zeal") {
       const zealQuery = {
-        userId: { $in: validUserIds },
+        ...visibilityQuery,
+        ...PUBLISHED_CONTENT_QUERY,
+        userId: {
+          $in: validUserIds,
+          $nin: mutedUserIds[ContentType.ZEAL] || [],
+        },
         status: { $in: [ZealStatus.PUBLISHED, ZealStatus.READY] },
       };
 
@@ -841,8 +783,9 @@ export const getHomeFeed = async (userId, options = {}) => {
     const skip = (page - 1) * limit;
     const fetchLimit = limit * (page + 1);
 
-    // Get blocked users + reported content
+    // Get blocked users + muted users + reported content
     let blockedUserIds = [];
+    let mutedUserIds = {};
     let reportedContentIds = {
       [ContentType.POST]: [],
       [ContentType.WRITE_POST]: [],
@@ -851,6 +794,7 @@ export const getHomeFeed = async (userId, options = {}) => {
 
     if (userId) {
       blockedUserIds = await getBlockedUserIds(userId);
+      mutedUserIds = await getMutedUserIdsByContentType(userId);
       try {
         reportedContentIds = await getReportedContentIds(userId);
       } catch (error) {
@@ -863,8 +807,14 @@ export const getHomeFeed = async (userId, options = {}) => {
       baseUserQuery._id = { $nin: blockedUserIds };
     }
 
-    const validUsers = await User.find(baseUserQuery).select("_id");
+    // Private accounts' content is only shown to their followers
+    const validUsers = await User.find({
+      ...baseUserQuery,
+      ...(await getVisibleAuthorsQuery(userId)),
+    }).select("_id");
     const validUserIds = validUsers.map((u) => u._id);
+    // Close Friends content is only shown to the author's Close Friends
+    const visibilityQuery = await getAudienceVisibilityQuery(userId);
     const validUserIdSet = new Set(validUserIds.map((id) => id.toString()));
 
     // Map item filter to content types
@@ -899,7 +849,9 @@ export const getHomeFeed = async (userId, options = {}) => {
       followedUserIds,
       reportedContentIds,
       fetchLimit,
-      contentTypes
+      contentTypes,
+      mutedUserIds,
+      visibilityQuery
     );
     const followedContent = await formatContentList(userId, followedRaw);
 
@@ -926,7 +878,9 @@ export const getHomeFeed = async (userId, options = {}) => {
       validUserIds,
       reportedContentIds,
       fetchLimit,
-      contentTypes
+      contentTypes,
+      mutedUserIds,
+      visibilityQuery
     );
     const latestContent = await formatContentList(userId, latestRaw);
 
@@ -1021,8 +975,9 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
       };
     }
 
-    // Get blocked users and reported content if userId is provided
+    // Get blocked and muted users and reported content if userId is provided
     let blockedUserIds = [];
+    let mutedUserIds = {};
     let reportedContentIds = {
       [ContentType.POST]: [],
       [ContentType.WRITE_POST]: [],
@@ -1031,6 +986,7 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
 
     if (userId) {
       blockedUserIds = await getBlockedUserIds(userId);
+      mutedUserIds = await getMutedUserIdsByContentType(userId);
       try {
         reportedContentIds = await getReportedContentIds(userId);
       } catch (error) {
@@ -1047,8 +1003,14 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
       baseUserQuery._id = { $nin: blockedUserIds };
     }
 
-    const validUsers = await User.find(baseUserQuery).select("_id");
+    // Private accounts' content is only shown to their followers
+    const validUsers = await User.find({
+      ...baseUserQuery,
+      ...(await getVisibleAuthorsQuery(userId)),
+    }).select("_id");
     const validUserIds = validUsers.map((u) => u._id);
+    // Close Friends content is only shown to the author's Close Friends
+    const visibilityQuery = await getAudienceVisibilityQuery(userId);
 
     const results = {
       content: [],
@@ -1109,6 +1071,8 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
       // Search Posts
       if (type === "all" || type === "content" || type === "post") {
         const postQuery = {
+          ...visibilityQuery,
+          ...PUBLISHED_CONTENT_QUERY,
           userId: { $in: validUserIds },
         };
 
@@ -1145,6 +1109,8 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
       // Search WritePosts
       if (type === "all" || type === "content" || type === "write") {
         const writeQuery = {
+          ...visibilityQuery,
+          ...PUBLISHED_CONTENT_QUERY,
           userId: { $in: validUserIds },
         };
 
@@ -1180,6 +1146,8 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
       // Search ZealPosts
       if (type === "all" || type === "content" || type === "zeal") {
         const zealQuery = {
+          ...visibilityQuery,
+          ...PUBLISHED_CONTENT_QUERY,
           userId: { $in: validUserIds },
           status: { $in: [ZealStatus.PUBLISHED, ZealStatus.READY] },
         };
@@ -1276,7 +1244,7 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
     // Search Polls
     if (type === "all" || type === "polls") {
       const pollQuery = {
-        createdBy: { $in: validUserIds },
+        createdBy: { $in: validUserIds, $nin: mutedUserIds.Poll || [] },
         status: PollStatus.ACTIVE,
       };
 
@@ -1327,6 +1295,8 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
       // Search in Posts
       hashtagPromises.push(
         Post.find({
+          ...visibilityQuery,
+          ...PUBLISHED_CONTENT_QUERY,
           userId: { $in: validUserIds },
           caption: hashtagRegex,
         })
@@ -1337,6 +1307,8 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
       // Search in WritePosts
       hashtagPromises.push(
         WritePost.find({
+          ...visibilityQuery,
+          ...PUBLISHED_CONTENT_QUERY,
           userId: { $in: validUserIds },
           content: hashtagRegex,
         })
@@ -1347,6 +1319,8 @@ export const searchAcrossEntities = async (userId = null, options = {}) => {
       // Search in ZealPosts
       hashtagPromises.push(
         ZealPost.find({
+          ...visibilityQuery,
+          ...PUBLISHED_CONTENT_QUERY,
           userId: { $in: validUserIds },
           status: { $in: [ZealStatus.PUBLISHED, ZealStatus.READY] },
           caption: hashtagRegex,
@@ -1461,8 +1435,9 @@ export const getContentByHashtag = async (userId = null, options = {}) => {
       };
     }
 
-    // Get blocked users and reported content
+    // Get blocked and muted users and reported content
     let blockedUserIds = [];
+    let mutedUserIds = {};
     let reportedContentIds = {
       [ContentType.POST]: [],
       [ContentType.WRITE_POST]: [],
@@ -1471,6 +1446,7 @@ export const getContentByHashtag = async (userId = null, options = {}) => {
 
     if (userId) {
       blockedUserIds = await getBlockedUserIds(userId);
+      mutedUserIds = await getMutedUserIdsByContentType(userId);
       try {
         reportedContentIds = await getReportedContentIds(userId);
       } catch (error) {
@@ -1487,8 +1463,14 @@ export const getContentByHashtag = async (userId = null, options = {}) => {
       baseUserQuery._id = { $nin: blockedUserIds };
     }
 
-    const validUsers = await User.find(baseUserQuery).select("_id");
+    // Private accounts' content is only shown to their followers
+    const validUsers = await User.find({
+      ...baseUserQuery,
+      ...(await getVisibleAuthorsQuery(userId)),
+    }).select("_id");
     const validUserIds = validUsers.map((u) => u._id);
+    // Close Friends content is only shown to the author's Close Friends
+    const visibilityQuery = await getAudienceVisibilityQuery(userId);
 
     const normalizedTag = normalizedHashtag.trim().toLowerCase();
 
@@ -1595,6 +1577,8 @@ export const getContentByHashtag = async (userId = null, options = {}) => {
     const postIds = Array.from(contentIdsByType[ContentType.POST]);
     if (postIds.length > 0) {
       const postQuery = {
+        ...visibilityQuery,
+        ...PUBLISHED_CONTENT_QUERY,
         userId: { $in: validUserIds },
         _id: { $in: postIds },
       };
@@ -1625,6 +1609,8 @@ export const getContentByHashtag = async (userId = null, options = {}) => {
     const writeIds = Array.from(contentIdsByType[ContentType.WRITE_POST]);
     if (writeIds.length > 0) {
       const writeQuery = {
+        ...visibilityQuery,
+        ...PUBLISHED_CONTENT_QUERY,
         userId: { $in: validUserIds },
         _id: { $in: writeIds },
       };
@@ -1654,6 +1640,8 @@ export const getContentByHashtag = async (userId = null, options = {}) => {
     const zealIds = Array.from(contentIdsByType[ContentType.ZEAL]);
     if (zealIds.length > 0) {
       const zealQuery = {
+        ...visibilityQuery,
+        ...PUBLISHED_CONTENT_QUERY,
         userId: { $in: validUserIds },
         status: { $in: [ZealStatus.PUBLISHED, ZealStatus.READY] },
         _id: { $in: zealIds },
@@ -1685,7 +1673,7 @@ export const getContentByHashtag = async (userId = null, options = {}) => {
     const pollIds = Array.from(contentIdsByType.Poll);
     if (pollIds.length > 0) {
       const pollQuery = {
-        createdBy: { $in: validUserIds },
+        createdBy: { $in: validUserIds, $nin: mutedUserIds.Poll || [] },
         status: PollStatus.ACTIVE,
         _id: { $in: pollIds },
       };
@@ -1858,8 +1846,9 @@ export const simplifiedSearch = async (userId = null, options = {}) => {
     const { query = "", type, contentType } = options;
     const limit = 15; // Fixed limit
 
-    // Get blocked users and reported content if userId is provided
+    // Get blocked and muted users and reported content if userId is provided
     let blockedUserIds = [];
+    let mutedUserIds = {};
     let reportedContentIds = {
       [ContentType.POST]: [],
       [ContentType.WRITE_POST]: [],
@@ -1868,6 +1857,7 @@ export const simplifiedSearch = async (userId = null, options = {}) => {
 
     if (userId) {
       blockedUserIds = await getBlockedUserIds(userId);
+      mutedUserIds = await getMutedUserIdsByContentType(userId);
       try {
         reportedContentIds = await getReportedContentIds(userId);
       } catch (error) {
@@ -1884,8 +1874,14 @@ export const simplifiedSearch = async (userId = null, options = {}) => {
       baseUserQuery._id = { $nin: blockedUserIds };
     }
 
-    const validUsers = await User.find(baseUserQuery).select("_id");
+    // Private accounts' content is only shown to their followers
+    const validUsers = await User.find({
+      ...baseUserQuery,
+      ...(await getVisibleAuthorsQuery(userId)),
+    }).select("_id");
     const validUserIds = validUsers.map((u) => u._id);
+    // Close Friends content is only shown to the author's Close Friends
+    const visibilityQuery = await getAudienceVisibilityQuery(userId);
 
     const searchQuery = query.trim();
     const isHashtagQuery = searchQuery.startsWith("#");
@@ -1901,6 +1897,8 @@ export const simplifiedSearch = async (userId = null, options = {}) => {
       // Search Posts (if contentType is 'post' or not specified)
       if (!contentType || contentType === "post") {
         const postQuery = {
+          ...visibilityQuery,
+          ...PUBLISHED_CONTENT_QUERY,
           userId: { $in: validUserIds },
         };
 
@@ -1943,6 +1941,8 @@ export const simplifiedSearch = async (userId = null, options = {}) => {
       // Search ZealPosts (if contentType is 'zeal' or not specified)
       if (!contentType || contentType === "zeal") {
         const zealQuery = {
+          ...visibilityQuery,
+          ...PUBLISHED_CONTENT_QUERY,
           userId: { $in: validUserIds },
           status: { $in: [ZealStatus.PUBLISHED, ZealStatus.READY] },
         };
@@ -2021,6 +2021,8 @@ export const simplifiedSearch = async (userId = null, options = {}) => {
     } else if (type === "trending") {
       // Trending: only write posts
       const writeQuery = {
+        ...visibilityQuery,
+        ...PUBLISHED_CONTENT_QUERY,
         userId: { $in: validUserIds },
       };
 
@@ -2088,7 +2090,7 @@ export const simplifiedSearch = async (userId = null, options = {}) => {
     } else if (type === "polls") {
       // Polls: only polls
       const pollQuery = {
-        createdBy: { $in: validUserIds },
+        createdBy: { $in: validUserIds, $nin: mutedUserIds.Poll || [] },
         status: PollStatus.ACTIVE,
       };
 
@@ -2192,6 +2194,7 @@ export const simplifiedSearch = async (userId = null, options = {}) => {
 };
 
 export default {
+  formatContentList,
   getTrendingContent,
   searchAcrossEntities,
   getContentByHashtag,
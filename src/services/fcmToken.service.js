@@ -5,15 +5,17 @@
 
 import User from "../models/users/User.js";
 import logger from "../utils/logger.js";
+import { setSessionFcmToken } from "./session.service.js";
 // import { validateFCMToken } from "./firebase.service.js"; // Optional: Enable for token validation
 
 /**
  * Register or update FCM token for a user
  * @param {string} userId - User ID
  * @param {string} fcmToken - FCM token
+ * @param {string} sessionId - Session the device is signed in with (optional)
  * @returns {Promise<Object>} Updated user
  */
-export const registerFCMToken = async (userId, fcmToken) => {
+export const registerFCMToken = async (userId, fcmToken, sessionId = null) => {
   try {
     const user = await User.findById(userId);
     if (!user) {
@@ -35,6 +37,12 @@ export const registerFCMToken = async (userId, fcmToken) => {
     }
 
     await user.save();
+
+    // Bind the token to the device session so remote logout can clear it
+    if (sessionId) {
+      await setSessionFcmToken(sessionId, fcmToken);
+    }
+
     return user;
   } catch (error) {
     logger.error("Error registering FCM token:", error);
@@ -45,9 +53,10 @@ export const registerFCMToken = async (userId, fcmToken) => {
 /**
  * Remove FCM token for a user
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session the device is signed in with (optional)
  * @returns {Promise<Object>} Updated user
  */
-export const removeFCMToken = async (userId) => {
+export const removeFCMToken = async (userId, sessionId = null) => {
   try {
     const user = await User.findById(userId);
     if (!user) {
@@ -59,6 +68,11 @@ export const removeFCMToken = async (userId) => {
     logger.info(`FCM token removed for user: ${userId}`);
 
     await user.save();
+
+    if (sessionId) {
+      await setSessionFcmToken(sessionId, null);
+    }
+
     return user;
   } catch (error) {
     logger.error("Error removing FCM token:", error);
@@ -3,17 +3,129 @@
  * Business logic for user follow/unfollow operations
  */
 
+import mongoose from "mongoose";
 import User from "../models/users/User.js";
 import UserFollower from "../models/users/UserFollower.js";
+import FollowRequest from "../models/users/FollowRequest.js";
+import FollowCooldown from "../models/users/FollowCooldown.js";
+import Notification from "../models/notifications/Notification.js";
 import { createNotification } from "./notification.service.js";
+import { adjustCounter } from "./counter.service.js";
 import { NotificationType } from "../models/enums.js";
+import {
+  getBlockedUserIds,
+  isBlockedBetween,
+  assertNotBlocked,
+} from "../utils/blockFilter.js";
 import logger from "../utils/logger.js";
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts named in "Followed by alice, bob and 12 others"
+const MUTUAL_FOLLOWERS_PREVIEW = 2;
+
+/**
+ * Create a follow relationship and update both counters
+ * @param {string} followerId - Following user
+ * @param {string} targetUserId - Followed user
+ * @returns {Promise<Object>} Created UserFollower document
+ */
+const createFollowEdge = async (followerId, targetUserId) => {
+  const followRelation = await UserFollower.create({
+    userId: targetUserId,
+    followerId: followerId,
+  });
+
+  // Update follower count for target user
+  await adjustCounter(User, targetUserId, "followerCount", 1);
+
+  // Update following count for follower
+  await adjustCounter(User, followerId, "followingCount", 1);
+
+  return followRelation;
+};
+
+/**
+ * Remove the follow request notification shown to a private account
+ * @param {string} userId - Private account (notification receiver)
+ * @param {string} requesterId - Requester (notification sender)
+ * @returns {Promise<void>}
+ */
+const removeFollowRequestNotification = async (userId, requesterId) => {
+  try {
+    await Notification.deleteMany({
+      receiverId: userId,
+      senderId: requesterId,
+      type: NotificationType.FOLLOW_REQUEST,
+    });
+  } catch (error) {
+    logger.error("Error removing follow request notification:", error);
+  }
+};
+
+/**
+ * Send a follow request to a private account
+ * @param {Object} follower - Requesting user document
+ * @param {Object} targetUser - Private account document
+ * @returns {Promise<Object>} Follow request details
+ */
+const requestToFollow = async (follower, targetUser) => {
+  const existingRequest = await FollowRequest.findOne({
+    userId: targetUser._id,
+    requesterId: follower._id,
+  });
+
+  if (existingRequest) {
+    throw new Error("You have already requested to follow this user");
+  }
+
+  let followRequest;
+  try {
+    followRequest = await FollowRequest.create({
+      userId: targetUser._id,
+      requesterId: follower._id,
+    });
+  } catch (createError) {
+    // Concurrent request created the same follow request
+    if (createError.code === 11000) {
+      throw new Error("You have already requested to follow this user");
+    }
+    throw createError;
+  }
+
+  try {
+    await createNotification({
+      receiverId: targetUser._id,
+      senderId: follower._id,
+      type: NotificationType.FOLLOW_REQUEST,
+    });
+  } catch (notificationError) {
+    logger.error("Error creating follow request notification:", notificationError);
+  }
+
+  logger.info(`User ${follower._id} requested to follow user ${targetUser._id}`);
+
+  return {
+    status: "requested",
+    followRequest: {
+      id: followRequest._id.toString(),
+      userId: targetUser._id.toString(),
+      requesterId: follower._id.toString(),
+      createdAt: followRequest.createdAt,
+    },
+    targetUser: {
+      id: targetUser._id.toString(),
+      username: targetUser.username,
+      name: targetUser.name,
+    },
+  };
+};
+
 /**
- * Follow a user
+ * Follow a user. Following a private account sends a follow request instead.
  * @param {string} followerId - ID of user who wants to follow
  * @param {string} targetUserId - ID of user to be followed
- * @returns {Promise<Object>} Follow relationship and updated counts
+ * @returns {Promise<Object>} Follow relationship and updated counts, or the follow request (status "requested")
  */
 export const followUser = async (followerId, targetUserId) => {
   try {
@@ -42,6 +154,23 @@ export const followUser = async (followerId, targetUserId) => {
       throw new Error("Follower not found");
     }
 
+    await assertNotBlocked(
+      followerId,
+      targetUserId,
+      "You cannot follow this user"
+    );
+
+    // Removed followers may be kept from following again for a while
+    const cooldown = await FollowCooldown.exists({
+      userId: targetUserId,
+      followerId,
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (cooldown) {
+      throw new Error("You cannot follow this user");
+    }
+
     // Check if already following
     const existingFollow = await UserFollower.findOne({
       userId: targetUserId,
@@ -52,21 +181,13 @@ export const followUser = async (followerId, targetUserId) => {
       throw new Error("You are already following this user");
     }
 
-    // Create follow relationship
-    const followRelation = await UserFollower.create({
-      userId: targetUserId,
-      followerId: followerId,
-    });
-
-    // Update follower count for target user
-    await User.findByIdAndUpdate(targetUserId, {
-      $inc: { followerCount: 1 },
-    });
+    // Private accounts approve their followers
+    if (targetUser.isPrivate) {
+      return await requestToFollow(follower, targetUser);
+    }
 
-    // Update following count for follower
-    await User.findByIdAndUpdate(followerId, {
-      $inc: { followingCount: 1 },
-    });
+    // Create follow relationship
+    const followRelation = await createFollowEdge(followerId, targetUserId);
 
     // Create notification for target user
     try {
@@ -93,6 +214,7 @@ export const followUser = async (followerId, targetUserId) => {
     );
 
     return {
+      status: "following",
       followRelation: {
         id: followRelation._id.toString(),
         userId: targetUserId,
@@ -163,18 +285,18 @@ export const unfollowUser = async (followerId, targetUserId) => {
       throw new Error("You are not following this user");
     }
 
-    // Delete follow relationship
-    await UserFollower.findByIdAndDelete(followRelation._id);
+    // Delete follow relationship (a concurrent unfollow may have deleted it already)
+    const deletedRelation = await UserFollower.findByIdAndDelete(followRelation._id);
+
+    if (!deletedRelation) {
+      throw new Error("You are not following this user");
+    }
 
     // Update follower count for target user (decrement)
-    await User.findByIdAndUpdate(targetUserId, {
-      $inc: { followerCount: -1 },
-    });
+    await adjustCounter(User, targetUserId, "followerCount", -1);
 
     // Update following count for follower (decrement)
-    await User.findByIdAndUpdate(followerId, {
-      $inc: { followingCount: -1 },
-    });
+    await adjustCounter(User, followerId, "followingCount", -1);
 
     // Delete follow notification if exists (optional cleanup)
     // Note: We don't delete notifications on unfollow as per common UX patterns
@@ -213,6 +335,74 @@ export const unfollowUser = async (followerId, targetUserId) => {
   }
 };
 
+/**
+ * Remove a follower from the user's followers. The removed follower is not
+ * notified, and the new follower notification they triggered is removed.
+ * @param {string} userId - ID of the user removing the follower
+ * @param {string} followerId - ID of the follower to remove
+ * @param {Object} options - { preventRefollowDays?: number } - keep them from following again for this many days
+ * @returns {Promise<Object>} { followerId, followerCount, refollowAllowedAt }
+ */
+export const removeFollower = async (userId, followerId, options = {}) => {
+  try {
+    if (userId.toString() === followerId.toString()) {
+      throw new Error("You cannot remove yourself");
+    }
+
+    const followRelation = await UserFollower.findOneAndDelete({
+      userId,
+      followerId,
+    });
+
+    if (!followRelation) {
+      throw new Error("This user is not following you");
+    }
+
+    await adjustCounter(User, userId, "followerCount", -1);
+    await adjustCounter(User, followerId, "followingCount", -1);
+
+    try {
+      await Notification.deleteMany({
+        receiverId: userId,
+        senderId: followerId,
+        type: NotificationType.NEW_FOLLOWER,
+      });
+    } catch (notificationError) {
+      logger.error("Error removing follow notification:", notificationError);
+    }
+
+    let refollowAllowedAt = null;
+    if (options.preventRefollowDays) {
+      refollowAllowedAt = new Date(
+        Date.now() + options.preventRefollowDays * DAY_MS
+      );
+      await FollowCooldown.findOneAndUpdate(
+        { userId, followerId },
+        { $set: { expiresAt: refollowAllowedAt } },
+        { upsert: true }
+      );
+    }
+
+    logger.info(
+      `User ${userId} removed follower ${followerId}` +
+        (refollowAllowedAt
+          ? ` (no re-follow until ${refollowAllowedAt.toISOString()})`
+          : "")
+    );
+
+    const updatedUser = await User.findById(userId).select("followerCount");
+
+    return {
+      followerId: followerId.toString(),
+      followerCount: updatedUser.followerCount,
+      refollowAllowedAt,
+    };
+  } catch (error) {
+    logger.error("Error in removeFollower:", error);
+    throw error;
+  }
+};
+
 /**
  * Check if user is following another user
  * @param {string} followerId - ID of potential follower
@@ -233,6 +423,261 @@ export const isFollowing = async (followerId, targetUserId) => {
   }
 };
 
+/**
+ * Check if user has a pending request to follow another user
+ * @param {string} requesterId - ID of potential requester
+ * @param {string} targetUserId - ID of target user
+ * @returns {Promise<boolean>} True if a request is pending
+ */
+export const hasPendingFollowRequest = async (requesterId, targetUserId) => {
+  try {
+    const followRequest = await FollowRequest.exists({
+      userId: targetUserId,
+      requesterId,
+    });
+
+    return !!followRequest;
+  } catch (error) {
+    logger.error("Error in hasPendingFollowRequest:", error);
+    throw error;
+  }
+};
+
+/**
+ * Format a follow request with the other user's summary
+ * @param {Object} followRequest - FollowRequest document with the user populated
+ * @param {string} userField - Populated field ("requesterId" or "userId")
+ * @returns {Object} Formatted follow request
+ */
+const formatFollowRequest = (followRequest, userField) => {
+  const user = followRequest[userField];
+
+  return {
+    id: user._id.toString(),
+    username: user.username,
+    name: user.name,
+    profileImage: user.profileImage,
+    bio: user.bio,
+    isVerifiedBadge: user.isVerifiedBadge,
+    requestedAt: followRequest.createdAt,
+  };
+};
+
+/**
+ * Get pending follow requests received by a user, or sent by a user
+ * @param {Object} query - FollowRequest query
+ * @param {string} userField - Field holding the other user ("requesterId" or "userId")
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} Follow requests with pagination
+ */
+const listFollowRequests = async (query, userField, page, limit) => {
+  const skip = (page - 1) * limit;
+
+  const [followRequests, total] = await Promise.all([
+    FollowRequest.find(query)
+      .populate({
+        path: userField,
+        select: "username name profileImage bio isVerifiedBadge",
+        match: { isDeleted: false },
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    FollowRequest.countDocuments(query),
+  ]);
+
+  return {
+    requests: followRequests
+      .filter((followRequest) => followRequest[userField] !== null)
+      .map((followRequest) => formatFollowRequest(followRequest, userField)),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get the follow requests waiting for a user's approval
+ * @param {string} userId - User ID (private account)
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ * @returns {Promise<Object>} Requesters with pagination
+ */
+export const getFollowRequests = async (userId, page = 1, limit = 20) => {
+  try {
+    return await listFollowRequests({ userId }, "requesterId", page, limit);
+  } catch (error) {
+    logger.error("Error in getFollowRequests:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the follow requests a user has sent that are still pending
+ * @param {string} requesterId - User ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ * @returns {Promise<Object>} Requested accounts with pagination
+ */
+export const getSentFollowRequests = async (requesterId, page = 1, limit = 20) => {
+  try {
+    return await listFollowRequests({ requesterId }, "userId", page, limit);
+  } catch (error) {
+    logger.error("Error in getSentFollowRequests:", error);
+    throw error;
+  }
+};
+
+/**
+ * Accept a follow request: the requester becomes a follower
+ * @param {string} userId - ID of the private account
+ * @param {string} requesterId - ID of the requesting user
+ * @returns {Promise<Object>} New follower summary
+ */
+export const acceptFollowRequest = async (userId, requesterId) => {
+  try {
+    const followRequest = await FollowRequest.findOneAndDelete({
+      userId,
+      requesterId,
+    });
+
+    if (!followRequest) {
+      throw new Error("Follow request not found");
+    }
+
+    await removeFollowRequestNotification(userId, requesterId);
+
+    const requester = await User.findOne({
+      _id: requesterId,
+      isDeleted: false,
+    }).select("username name profileImage");
+
+    if (!requester) {
+      throw new Error("User not found");
+    }
+
+    const existingFollow = await UserFollower.exists({
+      userId,
+      followerId: requesterId,
+    });
+
+    if (!existingFollow) {
+      await createFollowEdge(requesterId, userId);
+    }
+
+    try {
+      await createNotification({
+        receiverId: requesterId,
+        senderId: userId,
+        type: NotificationType.FOLLOW_REQUEST_ACCEPTED,
+      });
+    } catch (notificationError) {
+      logger.error("Error creating follow request accepted notification:", notificationError);
+    }
+
+    logger.info(`User ${userId} accepted follow request from user ${requesterId}`);
+
+    return {
+      id: requester._id.toString(),
+      username: requester.username,
+      name: requester.name,
+      profileImage: requester.profileImage,
+    };
+  } catch (error) {
+    logger.error("Error in acceptFollowRequest:", error);
+    throw error;
+  }
+};
+
+/**
+ * Decline a follow request. The requester is not told.
+ * @param {string} userId - ID of the private account
+ * @param {string} requesterId - ID of the requesting user
+ * @returns {Promise<void>}
+ */
+export const declineFollowRequest = async (userId, requesterId) => {
+  try {
+    const followRequest = await FollowRequest.findOneAndDelete({
+      userId,
+      requesterId,
+    });
+
+    if (!followRequest) {
+      throw new Error("Follow request not found");
+    }
+
+    await removeFollowRequestNotification(userId, requesterId);
+
+    logger.info(`User ${userId} declined follow request from user ${requesterId}`);
+  } catch (error) {
+    logger.error("Error in declineFollowRequest:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a follow request the user has sent
+ * @param {string} requesterId - ID of the requesting user
+ * @param {string} targetUserId - ID of the private account
+ * @returns {Promise<void>}
+ */
+export const cancelFollowRequest = async (requesterId, targetUserId) => {
+  try {
+    const followRequest = await FollowRequest.findOneAndDelete({
+      userId: targetUserId,
+      requesterId,
+    });
+
+    if (!followRequest) {
+      throw new Error("Follow request not found");
+    }
+
+    await removeFollowRequestNotification(targetUserId, requesterId);
+
+    logger.info(`User ${requesterId} cancelled follow request to user ${targetUserId}`);
+  } catch (error) {
+    logger.error("Error in cancelFollowRequest:", error);
+    throw error;
+  }
+};
+
+/**
+ * Accept every pending follow request of a user
+ * (when a private account is made public)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of requests accepted
+ */
+export const acceptAllFollowRequests = async (userId) => {
+  try {
+    const followRequests = await FollowRequest.find({ userId })
+      .select("requesterId")
+      .lean();
+
+    let accepted = 0;
+    for (const followRequest of followRequests) {
+      try {
+        await acceptFollowRequest(userId, followRequest.requesterId);
+        accepted += 1;
+      } catch (error) {
+        // Requester deleted their account or the request was already handled
+        logger.warn(
+          `Could not accept follow request from ${followRequest.requesterId} to ${userId}: ${error.message}`
+        );
+      }
+    }
+
+    return accepted;
+  } catch (error) {
+    logger.error("Error in acceptAllFollowRequests:", error);
+    throw error;
+  }
+};
+
 /**
  * Get followers list
  * @param {string} userId - User ID whose followers to get
@@ -246,8 +691,15 @@ export const getFollowers = async (userId, currentUserId, page = 1, limit = 20,
   try {
     const skip = (page - 1) * limit;
 
+    // Blocked users can't see each other's lists or appear in them
+    if (currentUserId && (await isBlockedBetween(currentUserId, userId))) {
+      throw new Error("User not found");
+    }
+    const blockedUserIds = await getBlockedUserIds(currentUserId);
+    const baseQuery = { userId, followerId: { $nin: blockedUserIds } };
+
     // Build query for followers
-    let followersQuery = UserFollower.find({ userId });
+    let followersQuery = UserFollower.find(baseQuery);
 
     // If search term provided, filter by username
     if (search && search.trim()) {
@@ -289,14 +741,14 @@ export const getFollowers = async (userId, currentUserId, page = 1, limit = 20,
     let total;
     if (search && search.trim()) {
       const searchRegex = new RegExp(search.trim(), "i");
-      const allFollowers = await UserFollower.find({ userId }).populate({
+      const allFollowers = await UserFollower.find(baseQuery).populate({
         path: "followerId",
         select: "username",
         match: { username: searchRegex, isDeleted: false },
       });
       total = allFollowers.filter((f) => f.followerId !== null).length;
     } else {
-      total = await UserFollower.countDocuments({ userId });
+      total = await UserFollower.countDocuments(baseQuery);
     }
 
     return {
@@ -341,8 +793,15 @@ export const getFollowing = async (userId, currentUserId, page = 1, limit = 20,
   try {
     const skip = (page - 1) * limit;
 
+    // Blocked users can't see each other's lists or appear in them
+    if (currentUserId && (await isBlockedBetween(currentUserId, userId))) {
+      throw new Error("User not found");
+    }
+    const blockedUserIds = await getBlockedUserIds(currentUserId);
+    const baseQuery = { followerId: userId, userId: { $nin: blockedUserIds } };
+
     // Build query for following
-    let followingQuery = UserFollower.find({ followerId: userId });
+    let followingQuery = UserFollower.find(baseQuery);
 
     // If search term provided, filter by username
     if (search && search.trim()) {
@@ -384,14 +843,14 @@ export const getFollowing = async (userId, currentUserId, page = 1, limit = 20,
     let total;
     if (search && search.trim()) {
       const searchRegex = new RegExp(search.trim(), "i");
-      const allFollowing = await UserFollower.find({ followerId: userId }).populate({
+      const allFollowing = await UserFollower.find(baseQuery).populate({
         path: "userId",
         select: "username",
         match: { username: searchRegex, isDeleted: false },
       });
       total = allFollowing.filter((f) => f.userId !== null).length;
     } else {
-      total = await UserFollower.countDocuments({ followerId: userId });
+      total = await UserFollower.countDocuments(baseQuery);
     }
 
     return {
@@ -440,16 +899,13 @@ export const getFollowCounts = async (userId) => {
       throw new Error("User not found");
     }
 
-    // Get counts from UserFollower collection (more accurate than cached counts)
-    const followerCount = await UserFollower.countDocuments({ userId });
-    const followingCount = await UserFollower.countDocuments({ followerId: userId });
-
+    // Denormalized counts (drift is repaired by the counter reconciliation job)
     return {
       userId: user._id.toString(),
       username: user.username,
       name: user.name,
-      followerCount,
-      followingCount,
+      followerCount: user.followerCount || 0,
+      followingCount: user.followingCount || 0,
     };
   } catch (error) {
     logger.error("Error in getFollowCounts:", error);
@@ -457,12 +913,203 @@ export const getFollowCounts = async (userId) => {
   }
 };
 
+/**
+ * Build the "Followed by alice, bob and 12 others" line
+ * @param {Array<Object>} users - Preview users (username)
+ * @param {number} count - Total mutual followers
+ * @returns {string|null} Context text, or null without mutual followers
+ */
+const formatMutualFollowersText = (users, count) => {
+  if (count === 0 || users.length === 0) {
+    return null;
+  }
+
+  const names = users.map((user) => user.username);
+  const others = count - names.length;
+
+  if (others <= 0) {
+    return names.length === 1
+      ? `Followed by ${names[0]}`
+      : `Followed by ${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+  }
+
+  return `Followed by ${names.join(", ")} and ${others} ${others === 1 ? "other" : "others"}`;
+};
+
+/**
+ * Get mutual-follower context for several users: how many of the accounts
+ * the viewer follows also follow each user, with a few of them to show
+ * @param {string} viewerId - Viewer user ID
+ * @param {Array<string>} userIds - Users to get context for
+ * @param {number} previewLimit - Accounts named per user (default: 2)
+ * @returns {Promise<Map>} user ID (string) -> { count, users, text }
+ */
+export const getMutualFollowersSummaries = async (viewerId, userIds, previewLimit = MUTUAL_FOLLOWERS_PREVIEW) => {
+  const summaries = new Map();
+  if (!viewerId || !userIds || userIds.length === 0) {
+    return summaries;
+  }
+
+  try {
+    const followingIds = await UserFollower.find({
+      followerId: viewerId,
+    }).distinct("userId");
+
+    if (followingIds.length === 0) {
+      return summaries;
+    }
+
+    const rows = await UserFollower.aggregate([
+      {
+        $match: {
+          userId: { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) },
+          followerId: { $in: followingIds },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$userId",
+          count: { $sum: 1 },
+          followerIds: { $push: "$followerId" },
+        },
+      },
+      {
+        $project: {
+          count: 1,
+          followerIds: { $slice: ["$followerIds", previewLimit] },
+        },
+      },
+    ]);
+
+    const previewUsers = await User.find({
+      _id: { $in: rows.flatMap((row) => row.followerIds) },
+      isDeleted: false,
+    })
+      .select("username name profileImage isVerifiedBadge")
+      .lean();
+    const previewUsersById = new Map(
+      previewUsers.map((user) => [user._id.toString(), user])
+    );
+
+    rows.forEach((row) => {
+      const users = row.followerIds
+        .map((id) => previewUsersById.get(id.toString()))
+        .filter(Boolean)
+        .map((user) => ({
+          id: user._id.toString(),
+          username: user.username,
+          name: user.name,
+          profileImage: user.profileImage,
+          isVerifiedBadge: user.isVerifiedBadge,
+        }));
+
+      summaries.set(row._id.toString(), {
+        count: row.count,
+        users,
+        text: formatMutualFollowersText(users, row.count),
+      });
+    });
+
+    return summaries;
+  } catch (error) {
+    logger.error("Error in getMutualFollowersSummaries:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the mutual-follower context for one user (empty when there is none)
+ * @param {string} viewerId - Viewer user ID
+ * @param {string} userId - User to get context for
+ * @returns {Promise<Object>} { count, users, text }
+ */
+export const getMutualFollowersSummary = async (viewerId, userId) => {
+  const summaries = await getMutualFollowersSummaries(viewerId, [userId]);
+  return (
+    summaries.get(userId.toString()) || { count: 0, users: [], text: null }
+  );
+};
+
+/**
+ * Get the accounts the viewer follows that also follow a user
+ * @param {string} viewerId - Viewer user ID
+ * @param {string} userId - User ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ * @returns {Promise<Object>} Mutual followers with pagination
+ */
+export const getMutualFollowers = async (viewerId, userId, page = 1, limit = 20) => {
+  try {
+    const skip = (page - 1) * limit;
+
+    const targetUser = await User.exists({ _id: userId, isDeleted: false });
+    if (!targetUser || (await isBlockedBetween(viewerId, userId))) {
+      throw new Error("User not found");
+    }
+
+    const followingIds = await UserFollower.find({
+      followerId: viewerId,
+    }).distinct("userId");
+    const query = { userId, followerId: { $in: followingIds } };
+
+    const [mutuals, total] = await Promise.all([
+      UserFollower.find(query)
+        .populate({
+          path: "followerId",
+          select: "username name profileImage bio isVerifiedBadge",
+          match: { isDeleted: false },
+        })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      UserFollower.countDocuments(query),
+    ]);
+
+    return {
+      mutualFollowers: mutuals
+        .filter((mutual) => mutual.followerId !== null)
+        .map((mutual) => ({
+          id: mutual.followerId._id.toString(),
+          username: mutual.followerId.username,
+          name: mutual.followerId.name,
+          profileImage: mutual.followerId.profileImage,
+          bio: mutual.followerId.bio,
+          isVerifiedBadge: mutual.followerId.isVerifiedBadge,
+          // The viewer follows every mutual follower
+          status: "following",
+        })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error in getMutualFollowers:", error);
+    throw error;
+  }
+};
+
 export default {
   followUser,
   unfollowUser,
+  removeFollower,
   isFollowing,
+  hasPendingFollowRequest,
+  getFollowRequests,
+  getSentFollowRequests,
+  acceptFollowRequest,
+  declineFollowRequest,
+  cancelFollowRequest,
+  acceptAllFollowRequests,
   getFollowers,
   getFollowing,
   getFollowCounts,
+  getMutualFollowersSummaries,
+  getMutualFollowersSummary,
+  getMutualFollowers,
 };
 
@@ -3,12 +3,30 @@
 
 // Auth Services
 export { default as authService } from "./auth.service.js";
+export { default as sessionService } from "./session.service.js";
+export { default as twoFactorService } from "./two-factor.service.js";
+export { default as socialAuthService } from "./social-auth.service.js";
+export { default as authThrottleService } from "./auth-throttle.service.js";
+export { default as usernameService } from "./username.service.js";
 
 // Email Services
 export { default as emailService } from "./email.service.js";
 
+// SMS Services
+export { default as smsService } from "./sms.service.js";
+
 // User Services
 export { default as userService } from "./user.service.js";
+export { default as accountDeletionService } from "./account-deletion.service.js";
+export { default as accountDeletionCronService } from "./account-deletion-cron.service.js";
+export { default as dataExportService } from "./data-export.service.js";
+export { default as userBlockService } from "./user-block.service.js";
+export { default as userMuteService } from "./user-mute.service.js";
+export { default as userRestrictService } from "./user-restrict.service.js";
+export { default as closeFriendsService } from "./close-friends.service.js";
+export { default as userSuggestionService } from "./user-suggestion.service.js";
+export { default as presenceService } from "./presence.service.js";
+export { default as dataExportCronService } from "./data-export-cron.service.js";
 
 // Write Post Services
 export { default as writePostService } from "./writePost.service.js";
@@ -22,6 +40,16 @@ export { default as storageService } from "./storage.service.js";
 // Zeal Services
 export { default as zealService } from "./zeal.service.js";
 
+// Content Services
+export { default as contentService } from "./content.service.js";
+export { default as contentEditService } from "./content-edit.service.js";
+export { default as contentDeletionService } from "./content-deletion.service.js";
+export { default as contentDeletionCronService } from "./content-deletion-cron.service.js";
+export { default as scheduledContentService } from "./scheduled-content.service.js";
+export { default as scheduledContentCronService } from "./scheduled-content-cron.service.js";
+export { default as contentDraftService } from "./content-draft.service.js";
+export { default as contentDraftCronService } from "./content-draft-cron.service.js";
+
 // Follow Services
 export { default as followService } from "./follow.service.js";
 
@@ -54,3 +82,7 @@ export { default as supportRequestService } from "./supportRequest.service.js";
 // Saved Content Services
 export { default as savedContentService } from "./saved-content.service.js";
 export { default as savedContentCronService } from "./saved-content-cron.service.js";
+
+// Counter Services
+export { default as counterService } from "./counter.service.js";
+export { default as counterReconciliationCronService } from "./counter-reconciliation-cron.service.js";
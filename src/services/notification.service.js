@@ -7,6 +7,7 @@ import Notification from "../models/notifications/Notification.js";
 import User from "../models/users/User.js";
 import { NotificationType, NotificationStatus, ContentType } from "../models/enums.js";
 import logger from "../utils/logger.js";
+import { isNotificationMuted } from "../utils/muteFilter.js";
 import { sendPushNotificationToUser } from "./firebase.service.js";
 
 /**
@@ -44,6 +45,23 @@ const isAggregatableType = (type) => {
   return aggregatableTypes.includes(type);
 };
 
+/**
+ * Check if notification type is a system notification about the receiver's own account
+ * (sent with the receiver as sender, so it must not be dropped as a self-notification)
+ * @param {string} type - Notification type
+ * @returns {boolean} True if type is a system notification
+ */
+const isSystemType = (type) => {
+  const systemTypes = [
+    NotificationType.POLL_ENDED,
+    NotificationType.VERIFIED_BADGE_ACTIVATED,
+    NotificationType.VERIFIED_BADGE_EXPIRED,
+    NotificationType.SUBSCRIPTION_PAYMENT_SUCCESS,
+    NotificationType.DATA_EXPORT_READY,
+  ];
+  return systemTypes.includes(type);
+};
+
 /**
  * Generate notification message based on type and data
  * @param {string} type - Notification type
@@ -88,6 +106,7 @@ const generateNotificationMessage = (type, sender, data = {}) => {
     [NotificationType.VERIFIED_BADGE_ACTIVATED]: `Your verified badge has been activated`,
     [NotificationType.VERIFIED_BADGE_EXPIRED]: `Your verified badge has expired`,
     [NotificationType.SUBSCRIPTION_PAYMENT_SUCCESS]: `Your subscription payment was successful`,
+    [NotificationType.DATA_EXPORT_READY]: `Your data export is ready to download`,
     
     [NotificationType.CONTENT_REPORTED]: `Your content has been reported`,
     [NotificationType.MODERATION_ACTION]: `Moderation action has been taken on your content`,
@@ -331,7 +350,12 @@ export const createNotification = async (notificationData) => {
     } = notificationData;
 
     // Don't create notification if user is notifying themselves
-    if (receiverId.toString() === senderId.toString()) {
+    if (receiverId.toString() === senderId.toString() && !isSystemType(type)) {
+      return null;
+    }
+
+    // Don't notify the receiver about users whose notifications they muted
+    if (!isSystemType(type) && (await isNotificationMuted(receiverId, senderId))) {
       return null;
     }
 
@@ -3,14 +3,17 @@ import User from "../models/users/User.js";
 import { PollStatus, NotificationType } from "../models/enums.js";
 import { createNotification } from "./notification.service.js";
 import logger from "../utils/logger.js";
-import { extractHashtags, linkHashtagsToContent } from "./hashtag.service.js";
-
-const POLL_CONTENT_TYPE = "Poll";
+import { isBlockedBetween } from "../utils/blockFilter.js";
+import {
+  resolveScheduledAt,
+  runPublishSideEffects,
+} from "./scheduled-content.service.js";
+import { POLL_CONTENT_TYPE } from "./content-deletion.service.js";
 
 /**
  * Create Poll
  * @param {string} userId - User ID
- * @param {Object} pollData - Poll data (caption, options, duration)
+ * @param {Object} pollData - Poll data (caption, options, duration, scheduledAt)
  * @returns {Promise<Object>} Created poll
  */
 export const createPoll = async (userId, pollData) => {
@@ -34,11 +37,17 @@ export const createPoll = async (userId, pollData) => {
     }
 
     // Validate duration is in the future
+    const now = new Date();
     const duration = new Date(pollData.duration);
-    if (duration <= new Date()) {
+    if (duration <= now) {
       throw new Error("Duration must be in the future");
     }
 
+    // A scheduled poll runs for the same length, measured from its publish
+    // time (the deadline is set again when it is published)
+    const scheduledAt = resolveScheduledAt(pollData.scheduledAt);
+    const durationMs = scheduledAt ? duration - now : null;
+
     // Generate unique option IDs
     const options = pollData.options.map((optionText, index) => ({
       optionId: `option_${Date.now()}_${index}`,
@@ -52,24 +61,21 @@ export const createPoll = async (userId, pollData) => {
       createdBy: userId,
       caption: pollData.caption.trim(),
       options: options,
-      duration: duration,
-      status: PollStatus.ACTIVE,
+      duration: scheduledAt
+        ? new Date(scheduledAt.getTime() + durationMs)
+        : duration,
+      scheduledAt,
+      durationMs,
+      status: scheduledAt ? PollStatus.SCHEDULED : PollStatus.ACTIVE,
       totalVotes: 0,
       userVotes: [],
     });
 
     await poll.save();
 
-    // Link hashtags to content (async, don't wait)
-    if (pollData.caption) {
-      const tags = extractHashtags(pollData.caption);
-      if (tags.length > 0) {
-        linkHashtagsToContent(POLL_CONTENT_TYPE, poll._id, tags).catch(
-          (error) => {
-            logger.error(`Error linking hashtags for poll ${poll._id}:`, error);
-          }
-        );
-      }
+    // Link hashtags to content; scheduled polls get theirs when published
+    if (!scheduledAt) {
+      await runPublishSideEffects(POLL_CONTENT_TYPE, poll);
     }
 
     // Populate createdBy
@@ -105,12 +111,21 @@ export const votePoll = async (userId, pollId, optionId) => {
       throw new Error("User account has been deleted");
     }
 
-    // Find poll
+    // Find poll (polls of users blocked with the voter are hidden)
     const poll = await Poll.findById(pollId);
-    if (!poll) {
+    if (!poll || (await isBlockedBetween(userId, poll.createdBy))) {
       throw new Error("Poll not found");
     }
 
+    // Scheduled polls are only visible to their author and open once published
+    if (poll.scheduledAt) {
+      throw new Error(
+        poll.createdBy.toString() === userId.toString()
+          ? "Poll is not published yet"
+          : "Poll not found"
+      );
+    }
+
     // Check if poll is still active
     if (poll.status !== PollStatus.ACTIVE) {
       throw new Error("Poll has expired");
@@ -222,6 +237,19 @@ export const getPoll = async (pollId, userId = null) => {
       throw new Error("Poll not found");
     }
 
+    // Polls of users blocked with the viewer are hidden
+    if (userId && (await isBlockedBetween(userId, poll.createdBy?._id))) {
+      throw new Error("Poll not found");
+    }
+
+    // Scheduled polls are only visible to their author
+    if (
+      poll.scheduledAt &&
+      poll.createdBy?._id.toString() !== userId?.toString()
+    ) {
+      throw new Error("Poll not found");
+    }
+
     // Check if poll has expired and calculate results if needed
     if (poll.status === PollStatus.ACTIVE && new Date() >= poll.duration) {
       await calculatePollResults(pollId);
@@ -2,13 +2,40 @@ import Post from "../models/content/Post.js";
 import User from "../models/users/User.js";
 import Music from "../models/music/Music.js";
 import logger from "../utils/logger.js";
-import { linkHashtagsToContent, extractHashtags } from "./hashtag.service.js";
-import { ContentType } from "../models/enums.js";
+import { ContentType, ContentVisibility } from "../models/enums.js";
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import {
+  resolveMentionedUserIds,
+  assertValidMusicWindow,
+  applyContentEdit,
+} from "./content-edit.service.js";
+import {
+  resolveScheduledAt,
+  runPublishSideEffects,
+} from "./scheduled-content.service.js";
+
+// User, mentioned users and music returned with a post
+export const POST_POPULATE = [
+  {
+    path: "userId",
+    select:
+      "name username profileImage email isAccountVerified isVerifiedBadge",
+  },
+  {
+    path: "mentionedUserIds",
+    select:
+      "name username profileImage email isAccountVerified isVerifiedBadge",
+  },
+  {
+    path: "musicId",
+    select: "title artist album coverImage duration",
+  },
+];
 
 /**
  * Create Post
  * @param {string} userId - User ID
- * @param {Object} postData - Post data (caption, images, mentionedUserIds, musicId, musicStartTime, musicEndTime)
+ * @param {Object} postData - Post data (caption, images, mentionedUserIds, musicId, musicStartTime, musicEndTime, visibility, scheduledAt, _id to create the post with (optional))
  * @returns {Promise<Object>} Created post
  */
 export const createPost = async (userId, postData) => {
@@ -22,10 +49,13 @@ export const createPost = async (userId, postData) => {
       throw new Error("User account has been deleted");
     }
 
-    // Validate mentioned users if provided
+    // Validate mentioned users if provided (users blocked with the author can't be mentioned)
     if (postData.mentionedUserIds && postData.mentionedUserIds.length > 0) {
       const mentionedUsers = await User.find({
-        _id: { $in: postData.mentionedUserIds },
+        _id: {
+          $in: postData.mentionedUserIds,
+          $nin: await getBlockedUserIds(userId),
+        },
         isDeleted: false,
       });
 
@@ -86,8 +116,11 @@ export const createPost = async (userId, postData) => {
       throw new Error("At least one image is required");
     }
 
+    const scheduledAt = resolveScheduledAt(postData.scheduledAt);
+
     // Create post
     const post = new Post({
+      ...(postData._id && { _id: postData._id }),
       userId,
       caption: postData.caption || "",
       images: postData.images || [],
@@ -95,41 +128,26 @@ export const createPost = async (userId, postData) => {
       musicId: postData.musicId || null,
       musicStartTime: postData.musicStartTime || null,
       musicEndTime: postData.musicEndTime || null,
+      visibility: postData.visibility || ContentVisibility.PUBLIC,
+      scheduledAt,
     });
 
     await post.save();
 
-    // Link hashtags to content (async, don't wait)
-    if (postData.caption) {
-      const tags = extractHashtags(postData.caption);
-      if (tags.length > 0) {
-        linkHashtagsToContent(ContentType.POST, post._id, tags).catch(
-          (error) => {
-            logger.error(`Error linking hashtags for post ${post._id}:`, error);
-          }
-        );
-      }
+    // Link hashtags and notify mentioned users; scheduled posts do this
+    // when published
+    if (!scheduledAt) {
+      await runPublishSideEffects(ContentType.POST, post);
     }
 
     // Populate user, mentioned users, and music
-    await post.populate([
-      {
-        path: "userId",
-        select:
-          "name username profileImage email isAccountVerified isVerifiedBadge",
-      },
-      {
-        path: "mentionedUserIds",
-        select:
-          "name username profileImage email isAccountVerified isVerifiedBadge",
-      },
-      {
-        path: "musicId",
-        select: "title artist album coverImage duration",
-      },
-    ]);
-
-    logger.info(`Post created: ${post._id} by user: ${userId}`);
+    await post.populate(POST_POPULATE);
+
+    logger.info(
+      scheduledAt
+        ? `Post scheduled: ${post._id} by user: ${userId} for ${scheduledAt.toISOString()}`
+        : `Post created: ${post._id} by user: ${userId}`
+    );
 
     return post;
   } catch (error) {
@@ -138,6 +156,85 @@ export const createPost = async (userId, postData) => {
   }
 };
 
+/**
+ * Update Post
+ * Edits the caption, mentions, music window and image order. Images can be
+ * reordered but not added or removed. The replaced version is kept in the
+ * post's edit history.
+ * @param {string} userId - User ID
+ * @param {string} postId - Post ID
+ * @param {Object} updates - Fields to change (caption, mentionedUserIds, musicStartTime, musicEndTime, images)
+ * @returns {Promise<Object>} Updated post
+ */
+export const updatePost = async (userId, postId, updates) => {
+  try {
+    const post = await Post.findById(postId).lean();
+    if (!post) {
+      throw new Error("Post not found");
+    }
+    if (post.userId.toString() !== userId.toString()) {
+      throw new Error("You can only edit your own posts");
+    }
+
+    const changes = {};
+
+    if (updates.caption !== undefined) {
+      changes.caption = updates.caption;
+    }
+
+    if (updates.mentionedUserIds !== undefined) {
+      changes.mentionedUserIds = await resolveMentionedUserIds(
+        userId,
+        updates.mentionedUserIds,
+        post.mentionedUserIds
+      );
+    }
+
+    if (
+      updates.musicStartTime !== undefined ||
+      updates.musicEndTime !== undefined
+    ) {
+      changes.musicStartTime =
+        updates.musicStartTime !== undefined
+          ? updates.musicStartTime
+          : post.musicStartTime;
+      changes.musicEndTime =
+        updates.musicEndTime !== undefined
+          ? updates.musicEndTime
+          : post.musicEndTime;
+      await assertValidMusicWindow(
+        post.musicId,
+        changes.musicStartTime,
+        changes.musicEndTime
+      );
+    }
+
+    if (updates.images !== undefined) {
+      const currentImages = [...post.images].sort();
+      const newImages = [...updates.images].sort();
+      if (
+        currentImages.length !== newImages.length ||
+        currentImages.some((image, index) => image !== newImages[index])
+      ) {
+        throw new Error("Images can only be reordered");
+      }
+      changes.images = updates.images;
+    }
+
+    await applyContentEdit(ContentType.POST, post, changes);
+
+    const updatedPost = await Post.findById(postId).populate(POST_POPULATE);
+
+    logger.info(`Post updated: ${postId} by user: ${userId}`);
+
+    return updatedPost;
+  } catch (error) {
+    logger.error("Error in updatePost:", error);
+    throw error;
+  }
+};
+
 export default {
   createPost,
+  updatePost,
 };
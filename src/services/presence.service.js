@@ -0,0 +1,270 @@
+/**
+ * Presence Service
+ * Online status and last seen. Live connections are tracked in memory
+ * (userId -> socket IDs, so several devices count as one presence) and
+ * last seen is stored on the user when their last socket disconnects.
+ * Who may see a user's presence follows their presenceVisibility setting;
+ * users blocked with each other never see each other's presence, and users
+ * someone has restricted never see theirs.
+ */
+
+import mongoose from "mongoose";
+import User from "../models/users/User.js";
+import UserFollower from "../models/users/UserFollower.js";
+import ChatRoom from "../models/chat/ChatRoom.js";
+import { PresenceVisibility } from "../models/enums.js";
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import {
+  getRestrictedUserIds,
+  getRestrictingUserIds,
+} from "../utils/restrictFilter.js";
+import logger from "../utils/logger.js";
+
+// Format: { userId: Set of socket IDs }
+const connections = new Map();
+
+/**
+ * Register a socket connection for a user
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} True if the user just came online (first connection)
+ */
+export const addConnection = (userId, socketId) => {
+  const key = userId.toString();
+  if (!connections.has(key)) {
+    connections.set(key, new Set());
+  }
+
+  const sockets = connections.get(key);
+  sockets.add(socketId);
+  return sockets.size === 1;
+};
+
+/**
+ * Unregister a socket connection. When it was the user's last one, their
+ * last seen is stored.
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {Promise<Date|null>} Last seen if the user went offline, otherwise null
+ */
+export const removeConnection = async (userId, socketId) => {
+  const key = userId.toString();
+  const sockets = connections.get(key);
+  if (!sockets) {
+    return null;
+  }
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) {
+    return null;
+  }
+
+  connections.delete(key);
+
+  const lastSeenAt = new Date();
+  try {
+    await User.updateOne({ _id: userId }, { $set: { lastSeenAt } });
+  } catch (error) {
+    logger.error(`Error saving last seen for user ${userId}:`, error);
+  }
+
+  return lastSeenAt;
+};
+
+/**
+ * Check whether a user has at least one live socket
+ * @param {string} userId - User ID
+ * @returns {boolean} True if online
+ */
+export const isUserOnline = (userId) => connections.has(userId.toString());
+
+/**
+ * Keep the viewers allowed to see a user's presence
+ * @param {Object} user - User ({ _id, presenceVisibility })
+ * @param {Array<string>} viewerIds - Candidate viewer IDs
+ * @returns {Promise<Array<string>>} Allowed viewer IDs
+ */
+const filterPresenceViewers = async (user, viewerIds) => {
+  const ownerId = user._id.toString();
+  const visibility = user.presenceVisibility || PresenceVisibility.EVERYONE;
+
+  if (visibility === PresenceVisibility.NOBODY || viewerIds.length === 0) {
+    return [];
+  }
+
+  const [blockedIds, restrictedIds] = await Promise.all([
+    getBlockedUserIds(ownerId),
+    getRestrictedUserIds(ownerId),
+  ]);
+  const hiddenFromIds = new Set(
+    [...blockedIds, ...restrictedIds].map((id) => id.toString())
+  );
+  let allowedIds = viewerIds.filter(
+    (id) => id !== ownerId && !hiddenFromIds.has(id)
+  );
+
+  if (visibility === PresenceVisibility.FOLLOWING && allowedIds.length > 0) {
+    const followedIds = await UserFollower.find({
+      followerId: ownerId,
+      userId: { $in: allowedIds },
+    }).distinct("userId");
+    const followedSet = new Set(followedIds.map((id) => id.toString()));
+    allowedIds = allowedIds.filter((id) => followedSet.has(id));
+  }
+
+  return allowedIds;
+};
+
+/**
+ * Get the chat partners who should receive a user's presence updates
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Chat partner IDs allowed to see the user's presence
+ */
+export const getPresenceAudience = async (userId) => {
+  try {
+    const [user, rooms] = await Promise.all([
+      User.findById(userId).select("presenceVisibility").lean(),
+      ChatRoom.find({ $or: [{ userA: userId }, { userB: userId }] })
+        .select("userA userB")
+        .lean(),
+    ]);
+
+    if (!user) {
+      return [];
+    }
+
+    const partnerIds = [
+      ...new Set(
+        rooms.map((room) =>
+          (room.userA.toString() === userId.toString()
+            ? room.userB
+            : room.userA
+          ).toString()
+        )
+      ),
+    ];
+
+    return await filterPresenceViewers(user, partnerIds);
+  } catch (error) {
+    logger.error("Error in getPresenceAudience:", error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a viewer may see a user's presence (online status, and the
+ * delivered status of messages sent to them)
+ * @param {string} userId - User whose presence is checked
+ * @param {string} viewerId - Viewer user ID
+ * @returns {Promise<boolean>} True if the viewer may see it
+ */
+export const canSeePresence = async (userId, viewerId) => {
+  try {
+    const user = await User.findById(userId)
+      .select("presenceVisibility")
+      .lean();
+
+    if (!user) {
+      return false;
+    }
+
+    const allowedIds = await filterPresenceViewers(user, [viewerId.toString()]);
+    return allowedIds.length > 0;
+  } catch (error) {
+    logger.error("Error in canSeePresence:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the presence of several users as seen by a viewer. Users who hide
+ * their presence from the viewer are returned with isVisible: false.
+ * @param {string} viewerId - Viewer user ID
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Object>} { presence: [{ userId, isVisible, isOnline, lastSeenAt }] }
+ */
+export const getUsersPresence = async (viewerId, userIds) => {
+  try {
+    const uniqueIds = [...new Set(userIds.map((id) => id.toString()))];
+    const viewerKey = viewerId.toString();
+
+    const [users, blockedIds, restrictingIds, followingViewerIds] =
+      await Promise.all([
+        User.find({
+          _id: { $in: uniqueIds.map((id) => new mongoose.Types.ObjectId(id)) },
+          isDeleted: false,
+        })
+          .select("presenceVisibility lastSeenAt")
+          .lean(),
+        getBlockedUserIds(viewerId),
+        // Users who restricted the viewer
+        getRestrictingUserIds(viewerId),
+        // Users who follow the viewer ("people I follow" from their side)
+        UserFollower.find({
+          userId: viewerId,
+          followerId: { $in: uniqueIds },
+        }).distinct("followerId"),
+      ]);
+
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+    const blockedSet = new Set(blockedIds.map((id) => id.toString()));
+    const restrictingSet = new Set(restrictingIds.map((id) => id.toString()));
+    const followingViewerSet = new Set(
+      followingViewerIds.map((id) => id.toString())
+    );
+
+    const canSee = (userId, user) => {
+      if (userId === viewerKey) {
+        return true;
+      }
+      if (blockedSet.has(userId) || restrictingSet.has(userId)) {
+        return false;
+      }
+      switch (user.presenceVisibility || PresenceVisibility.EVERYONE) {
+        case PresenceVisibility.EVERYONE:
+          return true;
+        case PresenceVisibility.FOLLOWING:
+          return followingViewerSet.has(userId);
+        default:
+          return false;
+      }
+    };
+
+    // Unknown, deleted and blocked users are left out
+    const presence = uniqueIds
+      .filter((userId) => usersById.has(userId) && !blockedSet.has(userId))
+      .map((userId) => {
+        const user = usersById.get(userId);
+        if (!canSee(userId, user)) {
+          return {
+            userId,
+            isVisible: false,
+            isOnline: false,
+            lastSeenAt: null,
+          };
+        }
+
+        const isOnline = isUserOnline(userId);
+        return {
+          userId,
+          isVisible: true,
+          isOnline,
+          lastSeenAt: isOnline ? null : user.lastSeenAt,
+        };
+      });
+
+    return { presence };
+  } catch (error) {
+    logger.error("Error in getUsersPresence:", error);
+    throw error;
+  }
+};
+
+export default {
+  addConnection,
+  removeConnection,
+  isUserOnline,
+  getPresenceAudience,
+  canSeePresence,
+  getUsersPresence,
+};
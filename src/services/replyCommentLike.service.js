@@ -3,6 +3,7 @@
  * Business logic for reply comment like operations
  */
 
+import ReplyComment from "../models/comments/ReplyComment.js";
 import ReplyCommentLike from "../models/comments/ReplyCommentLike.js";
 import logger from "../utils/logger.js";
 
@@ -13,7 +14,10 @@ import logger from "../utils/logger.js";
  */
 export const getReplyCommentLikeCount = async (replyCommentId) => {
   try {
-    return await ReplyCommentLike.countDocuments({ replyCommentId });
+    const reply = await ReplyComment.findById(replyCommentId)
+      .select("likeCount")
+      .lean();
+    return reply ? reply.likeCount || 0 : 0;
   } catch (error) {
     logger.error("Error in getReplyCommentLikeCount:", error);
     return 0;
@@ -2,10 +2,10 @@ import SavedContent from "../models/interactions/SavedContent.js";
 import Post from "../models/content/Post.js";
 import WritePost from "../models/content/WritePost.js";
 import ZealPost from "../models/content/ZealPost.js";
-import ContentLike from "../models/interactions/ContentLike.js";
-import Comment from "../models/comments/Comment.js";
 import { ContentType, ZealStatus } from "../models/enums.js";
 import logger from "../utils/logger.js";
+import { isBlockedBetween } from "../utils/blockFilter.js";
+import { canViewContentItem } from "../utils/audienceFilter.js";
 import { generateShareableLink } from "../utils/shareableLink.js";
 
 /**
@@ -58,7 +58,11 @@ export const saveContent = async (userId, contentType, contentId) => {
 
     // Verify content exists and is accessible
     const content = await verifyContentExists(contentType, contentId);
-    if (!content) {
+    if (
+      !content ||
+      (await isBlockedBetween(userId, content.userId)) ||
+      !(await canViewContentItem(userId, content))
+    ) {
       throw new Error("Content not found or not accessible");
     }
 
@@ -250,6 +254,8 @@ export const getContentSavedStatus = async (userId, contentType, contentId) => {
 
 /**
  * Clean up stale saved content references (delete saved content for non-existent items)
+ * Deleting content removes its saved entries (services/content-deletion.service.js);
+ * this is a safety net for references orphaned some other way.
  * @param {mongoose.Types.ObjectId} userId - User ID (optional, if not provided cleans all users)
  * @returns {Promise<Object>} Cleanup result
  */
@@ -511,92 +517,27 @@ export const getSavedContentListing = async (userId, options = {}) => {
 
     // Reconstruct ordered list based on savedContentRecords (most recent first)
     // Filter out deleted/inaccessible content
-    const orderedContent = savedContentRecords
+    const accessibleContent = savedContentRecords
       .map((record) => {
         return contentMap.get(record.contentId.toString()) || null;
       })
-      .filter((content) => content !== null)
-      .slice(0, limit); // Ensure we only return the requested limit
-
-    // Batch fetch metadata (like counts, comment counts) for all content at once
-    const contentIdsByType = {};
-    orderedContent.forEach((item) => {
-      if (!contentIdsByType[item.contentType]) {
-        contentIdsByType[item.contentType] = [];
-      }
-      contentIdsByType[item.contentType].push(item._id);
-    });
-
-    // Fetch counts in parallel batches by content type
-    const countPromises = [];
-    for (const [type, ids] of Object.entries(contentIdsByType)) {
-      if (ids.length > 0) {
-        countPromises.push(
-          ContentLike.aggregate([
-            {
-              $match: {
-                contentType: type,
-                contentId: { $in: ids },
-              },
-            },
-            {
-              $group: {
-                _id: "$contentId",
-                count: { $sum: 1 },
-              },
-            },
-          ]).then((results) => {
-            const likeCountMap = new Map();
-            results.forEach((r) => {
-              likeCountMap.set(r._id.toString(), r.count);
-            });
-            return { type, field: "likeCount", map: likeCountMap };
-          }),
-          Comment.aggregate([
-            {
-              $match: {
-                contentType: type,
-                contentId: { $in: ids },
-              },
-            },
-            {
-              $group: {
-                _id: "$contentId",
-                count: { $sum: 1 },
-              },
-            },
-          ]).then((results) => {
-            const commentCountMap = new Map();
-            results.forEach((r) => {
-              commentCountMap.set(r._id.toString(), r.count);
-            });
-            return { type, field: "commentCount", map: commentCountMap };
-          })
-        );
-      }
-    }
-
-    const countResults = await Promise.all(countPromises);
+      .filter((content) => content !== null);
 
-    // Build count maps
-    const likeCountMap = new Map();
-    const commentCountMap = new Map();
-
-    countResults.forEach((result) => {
-      if (result.field === "likeCount") {
-        result.map.forEach((count, id) => likeCountMap.set(id, count));
-      } else {
-        result.map.forEach((count, id) => commentCountMap.set(id, count));
-      }
-    });
+    // Close Friends content the user can no longer see stays saved but is not listed
+    const visibleFlags = await Promise.all(
+      accessibleContent.map((content) => canViewContentItem(userId, content))
+    );
+    const orderedContent = accessibleContent
+      .filter((content, index) => visibleFlags[index])
+      .slice(0, limit); // Ensure we only return the requested limit
 
     // Add metadata to content items
     const contentWithMetadata = orderedContent.map((item) => {
-      const contentIdStr = item._id.toString();
       return {
         ...item,
-        likeCount: likeCountMap.get(contentIdStr) || 0,
-        commentCount: commentCountMap.get(contentIdStr) || 0,
+        // Denormalized counters, kept in line by services/counter.service.js
+        likeCount: item.likeCount || 0,
+        commentCount: item.commentCount || 0,
         shareableLink: generateShareableLink(item.contentType, item._id),
       };
     });
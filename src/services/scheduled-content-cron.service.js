@@ -0,0 +1,40 @@
+import cron from "node-cron";
+import { publishDueContent } from "./scheduled-content.service.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Start cron job for publishing scheduled content
+ * Runs every minute and publishes posts, write posts, zeals and polls whose
+ * scheduled time has come
+ */
+export const startScheduledContentCronJob = () => {
+  // Run every minute: * * * * *
+  cron.schedule("* * * * *", async () => {
+    try {
+      const result = await publishDueContent();
+
+      if (result.failedCount > 0) {
+        logger.warn(
+          `Scheduled content cron: ${result.failedCount} item(s) could not be published and will be retried`
+        );
+      }
+
+      if (result.publishedCount === 0) {
+        logger.debug("No scheduled content due for publishing");
+        return;
+      }
+
+      logger.info(
+        `Scheduled content cron: published ${result.publishedCount} item(s)`
+      );
+    } catch (error) {
+      logger.error("Error in scheduled content cron job:", error);
+    }
+  });
+
+  logger.info("Scheduled content cron job started (runs every minute)");
+};
+
+export default {
+  startScheduledContentCronJob,
+};
@@ -0,0 +1,434 @@
+/**
+ * Scheduled Content Service
+ * Posts, write posts, zeals and polls can be created with a future
+ * scheduledAt. Until then they are only visible to their author (see
+ * PUBLISHED_CONTENT_QUERY); the scheduler cron publishes them once due and
+ * only then runs their publish side effects (runPublishSideEffects), which
+ * content published right away runs on creation.
+ */
+
+import { ContentType, PollStatus, ZealStatus } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+import { extractHashtags, linkHashtagsToContent } from "./hashtag.service.js";
+import { notifyNewMentions } from "./content-edit.service.js";
+import {
+  deleteContent,
+  POLL_CONTENT_TYPE,
+} from "./content-deletion.service.js";
+import { formatContentList } from "./explore.service.js";
+import { resolveContentType } from "../utils/shareableLink.js";
+import logger from "../utils/logger.js";
+
+// Content types that can be scheduled
+export const SCHEDULABLE_CONTENT_TYPES = [
+  ContentType.POST,
+  ContentType.WRITE_POST,
+  ContentType.ZEAL,
+  POLL_CONTENT_TYPE,
+];
+
+// Content type value used for polls in HashtagContent
+const POLL_HASHTAG_CONTENT_TYPE = "Poll";
+
+// Field holding the text (and hashtags) of each content type
+const TEXT_FIELDS = {
+  [ContentType.POST]: "caption",
+  [ContentType.WRITE_POST]: "content",
+  [ContentType.ZEAL]: "caption",
+  [POLL_CONTENT_TYPE]: "caption",
+};
+
+// How far ahead content can be scheduled
+const MAX_SCHEDULE_AHEAD_DAYS = 90;
+
+// Maximum number of items of each type published per cron run
+const PUBLISH_BATCH_SIZE = 50;
+
+const USER_FIELDS =
+  "name username profileImage isAccountVerified isVerifiedBadge";
+
+/**
+ * Owner field of a content type (polls store their author in createdBy)
+ * @param {string} contentType - ContentType value, or "poll"
+ * @returns {string} Owner field
+ */
+const getOwnerField = (contentType) =>
+  contentType === POLL_CONTENT_TYPE ? "createdBy" : "userId";
+
+/**
+ * Resolve a content type param of the scheduled content endpoints
+ * @param {string} value - ContentType value, shareable link slug or "poll"
+ * @returns {string} ContentType value, or "poll"
+ */
+const resolveSchedulableType = (value) => {
+  const contentType =
+    value === POLL_CONTENT_TYPE ? value : resolveContentType(value);
+  if (!contentType) {
+    throw new Error("Invalid content type");
+  }
+  return contentType;
+};
+
+/**
+ * Check a requested publish time
+ * @param {Date|string|null} scheduledAt - Publish time (optional)
+ * @returns {Date|null} Publish time, or null to publish right away
+ */
+export const resolveScheduledAt = (scheduledAt) => {
+  if (!scheduledAt) {
+    return null;
+  }
+
+  const publishAt = new Date(scheduledAt);
+  if (publishAt <= new Date()) {
+    throw new Error("Scheduled time must be in the future");
+  }
+
+  const maxPublishAt = new Date();
+  maxPublishAt.setDate(maxPublishAt.getDate() + MAX_SCHEDULE_AHEAD_DAYS);
+  if (publishAt > maxPublishAt) {
+    throw new Error(
+      `Content cannot be scheduled more than ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`
+    );
+  }
+
+  return publishAt;
+};
+
+/**
+ * Format a scheduled poll
+ * @param {Object} poll - Poll document (createdBy populated)
+ * @returns {Object} Formatted poll
+ */
+const formatScheduledPoll = (poll) => ({
+  id: poll._id.toString(),
+  contentType: POLL_CONTENT_TYPE,
+  createdBy: {
+    id: poll.createdBy._id.toString(),
+    name: poll.createdBy.name,
+    username: poll.createdBy.username,
+    profileImage: poll.createdBy.profileImage,
+    isAccountVerified: poll.createdBy.isAccountVerified,
+    isVerifiedBadge: poll.createdBy.isVerifiedBadge,
+  },
+  caption: poll.caption || "",
+  options: poll.options.map((option) => ({
+    optionId: option.optionId,
+    optionText: option.optionText,
+  })),
+  durationMs: poll.durationMs,
+  scheduledAt: poll.scheduledAt,
+  createdAt: poll.createdAt,
+  updatedAt: poll.updatedAt,
+});
+
+/**
+ * Get the user's scheduled content, next to be published first
+ * @param {string} userId - User ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ * @param {string|null} contentTypeParam - Only this content type (optional; ContentType value, slug or "poll")
+ * @returns {Promise<Object>} { items, pagination }
+ */
+export const getScheduledContent = async (
+  userId,
+  page = 1,
+  limit = 20,
+  contentTypeParam = null
+) => {
+  try {
+    const contentTypes = contentTypeParam
+      ? [resolveSchedulableType(contentTypeParam)]
+      : SCHEDULABLE_CONTENT_TYPES;
+    const skip = (page - 1) * limit;
+
+    // Every page is cut from the merged lists, so each type is read up to it
+    const results = await Promise.all(
+      contentTypes.map(async (type) => {
+        const Model = getContentModel(type);
+        const filter = {
+          [getOwnerField(type)]: userId,
+          scheduledAt: { $ne: null },
+        };
+
+        let query = Model.find(filter)
+          .sort({ scheduledAt: 1 })
+          .limit(skip + limit)
+          .populate(getOwnerField(type), USER_FIELDS);
+        if (type !== POLL_CONTENT_TYPE) {
+          query = query.populate("mentionedUserIds", USER_FIELDS);
+        }
+        if (type === ContentType.POST || type === ContentType.ZEAL) {
+          query = query.populate(
+            "musicId",
+            "title artist album coverImage duration"
+          );
+        }
+
+        const [items, count] = await Promise.all([
+          query.lean(),
+          Model.countDocuments(filter),
+        ]);
+
+        return {
+          items: items.map((item) => ({ ...item, contentType: type })),
+          count,
+        };
+      })
+    );
+
+    const total = results.reduce((sum, result) => sum + result.count, 0);
+    const pageItems = results
+      .flatMap((result) => result.items)
+      .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt))
+      .slice(skip, skip + limit);
+
+    const formattedContent = await formatContentList(
+      userId,
+      pageItems.filter((item) => item.contentType !== POLL_CONTENT_TYPE)
+    );
+    const formattedById = new Map(
+      formattedContent.map((item) => [item.id, item])
+    );
+
+    return {
+      items: pageItems.map((item) =>
+        item.contentType === POLL_CONTENT_TYPE
+          ? formatScheduledPoll(item)
+          : formattedById.get(item._id.toString())
+      ),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error in getScheduledContent:", error);
+    throw error;
+  }
+};
+
+/**
+ * Move a scheduled item of the user to another publish time
+ * @param {string} userId - User ID
+ * @param {string} contentTypeParam - ContentType value, slug or "poll"
+ * @param {string} contentId - Content ID
+ * @param {Date|string} scheduledAt - New publish time
+ * @returns {Promise<Object>} { contentType, contentId, scheduledAt }
+ */
+export const rescheduleContent = async (
+  userId,
+  contentTypeParam,
+  contentId,
+  scheduledAt
+) => {
+  try {
+    const contentType = resolveSchedulableType(contentTypeParam);
+    const Model = getContentModel(contentType);
+
+    const publishAt = resolveScheduledAt(scheduledAt);
+    if (!publishAt) {
+      throw new Error("Scheduled time is required");
+    }
+
+    // Other users never learn whether the content exists
+    const content = await Model.findOne({
+      _id: contentId,
+      [getOwnerField(contentType)]: userId,
+    })
+      .select("scheduledAt durationMs")
+      .lean();
+
+    if (!content) {
+      throw new Error("Content not found");
+    }
+
+    const update = { scheduledAt: publishAt };
+    // A poll's provisional deadline moves with its publish time
+    if (contentType === POLL_CONTENT_TYPE) {
+      update.duration = new Date(publishAt.getTime() + content.durationMs);
+    }
+
+    // Only while still scheduled; the cron may publish it meanwhile
+    const { modifiedCount } = await Model.updateOne(
+      { _id: content._id, scheduledAt: { $ne: null } },
+      { $set: update }
+    );
+
+    if (modifiedCount === 0) {
+      throw new Error("Content is already published");
+    }
+
+    logger.info(
+      `${contentType} ${content._id} rescheduled to ${publishAt.toISOString()} by user ${userId}`
+    );
+
+    return {
+      contentType,
+      contentId: content._id.toString(),
+      scheduledAt: publishAt,
+    };
+  } catch (error) {
+    logger.error("Error in rescheduleContent:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a scheduled item of the user. It is deleted without ever having
+ * been published.
+ * @param {string} userId - User ID
+ * @param {string} contentTypeParam - ContentType value, slug or "poll"
+ * @param {string} contentId - Content ID
+ * @returns {Promise<Object>} { contentType, contentId, deletedAt }
+ */
+export const cancelScheduledContent = async (
+  userId,
+  contentTypeParam,
+  contentId
+) => {
+  try {
+    // Content the cron published in the meantime is left alone
+    return await deleteContent(
+      userId,
+      resolveSchedulableType(contentTypeParam),
+      contentId,
+      { scheduledAt: { $ne: null } }
+    );
+  } catch (error) {
+    logger.error("Error in cancelScheduledContent:", error);
+    throw error;
+  }
+};
+
+/**
+ * Run the side effects of content going live: link its hashtags and notify
+ * the users it mentions. Called on creation, or on publish for scheduled
+ * content.
+ * @param {string} contentType - ContentType value, or "poll"
+ * @param {Object} content - Published content document
+ * @returns {Promise<void>}
+ */
+export const runPublishSideEffects = async (contentType, content) => {
+  // Link hashtags to content (async, don't wait)
+  const tags = extractHashtags(content[TEXT_FIELDS[contentType]]);
+  if (tags.length > 0) {
+    linkHashtagsToContent(
+      contentType === POLL_CONTENT_TYPE
+        ? POLL_HASHTAG_CONTENT_TYPE
+        : contentType,
+      content._id,
+      tags
+    ).catch((error) => {
+      logger.error(
+        `Error linking hashtags for ${contentType} ${content._id}:`,
+        error
+      );
+    });
+  }
+
+  // Polls have no mentions
+  if (contentType !== POLL_CONTENT_TYPE) {
+    try {
+      await notifyNewMentions(contentType, content);
+    } catch (notificationError) {
+      // Log error but don't fail the publish
+      logger.error("Error creating mention notifications:", notificationError);
+    }
+  }
+};
+
+/**
+ * Publish one due item and run its publish side effects
+ * @param {string} contentType - ContentType value, or "poll"
+ * @param {Object} item - Due item ({ _id, durationMs })
+ * @returns {Promise<boolean>} True if published by this call
+ */
+const publishScheduledItem = async (contentType, item) => {
+  const publishedAt = new Date();
+  const update = { scheduledAt: null, createdAt: publishedAt };
+
+  // Poll duration is measured from the publish time
+  if (contentType === POLL_CONTENT_TYPE) {
+    update.duration = new Date(publishedAt.getTime() + item.durationMs);
+    update.durationMs = null;
+    update.status = PollStatus.ACTIVE;
+  }
+
+  // Claimed atomically, so an item is only ever published once; it goes to
+  // the top of the feeds as of its publish time
+  const content = await getContentModel(contentType)
+    .findOneAndUpdate(
+      { _id: item._id, scheduledAt: { $ne: null, $lte: publishedAt } },
+      { $set: update },
+      { new: true, overwriteImmutable: true }
+    )
+    .lean();
+
+  if (!content) {
+    return false;
+  }
+
+  await runPublishSideEffects(contentType, content);
+
+  logger.info(`Scheduled ${contentType} published: ${content._id}`);
+
+  return true;
+};
+
+/**
+ * Publish every scheduled item whose time has come. Zeals still processing
+ * are published on a later run, once they are ready.
+ * @returns {Promise<Object>} { publishedCount, failedCount }
+ */
+export const publishDueContent = async () => {
+  try {
+    const now = new Date();
+    let publishedCount = 0;
+    let failedCount = 0;
+
+    for (const contentType of SCHEDULABLE_CONTENT_TYPES) {
+      const filter = { scheduledAt: { $ne: null, $lte: now } };
+      if (contentType === ContentType.ZEAL) {
+        filter.status = { $in: [ZealStatus.READY, ZealStatus.PUBLISHED] };
+      }
+
+      const dueItems = await getContentModel(contentType)
+        .find(filter)
+        .sort({ scheduledAt: 1 })
+        .limit(PUBLISH_BATCH_SIZE)
+        .select("_id durationMs")
+        .lean();
+
+      for (const item of dueItems) {
+        try {
+          if (await publishScheduledItem(contentType, item)) {
+            publishedCount += 1;
+          }
+        } catch (error) {
+          failedCount += 1;
+          logger.error(
+            `Error publishing scheduled ${contentType} ${item._id}:`,
+            error
+          );
+        }
+      }
+    }
+
+    return { publishedCount, failedCount };
+  } catch (error) {
+    logger.error("Error in publishDueContent:", error);
+    throw error;
+  }
+};
+
+export default {
+  resolveScheduledAt,
+  runPublishSideEffects,
+  getScheduledContent,
+  rescheduleContent,
+  cancelScheduledContent,
+  publishDueContent,
+};
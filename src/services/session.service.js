@@ -0,0 +1,399 @@
+/**
+ * Session Service
+ * Persists signed-in sessions and rotates their refresh tokens
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import UserSession from "../models/users/UserSession.js";
+import User from "../models/users/User.js";
+import { SessionRevokeReason, DevicePlatform } from "../models/enums.js";
+import config from "../config/env.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Hash a refresh token for storage / comparison
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Minimum interval between lastActiveAt writes for the same session
+const LAST_ACTIVE_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Sign a refresh token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {{ refreshToken: string, expiresAt: Date }} Signed token and its expiry
+ */
+const signRefreshToken = (userId, sessionId) => {
+  const refreshToken = jwt.sign(
+    { id: userId, sid: sessionId },
+    config.jwt.refreshSecret,
+    {
+      expiresIn: config.jwt.refreshExpiresIn,
+      jwtid: crypto.randomBytes(16).toString("hex"),
+    }
+  );
+  const { exp } = jwt.decode(refreshToken);
+
+  return { refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Create a new session (token family) for a user
+ * @param {string} userId - User ID
+ * @param {Object} sessionMeta - Request metadata
+ * @param {string} sessionMeta.ipAddress - Client IP address
+ * @param {string} sessionMeta.userAgent - Client user agent
+ * @param {string} sessionMeta.deviceName - Device name reported by the client (optional)
+ * @param {string} sessionMeta.platform - DevicePlatform value (optional)
+ * @returns {Promise<Object>} { sessionId, refreshToken }
+ */
+export const createSession = async (userId, sessionMeta = {}) => {
+  try {
+    const sessionId = new UserSession()._id.toString();
+    const { refreshToken, expiresAt } = signRefreshToken(
+      userId.toString(),
+      sessionId
+    );
+
+    await UserSession.create({
+      _id: sessionId,
+      userId,
+      refreshTokenHash: hashToken(refreshToken),
+      deviceName: sessionMeta.deviceName || null,
+      platform: sessionMeta.platform || DevicePlatform.OTHER,
+      ipAddress: sessionMeta.ipAddress || null,
+      userAgent: sessionMeta.userAgent || null,
+      lastActiveAt: new Date(),
+      expiresAt,
+    });
+
+    logger.info(`Session ${sessionId} created for user ${userId}`);
+
+    return { sessionId, refreshToken };
+  } catch (error) {
+    logger.error("Error in createSession:", error);
+    throw error;
+  }
+};
+
+/**
+ * Clean up after sessions have been revoked:
+ * drop their push tokens and disconnect their live sockets
+ * @param {Array<Object>} sessions - Revoked session documents
+ */
+const afterSessionsRevoked = async (sessions) => {
+  if (sessions.length === 0) {
+    return;
+  }
+
+  // Stop pushing notifications to signed-out devices
+  const fcmTokens = sessions.map((s) => s.fcmToken).filter(Boolean);
+  if (fcmTokens.length > 0) {
+    await User.updateMany(
+      { fcmToken: { $in: fcmTokens } },
+      { $set: { fcmToken: null } }
+    );
+    await UserSession.updateMany(
+      { _id: { $in: sessions.map((s) => s._id) } },
+      { $set: { fcmToken: null } }
+    );
+  }
+
+  // Dynamic import to avoid a circular dependency (socket -> services)
+  const { disconnectSessionSockets } = await import("../socket/socket.js");
+  disconnectSessionSockets(sessions.map((s) => s._id.toString()));
+};
+
+/**
+ * Revoke a session so its refresh (and access) tokens stop working
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - SessionRevokeReason value
+ * @returns {Promise<Object|null>} Revoked session or null if already revoked / missing
+ */
+export const revokeSession = async (sessionId, reason) => {
+  try {
+    const session = await UserSession.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (session) {
+      await afterSessionsRevoked([session]);
+      logger.info(`Session ${sessionId} revoked (${reason})`);
+    }
+
+    return session;
+  } catch (error) {
+    logger.error("Error in revokeSession:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} reason - SessionRevokeReason value
+ * @param {string} exceptSessionId - Session to keep signed in (optional)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (
+  userId,
+  reason,
+  exceptSessionId = null
+) => {
+  try {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await UserSession.find(query).select("_id fcmToken");
+    if (sessions.length === 0) {
+      return 0;
+    }
+
+    await UserSession.updateMany(
+      { _id: { $in: sessions.map((s) => s._id) }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    await afterSessionsRevoked(sessions);
+
+    logger.info(
+      `Revoked ${sessions.length} session(s) for user ${userId} (${reason})`
+    );
+
+    return sessions.length;
+  } catch (error) {
+    logger.error("Error in revokeUserSessions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Check that a session is still usable and record activity on it
+ * @param {string} sessionId - Session ID (the token's sid claim)
+ * @param {string} userId - User ID the token was issued to
+ * @returns {Promise<boolean>} True if the session exists, belongs to the user and is not revoked/expired
+ */
+export const validateSession = async (sessionId, userId) => {
+  const session = await UserSession.findById(sessionId).select(
+    "userId revokedAt expiresAt lastActiveAt"
+  );
+
+  if (
+    !session ||
+    session.revokedAt ||
+    session.expiresAt < new Date() ||
+    session.userId.toString() !== userId.toString()
+  ) {
+    return false;
+  }
+
+  // Throttle lastActiveAt writes (non-blocking)
+  if (Date.now() - session.lastActiveAt.getTime() > LAST_ACTIVE_UPDATE_INTERVAL_MS) {
+    UserSession.updateOne(
+      { _id: sessionId },
+      { $set: { lastActiveAt: new Date() } }
+    ).catch((error) => {
+      logger.error(`Failed to update lastActiveAt for session ${sessionId}:`, error);
+    });
+  }
+
+  return true;
+};
+
+/**
+ * List a user's active sessions (signed-in devices)
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session making the request (flagged as isCurrent)
+ * @returns {Promise<Array>} Formatted sessions, most recently active first
+ */
+export const getActiveSessions = async (userId, currentSessionId = null) => {
+  try {
+    const sessions = await UserSession.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastActiveAt: -1 })
+      .lean();
+
+    return sessions.map((session) => ({
+      id: session._id.toString(),
+      deviceName: session.deviceName,
+      platform: session.platform,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      hasFcmToken: !!session.fcmToken,
+      isCurrent: currentSessionId
+        ? session._id.toString() === currentSessionId.toString()
+        : false,
+      lastActiveAt: session.lastActiveAt,
+      createdAt: session.createdAt,
+    }));
+  } catch (error) {
+    logger.error("Error in getActiveSessions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Sign out one of the user's sessions
+ * @param {string} userId - User ID (ownership check)
+ * @param {string} sessionId - Session to sign out
+ * @param {string} currentSessionId - Session making the request
+ * @returns {Promise<Object>} { sessionId, isCurrent }
+ */
+export const signOutSession = async (userId, sessionId, currentSessionId = null) => {
+  try {
+    const session = await UserSession.findOne({
+      _id: sessionId,
+      userId,
+      revokedAt: null,
+    }).select("_id");
+
+    if (!session) {
+      throw new Error("Session not found");
+    }
+
+    const isCurrent =
+      !!currentSessionId && sessionId.toString() === currentSessionId.toString();
+
+    await revokeSession(
+      sessionId,
+      isCurrent ? SessionRevokeReason.LOGOUT : SessionRevokeReason.REMOTE_LOGOUT
+    );
+
+    return { sessionId: sessionId.toString(), isCurrent };
+  } catch (error) {
+    logger.error("Error in signOutSession:", error);
+    throw error;
+  }
+};
+
+/**
+ * Bind (or clear) the FCM token of a session
+ * A device token can only belong to one session, so it is removed from any other session first.
+ * @param {string} sessionId - Session ID
+ * @param {string|null} fcmToken - FCM token, or null to unbind
+ * @returns {Promise<void>}
+ */
+export const setSessionFcmToken = async (sessionId, fcmToken) => {
+  try {
+    if (fcmToken) {
+      await UserSession.updateMany(
+        { fcmToken, _id: { $ne: sessionId } },
+        { $set: { fcmToken: null } }
+      );
+    }
+
+    await UserSession.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { fcmToken: fcmToken || null } }
+    );
+  } catch (error) {
+    logger.error("Error in setSessionFcmToken:", error);
+    throw error;
+  }
+};
+
+/**
+ * Rotate a refresh token
+ * Presenting a refresh token that has already been rotated is treated as
+ * token theft: the whole session (token family) is revoked.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} sessionMeta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} { userId, sessionId, refreshToken }
+ */
+export const rotateRefreshToken = async (refreshToken, sessionMeta = {}) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        throw new Error("Refresh token has expired. Please login again");
+      }
+      throw new Error("Invalid refresh token. Please login again");
+    }
+
+    if (!decoded || !decoded.id || !decoded.sid) {
+      throw new Error("Invalid refresh token. Please login again");
+    }
+
+    const session = await UserSession.findById(decoded.sid);
+
+    if (!session || session.userId.toString() !== decoded.id) {
+      throw new Error("Invalid refresh token. Please login again");
+    }
+
+    if (session.revokedAt) {
+      throw new Error("Session has been revoked. Please login again");
+    }
+
+    const presentedHash = hashToken(refreshToken);
+
+    if (session.refreshTokenHash !== presentedHash) {
+      await revokeSession(session._id, SessionRevokeReason.REUSE_DETECTED);
+      logger.warn(
+        `Refresh token reuse detected for session ${session._id} (user ${session.userId})`
+      );
+      throw new Error("Refresh token reuse detected. Please login again");
+    }
+
+    const sessionId = session._id.toString();
+    const { refreshToken: newRefreshToken, expiresAt } = signRefreshToken(
+      decoded.id,
+      sessionId
+    );
+
+    // Conditional update so two concurrent refreshes with the same token
+    // cannot both succeed
+    const rotated = await UserSession.findOneAndUpdate(
+      { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashToken(newRefreshToken),
+          lastActiveAt: new Date(),
+          expiresAt,
+          ...(sessionMeta.ipAddress && { ipAddress: sessionMeta.ipAddress }),
+          ...(sessionMeta.userAgent && { userAgent: sessionMeta.userAgent }),
+        },
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await revokeSession(sessionId, SessionRevokeReason.REUSE_DETECTED);
+      logger.warn(`Concurrent refresh token reuse detected for session ${sessionId}`);
+      throw new Error("Refresh token reuse detected. Please login again");
+    }
+
+    return {
+      userId: decoded.id,
+      sessionId,
+      refreshToken: newRefreshToken,
+    };
+  } catch (error) {
+    logger.error("Error in rotateRefreshToken:", error);
+    throw error;
+  }
+};
+
+export default {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  validateSession,
+  getActiveSessions,
+  signOutSession,
+  setSessionFcmToken,
+};
@@ -0,0 +1,152 @@
+/**
+ * SMS Service
+ * Sends SMS messages through a pluggable provider (driver).
+ *
+ * A provider is an object with an async `send({ to, message })` method.
+ * Built-in drivers:
+ * - console: only logs the message (default, local development)
+ * - file: appends each message as a JSON line to SMS_FILE_PATH (tests can read OTPs from it)
+ * - brevo: Brevo transactional SMS API
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import config from "../config/env.js";
+import logger from "../utils/logger.js";
+
+const BREVO_SMS_API_URL = "https://api.brevo.com/v3/transactionalSMS/sms";
+
+/**
+ * Console driver: log the message instead of sending it
+ */
+const consoleProvider = {
+  send: async ({ to, message }) => {
+    logger.info(`SMS to ${to}: ${message}`);
+    return { success: true, message: "SMS logged (console driver)" };
+  },
+};
+
+/**
+ * File driver: append the message to a JSON-lines file
+ */
+const fileProvider = {
+  send: async ({ to, message }) => {
+    const filePath = path.resolve(config.sms.filePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      `${JSON.stringify({ to, message, sentAt: new Date().toISOString() })}\n`
+    );
+    return { success: true, message: "SMS written to file (file driver)" };
+  },
+};
+
+/**
+ * Brevo driver: send through the Brevo transactional SMS API
+ */
+const brevoProvider = {
+  send: async ({ to, message }) => {
+    if (!config.brevo?.apiKey) {
+      throw new Error("Brevo API key not configured");
+    }
+
+    const response = await fetch(BREVO_SMS_API_URL, {
+      method: "POST",
+      headers: {
+        "api-key": config.brevo.apiKey,
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify({
+        sender: config.sms.sender,
+        // Brevo expects the number without the leading "+"
+        recipient: to.replace(/^\+/, ""),
+        content: message,
+        type: "transactional",
+      }),
+    });
+
+    const responseData = await response.json();
+
+    if (!response.ok) {
+      logger.error("Brevo SMS API error:", responseData);
+      throw new Error(
+        responseData.message || `Brevo SMS API error: ${response.status}`
+      );
+    }
+
+    return { success: true, messageId: responseData.messageId };
+  },
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  brevo: brevoProvider,
+};
+
+/**
+ * Register (or replace) an SMS provider
+ * @param {string} name - Provider name (selected with SMS_PROVIDER)
+ * @param {Object} provider - Object with an async send({ to, message }) method
+ */
+export const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== "function") {
+    throw new Error("SMS provider must implement send({ to, message })");
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Format a phone number as E.164
+ * @param {string} countryCode - Country code (e.g. "+91")
+ * @param {number|string} phoneNumber - Phone number without country code
+ * @returns {string} E.164 phone number
+ */
+export const formatPhoneNumber = (countryCode, phoneNumber) => {
+  return `${countryCode}${phoneNumber}`;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {Object} options - SMS options
+ * @param {string} options.to - Recipient phone number (E.164)
+ * @param {string} options.message - Message text
+ * @returns {Promise<Object>} Provider result
+ */
+export const sendSMS = async ({ to, message }) => {
+  const provider = providers[config.sms.provider];
+
+  try {
+    if (!provider) {
+      throw new Error(`Unknown SMS provider: ${config.sms.provider}`);
+    }
+
+    const result = await provider.send({ to, message });
+    logger.info(`SMS sent to ${to} via ${config.sms.provider}`);
+    return result;
+  } catch (error) {
+    logger.error(`Error sending SMS to ${to}:`, error);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+};
+
+/**
+ * Send OTP SMS
+ * @param {string} to - Recipient phone number (E.164)
+ * @param {number} otp - OTP code
+ * @returns {Promise<Object>} Provider result
+ */
+export const sendOTPSMS = async (to, otp) => {
+  return sendSMS({
+    to,
+    message: `${otp} is your Omeeba verification code. It expires in ${config.otp.expireMinutes} minutes. Do not share it with anyone.`,
+  });
+};
+
+export default {
+  sendSMS,
+  sendOTPSMS,
+  registerSmsProvider,
+  formatPhoneNumber,
+};
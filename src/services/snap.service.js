@@ -5,7 +5,9 @@
 
 import Snap from "../models/chat/Snap.js";
 import { User } from "../models/index.js";
+import { ContentVisibility } from "../models/enums.js";
 import { getMediaForUser } from "./media.service.js";
+import { getCloseFriendIds } from "./close-friends.service.js";
 import {
   generateStorageKey,
   generatePresignedUploadUrl,
@@ -16,6 +18,7 @@ import { GetObjectCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import config from "../config/env.js";
 import logger from "../utils/logger.js";
+import { getBlockedUserIds, isBlockedBetween } from "../utils/blockFilter.js";
 import { S3Client } from "@aws-sdk/client-s3";
 import crypto from "crypto";
 
@@ -72,30 +75,50 @@ const getBucketName = () => {
  * Validate recipients
  * @param {string} senderId - Sender user ID
  * @param {Array<string>} recipientIds - Array of recipient user IDs
+ * @param {string} visibility - ContentVisibility; Close Friends snaps default to the whole list
  * @returns {Promise<Array>} Validated recipient users
  */
-const validateRecipients = async (senderId, recipientIds) => {
+const validateRecipients = async (senderId, recipientIds, visibility = ContentVisibility.PUBLIC) => {
+  const isCloseFriends = visibility === ContentVisibility.CLOSE_FRIENDS;
+  let closeFriendIds = [];
+
+  if (isCloseFriends) {
+    closeFriendIds = (await getCloseFriendIds(senderId)).map((id) => id.toString());
+    if (closeFriendIds.length === 0) {
+      throw new Error("Your Close Friends list is empty");
+    }
+    if (!recipientIds || recipientIds.length === 0) {
+      recipientIds = closeFriendIds;
+    }
+  }
+
   if (!recipientIds || recipientIds.length === 0) {
     throw new Error("At least one recipient is required");
   }
 
   // Remove duplicates
-  const uniqueRecipientIds = [...new Set(recipientIds)];
+  const uniqueRecipientIds = [...new Set(recipientIds.map((id) => id.toString()))];
 
   // Check if sender is trying to send to themselves
-  if (uniqueRecipientIds.includes(senderId)) {
+  if (uniqueRecipientIds.includes(senderId.toString())) {
     throw new Error("Cannot send snap to yourself");
   }
 
-  // Validate maximum recipients (prevent spam)
-  const MAX_RECIPIENTS = 50;
-  if (uniqueRecipientIds.length > MAX_RECIPIENTS) {
-    throw new Error(`Maximum ${MAX_RECIPIENTS} recipients allowed`);
+  if (isCloseFriends) {
+    if (uniqueRecipientIds.some((id) => !closeFriendIds.includes(id))) {
+      throw new Error("Close Friends snaps can only be sent to your Close Friends");
+    }
+  } else {
+    // Validate maximum recipients (prevent spam); the Close Friends list is curated by the sender
+    const MAX_RECIPIENTS = 50;
+    if (uniqueRecipientIds.length > MAX_RECIPIENTS) {
+      throw new Error(`Maximum ${MAX_RECIPIENTS} recipients allowed`);
+    }
   }
 
-  // Verify all recipients exist
+  // Verify all recipients exist (users blocked with the sender count as missing)
   const recipients = await User.find({
-    _id: { $in: uniqueRecipientIds },
+    _id: { $in: uniqueRecipientIds, $nin: await getBlockedUserIds(senderId) },
   }).select("_id name username");
 
   if (recipients.length !== uniqueRecipientIds.length) {
@@ -108,17 +131,26 @@ const validateRecipients = async (senderId, recipientIds) => {
 /**
  * Send snap using mediaId (from POST /media/upload). Socket-only flow.
  * @param {string} senderId - Sender user ID
- * @param {Object} payload - { mediaId, recipientIds, expiresInSeconds?, duration? }
+ * @param {Object} payload - { mediaId, recipientIds, expiresInSeconds?, duration?, visibility? }
  * @returns {Promise<Object>} Formatted snap
  */
 export const sendSnapWithMediaId = async (senderId, payload) => {
-  const { mediaId, recipientIds, expiresInSeconds = 86400, duration = null } = payload;
-  if (!mediaId || !recipientIds?.length) {
+  const {
+    mediaId,
+    recipientIds,
+    expiresInSeconds = 86400,
+    duration = null,
+    visibility = ContentVisibility.PUBLIC,
+  } = payload;
+  if (!Object.values(ContentVisibility).includes(visibility)) {
+    throw new Error("Invalid visibility");
+  }
+  if (!mediaId || (!recipientIds?.length && visibility !== ContentVisibility.CLOSE_FRIENDS)) {
     throw new Error("mediaId and recipientIds are required");
   }
 
   const media = await getMediaForUser(mediaId, senderId);
-  const recipients = await validateRecipients(senderId, recipientIds);
+  const recipients = await validateRecipients(senderId, recipientIds, visibility);
 
   const expiresAt = new Date();
   expiresAt.setSeconds(expiresAt.getSeconds() + expiresInSeconds);
@@ -131,6 +163,7 @@ export const sendSnapWithMediaId = async (senderId, payload) => {
     mediaUrl: media.mediaUrl,
     thumbnailUrl: media.thumbnailUrl,
     duration,
+    visibility,
     expiresAt,
     isExpired: false,
   });
@@ -153,6 +186,7 @@ export const sendSnapWithMediaId = async (senderId, payload) => {
  * @param {string} snapData.mimeType - MIME type
  * @param {number} snapData.duration - Duration in seconds (for videos)
  * @param {number} snapData.expiresInSeconds - Expiration time in seconds (default: 24 hours)
+ * @param {string} snapData.visibility - ContentVisibility (default: Public)
  * @returns {Promise<Object>} Snap metadata and upload URL
  */
 export const createSnap = async (senderId, snapData) => {
@@ -163,6 +197,7 @@ export const createSnap = async (senderId, snapData) => {
       mimeType,
       duration = null,
       expiresInSeconds = 86400, // Default: 24 hours
+      visibility = ContentVisibility.PUBLIC,
     } = snapData;
 
     // Validate media type
@@ -180,7 +215,7 @@ export const createSnap = async (senderId, snapData) => {
     }
 
     // Validate recipients
-    const recipients = await validateRecipients(senderId, recipientIds);
+    const recipients = await validateRecipients(senderId, recipientIds, visibility);
 
     // Generate storage key for snap
     const timestamp = Date.now();
@@ -214,6 +249,7 @@ export const createSnap = async (senderId, snapData) => {
       storageKey,
       mediaUrl: getPublicUrl(storageKey), // Will be updated after upload
       duration,
+      visibility,
       expiresAt,
       isExpired: false,
     });
@@ -434,6 +470,7 @@ const formatSnapResponse = (snap, userId) => {
       isVerifiedBadge: snap.senderId.isVerifiedBadge,
     },
     mediaType: snap.mediaType,
+    visibility: snap.visibility,
     thumbnailUrl: snap.thumbnailUrl,
     duration: snap.duration,
     expiresAt: snap.expiresAt,
@@ -471,9 +508,20 @@ export const deliverSnapToRecipients = async (snapId, senderId) => {
     const ChatParticipant = (await import("../models/chat/ChatParticipant.js")).default;
     const { MessageType, MessageStatus } = await import("../models/enums.js");
 
+    // Recipients removed from Close Friends since the snap was created are skipped
+    const closeFriendIds =
+      snap.visibility === ContentVisibility.CLOSE_FRIENDS
+        ? new Set((await getCloseFriendIds(senderId)).map((id) => id.toString()))
+        : null;
+
     // Deliver to each recipient
     for (const recipient of snap.recipients) {
       try {
+        if (closeFriendIds && !closeFriendIds.has(recipient.userId._id.toString())) {
+          logger.warn(`Skipping snap delivery to user no longer in Close Friends: ${recipient.userId._id}`);
+          continue;
+        }
+
         // Find or create chat room
         let room = await ChatRoom.findOne({
           $or: [
@@ -495,6 +543,12 @@ export const deliverSnapToRecipients = async (snapId, senderId) => {
           continue;
         }
 
+        // A block may have been added since the snap was created
+        if (await isBlockedBetween(senderId, recipient.userId._id)) {
+          logger.warn(`Cannot deliver snap to blocked user: ${recipient.userId._id}`);
+          continue;
+        }
+
         // Create chat message for the snap
         const message = await ChatMessage.create({
           roomId: room._id,
@@ -0,0 +1,346 @@
+/**
+ * Social Auth Service
+ * Verifies Apple / Google identity tokens against the provider's signing
+ * keys (JWKS) and manages the social accounts linked to a user.
+ *
+ * The JWKS source is configurable per provider: an https URL in production,
+ * or a local JSON file (e.g. in tests, with tokens signed by a test key).
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import jwt from "jsonwebtoken";
+import User from "../models/users/User.js";
+import SocialAccount from "../models/users/SocialAccount.js";
+import { SocialProvider } from "../models/enums.js";
+import config from "../config/env.js";
+import logger from "../utils/logger.js";
+
+// Signing keys are cached and refreshed at most this often,
+// or sooner when a token uses an unknown key ID
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Unknown key IDs refresh the keys at most this often, so tokens with
+// made-up key IDs can't make every request refetch them
+const JWKS_REFRESH_COOLDOWN_MS = 60 * 1000;
+
+const PROVIDERS = {
+  [SocialProvider.APPLE]: {
+    label: "Apple",
+    issuers: ["https://appleid.apple.com"],
+    getConfig: () => config.social.apple,
+  },
+  [SocialProvider.GOOGLE]: {
+    label: "Google",
+    issuers: ["https://accounts.google.com", "accounts.google.com"],
+    getConfig: () => config.social.google,
+  },
+};
+
+// Format: { provider: { keys: Array, fetchedAt: number } }
+const jwksCache = new Map();
+
+// Refreshes in progress, shared by concurrent requests
+// Format: { provider: Promise<Array> }
+const jwksRefreshes = new Map();
+
+/**
+ * Get a provider definition
+ * @param {string} provider - SocialProvider value
+ * @returns {Object} Provider definition
+ */
+const getProvider = (provider) => {
+  const definition = PROVIDERS[provider];
+  if (!definition) {
+    throw new Error("Unsupported sign-in provider");
+  }
+  return definition;
+};
+
+/**
+ * Load a JWKS document from a URL or a local file
+ * @param {string} source - https URL, file:// URL or file path
+ * @returns {Promise<Array>} JWK list
+ */
+const loadJwks = async (source) => {
+  let jwks;
+
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch signing keys: ${response.status}`);
+    }
+    jwks = await response.json();
+  } else {
+    const filePath = source.startsWith("file://")
+      ? fileURLToPath(source)
+      : path.resolve(source);
+    jwks = JSON.parse(await fs.readFile(filePath, "utf8"));
+  }
+
+  if (!Array.isArray(jwks?.keys)) {
+    throw new Error("Invalid JWKS document");
+  }
+
+  return jwks.keys;
+};
+
+/**
+ * Fetch a provider's JWKS into the cache
+ * @param {string} provider - SocialProvider value
+ * @returns {Promise<Array>} JWK list
+ */
+const refreshJwks = (provider) => {
+  if (!jwksRefreshes.has(provider)) {
+    const { jwksUri } = getProvider(provider).getConfig();
+    jwksRefreshes.set(
+      provider,
+      loadJwks(jwksUri)
+        .then((keys) => {
+          jwksCache.set(provider, { keys, fetchedAt: Date.now() });
+          return keys;
+        })
+        .finally(() => jwksRefreshes.delete(provider))
+    );
+  }
+  return jwksRefreshes.get(provider);
+};
+
+/**
+ * Find the signing key for a token, refreshing the cached JWKS when needed
+ * @param {string} provider - SocialProvider value
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+const getSigningKey = async (provider, kid) => {
+  const cached = jwksCache.get(provider);
+  const cacheAge = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+  let jwk =
+    cacheAge < JWKS_CACHE_TTL_MS
+      ? cached.keys.find((key) => key.kid === kid)
+      : null;
+
+  if (!jwk && cacheAge >= JWKS_REFRESH_COOLDOWN_MS) {
+    const keys = await refreshJwks(provider);
+    jwk = keys.find((key) => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error("Identity token signed with an unknown key");
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Verify an Apple / Google identity token
+ * @param {string} provider - SocialProvider value
+ * @param {string} idToken - Identity token from the mobile SDK
+ * @returns {Promise<Object>} { providerUserId, email, emailVerified, name }
+ */
+export const verifySocialIdToken = async (provider, idToken) => {
+  try {
+    const definition = getProvider(provider);
+    const { clientIds } = definition.getConfig();
+
+    if (!clientIds.length) {
+      throw new Error(`Sign in with ${definition.label} is not configured`);
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw new Error("Invalid identity token");
+    }
+
+    const publicKey = await getSigningKey(provider, decoded.header.kid);
+
+    let payload;
+    try {
+      payload = jwt.verify(idToken, publicKey, {
+        algorithms: ["RS256"],
+        audience: clientIds,
+        issuer: definition.issuers,
+      });
+    } catch (verifyError) {
+      throw new Error(
+        verifyError.name === "TokenExpiredError"
+          ? "Identity token has expired. Please sign in again"
+          : "Invalid identity token"
+      );
+    }
+
+    if (!payload.sub) {
+      throw new Error("Invalid identity token");
+    }
+
+    return {
+      providerUserId: payload.sub,
+      email: payload.email ? payload.email.toLowerCase() : null,
+      // Apple sends email_verified as a string
+      emailVerified:
+        payload.email_verified === true || payload.email_verified === "true",
+      name: payload.name || null,
+    };
+  } catch (error) {
+    logger.error("Error in verifySocialIdToken:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the social account for a provider identity
+ * @param {string} provider - SocialProvider value
+ * @param {string} providerUserId - Provider user ID
+ * @returns {Promise<Object|null>} SocialAccount document
+ */
+export const findSocialAccount = async (provider, providerUserId) => {
+  return SocialAccount.findOne({ provider, providerUserId });
+};
+
+/**
+ * Link a provider identity to a user
+ * @param {string} userId - User ID
+ * @param {string} provider - SocialProvider value
+ * @param {Object} identity - Verified identity from verifySocialIdToken
+ * @returns {Promise<Object>} Created SocialAccount
+ */
+export const createSocialAccount = async (userId, provider, identity) => {
+  try {
+    return await SocialAccount.create({
+      userId,
+      provider,
+      providerUserId: identity.providerUserId,
+      email: identity.email,
+      lastLoginAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error(
+        `This ${getProvider(provider).label} account is already linked`
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Format a social account for API responses
+ * @param {Object} socialAccount - SocialAccount document
+ * @returns {Object} Formatted social account
+ */
+const formatSocialAccount = (socialAccount) => ({
+  provider: socialAccount.provider,
+  email: socialAccount.email,
+  linkedAt: socialAccount.createdAt,
+  lastLoginAt: socialAccount.lastLoginAt,
+});
+
+/**
+ * Get the providers linked to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Linked social accounts
+ */
+export const getLinkedSocialAccounts = async (userId) => {
+  try {
+    const socialAccounts = await SocialAccount.find({ userId })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return socialAccounts.map(formatSocialAccount);
+  } catch (error) {
+    logger.error("Error in getLinkedSocialAccounts:", error);
+    throw error;
+  }
+};
+
+/**
+ * Link a provider to the current account (from the profile)
+ * @param {string} userId - User ID
+ * @param {string} provider - SocialProvider value
+ * @param {string} idToken - Identity token from the mobile SDK
+ * @returns {Promise<Object>} Linked social account
+ */
+export const linkSocialAccount = async (userId, provider, idToken) => {
+  try {
+    const { label } = getProvider(provider);
+    const identity = await verifySocialIdToken(provider, idToken);
+
+    const existing = await findSocialAccount(provider, identity.providerUserId);
+    if (existing) {
+      throw new Error(
+        existing.userId.toString() === userId.toString()
+          ? `This ${label} account is already linked to your account`
+          : `This ${label} account is already linked to another account`
+      );
+    }
+
+    const alreadyLinked = await SocialAccount.exists({ userId, provider });
+    if (alreadyLinked) {
+      throw new Error(
+        `A ${label} account is already linked. Unlink it first to link another one`
+      );
+    }
+
+    const socialAccount = await createSocialAccount(userId, provider, identity);
+
+    logger.info(`${label} account linked for user ${userId}`);
+
+    return formatSocialAccount(socialAccount);
+  } catch (error) {
+    logger.error("Error in linkSocialAccount:", error);
+    throw error;
+  }
+};
+
+/**
+ * Unlink a provider from the current account.
+ * Refused when it is the only way left to sign in.
+ * @param {string} userId - User ID
+ * @param {string} provider - SocialProvider value
+ * @returns {Promise<void>}
+ */
+export const unlinkSocialAccount = async (userId, provider) => {
+  try {
+    const { label } = getProvider(provider);
+
+    const socialAccount = await SocialAccount.findOne({ userId, provider });
+    if (!socialAccount) {
+      throw new Error(`No ${label} account is linked`);
+    }
+
+    const [user, otherSocialAccounts] = await Promise.all([
+      User.findById(userId).select("email isPhoneVerified"),
+      SocialAccount.countDocuments({ userId, provider: { $ne: provider } }),
+    ]);
+
+    // Email accounts can always sign in (or reset their password);
+    // phone accounts sign in with SMS codes
+    const hasOtherSignIn =
+      otherSocialAccounts > 0 || !!user?.email || !!user?.isPhoneVerified;
+
+    if (!hasOtherSignIn) {
+      throw new Error(
+        `Add an email or phone number before unlinking ${label}, otherwise you will not be able to sign in`
+      );
+    }
+
+    await SocialAccount.deleteOne({ _id: socialAccount._id });
+
+    logger.info(`${label} account unlinked for user ${userId}`);
+  } catch (error) {
+    logger.error("Error in unlinkSocialAccount:", error);
+    throw error;
+  }
+};
+
+export default {
+  verifySocialIdToken,
+  findSocialAccount,
+  createSocialAccount,
+  getLinkedSocialAccounts,
+  linkSocialAccount,
+  unlinkSocialAccount,
+};
@@ -7,6 +7,8 @@ import {
   S3Client,
   PutObjectCommand,
   HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
   CreateMultipartUploadCommand,
   UploadPartCommand,
   CompleteMultipartUploadCommand,
@@ -145,6 +147,45 @@ export const generatePresignedUploadUrl = async (
   }
 };
 
+/**
+ * Generate pre-signed URL for downloading a (private) file
+ * @param {string} storageKey - Storage key (S3 key)
+ * @param {number} expiresIn - Expiration time in seconds (default: 3600 = 1 hour)
+ * @param {string} fileName - File name suggested to the browser (optional)
+ * @returns {Promise<string>} Pre-signed download URL
+ */
+export const generatePresignedDownloadUrl = async (
+  storageKey,
+  expiresIn = 3600,
+  fileName = null
+) => {
+  try {
+    const client = initializeS3Client();
+
+    if (!client) {
+      throw new Error("S3 client not initialized. Please configure storage credentials.");
+    }
+
+    const bucketName = getBucketName();
+    if (!bucketName) {
+      throw new Error("Storage bucket not configured");
+    }
+
+    const command = new GetObjectCommand({
+      Bucket: bucketName,
+      Key: storageKey,
+      ...(fileName && {
+        ResponseContentDisposition: `attachment; filename="${fileName}"`,
+      }),
+    });
+
+    return await getSignedUrl(client, command, { expiresIn });
+  } catch (error) {
+    logger.error("Error generating pre-signed download URL:", error);
+    throw new Error(`Failed to generate download URL: ${error.message}`);
+  }
+};
+
 /**
  * Verify if file exists in storage
  * @param {string} storageKey - Storage key (S3 key)
@@ -233,14 +274,69 @@ export const getPublicUrl = (storageKey) => {
   return null;
 };
 
+/**
+ * Resolve the storage key of a public URL produced by getPublicUrl
+ * @param {string} url - Public URL
+ * @returns {string|null} Storage key, or null if the URL is not served from our storage
+ */
+export const getStorageKeyFromUrl = (url) => {
+  if (!url) {
+    return null;
+  }
+
+  const baseUrl = getPublicUrl("");
+  if (!baseUrl || !url.startsWith(baseUrl)) {
+    return null;
+  }
+
+  return url.slice(baseUrl.length) || null;
+};
+
+/**
+ * Delete a file from storage
+ * @param {string} storageKey - Storage key (S3 key)
+ * @returns {Promise<void>}
+ */
+export const deleteFromStorage = async (storageKey) => {
+  try {
+    const client = initializeS3Client();
+
+    if (!client) {
+      throw new Error("S3 client not initialized. Please configure storage credentials.");
+    }
+
+    const bucketName = getBucketName();
+    if (!bucketName) {
+      throw new Error("Storage bucket not configured");
+    }
+
+    const command = new DeleteObjectCommand({
+      Bucket: bucketName,
+      Key: storageKey,
+    });
+
+    await client.send(command);
+  } catch (error) {
+    logger.error("Error deleting file from storage:", error);
+    throw new Error(`Failed to delete file: ${error.message}`);
+  }
+};
+
 /**
  * Upload a file buffer directly to storage
  * @param {string} storageKey - Storage key (S3 key)
  * @param {Buffer} buffer - File buffer
  * @param {string} mimeType - MIME type
+ * @param {Object} options - Upload options
+ * @param {boolean} options.isPublic - Make the file publicly readable (default: true)
  * @returns {Promise<string>} Public URL
  */
-export const uploadBufferToStorage = async (storageKey, buffer, mimeType) => {
+export const uploadBufferToStorage = async (
+  storageKey,
+  buffer,
+  mimeType,
+  { isPublic = true } = {}
+) => {
   try {
     const client = initializeS3Client();
 
@@ -258,7 +354,7 @@ export const uploadBufferToStorage = async (storageKey, buffer, mimeType) => {
       Key: storageKey,
       Body: buffer,
       ContentType: mimeType,
-      ACL: "public-read",
+      ...(isPublic && { ACL: "public-read" }),
     });
 
     await client.send(command);
@@ -437,10 +533,13 @@ export const abortMultipartUpload = async (storageKey, uploadId) => {
 export default {
   generateStorageKey,
   generatePresignedUploadUrl,
+  generatePresignedDownloadUrl,
   uploadBuffer,
   verifyFileExists,
   getPublicUrl,
   uploadBufferToStorage,
+  getStorageKeyFromUrl,
+  deleteFromStorage,
   initiateMultipartUpload,
   generateChunkUploadUrl,
   completeMultipartUpload,
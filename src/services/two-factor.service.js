@@ -0,0 +1,473 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238) enrollment, code verification, single-use recovery codes
+ * and the short-lived challenge token issued between the password step and
+ * the second factor.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import config from "../config/env.js";
+import User from "../models/users/User.js";
+import logger from "../utils/logger.js";
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next time step to tolerate clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = "2fa_challenge";
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (RFC 4648, padding and case ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Current TOTP time step
+ * @returns {number} Time step counter
+ */
+const getCurrentStep = () =>
+  Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generate the TOTP code for a time step (HMAC-SHA1, dynamic truncation)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateTotpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} Matching time step, or null when the code is invalid
+ */
+const findTotpStep = (secret, code) => {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotpCode(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Hash a recovery code (codes are compared case- and dash-insensitively)
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes, hashes } - plain codes (shown once) and their hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Build the otpauth:// URI scanned by authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (username)
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = config.twoFactor.issuer;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Accept a TOTP code once: the step is recorded atomically so the same
+ * code cannot be used twice
+ * @param {Object} user - User document (with twoFactorSecret)
+ * @param {string} code - TOTP code
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+const consumeTotpCode = async (user, code) => {
+  const step = findTotpStep(user.twoFactorSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { $lt: step } },
+      ],
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Accept a recovery code once (removed atomically from the stored hashes)
+ * @param {Object} user - User document
+ * @param {string} recoveryCode - Recovery code
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Verify a second factor for a user with 2FA enabled
+ * @param {Object} user - User document (with twoFactorSecret)
+ * @param {Object} factor - { code } (TOTP) or { recoveryCode }
+ * @returns {Promise<Object>} { method: "totp" | "recovery_code" }
+ */
+export const verifyTwoFactorCode = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (code && (await consumeTotpCode(user, code))) {
+    return { method: "totp" };
+  }
+
+  if (recoveryCode && (await consumeRecoveryCode(user, recoveryCode))) {
+    logger.info(`Recovery code used for user ${user._id}`);
+    return { method: "recovery_code" };
+  }
+
+  throw new Error("Invalid two-factor authentication code");
+};
+
+/**
+ * Issue the challenge token returned by login when 2FA is required.
+ * The token carries no `id` claim, so it is rejected as an access token.
+ * @param {string} userId - User ID
+ * @returns {string} Signed challenge token
+ */
+export const createTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { sub: userId.toString(), purpose: CHALLENGE_PURPOSE },
+    config.jwt.secretKey,
+    { expiresIn: `${config.twoFactor.challengeExpireMinutes}m` }
+  );
+};
+
+/**
+ * Verify a login challenge token
+ * @param {string} challengeToken - Token returned by login
+ * @returns {string} User ID the challenge was issued for
+ */
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, config.jwt.secretKey);
+  } catch (error) {
+    throw new Error(
+      error.name === "TokenExpiredError"
+        ? "Two-factor challenge has expired. Please login again"
+        : "Invalid two-factor challenge. Please login again"
+    );
+  }
+
+  if (decoded.purpose !== CHALLENGE_PURPOSE || !decoded.sub) {
+    throw new Error("Invalid two-factor challenge. Please login again");
+  }
+
+  return decoded.sub;
+};
+
+/**
+ * Load an active user for a 2FA management action
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User document
+ */
+const getActiveUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  if (user.isDeleted) {
+    throw new Error("User account has been deleted");
+  }
+  return user;
+};
+
+/**
+ * Start 2FA enrollment: generate a secret and its otpauth URI.
+ * The secret stays pending until confirmed with enableTwoFactor.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+export const setupTwoFactor = async (userId) => {
+  try {
+    const user = await getActiveUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new Error("Two-factor authentication is already enabled");
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    logger.info(`Two-factor enrollment started for user ${userId}`);
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.username),
+    };
+  } catch (error) {
+    logger.error("Error in setupTwoFactor:", error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm enrollment with a first code and turn 2FA on
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code from the authenticator app
+ * @returns {Promise<Object>} { recoveryCodes } - shown to the user only once
+ */
+export const enableTwoFactor = async (userId, code) => {
+  try {
+    const user = await getActiveUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new Error("Two-factor authentication is already enabled");
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      throw new Error("Two-factor setup not started. Please start setup first");
+    }
+
+    const step = findTotpStep(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      throw new Error("Invalid two-factor authentication code");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled for user ${userId}`);
+
+    return { recoveryCodes: codes };
+  } catch (error) {
+    logger.error("Error in enableTwoFactor:", error);
+    throw error;
+  }
+};
+
+/**
+ * Turn 2FA off (requires the password and a current code or recovery code)
+ * @param {string} userId - User ID
+ * @param {string} password - Current password
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (userId, password, factor) => {
+  try {
+    const user = await getActiveUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new Error("Two-factor authentication is not enabled");
+    }
+
+    // Imported lazily: auth.service depends on this service
+    const { comparePassword } = await import("./auth.service.js");
+    const isPasswordValid = await comparePassword(password, user.password);
+    if (!isPasswordValid) {
+      throw new Error("Password is incorrect");
+    }
+
+    await verifyTwoFactorCode(user, factor);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorPendingSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastUsedStep: null,
+          twoFactorRecoveryCodes: [],
+        },
+      }
+    );
+
+    logger.info(`Two-factor authentication disabled for user ${userId}`);
+  } catch (error) {
+    logger.error("Error in disableTwoFactor:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace all recovery codes (requires a current TOTP code)
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Object>} { recoveryCodes } - shown to the user only once
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  try {
+    const user = await getActiveUser(userId);
+
+    await verifyTwoFactorCode(user, { code });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorRecoveryCodes: hashes } }
+    );
+
+    logger.info(`Recovery codes regenerated for user ${userId}`);
+
+    return { recoveryCodes: codes };
+  } catch (error) {
+    logger.error("Error in regenerateRecoveryCodes:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get 2FA status
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+ */
+export const getTwoFactorStatus = async (userId) => {
+  try {
+    const user = await getActiveUser(userId);
+
+    return {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: user.twoFactorEnabled
+        ? user.twoFactorRecoveryCodes.length
+        : 0,
+    };
+  } catch (error) {
+    logger.error("Error in getTwoFactorStatus:", error);
+    throw error;
+  }
+};
+
+export default {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+  verifyTwoFactorCode,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+};
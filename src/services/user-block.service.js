@@ -0,0 +1,206 @@
+/**
+ * User Block Service
+ * Business logic for blocking / unblocking users.
+ * Enforcement lives in utils/blockFilter.js so every feature shares it.
+ */
+
+import User from "../models/users/User.js";
+import UserBlock from "../models/users/UserBlock.js";
+import UserFollower from "../models/users/UserFollower.js";
+import FollowRequest from "../models/users/FollowRequest.js";
+import UserAudience from "../models/users/UserAudience.js";
+import ChatRoom from "../models/chat/ChatRoom.js";
+import { adjustCounter } from "./counter.service.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Remove the follow edge from one user to another and update both counters
+ * @param {string} followerId - Following user
+ * @param {string} userId - Followed user
+ * @returns {Promise<boolean>} True if an edge was removed
+ */
+const removeFollowEdge = async (followerId, userId) => {
+  const followRelation = await UserFollower.findOneAndDelete({
+    userId,
+    followerId,
+  });
+
+  if (!followRelation) {
+    return false;
+  }
+
+  await Promise.all([
+    adjustCounter(User, userId, "followerCount", -1),
+    adjustCounter(User, followerId, "followingCount", -1),
+  ]);
+
+  return true;
+};
+
+/**
+ * Block a user. Follow relationships, follow requests and Close Friends
+ * entries in both directions are removed.
+ * @param {string} blockerId - ID of user who blocks
+ * @param {string} targetUserId - ID of user to block
+ * @returns {Promise<Object>} Block details
+ */
+export const blockUser = async (blockerId, targetUserId) => {
+  try {
+    if (blockerId.toString() === targetUserId.toString()) {
+      throw new Error("You cannot block yourself");
+    }
+
+    const targetUser = await User.findOne({
+      _id: targetUserId,
+      isDeleted: false,
+    }).select("username name profileImage");
+
+    if (!targetUser) {
+      throw new Error("User not found");
+    }
+
+    const existingBlock = await UserBlock.findOne({
+      blockerId,
+      blockedId: targetUserId,
+    });
+
+    if (existingBlock) {
+      throw new Error("You have already blocked this user");
+    }
+
+    let block;
+    try {
+      block = await UserBlock.create({
+        blockerId,
+        blockedId: targetUserId,
+      });
+    } catch (createError) {
+      // Concurrent request created the same block
+      if (createError.code === 11000) {
+        throw new Error("You have already blocked this user");
+      }
+      throw createError;
+    }
+
+    await removeFollowEdge(blockerId, targetUserId);
+    await removeFollowEdge(targetUserId, blockerId);
+    await FollowRequest.deleteMany({
+      $or: [
+        { userId: blockerId, requesterId: targetUserId },
+        { userId: targetUserId, requesterId: blockerId },
+      ],
+    });
+    await UserAudience.deleteMany({
+      $or: [
+        { userId: blockerId, audienceUserId: targetUserId },
+        { userId: targetUserId, audienceUserId: blockerId },
+      ],
+    });
+
+    logger.info(`User ${blockerId} blocked user ${targetUserId}`);
+
+    return {
+      id: targetUser._id.toString(),
+      username: targetUser.username,
+      name: targetUser.name,
+      profileImage: targetUser.profileImage,
+      blockedAt: block.createdAt,
+    };
+  } catch (error) {
+    logger.error("Error in blockUser:", error);
+    throw error;
+  }
+};
+
+/**
+ * Unblock a user. A chat closed by the block opens again unless the other
+ * user has blocked them too.
+ * @param {string} blockerId - ID of user who blocked
+ * @param {string} targetUserId - ID of blocked user
+ * @returns {Promise<void>}
+ */
+export const unblockUser = async (blockerId, targetUserId) => {
+  try {
+    const block = await UserBlock.findOneAndDelete({
+      blockerId,
+      blockedId: targetUserId,
+    });
+
+    if (!block) {
+      throw new Error("You have not blocked this user");
+    }
+
+    const isBlockedBack = await UserBlock.exists({
+      blockerId: targetUserId,
+      blockedId: blockerId,
+    });
+    if (!isBlockedBack) {
+      await ChatRoom.updateMany(
+        {
+          $or: [
+            { userA: blockerId, userB: targetUserId },
+            { userA: targetUserId, userB: blockerId },
+          ],
+          isBlocked: true,
+        },
+        { $set: { isBlocked: false } }
+      );
+    }
+
+    logger.info(`User ${blockerId} unblocked user ${targetUserId}`);
+  } catch (error) {
+    logger.error("Error in unblockUser:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the accounts a user has blocked
+ * @param {string} userId - User ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ * @returns {Promise<Object>} Blocked users with pagination
+ */
+export const getBlockedUsers = async (userId, page = 1, limit = 20) => {
+  try {
+    const skip = (page - 1) * limit;
+
+    const [blocks, total] = await Promise.all([
+      UserBlock.find({ blockerId: userId })
+        .populate("blockedId", "username name profileImage isVerifiedBadge")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      UserBlock.countDocuments({ blockerId: userId }),
+    ]);
+
+    return {
+      blockedUsers: blocks
+        .filter((block) => block.blockedId !== null)
+        .map((block) => ({
+          id: block.blockedId._id.toString(),
+          username: block.blockedId.username,
+          name: block.blockedId.name,
+          profileImage: block.blockedId.profileImage,
+          isVerifiedBadge: block.blockedId.isVerifiedBadge,
+          blockedAt: block.createdAt,
+        })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error in getBlockedUsers:", error);
+    throw error;
+  }
+};
+
+export default {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+};
@@ -0,0 +1,155 @@
+/**
+ * User Mute Service
+ * Business logic for muting / unmuting users. Feeds and notifications
+ * enforce mutes through utils/muteFilter.js.
+ */
+
+import User from "../models/users/User.js";
+import UserMute from "../models/users/UserMute.js";
+import logger from "../utils/logger.js";
+
+const MUTE_OPTIONS = ["posts", "writePosts", "zeals", "polls", "notifications"];
+
+/**
+ * Format the mute options of a mute record
+ * @param {Object} mute - UserMute document
+ * @returns {Object} { posts, writePosts, zeals, polls, notifications }
+ */
+const formatMuteOptions = (mute) =>
+  Object.fromEntries(MUTE_OPTIONS.map((option) => [option, !!mute[option]]));
+
+/**
+ * Mute a user, or change what is muted. Options left out keep their current
+ * value (off for a new mute); turning every option off unmutes the user.
+ * @param {string} muterId - ID of user who mutes
+ * @param {string} targetUserId - ID of user to mute
+ * @param {Object} options - { posts?, writePosts?, zeals?, polls?, notifications? }
+ * @returns {Promise<Object>} Muted user with mute options (isMuted false if everything is off)
+ */
+export const muteUser = async (muterId, targetUserId, options) => {
+  try {
+    if (muterId.toString() === targetUserId.toString()) {
+      throw new Error("You cannot mute yourself");
+    }
+
+    const targetUser = await User.findOne({
+      _id: targetUserId,
+      isDeleted: false,
+    }).select("username name profileImage");
+
+    if (!targetUser) {
+      throw new Error("User not found");
+    }
+
+    const update = Object.fromEntries(
+      MUTE_OPTIONS.filter((option) => options[option] !== undefined).map(
+        (option) => [option, options[option]]
+      )
+    );
+
+    const mute = await UserMute.findOneAndUpdate(
+      { muterId, mutedId: targetUserId },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const muteOptions = formatMuteOptions(mute);
+    const isMuted = Object.values(muteOptions).some(Boolean);
+
+    if (!isMuted) {
+      await UserMute.deleteOne({ _id: mute._id });
+    }
+
+    logger.info(
+      `User ${muterId} updated mute for user ${targetUserId}: ${JSON.stringify(muteOptions)}`
+    );
+
+    return {
+      id: targetUser._id.toString(),
+      username: targetUser.username,
+      name: targetUser.name,
+      profileImage: targetUser.profileImage,
+      isMuted,
+      mute: muteOptions,
+    };
+  } catch (error) {
+    logger.error("Error in muteUser:", error);
+    throw error;
+  }
+};
+
+/**
+ * Unmute a user entirely
+ * @param {string} muterId - ID of user who muted
+ * @param {string} targetUserId - ID of muted user
+ * @returns {Promise<void>}
+ */
+export const unmuteUser = async (muterId, targetUserId) => {
+  try {
+    const mute = await UserMute.findOneAndDelete({
+      muterId,
+      mutedId: targetUserId,
+    });
+
+    if (!mute) {
+      throw new Error("You have not muted this user");
+    }
+
+    logger.info(`User ${muterId} unmuted user ${targetUserId}`);
+  } catch (error) {
+    logger.error("Error in unmuteUser:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the accounts a user has muted
+ * @param {string} userId - User ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ * @returns {Promise<Object>} Muted users with mute options and pagination
+ */
+export const getMutedUsers = async (userId, page = 1, limit = 20) => {
+  try {
+    const skip = (page - 1) * limit;
+
+    const [mutes, total] = await Promise.all([
+      UserMute.find({ muterId: userId })
+        .populate("mutedId", "username name profileImage isVerifiedBadge")
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      UserMute.countDocuments({ muterId: userId }),
+    ]);
+
+    return {
+      mutedUsers: mutes
+        .filter((mute) => mute.mutedId !== null)
+        .map((mute) => ({
+          id: mute.mutedId._id.toString(),
+          username: mute.mutedId.username,
+          name: mute.mutedId.name,
+          profileImage: mute.mutedId.profileImage,
+          isVerifiedBadge: mute.mutedId.isVerifiedBadge,
+          mute: formatMuteOptions(mute),
+          mutedAt: mute.createdAt,
+        })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error in getMutedUsers:", error);
+    throw error;
+  }
+};
+
+export default {
+  muteUser,
+  unmuteUser,
+  getMutedUsers,
+};
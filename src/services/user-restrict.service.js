@@ -0,0 +1,135 @@
+/**
+ * User Restrict Service
+ * Business logic for restricting / unrestricting users. Comments, chat and
+ * presence enforce restrictions through utils/restrictFilter.js.
+ */
+
+import User from "../models/users/User.js";
+import UserRestrict from "../models/users/UserRestrict.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Restrict a user
+ * @param {string} restricterId - ID of user who restricts
+ * @param {string} targetUserId - ID of user to restrict
+ * @returns {Promise<Object>} Restriction details
+ */
+export const restrictUser = async (restricterId, targetUserId) => {
+  try {
+    if (restricterId.toString() === targetUserId.toString()) {
+      throw new Error("You cannot restrict yourself");
+    }
+
+    const targetUser = await User.findOne({
+      _id: targetUserId,
+      isDeleted: false,
+    }).select("username name profileImage");
+
+    if (!targetUser) {
+      throw new Error("User not found");
+    }
+
+    let restriction;
+    try {
+      restriction = await UserRestrict.create({
+        restricterId,
+        restrictedId: targetUserId,
+      });
+    } catch (createError) {
+      // Unique index: already restricted (possibly by a concurrent request)
+      if (createError.code === 11000) {
+        throw new Error("You have already restricted this user");
+      }
+      throw createError;
+    }
+
+    logger.info(`User ${restricterId} restricted user ${targetUserId}`);
+
+    return {
+      id: targetUser._id.toString(),
+      username: targetUser.username,
+      name: targetUser.name,
+      profileImage: targetUser.profileImage,
+      restrictedAt: restriction.createdAt,
+    };
+  } catch (error) {
+    logger.error("Error in restrictUser:", error);
+    throw error;
+  }
+};
+
+/**
+ * Unrestrict a user. Comments and replies still waiting for approval stay
+ * pending until they are approved or deleted.
+ * @param {string} restricterId - ID of user who restricted
+ * @param {string} targetUserId - ID of restricted user
+ * @returns {Promise<void>}
+ */
+export const unrestrictUser = async (restricterId, targetUserId) => {
+  try {
+    const restriction = await UserRestrict.findOneAndDelete({
+      restricterId,
+      restrictedId: targetUserId,
+    });
+
+    if (!restriction) {
+      throw new Error("You have not restricted this user");
+    }
+
+    logger.info(`User ${restricterId} unrestricted user ${targetUserId}`);
+  } catch (error) {
+    logger.error("Error in unrestrictUser:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the accounts a user has restricted
+ * @param {string} userId - User ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20)
+ * @returns {Promise<Object>} Restricted users with pagination
+ */
+export const getRestrictedUsers = async (userId, page = 1, limit = 20) => {
+  try {
+    const skip = (page - 1) * limit;
+
+    const [restrictions, total] = await Promise.all([
+      UserRestrict.find({ restricterId: userId })
+        .populate("restrictedId", "username name profileImage isVerifiedBadge")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      UserRestrict.countDocuments({ restricterId: userId }),
+    ]);
+
+    return {
+      restrictedUsers: restrictions
+        .filter((restriction) => restriction.restrictedId !== null)
+        .map((restriction) => ({
+          id: restriction.restrictedId._id.toString(),
+          username: restriction.restrictedId.username,
+          name: restriction.restrictedId.name,
+          profileImage: restriction.restrictedId.profileImage,
+          isVerifiedBadge: restriction.restrictedId.isVerifiedBadge,
+          restrictedAt: restriction.createdAt,
+        })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error in getRestrictedUsers:", error);
+    throw error;
+  }
+};
+
+export default {
+  restrictUser,
+  unrestrictUser,
+  getRestrictedUsers,
+};
@@ -0,0 +1,391 @@
+/**
+ * User Suggestion Service
+ * "People you may know" follow suggestions. Candidates are ranked by:
+ *   1. mutual follows (followed by people the user follows)
+ *   2. following the user without being followed back
+ *   3. posting under the hashtags the user posts under or likes
+ *   4. popularity (follower count), to fill the list for new users
+ * Blocked, deleted, already followed / requested and dismissed users are
+ * never suggested.
+ */
+
+import mongoose from "mongoose";
+import User from "../models/users/User.js";
+import UserFollower from "../models/users/UserFollower.js";
+import FollowRequest from "../models/users/FollowRequest.js";
+import FollowCooldown from "../models/users/FollowCooldown.js";
+import SuggestionDismissal from "../models/users/SuggestionDismissal.js";
+import HashtagContent from "../models/hashtags/HashtagContent.js";
+import ContentLike from "../models/interactions/ContentLike.js";
+import { ContentType, ContentVisibility } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import logger from "../utils/logger.js";
+
+// Score per signal
+const MUTUAL_FOLLOW_SCORE = 3;
+const FOLLOWS_YOU_SCORE = 5;
+const HASHTAG_SCORE = 1;
+
+// Bounds on how much of the graph is scanned per request
+const MAX_FOLLOWING_SCANNED = 500;
+const MAX_ENGAGED_CONTENT = 200;
+const MAX_HASHTAGS = 20;
+const MAX_HASHTAG_CONTENT = 500;
+
+const SuggestionReason = {
+  MUTUAL_FOLLOWS: "mutual_follows",
+  FOLLOWS_YOU: "follows_you",
+  SIMILAR_INTERESTS: "similar_interests",
+  POPULAR: "popular",
+};
+
+const CONTENT_TYPES = [
+  ContentType.POST,
+  ContentType.WRITE_POST,
+  ContentType.ZEAL,
+];
+
+/**
+ * Get the users that must never be suggested to a user
+ * @param {string} userId - User ID
+ * @param {Array<mongoose.Types.ObjectId>} followingIds - Users the user follows
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} Excluded user IDs (including the user)
+ */
+const getExcludedUserIds = async (userId, followingIds) => {
+  const [blockedUserIds, requestedIds, cooldownIds, dismissedIds] =
+    await Promise.all([
+      getBlockedUserIds(userId),
+      FollowRequest.find({ requesterId: userId }).distinct("userId"),
+      FollowCooldown.find({
+        followerId: userId,
+        expiresAt: { $gt: new Date() },
+      }).distinct("userId"),
+      SuggestionDismissal.find({ userId }).distinct("dismissedUserId"),
+    ]);
+
+  return [
+    new mongoose.Types.ObjectId(userId),
+    ...followingIds,
+    ...blockedUserIds,
+    ...requestedIds,
+    ...cooldownIds,
+    ...dismissedIds,
+  ];
+};
+
+/**
+ * Count, per candidate, how many of the given users follow them
+ * @param {Array<mongoose.Types.ObjectId>} followingIds - Users the user follows
+ * @param {Array<mongoose.Types.ObjectId>} excludedIds - Users to leave out
+ * @param {number} limit - Maximum candidates
+ * @returns {Promise<Array>} [{ _id, count }]
+ */
+const getMutualFollowCandidates = async (followingIds, excludedIds, limit) => {
+  if (followingIds.length === 0) {
+    return [];
+  }
+
+  return UserFollower.aggregate([
+    {
+      $match: {
+        followerId: { $in: followingIds.slice(0, MAX_FOLLOWING_SCANNED) },
+        userId: { $nin: excludedIds },
+      },
+    },
+    { $group: { _id: "$userId", count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: limit },
+  ]);
+};
+
+/**
+ * Get the users who follow a user and are not followed back
+ * @param {string} userId - User ID
+ * @param {Array<mongoose.Types.ObjectId>} excludedIds - Users to leave out (includes followed users)
+ * @param {number} limit - Maximum candidates
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} Follower IDs, newest first
+ */
+const getFollowBackCandidates = async (userId, excludedIds, limit) => {
+  const followers = await UserFollower.find({
+    userId,
+    followerId: { $nin: excludedIds },
+  })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select("followerId")
+    .lean();
+
+  return followers.map((follower) => follower.followerId);
+};
+
+/**
+ * Group content references by content type
+ * @param {Array<Object>} items - [{ contentType, contentId }]
+ * @returns {Map} contentType -> Array of content IDs
+ */
+const groupContentIdsByType = (items) => {
+  const contentIdsByType = new Map();
+  items.forEach(({ contentType, contentId }) => {
+    if (!contentIdsByType.has(contentType)) {
+      contentIdsByType.set(contentType, []);
+    }
+    contentIdsByType.get(contentType).push(contentId);
+  });
+  return contentIdsByType;
+};
+
+/**
+ * Count, per candidate, their recent public content under the hashtags the
+ * user posts under or likes
+ * @param {string} userId - User ID
+ * @param {Array<mongoose.Types.ObjectId>} excludedIds - Users to leave out
+ * @returns {Promise<Map>} candidate ID (string) -> count
+ */
+const getHashtagCandidates = async (userId, excludedIds) => {
+  const counts = new Map();
+
+  // Content the user engaged with: their own recent content and recent likes
+  const [likes, ...ownContent] = await Promise.all([
+    ContentLike.find({ userId, contentType: { $in: CONTENT_TYPES } })
+      .sort({ createdAt: -1 })
+      .limit(MAX_ENGAGED_CONTENT)
+      .select("contentType contentId")
+      .lean(),
+    ...CONTENT_TYPES.map((contentType) =>
+      getContentModel(contentType)
+        .find({ userId })
+        .sort({ createdAt: -1 })
+        .limit(MAX_ENGAGED_CONTENT)
+        .select("_id")
+        .lean()
+        .then((docs) =>
+          docs.map((doc) => ({ contentType, contentId: doc._id }))
+        )
+    ),
+  ]);
+
+  const engagedByType = groupContentIdsByType([...likes, ...ownContent.flat()]);
+  if (engagedByType.size === 0) {
+    return counts;
+  }
+
+  const hashtagIds = await HashtagContent.aggregate([
+    {
+      $match: {
+        $or: [...engagedByType].map(([contentType, contentIds]) => ({
+          contentType,
+          contentId: { $in: contentIds },
+        })),
+      },
+    },
+    { $group: { _id: "$hashtagId", count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: MAX_HASHTAGS },
+  ]).then((rows) => rows.map((row) => row._id));
+
+  if (hashtagIds.length === 0) {
+    return counts;
+  }
+
+  const taggedContent = await HashtagContent.find({
+    hashtagId: { $in: hashtagIds },
+    contentType: { $in: CONTENT_TYPES },
+  })
+    .sort({ createdAt: -1 })
+    .limit(MAX_HASHTAG_CONTENT)
+    .select("contentType contentId")
+    .lean();
+
+  const contentIdsByType = groupContentIdsByType(taggedContent);
+
+  const authors = await Promise.all(
+    [...contentIdsByType].map(([contentType, contentIds]) =>
+      getContentModel(contentType)
+        .find({
+          _id: { $in: contentIds },
+          userId: { $nin: excludedIds },
+          visibility: { $ne: ContentVisibility.CLOSE_FRIENDS },
+        })
+        .select("userId")
+        .lean()
+    )
+  );
+
+  authors.flat().forEach(({ userId: authorId }) => {
+    const key = authorId.toString();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return counts;
+};
+
+/**
+ * Get follow suggestions for a user
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum suggestions (default: 20)
+ * @returns {Promise<Object>} { suggestions }
+ */
+export const getFollowSuggestions = async (userId, options = {}) => {
+  try {
+    const { limit = 20 } = options;
+
+    const followingIds = await UserFollower.find({
+      followerId: userId,
+    }).distinct("userId");
+    const excludedIds = await getExcludedUserIds(userId, followingIds);
+
+    const [mutualCandidates, followBackIds, hashtagCounts] = await Promise.all([
+      getMutualFollowCandidates(followingIds, excludedIds, limit * 3),
+      getFollowBackCandidates(userId, excludedIds, limit * 3),
+      getHashtagCandidates(userId, excludedIds),
+    ]);
+
+    // Format: { candidateId: { score, mutualCount, followsYou, hashtagCount } }
+    const candidates = new Map();
+    const getCandidate = (id) => {
+      const key = id.toString();
+      if (!candidates.has(key)) {
+        candidates.set(key, {
+          score: 0,
+          mutualCount: 0,
+          followsYou: false,
+          hashtagCount: 0,
+        });
+      }
+      return candidates.get(key);
+    };
+
+    mutualCandidates.forEach(({ _id, count }) => {
+      const candidate = getCandidate(_id);
+      candidate.mutualCount = count;
+      candidate.score += count * MUTUAL_FOLLOW_SCORE;
+    });
+
+    followBackIds.forEach((id) => {
+      const candidate = getCandidate(id);
+      candidate.followsYou = true;
+      candidate.score += FOLLOWS_YOU_SCORE;
+    });
+
+    hashtagCounts.forEach((count, id) => {
+      const candidate = getCandidate(id);
+      candidate.hashtagCount = count;
+      candidate.score += count * HASHTAG_SCORE;
+    });
+
+    const users = await User.find({
+      _id: { $in: [...candidates.keys()] },
+      isDeleted: false,
+    })
+      .select(
+        "username name profileImage isVerifiedBadge isPrivate followerCount"
+      )
+      .lean();
+
+    // Popularity fills the list (and breaks ties) when the graph has little to offer
+    if (users.length < limit) {
+      const popularUsers = await User.find({
+        _id: {
+          $nin: [...excludedIds, ...users.map((user) => user._id)],
+        },
+        isDeleted: false,
+      })
+        .sort({ followerCount: -1 })
+        .limit(limit - users.length)
+        .select(
+          "username name profileImage isVerifiedBadge isPrivate followerCount"
+        )
+        .lean();
+
+      users.push(...popularUsers);
+    }
+
+    const getReason = (candidate) => {
+      if (!candidate) {
+        return SuggestionReason.POPULAR;
+      }
+      if (candidate.followsYou) {
+        return SuggestionReason.FOLLOWS_YOU;
+      }
+      if (candidate.mutualCount > 0) {
+        return SuggestionReason.MUTUAL_FOLLOWS;
+      }
+      return SuggestionReason.SIMILAR_INTERESTS;
+    };
+
+    const suggestions = users
+      .map((user) => {
+        const candidate = candidates.get(user._id.toString());
+        return {
+          user,
+          candidate,
+          score: candidate ? candidate.score : 0,
+        };
+      })
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (b.user.followerCount || 0) - (a.user.followerCount || 0)
+      )
+      .slice(0, limit)
+      .map(({ user, candidate }) => ({
+        id: user._id.toString(),
+        username: user.username,
+        name: user.name,
+        profileImage: user.profileImage,
+        isVerifiedBadge: user.isVerifiedBadge,
+        isPrivate: user.isPrivate,
+        followerCount: user.followerCount || 0,
+        reason: getReason(candidate),
+        mutualCount: candidate ? candidate.mutualCount : 0,
+        followsYou: candidate ? candidate.followsYou : false,
+      }));
+
+    return { suggestions };
+  } catch (error) {
+    logger.error("Error in getFollowSuggestions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Dismiss a user from the follow suggestions
+ * @param {string} userId - User ID
+ * @param {string} dismissedUserId - Suggested user to dismiss
+ * @returns {Promise<void>}
+ */
+export const dismissSuggestion = async (userId, dismissedUserId) => {
+  try {
+    if (userId.toString() === dismissedUserId.toString()) {
+      throw new Error("You cannot dismiss yourself");
+    }
+
+    const dismissedUser = await User.exists({
+      _id: dismissedUserId,
+      isDeleted: false,
+    });
+
+    if (!dismissedUser) {
+      throw new Error("User not found");
+    }
+
+    // Dismissing twice is a no-op
+    await SuggestionDismissal.updateOne(
+      { userId, dismissedUserId },
+      { $setOnInsert: { userId, dismissedUserId } },
+      { upsert: true }
+    );
+
+    logger.info(`User ${userId} dismissed suggestion ${dismissedUserId}`);
+  } catch (error) {
+    logger.error("Error in dismissSuggestion:", error);
+    throw error;
+  }
+};
+
+export default {
+  getFollowSuggestions,
+  dismissSuggestion,
+};
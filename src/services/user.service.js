@@ -1,16 +1,33 @@
 import User from "../models/users/User.js";
 import UserFollower from "../models/users/UserFollower.js";
+import FollowRequest from "../models/users/FollowRequest.js";
 import Post from "../models/content/Post.js";
 import WritePost from "../models/content/WritePost.js";
 import ZealPost from "../models/content/ZealPost.js";
 import Poll from "../models/content/Poll.js";
+import {
+  saveUsernameChange,
+  searchPreviousUsernames,
+  validateUsernameChange,
+} from "./username.service.js";
+import {
+  getBlockedUserIds,
+  isBlockedBetween,
+} from "../utils/blockFilter.js";
+import { getAudienceVisibilityQuery } from "../utils/audienceFilter.js";
+import { PUBLISHED_CONTENT_QUERY } from "../utils/contentFilter.js";
+import {
+  acceptAllFollowRequests,
+  getMutualFollowersSummary,
+  getMutualFollowersSummaries,
+} from "./follow.service.js";
 import logger from "../utils/logger.js";
 import mongoose from "mongoose";
 
 /**
  * Update User Profile
  * @param {string} userId - User ID
- * @param {Object} updateData - Data to update (name, username, bio, profileImage, coverImage)
+ * @param {Object} updateData - Data to update (name, username, bio, profileImage, coverImage, isPrivate, presenceVisibility)
  * @returns {Promise<Object>} Updated user (without password and sensitive data)
  */
 export const updateProfile = async (userId, updateData) => {
@@ -33,25 +50,18 @@ export const updateProfile = async (userId, updateData) => {
       updateFields.name = updateData.name.trim();
     }
 
+    // Previous username if it changes; checked now, saved with the rest
+    let previousUsername = null;
+
     if (updateData.username !== undefined) {
       const newUsername = updateData.username.trim().toLowerCase();
 
       // Check if username is different from current
       if (newUsername !== user.username) {
-        // Check if username already exists
-        const existingUser = await User.findOne({
-          username: newUsername,
-          _id: { $ne: userId },
-          isDeleted: false,
-        });
-
-        if (existingUser) {
-          throw new Error(
-            "Username is already taken. Please choose another one"
-          );
-        }
-
-        updateFields.username = newUsername;
+        // Same rules as the username endpoint
+        // (cooldown, reserved handles, history)
+        updateFields.username = await validateUsernameChange(user, newUsername);
+        previousUsername = user.username;
       }
     }
 
@@ -67,9 +77,29 @@ export const updateProfile = async (userId, updateData) => {
       updateFields.coverImage = updateData.coverImage || null;
     }
 
-    // Update user
+    if (updateData.isPrivate !== undefined) {
+      updateFields.isPrivate = updateData.isPrivate;
+    }
+
+    if (updateData.presenceVisibility !== undefined) {
+      updateFields.presenceVisibility = updateData.presenceVisibility;
+    }
+
+    // Pending follow requests are accepted when the account goes public
+    const becamePublic = user.isPrivate && updateFields.isPrivate === false;
+
+    // Update user (a new username is saved together with the other fields)
     Object.assign(user, updateFields);
-    await user.save();
+    if (previousUsername) {
+      await saveUsernameChange(user, previousUsername);
+    } else {
+      await user.save();
+    }
+
+    if (becamePublic) {
+      const accepted = await acceptAllFollowRequests(userId);
+      logger.info(`Accepted ${accepted} pending follow requests for user ${userId}`);
+    }
 
     logger.info(`Profile updated for user ${user.email}`);
 
@@ -82,6 +112,18 @@ export const updateProfile = async (userId, updateData) => {
     delete userObject.forgotPasswordOTPExpireAt;
     delete userObject.forgotPasswordOTPVerified;
     delete userObject.forgotPasswordOTPVerifiedAt;
+    delete userObject.phoneOTP;
+    delete userObject.phoneOTPExpireAt;
+    delete userObject.phoneOTPPurpose;
+    delete userObject.emailChangeOTP;
+    delete userObject.emailChangeOTPExpireAt;
+    delete userObject.emailChangeCancelToken;
+    delete userObject.otpFailedAttempts;
+    delete userObject.otpLastSentAt;
+    delete userObject.twoFactorSecret;
+    delete userObject.twoFactorPendingSecret;
+    delete userObject.twoFactorLastUsedStep;
+    delete userObject.twoFactorRecoveryCodes;
 
     return userObject;
   } catch (error) {
@@ -100,7 +142,7 @@ export const getUserProfile = async (userId, viewerId = null) => {
   try {
     // Find user
     const user = await User.findById(userId).select(
-      "-password -otp -otpExpireAt -forgotPasswordOTP -forgotPasswordOTPExpireAt -forgotPasswordOTPVerified -forgotPasswordOTPVerifiedAt"
+      "-password -otp -otpExpireAt -otpChannel -otpSentTo -forgotPasswordOTP -forgotPasswordOTPExpireAt -forgotPasswordOTPVerified -forgotPasswordOTPVerifiedAt -phoneOTP -phoneOTPExpireAt -phoneOTPPurpose -emailChangeOTP -emailChangeOTPExpireAt -emailChangeCancelToken -otpFailedAttempts -otpLastSentAt -twoFactorSecret -twoFactorPendingSecret -twoFactorLastUsedStep -twoFactorRecoveryCodes"
     );
 
     if (!user) {
@@ -111,41 +153,65 @@ export const getUserProfile = async (userId, viewerId = null) => {
       throw new Error("User account has been deleted");
     }
 
-    // Get followers count (people who follow this user)
-    // userId = target user, followerId = people who follow
-    const followersCount = await UserFollower.countDocuments({
-      userId: userId,
-    });
+    // Blocked users can't see each other's profile
+    if (
+      viewerId &&
+      viewerId.toString() !== userId.toString() &&
+      (await isBlockedBetween(viewerId, userId))
+    ) {
+      throw new Error("User not found");
+    }
 
-    // Get following count (people this user follows)
-    // followerId = target user, userId = people they follow
-    const followingCount = await UserFollower.countDocuments({
-      followerId: userId,
-    });
+    // Denormalized follow counts (drift is repaired by the counter reconciliation job)
+    const followersCount = user.followerCount || 0;
+    const followingCount = user.followingCount || 0;
 
-    // Get content counts
+    // Get content counts (Close Friends content only counts for the author's
+    // Close Friends; scheduled content counts once published)
+    const visibilityQuery = {
+      ...(await getAudienceVisibilityQuery(viewerId)),
+      ...PUBLISHED_CONTENT_QUERY,
+    };
     const [postsCount, writePostsCount, zealPostsCount, pollsCount] =
       await Promise.all([
-        Post.countDocuments({ userId: userId }),
-        WritePost.countDocuments({ userId: userId }),
-        ZealPost.countDocuments({ userId: userId }),
-        Poll.countDocuments({ createdBy: userId }), // Poll uses createdBy instead of userId
+        Post.countDocuments({ userId: userId, ...visibilityQuery }),
+        WritePost.countDocuments({ userId: userId, ...visibilityQuery }),
+        ZealPost.countDocuments({ userId: userId, ...visibilityQuery }),
+        // Poll uses createdBy instead of userId
+        Poll.countDocuments({ createdBy: userId, ...PUBLISHED_CONTENT_QUERY }),
       ]);
 
     const totalContentCount =
       postsCount + writePostsCount + zealPostsCount + pollsCount;
 
     // Get follow relationship status if viewer is provided and different from profile user
+    // ("requested" while a follow request to a private account is pending)
+    // ("Followed by alice, bob and 12 others" when viewing someone else's profile)
     let followStatus = null;
+    let mutualFollowers = null;
     if (viewerId && viewerId.toString() !== userId.toString()) {
-      const followRelation = await UserFollower.findOne({
-        userId: userId, // Profile user
-        followerId: viewerId, // Viewer (person viewing the profile)
-      });
+      const [followRelation, followRequest] = await Promise.all([
+        UserFollower.findOne({
+          userId: userId, // Profile user
+          followerId: viewerId, // Viewer (person viewing the profile)
+        }),
+        FollowRequest.exists({ userId, requesterId: viewerId }),
+      ]);
 
-      followStatus = followRelation ? "following" : "not_following";
+      followStatus = followRelation
+        ? "following"
+        : followRequest
+          ? "requested"
+          : "not_following";
+      mutualFollowers = await getMutualFollowersSummary(viewerId, userId);
     }
 
+    // Private accounts only show their content to followers
+    const isOwnProfile =
+      !!viewerId && viewerId.toString() === userId.toString();
+    const canViewContent =
+      !user.isPrivate || isOwnProfile || followStatus === "following";
+
     // Build profile response
     const profile = {
       id: user._id,
@@ -156,6 +222,8 @@ export const getUserProfile = async (userId, viewerId = null) => {
       bio: user.bio,
       isVerifiedBadge: user.isVerifiedBadge,
       isAccountVerified: user.isAccountVerified,
+      isPrivate: user.isPrivate,
+      canViewContent,
       followersCount,
       followingCount,
       contentCounts: {
@@ -166,6 +234,7 @@ export const getUserProfile = async (userId, viewerId = null) => {
         total: totalContentCount,
       },
       followStatus, // null if viewing own profile or not authenticated
+      mutualFollowers, // null if viewing own profile or not authenticated
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
     };
@@ -217,9 +286,12 @@ export const searchUsersByUsername = async (
       isDeleted: false,
     };
 
-    // Exclude current user from search results
+    // Exclude current user and blocked users from search results
     if (currentUserId) {
-      query._id = { $ne: new mongoose.Types.ObjectId(currentUserId) };
+      query._id = {
+        $ne: new mongoose.Types.ObjectId(currentUserId),
+        $nin: await getBlockedUserIds(currentUserId),
+      };
     }
 
     // Search users by username (excluding deleted users and current user)
@@ -249,6 +321,11 @@ export const searchUsersByUsername = async (
       });
     }
 
+    // "Followed by ..." context for each result
+    const mutualFollowersMap = currentUserId
+      ? await getMutualFollowersSummaries(currentUserId, userIds)
+      : new Map();
+
     return {
       users: users.map((user) => {
         const userId = user._id.toString();
@@ -264,6 +341,11 @@ export const searchUsersByUsername = async (
           followerCount: user.followerCount,
           followingCount: user.followingCount,
           status: isFollowing ? "following" : "not_following",
+          mutualFollowers: mutualFollowersMap.get(userId) || {
+            count: 0,
+            users: [],
+            text: null,
+          },
         };
       }),
       pagination: {
@@ -308,9 +390,13 @@ export const searchUsersForMentions = async (
       isDeleted: false,
     };
 
-    // Exclude current user from results
+    // Exclude current user and blocked users from results
+    const blockedUserIds = await getBlockedUserIds(currentUserId);
     if (currentUserId) {
-      query._id = { $ne: new mongoose.Types.ObjectId(currentUserId) };
+      query._id = {
+        $ne: new mongoose.Types.ObjectId(currentUserId),
+        $nin: blockedUserIds,
+      };
     }
 
     // Search users - optimized query with minimal fields
@@ -320,13 +406,29 @@ export const searchUsersForMentions = async (
       .limit(maxLimit)
       .lean();
 
+    // Fill up with users whose old (still reserved) handle matches,
+    // so typing a previous username finds the current account
+    const previousMatches = await searchPreviousUsernames(
+      searchQuery,
+      [
+        ...users.map((user) => user._id.toString()),
+        ...(currentUserId ? [currentUserId.toString()] : []),
+        ...blockedUserIds.map((id) => id.toString()),
+      ],
+      maxLimit - users.length
+    );
+
     // Format response with minimal data needed for autocomplete
-    return users.map((user) => ({
+    return [
+      ...users.map((user) => ({ user, previousUsername: null })),
+      ...previousMatches,
+    ].map(({ user, previousUsername }) => ({
       id: user._id.toString(),
       username: user.username,
       name: user.name,
       profileImage: user.profileImage,
       isVerifiedBadge: user.isVerifiedBadge,
+      previousUsername,
     }));
   } catch (error) {
     logger.error("Error in searchUsersForMentions:", error);
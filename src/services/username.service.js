@@ -0,0 +1,342 @@
+/**
+ * Username Service
+ * Username changes with a cooldown, reserved words and a history of old
+ * handles. An old handle stays reserved for its previous owner for a while,
+ * and mentions of it resolve to the owner's current account.
+ */
+
+import mongoose from "mongoose";
+import User from "../models/users/User.js";
+import UsernameHistory from "../models/users/UsernameHistory.js";
+import { RESERVED_USERNAMES } from "../constants/index.js";
+import config from "../config/env.js";
+import logger from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Check whether a username is on the reserved-words list
+ * @param {string} username - Username (lowercase)
+ * @returns {boolean} True if reserved
+ */
+const isReservedWord = (username) =>
+  RESERVED_USERNAMES.includes(username) ||
+  config.username.reserved.includes(username);
+
+/**
+ * Reject reserved words and old handles still reserved for another user
+ * (whether the username belongs to a current account is checked by callers)
+ * @param {string} username - Username
+ * @param {string} userId - User claiming the username, allowed to take back their own old handle (optional)
+ * @returns {Promise<void>}
+ */
+export const assertUsernameNotReserved = async (username, userId = null) => {
+  const normalized = username.trim().toLowerCase();
+
+  if (isReservedWord(normalized)) {
+    throw new Error("This username is not available");
+  }
+
+  const reservation = await UsernameHistory.exists({
+    username: normalized,
+    reservedUntil: { $gt: new Date() },
+    ...(userId && { userId: { $ne: userId } }),
+  });
+
+  if (reservation) {
+    throw new Error("This username is already taken");
+  }
+};
+
+/**
+ * Check that a new account can take a username: not used by any account
+ * (deleted ones included, they keep it until anonymized), not a reserved
+ * word and not an old handle still reserved for its previous owner
+ * @param {string} username - Username
+ * @returns {Promise<void>}
+ */
+export const assertUsernameAvailable = async (username) => {
+  const normalized = username.trim().toLowerCase();
+
+  if (await User.exists({ username: normalized })) {
+    throw new Error("This username is already taken");
+  }
+
+  await assertUsernameNotReserved(normalized);
+};
+
+/**
+ * When the user may change their username again
+ * @param {Object} user - User document (usernameChangedAt)
+ * @returns {Date|null} Next allowed change, or null if allowed now
+ */
+const getNextUsernameChangeAt = (user) => {
+  if (!user.usernameChangedAt || config.username.changeCooldownDays === 0) {
+    return null;
+  }
+
+  const nextChangeAt = new Date(
+    user.usernameChangedAt.getTime() +
+      config.username.changeCooldownDays * DAY_MS
+  );
+  return nextChangeAt > new Date() ? nextChangeAt : null;
+};
+
+/**
+ * Check a new username for a user without saving it: cooldown, reserved
+ * handles and usernames of other accounts
+ * @param {Object} user - User document (_id, username, usernameChangedAt)
+ * @param {string} newUsername - New username
+ * @returns {Promise<string>} New username (normalized)
+ */
+export const validateUsernameChange = async (user, newUsername) => {
+  const username = newUsername.trim().toLowerCase();
+
+  if (username === user.username) {
+    throw new Error("This is already your username");
+  }
+
+  const nextChangeAt = getNextUsernameChangeAt(user);
+  if (nextChangeAt) {
+    throw new Error(
+      `You can change your username again on ${nextChangeAt.toDateString()}`
+    );
+  }
+
+  await assertUsernameNotReserved(username, user._id);
+
+  const existingUser = await User.findOne({
+    username,
+    _id: { $ne: user._id },
+  }).select("_id");
+
+  if (existingUser) {
+    throw new Error("Username is already taken. Please choose another one");
+  }
+
+  return username;
+};
+
+/**
+ * Save a user whose username was changed (with validateUsernameChange),
+ * together with any other changes made to the document. The old handle is
+ * kept in the history and stays reserved for them for
+ * USERNAME_RESERVATION_DAYS.
+ * @param {Object} user - User document with the new username set
+ * @param {string} previousUsername - Username before the change
+ * @returns {Promise<Date>} When the username was changed
+ */
+export const saveUsernameChange = async (user, previousUsername) => {
+  const now = new Date();
+  user.usernameChangedAt = now;
+
+  try {
+    await user.save();
+  } catch (saveError) {
+    // Unique index: another user took the username after the check
+    if (saveError.code === 11000 && saveError.keyPattern?.username) {
+      throw new Error("Username is already taken. Please choose another one");
+    }
+    throw saveError;
+  }
+
+  // Taking back one's own old handle ends its reservation
+  await UsernameHistory.deleteMany({
+    userId: user._id,
+    username: user.username,
+  });
+  await UsernameHistory.create({
+    userId: user._id,
+    username: previousUsername,
+    changedTo: user.username,
+    reservedUntil: new Date(
+      now.getTime() + config.username.reservationDays * DAY_MS
+    ),
+  });
+
+  return now;
+};
+
+/**
+ * Change the username of a user. The old handle is kept in the history and
+ * stays reserved for them for USERNAME_RESERVATION_DAYS.
+ * @param {string} userId - User ID
+ * @param {string} newUsername - New username
+ * @returns {Promise<Object>} { username, previousUsername, usernameChangedAt, nextChangeAvailableAt }
+ */
+export const changeUsername = async (userId, newUsername) => {
+  try {
+    const user = await User.findById(userId).select(
+      "username usernameChangedAt isDeleted"
+    );
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    if (user.isDeleted) {
+      throw new Error("User account has been deleted");
+    }
+
+    const previousUsername = user.username;
+    user.username = await validateUsernameChange(user, newUsername);
+    const usernameChangedAt = await saveUsernameChange(user, previousUsername);
+
+    logger.info(
+      `Username changed for user ${userId}: ${previousUsername} -> ${user.username}`
+    );
+
+    return {
+      username: user.username,
+      previousUsername,
+      usernameChangedAt,
+      nextChangeAvailableAt: getNextUsernameChangeAt(user),
+    };
+  } catch (error) {
+    logger.error("Error in changeUsername:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the username change history of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { username, nextChangeAvailableAt, history }
+ */
+export const getUsernameHistory = async (userId) => {
+  try {
+    const [user, history] = await Promise.all([
+      User.findById(userId).select("username usernameChangedAt"),
+      UsernameHistory.find({ userId }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    return {
+      username: user.username,
+      nextChangeAvailableAt: getNextUsernameChangeAt(user),
+      history: history.map((entry) => ({
+        username: entry.username,
+        changedTo: entry.changedTo,
+        changedAt: entry.createdAt,
+        reservedUntil: entry.reservedUntil,
+      })),
+    };
+  } catch (error) {
+    logger.error("Error in getUsernameHistory:", error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve old handles (still reserved) to the accounts that used them
+ * @param {Array<string>} usernames - Lowercase usernames with no current owner
+ * @returns {Promise<Map>} old username -> current user document ({ _id, username })
+ */
+export const resolvePreviousUsernames = async (usernames) => {
+  const resolved = new Map();
+  if (!usernames || usernames.length === 0) {
+    return resolved;
+  }
+
+  const reservations = await UsernameHistory.find({
+    username: { $in: usernames },
+    reservedUntil: { $gt: new Date() },
+  })
+    .sort({ createdAt: -1 })
+    .select("userId username")
+    .lean();
+
+  const users = await User.find({
+    _id: { $in: reservations.map((entry) => entry.userId) },
+    isDeleted: false,
+  })
+    .select("_id username")
+    .lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  // Newest reservation wins if a handle was reserved more than once
+  reservations.forEach((entry) => {
+    const user = usersById.get(entry.userId.toString());
+    if (user && !resolved.has(entry.username)) {
+      resolved.set(entry.username, user);
+    }
+  });
+
+  return resolved;
+};
+
+/**
+ * Find users whose reserved old handle starts with a search term
+ * (for mention autocomplete)
+ * @param {string} searchTerm - Lowercase search term
+ * @param {Array<string>} excludeUserIds - Users already in the results
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array>} [{ user, previousUsername }]
+ */
+export const searchPreviousUsernames = async (
+  searchTerm,
+  excludeUserIds = [],
+  limit = 10
+) => {
+  if (!searchTerm || limit <= 0) {
+    return [];
+  }
+
+  const excludeIds = excludeUserIds.map(
+    (id) => new mongoose.Types.ObjectId(id)
+  );
+
+  const reservations = await UsernameHistory.find({
+    username: new RegExp(`^${escapeRegex(searchTerm)}`),
+    reservedUntil: { $gt: new Date() },
+    userId: { $nin: excludeIds },
+  })
+    .sort({ username: 1 })
+    .limit(limit)
+    .select("userId username")
+    .lean();
+
+  const users = await User.find({
+    _id: { $in: reservations.map((entry) => entry.userId) },
+    isDeleted: false,
+  })
+    .select("username name profileImage isVerifiedBadge")
+    .lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const seen = new Set();
+  return reservations
+    .filter((entry) => {
+      const key = entry.userId.toString();
+      if (!usersById.has(key) || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .map((entry) => ({
+      user: usersById.get(entry.userId.toString()),
+      previousUsername: entry.username,
+    }));
+};
+
+export default {
+  assertUsernameNotReserved,
+  assertUsernameAvailable,
+  validateUsernameChange,
+  saveUsernameChange,
+  changeUsername,
+  getUsernameHistory,
+  resolvePreviousUsernames,
+  searchPreviousUsernames,
+};
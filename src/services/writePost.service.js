@@ -1,13 +1,35 @@
 import WritePost from "../models/content/WritePost.js";
 import User from "../models/users/User.js";
 import logger from "../utils/logger.js";
-import { linkHashtagsToContent, extractHashtags } from "./hashtag.service.js";
-import { ContentType } from "../models/enums.js";
+import { ContentType, ContentVisibility } from "../models/enums.js";
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import {
+  resolveMentionedUserIds,
+  applyContentEdit,
+} from "./content-edit.service.js";
+import {
+  resolveScheduledAt,
+  runPublishSideEffects,
+} from "./scheduled-content.service.js";
+
+// User and mentioned users returned with a write post
+export const WRITE_POST_POPULATE = [
+  {
+    path: "userId",
+    select:
+      "name username profileImage email isAccountVerified isVerifiedBadge",
+  },
+  {
+    path: "mentionedUserIds",
+    select:
+      "name username profileImage email isAccountVerified isVerifiedBadge",
+  },
+];
 
 /**
  * Create Write Post
  * @param {string} userId - User ID
- * @param {Object} postData - Post data (title, content, mentionedUserIds)
+ * @param {Object} postData - Post data (title, content, mentionedUserIds, visibility, scheduledAt, _id to create the write post with (optional))
  * @returns {Promise<Object>} Created write post
  */
 export const createWritePost = async (userId, postData) => {
@@ -21,10 +43,13 @@ export const createWritePost = async (userId, postData) => {
       throw new Error("User account has been deleted");
     }
 
-    // Validate mentioned users if provided
+    // Validate mentioned users if provided (users blocked with the author can't be mentioned)
     if (postData.mentionedUserIds && postData.mentionedUserIds.length > 0) {
       const mentionedUsers = await User.find({
-        _id: { $in: postData.mentionedUserIds },
+        _id: {
+          $in: postData.mentionedUserIds,
+          $nin: await getBlockedUserIds(userId),
+        },
         isAccountVerified: true,
         isDeleted: false,
       });
@@ -34,40 +59,28 @@ export const createWritePost = async (userId, postData) => {
       }
     }
 
+    const scheduledAt = resolveScheduledAt(postData.scheduledAt);
+
     // Create write post
     const writePost = new WritePost({
+      ...(postData._id && { _id: postData._id }),
       userId,
       content: postData.content.trim(),
       mentionedUserIds: postData.mentionedUserIds || [],
+      visibility: postData.visibility || ContentVisibility.PUBLIC,
+      scheduledAt,
     });
 
     await writePost.save();
 
-    // Link hashtags to content (async, don't wait)
-    if (postData.content) {
-      const tags = extractHashtags(postData.content);
-      if (tags.length > 0) {
-        linkHashtagsToContent(ContentType.WRITE_POST, writePost._id, tags).catch(
-          (error) => {
-            logger.error(`Error linking hashtags for writePost ${writePost._id}:`, error);
-          }
-        );
-      }
+    // Link hashtags and notify mentioned users; scheduled write posts do
+    // this when published
+    if (!scheduledAt) {
+      await runPublishSideEffects(ContentType.WRITE_POST, writePost);
     }
 
     // Populate user and mentioned users
-    await writePost.populate([
-      {
-        path: "userId",
-        select:
-          "name username profileImage email isAccountVerified isVerifiedBadge",
-      },
-      {
-        path: "mentionedUserIds",
-        select:
-          "name username profileImage email isAccountVerified isVerifiedBadge",
-      },
-    ]);
+    await writePost.populate(WRITE_POST_POPULATE);
 
     logger.info(`Write post created: ${writePost._id} by user: ${userId}`);
 
@@ -78,6 +91,55 @@ export const createWritePost = async (userId, postData) => {
   }
 };
 
+/**
+ * Update Write Post
+ * Edits the content and mentions. The replaced version is kept in the write
+ * post's edit history.
+ * @param {string} userId - User ID
+ * @param {string} writePostId - Write post ID
+ * @param {Object} updates - Fields to change (content, mentionedUserIds)
+ * @returns {Promise<Object>} Updated write post
+ */
+export const updateWritePost = async (userId, writePostId, updates) => {
+  try {
+    const writePost = await WritePost.findById(writePostId).lean();
+    if (!writePost) {
+      throw new Error("Write post not found");
+    }
+    if (writePost.userId.toString() !== userId.toString()) {
+      throw new Error("You can only edit your own write posts");
+    }
+
+    const changes = {};
+
+    if (updates.content !== undefined) {
+      changes.content = updates.content.trim();
+    }
+
+    if (updates.mentionedUserIds !== undefined) {
+      changes.mentionedUserIds = await resolveMentionedUserIds(
+        userId,
+        updates.mentionedUserIds,
+        writePost.mentionedUserIds,
+        { isAccountVerified: true }
+      );
+    }
+
+    await applyContentEdit(ContentType.WRITE_POST, writePost, changes);
+
+    const updatedWritePost =
+      await WritePost.findById(writePostId).populate(WRITE_POST_POPULATE);
+
+    logger.info(`Write post updated: ${writePostId} by user: ${userId}`);
+
+    return updatedWritePost;
+  } catch (error) {
+    logger.error("Error in updateWritePost:", error);
+    throw error;
+  }
+};
+
 export default {
   createWritePost,
+  updateWritePost,
 };
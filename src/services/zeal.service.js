@@ -5,7 +5,7 @@
 
 import ZealDraft from "../models/content/ZealDraft.js";
 import ZealPost from "../models/content/ZealPost.js";
-import { ZealStatus, ContentType } from "../models/enums.js";
+import { ZealStatus, ContentType, ContentVisibility } from "../models/enums.js";
 import {
   generateStorageKey,
   generatePresignedUploadUrl,
@@ -13,7 +13,16 @@ import {
   getPublicUrl,
   initiateMultipartUpload,
 } from "./storage.service.js";
-import { linkHashtagsToContent, extractHashtags } from "./hashtag.service.js";
+import { getBlockedUserIds } from "../utils/blockFilter.js";
+import {
+  resolveMentionedUserIds,
+  assertValidMusicWindow,
+  applyContentEdit,
+} from "./content-edit.service.js";
+import {
+  resolveScheduledAt,
+  runPublishSideEffects,
+} from "./scheduled-content.service.js";
 import config from "../config/env.js";
 import logger from "../utils/logger.js";
 
@@ -236,10 +245,14 @@ export const startZealUpload = async (userId, fileData) => {
  * @param {number} zealData.musicStartTime - Music start time (optional)
  * @param {number} zealData.musicEndTime - Music end time (optional)
  * @param {boolean} zealData.isDevelopByAi - AI developed flag (optional)
+ * @param {string} zealData.visibility - ContentVisibility (optional, default: Public)
+ * @param {Date} zealData.scheduledAt - Publish time (optional, default: right after processing)
  * @returns {Promise<Object>} Created Zeal post
  */
 export const createZeal = async (userId, zealDraftId, zealData) => {
   try {
+    const scheduledAt = resolveScheduledAt(zealData.scheduledAt);
+
     // Find draft record
     const draft = await ZealDraft.findOne({
       _id: zealDraftId,
@@ -272,16 +285,26 @@ export const createZeal = async (userId, zealDraftId, zealData) => {
     // Get public URL for the file
     const mediaUrl = getPublicUrl(draft.storageKey);
 
+    // Users blocked with the author are dropped from the mentions
+    const blockedUserIds = new Set(
+      (await getBlockedUserIds(userId)).map((id) => id.toString())
+    );
+    const mentionedUserIds = (zealData.mentionedUserIds || []).filter(
+      (id) => !blockedUserIds.has(id.toString())
+    );
+
     // Create Zeal post with processing status
     const zealPost = await ZealPost.create({
       userId,
       [draft.fileType === "video" ? "videos" : "images"]: [mediaUrl],
       caption: zealData.caption || "",
-      mentionedUserIds: zealData.mentionedUserIds || [],
+      mentionedUserIds,
       musicId: zealData.musicId || null,
       musicStartTime: zealData.musicStartTime || null,
       musicEndTime: zealData.musicEndTime || null,
       isDevelopByAi: zealData.isDevelopByAi || false,
+      visibility: zealData.visibility || ContentVisibility.PUBLIC,
+      scheduledAt,
       status: ZealStatus.PROCESSING,
       mediaUrl,
     });
@@ -345,16 +368,10 @@ const processZealAsync = async (zealId) => {
       
       await zealPost.save();
       
-      // Link hashtags to content when status becomes READY (async, don't wait)
-      if (zealPost.caption) {
-        const tags = extractHashtags(zealPost.caption);
-        if (tags.length > 0) {
-          linkHashtagsToContent(ContentType.ZEAL, zealPost._id, tags).catch(
-            (error) => {
-              logger.error(`Error linking hashtags for zeal ${zealPost._id}:`, error);
-            }
-          );
-        }
+      // Link hashtags and notify mentioned users when status becomes READY;
+      // scheduled zeals do this when published
+      if (!zealPost.scheduledAt) {
+        await runPublishSideEffects(ContentType.ZEAL, zealPost);
       }
     } else {
       zealPost.status = ZealStatus.FAILED;
@@ -400,6 +417,7 @@ export const getZealStatus = async (userId, zealId) => {
       zealId: zealPost._id.toString(),
       status: zealPost.status,
       processingError: zealPost.processingError,
+      scheduledAt: zealPost.scheduledAt,
       createdAt: zealPost.createdAt,
       updatedAt: zealPost.updatedAt,
     };
@@ -409,9 +427,87 @@ export const getZealStatus = async (userId, zealId) => {
   }
 };
 
+/**
+ * Update Zeal
+ * Edits the caption, mentions and music window. The replaced version is kept
+ * in the zeal's edit history.
+ * @param {string} userId - User ID
+ * @param {string} zealId - Zeal post ID
+ * @param {Object} updates - Fields to change (caption, mentionedUserIds, musicStartTime, musicEndTime)
+ * @returns {Promise<Object>} Updated Zeal post
+ */
+export const updateZeal = async (userId, zealId, updates) => {
+  try {
+    const zealPost = await ZealPost.findById(zealId).lean();
+    if (!zealPost) {
+      throw new Error("Zeal post not found");
+    }
+    if (zealPost.userId.toString() !== userId.toString()) {
+      throw new Error("You can only edit your own zeals");
+    }
+    if (zealPost.status === ZealStatus.FAILED) {
+      throw new Error("Failed zeals cannot be edited");
+    }
+
+    const changes = {};
+
+    if (updates.caption !== undefined) {
+      changes.caption = updates.caption || "";
+    }
+
+    if (updates.mentionedUserIds !== undefined) {
+      changes.mentionedUserIds = await resolveMentionedUserIds(
+        userId,
+        updates.mentionedUserIds,
+        zealPost.mentionedUserIds
+      );
+    }
+
+    if (
+      updates.musicStartTime !== undefined ||
+      updates.musicEndTime !== undefined
+    ) {
+      changes.musicStartTime =
+        updates.musicStartTime !== undefined
+          ? updates.musicStartTime
+          : zealPost.musicStartTime;
+      changes.musicEndTime =
+        updates.musicEndTime !== undefined
+          ? updates.musicEndTime
+          : zealPost.musicEndTime;
+      await assertValidMusicWindow(
+        zealPost.musicId,
+        changes.musicStartTime,
+        changes.musicEndTime
+      );
+    }
+
+    await applyContentEdit(ContentType.ZEAL, zealPost, changes);
+
+    const updatedZeal = await ZealPost.findById(zealId).populate([
+      {
+        path: "mentionedUserIds",
+        select: "name username profileImage isAccountVerified isVerifiedBadge",
+      },
+      {
+        path: "musicId",
+        select: "title artist album coverImage duration",
+      },
+    ]);
+
+    logger.info(`Zeal post updated: ${zealId} by user: ${userId}`);
+
+    return updatedZeal;
+  } catch (error) {
+    logger.error("Error in updateZeal:", error);
+    throw error;
+  }
+};
+
 export default {
   startZealUpload,
   createZeal,
   getZealStatus,
+  updateZeal,
 };
 
@@ -1,6 +1,6 @@
 /**
  * Socket.IO Server Setup
- * Handles real-time chat messaging, read receipts, and typing indicators
+ * Handles real-time chat messaging, read receipts, typing indicators and presence
  */
 
 import { Server } from "socket.io";
@@ -25,12 +25,20 @@ import {
   getSentSnaps,
   viewSnap,
 } from "../services/snap.service.js";
+import { validateSession } from "../services/session.service.js";
+import {
+  addConnection,
+  removeConnection,
+  isUserOnline,
+  getPresenceAudience,
+  canSeePresence,
+} from "../services/presence.service.js";
 import logger from "../utils/logger.js";
 
-// Store active users: userId -> socketId
-const activeUsers = new Map();
 // Store socket rooms: socketId -> Set of roomIds
 const socketRooms = new Map();
+// Socket.IO server instance (set by initializeSocket)
+let ioInstance = null;
 
 /**
  * Authenticate socket connection.
@@ -49,8 +57,12 @@ const authenticateSocket = async (socket, next) => {
       if (!user || user.isDeleted) {
         return next(new Error("Authentication error: User not found"));
       }
+      if (decoded.sid && !(await validateSession(decoded.sid, decoded.id))) {
+        return next(new Error("Authentication error: Session has been revoked"));
+      }
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.sessionId = decoded.sid || null;
       return next();
     }
 
@@ -71,6 +83,25 @@ const authenticateSocket = async (socket, next) => {
   }
 };
 
+/**
+ * Push a user's presence change to the chat partners allowed to see it
+ * @param {string} userId - User whose presence changed
+ * @param {Object} presence - { isOnline, lastSeenAt }
+ */
+const emitPresenceUpdate = async (userId, presence) => {
+  try {
+    const audienceIds = await getPresenceAudience(userId);
+    audienceIds.forEach((partnerId) => {
+      ioInstance.to(`user:${partnerId}`).emit("presence_update", {
+        userId,
+        ...presence,
+      });
+    });
+  } catch (error) {
+    logger.error("Error sending presence update:", error);
+  }
+};
+
 /**
  * Initialize Socket.IO server
  */
@@ -85,6 +116,8 @@ export const initializeSocket = (server) => {
     pingInterval: 25000,
   });
 
+  ioInstance = io;
+
   // Authentication middleware
   io.use(authenticateSocket);
 
@@ -94,13 +127,20 @@ export const initializeSocket = (server) => {
 
     logger.info(`Socket connected: User ${userId} (${username})`);
 
-    // Store active user
-    activeUsers.set(userId, socket.id);
+    // Store active user (chat partners see them come online on their first socket)
+    if (addConnection(userId, socket.id)) {
+      emitPresenceUpdate(userId, { isOnline: true, lastSeenAt: null });
+    }
     socketRooms.set(socket.id, new Set());
 
     // Join user's personal room for direct notifications
     socket.join(`user:${userId}`);
 
+    // Join session room so the connection can be dropped on remote logout
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
+
     // Get user's chat rooms and join them
     ChatRoom.find({
       $or: [{ userA: userId }, { userB: userId }],
@@ -195,13 +235,13 @@ export const initializeSocket = (server) => {
           message: formattedMessage,
         });
 
-        // Update message status to DELIVERED when recipient is online; tell SENDER (User A)
+        // Update message status to DELIVERED when recipient is online; tell SENDER (User A).
+        // Delivery gives away that the recipient is online, so messages stay SENT when the
+        // recipient hides their presence from the sender (settings, block or restrict)
         const room = await ChatRoom.findById(roomId);
         if (room) {
           const otherUserId = room.userA.toString() === userId ? room.userB : room.userA;
-          const otherUserSocketId = activeUsers.get(otherUserId.toString());
-
-          if (otherUserSocketId) {
+          if (isUserOnline(otherUserId) && (await canSeePresence(otherUserId, userId))) {
             await ChatMessage.findByIdAndUpdate(formattedMessage.id, {
               status: MessageStatus.DELIVERED,
             });
@@ -232,9 +272,9 @@ export const initializeSocket = (server) => {
 
         const result = await markMessagesAsRead(roomId, userId, lastReadMessageId);
 
-        // Notify other user in the room
+        // Notify other user in the room (not when they are restricted by the reader)
         const room = await ChatRoom.findById(roomId);
-        if (room) {
+        if (room && !result.readReceiptHidden) {
           const otherUserId = room.userA.toString() === userId ? room.userB : room.userA;
           
           io.to(`user:${otherUserId}`).emit("messages_read", {
@@ -329,8 +369,8 @@ export const initializeSocket = (server) => {
     socket.on("get_rooms", async (data, ack) => {
       const cb = typeof ack === "function" ? ack : () => {};
       try {
-        const { page = 1, limit = 20 } = data || {};
-        const result = await getChatRooms(userId, page, limit);
+        const { page = 1, limit = 20, chatType = null } = data || {};
+        const result = await getChatRooms(userId, page, limit, chatType);
         const res = { success: true, data: result };
         cb(res);
         socket.emit("rooms_list", res);
@@ -449,12 +489,13 @@ export const initializeSocket = (server) => {
      */
     socket.on("send_snap", async (data) => {
       try {
-        const { mediaId, recipientIds, expiresInSeconds, duration } = data || {};
+        const { mediaId, recipientIds, expiresInSeconds, duration, visibility } = data || {};
         const snap = await sendSnapWithMediaId(userId, {
           mediaId,
           recipientIds,
           expiresInSeconds,
           duration,
+          visibility,
         });
 
         socket.emit("snap_sent", { snap });
@@ -476,6 +517,7 @@ export const initializeSocket = (server) => {
                   isVerifiedBadge: fullSnap.senderId.isVerifiedBadge,
                 },
                 mediaType: fullSnap.mediaType,
+                visibility: fullSnap.visibility,
                 thumbnailUrl: fullSnap.thumbnailUrl,
                 duration: fullSnap.duration,
                 expiresAt: fullSnap.expiresAt,
@@ -561,8 +603,14 @@ export const initializeSocket = (server) => {
     socket.on("disconnect", () => {
       logger.info(`Socket disconnected: User ${userId} (${username})`);
 
-      // Remove from active users
-      activeUsers.delete(userId);
+      // Remove from active users (last seen is stored when their last socket closes)
+      removeConnection(userId, socket.id).then((lastSeenAt) => {
+        // A reconnect during the last seen write already announced
+        // "online"; a late "offline" would override it
+        if (lastSeenAt && !isUserOnline(userId)) {
+          emitPresenceUpdate(userId, { isOnline: false, lastSeenAt });
+        }
+      });
       
       // Clean up socket rooms
       const rooms = socketRooms.get(socket.id);
@@ -582,6 +630,24 @@ export const initializeSocket = (server) => {
   return io;
 };
 
+/**
+ * Disconnect every live socket that belongs to the given sessions
+ * Used when sessions are revoked (logout, remote logout, token reuse)
+ * @param {Array<string>} sessionIds - Session IDs
+ */
+export const disconnectSessionSockets = (sessionIds = []) => {
+  if (!ioInstance || sessionIds.length === 0) {
+    return;
+  }
+
+  sessionIds.forEach((sessionId) => {
+    const room = `session:${sessionId}`;
+    ioInstance.to(room).emit("session_revoked", { sessionId });
+    ioInstance.in(room).disconnectSockets(true);
+  });
+};
+
 export default {
   initializeSocket,
+  disconnectSessionSockets,
 };
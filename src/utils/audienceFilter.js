@@ -0,0 +1,114 @@
+/**
+ * Audience Filter Utilities
+ * Shared helpers that enforce content visibility: "close friends" posts,
+ * write posts, zeals and snaps are only visible to the author and the users
+ * on the author's Close Friends list (UserAudience).
+ */
+
+import { UserAudience } from "../models/index.js";
+import { ContentVisibility } from "../models/enums.js";
+import { getContentModel } from "../models/utils/contentHelper.js";
+
+/**
+ * Check whether a user is on another user's Close Friends list
+ * @param {string} ownerId - List owner user ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if userId is a close friend of ownerId
+ */
+export const isCloseFriendOf = async (ownerId, userId) => {
+  if (!ownerId || !userId) {
+    return false;
+  }
+
+  const audience = await UserAudience.exists({
+    userId: ownerId,
+    audienceUserId: userId,
+  });
+
+  return !!audience;
+};
+
+/**
+ * Build a content query condition matching the content a viewer may see
+ * (public content, their own content and close friends content of users
+ * who added them to their Close Friends list)
+ * @param {string} viewerId - Viewer user ID (optional)
+ * @param {string} ownerField - Content owner field (default: "userId")
+ * @returns {Promise<Object>} Mongo condition to merge into a content query
+ */
+export const getAudienceVisibilityQuery = async (
+  viewerId,
+  ownerField = "userId"
+) => {
+  if (!viewerId) {
+    return { visibility: { $ne: ContentVisibility.CLOSE_FRIENDS } };
+  }
+
+  const ownerIds = await UserAudience.find({
+    audienceUserId: viewerId,
+  }).distinct("userId");
+
+  return {
+    $or: [
+      { visibility: { $ne: ContentVisibility.CLOSE_FRIENDS } },
+      { [ownerField]: { $in: [viewerId, ...ownerIds] } },
+    ],
+  };
+};
+
+/**
+ * Check whether a viewer may see a content document. Scheduled content is
+ * only visible to its author until it is published.
+ * @param {string} viewerId - Viewer user ID (optional)
+ * @param {Object} content - Content document (userId, visibility, scheduledAt)
+ * @returns {Promise<boolean>} True if visible
+ */
+export const canViewContentItem = async (viewerId, content) => {
+  if (!content) {
+    return true;
+  }
+
+  // userId may be populated
+  const ownerId = content.userId?._id || content.userId;
+  const isOwner =
+    Boolean(viewerId && ownerId) && viewerId.toString() === ownerId.toString();
+
+  if (content.scheduledAt) {
+    return isOwner;
+  }
+
+  if (content.visibility !== ContentVisibility.CLOSE_FRIENDS || isOwner) {
+    return true;
+  }
+
+  return isCloseFriendOf(ownerId, viewerId);
+};
+
+/**
+ * Check whether a viewer may see a content item
+ * @param {string} viewerId - Viewer user ID (optional)
+ * @param {string} contentType - Content type
+ * @param {string} contentId - Content ID
+ * @returns {Promise<boolean>} True if visible (or not found)
+ */
+export const canViewContent = async (viewerId, contentType, contentId) => {
+  const Model = getContentModel(contentType);
+
+  // Polls have no audience
+  if (!Model || !Model.schema.path("visibility")) {
+    return true;
+  }
+
+  const content = await Model.findById(contentId)
+    .select("userId visibility scheduledAt")
+    .lean();
+
+  return canViewContentItem(viewerId, content);
+};
+
+export default {
+  isCloseFriendOf,
+  getAudienceVisibilityQuery,
+  canViewContentItem,
+  canViewContent,
+};
@@ -0,0 +1,101 @@
+/**
+ * Block Filter Utilities
+ * Shared helpers that enforce user blocks (UserBlock) everywhere users can
+ * see or reach each other. A block applies in both directions.
+ */
+
+import mongoose from "mongoose";
+import { UserBlock } from "../models/index.js";
+import { getContentOwnerId } from "../models/utils/contentHelper.js";
+
+/**
+ * Get the users a user has blocked or been blocked by
+ * @param {string|mongoose.Types.ObjectId} userId - User ID
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} Array of blocked user IDs
+ */
+export const getBlockedUserIds = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+
+  const blocks = await UserBlock.find({
+    $or: [{ blockerId: userId }, { blockedId: userId }],
+  })
+    .select("blockerId blockedId")
+    .lean();
+
+  const blockedUserIds = new Set();
+
+  blocks.forEach((block) => {
+    if (block.blockerId.toString() === userId.toString()) {
+      blockedUserIds.add(block.blockedId.toString());
+    } else {
+      blockedUserIds.add(block.blockerId.toString());
+    }
+  });
+
+  return Array.from(blockedUserIds).map(
+    (id) => new mongoose.Types.ObjectId(id)
+  );
+};
+
+/**
+ * Check whether either user has blocked the other
+ * @param {string} userId - User ID
+ * @param {string} otherUserId - Other user ID
+ * @returns {Promise<boolean>} True if there is a block between them
+ */
+export const isBlockedBetween = async (userId, otherUserId) => {
+  if (!userId || !otherUserId) {
+    return false;
+  }
+
+  const block = await UserBlock.exists({
+    $or: [
+      { blockerId: userId, blockedId: otherUserId },
+      { blockerId: otherUserId, blockedId: userId },
+    ],
+  });
+
+  return !!block;
+};
+
+/**
+ * Throw when either user has blocked the other
+ * @param {string} userId - Acting user ID
+ * @param {string} otherUserId - Other user ID
+ * @param {string} message - Error message (default: generic unavailable message)
+ * @returns {Promise<void>}
+ */
+export const assertNotBlocked = async (
+  userId,
+  otherUserId,
+  message = "This action is not available for this user"
+) => {
+  if (await isBlockedBetween(userId, otherUserId)) {
+    throw new Error(message);
+  }
+};
+
+/**
+ * Check whether a content item belongs to a user blocked with the viewer
+ * @param {string} userId - Viewer user ID
+ * @param {string} contentType - Content type
+ * @param {string} contentId - Content ID
+ * @returns {Promise<boolean>} True if the owner and the viewer are blocked
+ */
+export const isContentBlocked = async (userId, contentType, contentId) => {
+  if (!userId) {
+    return false;
+  }
+
+  const ownerId = await getContentOwnerId(contentType, contentId);
+  return ownerId ? isBlockedBetween(userId, ownerId) : false;
+};
+
+export default {
+  getBlockedUserIds,
+  isBlockedBetween,
+  assertNotBlocked,
+  isContentBlocked,
+};
@@ -1,11 +1,19 @@
 /**
  * Content Filter Utilities
- * Utilities to filter out reported content for users
+ * Utilities to filter out reported content for users, and scheduled
+ * content that has not been published yet
  */
 
 import { ContentReport } from "../models/index.js";
 import { ContentType } from "../models/enums.js";
 
+/**
+ * Query condition matching published content only. Scheduled posts, write
+ * posts, zeals and polls stay out of every feed, listing and count until
+ * the scheduler publishes them.
+ */
+export const PUBLISHED_CONTENT_QUERY = Object.freeze({ scheduledAt: null });
+
 /**
  * Get all reported content IDs for a user, grouped by content type
  * @param {string} userId - User ID
@@ -141,6 +149,7 @@ export const filterReportedContent = async (contentArray, userId, contentType) =
 };
 
 export default {
+  PUBLISHED_CONTENT_QUERY,
   getReportedContentIds,
   getReportedContentIdsByType,
   isContentReportedByUser,
@@ -4,6 +4,8 @@
  */
 
 import { User } from "../models/index.js";
+import { resolvePreviousUsernames } from "../services/username.service.js";
+import { getBlockedUserIds } from "./blockFilter.js";
 import logger from "./logger.js";
 
 /**
@@ -33,10 +35,12 @@ export const extractMentions = (text) => {
 
 /**
  * Validate and get user IDs for mentioned usernames
+ * Old usernames that are still reserved resolve to their owner's account
  * @param {Array<string>} usernames - Array of usernames (without @)
+ * @param {string} authorId - Author of the text; users blocked with them can't be mentioned (optional)
  * @returns {Promise<Object>} Object with validUserIds and invalidUsernames
  */
-export const validateMentions = async (usernames) => {
+export const validateMentions = async (usernames, authorId = null) => {
   if (!usernames || usernames.length === 0) {
     return {
       validUserIds: [],
@@ -46,11 +50,17 @@ export const validateMentions = async (usernames) => {
   }
 
   try {
+    const blockedUserIds = new Set(
+      (await getBlockedUserIds(authorId)).map((id) => id.toString())
+    );
+
     // Find users by usernames
-    const users = await User.find({
-      username: { $in: usernames },
-      isDeleted: false,
-    }).select("_id username");
+    const users = (
+      await User.find({
+        username: { $in: usernames },
+        isDeleted: false,
+      }).select("_id username")
+    ).filter((user) => !blockedUserIds.has(user._id.toString()));
 
     // Create maps for quick lookup
     const userMap = new Map();
@@ -61,12 +71,27 @@ export const validateMentions = async (usernames) => {
       foundUsernames.add(user.username.toLowerCase());
     });
 
+    // Resolve handles users changed away from
+    const previousUsernames = await resolvePreviousUsernames(
+      usernames
+        .map((username) => username.toLowerCase())
+        .filter((username) => !foundUsernames.has(username))
+    );
+
+    previousUsernames.forEach((user, previousUsername) => {
+      if (blockedUserIds.has(user._id.toString())) {
+        return;
+      }
+      userMap.set(previousUsername, user._id.toString());
+      foundUsernames.add(previousUsername);
+    });
+
     // Find invalid usernames
     const invalidUsernames = usernames.filter(
       (username) => !foundUsernames.has(username.toLowerCase())
     );
 
-    const validUserIds = users.map((user) => user._id.toString());
+    const validUserIds = [...new Set(userMap.values())];
 
     return {
       validUserIds,
@@ -86,11 +111,12 @@ export const validateMentions = async (usernames) => {
 /**
  * Parse mentions from text and validate them
  * @param {string} text - Text containing mentions
+ * @param {string} authorId - Author of the text (optional, enforces blocks)
  * @returns {Promise<Object>} Object with mentionedUserIds and invalidUsernames
  */
-export const parseAndValidateMentions = async (text) => {
+export const parseAndValidateMentions = async (text, authorId = null) => {
   const usernames = extractMentions(text);
-  const { validUserIds, invalidUsernames, userMap } = await validateMentions(usernames);
+  const { validUserIds, invalidUsernames, userMap } = await validateMentions(usernames, authorId);
 
   return {
     mentionedUserIds: validUserIds,
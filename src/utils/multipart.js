@@ -0,0 +1,35 @@
+/**
+ * Multipart Utilities
+ * Helpers for fields sent as multipart/form-data, where arrays arrive as
+ * strings
+ */
+
+/**
+ * Read an array field that may have been sent as a JSON array string or a
+ * comma-separated string
+ * @param {Array|string|undefined} value - Field value
+ * @returns {Array} Array of items (empty if not set)
+ */
+export const normalizeStringArray = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (!trimmed) return [];
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      // Fallback to comma-separated
+    }
+    return trimmed
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return [];
+};
+
+export default {
+  normalizeStringArray,
+};
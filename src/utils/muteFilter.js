@@ -0,0 +1,72 @@
+/**
+ * Mute Filter Utilities
+ * Shared helpers that hide muted accounts (UserMute) from the muter's feeds,
+ * poll searches and notifications. Unlike blocks, mutes only apply to the
+ * muter.
+ */
+
+import { UserMute } from "../models/index.js";
+import { ContentType } from "../models/enums.js";
+
+// UserMute flag for each content type
+const MUTE_FIELD_BY_CONTENT_TYPE = {
+  [ContentType.POST]: "posts",
+  [ContentType.WRITE_POST]: "writePosts",
+  [ContentType.ZEAL]: "zeals",
+  Poll: "polls",
+};
+
+/**
+ * Get the users a user has muted, grouped by content type
+ * @param {string} userId - Muter user ID
+ * @returns {Promise<Object>} Object with contentType as keys and arrays of user IDs as values
+ * Example: { "Post": [id1], "Write Post": [], "Zeal Post": [id1, id2], "Poll": [] }
+ */
+export const getMutedUserIdsByContentType = async (userId) => {
+  const mutedUserIds = Object.fromEntries(
+    Object.keys(MUTE_FIELD_BY_CONTENT_TYPE).map((type) => [type, []])
+  );
+
+  if (!userId) {
+    return mutedUserIds;
+  }
+
+  const mutes = await UserMute.find({ muterId: userId })
+    .select("mutedId posts writePosts zeals polls")
+    .lean();
+
+  mutes.forEach((mute) => {
+    Object.entries(MUTE_FIELD_BY_CONTENT_TYPE).forEach(([type, field]) => {
+      if (mute[field]) {
+        mutedUserIds[type].push(mute.mutedId);
+      }
+    });
+  });
+
+  return mutedUserIds;
+};
+
+/**
+ * Check whether a receiver has muted notifications from a sender
+ * @param {string} receiverId - Receiver user ID
+ * @param {string} senderId - Sender user ID
+ * @returns {Promise<boolean>} True if notifications are muted
+ */
+export const isNotificationMuted = async (receiverId, senderId) => {
+  if (!receiverId || !senderId) {
+    return false;
+  }
+
+  const mute = await UserMute.exists({
+    muterId: receiverId,
+    mutedId: senderId,
+    notifications: true,
+  });
+
+  return !!mute;
+};
+
+export default {
+  getMutedUserIdsByContentType,
+  isNotificationMuted,
+};
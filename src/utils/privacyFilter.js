@@ -0,0 +1,93 @@
+/**
+ * Privacy Filter Utilities
+ * Shared helpers that hide the content of private accounts (User.isPrivate)
+ * from everyone except the account itself and its followers.
+ */
+
+import { User, UserFollower } from "../models/index.js";
+
+/**
+ * Check whether a viewer may see a user's content
+ * @param {string} viewerId - Viewer user ID (optional)
+ * @param {string} ownerId - Content owner user ID
+ * @returns {Promise<boolean>} True if the owner is public, is the viewer, or is followed by the viewer
+ */
+export const canViewUserContent = async (viewerId, ownerId) => {
+  if (!ownerId) {
+    return true;
+  }
+
+  if (viewerId && viewerId.toString() === ownerId.toString()) {
+    return true;
+  }
+
+  const owner = await User.findById(ownerId).select("isPrivate").lean();
+  if (!owner || !owner.isPrivate) {
+    return true;
+  }
+
+  if (!viewerId) {
+    return false;
+  }
+
+  const followRelation = await UserFollower.exists({
+    userId: ownerId,
+    followerId: viewerId,
+  });
+
+  return !!followRelation;
+};
+
+/**
+ * Get the IDs of users the viewer follows, plus the viewer
+ * @param {string} viewerId - Viewer user ID
+ * @returns {Promise<Array>} User IDs
+ */
+const getViewerAndFollowedIds = async (viewerId) => {
+  const followedIds = await UserFollower.find({
+    followerId: viewerId,
+  }).distinct("userId");
+  return [viewerId, ...followedIds];
+};
+
+/**
+ * Build a User query condition matching the users whose content the viewer
+ * may see (public accounts, the viewer and the private accounts they follow)
+ * @param {string} viewerId - Viewer user ID (optional)
+ * @returns {Promise<Object>} Mongo condition to merge into a User query
+ */
+export const getVisibleAuthorsQuery = async (viewerId) => {
+  if (!viewerId) {
+    return { isPrivate: { $ne: true } };
+  }
+
+  return {
+    $or: [
+      { isPrivate: { $ne: true } },
+      { _id: { $in: await getViewerAndFollowedIds(viewerId) } },
+    ],
+  };
+};
+
+/**
+ * Narrow a set of authors down to those whose content the viewer may see
+ * @param {string} viewerId - Viewer user ID (optional)
+ * @param {Array} authorIds - Candidate author IDs
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} Visible author IDs
+ */
+export const getVisibleAuthorIds = async (viewerId, authorIds) => {
+  if (authorIds.length === 0) {
+    return [];
+  }
+
+  return User.find({
+    _id: { $in: authorIds },
+    ...(await getVisibleAuthorsQuery(viewerId)),
+  }).distinct("_id");
+};
+
+export default {
+  canViewUserContent,
+  getVisibleAuthorsQuery,
+  getVisibleAuthorIds,
+};
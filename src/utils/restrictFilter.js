@@ -0,0 +1,84 @@
+/**
+ * Restrict Filter Utilities
+ * Shared helpers that enforce restrictions (UserRestrict). Unlike blocks,
+ * a restriction only applies one way: it limits how the restricted user
+ * can interact with the restricter.
+ */
+
+import { UserRestrict } from "../models/index.js";
+import { getContentOwnerId } from "../models/utils/contentHelper.js";
+
+/**
+ * Get the users a user has restricted
+ * @param {string|mongoose.Types.ObjectId} userId - Restricter user ID
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} Restricted user IDs
+ */
+export const getRestrictedUserIds = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+
+  return UserRestrict.find({ restricterId: userId }).distinct("restrictedId");
+};
+
+/**
+ * Get the users who have restricted a user
+ * @param {string|mongoose.Types.ObjectId} userId - Restricted user ID
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} Restricter user IDs
+ */
+export const getRestrictingUserIds = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+
+  return UserRestrict.find({ restrictedId: userId }).distinct("restricterId");
+};
+
+/**
+ * Check whether a user has restricted another user
+ * @param {string} restricterId - User who may have restricted
+ * @param {string} userId - User who may be restricted
+ * @returns {Promise<boolean>} True if userId is restricted by restricterId
+ */
+export const isRestrictedBy = async (restricterId, userId) => {
+  if (!restricterId || !userId) {
+    return false;
+  }
+
+  const restriction = await UserRestrict.exists({
+    restricterId,
+    restrictedId: userId,
+  });
+
+  return !!restriction;
+};
+
+/**
+ * Check whether a comment is hidden from a user because it waits for
+ * approval. Comments left by restricted users are only visible to their
+ * author and the content owner until approved.
+ * @param {string} userId - Viewer user ID
+ * @param {Object} comment - Comment ({ userId, contentType, contentId, isPendingApproval })
+ * @returns {Promise<boolean>} True if the comment is hidden from the user
+ */
+export const isHiddenPendingApproval = async (userId, comment) => {
+  if (!comment.isPendingApproval) {
+    return false;
+  }
+  if (userId && comment.userId.toString() === userId.toString()) {
+    return false;
+  }
+
+  const contentOwnerId = await getContentOwnerId(
+    comment.contentType,
+    comment.contentId
+  );
+  return !userId || contentOwnerId?.toString() !== userId.toString();
+};
+
+export default {
+  getRestrictedUserIds,
+  getRestrictingUserIds,
+  isRestrictedBy,
+  isHiddenPendingApproval,
+};
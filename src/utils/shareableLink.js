@@ -16,6 +16,25 @@ const contentTypeToSlug = {
   [ContentType.ZEAL]: "zeal",
 };
 
+/**
+ * Map URL-friendly slugs back to ContentType enum values
+ */
+const slugToContentType = Object.fromEntries(
+  Object.entries(contentTypeToSlug).map(([contentType, slug]) => [slug, contentType])
+);
+
+/**
+ * Resolve a content type given as a slug ("write-post") or as a ContentType value ("Write Post")
+ * @param {string} value - Slug or content type
+ * @returns {string|null} ContentType value, or null if unknown
+ */
+export const resolveContentType = (value) => {
+  if (Object.values(ContentType).includes(value)) {
+    return value;
+  }
+  return slugToContentType[value] || null;
+};
+
 /**
  * Generate a shareable link for content
  * @param {string} contentType - Content type (Post, Write Post, Zeal Post)
@@ -61,12 +80,6 @@ export const parseShareableLink = (shareableLink) => {
     const contentId = pathParts[2];
 
     // Map slug back to ContentType
-    const slugToContentType = {
-      post: ContentType.POST,
-      "write-post": ContentType.WRITE_POST,
-      zeal: ContentType.ZEAL,
-    };
-
     const contentType = slugToContentType[slug];
 
     if (!contentType || !contentId) {
@@ -85,5 +98,6 @@ export const parseShareableLink = (shareableLink) => {
 export default {
   generateShareableLink,
   parseShareableLink,
+  resolveContentType,
 };
 
@@ -294,4 +294,11 @@ export const commonValidations = {
   // Date
   date: Joi.date().iso(),
   dateRequired: Joi.date().iso().required(),
+
+  // Publish time of scheduled content (optional, must be in the future)
+  scheduledAt: Joi.date().iso().greater("now").allow(null).messages({
+    "date.base": "must be a valid date",
+    "date.format": "must be an ISO 8601 date",
+    "date.greater": "must be in the future",
+  }),
 };
@@ -5,6 +5,66 @@
 
 import Joi from "joi";
 import { commonValidations, createSchema } from "../utils/validation.js";
+import { DevicePlatform, SocialProvider } from "../models/enums.js";
+
+/**
+ * Optional device fields sent on login so the session can be listed later
+ */
+const deviceFields = {
+  deviceName: Joi.string().trim().max(100).optional().label("Device Name"),
+  platform: Joi.string()
+    .valid(...Object.values(DevicePlatform))
+    .optional()
+    .label("Platform"),
+};
+
+/**
+ * Username field
+ */
+const username = Joi.string().alphanum().min(3).max(30).lowercase().messages({
+  "string.alphanum": "must contain only letters and numbers",
+  "string.min": "must be at least 3 characters",
+  "string.max": "must be at most 30 characters",
+  "any.required": "is required",
+});
+
+/**
+ * Phone number fields (country code + national number)
+ */
+const countryCode = Joi.string()
+  .pattern(/^\+[1-9]\d{1,3}$/)
+  .messages({
+    "string.pattern.base": "must be a valid country code (e.g., +91, +1)",
+    "any.required": "is required",
+  })
+  .label("Country Code");
+
+const phoneNumber = Joi.number()
+  .integer()
+  .positive()
+  .messages({
+    "number.base": "must be a valid phone number",
+    "number.positive": "must be a positive number",
+    "any.required": "is required",
+  })
+  .label("Phone Number");
+
+/**
+ * Account identifier: either an email or a country code + phone number
+ */
+const identifierFields = {
+  email: commonValidations.email.optional(),
+  countryCode: countryCode.optional(),
+  phoneNumber: phoneNumber.optional(),
+};
+
+/**
+ * Require exactly one identifier (email, or phone number with its country code)
+ * @param {Joi.ObjectSchema} schema - Schema containing identifierFields
+ * @returns {Joi.ObjectSchema} Schema with identifier rules
+ */
+const requireIdentifier = (schema) =>
+  schema.xor("email", "phoneNumber").and("countryCode", "phoneNumber");
 
 /**
  * Registration validation schema
@@ -30,18 +90,7 @@ export const registerSchema = createSchema(
         "any.required": "is required",
       }),
     name: commonValidations.stringRequired(2, 100),
-    username: Joi.string()
-      .alphanum()
-      .min(3)
-      .max(30)
-      .required()
-      .lowercase()
-      .messages({
-        "string.alphanum": "must contain only letters and numbers",
-        "string.min": "must be at least 3 characters",
-        "string.max": "must be at most 30 characters",
-        "any.required": "is required",
-      }),
+    username: username.required(),
     password: commonValidations.password,
   },
   ["email", "phoneNumber", "countryCode", "name", "username", "password"]
@@ -51,62 +100,172 @@ export const registerSchema = createSchema(
  * Verify OTP validation schema
  * Supports both account verification and forgot password OTP
  */
-export const verifyOTPSchema = createSchema(
+export const verifyOTPSchema = requireIdentifier(
+  createSchema(
+    {
+      ...identifierFields,
+      otp: Joi.number().integer().positive().required().messages({
+        "number.base": "must be a valid OTP",
+        "number.positive": "must be a positive number",
+        "any.required": "is required",
+      }),
+      type: Joi.string().valid("account", "password").optional().messages({
+        "any.only": "must be either 'account' or 'password'",
+      }),
+      ...deviceFields,
+    },
+    [
+      "email",
+      "countryCode",
+      "phoneNumber",
+      "otp",
+      "type",
+      "deviceName",
+      "platform",
+    ]
+  )
+);
+
+/**
+ * Resend OTP validation schema
+ */
+export const resendOTPSchema = requireIdentifier(
+  createSchema(identifierFields, ["email", "countryCode", "phoneNumber"])
+);
+
+/**
+ * Login validation schema
+ */
+export const loginSchema = createSchema(
   {
     email: commonValidations.email,
+    password: commonValidations.password,
+    ...deviceFields,
+  },
+  ["email", "password", "deviceName", "platform"]
+);
+
+/**
+ * Refresh token validation schema
+ */
+export const refreshTokenSchema = createSchema(
+  {
+    refreshToken: Joi.string().trim().required().messages({
+      "string.empty": "is required",
+      "any.required": "is required",
+    }),
+  },
+  ["refreshToken"]
+);
+
+/**
+ * Session ID params validation schema
+ */
+export const sessionIdParamsSchema = Joi.object({
+  sessionId: commonValidations.objectId.label("Session ID"),
+});
+
+/**
+ * Forgot Password validation schema
+ */
+export const forgotPasswordSchema = requireIdentifier(
+  createSchema(identifierFields, ["email", "countryCode", "phoneNumber"])
+);
+
+/**
+ * Reset Password validation schema
+ * Only requires newPassword (OTP is verified in verify-otp API)
+ */
+export const resetPasswordSchema = requireIdentifier(
+  createSchema(
+    {
+      ...identifierFields,
+      newPassword: commonValidations.password,
+    },
+    ["email", "countryCode", "phoneNumber", "newPassword"]
+  )
+);
+
+/**
+ * Phone registration validation schema (no email required)
+ */
+export const phoneRegisterSchema = createSchema(
+  {
+    countryCode: countryCode.required(),
+    phoneNumber: phoneNumber.required(),
+    name: commonValidations.stringRequired(2, 100),
+    username: username.required(),
+    password: commonValidations.password.optional(),
+  },
+  ["countryCode", "phoneNumber", "name", "username", "password"]
+);
+
+/**
+ * Phone number validation schema (send login code / verify phone)
+ */
+export const phoneNumberSchema = createSchema(
+  {
+    countryCode: countryCode.required(),
+    phoneNumber: phoneNumber.required(),
+  },
+  ["countryCode", "phoneNumber"]
+);
+
+/**
+ * Phone login validation schema
+ */
+export const phoneLoginSchema = createSchema(
+  {
+    countryCode: countryCode.required(),
+    phoneNumber: phoneNumber.required(),
     otp: Joi.number().integer().positive().required().messages({
       "number.base": "must be a valid OTP",
       "number.positive": "must be a positive number",
       "any.required": "is required",
     }),
-    type: Joi.string().valid("account", "password").optional().messages({
-      "any.only": "must be either 'account' or 'password'",
-    }),
+    ...deviceFields,
   },
-  ["email", "otp", "type"]
+  ["countryCode", "phoneNumber", "otp", "deviceName", "platform"]
 );
 
 /**
- * Resend OTP validation schema
+ * Confirm phone verification validation schema
  */
-export const resendOTPSchema = createSchema(
+export const confirmPhoneSchema = createSchema(
   {
-    email: commonValidations.email,
+    otp: Joi.number().integer().positive().required().messages({
+      "number.base": "must be a valid OTP",
+      "number.positive": "must be a positive number",
+      "any.required": "is required",
+    }),
   },
-  ["email"]
+  ["otp"]
 );
 
 /**
- * Login validation schema
+ * Email change request validation schema
  */
-export const loginSchema = createSchema(
+export const emailChangeSchema = createSchema(
   {
     email: commonValidations.email,
-    password: commonValidations.password,
+    password: Joi.string().required().label("Password"),
   },
   ["email", "password"]
 );
 
 /**
- * Forgot Password validation schema
+ * Email change confirmation validation schema
  */
-export const forgotPasswordSchema = createSchema(
-  {
-    email: commonValidations.email,
-  },
-  ["email"]
-);
+export const confirmEmailChangeSchema = confirmPhoneSchema;
 
 /**
- * Reset Password validation schema
- * Only requires newPassword (OTP is verified in verify-otp API)
+ * Email change cancel link validation schema
  */
-export const resetPasswordSchema = createSchema(
+export const cancelEmailChangeSchema = createSchema(
   {
-    email: commonValidations.email,
-    newPassword: commonValidations.password,
+    token: Joi.string().hex().length(64).required().label("Token"),
   },
-  ["email", "newPassword"]
+  ["token"]
 );
 
 /**
@@ -121,12 +280,120 @@ export const changePasswordSchema = createSchema(
   ["oldPassword", "newPassword"]
 );
 
+/**
+ * Social provider params validation schema
+ */
+export const socialProviderParamsSchema = Joi.object({
+  provider: Joi.string()
+    .valid(...Object.values(SocialProvider))
+    .required()
+    .messages({
+      "any.only": `must be one of: ${Object.values(SocialProvider).join(", ")}`,
+      "any.required": "is required",
+    })
+    .label("Provider"),
+});
+
+/**
+ * Social login validation schema
+ * username is only needed on the first login of a new social user
+ */
+export const socialLoginSchema = createSchema(
+  {
+    idToken: Joi.string().trim().required().label("ID Token"),
+    username: username.optional(),
+    name: commonValidations.stringOptional(2, 100),
+    ...deviceFields,
+  },
+  ["idToken", "username", "name", "deviceName", "platform"]
+);
+
+/**
+ * Social link validation schema
+ */
+export const socialLinkSchema = createSchema(
+  {
+    idToken: Joi.string().trim().required().label("ID Token"),
+  },
+  ["idToken"]
+);
+
+/**
+ * Two-factor code fields (authenticator app code or recovery code)
+ */
+const twoFactorCode = Joi.string()
+  .trim()
+  .pattern(/^\d{6}$/)
+  .messages({
+    "string.pattern.base": "must be a 6-digit code",
+    "any.required": "is required",
+  })
+  .label("Code");
+
+const recoveryCode = Joi.string()
+  .trim()
+  .pattern(/^[0-9a-fA-F]{5}-?[0-9a-fA-F]{5}$/)
+  .messages({
+    "string.pattern.base": "must be a valid recovery code",
+  })
+  .label("Recovery Code");
+
+/**
+ * Two-factor code validation schema (enable 2FA / regenerate recovery codes)
+ */
+export const twoFactorCodeSchema = createSchema(
+  {
+    code: twoFactorCode.required(),
+  },
+  ["code"]
+);
+
+/**
+ * Two-factor login validation schema
+ */
+export const twoFactorLoginSchema = createSchema(
+  {
+    challengeToken: Joi.string().trim().required().label("Challenge Token"),
+    code: twoFactorCode.optional(),
+    recoveryCode: recoveryCode.optional(),
+    ...deviceFields,
+  },
+  ["challengeToken", "code", "recoveryCode", "deviceName", "platform"]
+).xor("code", "recoveryCode");
+
+/**
+ * Disable two-factor validation schema
+ */
+export const disableTwoFactorSchema = createSchema(
+  {
+    password: Joi.string().required().label("Password"),
+    code: twoFactorCode.optional(),
+    recoveryCode: recoveryCode.optional(),
+  },
+  ["password", "code", "recoveryCode"]
+).xor("code", "recoveryCode");
+
 export default {
   registerSchema,
   verifyOTPSchema,
   resendOTPSchema,
   loginSchema,
+  refreshTokenSchema,
+  sessionIdParamsSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
   changePasswordSchema,
+  phoneRegisterSchema,
+  phoneNumberSchema,
+  phoneLoginSchema,
+  confirmPhoneSchema,
+  emailChangeSchema,
+  confirmEmailChangeSchema,
+  cancelEmailChangeSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+  socialProviderParamsSchema,
+  socialLoginSchema,
+  socialLinkSchema,
 };
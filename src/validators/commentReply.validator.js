@@ -34,6 +34,14 @@ export const commentIdParamsSchema = Joi.object({
   commentId: commonValidations.objectId.label("Comment ID"),
 });
 
+/**
+ * Schema for comment and reply IDs in params
+ */
+export const replyIdParamsSchema = Joi.object({
+  commentId: commonValidations.objectId.label("Comment ID"),
+  replyId: commonValidations.objectId.label("Reply ID"),
+});
+
 /**
  * Schema for getting replies query
  */
@@ -48,5 +56,6 @@ export const getRepliesQuerySchema = createSchema(
 export default {
   createReplyBodySchema,
   commentIdParamsSchema,
+  replyIdParamsSchema,
   getRepliesQuerySchema,
 };
@@ -0,0 +1,83 @@
+import Joi from "joi";
+import { ContentType } from "../models/enums.js";
+import { commonValidations } from "../utils/validation.js";
+
+// Content types as used in shareable links
+const CONTENT_TYPE_SLUGS = ["post", "write-post", "zeal"];
+
+// Content types that can be scheduled (polls included)
+const SCHEDULABLE_CONTENT_TYPES = [
+  ...Object.values(ContentType),
+  ...CONTENT_TYPE_SLUGS,
+  "poll",
+];
+
+const schedulableContentType = Joi.string()
+  .valid(...SCHEDULABLE_CONTENT_TYPES)
+  .messages({
+    "any.only": `Content type must be one of: ${SCHEDULABLE_CONTENT_TYPES.join(", ")}`,
+    "any.required": "Content type is required",
+  });
+
+/**
+ * Content detail params validation schema
+ * (contentType as a ContentType value or a shareable link slug)
+ */
+export const contentDetailParamsSchema = Joi.object({
+  contentType: Joi.string()
+    .valid(...Object.values(ContentType), ...CONTENT_TYPE_SLUGS)
+    .required()
+    .messages({
+      "any.only": `Content type must be one of: ${[...Object.values(ContentType), ...CONTENT_TYPE_SLUGS].join(", ")}`,
+      "any.required": "Content type is required",
+    }),
+  contentId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "must be a valid content ID",
+      "any.required": "Content ID is required",
+    }),
+});
+
+/**
+ * Scheduled content list query validation schema
+ */
+export const scheduledContentQuerySchema = Joi.object({
+  page: commonValidations.page,
+  limit: commonValidations.limit,
+  contentType: schedulableContentType.optional(),
+});
+
+/**
+ * Scheduled content params validation schema
+ */
+export const scheduledContentParamsSchema = Joi.object({
+  contentType: schedulableContentType.required(),
+  contentId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "must be a valid content ID",
+      "any.required": "Content ID is required",
+    }),
+});
+
+/**
+ * Reschedule content validation schema
+ */
+export const rescheduleContentSchema = Joi.object({
+  scheduledAt: Joi.date().iso().greater("now").required().messages({
+    "date.base": "Scheduled time must be a valid date",
+    "date.format": "Scheduled time must be an ISO 8601 date",
+    "date.greater": "Scheduled time must be in the future",
+    "any.required": "Scheduled time is required",
+  }),
+});
+
+export default {
+  contentDetailParamsSchema,
+  scheduledContentQuerySchema,
+  scheduledContentParamsSchema,
+  rescheduleContentSchema,
+};
@@ -0,0 +1,154 @@
+import Joi from "joi";
+import { commonValidations, createSchema } from "../utils/validation.js";
+import { ContentType, ContentVisibility } from "../models/enums.js";
+
+// Content types that can be drafted
+const DRAFT_CONTENT_TYPES = [ContentType.POST, ContentType.WRITE_POST];
+
+/**
+ * Fields a draft can hold. Nothing is required: drafts are checked in full
+ * when they are published.
+ */
+const draftFields = {
+  caption: Joi.string().trim().max(500).allow("").optional(),
+  content: Joi.string().trim().max(10000).allow("").optional().messages({
+    "string.max": "cannot exceed 10000 characters",
+  }),
+  // Array, or JSON / comma-separated string when sent as multipart
+  mentionedUserIds: Joi.alternatives()
+    .try(
+      Joi.array().items(
+        Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .messages({
+            "string.pattern.base": "must be a valid user ID",
+          })
+      ),
+      Joi.string().allow("")
+    )
+    .optional()
+    .messages({
+      "array.base": "Mentioned user IDs must be an array",
+    }),
+  musicId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null, "")
+    .optional()
+    .messages({
+      "string.pattern.base": "must be a valid music ID",
+    }),
+  musicStartTime: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .optional()
+    .messages({
+      "number.base": "must be a number",
+      "number.integer": "must be an integer",
+      "number.min": "must be 0 or greater",
+    }),
+  musicEndTime: Joi.number().integer().min(0).allow(null).optional().messages({
+    "number.base": "must be a number",
+    "number.integer": "must be an integer",
+    "number.min": "must be 0 or greater",
+  }),
+  visibility: Joi.string()
+    .valid(...Object.values(ContentVisibility))
+    .optional()
+    .messages({
+      "any.only": `must be one of: ${Object.values(ContentVisibility).join(", ")}`,
+    }),
+};
+
+/**
+ * Create Draft validation schema
+ */
+export const createDraftSchema = createSchema(
+  {
+    contentType: Joi.string()
+      .valid(...DRAFT_CONTENT_TYPES)
+      .required()
+      .messages({
+        "any.only": `must be one of: ${DRAFT_CONTENT_TYPES.join(", ")}`,
+        "any.required": "is required",
+      }),
+    ...draftFields,
+  },
+  ["contentType", ...Object.keys(draftFields)]
+);
+
+/**
+ * Update Draft validation schema
+ */
+export const updateDraftSchema = createSchema(
+  {
+    // Revision the changes were made on
+    revision: Joi.number().integer().min(1).required().messages({
+      "number.base": "must be a number",
+      "number.integer": "must be an integer",
+      "number.min": "must be 1 or greater",
+      "any.required": "is required",
+    }),
+    ...draftFields,
+    // Already uploaded images to keep, in order (posts); new ones are uploaded as files
+    images: Joi.alternatives()
+      .try(
+        Joi.array().items(
+          Joi.string().uri().messages({
+            "string.uri": "must be a valid image URL",
+          })
+        ),
+        Joi.string().allow("")
+      )
+      .optional()
+      .messages({
+        "array.base": "Images must be an array",
+      }),
+  },
+  ["revision", ...Object.keys(draftFields), "images"]
+);
+
+/**
+ * Draft ID params validation schema
+ */
+export const draftIdParamsSchema = createSchema(
+  {
+    draftId: commonValidations.objectId.label("Draft ID"),
+  },
+  ["draftId"]
+);
+
+/**
+ * Draft list query validation schema
+ */
+export const draftListQuerySchema = createSchema(
+  {
+    contentType: Joi.string()
+      .valid(...DRAFT_CONTENT_TYPES)
+      .optional()
+      .messages({
+        "any.only": `must be one of: ${DRAFT_CONTENT_TYPES.join(", ")}`,
+      }),
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["contentType", "page", "limit"]
+);
+
+/**
+ * Publish Draft validation schema
+ */
+export const publishDraftSchema = createSchema(
+  {
+    scheduledAt: commonValidations.scheduledAt,
+  },
+  ["scheduledAt"]
+);
+
+export default {
+  createDraftSchema,
+  updateDraftSchema,
+  draftIdParamsSchema,
+  draftListQuerySchema,
+  publishDraftSchema,
+};
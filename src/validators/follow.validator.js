@@ -110,11 +110,57 @@ export const getFollowCountsQuerySchema = createSchema(
   ["userId"]
 );
 
+/**
+ * Follow requests list validation schema (query)
+ */
+export const followRequestsQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["page", "limit"]
+);
+
+/**
+ * Mutual followers validation schema (query)
+ */
+export const mutualFollowersQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["page", "limit"]
+);
+
+/**
+ * Remove follower validation schema (body)
+ */
+export const removeFollowerSchema = createSchema(
+  {
+    preventRefollowDays: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .optional()
+      .messages({
+        "number.base": "must be a number",
+        "number.integer": "must be a whole number of days",
+        "number.min": "must be at least 1 day",
+        "number.max": "cannot exceed 365 days",
+      })
+      .label("Prevent Refollow Days"),
+  },
+  ["preventRefollowDays"]
+);
+
 export default {
   followUserParamsSchema,
   getFollowStatusParamsSchema,
   getFollowersParamsSchema,
   getFollowersQuerySchema,
   getFollowCountsQuerySchema,
+  followRequestsQuerySchema,
+  mutualFollowersQuerySchema,
+  removeFollowerSchema,
 };
 
@@ -1,5 +1,5 @@
 import Joi from "joi";
-import { createSchema } from "../utils/validation.js";
+import { commonValidations, createSchema } from "../utils/validation.js";
 
 /**
  * Create Poll validation schema
@@ -38,8 +38,9 @@ export const createPollSchema = createSchema(
         "date.greater": "Duration must be in the future",
         "any.required": "Duration is required",
       }),
+    scheduledAt: commonValidations.scheduledAt,
   },
-  ["caption", "options", "duration"]
+  ["caption", "options", "duration", "scheduledAt"]
 );
 
 /**
@@ -1,5 +1,6 @@
 import Joi from "joi";
-import { createSchema } from "../utils/validation.js";
+import { commonValidations, createSchema } from "../utils/validation.js";
+import { ContentVisibility } from "../models/enums.js";
 
 /**
  * Create Post validation schema
@@ -63,6 +64,13 @@ export const createPostSchema = createSchema(
         "number.integer": "must be an integer",
         "number.min": "must be 0 or greater",
       }),
+    visibility: Joi.string()
+      .valid(...Object.values(ContentVisibility))
+      .optional()
+      .messages({
+        "any.only": `must be one of: ${Object.values(ContentVisibility).join(", ")}`,
+      }),
+    scheduledAt: commonValidations.scheduledAt,
   },
   [
     "caption",
@@ -71,9 +79,94 @@ export const createPostSchema = createSchema(
     "musicId",
     "musicStartTime",
     "musicEndTime",
+    "visibility",
+    "scheduledAt",
   ]
 );
 
+/**
+ * Update Post validation schema (at least one field)
+ */
+export const updatePostSchema = createSchema(
+  {
+    caption: Joi.string().trim().max(500).allow("").optional(),
+    mentionedUserIds: Joi.array()
+      .items(
+        Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .messages({
+            "string.pattern.base": "must be a valid user ID",
+          })
+      )
+      .optional()
+      .messages({
+        "array.base": "Mentioned user IDs must be an array",
+      }),
+    musicStartTime: Joi.number()
+      .integer()
+      .min(0)
+      .allow(null)
+      .optional()
+      .messages({
+        "number.base": "must be a number",
+        "number.integer": "must be an integer",
+        "number.min": "must be 0 or greater",
+      }),
+    musicEndTime: Joi.number()
+      .integer()
+      .min(0)
+      .allow(null)
+      .optional()
+      .messages({
+        "number.base": "must be a number",
+        "number.integer": "must be an integer",
+        "number.min": "must be 0 or greater",
+      }),
+    // Same images in a new order
+    images: Joi.array()
+      .items(
+        Joi.string().uri().messages({
+          "string.uri": "must be a valid image URL",
+        })
+      )
+      .min(1)
+      .max(20)
+      .unique()
+      .optional()
+      .messages({
+        "array.base": "Images must be an array",
+        "array.min": "At least one image is required",
+        "array.max": "Cannot upload more than 20 images",
+        "array.unique": "Images cannot contain duplicates",
+      }),
+  },
+  ["caption", "mentionedUserIds", "musicStartTime", "musicEndTime", "images"]
+).or("caption", "mentionedUserIds", "musicStartTime", "musicEndTime", "images");
+
+/**
+ * Post ID params validation schema
+ */
+export const postIdParamsSchema = createSchema(
+  {
+    postId: commonValidations.objectId.label("Post ID"),
+  },
+  ["postId"]
+);
+
+/**
+ * Post edit history query validation schema
+ */
+export const postHistoryQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["page", "limit"]
+);
+
 export default {
   createPostSchema,
+  updatePostSchema,
+  postIdParamsSchema,
+  postHistoryQuerySchema,
 };
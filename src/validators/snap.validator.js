@@ -4,16 +4,22 @@
  */
 
 import Joi from "joi";
+import { ContentVisibility } from "../models/enums.js";
 
 /**
  * Create Snap Body Schema
  */
 export const createSnapBodySchema = Joi.object({
+  // Optional for Close Friends snaps, which default to the whole list
   recipientIds: Joi.array()
     .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
     .min(1)
     .max(50)
-    .required()
+    .when("visibility", {
+      is: ContentVisibility.CLOSE_FRIENDS,
+      then: Joi.optional(),
+      otherwise: Joi.required(),
+    })
     .messages({
       "array.min": "At least one recipient is required",
       "array.max": "Maximum 50 recipients allowed",
@@ -52,6 +58,13 @@ export const createSnapBodySchema = Joi.object({
       "number.min": "Expiration time must be at least 60 seconds",
       "number.max": "Expiration time cannot exceed 7 days",
     }),
+  visibility: Joi.string()
+    .valid(...Object.values(ContentVisibility))
+    .optional()
+    .default(ContentVisibility.PUBLIC)
+    .messages({
+      "any.only": "Visibility must be 'Public' or 'Close Friends'",
+    }),
 });
 
 /**
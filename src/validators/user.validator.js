@@ -1,5 +1,16 @@
 import Joi from "joi";
 import { createSchema, commonValidations } from "../utils/validation.js";
+import { PresenceVisibility, SocialProvider } from "../models/enums.js";
+
+/**
+ * Username field (letters, numbers and underscores)
+ */
+const username = Joi.string()
+  .trim()
+  .min(3)
+  .max(30)
+  .pattern(/^[a-zA-Z0-9_]+$/)
+  .message("Username can only contain letters, numbers, and underscores");
 
 /**
  * Update Profile validation schema
@@ -7,18 +18,24 @@ import { createSchema, commonValidations } from "../utils/validation.js";
 export const updateProfileSchema = createSchema(
   {
     name: Joi.string().trim().min(1).max(100).optional(),
-    username: Joi.string()
-      .trim()
-      .min(3)
-      .max(30)
-      .pattern(/^[a-zA-Z0-9_]+$/)
-      .message("Username can only contain letters, numbers, and underscores")
-      .optional(),
+    username: username.optional(),
     bio: Joi.string().trim().max(500).allow("").optional(),
     profileImage: Joi.string().uri().allow("", null).optional(),
     coverImage: Joi.string().uri().allow("", null).optional(),
+    isPrivate: Joi.boolean().optional(),
+    presenceVisibility: Joi.string()
+      .valid(...Object.values(PresenceVisibility))
+      .optional(),
   },
-  ["name", "username", "bio", "profileImage", "coverImage"]
+  [
+    "name",
+    "username",
+    "bio",
+    "profileImage",
+    "coverImage",
+    "isPrivate",
+    "presenceVisibility",
+  ]
 );
 
 /**
@@ -127,9 +144,189 @@ export const searchMentionsQuerySchema = createSchema(
   ["q", "query", "limit"]
 );
 
+/**
+ * Delete account validation schema
+ * Re-authenticate with the password, an SMS code from deletion-code, or an
+ * identity token of a linked provider
+ */
+export const deleteAccountSchema = createSchema(
+  {
+    password: Joi.string().label("Password"),
+    otp: Joi.number().integer().positive().messages({
+      "number.base": "must be a valid OTP",
+      "number.positive": "must be a positive number",
+    }),
+    provider: Joi.string()
+      .valid(...Object.values(SocialProvider))
+      .messages({
+        "any.only": `must be one of: ${Object.values(SocialProvider).join(", ")}`,
+      })
+      .label("Provider"),
+    idToken: Joi.string().trim().label("ID Token"),
+  },
+  ["password", "otp", "provider", "idToken"]
+)
+  .xor("password", "otp", "idToken")
+  .and("provider", "idToken");
+
+/**
+ * Data export params schema
+ */
+export const dataExportParamsSchema = Joi.object({
+  exportId: commonValidations.objectId.label("Export ID"),
+});
+
+/**
+ * Change username validation schema
+ */
+export const changeUsernameSchema = createSchema(
+  {
+    username: username.required().label("Username"),
+  },
+  ["username"]
+);
+
+/**
+ * User ID params schema (block / unblock)
+ */
+export const userIdParamsSchema = Joi.object({
+  userId: commonValidations.objectId.label("User ID"),
+});
+
+/**
+ * Blocked users list query schema
+ */
+export const blockedUsersQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["page", "limit"]
+);
+
+/**
+ * Mute user schema (at least one option; omitted options keep their value)
+ */
+export const muteUserSchema = createSchema(
+  {
+    posts: Joi.boolean(),
+    writePosts: Joi.boolean(),
+    zeals: Joi.boolean(),
+    polls: Joi.boolean(),
+    notifications: Joi.boolean(),
+  },
+  ["posts", "writePosts", "zeals", "polls", "notifications"]
+).or("posts", "writePosts", "zeals", "polls", "notifications");
+
+/**
+ * Muted users list query schema
+ */
+export const mutedUsersQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["page", "limit"]
+);
+
+/**
+ * Restricted users list query schema
+ */
+export const restrictedUsersQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["page", "limit"]
+);
+
+/**
+ * Close Friends list query schema
+ */
+export const closeFriendsQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["page", "limit"]
+);
+
+/**
+ * Bulk Close Friends update schema (users to add and/or remove)
+ */
+export const updateCloseFriendsSchema = createSchema(
+  {
+    add: Joi.array()
+      .items(commonValidations.objectId)
+      .unique()
+      .max(100)
+      .label("Users to add"),
+    remove: Joi.array()
+      .items(commonValidations.objectId)
+      .unique()
+      .max(100)
+      .label("Users to remove"),
+  },
+  ["add", "remove"]
+).or("add", "remove");
+
+/**
+ * Follow suggestions query schema
+ */
+export const suggestionsQuerySchema = createSchema(
+  {
+    limit: Joi.number().integer().min(1).max(50).default(20).label("Limit"),
+  },
+  ["limit"]
+);
+
+/**
+ * Presence query schema (comma-separated user IDs)
+ */
+export const presenceQuerySchema = createSchema(
+  {
+    userIds: Joi.string()
+      .required()
+      .custom((value, helpers) => {
+        const ids = [
+          ...new Set(
+            value
+              .split(",")
+              .map((id) => id.trim())
+              .filter(Boolean)
+          ),
+        ];
+
+        if (ids.length === 0 || ids.length > 100) {
+          return helpers.message("User IDs must list between 1 and 100 users");
+        }
+
+        if (ids.some((id) => !/^[0-9a-fA-F]{24}$/.test(id))) {
+          return helpers.message("User IDs must be valid user IDs");
+        }
+
+        return ids;
+      })
+      .label("User IDs"),
+  },
+  ["userIds"]
+);
+
 export default {
   searchUsersQuerySchema,
   updateProfileSchema,
   getUserProfileParamsSchema,
   searchMentionsQuerySchema,
+  deleteAccountSchema,
+  dataExportParamsSchema,
+  changeUsernameSchema,
+  userIdParamsSchema,
+  blockedUsersQuerySchema,
+  muteUserSchema,
+  mutedUsersQuerySchema,
+  restrictedUsersQuerySchema,
+  closeFriendsQuerySchema,
+  updateCloseFriendsSchema,
+  suggestionsQuerySchema,
+  presenceQuerySchema,
 };
@@ -1,5 +1,6 @@
 import Joi from "joi";
-import { createSchema } from "../utils/validation.js";
+import { commonValidations, createSchema } from "../utils/validation.js";
+import { ContentVisibility } from "../models/enums.js";
 
 /**
  * Create Write Post validation schema
@@ -24,10 +25,67 @@ export const createWritePostSchema = createSchema(
       .messages({
         "array.base": "Mentioned user IDs must be an array",
       }),
+    visibility: Joi.string()
+      .valid(...Object.values(ContentVisibility))
+      .optional()
+      .messages({
+        "any.only": `must be one of: ${Object.values(ContentVisibility).join(", ")}`,
+      }),
+    scheduledAt: commonValidations.scheduledAt,
+  },
+  ["title", "content", "mentionedUserIds", "visibility", "scheduledAt"]
+);
+
+/**
+ * Update Write Post validation schema (at least one field)
+ */
+export const updateWritePostSchema = createSchema(
+  {
+    content: Joi.string().trim().min(1).max(10000).optional().messages({
+      "string.empty": "cannot be empty",
+      "string.min": "must be at least 1 character long",
+      "string.max": "cannot exceed 10000 characters",
+    }),
+    mentionedUserIds: Joi.array()
+      .items(
+        Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .messages({
+            "string.pattern.base": "must be a valid user ID",
+          })
+      )
+      .optional()
+      .messages({
+        "array.base": "Mentioned user IDs must be an array",
+      }),
+  },
+  ["content", "mentionedUserIds"]
+).or("content", "mentionedUserIds");
+
+/**
+ * Write Post ID params validation schema
+ */
+export const writePostIdParamsSchema = createSchema(
+  {
+    writePostId: commonValidations.objectId.label("Write Post ID"),
+  },
+  ["writePostId"]
+);
+
+/**
+ * Write Post edit history query validation schema
+ */
+export const writePostHistoryQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
   },
-  ["title", "content", "mentionedUserIds"]
+  ["page", "limit"]
 );
 
 export default {
   createWritePostSchema,
+  updateWritePostSchema,
+  writePostIdParamsSchema,
+  writePostHistoryQuerySchema,
 };
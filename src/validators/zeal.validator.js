@@ -5,6 +5,7 @@
 
 import Joi from "joi";
 import { commonValidations, createSchema } from "../utils/validation.js";
+import { ContentVisibility } from "../models/enums.js";
 
 /**
  * Start Zeal Upload validation schema
@@ -74,6 +75,11 @@ export const createZealSchema = createSchema(
       })
       .label("Music End Time"),
     isDevelopByAi: commonValidations.boolean.label("Is Developed By AI"),
+    visibility: Joi.string()
+      .valid(...Object.values(ContentVisibility))
+      .optional()
+      .label("Visibility"),
+    scheduledAt: commonValidations.scheduledAt.label("Scheduled At"),
   },
   [
     "zealDraftId",
@@ -83,6 +89,8 @@ export const createZealSchema = createSchema(
     "musicStartTime",
     "musicEndTime",
     "isDevelopByAi",
+    "visibility",
+    "scheduledAt",
   ]
 );
 
@@ -96,9 +104,60 @@ export const getZealStatusParamsSchema = createSchema(
   ["zealId"]
 );
 
+/**
+ * Update Zeal validation schema (at least one field)
+ */
+export const updateZealSchema = createSchema(
+  {
+    caption: commonValidations.stringOptional(0, 2000).label("Caption"),
+    mentionedUserIds: Joi.array()
+      .items(
+        Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .messages({
+            "string.pattern.base": "must be a valid ObjectId",
+          })
+      )
+      .optional()
+      .label("Mentioned User IDs"),
+    musicStartTime: Joi.number()
+      .min(0)
+      .allow(null)
+      .optional()
+      .messages({
+        "number.base": "must be a valid number",
+        "number.min": "must be 0 or greater",
+      })
+      .label("Music Start Time"),
+    musicEndTime: Joi.number()
+      .min(0)
+      .allow(null)
+      .optional()
+      .messages({
+        "number.base": "must be a valid number",
+        "number.min": "must be 0 or greater",
+      })
+      .label("Music End Time"),
+  },
+  ["caption", "mentionedUserIds", "musicStartTime", "musicEndTime"]
+).or("caption", "mentionedUserIds", "musicStartTime", "musicEndTime");
+
+/**
+ * Zeal edit history query validation schema
+ */
+export const zealHistoryQuerySchema = createSchema(
+  {
+    page: commonValidations.page,
+    limit: commonValidations.limit,
+  },
+  ["page", "limit"]
+);
+
 export default {
   startZealUploadSchema,
   createZealSchema,
   getZealStatusParamsSchema,
+  updateZealSchema,
+  zealHistoryQuerySchema,
 };
 
@@ -0,0 +1,42 @@
+/**
+ * Mongoose query stand-in for unit tests
+ * Chained query methods return the query itself; awaiting it (or exec())
+ * resolves the given value.
+ */
+
+import { jest } from "@jest/globals";
+
+// Query methods the services chain before awaiting
+const CHAIN_METHODS = [
+  "select",
+  "sort",
+  "skip",
+  "limit",
+  "lean",
+  "populate",
+  "session",
+  "distinct",
+];
+
+/**
+ * Create a query resolving a value
+ * @param {*} value - Result, or a function of the query returning it (called when awaited)
+ * @returns {Object} Chainable, thenable query
+ */
+export const mockQuery = (value) => {
+  const query = {};
+
+  CHAIN_METHODS.forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+
+  query.exec = jest.fn(async () =>
+    typeof value === "function" ? value(query) : value
+  );
+  query.then = (onFulfilled, onRejected) =>
+    query.exec().then(onFulfilled, onRejected);
+
+  return query;
+};
+
+export default mockQuery;
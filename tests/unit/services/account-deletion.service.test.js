@@ -0,0 +1,355 @@
+/**
+ * Account Deletion Service - deletion requests, re-authentication of
+ * accounts without a password and the data purge
+ */
+
+import { jest } from "@jest/globals";
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserSession from "../../../src/models/users/UserSession.js";
+import SocialAccount from "../../../src/models/users/SocialAccount.js";
+import {
+  PhoneOTPPurpose,
+  SessionRevokeReason,
+  SocialProvider,
+} from "../../../src/models/enums.js";
+import config from "../../../src/config/env.js";
+import { registerSmsProvider } from "../../../src/services/sms.service.js";
+import {
+  purgeDueAccounts,
+  purgeUserAccount,
+  requestAccountDeletion,
+  sendAccountDeletionCode,
+} from "../../../src/services/account-deletion.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLIENT_ID = "com.example.app";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+/**
+ * Sign a Google identity token
+ * @param {string} sub - Provider user ID
+ * @returns {string} Identity token
+ */
+const signIdToken = (sub) =>
+  jwt.sign(
+    {
+      iss: "https://accounts.google.com",
+      aud: CLIENT_ID,
+      sub,
+      exp: Math.floor(Date.now() / 1000) + 10 * 60,
+    },
+    privateKey,
+    { algorithm: "RS256", keyid: "google-key-1" }
+  );
+
+// SMS sent through the recording provider, as { to, message }
+const sentSms = [];
+let jwksDir;
+
+beforeAll(async () => {
+  registerSmsProvider("test", {
+    send: async (sms) => {
+      sentSms.push(sms);
+      return { success: true };
+    },
+  });
+  config.sms.provider = "test";
+
+  jwksDir = await fs.mkdtemp(path.join(os.tmpdir(), "jwks-"));
+  const jwk = publicKey.export({ format: "jwk" });
+  await fs.writeFile(
+    path.join(jwksDir, "google.json"),
+    JSON.stringify({ keys: [{ ...jwk, kid: "google-key-1", alg: "RS256" }] })
+  );
+  config.social.google.clientIds = [CLIENT_ID];
+  config.social.google.jwksUri = path.join(jwksDir, "google.json");
+});
+
+afterAll(async () => {
+  await fs.rm(jwksDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  sentSms.length = 0;
+});
+
+describe("requestAccountDeletion", () => {
+  const password = "Correct-horse-1";
+
+  const sessionId = new mongoose.Types.ObjectId();
+
+  let user;
+  let findSessions;
+  let revokeSessions;
+
+  beforeEach(async () => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      password: await bcrypt.hash(password, 4),
+      hasPassword: true,
+      isDeleted: false,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+    findSessions = jest
+      .spyOn(UserSession, "find")
+      .mockReturnValue(mockQuery([{ _id: sessionId, fcmToken: null }]));
+    revokeSessions = jest
+      .spyOn(UserSession, "updateMany")
+      .mockResolvedValue({});
+  });
+
+  it("hides the account and schedules the purge after the grace period", async () => {
+    const before = Date.now();
+    const { deletionScheduledFor } = await requestAccountDeletion(user._id, {
+      password,
+    });
+
+    expect(user.save).toHaveBeenCalled();
+    expect(user.isDeleted).toBe(true);
+    expect(deletionScheduledFor.getTime()).toBeGreaterThanOrEqual(
+      before + config.account.deletionGraceDays * DAY_MS - 60 * 60 * 1000
+    );
+    expect(user.deletionScheduledFor).toBe(deletionScheduledFor);
+    // Every session of the account is signed out
+    expect(findSessions.mock.calls[0][0]).toEqual({
+      userId: user._id,
+      revokedAt: null,
+    });
+    expect(revokeSessions.mock.calls[0][1].$set.revokedReason).toBe(
+      SessionRevokeReason.ACCOUNT_DELETED
+    );
+  });
+
+  it("requires the current password", async () => {
+    await expect(
+      requestAccountDeletion(user._id, { password: "Wrong-password-1" })
+    ).rejects.toThrow("Password is incorrect");
+    await expect(requestAccountDeletion(user._id, {})).rejects.toThrow(
+      "Confirm with your password, a code sent to your phone or your linked account"
+    );
+
+    expect(user.save).not.toHaveBeenCalled();
+    expect(user.isDeleted).toBe(false);
+    expect(revokeSessions).not.toHaveBeenCalled();
+  });
+
+  describe("accounts without a password", () => {
+    beforeEach(() => {
+      // Social sign-ups and phone registrations get a random password
+      user.hasPassword = false;
+      user.isPhoneVerified = true;
+    });
+
+    it("does not accept a password", async () => {
+      await expect(
+        requestAccountDeletion(user._id, { password })
+      ).rejects.toThrow("Your account has no password");
+      expect(user.isDeleted).toBe(false);
+    });
+
+    it("confirms with the code sent to the phone", async () => {
+      Object.assign(user, {
+        phoneOTP: 123456,
+        phoneOTPExpireAt: new Date(Date.now() + 60 * 1000),
+        phoneOTPPurpose: PhoneOTPPurpose.DELETE_ACCOUNT,
+      });
+
+      await requestAccountDeletion(user._id, { otp: 123456 });
+
+      expect(user.isDeleted).toBe(true);
+      expect(user.phoneOTP).toBeNull();
+      expect(user.phoneOTPPurpose).toBeNull();
+    });
+
+    it("rejects a wrong code or a code sent for another purpose", async () => {
+      jest
+        .spyOn(User, "findOneAndUpdate")
+        .mockResolvedValue({ otpFailedAttempts: 1 });
+      Object.assign(user, {
+        phoneOTP: 123456,
+        phoneOTPExpireAt: new Date(Date.now() + 60 * 1000),
+        phoneOTPPurpose: PhoneOTPPurpose.DELETE_ACCOUNT,
+      });
+
+      await expect(
+        requestAccountDeletion(user._id, { otp: 654321 })
+      ).rejects.toThrow("Invalid verification code");
+
+      user.phoneOTPPurpose = PhoneOTPPurpose.LOGIN;
+      await expect(
+        requestAccountDeletion(user._id, { otp: 123456 })
+      ).rejects.toThrow("No verification code found");
+
+      expect(user.save).not.toHaveBeenCalled();
+      expect(user.isDeleted).toBe(false);
+    });
+
+    it("confirms with an identity token of a linked provider", async () => {
+      const findSocialAccount = jest
+        .spyOn(SocialAccount, "findOne")
+        .mockResolvedValue({ userId: user._id });
+
+      await requestAccountDeletion(user._id, {
+        provider: SocialProvider.GOOGLE,
+        idToken: signIdToken("google-user-1"),
+      });
+
+      expect(findSocialAccount).toHaveBeenCalledWith({
+        provider: SocialProvider.GOOGLE,
+        providerUserId: "google-user-1",
+      });
+      expect(user.isDeleted).toBe(true);
+    });
+
+    it("rejects an identity linked to another account", async () => {
+      jest
+        .spyOn(SocialAccount, "findOne")
+        .mockResolvedValue({ userId: new mongoose.Types.ObjectId() });
+
+      await expect(
+        requestAccountDeletion(user._id, {
+          provider: SocialProvider.GOOGLE,
+          idToken: signIdToken("google-user-2"),
+        })
+      ).rejects.toThrow("This account is not linked to your account");
+      expect(user.isDeleted).toBe(false);
+    });
+  });
+});
+
+describe("sendAccountDeletionCode", () => {
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      countryCode: "+44",
+      phoneNumber: 7700900123,
+      isPhoneVerified: true,
+      hasPassword: false,
+      isDeleted: false,
+      otpLastSentAt: null,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+  });
+
+  it("sends a deletion code to the verified phone number", async () => {
+    await sendAccountDeletionCode(user._id);
+
+    expect(user.save).toHaveBeenCalled();
+    expect(user.phoneOTPPurpose).toBe(PhoneOTPPurpose.DELETE_ACCOUNT);
+    expect(sentSms).toHaveLength(1);
+    expect(sentSms[0].to).toBe("+447700900123");
+    expect(sentSms[0].message).toContain(String(user.phoneOTP));
+  });
+
+  it("requires a verified phone number", async () => {
+    user.isPhoneVerified = false;
+
+    await expect(sendAccountDeletionCode(user._id)).rejects.toThrow(
+      "Your account has no verified phone number"
+    );
+    expect(sentSms).toHaveLength(0);
+  });
+});
+
+describe("purgeUserAccount", () => {
+  let user;
+  let deletions;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: "leaving@example.com",
+      username: "leaving",
+      name: "Leaving User",
+      phoneNumber: "5550100",
+      profileImage: null,
+      coverImage: null,
+      followerCount: 12,
+      isDeleted: true,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+
+    // The account has no content, chats or follows left to walk through
+    jest.spyOn(mongoose.Model, "find").mockImplementation(() => mockQuery([]));
+    jest.spyOn(mongoose.Model, "aggregate").mockResolvedValue([]);
+    jest.spyOn(mongoose.Model, "updateMany").mockResolvedValue({});
+
+    deletions = [];
+    jest
+      .spyOn(mongoose.Model, "deleteMany")
+      .mockImplementation(function (filter) {
+        deletions.push({ model: this.modelName, filter });
+        return Promise.resolve({ deletedCount: 0 });
+      });
+  });
+
+  it("strips the personal data and frees the email and username", async () => {
+    await purgeUserAccount(user._id);
+
+    const anonymousId = user._id.toString();
+    expect(user).toMatchObject({
+      email: `deleted_${anonymousId}@deleted.invalid`,
+      username: `deleted_${anonymousId}`,
+      name: "Deleted User",
+      phoneNumber: undefined,
+      followerCount: 0,
+      isDeleted: true,
+      dataPurgedAt: expect.any(Date),
+    });
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it("deletes the account's content and sessions", async () => {
+    await purgeUserAccount(user._id);
+
+    expect(deletions).toEqual(
+      expect.arrayContaining([
+        { model: "Post", filter: { userId: user._id } },
+        { model: "WritePost", filter: { userId: user._id } },
+        { model: "ZealPost", filter: { userId: user._id } },
+        { model: "Poll", filter: { createdBy: user._id } },
+        { model: "UserSession", filter: { userId: user._id } },
+      ])
+    );
+  });
+});
+
+describe("purgeDueAccounts", () => {
+  it("keeps purging the other due accounts when one fails", async () => {
+    const failing = { _id: new mongoose.Types.ObjectId() };
+    const purged = { _id: new mongoose.Types.ObjectId() };
+
+    jest.spyOn(User, "find").mockReturnValue(mockQuery([failing, purged]));
+    // The first account disappeared before its purge started
+    jest
+      .spyOn(User, "findById")
+      .mockImplementation(async (id) =>
+        id === failing._id ? null : { _id: id, save: jest.fn() }
+      );
+    jest.spyOn(mongoose.Model, "find").mockImplementation(() => mockQuery([]));
+    jest.spyOn(mongoose.Model, "aggregate").mockResolvedValue([]);
+    jest.spyOn(mongoose.Model, "updateMany").mockResolvedValue({});
+    jest.spyOn(mongoose.Model, "deleteMany").mockResolvedValue({});
+
+    await expect(purgeDueAccounts()).resolves.toEqual({
+      purgedCount: 1,
+      failedCount: 1,
+    });
+  });
+});
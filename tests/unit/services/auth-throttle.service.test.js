@@ -0,0 +1,172 @@
+/**
+ * Auth Throttle Service - failure limits and lockouts
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import AuthThrottle from "../../../src/models/users/AuthThrottle.js";
+import { AuthThrottleScope } from "../../../src/models/enums.js";
+import config from "../../../src/config/env.js";
+import {
+  assertNotLocked,
+  failAttempt,
+  recordFailedAttempt,
+} from "../../../src/services/auth-throttle.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * In-memory AuthThrottle collection for the queries the service makes
+ * @returns {Map} Throttle records by "scope:key"
+ */
+const mockThrottleStore = () => {
+  const records = new Map();
+
+  const matches = (record, filter) =>
+    Object.entries(filter).every(([field, condition]) =>
+      condition?.$gte !== undefined
+        ? record[field] >= condition.$gte
+        : String(record[field]) === String(condition)
+    );
+
+  jest
+    .spyOn(AuthThrottle, "findOneAndUpdate")
+    .mockImplementation((filter, update, options = {}) => {
+      let record = [...records.values()].find((r) => matches(r, filter));
+
+      if (!record && options.upsert) {
+        record = {
+          _id: new mongoose.Types.ObjectId(),
+          scope: filter.scope,
+          key: filter.key,
+          failedCount: 0,
+          lockoutCount: 0,
+          lockedUntil: null,
+        };
+        records.set(`${filter.scope}:${filter.key}`, record);
+      }
+
+      if (record) {
+        Object.entries(update.$inc || {}).forEach(([field, value]) => {
+          record[field] += value;
+        });
+        Object.assign(record, update.$set);
+      }
+
+      return mockQuery(record ? { ...record } : null);
+    });
+
+  jest.spyOn(AuthThrottle, "findOne").mockImplementation((filter) =>
+    mockQuery(() => {
+      const now = filter.lockedUntil.$gt;
+      return (
+        filter.$or
+          .map(({ scope, key }) => records.get(`${scope}:${key}`))
+          .filter((record) => record?.lockedUntil > now)
+          .sort((a, b) => b.lockedUntil - a.lockedUntil)[0] || null
+      );
+    })
+  );
+
+  return records;
+};
+
+describe("auth throttle", () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const ipAddress = "198.51.100.7";
+  const { maxFailedAttempts, ipMaxFailedAttempts, lockoutBaseMinutes } =
+    config.authThrottle;
+
+  let records;
+
+  beforeEach(() => {
+    records = mockThrottleStore();
+  });
+
+  const accountRecord = () =>
+    records.get(`${AuthThrottleScope.ACCOUNT}:${user._id}`);
+
+  it("locks the account on the failure that reaches the limit", async () => {
+    for (let i = 1; i < maxFailedAttempts; i++) {
+      const { lockedUntil } = await recordFailedAttempt({ user });
+      expect(lockedUntil).toBeNull();
+    }
+
+    const before = Date.now();
+    const { lockedUntil } = await recordFailedAttempt({ user });
+
+    expect(lockedUntil.getTime()).toBeGreaterThanOrEqual(
+      before + lockoutBaseMinutes * MINUTE_MS
+    );
+    expect(accountRecord()).toMatchObject({ failedCount: 0, lockoutCount: 1 });
+    await expect(assertNotLocked({ userId: user._id })).rejects.toMatchObject({
+      retryAfter: expect.any(Number),
+    });
+  });
+
+  it("doubles the lockout each time the account is locked again", async () => {
+    for (let i = 0; i < maxFailedAttempts; i++) {
+      await recordFailedAttempt({ user });
+    }
+    const firstLockout = accountRecord().lockedUntil;
+
+    const before = Date.now();
+    for (let i = 0; i < maxFailedAttempts; i++) {
+      await recordFailedAttempt({ user });
+    }
+    const secondLockout = accountRecord().lockedUntil;
+
+    expect(accountRecord().lockoutCount).toBe(2);
+    expect(secondLockout.getTime() - before).toBeGreaterThanOrEqual(
+      2 * lockoutBaseMinutes * MINUTE_MS
+    );
+    expect(secondLockout.getTime()).toBeGreaterThan(firstLockout.getTime());
+  });
+
+  it("counts failures per IP address against the IP limit", async () => {
+    for (let i = 1; i < ipMaxFailedAttempts; i++) {
+      const { lockedUntil } = await recordFailedAttempt({ ipAddress });
+      expect(lockedUntil).toBeNull();
+    }
+
+    await expect(assertNotLocked({ ipAddress })).resolves.toBeUndefined();
+
+    const { lockedUntil } = await recordFailedAttempt({ ipAddress });
+    expect(lockedUntil).toBeInstanceOf(Date);
+    await expect(assertNotLocked({ ipAddress })).rejects.toThrow(
+      /^Too many failed attempts/
+    );
+  });
+
+  it("counts a failure whose record a concurrent first failure inserted", async () => {
+    const upsert = AuthThrottle.findOneAndUpdate.getMockImplementation();
+    // The other request inserted the record between our lookup and insert
+    AuthThrottle.findOneAndUpdate.mockImplementationOnce(
+      (filter, update, options) => {
+        upsert(filter, update, options);
+        throw Object.assign(new Error("E11000"), { code: 11000 });
+      }
+    );
+
+    await expect(recordFailedAttempt({ user })).resolves.toEqual({
+      lockedUntil: null,
+    });
+    expect(accountRecord().failedCount).toBe(2);
+  });
+
+  it("fails with the lockout error once the attempt locks the account", async () => {
+    for (let i = 1; i < maxFailedAttempts; i++) {
+      await expect(failAttempt({ user }, "Invalid password")).rejects.toThrow(
+        "Invalid password"
+      );
+    }
+
+    const error = await failAttempt({ user }, "Invalid password").catch(
+      (lockError) => lockError
+    );
+    expect(error.message).toMatch(/^Too many failed attempts/);
+    expect(error.retryAfter).toBeGreaterThan(lockoutBaseMinutes * 60 - 5);
+    expect(error.retryAfter).toBeLessThanOrEqual(lockoutBaseMinutes * 60);
+  });
+});
@@ -0,0 +1,425 @@
+/**
+ * Auth Service - account codes sent by email or SMS, phone registration,
+ * phone password reset and changing the account email
+ */
+
+import { jest } from "@jest/globals";
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserSession from "../../../src/models/users/UserSession.js";
+import AuthThrottle from "../../../src/models/users/AuthThrottle.js";
+import UsernameHistory from "../../../src/models/users/UsernameHistory.js";
+import { OTPChannel, SessionRevokeReason } from "../../../src/models/enums.js";
+import config from "../../../src/config/env.js";
+import { registerSmsProvider } from "../../../src/services/sms.service.js";
+import {
+  cancelEmailChange,
+  confirmEmailChange,
+  forgotPassword,
+  registerWithPhone,
+  requestEmailChange,
+  resendOTP,
+  verifyOTP,
+} from "../../../src/services/auth.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// SMS sent through the recording provider, as { to, message }
+const sentSms = [];
+
+beforeAll(() => {
+  registerSmsProvider("test", {
+    send: async (sms) => {
+      sentSms.push(sms);
+      return { success: true };
+    },
+  });
+  config.sms.provider = "test";
+});
+
+beforeEach(() => {
+  sentSms.length = 0;
+});
+
+/**
+ * Unverified account registered by email that also has a phone number
+ * @param {Object} fields - Overrides
+ * @returns {Object} User document stand-in
+ */
+const buildUser = (fields = {}) => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: "owner@example.com",
+    countryCode: "+44",
+    phoneNumber: 7700900123,
+    isAccountVerified: false,
+    isPhoneVerified: false,
+    isDeleted: false,
+    otp: 123456,
+    otpExpireAt: new Date(Date.now() + 10 * 60 * 1000),
+    otpChannel: OTPChannel.EMAIL,
+    otpSentTo: "owner@example.com",
+    otpLastSentAt: null,
+    save: jest.fn().mockResolvedValue(undefined),
+    ...fields,
+  };
+  user.toObject = () => ({ _id: user._id, email: user.email });
+  return user;
+};
+
+const phoneIdentifier = { countryCode: "+44", phoneNumber: 7700900123 };
+
+describe("account verification code", () => {
+  beforeEach(() => {
+    jest.spyOn(AuthThrottle, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(AuthThrottle, "updateOne").mockResolvedValue({});
+  });
+
+  it("does not verify the phone when an emailed code is entered with the phone number", async () => {
+    const user = buildUser();
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+
+    await verifyOTP(phoneIdentifier, "123456");
+
+    expect(user.isAccountVerified).toBe(true);
+    expect(user.isPhoneVerified).toBe(false);
+  });
+
+  it("verifies the phone when the code was sent to it by SMS", async () => {
+    const user = buildUser({
+      email: null,
+      otpChannel: OTPChannel.SMS,
+      otpSentTo: "+447700900123",
+    });
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+
+    await verifyOTP(phoneIdentifier, "123456");
+
+    expect(user.isPhoneVerified).toBe(true);
+    expect(user).toMatchObject({ otp: null, otpChannel: null });
+  });
+
+  it("does not verify a number changed after the SMS was sent", async () => {
+    const user = buildUser({
+      otpChannel: OTPChannel.SMS,
+      otpSentTo: "+447700900999",
+    });
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+
+    await verifyOTP("owner@example.com", "123456");
+
+    expect(user.isAccountVerified).toBe(true);
+    expect(user.isPhoneVerified).toBe(false);
+  });
+
+  it("resends by SMS to a phone identifier and records the channel", async () => {
+    const user = buildUser();
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+    const recordChannel = jest.spyOn(User, "updateOne").mockResolvedValue({});
+
+    await resendOTP(phoneIdentifier);
+
+    expect(sentSms).toEqual([
+      { to: "+447700900123", message: expect.stringContaining(`${user.otp}`) },
+    ]);
+    expect(recordChannel).toHaveBeenCalledWith(
+      { _id: user._id },
+      { $set: { otpChannel: OTPChannel.SMS, otpSentTo: "+447700900123" } }
+    );
+  });
+
+  it("resends by email to an email identifier", async () => {
+    const user = buildUser({ otpChannel: OTPChannel.SMS });
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+    const recordChannel = jest.spyOn(User, "updateOne").mockResolvedValue({});
+
+    await resendOTP("owner@example.com");
+
+    expect(sentSms).toHaveLength(0);
+    expect(recordChannel).toHaveBeenCalledWith(
+      { _id: user._id },
+      {
+        $set: { otpChannel: OTPChannel.EMAIL, otpSentTo: "owner@example.com" },
+      }
+    );
+  });
+});
+
+describe("forgotPassword with a phone number", () => {
+  beforeEach(() => {
+    jest.spyOn(AuthThrottle, "findOne").mockReturnValue(mockQuery(null));
+  });
+
+  it("sends no code to an unverified phone number", async () => {
+    const user = buildUser({ isAccountVerified: true, otp: null });
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+
+    const result = await forgotPassword(phoneIdentifier);
+
+    expect(result.message).toBe(
+      "If the phone number exists, an OTP has been sent"
+    );
+    expect(sentSms).toHaveLength(0);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it("texts the reset code to a verified phone number", async () => {
+    const user = buildUser({
+      isAccountVerified: true,
+      isPhoneVerified: true,
+      otp: null,
+    });
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+    const recordChannel = jest.spyOn(User, "updateOne");
+
+    await forgotPassword(phoneIdentifier);
+
+    expect(sentSms).toEqual([
+      {
+        to: "+447700900123",
+        message: expect.stringContaining(`${user.forgotPasswordOTP}`),
+      },
+    ]);
+    expect(user.forgotPasswordOTPVerified).toBe(false);
+    // The reset code does not touch the account code's channel
+    expect(recordChannel).not.toHaveBeenCalled();
+  });
+});
+
+describe("registerWithPhone", () => {
+  const registration = {
+    phoneNumber: 7700900123,
+    name: "New User",
+    username: "newuser",
+  };
+
+  beforeEach(() => {
+    // The number is registered under +44 only
+    const existing = buildUser({ isAccountVerified: true });
+    jest
+      .spyOn(User, "findOne")
+      .mockImplementation(async (query) =>
+        query.countryCode === existing.countryCode &&
+        query.phoneNumber === existing.phoneNumber
+          ? existing
+          : null
+      );
+    jest.spyOn(UsernameHistory, "exists").mockResolvedValue(null);
+  });
+
+  it("registers a number already used under another country code", async () => {
+    const create = jest
+      .spyOn(User, "create")
+      .mockImplementation(async (data) => ({
+        _id: new mongoose.Types.ObjectId(),
+        ...data,
+        toObject: () => ({ ...data }),
+      }));
+
+    await registerWithPhone({ ...registration, countryCode: "+1" });
+
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ countryCode: "+1", phoneNumber: 7700900123 })
+    );
+    expect(sentSms.map((sms) => sms.to)).toEqual(["+17700900123"]);
+  });
+
+  it("rejects a number registered under the same country code", async () => {
+    const create = jest.spyOn(User, "create");
+
+    await expect(
+      registerWithPhone({ ...registration, countryCode: "+44" })
+    ).rejects.toThrow("An account with this phone number already exists");
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("records whether the account was given a password", async () => {
+    const create = jest
+      .spyOn(User, "create")
+      .mockImplementation(async (data) => ({
+        _id: new mongoose.Types.ObjectId(),
+        ...data,
+        toObject: () => ({ ...data }),
+      }));
+
+    await registerWithPhone({ ...registration, countryCode: "+1" });
+    await registerWithPhone({
+      ...registration,
+      countryCode: "+1",
+      password: "Correct-horse-1",
+    });
+
+    expect(create.mock.calls.map(([data]) => data.hasPassword)).toEqual([
+      false,
+      true,
+    ]);
+  });
+});
+
+describe("email change", () => {
+  const password = "Correct-horse-1";
+
+  let user;
+
+  beforeEach(async () => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: "old@example.com",
+      password: await bcrypt.hash(password, 4),
+      isDeleted: false,
+      pendingEmail: null,
+      otpLastSentAt: null,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    user.toObject = () => ({ _id: user._id, email: user.email });
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+    // No other account uses the new address
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(null));
+  });
+
+  describe("requestEmailChange", () => {
+    it("keeps the current email until the new one is confirmed", async () => {
+      await requestEmailChange(user._id, "New@Example.com", password);
+
+      expect(user).toMatchObject({
+        email: "old@example.com",
+        pendingEmail: "new@example.com",
+        emailChangeOTP: expect.any(Number),
+        emailChangeOTPExpireAt: expect.any(Date),
+      });
+      // Only the hash of the cancel link token is stored
+      expect(user.emailChangeCancelToken).toMatch(/^[0-9a-f]{64}$/);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it("requires the current password", async () => {
+      await expect(
+        requestEmailChange(user._id, "new@example.com", "Wrong-password-1")
+      ).rejects.toThrow("Password is incorrect");
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it("rejects an address used by another account", async () => {
+      User.findOne.mockReturnValue(
+        mockQuery({ _id: new mongoose.Types.ObjectId() })
+      );
+
+      await expect(
+        requestEmailChange(user._id, "taken@example.com", password)
+      ).rejects.toThrow("An account with this email already exists");
+      expect(user.pendingEmail).toBeNull();
+    });
+  });
+
+  describe("confirmEmailChange", () => {
+    const currentSessionId = new mongoose.Types.ObjectId();
+
+    let findSessions;
+
+    beforeEach(() => {
+      Object.assign(user, {
+        pendingEmail: "new@example.com",
+        emailChangeOTP: 123456,
+        emailChangeOTPExpireAt: new Date(Date.now() + 10 * 60 * 1000),
+        emailChangeCancelToken: hashToken("cancel-token"),
+      });
+      findSessions = jest
+        .spyOn(UserSession, "find")
+        .mockReturnValue(mockQuery([]));
+    });
+
+    it("switches to the new address and signs out the other sessions", async () => {
+      findSessions.mockReturnValue(
+        mockQuery([{ _id: new mongoose.Types.ObjectId(), fcmToken: null }])
+      );
+      const updateSessions = jest
+        .spyOn(UserSession, "updateMany")
+        .mockResolvedValue({});
+
+      const updated = await confirmEmailChange(
+        user._id,
+        "123456",
+        currentSessionId
+      );
+
+      expect(updated.email).toBe("new@example.com");
+      expect(user).toMatchObject({
+        pendingEmail: null,
+        emailChangeOTP: null,
+        emailChangeCancelToken: null,
+      });
+      expect(findSessions.mock.calls[0][0]).toEqual({
+        userId: user._id,
+        revokedAt: null,
+        _id: { $ne: currentSessionId },
+      });
+      expect(updateSessions.mock.calls[0][1].$set.revokedReason).toBe(
+        SessionRevokeReason.EMAIL_CHANGED
+      );
+    });
+
+    it("keeps the current address on a wrong code", async () => {
+      jest
+        .spyOn(User, "findOneAndUpdate")
+        .mockResolvedValue({ otpFailedAttempts: 1 });
+
+      await expect(confirmEmailChange(user._id, "654321")).rejects.toThrow(
+        "Invalid verification code"
+      );
+      expect(user.email).toBe("old@example.com");
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it("rejects the code once it has expired", async () => {
+      user.emailChangeOTPExpireAt = new Date(Date.now() - 1000);
+
+      await expect(confirmEmailChange(user._id, "123456")).rejects.toThrow(
+        "Verification code has expired. Please request a new code"
+      );
+      expect(user.email).toBe("old@example.com");
+    });
+
+    it("keeps the sessions when another account took the address first", async () => {
+      user.save.mockRejectedValue(
+        Object.assign(new Error("E11000"), { code: 11000 })
+      );
+
+      await expect(confirmEmailChange(user._id, "123456")).rejects.toThrow(
+        "An account with this email already exists"
+      );
+      expect(findSessions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("cancelEmailChange", () => {
+    it("clears the pending change matching the link token", async () => {
+      const findOneAndUpdate = jest
+        .spyOn(User, "findOneAndUpdate")
+        .mockReturnValue(mockQuery({ _id: user._id }));
+
+      await cancelEmailChange("cancel-token");
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        emailChangeCancelToken: hashToken("cancel-token"),
+        pendingEmail: { $ne: null },
+      });
+      expect(update.$set).toMatchObject({
+        pendingEmail: null,
+        emailChangeOTP: null,
+      });
+    });
+
+    it("rejects a link whose change is no longer pending", async () => {
+      jest.spyOn(User, "findOneAndUpdate").mockReturnValue(mockQuery(null));
+
+      await expect(cancelEmailChange("cancel-token")).rejects.toThrow(
+        "This link is invalid or the email change was already completed or cancelled"
+      );
+    });
+  });
+});
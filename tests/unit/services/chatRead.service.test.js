@@ -0,0 +1,66 @@
+/**
+ * Chat Read Service - read receipts for messages from restricted users
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import UserRestrict from "../../../src/models/users/UserRestrict.js";
+import ChatRoom from "../../../src/models/chat/ChatRoom.js";
+import ChatMessage from "../../../src/models/chat/ChatMessage.js";
+import ChatParticipant from "../../../src/models/chat/ChatParticipant.js";
+import { MessageStatus } from "../../../src/models/enums.js";
+import { markMessagesAsRead } from "../../../src/services/chatRead.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const readerId = newId().toString();
+const senderId = newId();
+const roomId = newId();
+const lastMessage = { _id: newId(), createdAt: new Date() };
+
+let markSeen;
+
+beforeEach(() => {
+  jest
+    .spyOn(ChatRoom, "findOne")
+    .mockResolvedValue({ _id: roomId, userA: readerId, userB: senderId });
+  jest.spyOn(ChatMessage, "findOne").mockReturnValue(mockQuery(lastMessage));
+  jest.spyOn(ChatParticipant, "findOneAndUpdate").mockResolvedValue({
+    lastReadMessageId: lastMessage._id,
+    lastReadAt: new Date(),
+    unreadCount: 0,
+  });
+  markSeen = jest.spyOn(ChatMessage, "updateMany").mockResolvedValue({});
+});
+
+describe("markMessagesAsRead", () => {
+  it("marks the other user's messages as seen", async () => {
+    jest.spyOn(UserRestrict, "exists").mockResolvedValue(null);
+
+    const result = await markMessagesAsRead(roomId, readerId);
+
+    expect(result.readReceiptHidden).toBe(false);
+    expect(markSeen).toHaveBeenCalledWith(
+      expect.objectContaining({ roomId, senderId }),
+      { status: MessageStatus.SEEN }
+    );
+  });
+
+  it("sends no read receipt to a user the reader restricted", async () => {
+    jest.spyOn(UserRestrict, "exists").mockResolvedValue({ _id: newId() });
+
+    const result = await markMessagesAsRead(roomId, readerId);
+
+    expect(result).toMatchObject({
+      readReceiptHidden: true,
+      lastReadMessageId: lastMessage._id.toString(),
+      unreadCount: 0,
+    });
+    expect(UserRestrict.exists).toHaveBeenCalledWith({
+      restricterId: readerId,
+      restrictedId: senderId,
+    });
+    expect(markSeen).not.toHaveBeenCalled();
+  });
+});
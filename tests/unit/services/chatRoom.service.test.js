@@ -0,0 +1,94 @@
+/**
+ * Chat Room Service - chats with restricted users listed as message requests
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import UserRestrict from "../../../src/models/users/UserRestrict.js";
+import ChatRoom from "../../../src/models/chat/ChatRoom.js";
+import ChatMessage from "../../../src/models/chat/ChatMessage.js";
+import ChatParticipant from "../../../src/models/chat/ChatParticipant.js";
+import { ChatType } from "../../../src/models/enums.js";
+import { getChatRooms } from "../../../src/services/chatRoom.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const userId = newId().toString();
+const restrictedId = newId();
+const friendId = newId();
+
+/**
+ * Chat room of the user with another user, as populated by getChatRooms
+ * @param {mongoose.Types.ObjectId} otherUserId - Other participant
+ * @param {string} chatType - ChatType stored on the room
+ * @returns {Object} Chat room
+ */
+const buildRoom = (otherUserId, chatType = ChatType.DIRECT) => ({
+  _id: newId(),
+  userA: { _id: userId, username: "me" },
+  userB: { _id: otherUserId, username: "other" },
+  chatType,
+  lastMessage: null,
+  isBlocked: false,
+});
+
+let findRooms;
+
+beforeEach(() => {
+  jest.spyOn(UserRestrict, "find").mockReturnValue(mockQuery([restrictedId]));
+  findRooms = jest.spyOn(ChatRoom, "find");
+  jest.spyOn(ChatRoom, "countDocuments").mockResolvedValue(0);
+  jest.spyOn(ChatParticipant, "find").mockReturnValue(mockQuery([]));
+  jest.spyOn(ChatMessage, "aggregate").mockResolvedValue([]);
+});
+
+describe("getChatRooms", () => {
+  it("shows a direct chat with a restricted user as a message request", async () => {
+    findRooms.mockReturnValue(
+      mockQuery([buildRoom(restrictedId), buildRoom(friendId)])
+    );
+
+    const { rooms } = await getChatRooms(userId);
+
+    expect(
+      rooms.map(({ otherUser, chatType, isRestricted }) => [
+        otherUser.id,
+        chatType,
+        isRestricted,
+      ])
+    ).toEqual([
+      [restrictedId.toString(), ChatType.REQUEST, true],
+      [friendId.toString(), ChatType.DIRECT, false],
+    ]);
+  });
+
+  it("lists chats with restricted users under requests", async () => {
+    findRooms.mockReturnValue(mockQuery([]));
+
+    await getChatRooms(userId, 1, 20, ChatType.REQUEST);
+
+    expect(findRooms.mock.calls[0][0].$and).toEqual([
+      {
+        $or: [
+          { chatType: ChatType.REQUEST },
+          { userA: { $in: [restrictedId] } },
+          { userB: { $in: [restrictedId] } },
+        ],
+      },
+    ]);
+  });
+
+  it("leaves chats with restricted users out of direct chats", async () => {
+    findRooms.mockReturnValue(mockQuery([]));
+
+    await getChatRooms(userId, 1, 20, ChatType.DIRECT);
+
+    const query = findRooms.mock.calls[0][0];
+    expect(query.chatType).toEqual({ $ne: ChatType.REQUEST });
+    expect(query.$and).toEqual([
+      { userA: { $nin: [restrictedId] } },
+      { userB: { $nin: [restrictedId] } },
+    ]);
+  });
+});
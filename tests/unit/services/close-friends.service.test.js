@@ -0,0 +1,284 @@
+/**
+ * Close Friends Service - managing the list and who can see close friends
+ * content
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserAudience from "../../../src/models/users/UserAudience.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import { ContentVisibility } from "../../../src/models/enums.js";
+import {
+  addCloseFriend,
+  removeCloseFriend,
+  updateCloseFriends,
+} from "../../../src/services/close-friends.service.js";
+import {
+  canViewContentItem,
+  getAudienceVisibilityQuery,
+} from "../../../src/utils/audienceFilter.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const ownerId = newId();
+
+/**
+ * User document as selected for Close Friends responses
+ * @param {mongoose.Types.ObjectId} id - User ID
+ * @returns {Object} User
+ */
+const buildUser = (id) => ({
+  _id: id,
+  username: `user_${id}`,
+  name: "Friend",
+  profileImage: null,
+  isVerifiedBadge: false,
+});
+
+describe("addCloseFriend", () => {
+  const friendId = newId();
+
+  beforeEach(() => {
+    jest.spyOn(UserBlock, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(User, "find").mockReturnValue(mockQuery([buildUser(friendId)]));
+  });
+
+  it("adds a user to the list", async () => {
+    const create = jest.spyOn(UserAudience, "create").mockResolvedValue({});
+
+    await expect(addCloseFriend(ownerId, friendId)).resolves.toMatchObject({
+      id: friendId.toString(),
+      name: "Friend",
+    });
+    expect(create).toHaveBeenCalledWith({
+      userId: ownerId,
+      audienceUserId: friendId,
+    });
+  });
+
+  it("refuses to add the owner", async () => {
+    const create = jest.spyOn(UserAudience, "create");
+
+    await expect(addCloseFriend(ownerId, ownerId)).rejects.toThrow(
+      "You cannot add yourself to your Close Friends"
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("refuses to add a blocked, deleted or unknown user", async () => {
+    const blockedId = newId();
+    UserBlock.find.mockReturnValue(
+      mockQuery([{ blockerId: ownerId, blockedId }])
+    );
+    User.find.mockReturnValue(mockQuery([]));
+    const create = jest.spyOn(UserAudience, "create");
+
+    await expect(addCloseFriend(ownerId, blockedId)).rejects.toThrow(
+      "One or more users not found"
+    );
+    expect(User.find).toHaveBeenCalledWith({
+      _id: { $in: [blockedId.toString()], $nin: [blockedId] },
+      isDeleted: false,
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("reports a user who is already on the list", async () => {
+    jest
+      .spyOn(UserAudience, "create")
+      .mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+
+    await expect(addCloseFriend(ownerId, friendId)).rejects.toThrow(
+      "This user is already on your Close Friends list"
+    );
+  });
+});
+
+describe("removeCloseFriend", () => {
+  it("removes a user from the list", async () => {
+    const friendId = newId();
+    const remove = jest
+      .spyOn(UserAudience, "findOneAndDelete")
+      .mockResolvedValue({ _id: newId() });
+
+    await removeCloseFriend(ownerId, friendId);
+
+    expect(remove).toHaveBeenCalledWith({
+      userId: ownerId,
+      audienceUserId: friendId,
+    });
+  });
+
+  it("rejects a user who is not on the list", async () => {
+    jest.spyOn(UserAudience, "findOneAndDelete").mockResolvedValue(null);
+
+    await expect(removeCloseFriend(ownerId, newId())).rejects.toThrow(
+      "This user is not on your Close Friends list"
+    );
+  });
+});
+
+describe("updateCloseFriends", () => {
+  const addIds = [newId(), newId()];
+  const removeId = newId();
+
+  beforeEach(() => {
+    jest.spyOn(UserBlock, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(User, "find").mockReturnValue(mockQuery(addIds.map(buildUser)));
+    jest.spyOn(UserAudience, "countDocuments").mockResolvedValue(4);
+  });
+
+  it("adds and removes users in one request", async () => {
+    const bulkWrite = jest
+      .spyOn(UserAudience, "bulkWrite")
+      .mockResolvedValue({ upsertedCount: 1 });
+    const deleteMany = jest
+      .spyOn(UserAudience, "deleteMany")
+      .mockResolvedValue({ deletedCount: 1 });
+
+    await expect(
+      updateCloseFriends(ownerId, {
+        add: addIds.map(String),
+        remove: [removeId.toString()],
+      })
+    ).resolves.toEqual({ added: 1, removed: 1, total: 4 });
+
+    // Users already on the list are upserted without being counted again
+    const operations = bulkWrite.mock.calls[0][0];
+    expect(operations.map((op) => op.updateOne.filter)).toEqual(
+      addIds.map((id) => ({ userId: ownerId, audienceUserId: id }))
+    );
+    expect(operations.every((op) => op.updateOne.upsert)).toBe(true);
+    expect(deleteMany).toHaveBeenCalledWith({
+      userId: ownerId,
+      audienceUserId: { $in: [removeId] },
+    });
+  });
+
+  it("rejects a user both added and removed", async () => {
+    const bulkWrite = jest.spyOn(UserAudience, "bulkWrite");
+    const deleteMany = jest.spyOn(UserAudience, "deleteMany");
+
+    await expect(
+      updateCloseFriends(ownerId, {
+        add: [addIds[0].toString()],
+        remove: [addIds[0].toString()],
+      })
+    ).rejects.toThrow("A user cannot be both added and removed");
+    expect(bulkWrite).not.toHaveBeenCalled();
+    expect(deleteMany).not.toHaveBeenCalled();
+  });
+
+  it("adds nobody when one of the users cannot be added", async () => {
+    User.find.mockReturnValue(mockQuery([buildUser(addIds[0])]));
+    const bulkWrite = jest.spyOn(UserAudience, "bulkWrite");
+
+    await expect(
+      updateCloseFriends(ownerId, { add: addIds.map(String) })
+    ).rejects.toThrow("One or more users not found");
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe("getAudienceVisibilityQuery", () => {
+  it("hides close friends content from signed-out viewers", async () => {
+    await expect(getAudienceVisibilityQuery(null)).resolves.toEqual({
+      visibility: { $ne: ContentVisibility.CLOSE_FRIENDS },
+    });
+  });
+
+  it("shows a viewer their own content and that of users who added them", async () => {
+    const viewerId = newId();
+    const friendOwnerId = newId();
+    jest
+      .spyOn(UserAudience, "find")
+      .mockReturnValue(mockQuery([friendOwnerId]));
+
+    const query = await getAudienceVisibilityQuery(viewerId, "authorId");
+
+    expect(UserAudience.find).toHaveBeenCalledWith({
+      audienceUserId: viewerId,
+    });
+    expect(query).toEqual({
+      $or: [
+        { visibility: { $ne: ContentVisibility.CLOSE_FRIENDS } },
+        { authorId: { $in: [viewerId, friendOwnerId] } },
+      ],
+    });
+  });
+});
+
+describe("canViewContentItem", () => {
+  const viewerId = newId();
+  const closeFriendsPost = {
+    _id: newId(),
+    userId: ownerId,
+    visibility: ContentVisibility.CLOSE_FRIENDS,
+  };
+
+  it("shows close friends content to its owner", async () => {
+    const exists = jest.spyOn(UserAudience, "exists");
+
+    await expect(
+      canViewContentItem(ownerId.toString(), closeFriendsPost)
+    ).resolves.toBe(true);
+    expect(exists).not.toHaveBeenCalled();
+  });
+
+  it("shows close friends content to a close friend", async () => {
+    jest.spyOn(UserAudience, "exists").mockResolvedValue({ _id: newId() });
+
+    await expect(canViewContentItem(viewerId, closeFriendsPost)).resolves.toBe(
+      true
+    );
+    expect(UserAudience.exists).toHaveBeenCalledWith({
+      userId: ownerId,
+      audienceUserId: viewerId,
+    });
+  });
+
+  it("hides close friends content from users not on the list", async () => {
+    jest.spyOn(UserAudience, "exists").mockResolvedValue(null);
+
+    await expect(canViewContentItem(viewerId, closeFriendsPost)).resolves.toBe(
+      false
+    );
+    await expect(canViewContentItem(null, closeFriendsPost)).resolves.toBe(
+      false
+    );
+  });
+
+  it("shows public content to everyone", async () => {
+    const publicPost = {
+      ...closeFriendsPost,
+      visibility: ContentVisibility.PUBLIC,
+    };
+
+    await expect(canViewContentItem(viewerId, publicPost)).resolves.toBe(true);
+    await expect(canViewContentItem(null, publicPost)).resolves.toBe(true);
+  });
+
+  it("shows scheduled content only to its owner", async () => {
+    const scheduledPost = {
+      ...closeFriendsPost,
+      userId: { _id: ownerId, username: "owner" },
+      scheduledAt: new Date(Date.now() + 60 * 60 * 1000),
+    };
+    jest.spyOn(UserAudience, "exists").mockResolvedValue({ _id: newId() });
+
+    await expect(canViewContentItem(ownerId, scheduledPost)).resolves.toBe(
+      true
+    );
+    await expect(canViewContentItem(viewerId, scheduledPost)).resolves.toBe(
+      false
+    );
+    await expect(
+      canViewContentItem(viewerId, {
+        ...scheduledPost,
+        visibility: ContentVisibility.PUBLIC,
+      })
+    ).resolves.toBe(false);
+  });
+});
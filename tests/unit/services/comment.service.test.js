@@ -0,0 +1,163 @@
+/**
+ * Comment Service - comments by restricted users held for approval
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import UserMute from "../../../src/models/users/UserMute.js";
+import UserRestrict from "../../../src/models/users/UserRestrict.js";
+import Post from "../../../src/models/content/Post.js";
+import Comment from "../../../src/models/comments/Comment.js";
+import CommentLike from "../../../src/models/comments/CommentLike.js";
+import Notification from "../../../src/models/notifications/Notification.js";
+import {
+  ContentType,
+  ContentVisibility,
+  NotificationType,
+} from "../../../src/models/enums.js";
+import {
+  approveComment,
+  createComment,
+} from "../../../src/services/comment.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const ownerId = newId();
+const commenterId = newId();
+const content = {
+  _id: newId(),
+  userId: ownerId,
+  visibility: ContentVisibility.PUBLIC,
+};
+
+let createNotification;
+let incrementCommentCount;
+
+beforeEach(() => {
+  jest
+    .spyOn(User, "findById")
+    .mockImplementation((id) =>
+      mockQuery({ _id: id, username: "user", isDeleted: false })
+    );
+  jest.spyOn(Post, "findById").mockImplementation(() => mockQuery(content));
+  jest.spyOn(UserBlock, "exists").mockResolvedValue(null);
+  jest.spyOn(UserMute, "exists").mockResolvedValue(null);
+  jest.spyOn(UserRestrict, "exists").mockResolvedValue(null);
+  incrementCommentCount = jest
+    .spyOn(Post, "findOneAndUpdate")
+    .mockReturnValue(mockQuery({ commentCount: 1 }));
+  // No earlier notification to aggregate comments into
+  jest.spyOn(Notification, "findOne").mockReturnValue(mockQuery(null));
+  createNotification = jest
+    .spyOn(Notification, "create")
+    .mockImplementation(async (data) => ({ _id: newId(), ...data }));
+});
+
+describe("createComment", () => {
+  beforeEach(() => {
+    jest.spyOn(Comment.prototype, "save").mockResolvedValue(undefined);
+    jest.spyOn(Comment.prototype, "populate").mockResolvedValue(undefined);
+    jest.spyOn(Comment, "findById").mockReturnValue(mockQuery(null));
+    jest.spyOn(CommentLike, "findOne").mockResolvedValue(null);
+  });
+
+  const commentData = {
+    contentType: ContentType.POST,
+    contentId: content._id,
+    comment: "Nice post",
+  };
+
+  it("counts the comment and notifies the content owner", async () => {
+    const comment = await createComment(commenterId, commentData);
+
+    expect(comment.isPendingApproval).toBe(false);
+    expect(incrementCommentCount).toHaveBeenCalledWith(
+      { _id: content._id },
+      { $inc: { commentCount: 1 } },
+      { new: true }
+    );
+    expect(createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        receiverId: ownerId,
+        type: NotificationType.POST_COMMENT,
+      })
+    );
+  });
+
+  it("holds a comment by a restricted user for approval", async () => {
+    UserRestrict.exists.mockResolvedValue({ _id: newId() });
+
+    const comment = await createComment(commenterId, commentData);
+
+    expect(comment.isPendingApproval).toBe(true);
+    expect(UserRestrict.exists).toHaveBeenCalledWith({
+      restricterId: ownerId,
+      restrictedId: commenterId,
+    });
+    expect(incrementCommentCount).not.toHaveBeenCalled();
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+});
+
+describe("approveComment", () => {
+  const mentionedId = newId();
+  let comment;
+
+  beforeEach(() => {
+    comment = {
+      _id: newId(),
+      userId: commenterId,
+      contentType: ContentType.POST,
+      contentId: content._id,
+      mentionedUserIds: [mentionedId],
+      isPendingApproval: true,
+      isDeleted: false,
+    };
+    jest.spyOn(Comment, "findById").mockResolvedValue(comment);
+  });
+
+  it("counts the comment and sends the mentions held back", async () => {
+    const approve = jest
+      .spyOn(Comment, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(approveComment(ownerId, comment._id)).resolves.toEqual({
+      commentId: comment._id.toString(),
+      isPendingApproval: false,
+    });
+    expect(approve).toHaveBeenCalledWith(
+      { _id: comment._id, isPendingApproval: true, isDeleted: false },
+      { $set: { isPendingApproval: false } }
+    );
+    expect(incrementCommentCount).toHaveBeenCalledTimes(1);
+    expect(createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        receiverId: mentionedId,
+        senderId: commenterId,
+        type: NotificationType.MENTION_IN_COMMENT,
+      })
+    );
+  });
+
+  it("counts a comment approved twice only once", async () => {
+    jest.spyOn(Comment, "updateOne").mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(approveComment(ownerId, comment._id)).rejects.toThrow(
+      "Comment is not waiting for approval"
+    );
+    expect(incrementCommentCount).not.toHaveBeenCalled();
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it("only lets the content owner approve", async () => {
+    const approve = jest.spyOn(Comment, "updateOne");
+
+    await expect(approveComment(commenterId, comment._id)).rejects.toThrow(
+      "You can only approve comments on your own content"
+    );
+    expect(approve).not.toHaveBeenCalled();
+  });
+});
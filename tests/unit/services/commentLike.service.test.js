@@ -0,0 +1,65 @@
+/**
+ * Comment Like Service - liking comments waiting for approval
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import Post from "../../../src/models/content/Post.js";
+import Comment from "../../../src/models/comments/Comment.js";
+import CommentLike from "../../../src/models/comments/CommentLike.js";
+import { ContentType } from "../../../src/models/enums.js";
+import { toggleCommentLike } from "../../../src/services/commentLike.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const ownerId = newId();
+const commenterId = newId();
+
+let comment;
+
+beforeEach(() => {
+  comment = {
+    _id: newId(),
+    userId: commenterId,
+    contentType: ContentType.POST,
+    contentId: newId(),
+    isPendingApproval: true,
+    likeCount: 0,
+  };
+  jest
+    .spyOn(User, "findById")
+    .mockImplementation(async (id) => ({ _id: id, isDeleted: false }));
+  jest.spyOn(Comment, "findById").mockImplementation(async () => comment);
+  jest.spyOn(UserBlock, "exists").mockResolvedValue(null);
+  jest.spyOn(Post, "findById").mockReturnValue(mockQuery({ userId: ownerId }));
+});
+
+describe("toggleCommentLike", () => {
+  it("hides a comment waiting for approval from other users", async () => {
+    const findLike = jest.spyOn(CommentLike, "findOne");
+
+    await expect(toggleCommentLike(newId(), comment._id)).rejects.toThrow(
+      "Comment not found"
+    );
+    expect(findLike).not.toHaveBeenCalled();
+  });
+
+  it("lets the content owner like a comment waiting for approval", async () => {
+    jest.spyOn(CommentLike, "findOne").mockResolvedValue(null);
+    const create = jest.spyOn(CommentLike, "create").mockResolvedValue({});
+    jest
+      .spyOn(Comment, "findOneAndUpdate")
+      .mockReturnValue(mockQuery({ likeCount: 1 }));
+
+    await expect(
+      toggleCommentLike(ownerId, comment._id)
+    ).resolves.toMatchObject({ isLiked: true, likeCount: 1 });
+    expect(create).toHaveBeenCalledWith({
+      commentId: comment._id,
+      userId: ownerId,
+    });
+  });
+});
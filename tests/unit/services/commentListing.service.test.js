@@ -0,0 +1,60 @@
+/**
+ * Comment Listing Service - comments waiting for approval in comment lists
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import Post from "../../../src/models/content/Post.js";
+import Comment from "../../../src/models/comments/Comment.js";
+import { ContentType, ContentVisibility } from "../../../src/models/enums.js";
+import { getComments } from "../../../src/services/commentListing.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const ownerId = newId();
+const contentId = newId();
+
+let findComments;
+
+beforeEach(() => {
+  jest.spyOn(Post, "findById").mockImplementation(() =>
+    mockQuery({
+      _id: contentId,
+      userId: ownerId,
+      visibility: ContentVisibility.PUBLIC,
+    })
+  );
+  jest.spyOn(UserBlock, "exists").mockResolvedValue(null);
+  jest.spyOn(UserBlock, "find").mockReturnValue(mockQuery([]));
+  findComments = jest.spyOn(Comment, "find").mockReturnValue(mockQuery([]));
+  jest.spyOn(Comment, "countDocuments").mockResolvedValue(0);
+});
+
+describe("getComments", () => {
+  it("shows other users only approved comments and their own", async () => {
+    const viewerId = newId();
+
+    await getComments(ContentType.POST, contentId, viewerId);
+
+    expect(findComments.mock.calls[0][0].$or).toEqual([
+      { isPendingApproval: { $ne: true } },
+      { userId: viewerId },
+    ]);
+  });
+
+  it("shows signed-out viewers only approved comments", async () => {
+    await getComments(ContentType.POST, contentId, null);
+
+    expect(findComments.mock.calls[0][0].$or).toEqual([
+      { isPendingApproval: { $ne: true } },
+    ]);
+  });
+
+  it("shows the content owner every comment", async () => {
+    await getComments(ContentType.POST, contentId, ownerId);
+
+    expect(findComments.mock.calls[0][0].$or).toBeUndefined();
+  });
+});
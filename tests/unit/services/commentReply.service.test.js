@@ -0,0 +1,214 @@
+/**
+ * Comment Reply Service - replies by restricted users held for approval and
+ * replying to comments waiting for approval
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import UserMute from "../../../src/models/users/UserMute.js";
+import UserRestrict from "../../../src/models/users/UserRestrict.js";
+import Post from "../../../src/models/content/Post.js";
+import Comment from "../../../src/models/comments/Comment.js";
+import ReplyComment from "../../../src/models/comments/ReplyComment.js";
+import ReplyCommentLike from "../../../src/models/comments/ReplyCommentLike.js";
+import Notification from "../../../src/models/notifications/Notification.js";
+import {
+  ContentType,
+  ContentVisibility,
+  NotificationType,
+} from "../../../src/models/enums.js";
+import {
+  approveReply,
+  createReply,
+  getReplies,
+} from "../../../src/services/commentReply.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const ownerId = newId();
+const commenterId = newId();
+const replierId = newId();
+
+let parentComment;
+let createNotification;
+let incrementReplyCount;
+
+beforeEach(() => {
+  parentComment = {
+    _id: newId(),
+    userId: commenterId,
+    contentType: ContentType.POST,
+    contentId: newId(),
+    isDeleted: false,
+    isPendingApproval: false,
+  };
+  jest
+    .spyOn(User, "findById")
+    .mockImplementation((id) =>
+      mockQuery({ _id: id, username: "user", isDeleted: false })
+    );
+  jest.spyOn(Comment, "findById").mockImplementation(async () => parentComment);
+  jest.spyOn(UserBlock, "exists").mockResolvedValue(null);
+  jest
+    .spyOn(Post, "findById")
+    .mockReturnValue(
+      mockQuery({ userId: ownerId, visibility: ContentVisibility.PUBLIC })
+    );
+  jest.spyOn(UserMute, "exists").mockResolvedValue(null);
+  jest.spyOn(UserRestrict, "exists").mockResolvedValue(null);
+  incrementReplyCount = jest
+    .spyOn(Comment, "findOneAndUpdate")
+    .mockReturnValue(mockQuery({ replyCount: 1 }));
+  createNotification = jest
+    .spyOn(Notification, "create")
+    .mockImplementation(async (data) => ({ _id: newId(), ...data }));
+});
+
+/**
+ * Notification receivers, in creation order
+ * @returns {Array<string>} Receiver IDs
+ */
+const notifiedUserIds = () =>
+  createNotification.mock.calls.map(([data]) => data.receiverId.toString());
+
+describe("createReply", () => {
+  it("hides a comment waiting for approval from other users", async () => {
+    parentComment.isPendingApproval = true;
+    const save = jest.spyOn(ReplyComment.prototype, "save");
+
+    await expect(
+      createReply(newId(), parentComment._id, "Nice")
+    ).rejects.toThrow("Comment not found");
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it("lets the comment author and the content owner reply to it", async () => {
+    parentComment.isPendingApproval = true;
+
+    // Past the visibility checks, an empty reply is the next error
+    for (const userId of [commenterId, ownerId]) {
+      await expect(createReply(userId, parentComment._id, " ")).rejects.toThrow(
+        "Reply text is required"
+      );
+    }
+  });
+
+  it("holds a reply by a restricted user for approval", async () => {
+    UserRestrict.exists.mockResolvedValue({ _id: newId() });
+    jest.spyOn(ReplyComment.prototype, "save").mockResolvedValue(undefined);
+    jest.spyOn(ReplyComment.prototype, "populate").mockResolvedValue(undefined);
+    jest.spyOn(ReplyComment, "findById").mockReturnValue(mockQuery(null));
+    jest.spyOn(ReplyCommentLike, "findOne").mockResolvedValue(null);
+
+    const reply = await createReply(replierId, parentComment._id, "Agreed");
+
+    expect(reply.isPendingApproval).toBe(true);
+    expect(UserRestrict.exists).toHaveBeenCalledWith({
+      restricterId: ownerId,
+      restrictedId: replierId,
+    });
+    expect(incrementReplyCount).not.toHaveBeenCalled();
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+});
+
+describe("approveReply", () => {
+  const mentionedId = newId();
+  let reply;
+
+  beforeEach(() => {
+    reply = {
+      _id: newId(),
+      commentId: parentComment._id,
+      userId: replierId,
+      mentionedUserIds: [mentionedId],
+      isPendingApproval: true,
+      isDeleted: false,
+    };
+    jest.spyOn(ReplyComment, "findOne").mockResolvedValue(reply);
+  });
+
+  it("counts the reply and sends the notifications held back", async () => {
+    jest
+      .spyOn(ReplyComment, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(
+      approveReply(ownerId, parentComment._id, reply._id)
+    ).resolves.toEqual({
+      replyId: reply._id.toString(),
+      isPendingApproval: false,
+    });
+
+    expect(incrementReplyCount).toHaveBeenCalledTimes(1);
+    // The comment author and the mentioned user, not the approver
+    expect(notifiedUserIds()).toEqual([
+      commenterId.toString(),
+      mentionedId.toString(),
+    ]);
+    expect(createNotification.mock.calls[0][0].type).toBe(
+      NotificationType.COMMENT_REPLY
+    );
+  });
+
+  it("counts a reply approved twice only once", async () => {
+    jest
+      .spyOn(ReplyComment, "updateOne")
+      .mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(
+      approveReply(ownerId, parentComment._id, reply._id)
+    ).rejects.toThrow("Reply is not waiting for approval");
+    expect(incrementReplyCount).not.toHaveBeenCalled();
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it("only lets the content owner approve", async () => {
+    const approve = jest.spyOn(ReplyComment, "updateOne");
+
+    await expect(
+      approveReply(commenterId, parentComment._id, reply._id)
+    ).rejects.toThrow("You can only approve replies on your own content");
+    expect(approve).not.toHaveBeenCalled();
+  });
+});
+
+describe("getReplies", () => {
+  let findReplies;
+
+  beforeEach(() => {
+    jest.spyOn(UserBlock, "find").mockReturnValue(mockQuery([]));
+    findReplies = jest
+      .spyOn(ReplyComment, "find")
+      .mockReturnValue(mockQuery([]));
+    jest.spyOn(ReplyComment, "countDocuments").mockResolvedValue(0);
+  });
+
+  it("shows other users only approved replies and their own", async () => {
+    const viewerId = newId();
+
+    await getReplies(parentComment._id, viewerId);
+
+    expect(findReplies.mock.calls[0][0].$or).toEqual([
+      { isPendingApproval: { $ne: true } },
+      { userId: viewerId },
+    ]);
+  });
+
+  it("shows signed-out viewers only approved replies", async () => {
+    await getReplies(parentComment._id, null);
+
+    expect(findReplies.mock.calls[0][0].$or).toEqual([
+      { isPendingApproval: { $ne: true } },
+    ]);
+  });
+
+  it("shows the content owner every reply", async () => {
+    await getReplies(parentComment._id, ownerId);
+
+    expect(findReplies.mock.calls[0][0].$or).toBeUndefined();
+  });
+});
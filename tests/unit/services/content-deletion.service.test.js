@@ -0,0 +1,124 @@
+/**
+ * Content Deletion Service - deleting content while other requests race it
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import ContentDeletion from "../../../src/models/content/ContentDeletion.js";
+import Post from "../../../src/models/content/Post.js";
+import { ContentType } from "../../../src/models/enums.js";
+import { deleteContent } from "../../../src/services/content-deletion.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+describe("deleteContent", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const jobId = new mongoose.Types.ObjectId();
+
+  let post;
+  let deleteJob;
+
+  beforeEach(() => {
+    post = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      images: [],
+      scheduledAt: new Date(Date.now() + 60 * 60 * 1000),
+    };
+
+    jest.spyOn(Post, "findOne").mockReturnValue(mockQuery(post));
+    deleteJob = jest
+      .spyOn(ContentDeletion, "deleteOne")
+      .mockResolvedValue({ deletedCount: 1 });
+    // The background cleanup finds no pending job and stops there
+    jest
+      .spyOn(ContentDeletion, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(null));
+  });
+
+  it("queues the cleanup and deletes the content", async () => {
+    const createJob = jest
+      .spyOn(ContentDeletion, "create")
+      .mockResolvedValue({ _id: jobId });
+    jest.spyOn(Post, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+
+    const result = await deleteContent(userId, ContentType.POST, post._id);
+
+    expect(result).toMatchObject({
+      contentType: ContentType.POST,
+      contentId: post._id.toString(),
+    });
+    expect(createJob).toHaveBeenCalledWith(
+      expect.objectContaining({
+        contentType: ContentType.POST,
+        contentId: post._id,
+      })
+    );
+    expect(deleteJob).not.toHaveBeenCalled();
+  });
+
+  it("keeps the content and drops its job when it no longer meets the conditions", async () => {
+    jest.spyOn(ContentDeletion, "create").mockResolvedValue({ _id: jobId });
+    // Published by the scheduler between the read and the delete
+    const deletePost = jest
+      .spyOn(Post, "deleteOne")
+      .mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Post, "exists").mockResolvedValue({ _id: post._id });
+
+    const stillScheduled = { scheduledAt: { $ne: null } };
+    await expect(
+      deleteContent(userId, ContentType.POST, post._id, stillScheduled)
+    ).rejects.toThrow("Content not found");
+
+    expect(deletePost).toHaveBeenCalledWith({
+      _id: post._id,
+      ...stillScheduled,
+    });
+    expect(deleteJob).toHaveBeenCalledWith({ _id: jobId });
+  });
+
+  it("reuses the job of a concurrent delete of the same content", async () => {
+    jest
+      .spyOn(ContentDeletion, "create")
+      .mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+    jest
+      .spyOn(ContentDeletion, "findOne")
+      .mockReturnValue(mockQuery({ _id: jobId }));
+    // The concurrent request removed the content first
+    jest.spyOn(Post, "deleteOne").mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Post, "exists").mockResolvedValue(null);
+
+    await expect(
+      deleteContent(userId, ContentType.POST, post._id)
+    ).resolves.toMatchObject({ contentId: post._id.toString() });
+    expect(deleteJob).not.toHaveBeenCalled();
+  });
+
+  it("does not keep the job of the concurrent delete when the content is kept", async () => {
+    jest
+      .spyOn(ContentDeletion, "create")
+      .mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+    jest
+      .spyOn(ContentDeletion, "findOne")
+      .mockReturnValue(mockQuery({ _id: jobId }));
+    jest.spyOn(Post, "deleteOne").mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Post, "exists").mockResolvedValue({ _id: post._id });
+
+    await expect(
+      deleteContent(userId, ContentType.POST, post._id, {
+        scheduledAt: { $ne: null },
+      })
+    ).rejects.toThrow("Content not found");
+
+    // The job belongs to the other request, which deletes it if needed
+    expect(deleteJob).not.toHaveBeenCalled();
+  });
+
+  it("refuses to delete another user's content", async () => {
+    const createJob = jest.spyOn(ContentDeletion, "create");
+
+    await expect(
+      deleteContent(new mongoose.Types.ObjectId(), ContentType.POST, post._id)
+    ).rejects.toThrow("You can only delete your own content");
+    expect(createJob).not.toHaveBeenCalled();
+  });
+});
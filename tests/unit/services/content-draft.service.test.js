@@ -0,0 +1,89 @@
+/**
+ * Content Draft Service - saving drafts edited on several devices
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import ContentDraft from "../../../src/models/content/ContentDraft.js";
+import { ContentType } from "../../../src/models/enums.js";
+import { updateDraft } from "../../../src/services/content-draft.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+describe("updateDraft", () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  let draft;
+
+  beforeEach(() => {
+    draft = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      contentType: ContentType.WRITE_POST,
+      content: "First version",
+      images: [],
+      mentionedUserIds: [],
+      revision: 3,
+      publishingAt: null,
+      publishedContentId: null,
+    };
+
+    jest.spyOn(ContentDraft, "findOne").mockReturnValue(mockQuery(draft));
+  });
+
+  it("saves changes made on the current revision", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(ContentDraft, "findOneAndUpdate")
+      .mockReturnValue(mockQuery({ ...draft, content: "Second", revision: 4 }));
+
+    const updated = await updateDraft(userId, draft._id, 3, {
+      content: "Second",
+    });
+
+    expect(updated.revision).toBe(4);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: draft._id, userId, revision: 3 });
+    expect(update.$set.content).toBe("Second");
+    expect(update.$inc).toEqual({ revision: 1 });
+  });
+
+  it("rejects changes made on an outdated revision", async () => {
+    // Another device saved revision 3 first
+    jest
+      .spyOn(ContentDraft, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(null));
+
+    await expect(
+      updateDraft(userId, draft._id, 3, { content: "Stale copy" })
+    ).rejects.toThrow("Draft was changed on another device");
+  });
+
+  it("does not save over a draft that is being published", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(ContentDraft, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(null));
+
+    await expect(
+      updateDraft(userId, draft._id, 3, { content: "Late edit" })
+    ).rejects.toThrow("Draft was changed on another device");
+
+    // Only a publish claimed long enough ago to be lost is overridden
+    const [filter] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { publishingAt: null },
+      { publishingAt: { $lt: expect.any(Date) } },
+    ]);
+  });
+
+  it("rejects images that were not uploaded to the draft", async () => {
+    draft.contentType = ContentType.POST;
+    draft.images = ["https://cdn.example.com/drafts/a.jpg"];
+    const findOneAndUpdate = jest.spyOn(ContentDraft, "findOneAndUpdate");
+
+    await expect(
+      updateDraft(userId, draft._id, 3, {
+        images: ["https://cdn.example.com/posts/other.jpg"],
+      })
+    ).rejects.toThrow("Images must have been uploaded to this draft");
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
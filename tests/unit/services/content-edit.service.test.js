@@ -0,0 +1,150 @@
+/**
+ * Content Edit Service - applying edits and notifying new mentions
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserMute from "../../../src/models/users/UserMute.js";
+import UserAudience from "../../../src/models/users/UserAudience.js";
+import Post from "../../../src/models/content/Post.js";
+import ContentEdit from "../../../src/models/content/ContentEdit.js";
+import Notification from "../../../src/models/notifications/Notification.js";
+import {
+  ContentType,
+  ContentVisibility,
+  NotificationType,
+} from "../../../src/models/enums.js";
+import { applyContentEdit } from "../../../src/services/content-edit.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const authorId = newId();
+const alreadyMentionedId = newId();
+const newlyMentionedId = newId();
+
+let post;
+let createNotification;
+
+beforeEach(() => {
+  post = {
+    _id: newId(),
+    userId: authorId,
+    caption: "old caption",
+    mentionedUserIds: [alreadyMentionedId],
+    images: [],
+    editCount: 1,
+    visibility: ContentVisibility.PUBLIC,
+  };
+  // Notifications go through to Notification.create
+  jest.spyOn(UserMute, "exists").mockResolvedValue(null);
+  jest
+    .spyOn(User, "findById")
+    .mockImplementation((id) =>
+      mockQuery({ _id: id, username: "user", fcmToken: null })
+    );
+  createNotification = jest
+    .spyOn(Notification, "create")
+    .mockImplementation(async (data) => ({ _id: newId(), ...data }));
+  jest.spyOn(ContentEdit, "create").mockResolvedValue({});
+});
+
+/**
+ * Notification receivers, in creation order
+ * @returns {Array<string>} Receiver IDs
+ */
+const notifiedUserIds = () =>
+  createNotification.mock.calls.map(([data]) => data.receiverId.toString());
+
+describe("applyContentEdit", () => {
+  it("makes no edit when nothing changed", async () => {
+    const update = jest.spyOn(Post, "findOneAndUpdate");
+
+    const edited = await applyContentEdit(ContentType.POST, post, {
+      caption: "old caption",
+      mentionedUserIds: [alreadyMentionedId.toString()],
+    });
+
+    expect(edited).toBe(false);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it("keeps the replaced version and only updates the author's content", async () => {
+    const update = jest
+      .spyOn(Post, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(post));
+
+    await applyContentEdit(ContentType.POST, post, {
+      mentionedUserIds: [alreadyMentionedId],
+      musicStartTime: 5,
+    });
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: post._id, userId: authorId });
+    expect(change.$set).toEqual({
+      musicStartTime: 5,
+      editedAt: expect.any(Date),
+    });
+    expect(change.$inc).toEqual({ editCount: 1 });
+    expect(ContentEdit.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        contentType: ContentType.POST,
+        contentId: post._id,
+        version: 2,
+        text: "old caption",
+        mentionedUserIds: [alreadyMentionedId],
+      })
+    );
+  });
+
+  it("rejects an edit when the content is gone", async () => {
+    jest.spyOn(Post, "findOneAndUpdate").mockReturnValue(mockQuery(null));
+
+    await expect(
+      applyContentEdit(ContentType.POST, post, { musicStartTime: 5 })
+    ).rejects.toThrow("Content not found");
+    expect(ContentEdit.create).not.toHaveBeenCalled();
+  });
+
+  it("notifies only users mentioned by the edit", async () => {
+    jest.spyOn(Post, "findOneAndUpdate").mockReturnValue(mockQuery(post));
+
+    await applyContentEdit(ContentType.POST, post, {
+      mentionedUserIds: [alreadyMentionedId, newlyMentionedId],
+    });
+
+    expect(notifiedUserIds()).toEqual([newlyMentionedId.toString()]);
+    expect(createNotification.mock.calls[0][0].type).toBe(
+      NotificationType.MENTION_IN_POST
+    );
+  });
+
+  it("holds mentions of scheduled content until it is published", async () => {
+    post.scheduledAt = new Date(Date.now() + 60 * 60 * 1000);
+    jest.spyOn(Post, "findOneAndUpdate").mockReturnValue(mockQuery(post));
+
+    await applyContentEdit(ContentType.POST, post, {
+      mentionedUserIds: [alreadyMentionedId, newlyMentionedId],
+    });
+
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it("skips the author and users outside the Close Friends list", async () => {
+    const closeFriendId = newId();
+    post.visibility = ContentVisibility.CLOSE_FRIENDS;
+    jest.spyOn(Post, "findOneAndUpdate").mockReturnValue(mockQuery(post));
+    jest
+      .spyOn(UserAudience, "exists")
+      .mockImplementation(async ({ audienceUserId }) =>
+        audienceUserId === closeFriendId.toString() ? { _id: newId() } : null
+      );
+
+    await applyContentEdit(ContentType.POST, post, {
+      mentionedUserIds: [authorId, newlyMentionedId, closeFriendId],
+    });
+
+    expect(notifiedUserIds()).toEqual([closeFriendId.toString()]);
+  });
+});
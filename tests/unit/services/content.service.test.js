@@ -0,0 +1,135 @@
+/**
+ * Content Service - who can open a post, write post or zeal
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import UserFollower from "../../../src/models/users/UserFollower.js";
+import UserAudience from "../../../src/models/users/UserAudience.js";
+import Post from "../../../src/models/content/Post.js";
+import ZealPost from "../../../src/models/content/ZealPost.js";
+import ContentReport from "../../../src/models/interactions/ContentReport.js";
+import {
+  ContentType,
+  ContentVisibility,
+  ZealStatus,
+} from "../../../src/models/enums.js";
+import { getContentDetail } from "../../../src/services/content.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const author = { _id: new mongoose.Types.ObjectId(), username: "author" };
+const viewerId = new mongoose.Types.ObjectId();
+const contentId = new mongoose.Types.ObjectId();
+
+let authorAccount;
+
+/**
+ * Content returned by the model's findById
+ * @param {Object} Model - Content model
+ * @param {Object} fields - Content fields
+ */
+const mockContent = (Model, fields = {}) => {
+  jest.spyOn(Model, "findById").mockReturnValue(
+    mockQuery({
+      _id: contentId,
+      userId: author,
+      visibility: ContentVisibility.PUBLIC,
+      ...fields,
+    })
+  );
+};
+
+beforeEach(() => {
+  authorAccount = { _id: author._id, isDeleted: false, isPrivate: false };
+  jest
+    .spyOn(User, "findById")
+    .mockImplementation(() => mockQuery(authorAccount));
+  jest.spyOn(UserBlock, "exists").mockResolvedValue(null);
+  jest.spyOn(UserFollower, "exists").mockResolvedValue(null);
+  jest.spyOn(UserAudience, "exists").mockResolvedValue(null);
+  jest.spyOn(ContentReport, "findOne").mockResolvedValue(null);
+});
+
+describe("getContentDetail", () => {
+  it("hides content across a block", async () => {
+    mockContent(Post);
+    UserBlock.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(getContentDetail(viewerId, "post", contentId)).rejects.toThrow(
+      "Content not found"
+    );
+  });
+
+  it("hides content the viewer reported", async () => {
+    mockContent(Post);
+    ContentReport.findOne.mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+    });
+
+    await expect(getContentDetail(viewerId, "post", contentId)).rejects.toThrow(
+      "Content not found"
+    );
+    expect(ContentReport.findOne).toHaveBeenCalledWith({
+      reportedBy: viewerId,
+      contentType: ContentType.POST,
+      contentId,
+    });
+  });
+
+  it("hides Close Friends content from users outside the list", async () => {
+    mockContent(Post, { visibility: ContentVisibility.CLOSE_FRIENDS });
+
+    await expect(getContentDetail(viewerId, "post", contentId)).rejects.toThrow(
+      "Content not found"
+    );
+    expect(UserAudience.exists).toHaveBeenCalledWith({
+      userId: author._id,
+      audienceUserId: viewerId,
+    });
+  });
+
+  it("hides scheduled content until it is published", async () => {
+    mockContent(Post, { scheduledAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    await expect(getContentDetail(viewerId, "post", contentId)).rejects.toThrow(
+      "Content not found"
+    );
+  });
+
+  it("tells non-followers the account is private", async () => {
+    mockContent(Post);
+    authorAccount.isPrivate = true;
+
+    await expect(getContentDetail(viewerId, "post", contentId)).rejects.toThrow(
+      "This account is private"
+    );
+    await expect(getContentDetail(null, "post", contentId)).rejects.toThrow(
+      "This account is private"
+    );
+  });
+
+  it("hides content of a deleted account", async () => {
+    mockContent(Post);
+    authorAccount.isDeleted = true;
+
+    await expect(getContentDetail(viewerId, "post", contentId)).rejects.toThrow(
+      "Content not found"
+    );
+  });
+
+  it("hides a zeal still processing from everyone but its owner", async () => {
+    mockContent(ZealPost, { status: ZealStatus.PROCESSING });
+
+    await expect(getContentDetail(viewerId, "zeal", contentId)).rejects.toThrow(
+      "Content not found"
+    );
+  });
+
+  it("rejects an unknown content type", async () => {
+    await expect(
+      getContentDetail(viewerId, "story", contentId)
+    ).rejects.toThrow("Invalid content type");
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Counter Service - atomic counter updates and drift reconciliation
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Comment from "../../../src/models/comments/Comment.js";
+import CommentLike from "../../../src/models/comments/CommentLike.js";
+import ReplyComment from "../../../src/models/comments/ReplyComment.js";
+import {
+  adjustCounter,
+  backfillMissingCounters,
+  reconcileCounters,
+} from "../../../src/services/counter.service.js";
+import logger from "../../../src/utils/logger.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+describe("adjustCounter", () => {
+  const id = new mongoose.Types.ObjectId();
+
+  it("increments the counter and returns the new value", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(Comment, "findOneAndUpdate")
+      .mockReturnValue(mockQuery({ _id: id, likeCount: 4 }));
+
+    await expect(adjustCounter(Comment, id, "likeCount", 1)).resolves.toBe(4);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: id },
+      { $inc: { likeCount: 1 } },
+      { new: true }
+    );
+  });
+
+  it("only decrements a counter that stays at zero or above", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(Comment, "findOneAndUpdate")
+      .mockReturnValue(mockQuery({ _id: id, likeCount: 1 }));
+
+    await expect(adjustCounter(Comment, id, "likeCount", -2)).resolves.toBe(1);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: id,
+      likeCount: { $gte: 2 },
+    });
+  });
+
+  it("leaves a counter that would go negative and warns", async () => {
+    jest.spyOn(Comment, "findOneAndUpdate").mockReturnValue(mockQuery(null));
+    const findById = jest
+      .spyOn(Comment, "findById")
+      .mockReturnValue(mockQuery({ _id: id, likeCount: 0 }));
+    const warn = jest.spyOn(logger, "warn");
+
+    await expect(adjustCounter(Comment, id, "likeCount", -1)).resolves.toBe(0);
+    expect(findById).toHaveBeenCalledWith(id);
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining("Skipped decrement of Comment.likeCount")
+    );
+  });
+
+  it("returns null when the document does not exist", async () => {
+    jest.spyOn(Comment, "findOneAndUpdate").mockReturnValue(mockQuery(null));
+    jest.spyOn(Comment, "findById").mockReturnValue(mockQuery(null));
+
+    await expect(
+      adjustCounter(Comment, id, "likeCount", 1)
+    ).resolves.toBeNull();
+  });
+
+  it("reads the counter without writing when the delta is zero", async () => {
+    const findOneAndUpdate = jest.spyOn(Comment, "findOneAndUpdate");
+    jest.spyOn(Comment, "findById").mockReturnValue(mockQuery({ _id: id }));
+
+    await expect(adjustCounter(Comment, id, "replyCount", 0)).resolves.toBe(0);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("reconcileCounters", () => {
+  const inSync = { _id: new mongoose.Types.ObjectId(), likeCount: 2 };
+  const missingLike = { _id: new mongoose.Types.ObjectId(), likeCount: 0 };
+  const tooHigh = { _id: new mongoose.Types.ObjectId(), likeCount: 5 };
+  const neverCounted = { _id: new mongoose.Types.ObjectId() };
+
+  let commentBulkWrite;
+
+  beforeEach(() => {
+    // Only comments have documents; every other collection is empty
+    jest.spyOn(mongoose.Model, "find").mockImplementation(function (filter) {
+      const isFirstBatch = !filter._id;
+      return mockQuery(
+        this === Comment && isFirstBatch
+          ? [inSync, missingLike, tooHigh, neverCounted]
+          : []
+      );
+    });
+
+    jest.spyOn(CommentLike, "aggregate").mockResolvedValue([
+      { _id: inSync._id, count: 2 },
+      { _id: missingLike._id, count: 1 },
+      { _id: tooHigh._id, count: 3 },
+    ]);
+    jest.spyOn(ReplyComment, "aggregate").mockResolvedValue([]);
+    commentBulkWrite = jest.spyOn(Comment, "bulkWrite").mockResolvedValue({});
+  });
+
+  it("repairs drifted counters from their source collection", async () => {
+    const report = await reconcileCounters();
+
+    const likeReport = report.counters.find(
+      (counter) => counter.counter === "Comment.likeCount"
+    );
+    expect(likeReport).toMatchObject({ checkedCount: 4, fixedCount: 2 });
+    expect(likeReport.fixes).toEqual([
+      { id: missingLike._id.toString(), from: 0, to: 1 },
+      { id: tooHigh._id.toString(), from: 5, to: 3 },
+    ]);
+
+    const [operations] = commentBulkWrite.mock.calls[0];
+    expect(operations).toEqual([
+      {
+        updateOne: {
+          filter: { _id: missingLike._id, likeCount: { $in: [0, null] } },
+          update: { $set: { likeCount: 1 } },
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: tooHigh._id, likeCount: 5 },
+          update: { $set: { likeCount: 3 } },
+        },
+      },
+    ]);
+  });
+
+  it("counts only approved replies and leaves counters already in sync", async () => {
+    const report = await reconcileCounters();
+
+    const [[matchStage]] = ReplyComment.aggregate.mock.calls[0];
+    expect(matchStage.$match).toMatchObject({
+      isDeleted: false,
+      isPendingApproval: { $ne: true },
+    });
+
+    // No comment has a reply counted or stored, so none is rewritten
+    const replyReport = report.counters.find(
+      (counter) => counter.counter === "Comment.replyCount"
+    );
+    expect(replyReport).toMatchObject({ checkedCount: 4, fixedCount: 0 });
+    expect(report.fixedCount).toBe(2);
+  });
+});
+
+describe("backfillMissingCounters", () => {
+  it("fills in only counters still missing from their documents", async () => {
+    const neverCounted = { _id: new mongoose.Types.ObjectId() };
+    const find = jest
+      .spyOn(mongoose.Model, "find")
+      .mockImplementation(function (filter) {
+        return mockQuery(
+          this === Comment && !filter._id && "likeCount" in filter
+            ? [neverCounted]
+            : []
+        );
+      });
+    jest
+      .spyOn(CommentLike, "aggregate")
+      .mockResolvedValue([{ _id: neverCounted._id, count: 3 }]);
+    const bulkWrite = jest
+      .spyOn(Comment, "bulkWrite")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(backfillMissingCounters()).resolves.toEqual({
+      filledCount: 1,
+    });
+
+    expect(find).toHaveBeenCalledWith({ likeCount: { $exists: false } });
+    expect(bulkWrite.mock.calls[0][0]).toEqual([
+      {
+        updateOne: {
+          filter: { _id: neverCounted._id, likeCount: { $exists: false } },
+          update: { $set: { likeCount: 3 } },
+        },
+      },
+    ]);
+  });
+});
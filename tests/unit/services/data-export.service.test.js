@@ -0,0 +1,130 @@
+/**
+ * Data Export Service - requesting, reading and building exports
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import DataExport from "../../../src/models/users/DataExport.js";
+import { DataExportStatus } from "../../../src/models/enums.js";
+import {
+  getDataExport,
+  processDataExport,
+  requestDataExport,
+} from "../../../src/services/data-export.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const userId = new mongoose.Types.ObjectId();
+
+describe("requestDataExport", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(User, "findById")
+      .mockReturnValue(mockQuery({ _id: userId, isDeleted: false }));
+  });
+
+  it("refuses a second export while one is being built", async () => {
+    jest
+      .spyOn(DataExport, "findOne")
+      .mockReturnValueOnce(mockQuery({ _id: new mongoose.Types.ObjectId() }));
+    const create = jest.spyOn(DataExport, "create");
+
+    await expect(requestDataExport(userId)).rejects.toThrow(
+      "A data export is already in progress"
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("allows one ready export per 24 hours", async () => {
+    jest
+      .spyOn(DataExport, "findOne")
+      .mockReturnValueOnce(mockQuery(null))
+      .mockReturnValueOnce(mockQuery({ _id: new mongoose.Types.ObjectId() }));
+    const create = jest.spyOn(DataExport, "create");
+
+    await expect(requestDataExport(userId)).rejects.toThrow(
+      "You can request a new data export once every 24 hours"
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("is refused for a deleted account", async () => {
+    User.findById.mockReturnValue(mockQuery({ _id: userId, isDeleted: true }));
+    const create = jest.spyOn(DataExport, "create");
+
+    await expect(requestDataExport(userId)).rejects.toThrow(
+      "User account has been deleted"
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe("getDataExport", () => {
+  it("only finds exports of the requesting user", async () => {
+    const exportId = new mongoose.Types.ObjectId();
+    const findOne = jest.spyOn(DataExport, "findOne").mockResolvedValue(null);
+
+    await expect(getDataExport(userId, exportId)).rejects.toThrow(
+      "Data export not found"
+    );
+    expect(findOne).toHaveBeenCalledWith({ _id: exportId, userId });
+  });
+
+  it("has no download links once the export expired", async () => {
+    jest.spyOn(DataExport, "findOne").mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+      status: DataExportStatus.READY,
+      jsonStorageKey: "exports/export.json",
+      htmlStorageKey: "exports/export.html",
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const dataExport = await getDataExport(
+      userId,
+      new mongoose.Types.ObjectId()
+    );
+
+    expect(dataExport.downloads).toBeNull();
+  });
+});
+
+describe("processDataExport", () => {
+  it("does nothing when another run already claimed the export", async () => {
+    jest.spyOn(DataExport, "findOneAndUpdate").mockResolvedValue(null);
+    const findUser = jest.spyOn(User, "findById");
+
+    await processDataExport(new mongoose.Types.ObjectId());
+
+    expect(findUser).not.toHaveBeenCalled();
+  });
+
+  it("leaves passwords, codes and 2FA secrets out of the profile", async () => {
+    const dataExport = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      status: DataExportStatus.PROCESSING,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(DataExport, "findOneAndUpdate").mockResolvedValue(dataExport);
+    // The account is gone by the time the export is built
+    const profileQuery = mockQuery(null);
+    jest.spyOn(User, "findById").mockReturnValue(profileQuery);
+
+    await processDataExport(dataExport._id);
+
+    const excluded = profileQuery.select.mock.calls[0][0].split(" ");
+    expect(excluded).toEqual(
+      expect.arrayContaining([
+        "-password",
+        "-otp",
+        "-otpSentTo",
+        "-forgotPasswordOTP",
+        "-emailChangeCancelToken",
+        "-twoFactorSecret",
+        "-twoFactorRecoveryCodes",
+      ])
+    );
+    expect(dataExport.status).toBe(DataExportStatus.FAILED);
+    expect(dataExport.error).toBe("User not found");
+  });
+});
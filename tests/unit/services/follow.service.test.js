@@ -0,0 +1,257 @@
+/**
+ * Follow Service - private accounts, follow requests and mutual followers
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import UserFollower from "../../../src/models/users/UserFollower.js";
+import UserMute from "../../../src/models/users/UserMute.js";
+import FollowRequest from "../../../src/models/users/FollowRequest.js";
+import FollowCooldown from "../../../src/models/users/FollowCooldown.js";
+import Notification from "../../../src/models/notifications/Notification.js";
+import {
+  acceptFollowRequest,
+  declineFollowRequest,
+  followUser,
+  getMutualFollowers,
+  getMutualFollowersSummary,
+} from "../../../src/services/follow.service.js";
+import {
+  canViewUserContent,
+  getVisibleAuthorIds,
+} from "../../../src/utils/privacyFilter.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const privateAccount = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "private",
+  name: "Private Account",
+  isPrivate: true,
+};
+const viewer = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "viewer",
+  name: "Viewer",
+};
+
+beforeEach(() => {
+  jest.spyOn(UserBlock, "exists").mockResolvedValue(null);
+  jest.spyOn(FollowCooldown, "exists").mockResolvedValue(null);
+  // Notifications find no sender and are skipped
+  jest.spyOn(UserMute, "exists").mockResolvedValue(null);
+  jest.spyOn(User, "findById").mockReturnValue(mockQuery(null));
+  jest.spyOn(Notification, "deleteMany").mockResolvedValue({});
+});
+
+describe("following a private account", () => {
+  it("sends a follow request instead of following", async () => {
+    jest
+      .spyOn(User, "findOne")
+      .mockImplementation(({ _id }) =>
+        Promise.resolve(_id === privateAccount._id ? privateAccount : viewer)
+      );
+    jest.spyOn(UserFollower, "findOne").mockResolvedValue(null);
+    jest.spyOn(FollowRequest, "findOne").mockResolvedValue(null);
+    const createRequest = jest
+      .spyOn(FollowRequest, "create")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const follow = jest.spyOn(UserFollower, "create");
+
+    const result = await followUser(viewer._id, privateAccount._id);
+
+    expect(result.status).toBe("requested");
+    expect(createRequest).toHaveBeenCalledWith({
+      userId: privateAccount._id,
+      requesterId: viewer._id,
+    });
+    expect(follow).not.toHaveBeenCalled();
+  });
+
+  it("is refused while a removed follower's cooldown lasts", async () => {
+    jest
+      .spyOn(User, "findOne")
+      .mockImplementation(({ _id }) =>
+        Promise.resolve(_id === privateAccount._id ? privateAccount : viewer)
+      );
+    FollowCooldown.exists.mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+    });
+    const createRequest = jest.spyOn(FollowRequest, "create");
+
+    await expect(followUser(viewer._id, privateAccount._id)).rejects.toThrow(
+      "You cannot follow this user"
+    );
+    expect(createRequest).not.toHaveBeenCalled();
+  });
+
+  it("makes the requester a follower once accepted", async () => {
+    jest
+      .spyOn(FollowRequest, "findOneAndDelete")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(viewer));
+    jest.spyOn(UserFollower, "exists").mockResolvedValue(null);
+    const follow = jest
+      .spyOn(UserFollower, "create")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const updateCount = jest
+      .spyOn(User, "findOneAndUpdate")
+      .mockReturnValue(mockQuery({ followerCount: 1 }));
+
+    await expect(
+      acceptFollowRequest(privateAccount._id, viewer._id)
+    ).resolves.toMatchObject({ id: viewer._id.toString() });
+
+    expect(follow).toHaveBeenCalledWith({
+      userId: privateAccount._id,
+      followerId: viewer._id,
+    });
+    expect(updateCount).toHaveBeenCalledWith(
+      { _id: privateAccount._id },
+      { $inc: { followerCount: 1 } },
+      { new: true }
+    );
+  });
+
+  it("drops a declined request without following", async () => {
+    const deleteRequest = jest
+      .spyOn(FollowRequest, "findOneAndDelete")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const follow = jest.spyOn(UserFollower, "create");
+
+    await declineFollowRequest(privateAccount._id, viewer._id);
+
+    expect(deleteRequest).toHaveBeenCalledWith({
+      userId: privateAccount._id,
+      requesterId: viewer._id,
+    });
+    expect(follow).not.toHaveBeenCalled();
+  });
+});
+
+describe("private account content", () => {
+  beforeEach(() => {
+    User.findById.mockReturnValue(mockQuery({ isPrivate: true }));
+  });
+
+  it("is hidden from users who don't follow the account", async () => {
+    jest.spyOn(UserFollower, "exists").mockResolvedValue(null);
+
+    await expect(
+      canViewUserContent(viewer._id, privateAccount._id)
+    ).resolves.toBe(false);
+  });
+
+  it("is shown to followers", async () => {
+    jest
+      .spyOn(UserFollower, "exists")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(
+      canViewUserContent(viewer._id, privateAccount._id)
+    ).resolves.toBe(true);
+  });
+
+  it("is hidden from signed-out visitors", async () => {
+    await expect(canViewUserContent(null, privateAccount._id)).resolves.toBe(
+      false
+    );
+  });
+
+  it("is shown to the account itself", async () => {
+    await expect(
+      canViewUserContent(privateAccount._id, privateAccount._id)
+    ).resolves.toBe(true);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it("checks only the given authors' privacy", async () => {
+    const publicAuthorId = new mongoose.Types.ObjectId();
+    const followedIds = [privateAccount._id];
+    jest.spyOn(UserFollower, "find").mockReturnValue(mockQuery(followedIds));
+    const findAuthors = jest
+      .spyOn(User, "find")
+      .mockReturnValue(mockQuery([publicAuthorId, privateAccount._id]));
+
+    await getVisibleAuthorIds(viewer._id, [publicAuthorId, privateAccount._id]);
+
+    expect(findAuthors).toHaveBeenCalledWith({
+      _id: { $in: [publicAuthorId, privateAccount._id] },
+      $or: [
+        { isPrivate: { $ne: true } },
+        { _id: { $in: [viewer._id, privateAccount._id] } },
+      ],
+    });
+  });
+});
+
+describe("mutual followers", () => {
+  const profile = { _id: new mongoose.Types.ObjectId(), username: "profile" };
+  const alice = {
+    _id: new mongoose.Types.ObjectId(),
+    username: "alice",
+    name: "Alice",
+  };
+  const followingIds = [alice._id, new mongoose.Types.ObjectId()];
+
+  beforeEach(() => {
+    jest.spyOn(User, "exists").mockResolvedValue({ _id: profile._id });
+  });
+
+  it("lists only accounts the viewer follows", async () => {
+    jest
+      .spyOn(UserFollower, "find")
+      .mockReturnValueOnce(mockQuery(followingIds))
+      .mockReturnValueOnce(mockQuery([{ followerId: alice }]));
+    const count = jest
+      .spyOn(UserFollower, "countDocuments")
+      .mockResolvedValue(1);
+
+    const result = await getMutualFollowers(viewer._id, profile._id);
+
+    const query = { userId: profile._id, followerId: { $in: followingIds } };
+    expect(UserFollower.find.mock.calls[1][0]).toEqual(query);
+    expect(count).toHaveBeenCalledWith(query);
+    expect(result.mutualFollowers).toEqual([
+      expect.objectContaining({ username: "alice", status: "following" }),
+    ]);
+  });
+
+  it("is not available across a block", async () => {
+    UserBlock.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const findFollowers = jest.spyOn(UserFollower, "find");
+
+    await expect(getMutualFollowers(viewer._id, profile._id)).rejects.toThrow(
+      "User not found"
+    );
+    expect(findFollowers).not.toHaveBeenCalled();
+  });
+
+  it("names the first mutual followers in the profile summary", async () => {
+    jest.spyOn(UserFollower, "find").mockReturnValue(mockQuery(followingIds));
+    jest
+      .spyOn(UserFollower, "aggregate")
+      .mockResolvedValue([
+        { _id: profile._id, count: 3, followerIds: [alice._id] },
+      ]);
+    jest.spyOn(User, "find").mockReturnValue(mockQuery([alice]));
+
+    const summary = await getMutualFollowersSummary(viewer._id, profile._id);
+
+    expect(summary).toMatchObject({
+      count: 3,
+      users: [{ id: alice._id.toString(), username: "alice" }],
+      text: "Followed by alice and 2 others",
+    });
+  });
+
+  it("is empty for signed-out visitors", async () => {
+    const findFollowing = jest.spyOn(UserFollower, "find");
+
+    await expect(getMutualFollowersSummary(null, profile._id)).resolves.toEqual(
+      { count: 0, users: [], text: null }
+    );
+    expect(findFollowing).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Presence Service - live connections, who receives presence updates and
+ * presence as seen by a viewer
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import UserFollower from "../../../src/models/users/UserFollower.js";
+import UserRestrict from "../../../src/models/users/UserRestrict.js";
+import ChatRoom from "../../../src/models/chat/ChatRoom.js";
+import { PresenceVisibility } from "../../../src/models/enums.js";
+import {
+  addConnection,
+  canSeePresence,
+  getPresenceAudience,
+  getUsersPresence,
+  isUserOnline,
+  removeConnection,
+} from "../../../src/services/presence.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+let blocks;
+let restrictedIds;
+let followedIds;
+
+beforeEach(() => {
+  blocks = [];
+  restrictedIds = [];
+  followedIds = [];
+  // Last seen written when a user's last socket disconnects
+  jest.spyOn(User, "updateOne").mockResolvedValue({});
+  jest.spyOn(UserBlock, "find").mockImplementation(() => mockQuery(blocks));
+  jest
+    .spyOn(UserRestrict, "find")
+    .mockImplementation(() => mockQuery(restrictedIds));
+  jest
+    .spyOn(UserFollower, "find")
+    .mockImplementation(() => mockQuery(followedIds));
+});
+
+describe("connections", () => {
+  it("keeps the user online until their last socket disconnects", async () => {
+    const userId = newId().toString();
+
+    expect(addConnection(userId, "phone")).toBe(true);
+    expect(addConnection(userId, "laptop")).toBe(false);
+
+    await expect(removeConnection(userId, "phone")).resolves.toBeNull();
+    expect(isUserOnline(userId)).toBe(true);
+    expect(User.updateOne).not.toHaveBeenCalled();
+
+    const lastSeenAt = await removeConnection(userId, "laptop");
+    expect(lastSeenAt).toBeInstanceOf(Date);
+    expect(isUserOnline(userId)).toBe(false);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $set: { lastSeenAt } }
+    );
+  });
+
+  it("ignores a disconnect of a user with no sockets", async () => {
+    await expect(removeConnection(newId(), "phone")).resolves.toBeNull();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe("getPresenceAudience", () => {
+  const userId = newId();
+  const partnerIds = [newId(), newId(), newId()];
+
+  /**
+   * Mock the user's presence setting and chat rooms with every partner
+   * @param {string} presenceVisibility - PresenceVisibility value
+   */
+  const mockUser = (presenceVisibility) => {
+    jest
+      .spyOn(User, "findById")
+      .mockReturnValue(mockQuery({ _id: userId, presenceVisibility }));
+    jest.spyOn(ChatRoom, "find").mockReturnValue(
+      mockQuery(
+        partnerIds.map((partnerId, index) =>
+          // The user is on either side of the room
+          index % 2 === 0
+            ? { userA: userId, userB: partnerId }
+            : { userA: partnerId, userB: userId }
+        )
+      )
+    );
+  };
+
+  it("sends updates to every chat partner except blocked users", async () => {
+    mockUser(PresenceVisibility.EVERYONE);
+    blocks = [{ blockerId: partnerIds[1], blockedId: userId }];
+
+    await expect(getPresenceAudience(userId)).resolves.toEqual([
+      partnerIds[0].toString(),
+      partnerIds[2].toString(),
+    ]);
+  });
+
+  it("sends updates only to partners the user follows", async () => {
+    mockUser(PresenceVisibility.FOLLOWING);
+    followedIds = [partnerIds[2]];
+
+    await expect(getPresenceAudience(userId)).resolves.toEqual([
+      partnerIds[2].toString(),
+    ]);
+    expect(UserFollower.find).toHaveBeenCalledWith({
+      followerId: userId.toString(),
+      userId: { $in: partnerIds.map((id) => id.toString()) },
+    });
+  });
+
+  it("sends no updates when the user hides their presence", async () => {
+    mockUser(PresenceVisibility.NOBODY);
+
+    await expect(getPresenceAudience(userId)).resolves.toEqual([]);
+    expect(UserBlock.find).not.toHaveBeenCalled();
+  });
+});
+
+describe("canSeePresence", () => {
+  const userId = newId();
+  const viewerId = newId();
+
+  /**
+   * Mock the user's presence setting
+   * @param {string} presenceVisibility - PresenceVisibility value
+   */
+  const mockUser = (presenceVisibility) => {
+    jest
+      .spyOn(User, "findById")
+      .mockReturnValue(mockQuery({ _id: userId, presenceVisibility }));
+  };
+
+  it("shows presence to everyone by default", async () => {
+    mockUser(undefined);
+
+    await expect(canSeePresence(userId, viewerId)).resolves.toBe(true);
+  });
+
+  it("hides presence from users the user restricted", async () => {
+    mockUser(PresenceVisibility.EVERYONE);
+    restrictedIds = [viewerId];
+
+    await expect(canSeePresence(userId, viewerId)).resolves.toBe(false);
+  });
+
+  it("hides presence from users the user does not follow", async () => {
+    mockUser(PresenceVisibility.FOLLOWING);
+
+    await expect(canSeePresence(userId, viewerId)).resolves.toBe(false);
+  });
+
+  it("hides presence when the user shares it with nobody", async () => {
+    mockUser(PresenceVisibility.NOBODY);
+
+    await expect(canSeePresence(userId, viewerId)).resolves.toBe(false);
+  });
+});
+
+describe("getUsersPresence", () => {
+  const viewerId = newId();
+  const lastSeenAt = new Date("2026-01-01T10:00:00Z");
+
+  /**
+   * Mock the users looked up, each with a stored last seen
+   * @param {Array<Object>} users - Users ({ _id, presenceVisibility })
+   */
+  const mockUsers = (users) => {
+    jest
+      .spyOn(User, "find")
+      .mockReturnValue(
+        mockQuery(users.map((user) => ({ lastSeenAt, ...user })))
+      );
+  };
+
+  /**
+   * Presence of one user from the result
+   * @param {Object} result - getUsersPresence result
+   * @param {mongoose.Types.ObjectId} userId - User ID
+   * @returns {Object} Presence entry
+   */
+  const presenceOf = (result, userId) =>
+    result.presence.find((entry) => entry.userId === userId.toString());
+
+  it("shows online status, and last seen only while offline", async () => {
+    const onlineId = newId();
+    const offlineId = newId();
+    mockUsers([
+      { _id: onlineId, presenceVisibility: PresenceVisibility.EVERYONE },
+      { _id: offlineId, presenceVisibility: PresenceVisibility.EVERYONE },
+    ]);
+    addConnection(onlineId, "socket");
+
+    const result = await getUsersPresence(viewerId, [onlineId, offlineId]);
+
+    await removeConnection(onlineId, "socket");
+    expect(presenceOf(result, onlineId)).toEqual({
+      userId: onlineId.toString(),
+      isVisible: true,
+      isOnline: true,
+      lastSeenAt: null,
+    });
+    expect(presenceOf(result, offlineId)).toEqual({
+      userId: offlineId.toString(),
+      isVisible: true,
+      isOnline: false,
+      lastSeenAt,
+    });
+  });
+
+  it("hides presence from viewers the user does not follow", async () => {
+    const followerId = newId();
+    const strangerId = newId();
+    mockUsers([
+      { _id: followerId, presenceVisibility: PresenceVisibility.FOLLOWING },
+      { _id: strangerId, presenceVisibility: PresenceVisibility.FOLLOWING },
+    ]);
+    // followerId follows the viewer
+    followedIds = [followerId];
+
+    const result = await getUsersPresence(viewerId, [followerId, strangerId]);
+
+    expect(presenceOf(result, followerId)).toMatchObject({
+      isVisible: true,
+      lastSeenAt,
+    });
+    expect(presenceOf(result, strangerId)).toEqual({
+      userId: strangerId.toString(),
+      isVisible: false,
+      isOnline: false,
+      lastSeenAt: null,
+    });
+  });
+
+  it("hides online status and last seen of users sharing with nobody", async () => {
+    const userId = newId();
+    mockUsers([{ _id: userId, presenceVisibility: PresenceVisibility.NOBODY }]);
+    addConnection(userId, "socket");
+
+    const result = await getUsersPresence(viewerId, [userId]);
+
+    await removeConnection(userId, "socket");
+    expect(presenceOf(result, userId)).toEqual({
+      userId: userId.toString(),
+      isVisible: false,
+      isOnline: false,
+      lastSeenAt: null,
+    });
+  });
+
+  it("leaves out blocked users but always shows the viewer to themselves", async () => {
+    const blockedId = newId();
+    mockUsers([
+      { _id: blockedId, presenceVisibility: PresenceVisibility.EVERYONE },
+      { _id: viewerId, presenceVisibility: PresenceVisibility.NOBODY },
+    ]);
+    blocks = [{ blockerId: viewerId, blockedId }];
+
+    const result = await getUsersPresence(viewerId, [blockedId, viewerId]);
+
+    expect(result.presence).toEqual([
+      {
+        userId: viewerId.toString(),
+        isVisible: true,
+        isOnline: false,
+        lastSeenAt,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Scheduled Content Service - publishing due items and publish side effects
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Poll from "../../../src/models/content/Poll.js";
+import WritePost from "../../../src/models/content/WritePost.js";
+import Notification from "../../../src/models/notifications/Notification.js";
+import User from "../../../src/models/users/User.js";
+import UserMute from "../../../src/models/users/UserMute.js";
+import {
+  ContentType,
+  ContentVisibility,
+  NotificationType,
+  PollStatus,
+} from "../../../src/models/enums.js";
+import {
+  publishDueContent,
+  runPublishSideEffects,
+} from "../../../src/services/scheduled-content.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("publishDueContent", () => {
+  /**
+   * Make the given items of a model due; every other model has none
+   * @param {mongoose.Model} Model - Model with due items
+   * @param {Array<Object>} items - Due items ({ _id, durationMs })
+   */
+  const mockDueItems = (Model, items) => {
+    jest.spyOn(mongoose.Model, "find").mockImplementation(function () {
+      return mockQuery(this === Model ? items : []);
+    });
+  };
+
+  it("starts a poll's duration at its publish time", async () => {
+    const poll = {
+      _id: new mongoose.Types.ObjectId(),
+      durationMs: 6 * HOUR_MS,
+    };
+    mockDueItems(Poll, [poll]);
+    const findOneAndUpdate = jest
+      .spyOn(Poll, "findOneAndUpdate")
+      .mockReturnValue(mockQuery({ _id: poll._id, caption: "" }));
+
+    await expect(publishDueContent()).resolves.toEqual({
+      publishedCount: 1,
+      failedCount: 0,
+    });
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    const publishedAt = update.$set.createdAt;
+
+    expect(filter).toEqual({
+      _id: poll._id,
+      scheduledAt: { $ne: null, $lte: publishedAt },
+    });
+    expect(update.$set).toEqual({
+      scheduledAt: null,
+      createdAt: publishedAt,
+      duration: new Date(publishedAt.getTime() + 6 * HOUR_MS),
+      durationMs: null,
+      status: PollStatus.ACTIVE,
+    });
+    expect(options).toMatchObject({ overwriteImmutable: true });
+  });
+
+  it("skips an item another run already claimed", async () => {
+    const writePost = { _id: new mongoose.Types.ObjectId() };
+    mockDueItems(WritePost, [writePost]);
+    const findOneAndUpdate = jest
+      .spyOn(WritePost, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(null));
+
+    await expect(publishDueContent()).resolves.toEqual({
+      publishedCount: 0,
+      failedCount: 0,
+    });
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(findOneAndUpdate.mock.calls[0][1].$set).not.toHaveProperty(
+      "duration"
+    );
+  });
+
+  it("counts a failed item and publishes the rest", async () => {
+    const failing = { _id: new mongoose.Types.ObjectId() };
+    const published = { _id: new mongoose.Types.ObjectId() };
+    mockDueItems(WritePost, [failing, published]);
+    jest.spyOn(WritePost, "findOneAndUpdate").mockImplementation(({ _id }) =>
+      _id === failing._id
+        ? mockQuery(() => {
+            throw new Error("Write conflict");
+          })
+        : mockQuery({
+            _id,
+            userId: new mongoose.Types.ObjectId(),
+            content: "Published",
+            mentionedUserIds: [],
+          })
+    );
+
+    await expect(publishDueContent()).resolves.toEqual({
+      publishedCount: 1,
+      failedCount: 1,
+    });
+  });
+});
+
+describe("runPublishSideEffects", () => {
+  const authorId = new mongoose.Types.ObjectId();
+  const mentionedId = new mongoose.Types.ObjectId();
+
+  let createNotification;
+
+  beforeEach(() => {
+    jest.spyOn(UserMute, "exists").mockResolvedValue(null);
+    jest
+      .spyOn(User, "findById")
+      .mockImplementation((id) =>
+        mockQuery(
+          id.toString() === authorId.toString()
+            ? { _id: authorId, username: "author" }
+            : { _id: id, pushNotificationEnabled: false }
+        )
+      );
+    createNotification = jest
+      .spyOn(Notification, "create")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+  });
+
+  it("notifies the users a post mentions, except its author", async () => {
+    const post = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: authorId,
+      caption: "No hashtags here",
+      mentionedUserIds: [mentionedId, authorId],
+      visibility: ContentVisibility.PUBLIC,
+      scheduledAt: null,
+    };
+
+    await runPublishSideEffects(ContentType.POST, post);
+
+    expect(createNotification).toHaveBeenCalledTimes(1);
+    expect(createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        receiverId: mentionedId.toString(),
+        senderId: authorId.toString(),
+        type: NotificationType.MENTION_IN_POST,
+        contentId: post._id,
+      })
+    );
+  });
+
+  it("sends no mention notifications for a poll", async () => {
+    const poll = {
+      _id: new mongoose.Types.ObjectId(),
+      createdBy: authorId,
+      caption: "Which one?",
+    };
+
+    await runPublishSideEffects("poll", poll);
+
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Session Service - refresh token rotation, reuse detection and remote logout
+ */
+
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import UserSession from "../../../src/models/users/UserSession.js";
+import { SessionRevokeReason } from "../../../src/models/enums.js";
+import config from "../../../src/config/env.js";
+import User from "../../../src/models/users/User.js";
+import {
+  getActiveSessions,
+  revokeUserSessions,
+  rotateRefreshToken,
+  signOutSession,
+  validateSession,
+} from "../../../src/services/session.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const signToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, config.jwt.refreshSecret, {
+    expiresIn: "1h",
+    jwtid: crypto.randomBytes(16).toString("hex"),
+  });
+
+describe("rotateRefreshToken", () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const sessionId = new mongoose.Types.ObjectId().toString();
+
+  let currentToken;
+  let session;
+
+  beforeEach(() => {
+    currentToken = signToken(userId, sessionId);
+    session = {
+      _id: sessionId,
+      userId: new mongoose.Types.ObjectId(userId),
+      refreshTokenHash: hashToken(currentToken),
+      revokedAt: null,
+      fcmToken: null,
+    };
+
+    jest.spyOn(UserSession, "findById").mockImplementation(() => session);
+  });
+
+  /**
+   * Spy on findOneAndUpdate: the rotation claim resolves `rotated`, the
+   * revocation resolves the revoked session
+   */
+  const mockUpdates = (rotated) =>
+    jest
+      .spyOn(UserSession, "findOneAndUpdate")
+      .mockImplementation((filter) =>
+        mockQuery(
+          filter.refreshTokenHash
+            ? rotated
+            : { ...session, revokedAt: new Date() }
+        )
+      );
+
+  it("issues a new refresh token for the current one", async () => {
+    const findOneAndUpdate = mockUpdates({ ...session });
+
+    const result = await rotateRefreshToken(currentToken, {
+      ipAddress: "203.0.113.5",
+    });
+
+    expect(result.userId).toBe(userId);
+    expect(result.sessionId).toBe(sessionId);
+    expect(result.refreshToken).not.toBe(currentToken);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: sessionId,
+      refreshTokenHash: hashToken(currentToken),
+      revokedAt: null,
+    });
+    expect(update.$set.refreshTokenHash).toBe(hashToken(result.refreshToken));
+    expect(update.$set.ipAddress).toBe("203.0.113.5");
+  });
+
+  it("revokes the session when a rotated token is presented again", async () => {
+    const findOneAndUpdate = mockUpdates(null);
+    const rotatedToken = currentToken;
+    session.refreshTokenHash = hashToken(signToken(userId, sessionId));
+
+    await expect(rotateRefreshToken(rotatedToken)).rejects.toThrow(
+      "Refresh token reuse detected. Please login again"
+    );
+
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: session._id, revokedAt: null });
+    expect(update.$set.revokedReason).toBe(SessionRevokeReason.REUSE_DETECTED);
+  });
+
+  it("revokes the session when a concurrent refresh rotated the token first", async () => {
+    const findOneAndUpdate = mockUpdates(null);
+
+    await expect(rotateRefreshToken(currentToken)).rejects.toThrow(
+      "Refresh token reuse detected. Please login again"
+    );
+
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+    const [, revokeUpdate] = findOneAndUpdate.mock.calls[1];
+    expect(revokeUpdate.$set.revokedReason).toBe(
+      SessionRevokeReason.REUSE_DETECTED
+    );
+  });
+
+  it("rejects tokens of a revoked session without rotating", async () => {
+    const findOneAndUpdate = mockUpdates(null);
+    session.revokedAt = new Date();
+
+    await expect(rotateRefreshToken(currentToken)).rejects.toThrow(
+      "Session has been revoked. Please login again"
+    );
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("rejects a token issued to another user of the session", async () => {
+    const findOneAndUpdate = mockUpdates(null);
+    const otherUserToken = signToken(
+      new mongoose.Types.ObjectId().toString(),
+      sessionId
+    );
+
+    await expect(rotateRefreshToken(otherUserToken)).rejects.toThrow(
+      "Invalid refresh token. Please login again"
+    );
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("getActiveSessions", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const currentSession = {
+    _id: new mongoose.Types.ObjectId(),
+    deviceName: "Pixel 8",
+    fcmToken: "fcm-current",
+  };
+  const otherSession = { _id: new mongoose.Types.ObjectId(), fcmToken: null };
+
+  it("lists the live sessions and flags the one making the request", async () => {
+    const find = jest
+      .spyOn(UserSession, "find")
+      .mockReturnValue(mockQuery([otherSession, currentSession]));
+
+    const sessions = await getActiveSessions(userId, currentSession._id);
+
+    const [filter] = find.mock.calls[0];
+    expect(filter).toEqual({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: expect.any(Date) },
+    });
+    expect(sessions).toEqual([
+      expect.objectContaining({
+        id: otherSession._id.toString(),
+        hasFcmToken: false,
+        isCurrent: false,
+      }),
+      expect.objectContaining({
+        id: currentSession._id.toString(),
+        deviceName: "Pixel 8",
+        hasFcmToken: true,
+        isCurrent: true,
+      }),
+    ]);
+    // The push token itself stays on the server
+    expect(sessions[1]).not.toHaveProperty("fcmToken");
+  });
+});
+
+describe("signing out sessions", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const currentSessionId = new mongoose.Types.ObjectId().toString();
+  const remoteSessionId = new mongoose.Types.ObjectId().toString();
+
+  let revoke;
+
+  beforeEach(() => {
+    revoke = jest
+      .spyOn(UserSession, "findOneAndUpdate")
+      .mockImplementation((filter) =>
+        mockQuery({ _id: filter._id, fcmToken: null })
+      );
+  });
+
+  it("signs out another device as a remote logout", async () => {
+    jest
+      .spyOn(UserSession, "findOne")
+      .mockReturnValue(mockQuery({ _id: remoteSessionId }));
+
+    await expect(
+      signOutSession(userId, remoteSessionId, currentSessionId)
+    ).resolves.toEqual({ sessionId: remoteSessionId, isCurrent: false });
+
+    const [filter, update] = revoke.mock.calls[0];
+    expect(filter).toEqual({ _id: remoteSessionId, revokedAt: null });
+    expect(update.$set.revokedReason).toBe(SessionRevokeReason.REMOTE_LOGOUT);
+  });
+
+  it("signs out the current device as a logout", async () => {
+    jest
+      .spyOn(UserSession, "findOne")
+      .mockReturnValue(mockQuery({ _id: currentSessionId }));
+
+    await expect(
+      signOutSession(userId, currentSessionId, currentSessionId)
+    ).resolves.toEqual({ sessionId: currentSessionId, isCurrent: true });
+    expect(revoke.mock.calls[0][1].$set.revokedReason).toBe(
+      SessionRevokeReason.LOGOUT
+    );
+  });
+
+  it("does not sign out another user's session", async () => {
+    const findOne = jest
+      .spyOn(UserSession, "findOne")
+      .mockReturnValue(mockQuery(null));
+
+    await expect(
+      signOutSession(userId, remoteSessionId, currentSessionId)
+    ).rejects.toThrow("Session not found");
+
+    expect(findOne).toHaveBeenCalledWith({
+      _id: remoteSessionId,
+      userId,
+      revokedAt: null,
+    });
+    expect(revoke).not.toHaveBeenCalled();
+  });
+
+  it("signs out every other device and stops pushing to them", async () => {
+    const otherSessions = [
+      { _id: new mongoose.Types.ObjectId(), fcmToken: "fcm-tablet" },
+      { _id: new mongoose.Types.ObjectId(), fcmToken: null },
+    ];
+    const find = jest
+      .spyOn(UserSession, "find")
+      .mockReturnValue(mockQuery(otherSessions));
+    const updateSessions = jest
+      .spyOn(UserSession, "updateMany")
+      .mockResolvedValue({});
+    const clearUserToken = jest.spyOn(User, "updateMany").mockResolvedValue({});
+
+    await expect(
+      revokeUserSessions(
+        userId,
+        SessionRevokeReason.REMOTE_LOGOUT,
+        currentSessionId
+      )
+    ).resolves.toBe(2);
+
+    expect(find.mock.calls[0][0]).toEqual({
+      userId,
+      revokedAt: null,
+      _id: { $ne: currentSessionId },
+    });
+    const [revokeFilter, revokeUpdate] = updateSessions.mock.calls[0];
+    expect(revokeFilter._id.$in).toEqual(otherSessions.map((s) => s._id));
+    expect(revokeUpdate.$set.revokedReason).toBe(
+      SessionRevokeReason.REMOTE_LOGOUT
+    );
+    expect(clearUserToken).toHaveBeenCalledWith(
+      { fcmToken: { $in: ["fcm-tablet"] } },
+      { $set: { fcmToken: null } }
+    );
+  });
+});
+
+describe("validateSession", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+
+  const mockSession = (fields) =>
+    jest.spyOn(UserSession, "findById").mockReturnValue(
+      mockQuery({
+        userId,
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        lastActiveAt: new Date(),
+        ...fields,
+      })
+    );
+
+  it("accepts a live session of the token's user", async () => {
+    mockSession();
+    await expect(validateSession(sessionId, userId)).resolves.toBe(true);
+  });
+
+  it("rejects a session signed out from another device", async () => {
+    mockSession({ revokedAt: new Date() });
+    await expect(validateSession(sessionId, userId)).resolves.toBe(false);
+  });
+
+  it("rejects an expired session", async () => {
+    mockSession({ expiresAt: new Date(Date.now() - 1000) });
+    await expect(validateSession(sessionId, userId)).resolves.toBe(false);
+  });
+
+  it("rejects a session of another user", async () => {
+    mockSession({ userId: new mongoose.Types.ObjectId() });
+    await expect(validateSession(sessionId, userId)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Social Auth Service - Apple / Google identity token verification and sign-up
+ */
+
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import User from "../../../src/models/users/User.js";
+import UserSession from "../../../src/models/users/UserSession.js";
+import UsernameHistory from "../../../src/models/users/UsernameHistory.js";
+import SocialAccount from "../../../src/models/users/SocialAccount.js";
+import AuthThrottle from "../../../src/models/users/AuthThrottle.js";
+import { SocialProvider } from "../../../src/models/enums.js";
+import config from "../../../src/config/env.js";
+import { verifySocialIdToken } from "../../../src/services/social-auth.service.js";
+import { loginWithSocial } from "../../../src/services/auth.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const CLIENT_ID = "com.example.app";
+
+/**
+ * Create an RSA signing key with its public JWK
+ * @param {string} kid - Key ID
+ * @returns {Object} { kid, privateKey, jwk }
+ */
+const createSigningKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256" },
+  };
+};
+
+const googleKey = createSigningKey("google-key-1");
+const appleKey = createSigningKey("apple-key-1");
+const rotatedKey = createSigningKey("google-key-2");
+
+let jwksDir;
+
+/**
+ * Sign an identity token
+ * @param {Object} key - Signing key from createSigningKey
+ * @param {Object} claims - Claims overriding the defaults
+ * @returns {string} Identity token
+ */
+const signIdToken = (key, claims = {}) =>
+  jwt.sign(
+    {
+      iss: "https://accounts.google.com",
+      aud: CLIENT_ID,
+      sub: "google-user-1",
+      email: "Alice@Example.com",
+      email_verified: true,
+      exp: Math.floor(Date.now() / 1000) + 10 * 60,
+      ...claims,
+    },
+    key.privateKey,
+    { algorithm: "RS256", keyid: key.kid }
+  );
+
+const writeJwks = (provider, keys) =>
+  fs.writeFile(
+    path.join(jwksDir, `${provider}.json`),
+    JSON.stringify({ keys: keys.map((key) => key.jwk) })
+  );
+
+beforeAll(async () => {
+  jwksDir = await fs.mkdtemp(path.join(os.tmpdir(), "jwks-"));
+  await writeJwks(SocialProvider.GOOGLE, [googleKey]);
+  await writeJwks(SocialProvider.APPLE, [appleKey]);
+
+  config.social.google.clientIds = [CLIENT_ID];
+  config.social.google.jwksUri = path.join(jwksDir, "google.json");
+  config.social.apple.clientIds = [CLIENT_ID];
+  config.social.apple.jwksUri = path.join(jwksDir, "apple.json");
+});
+
+afterAll(async () => {
+  await fs.rm(jwksDir, { recursive: true, force: true });
+});
+
+describe("verifySocialIdToken", () => {
+  it("returns the identity from a valid token", async () => {
+    await expect(
+      verifySocialIdToken(SocialProvider.GOOGLE, signIdToken(googleKey))
+    ).resolves.toEqual({
+      providerUserId: "google-user-1",
+      email: "alice@example.com",
+      emailVerified: true,
+      name: null,
+    });
+  });
+
+  it("reads Apple's email_verified string", async () => {
+    const idToken = signIdToken(appleKey, {
+      iss: "https://appleid.apple.com",
+      sub: "apple-user-1",
+      email_verified: "true",
+    });
+
+    await expect(
+      verifySocialIdToken(SocialProvider.APPLE, idToken)
+    ).resolves.toMatchObject({
+      providerUserId: "apple-user-1",
+      emailVerified: true,
+    });
+  });
+
+  it("rejects a token issued to another app", async () => {
+    const idToken = signIdToken(googleKey, { aud: "com.other.app" });
+
+    await expect(
+      verifySocialIdToken(SocialProvider.GOOGLE, idToken)
+    ).rejects.toThrow("Invalid identity token");
+  });
+
+  it("rejects a token from another issuer", async () => {
+    // A Google-signed token presented as an Apple one
+    const idToken = signIdToken({ ...googleKey, kid: appleKey.kid });
+
+    await expect(
+      verifySocialIdToken(SocialProvider.APPLE, idToken)
+    ).rejects.toThrow("Invalid identity token");
+  });
+
+  it("rejects an expired token", async () => {
+    const idToken = signIdToken(googleKey, {
+      exp: Math.floor(Date.now() / 1000) - 60,
+    });
+
+    await expect(
+      verifySocialIdToken(SocialProvider.GOOGLE, idToken)
+    ).rejects.toThrow("Identity token has expired. Please sign in again");
+  });
+
+  it("refreshes the keys for an unknown key ID at most once a minute", async () => {
+    await writeJwks(SocialProvider.GOOGLE, [googleKey, rotatedKey]);
+    const readFile = jest.spyOn(fs, "readFile");
+    const idToken = signIdToken(rotatedKey);
+
+    // The keys were just fetched: a new key ID is not worth a refetch yet
+    await expect(
+      verifySocialIdToken(SocialProvider.GOOGLE, idToken)
+    ).rejects.toThrow("Identity token signed with an unknown key");
+    expect(readFile).not.toHaveBeenCalled();
+
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now + 2 * 60 * 1000);
+
+    await expect(
+      verifySocialIdToken(SocialProvider.GOOGLE, idToken)
+    ).resolves.toMatchObject({ providerUserId: "google-user-1" });
+    expect(readFile).toHaveBeenCalledTimes(1);
+  });
+});
+
+/**
+ * Stand-in for User.create that enforces the schema's unique indexes the way
+ * MongoDB does: sparse indexes skip documents without the fields and partial
+ * indexes skip documents outside their filter
+ * @param {Array<Object>} stored - Users created so far
+ * @returns {Function} User.create implementation
+ */
+const createWithUniqueIndexes = (stored) => async (data) => {
+  const user = new User(data);
+  const doc = user.toObject();
+
+  for (const [fields, options] of User.schema.indexes()) {
+    if (!options.unique) {
+      continue;
+    }
+    const keys = Object.keys(fields);
+    const isIndexed = (entry) =>
+      (!options.sparse || keys.some((key) => entry[key] !== undefined)) &&
+      Object.entries(options.partialFilterExpression || {}).every(
+        ([key, { $type }]) => typeof entry[key] === $type
+      );
+    const isDuplicate = stored.some(
+      (entry) =>
+        isIndexed(entry) &&
+        keys.every((key) => (entry[key] ?? null) === (doc[key] ?? null))
+    );
+
+    if (isIndexed(doc) && isDuplicate) {
+      throw Object.assign(new Error("E11000 duplicate key error"), {
+        code: 11000,
+        keyPattern: fields,
+      });
+    }
+  }
+
+  stored.push(doc);
+  return user;
+};
+
+describe("loginWithSocial", () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(AuthThrottle, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(AuthThrottle, "updateOne").mockResolvedValue({});
+    jest.spyOn(SocialAccount, "findOne").mockResolvedValue(null);
+    jest.spyOn(SocialAccount, "create").mockResolvedValue({});
+    jest.spyOn(User, "exists").mockResolvedValue(null);
+    jest.spyOn(UsernameHistory, "exists").mockResolvedValue(null);
+    jest
+      .spyOn(User, "create")
+      .mockImplementation(createWithUniqueIndexes(stored));
+    jest.spyOn(UserSession, "create").mockResolvedValue({});
+  });
+
+  it("signs up two users without a phone number", async () => {
+    for (const [sub, username] of [
+      ["google-user-10", "first"],
+      ["google-user-11", "second"],
+    ]) {
+      const idToken = signIdToken(googleKey, { sub, email_verified: false });
+
+      await expect(
+        loginWithSocial(SocialProvider.GOOGLE, { idToken, username })
+      ).resolves.toMatchObject({ isNewUser: true });
+    }
+
+    expect(stored.map((user) => user.phoneNumber)).toEqual([null, null]);
+  });
+});
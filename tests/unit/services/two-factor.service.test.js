@@ -0,0 +1,184 @@
+/**
+ * Two-Factor Service - TOTP codes, recovery codes and login challenges
+ */
+
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import config from "../../../src/config/env.js";
+import {
+  createTwoFactorChallenge,
+  enableTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactorChallenge,
+  verifyTwoFactorCode,
+} from "../../../src/services/two-factor.service.js";
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+describe("verifyTwoFactorCode", () => {
+  let user;
+  let updateOne;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      twoFactorEnabled: true,
+      twoFactorSecret: RFC_SECRET,
+    };
+    updateOne = jest
+      .spyOn(User, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it("accepts the code of the current 30-second step once", async () => {
+    // RFC 6238 test vector: T = 59s gives 94287082 (6 digits: 287082)
+    jest.spyOn(Date, "now").mockReturnValue(59 * 1000);
+
+    await expect(
+      verifyTwoFactorCode(user, { code: "287082" })
+    ).resolves.toEqual({ method: "totp" });
+
+    // The step is recorded only if no later step was used before
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { twoFactorLastUsedStep: null },
+      { twoFactorLastUsedStep: { $lt: 1 } },
+    ]);
+    expect(update).toEqual({ $set: { twoFactorLastUsedStep: 1 } });
+  });
+
+  it("accepts a code from the previous step to allow for clock drift", async () => {
+    jest.spyOn(Date, "now").mockReturnValue(89 * 1000);
+
+    await expect(
+      verifyTwoFactorCode(user, { code: "287082" })
+    ).resolves.toEqual({ method: "totp" });
+  });
+
+  it("rejects a code that was already used", async () => {
+    jest.spyOn(Date, "now").mockReturnValue(59 * 1000);
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(verifyTwoFactorCode(user, { code: "287082" })).rejects.toThrow(
+      "Invalid two-factor authentication code"
+    );
+  });
+
+  it("rejects an old code without recording it", async () => {
+    jest.spyOn(Date, "now").mockReturnValue(119 * 1000);
+
+    await expect(verifyTwoFactorCode(user, { code: "287082" })).rejects.toThrow(
+      "Invalid two-factor authentication code"
+    );
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("accepts a recovery code once, ignoring case and dashes", async () => {
+    const hash = hashRecoveryCode("a1b2c3d4e5");
+
+    await expect(
+      verifyTwoFactorCode(user, { recoveryCode: "A1B2C-3D4E5" })
+    ).resolves.toEqual({ method: "recovery_code" });
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+
+    // Pulled by the first use
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+    await expect(
+      verifyTwoFactorCode(user, { recoveryCode: "a1b2c-3d4e5" })
+    ).rejects.toThrow("Invalid two-factor authentication code");
+  });
+});
+
+describe("enrollment", () => {
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      username: "alice",
+      isDeleted: false,
+      twoFactorEnabled: false,
+      twoFactorPendingSecret: null,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+  });
+
+  it("keeps the new secret pending until a code confirms it", async () => {
+    const { secret, otpauthUri } = await setupTwoFactor(user._id);
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUri).toContain(`secret=${secret}`);
+    expect(user.twoFactorPendingSecret).toBe(secret);
+    expect(user.twoFactorEnabled).toBe(false);
+  });
+
+  it("turns 2FA on with a valid code and stores only hashed recovery codes", async () => {
+    user.twoFactorPendingSecret = RFC_SECRET;
+    jest.spyOn(Date, "now").mockReturnValue(59 * 1000);
+
+    const { recoveryCodes } = await enableTwoFactor(user._id, "287082");
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user).toMatchObject({
+      twoFactorEnabled: true,
+      twoFactorSecret: RFC_SECRET,
+      twoFactorPendingSecret: null,
+      twoFactorLastUsedStep: 1,
+    });
+    expect(user.twoFactorRecoveryCodes).toEqual(
+      recoveryCodes.map((code) => hashRecoveryCode(code.replace("-", "")))
+    );
+  });
+
+  it("does not turn 2FA on with a wrong code", async () => {
+    user.twoFactorPendingSecret = RFC_SECRET;
+    jest.spyOn(Date, "now").mockReturnValue(59 * 1000);
+
+    await expect(enableTwoFactor(user._id, "000000")).rejects.toThrow(
+      "Invalid two-factor authentication code"
+    );
+    expect(user.twoFactorEnabled).toBe(false);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+});
+
+describe("login challenge", () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  it("resolves the user a challenge was issued for", () => {
+    const challengeToken = createTwoFactorChallenge(userId);
+    expect(verifyTwoFactorChallenge(challengeToken)).toBe(userId);
+  });
+
+  it("rejects an access token used as a challenge", () => {
+    const accessToken = jwt.sign({ id: userId }, config.jwt.secretKey);
+    expect(() => verifyTwoFactorChallenge(accessToken)).toThrow(
+      "Invalid two-factor challenge. Please login again"
+    );
+  });
+
+  it("rejects an expired challenge", () => {
+    const expired = jwt.sign(
+      {
+        sub: userId,
+        purpose: "2fa_challenge",
+        exp: Math.floor(Date.now() / 1000) - 10,
+      },
+      config.jwt.secretKey
+    );
+    expect(() => verifyTwoFactorChallenge(expired)).toThrow(
+      "Two-factor challenge has expired. Please login again"
+    );
+  });
+});
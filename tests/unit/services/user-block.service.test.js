@@ -0,0 +1,234 @@
+/**
+ * User Block Service - blocking users and enforcing blocks across features
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import UserFollower from "../../../src/models/users/UserFollower.js";
+import FollowRequest from "../../../src/models/users/FollowRequest.js";
+import UserAudience from "../../../src/models/users/UserAudience.js";
+import UsernameHistory from "../../../src/models/users/UsernameHistory.js";
+import ChatRoom from "../../../src/models/chat/ChatRoom.js";
+import {
+  blockUser,
+  unblockUser,
+} from "../../../src/services/user-block.service.js";
+import { followUser } from "../../../src/services/follow.service.js";
+import {
+  deleteChatRoom,
+  getOrCreateChatRoom,
+} from "../../../src/services/chatRoom.service.js";
+import { getBlockedUserIds } from "../../../src/utils/blockFilter.js";
+import { validateMentions } from "../../../src/utils/mentionParser.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+describe("blockUser", () => {
+  const blockerId = new mongoose.Types.ObjectId();
+  const target = {
+    _id: new mongoose.Types.ObjectId(),
+    username: "target",
+    name: "Target",
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(target));
+    jest.spyOn(UserBlock, "findOne").mockResolvedValue(null);
+    jest
+      .spyOn(User, "findOneAndUpdate")
+      .mockReturnValue(mockQuery({ followerCount: 0 }));
+    jest.spyOn(FollowRequest, "deleteMany").mockResolvedValue({});
+    jest.spyOn(UserAudience, "deleteMany").mockResolvedValue({});
+  });
+
+  it("removes follows, follow requests and close friends in both directions", async () => {
+    jest
+      .spyOn(UserBlock, "create")
+      .mockResolvedValue({ createdAt: new Date() });
+    const removeFollow = jest
+      .spyOn(UserFollower, "findOneAndDelete")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(blockUser(blockerId, target._id)).resolves.toMatchObject({
+      id: target._id.toString(),
+      username: "target",
+    });
+
+    expect(removeFollow).toHaveBeenCalledWith({
+      userId: target._id,
+      followerId: blockerId,
+    });
+    expect(removeFollow).toHaveBeenCalledWith({
+      userId: blockerId,
+      followerId: target._id,
+    });
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: target._id, followerCount: { $gte: 1 } },
+      { $inc: { followerCount: -1 } },
+      { new: true }
+    );
+    expect(FollowRequest.deleteMany).toHaveBeenCalledWith({
+      $or: [
+        { userId: blockerId, requesterId: target._id },
+        { userId: target._id, requesterId: blockerId },
+      ],
+    });
+    expect(UserAudience.deleteMany).toHaveBeenCalledWith({
+      $or: [
+        { userId: blockerId, audienceUserId: target._id },
+        { userId: target._id, audienceUserId: blockerId },
+      ],
+    });
+  });
+
+  it("reports a block created by a concurrent request as existing", async () => {
+    jest
+      .spyOn(UserBlock, "create")
+      .mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+    const removeFollow = jest.spyOn(UserFollower, "findOneAndDelete");
+
+    await expect(blockUser(blockerId, target._id)).rejects.toThrow(
+      "You have already blocked this user"
+    );
+    expect(removeFollow).not.toHaveBeenCalled();
+  });
+
+  it("refuses to block yourself", async () => {
+    await expect(blockUser(blockerId, blockerId.toString())).rejects.toThrow(
+      "You cannot block yourself"
+    );
+  });
+});
+
+describe("unblockUser", () => {
+  const blockerId = new mongoose.Types.ObjectId();
+  const targetUserId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest
+      .spyOn(UserBlock, "findOneAndDelete")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+  });
+
+  it("opens the chat the block closed again", async () => {
+    jest.spyOn(UserBlock, "exists").mockResolvedValue(null);
+    const reopenChats = jest
+      .spyOn(ChatRoom, "updateMany")
+      .mockResolvedValue({});
+
+    await unblockUser(blockerId, targetUserId);
+
+    const [filter, update] = reopenChats.mock.calls[0];
+    expect(filter.isBlocked).toBe(true);
+    expect(update).toEqual({ $set: { isBlocked: false } });
+  });
+
+  it("keeps the chat closed while the other user still blocks them", async () => {
+    jest
+      .spyOn(UserBlock, "exists")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const reopenChats = jest.spyOn(ChatRoom, "updateMany");
+
+    await unblockUser(blockerId, targetUserId);
+    expect(reopenChats).not.toHaveBeenCalled();
+  });
+});
+
+describe("block enforcement", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const blockedUser = {
+    _id: new mongoose.Types.ObjectId(),
+    username: "blocked",
+  };
+  const blockingUser = {
+    _id: new mongoose.Types.ObjectId(),
+    username: "blocker",
+  };
+  const friend = { _id: new mongoose.Types.ObjectId(), username: "friend" };
+
+  beforeEach(() => {
+    // userId blocked blockedUser and was blocked by blockingUser
+    jest.spyOn(UserBlock, "find").mockReturnValue(
+      mockQuery([
+        { blockerId: userId, blockedId: blockedUser._id },
+        { blockerId: blockingUser._id, blockedId: userId },
+      ])
+    );
+    jest
+      .spyOn(UserBlock, "exists")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+  });
+
+  it("counts blocks in both directions", async () => {
+    const blockedUserIds = (await getBlockedUserIds(userId)).map((id) =>
+      id.toString()
+    );
+
+    expect(blockedUserIds).toEqual([
+      blockedUser._id.toString(),
+      blockingUser._id.toString(),
+    ]);
+  });
+
+  it("does not let a blocked user follow", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ _id: blockingUser._id });
+    const follow = jest.spyOn(UserFollower, "create");
+
+    await expect(followUser(userId, blockingUser._id)).rejects.toThrow(
+      "You cannot follow this user"
+    );
+    expect(follow).not.toHaveBeenCalled();
+  });
+
+  it("does not open a chat between blocked users", async () => {
+    const createRoom = jest.spyOn(ChatRoom, "create");
+
+    await expect(getOrCreateChatRoom(userId, blockedUser._id)).rejects.toThrow(
+      "You cannot message this user"
+    );
+    expect(createRoom).not.toHaveBeenCalled();
+  });
+
+  it("does not let a post mention a blocked user", async () => {
+    jest
+      .spyOn(User, "find")
+      .mockReturnValue(mockQuery([blockedUser, blockingUser, friend]));
+    jest.spyOn(UsernameHistory, "find").mockReturnValue(mockQuery([]));
+
+    const { validUserIds, invalidUsernames } = await validateMentions(
+      ["blocked", "blocker", "friend"],
+      userId
+    );
+
+    expect(validUserIds).toEqual([friend._id.toString()]);
+    expect(invalidUsernames).toEqual(["blocked", "blocker"]);
+  });
+
+  it("blocks the other user when a chat is deleted", async () => {
+    const room = {
+      _id: new mongoose.Types.ObjectId(),
+      userA: userId,
+      userB: friend._id,
+      isBlocked: false,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(ChatRoom, "findOne").mockResolvedValue(room);
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(friend));
+    jest.spyOn(UserBlock, "findOne").mockResolvedValue(null);
+    jest.spyOn(UserFollower, "findOneAndDelete").mockResolvedValue(null);
+    jest.spyOn(FollowRequest, "deleteMany").mockResolvedValue({});
+    jest.spyOn(UserAudience, "deleteMany").mockResolvedValue({});
+    const createBlock = jest
+      .spyOn(UserBlock, "create")
+      .mockResolvedValue({ createdAt: new Date() });
+
+    await expect(deleteChatRoom(room._id, userId)).resolves.toBe(true);
+
+    expect(createBlock).toHaveBeenCalledWith({
+      blockerId: userId,
+      blockedId: friend._id,
+    });
+    expect(room.isBlocked).toBe(true);
+  });
+});
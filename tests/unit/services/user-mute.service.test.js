@@ -0,0 +1,123 @@
+/**
+ * User Mute Service - per-content-type mutes and the mute filter
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserMute from "../../../src/models/users/UserMute.js";
+import { ContentType } from "../../../src/models/enums.js";
+import { muteUser } from "../../../src/services/user-mute.service.js";
+import {
+  getMutedUserIdsByContentType,
+  isNotificationMuted,
+} from "../../../src/utils/muteFilter.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const muterId = new mongoose.Types.ObjectId();
+const target = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "target",
+  name: "Target",
+  profileImage: null,
+};
+
+describe("muteUser", () => {
+  beforeEach(() => {
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(target));
+  });
+
+  it("only changes the options that were given", async () => {
+    const upsert = jest.spyOn(UserMute, "findOneAndUpdate").mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+      posts: true,
+      zeals: true,
+    });
+
+    const result = await muteUser(muterId, target._id, {
+      posts: true,
+      writePosts: undefined,
+    });
+
+    expect(upsert.mock.calls[0][0]).toEqual({
+      muterId,
+      mutedId: target._id,
+    });
+    expect(upsert.mock.calls[0][1]).toEqual({ $set: { posts: true } });
+    expect(result).toMatchObject({
+      isMuted: true,
+      mute: {
+        posts: true,
+        writePosts: false,
+        zeals: true,
+        polls: false,
+        notifications: false,
+      },
+    });
+  });
+
+  it("unmutes once every option is off", async () => {
+    const muteId = new mongoose.Types.ObjectId();
+    jest
+      .spyOn(UserMute, "findOneAndUpdate")
+      .mockResolvedValue({ _id: muteId, posts: false });
+    const deleteMute = jest.spyOn(UserMute, "deleteOne").mockResolvedValue({});
+
+    const result = await muteUser(muterId, target._id, { posts: false });
+
+    expect(result.isMuted).toBe(false);
+    expect(deleteMute).toHaveBeenCalledWith({ _id: muteId });
+  });
+
+  it("refuses to mute yourself", async () => {
+    const upsert = jest.spyOn(UserMute, "findOneAndUpdate");
+
+    await expect(muteUser(muterId, muterId, { posts: true })).rejects.toThrow(
+      "You cannot mute yourself"
+    );
+    expect(upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe("mute filter", () => {
+  it("hides a muted user only from the muted content types", async () => {
+    const postsOnly = new mongoose.Types.ObjectId();
+    const zealsAndPolls = new mongoose.Types.ObjectId();
+    const findMutes = jest.spyOn(UserMute, "find").mockReturnValue(
+      mockQuery([
+        { mutedId: postsOnly, posts: true },
+        { mutedId: zealsAndPolls, zeals: true, polls: true },
+      ])
+    );
+
+    const muted = await getMutedUserIdsByContentType(muterId);
+
+    expect(findMutes).toHaveBeenCalledWith({ muterId });
+    expect(muted).toEqual({
+      [ContentType.POST]: [postsOnly],
+      [ContentType.WRITE_POST]: [],
+      [ContentType.ZEAL]: [zealsAndPolls],
+      Poll: [zealsAndPolls],
+    });
+  });
+
+  it("hides nothing from signed-out visitors", async () => {
+    const findMutes = jest.spyOn(UserMute, "find");
+
+    const muted = await getMutedUserIdsByContentType(null);
+
+    expect(Object.values(muted).flat()).toHaveLength(0);
+    expect(findMutes).not.toHaveBeenCalled();
+  });
+
+  it("mutes notifications separately from content", async () => {
+    const exists = jest.spyOn(UserMute, "exists").mockResolvedValue(null);
+
+    await expect(isNotificationMuted(muterId, target._id)).resolves.toBe(false);
+    expect(exists).toHaveBeenCalledWith({
+      muterId,
+      mutedId: target._id,
+      notifications: true,
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * User Restrict Service - restricting and unrestricting users
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserRestrict from "../../../src/models/users/UserRestrict.js";
+import {
+  restrictUser,
+  unrestrictUser,
+} from "../../../src/services/user-restrict.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const restricterId = new mongoose.Types.ObjectId();
+const target = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "target",
+  name: "Target",
+  profileImage: null,
+};
+
+describe("restrictUser", () => {
+  beforeEach(() => {
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(target));
+  });
+
+  it("restricts an existing user", async () => {
+    const restrictedAt = new Date();
+    const create = jest
+      .spyOn(UserRestrict, "create")
+      .mockResolvedValue({ createdAt: restrictedAt });
+
+    await expect(restrictUser(restricterId, target._id)).resolves.toEqual({
+      id: target._id.toString(),
+      username: "target",
+      name: "Target",
+      profileImage: null,
+      restrictedAt,
+    });
+    expect(create).toHaveBeenCalledWith({
+      restricterId,
+      restrictedId: target._id,
+    });
+  });
+
+  it("refuses to restrict yourself", async () => {
+    const create = jest.spyOn(UserRestrict, "create");
+
+    await expect(restrictUser(restricterId, restricterId)).rejects.toThrow(
+      "You cannot restrict yourself"
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("refuses to restrict a deleted or unknown user", async () => {
+    User.findOne.mockReturnValue(mockQuery(null));
+    const create = jest.spyOn(UserRestrict, "create");
+
+    await expect(restrictUser(restricterId, target._id)).rejects.toThrow(
+      "User not found"
+    );
+    expect(User.findOne).toHaveBeenCalledWith({
+      _id: target._id,
+      isDeleted: false,
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("reports a user restricted by a concurrent request", async () => {
+    jest
+      .spyOn(UserRestrict, "create")
+      .mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+
+    await expect(restrictUser(restricterId, target._id)).rejects.toThrow(
+      "You have already restricted this user"
+    );
+  });
+});
+
+describe("unrestrictUser", () => {
+  it("removes the restriction", async () => {
+    const remove = jest
+      .spyOn(UserRestrict, "findOneAndDelete")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await unrestrictUser(restricterId, target._id);
+
+    expect(remove).toHaveBeenCalledWith({
+      restricterId,
+      restrictedId: target._id,
+    });
+  });
+
+  it("rejects a user who is not restricted", async () => {
+    jest.spyOn(UserRestrict, "findOneAndDelete").mockResolvedValue(null);
+
+    await expect(unrestrictUser(restricterId, target._id)).rejects.toThrow(
+      "You have not restricted this user"
+    );
+  });
+});
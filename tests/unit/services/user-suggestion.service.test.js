@@ -0,0 +1,131 @@
+/**
+ * User Suggestion Service - ranking and dismissing follow suggestions
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UserBlock from "../../../src/models/users/UserBlock.js";
+import UserFollower from "../../../src/models/users/UserFollower.js";
+import FollowRequest from "../../../src/models/users/FollowRequest.js";
+import FollowCooldown from "../../../src/models/users/FollowCooldown.js";
+import SuggestionDismissal from "../../../src/models/users/SuggestionDismissal.js";
+import ContentLike from "../../../src/models/interactions/ContentLike.js";
+import Post from "../../../src/models/content/Post.js";
+import WritePost from "../../../src/models/content/WritePost.js";
+import ZealPost from "../../../src/models/content/ZealPost.js";
+import {
+  dismissSuggestion,
+  getFollowSuggestions,
+} from "../../../src/services/user-suggestion.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe("getFollowSuggestions", () => {
+  const userId = newId();
+  const followedId = newId();
+  const blockedId = newId();
+  const requestedId = newId();
+  const dismissedId = newId();
+
+  const mutualFollow = { _id: newId(), username: "mutual", followerCount: 1 };
+  const follower = { _id: newId(), username: "follower", followerCount: 0 };
+  const popular = { _id: newId(), username: "popular", followerCount: 1000 };
+
+  let findUsers;
+
+  beforeEach(() => {
+    jest
+      .spyOn(UserFollower, "find")
+      .mockImplementation((filter) =>
+        filter.followerId === userId
+          ? mockQuery([followedId])
+          : mockQuery([{ followerId: follower._id }])
+      );
+    jest
+      .spyOn(UserFollower, "aggregate")
+      .mockResolvedValue([{ _id: mutualFollow._id, count: 2 }]);
+    jest
+      .spyOn(UserBlock, "find")
+      .mockReturnValue(mockQuery([{ blockerId: userId, blockedId }]));
+    jest.spyOn(FollowRequest, "find").mockReturnValue(mockQuery([requestedId]));
+    jest.spyOn(FollowCooldown, "find").mockReturnValue(mockQuery([]));
+    jest
+      .spyOn(SuggestionDismissal, "find")
+      .mockReturnValue(mockQuery([dismissedId]));
+    // No hashtag signal
+    jest.spyOn(ContentLike, "find").mockReturnValue(mockQuery([]));
+    [Post, WritePost, ZealPost].forEach((Model) =>
+      jest.spyOn(Model, "find").mockReturnValue(mockQuery([]))
+    );
+    findUsers = jest
+      .spyOn(User, "find")
+      .mockReturnValueOnce(mockQuery([follower, mutualFollow]))
+      .mockReturnValueOnce(mockQuery([popular]));
+  });
+
+  it("ranks mutual follows, then followers, then popular accounts", async () => {
+    const { suggestions } = await getFollowSuggestions(userId, { limit: 5 });
+
+    expect(
+      suggestions.map(({ username, reason }) => [username, reason])
+    ).toEqual([
+      ["mutual", "mutual_follows"],
+      ["follower", "follows_you"],
+      ["popular", "popular"],
+    ]);
+    expect(suggestions[0].mutualCount).toBe(2);
+    expect(suggestions[1].followsYou).toBe(true);
+  });
+
+  it("never suggests followed, blocked, requested or dismissed users", async () => {
+    await getFollowSuggestions(userId, { limit: 5 });
+
+    const excluded = [userId, followedId, blockedId, requestedId, dismissedId];
+    const [[mutualMatch]] = UserFollower.aggregate.mock.calls[0];
+    expect(mutualMatch.$match.userId.$nin).toEqual(
+      expect.arrayContaining(excluded)
+    );
+    // The popularity fill leaves them out too
+    const popularFilter = findUsers.mock.calls[1][0];
+    expect(popularFilter._id.$nin).toEqual(expect.arrayContaining(excluded));
+    expect(popularFilter.isDeleted).toBe(false);
+  });
+
+  it("skips the popularity fill when the graph fills the list", async () => {
+    const { suggestions } = await getFollowSuggestions(userId, { limit: 2 });
+
+    expect(suggestions).toHaveLength(2);
+    expect(findUsers).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("dismissSuggestion", () => {
+  const userId = newId();
+
+  it("stores the dismissal once", async () => {
+    const dismissedUserId = newId();
+    jest.spyOn(User, "exists").mockResolvedValue({ _id: dismissedUserId });
+    const upsert = jest
+      .spyOn(SuggestionDismissal, "updateOne")
+      .mockResolvedValue({});
+
+    await dismissSuggestion(userId, dismissedUserId);
+
+    expect(upsert).toHaveBeenCalledWith(
+      { userId, dismissedUserId },
+      { $setOnInsert: { userId, dismissedUserId } },
+      { upsert: true }
+    );
+  });
+
+  it("rejects dismissing yourself", async () => {
+    const upsert = jest.spyOn(SuggestionDismissal, "updateOne");
+
+    await expect(dismissSuggestion(userId, userId)).rejects.toThrow(
+      "You cannot dismiss yourself"
+    );
+    expect(upsert).not.toHaveBeenCalled();
+  });
+});
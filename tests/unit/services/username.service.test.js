@@ -0,0 +1,140 @@
+/**
+ * Username Service - username changes, reserved handles and old handles
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import User from "../../../src/models/users/User.js";
+import UsernameHistory from "../../../src/models/users/UsernameHistory.js";
+import config from "../../../src/config/env.js";
+import {
+  assertUsernameNotReserved,
+  changeUsername,
+  resolvePreviousUsernames,
+} from "../../../src/services/username.service.js";
+import { mockQuery } from "../../helpers/mockQuery.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("changeUsername", () => {
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      username: "old_handle",
+      usernameChangedAt: null,
+      isDeleted: false,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(UsernameHistory, "exists").mockResolvedValue(null);
+    jest.spyOn(UsernameHistory, "deleteMany").mockResolvedValue({});
+    jest.spyOn(UsernameHistory, "create").mockResolvedValue({});
+  });
+
+  it("keeps the old handle reserved for the user", async () => {
+    const before = Date.now();
+
+    const result = await changeUsername(user._id, "New_Handle");
+
+    expect(result).toMatchObject({
+      username: "new_handle",
+      previousUsername: "old_handle",
+    });
+    const [entry] = UsernameHistory.create.mock.calls[0];
+    expect(entry).toMatchObject({
+      userId: user._id,
+      username: "old_handle",
+      changedTo: "new_handle",
+    });
+    expect(entry.reservedUntil.getTime()).toBeGreaterThanOrEqual(
+      before + config.username.reservationDays * DAY_MS
+    );
+  });
+
+  it("is refused during the change cooldown", async () => {
+    user.usernameChangedAt = new Date();
+
+    await expect(changeUsername(user._id, "new_handle")).rejects.toThrow(
+      "You can change your username again on"
+    );
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it("rejects reserved words", async () => {
+    await expect(changeUsername(user._id, "Admin")).rejects.toThrow(
+      "This username is not available"
+    );
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it("rejects a username of another account", async () => {
+    User.findOne.mockReturnValue(
+      mockQuery({ _id: new mongoose.Types.ObjectId() })
+    );
+
+    await expect(changeUsername(user._id, "taken")).rejects.toThrow(
+      "Username is already taken. Please choose another one"
+    );
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it("reports a username taken after the check", async () => {
+    user.save.mockRejectedValue(
+      Object.assign(new Error("E11000"), {
+        code: 11000,
+        keyPattern: { username: 1 },
+      })
+    );
+
+    await expect(changeUsername(user._id, "new_handle")).rejects.toThrow(
+      "Username is already taken. Please choose another one"
+    );
+    expect(UsernameHistory.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("assertUsernameNotReserved", () => {
+  it("rejects an old handle reserved for another user", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const exists = jest
+      .spyOn(UsernameHistory, "exists")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(
+      assertUsernameNotReserved("Old_Handle", userId)
+    ).rejects.toThrow("This username is already taken");
+    // The previous owner can take their own handle back
+    expect(exists).toHaveBeenCalledWith({
+      username: "old_handle",
+      reservedUntil: { $gt: expect.any(Date) },
+      userId: { $ne: userId },
+    });
+  });
+});
+
+describe("resolvePreviousUsernames", () => {
+  it("resolves an old handle to the newest reservation's active account", async () => {
+    const formerOwner = new mongoose.Types.ObjectId();
+    const currentOwner = {
+      _id: new mongoose.Types.ObjectId(),
+      username: "renamed",
+    };
+    jest.spyOn(UsernameHistory, "find").mockReturnValue(
+      mockQuery([
+        { userId: currentOwner._id, username: "old_handle" },
+        { userId: formerOwner, username: "old_handle" },
+      ])
+    );
+    const findUsers = jest
+      .spyOn(User, "find")
+      .mockReturnValue(mockQuery([currentOwner]));
+
+    const resolved = await resolvePreviousUsernames(["old_handle"]);
+
+    expect(resolved.get("old_handle")).toBe(currentOwner);
+    expect(findUsers.mock.calls[0][0].isDeleted).toBe(false);
+  });
+});
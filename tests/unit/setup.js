@@ -0,0 +1,15 @@
+/**
+ * Unit Test Setup File
+ * Unit tests mock the models, so no database connection is made.
+ * Expected errors are logged by the services; keep the output readable.
+ */
+
+import { jest } from "@jest/globals";
+import logger from "../../src/utils/logger.js";
+
+logger.silent = true;
+
+// Restore spies (mocked model methods) between tests
+afterEach(() => {
+  jest.restoreAllMocks();
+});